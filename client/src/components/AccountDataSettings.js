@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/auth";
+
+// personal data export and account deletion
+const AccountDataSettings = () => {
+  const [auth, setAuth] = useAuth();
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState("");
+  const navigate = useNavigate();
+
+  const handleError = (error) => {
+    console.log(error);
+    toast.error(error.response?.data?.message || "Something went wrong");
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const { data, headers } = await axios.get("/api/v1/auth/me/export", {
+        params: { format },
+        responseType: "blob",
+      });
+      const fileName =
+        /filename="([^"]+)"/.exec(headers?.["content-disposition"] || "")?.[1] ||
+        `virtual-vault-export.${format}`;
+      // hand the blob to the browser as a download
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.delete("/api/v1/auth/me", {
+        data: { password },
+      });
+      if (data?.success) {
+        toast.success(data.message);
+        setAuth({ ...auth, user: null, token: "" });
+        localStorage.removeItem("auth");
+        navigate("/");
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  return (
+    <div className="form-container mt-4" data-testid="account-data-settings">
+      <form onSubmit={handleDelete}>
+        <h4 className="title">YOUR DATA</h4>
+        <p>Download a copy of your profile and order history.</p>
+        <div className="d-flex gap-2 mb-4">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => handleExport("json")}
+          >
+            DOWNLOAD JSON
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => handleExport("zip")}
+          >
+            DOWNLOAD ZIP
+          </button>
+        </div>
+
+        {!confirming ? (
+          <button
+            type="button"
+            className="btn btn-outline-danger"
+            onClick={() => setConfirming(true)}
+          >
+            DELETE ACCOUNT
+          </button>
+        ) : (
+          <>
+            <p className="text-danger">
+              This permanently deletes your account. Past orders are kept
+              without your name attached.
+            </p>
+            <div className="mb-3">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="form-control"
+                placeholder="Confirm Password To Delete"
+                required
+              />
+            </div>
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-danger">
+                DELETE MY ACCOUNT
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => {
+                  setConfirming(false);
+                  setPassword("");
+                }}
+              >
+                CANCEL
+              </button>
+            </div>
+          </>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default AccountDataSettings;
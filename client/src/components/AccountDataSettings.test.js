@@ -0,0 +1,158 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import AccountDataSettings from "./AccountDataSettings";
+import { useAuth } from "../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast", () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../context/auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+/**
+ * Unit tests for the AccountDataSettings component
+ *
+ * Covers the profile page data controls:
+ * 1. Export: the JSON / ZIP archive is fetched as a blob and downloaded
+ * 2. Deletion: password re-confirmation, sign-out and redirect home
+ * 3. Error feedback from the API
+ */
+describe("AccountDataSettings Component", () => {
+  const setAuth = jest.fn();
+
+  const renderSettings = () =>
+    render(
+      <MemoryRouter initialEntries={["/dashboard/user/profile"]}>
+        <Routes>
+          <Route
+            path="/dashboard/user/profile"
+            element={<AccountDataSettings />}
+          />
+          <Route path="/" element={<div>Home Page</div>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    useAuth.mockReturnValue([
+      { user: { name: "John" }, token: "tok" },
+      setAuth,
+    ]);
+    localStorage.setItem("auth", JSON.stringify({ token: "tok" }));
+    URL.createObjectURL = jest.fn(() => "blob:export");
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    localStorage.clear();
+  });
+
+  it("downloads the export in the chosen format", async () => {
+    const blob = new Blob(["zip"]);
+    axios.get.mockResolvedValueOnce({
+      data: blob,
+      headers: {
+        "content-disposition":
+          'attachment; filename="virtual-vault-export-2024-01-01.zip"',
+      },
+    });
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    renderSettings();
+    fireEvent.click(screen.getByText("DOWNLOAD ZIP"));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/me/export", {
+      params: { format: "zip" },
+      responseType: "blob",
+    });
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+    expect(click.mock.instances[0].download).toBe(
+      "virtual-vault-export-2024-01-01.zip"
+    );
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:export");
+    click.mockRestore();
+  });
+
+  it("falls back to a default file name for the JSON export", async () => {
+    axios.get.mockResolvedValueOnce({ data: new Blob(["{}"]), headers: {} });
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    renderSettings();
+    fireEvent.click(screen.getByText("DOWNLOAD JSON"));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(click.mock.instances[0].download).toBe("virtual-vault-export.json");
+    click.mockRestore();
+  });
+
+  it("asks for the password before deleting the account", async () => {
+    axios.delete.mockResolvedValueOnce({
+      data: { success: true, message: "Your account has been deleted" },
+    });
+
+    renderSettings();
+    expect(
+      screen.queryByPlaceholderText("Confirm Password To Delete")
+    ).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("DELETE ACCOUNT"));
+    fireEvent.change(screen.getByPlaceholderText("Confirm Password To Delete"), {
+      target: { value: "secret" },
+    });
+    fireEvent.click(screen.getByText("DELETE MY ACCOUNT"));
+
+    expect(await screen.findByText("Home Page")).toBeInTheDocument();
+    expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/me", {
+      data: { password: "secret" },
+    });
+    expect(setAuth).toHaveBeenCalledWith(
+      expect.objectContaining({ user: null, token: "" })
+    );
+    expect(localStorage.getItem("auth")).toBeNull();
+    expect(toast.success).toHaveBeenCalledWith("Your account has been deleted");
+  });
+
+  it("cancels the deletion prompt", () => {
+    renderSettings();
+
+    fireEvent.click(screen.getByText("DELETE ACCOUNT"));
+    fireEvent.click(screen.getByText("CANCEL"));
+
+    expect(screen.getByText("DELETE ACCOUNT")).toBeInTheDocument();
+    expect(axios.delete).not.toHaveBeenCalled();
+  });
+
+  it("shows the API error and keeps the user signed in", async () => {
+    axios.delete.mockRejectedValueOnce({
+      response: { data: { message: "Incorrect password" } },
+    });
+
+    renderSettings();
+    fireEvent.click(screen.getByText("DELETE ACCOUNT"));
+    fireEvent.change(screen.getByPlaceholderText("Confirm Password To Delete"), {
+      target: { value: "wrong" },
+    });
+    fireEvent.click(screen.getByText("DELETE MY ACCOUNT"));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith("Incorrect password")
+    );
+    expect(setAuth).not.toHaveBeenCalled();
+    expect(localStorage.getItem("auth")).not.toBeNull();
+  });
+});
@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+
+const EMPTY_ADDRESS = {
+  recipient: "",
+  line1: "",
+  line2: "",
+  city: "",
+  postalCode: "",
+  country: "",
+  phone: "",
+};
+
+// one line summary used by the address book and the checkout picker
+export const formatAddress = (address) =>
+  [
+    address.recipient,
+    address.line1,
+    address.line2,
+    `${address.city} ${address.postalCode}`.trim(),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// saved shipping addresses on the profile page
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [makeDefault, setMakeDefault] = useState(false);
+
+  const getAddresses = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/addresses");
+      if (data?.success) {
+        setAddresses(data.addresses);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getAddresses();
+  }, []);
+
+  const handleError = (error) => {
+    console.log(error);
+    toast.error(error.response?.data?.message || "Something went wrong");
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+    setMakeDefault(false);
+  };
+
+  const openForm = (address) => {
+    setForm(address ? { ...EMPTY_ADDRESS, ...address } : EMPTY_ADDRESS);
+    setEditingId(address?._id || null);
+    setMakeDefault(false);
+  };
+
+  const setField = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const body = { ...form, isDefault: makeDefault };
+      const { data } = editingId
+        ? await axios.put(`/api/v1/auth/addresses/${editingId}`, body)
+        : await axios.post("/api/v1/auth/addresses", body);
+      if (data?.success) {
+        toast.success(data.message);
+        setAddresses(data.addresses);
+        closeForm();
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleMakeDefault = async (address) => {
+    try {
+      const { data } = await axios.put(`/api/v1/auth/addresses/${address._id}`, {
+        ...address,
+        isDefault: true,
+      });
+      if (data?.success) {
+        setAddresses(data.addresses);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleDelete = async (address) => {
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/auth/addresses/${address._id}`
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        setAddresses(data.addresses);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  return (
+    <div className="form-container mt-4" data-testid="address-book">
+      <div className="w-100">
+        <h4 className="title">ADDRESS BOOK</h4>
+        {!addresses.length && <p>You have no saved addresses yet.</p>}
+        <ul className="list-group mb-3">
+          {addresses.map((address) => (
+            <li
+              key={address._id}
+              className="list-group-item"
+              data-testid="saved-address"
+            >
+              <div>
+                {formatAddress(address)}
+                {address.isDefault && (
+                  <span className="badge bg-success ms-2">Default</span>
+                )}
+              </div>
+              <div className="small text-muted">{address.phone}</div>
+              <div className="d-flex gap-2 mt-2">
+                {!address.isDefault && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline-primary"
+                    onClick={() => handleMakeDefault(address)}
+                  >
+                    Make Default
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => openForm(address)}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline-danger"
+                  onClick={() => handleDelete(address)}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {!form ? (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => openForm()}
+          >
+            ADD ADDRESS
+          </button>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.recipient}
+                onChange={setField("recipient")}
+                className="form-control"
+                placeholder="Recipient Name"
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.line1}
+                onChange={setField("line1")}
+                className="form-control"
+                placeholder="Address Line 1"
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.line2}
+                onChange={setField("line2")}
+                className="form-control"
+                placeholder="Address Line 2 (Optional)"
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.city}
+                onChange={setField("city")}
+                className="form-control"
+                placeholder="City"
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.postalCode}
+                onChange={setField("postalCode")}
+                className="form-control"
+                placeholder="Postal Code"
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.country}
+                onChange={setField("country")}
+                className="form-control"
+                placeholder="Country"
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                value={form.phone}
+                onChange={setField("phone")}
+                className="form-control"
+                placeholder="Phone"
+                required
+              />
+            </div>
+            <div className="form-check mb-3">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="address-default"
+                checked={makeDefault}
+                onChange={(e) => setMakeDefault(e.target.checked)}
+              />
+              <label className="form-check-label" htmlFor="address-default">
+                Use as my default address
+              </label>
+            </div>
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-primary">
+                {editingId ? "SAVE ADDRESS" : "ADD ADDRESS"}
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={closeForm}
+              >
+                CANCEL
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,245 @@
+import React from "react";
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import AddressBook, { formatAddress } from "./AddressBook";
+
+jest.mock("axios");
+jest.mock("react-hot-toast", () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+}));
+
+/**
+ * Unit tests for the AddressBook component
+ *
+ * Covers the profile page address book:
+ * 1. Listing saved addresses with the default marked
+ * 2. Adding and editing addresses through the inline form
+ * 3. Making an address the default and deleting one
+ * 4. Error feedback from the API
+ */
+describe("AddressBook Component", () => {
+  const home = {
+    _id: "a1",
+    recipient: "John",
+    line1: "1 Main St",
+    line2: "",
+    city: "Springfield",
+    postalCode: "12345",
+    country: "USA",
+    phone: "5550100",
+    isDefault: true,
+  };
+  const work = {
+    ...home,
+    _id: "a2",
+    line1: "9 Office Park",
+    line2: "Floor 3",
+    isDefault: false,
+  };
+
+  const fillForm = (values) => {
+    Object.entries(values).forEach(([placeholder, value]) => {
+      fireEvent.change(screen.getByPlaceholderText(placeholder), {
+        target: { value },
+      });
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    axios.get.mockResolvedValue({
+      data: { success: true, addresses: [home, work] },
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("formats an address on one line, skipping empty parts", () => {
+    expect(formatAddress(home)).toBe("John, 1 Main St, Springfield 12345, USA");
+    expect(formatAddress(work)).toBe(
+      "John, 9 Office Park, Floor 3, Springfield 12345, USA"
+    );
+  });
+
+  it("lists saved addresses with the default marked", async () => {
+    render(<AddressBook />);
+
+    const items = await screen.findAllByTestId("saved-address");
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/addresses");
+    expect(items).toHaveLength(2);
+    expect(within(items[0]).getByText("Default")).toBeInTheDocument();
+    expect(within(items[1]).queryByText("Default")).not.toBeInTheDocument();
+    // the default can't be made default again
+    expect(screen.getAllByText("Make Default")).toHaveLength(1);
+  });
+
+  it("shows an empty state", async () => {
+    axios.get.mockResolvedValueOnce({ data: { success: true, addresses: [] } });
+
+    render(<AddressBook />);
+
+    expect(
+      await screen.findByText("You have no saved addresses yet.")
+    ).toBeInTheDocument();
+  });
+
+  it("adds an address", async () => {
+    const created = { ...home, _id: "a3", line1: "5 New Rd", isDefault: false };
+    axios.post.mockResolvedValueOnce({
+      data: {
+        success: true,
+        message: "Address saved",
+        addresses: [home, work, created],
+      },
+    });
+
+    render(<AddressBook />);
+    await screen.findAllByTestId("saved-address");
+    fireEvent.click(screen.getByText("ADD ADDRESS"));
+    fillForm({
+      "Recipient Name": "John",
+      "Address Line 1": "5 New Rd",
+      City: "Springfield",
+      "Postal Code": "12345",
+      Country: "USA",
+      Phone: "5550100",
+    });
+    fireEvent.click(screen.getByLabelText("Use as my default address"));
+    fireEvent.click(screen.getByRole("button", { name: "ADD ADDRESS" }));
+
+    await waitFor(() =>
+      expect(screen.getAllByTestId("saved-address")).toHaveLength(3)
+    );
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/addresses", {
+      recipient: "John",
+      line1: "5 New Rd",
+      line2: "",
+      city: "Springfield",
+      postalCode: "12345",
+      country: "USA",
+      phone: "5550100",
+      isDefault: true,
+    });
+    expect(toast.success).toHaveBeenCalledWith("Address saved");
+    expect(screen.queryByPlaceholderText("City")).not.toBeInTheDocument();
+  });
+
+  it("edits an address in place", async () => {
+    axios.put.mockResolvedValueOnce({
+      data: {
+        success: true,
+        message: "Address updated",
+        addresses: [home, { ...work, city: "Shelbyville" }],
+      },
+    });
+
+    render(<AddressBook />);
+    await screen.findAllByTestId("saved-address");
+    fireEvent.click(screen.getAllByText("Edit")[1]);
+
+    expect(screen.getByPlaceholderText("Address Line 1")).toHaveValue(
+      "9 Office Park"
+    );
+    fillForm({ City: "Shelbyville" });
+    fireEvent.click(screen.getByText("SAVE ADDRESS"));
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith(
+        "/api/v1/auth/addresses/a2",
+        expect.objectContaining({ city: "Shelbyville", isDefault: false })
+      )
+    );
+    expect(
+      await screen.findByText(/9 Office Park, Floor 3, Shelbyville/)
+    ).toBeInTheDocument();
+  });
+
+  it("makes an address the default", async () => {
+    axios.put.mockResolvedValueOnce({
+      data: {
+        success: true,
+        addresses: [
+          { ...home, isDefault: false },
+          { ...work, isDefault: true },
+        ],
+      },
+    });
+
+    render(<AddressBook />);
+    await screen.findAllByTestId("saved-address");
+    fireEvent.click(screen.getByText("Make Default"));
+
+    await waitFor(() =>
+      expect(
+        within(screen.getAllByTestId("saved-address")[1]).getByText("Default")
+      ).toBeInTheDocument()
+    );
+    expect(axios.put).toHaveBeenCalledWith(
+      "/api/v1/auth/addresses/a2",
+      expect.objectContaining({ isDefault: true })
+    );
+  });
+
+  it("deletes an address", async () => {
+    axios.delete.mockResolvedValueOnce({
+      data: { success: true, message: "Address deleted", addresses: [home] },
+    });
+
+    render(<AddressBook />);
+    await screen.findAllByTestId("saved-address");
+    fireEvent.click(screen.getAllByText("Delete")[1]);
+
+    await waitFor(() =>
+      expect(screen.getAllByTestId("saved-address")).toHaveLength(1)
+    );
+    expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/addresses/a2");
+    expect(toast.success).toHaveBeenCalledWith("Address deleted");
+  });
+
+  it("shows the API error and keeps the form open", async () => {
+    axios.post.mockRejectedValueOnce({
+      response: { data: { message: "You can save up to 10 addresses" } },
+    });
+
+    render(<AddressBook />);
+    await screen.findAllByTestId("saved-address");
+    fireEvent.click(screen.getByText("ADD ADDRESS"));
+    fillForm({
+      "Recipient Name": "John",
+      "Address Line 1": "5 New Rd",
+      City: "Springfield",
+      "Postal Code": "12345",
+      Country: "USA",
+      Phone: "5550100",
+    });
+    fireEvent.click(screen.getByRole("button", { name: "ADD ADDRESS" }));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "You can save up to 10 addresses"
+      )
+    );
+    expect(screen.getByPlaceholderText("City")).toHaveValue("Springfield");
+  });
+
+  it("closes the form on cancel", async () => {
+    render(<AddressBook />);
+    await screen.findAllByTestId("saved-address");
+    fireEvent.click(screen.getByText("ADD ADDRESS"));
+    fireEvent.click(screen.getByText("CANCEL"));
+
+    expect(screen.queryByPlaceholderText("City")).not.toBeInTheDocument();
+  });
+});
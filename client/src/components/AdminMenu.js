@@ -1,45 +1,29 @@
 import React from "react";
 import { NavLink } from "react-router-dom";
+import usePermissions, { ADMIN_SECTIONS } from "../hooks/usePermissions";
 const AdminMenu = () => {
+  const { can } = usePermissions();
   return (
     <>
       <div className="text-center">
         <div className="list-group dashboard-menu">
           <h4>Admin Panel</h4>
-          <NavLink
-            to="/dashboard/admin/create-category"
-            className="list-group-item list-group-item-action"
-          >
-            Create Category
-          </NavLink>
-          <NavLink
-            to="/dashboard/admin/create-product"
-            className="list-group-item list-group-item-action"
-          >
-            Create Product
-          </NavLink>
-          <NavLink
-            to="/dashboard/admin/products"
-            className="list-group-item list-group-item-action"
-          >
-            Products
-          </NavLink>
-          <NavLink
-            to="/dashboard/admin/orders"
-            className="list-group-item list-group-item-action"
-          >
-            Orders
-          </NavLink>
-          {/* <NavLink
-            to="/dashboard/admin/users"
-            className="list-group-item list-group-item-action"
-          >
-            Users
-          </NavLink> */}
+          {/* only show the sections the user's roles grant */}
+          {ADMIN_SECTIONS.filter(
+            (section) => !section.hidden && can(section.permission)
+          ).map((section) => (
+            <NavLink
+              key={section.path}
+              to={section.path}
+              className="list-group-item list-group-item-action"
+            >
+              {section.label}
+            </NavLink>
+          ))}
         </div>
       </div>
     </>
   );
 };
 
-export default AdminMenu;
\ No newline at end of file
+export default AdminMenu;
@@ -2,14 +2,24 @@ import React from 'react';
 import { render, screen } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 import AdminMenu from './AdminMenu'; // adjust relative path
+import { useAuth } from '../context/auth';
+
+jest.mock('../context/auth', () => ({
+  useAuth: jest.fn(),
+}));
+
+const renderAs = (user) => {
+  useAuth.mockReturnValue([{ user, token: 'token' }, jest.fn()]);
+  return render(
+    <MemoryRouter>
+      <AdminMenu />
+    </MemoryRouter>
+  );
+};
 
 describe('AdminMenu', () => {
   it('renders admin panel heading and expected nav links with correct hrefs', () => {
-    render(
-      <MemoryRouter>
-        <AdminMenu />
-      </MemoryRouter>
-    );
+    renderAs({ name: 'Admin', role: 1 });
 
     // Heading
     expect(screen.getByText(/Admin Panel/i)).toBeInTheDocument();
@@ -32,14 +42,40 @@ describe('AdminMenu', () => {
     expect(orders.closest('a')).toHaveAttribute('href', '/dashboard/admin/orders');
   });
 
-  it('does not render commented-out Users link', () => {
-    render(
-      <MemoryRouter>
-        <AdminMenu />
-      </MemoryRouter>
-    );
+  it('renders the Users link for admins who can read users', () => {
+    renderAs({ name: 'Admin', role: 1 });
+
+    expect(screen.getByText(/Users/i).closest('a')).toHaveAttribute('href', '/dashboard/admin/users');
+  });
 
-    // That Users link was commented out in your component; assert it's absent
+  it('renders the Audit Log link for admins who can read the audit log', () => {
+    renderAs({ name: 'Auditor', role: 0, roles: ['auditor'], permissions: ['dashboard:access', 'audit:read'] });
+
+    expect(screen.getByText(/Audit Log/i).closest('a')).toHaveAttribute('href', '/dashboard/admin/audit-log');
     expect(screen.queryByText(/Users/i)).not.toBeInTheDocument();
   });
+
+  // Staff only see the sections their roles grant
+  it('hides sections the user has no permission for', () => {
+    renderAs({
+      name: 'Packer',
+      role: 0,
+      roles: ['fulfillment'],
+      permissions: ['dashboard:access', 'orders:read', 'orders:update'],
+    });
+
+    expect(screen.getByText(/Orders/i)).toBeInTheDocument();
+    expect(screen.queryByText(/Create Category/i)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Create Product/i)).not.toBeInTheDocument();
+    expect(screen.queryByText(/^Products$/i)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Users/i)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Audit Log/i)).not.toBeInTheDocument();
+  });
+
+  it('renders no sections for a signed-out user', () => {
+    renderAs(null);
+
+    expect(screen.getByText(/Admin Panel/i)).toBeInTheDocument();
+    expect(screen.queryAllByRole('link')).toHaveLength(0);
+  });
 });
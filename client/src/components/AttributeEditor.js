@@ -0,0 +1,158 @@
+import React from "react";
+
+// Attribute editing for the admin category forms. Each attribute is a typed
+// spec the category's products fill in; enum values are kept as the comma
+// separated text being typed and attributeList() turns the editor state into
+// the list the category endpoints expect.
+
+export const ATTRIBUTE_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "enum", label: "List of values" },
+  { value: "boolean", label: "Yes / No" },
+];
+
+const blankAttribute = {
+  key: "",
+  label: "",
+  type: "text",
+  options: "",
+  unit: "",
+  required: false,
+};
+
+// editor state for a saved category
+export const editableAttributes = (attributes = []) =>
+  attributes.map((attribute) => ({
+    ...blankAttribute,
+    ...attribute,
+    options: (attribute.options || []).join(", "),
+    unit: attribute.unit || "",
+  }));
+
+// the attributes as sent to the server; options only go with enums and
+// units with numbers
+export const attributeList = (attributes) =>
+  attributes.map(({ key, label, type, options, unit, required }) => ({
+    key: key.trim(),
+    label: label.trim(),
+    type,
+    ...(type === "enum" && {
+      options: options
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean),
+    }),
+    ...(type === "number" && unit.trim() && { unit: unit.trim() }),
+    required,
+  }));
+
+const AttributeEditor = ({ attributes, onChange }) => {
+  const update = (index, change) =>
+    onChange(
+      attributes.map((attribute, i) =>
+        i === index ? { ...attribute, ...change } : attribute
+      )
+    );
+
+  return (
+    <div className="mb-3" data-testid="attribute-editor">
+      <h6>Product attributes</h6>
+      {attributes.map((attribute, index) => (
+        <div className="row g-2 mb-2" key={index}>
+          <div className="col-md-2">
+            <input
+              type="text"
+              value={attribute.key}
+              placeholder="key, e.g. ram"
+              aria-label={`Attribute ${index + 1} key`}
+              className="form-control"
+              onChange={(e) => update(index, { key: e.target.value })}
+            />
+          </div>
+          <div className="col-md-3">
+            <input
+              type="text"
+              value={attribute.label}
+              placeholder="Label, e.g. RAM"
+              aria-label={`Attribute ${index + 1} label`}
+              className="form-control"
+              onChange={(e) => update(index, { label: e.target.value })}
+            />
+          </div>
+          <div className="col-md-2">
+            <select
+              className="form-select"
+              aria-label={`Attribute ${index + 1} type`}
+              value={attribute.type}
+              onChange={(e) => update(index, { type: e.target.value })}
+            >
+              {ATTRIBUTE_TYPES.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-2">
+            {attribute.type === "enum" && (
+              <input
+                type="text"
+                value={attribute.options}
+                placeholder="Values, e.g. IPS, OLED"
+                aria-label={`Attribute ${index + 1} values`}
+                className="form-control"
+                onChange={(e) => update(index, { options: e.target.value })}
+              />
+            )}
+            {attribute.type === "number" && (
+              <input
+                type="text"
+                value={attribute.unit}
+                placeholder="Unit, e.g. GB"
+                aria-label={`Attribute ${index + 1} unit`}
+                className="form-control"
+                onChange={(e) => update(index, { unit: e.target.value })}
+              />
+            )}
+          </div>
+          <div className="col-md-2 form-check pt-2">
+            <input
+              type="checkbox"
+              className="form-check-input"
+              id={`attribute-${index}-required`}
+              aria-label={`Attribute ${index + 1} required`}
+              checked={attribute.required}
+              onChange={(e) => update(index, { required: e.target.checked })}
+            />
+            <label
+              className="form-check-label"
+              htmlFor={`attribute-${index}-required`}
+            >
+              Required
+            </label>
+          </div>
+          <div className="col-md-1">
+            <button
+              type="button"
+              className="btn btn-outline-danger"
+              aria-label={`Remove attribute ${index + 1}`}
+              onClick={() => onChange(attributes.filter((_, i) => i !== index))}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline-secondary"
+        onClick={() => onChange([...attributes, blankAttribute])}
+      >
+        Add Attribute
+      </button>
+    </div>
+  );
+};
+
+export default AttributeEditor;
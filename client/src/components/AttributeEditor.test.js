@@ -0,0 +1,96 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import AttributeEditor, {
+  attributeList,
+  editableAttributes,
+} from "./AttributeEditor";
+
+/**
+ * Unit tests for the category attribute editor
+ *
+ * 1. editableAttributes / attributeList: saved attributes to editor state
+ *    and back
+ * 2. the editor only asks for values on lists and units on numbers
+ */
+describe("AttributeEditor", () => {
+  const saved = [
+    { key: "ram", label: "RAM", type: "number", unit: "GB", required: true },
+    {
+      key: "panel",
+      label: "Panel",
+      type: "enum",
+      options: ["IPS", "OLED"],
+      required: false,
+    },
+  ];
+
+  it("round trips saved attributes through the editor", () => {
+    const editable = editableAttributes(saved);
+
+    expect(editable[1]).toMatchObject({ options: "IPS, OLED", unit: "" });
+    expect(attributeList(editable)).toEqual(saved);
+    expect(editableAttributes(undefined)).toEqual([]);
+  });
+
+  it("sends options with lists and units with numbers only", () => {
+    expect(
+      attributeList([
+        {
+          key: " author ",
+          label: "Author ",
+          type: "text",
+          options: "a, b",
+          unit: "pages",
+          required: false,
+        },
+        {
+          key: "color",
+          label: "Color",
+          type: "enum",
+          options: "Red, , Blue,",
+          unit: "",
+          required: true,
+        },
+      ])
+    ).toEqual([
+      { key: "author", label: "Author", type: "text", required: false },
+      {
+        key: "color",
+        label: "Color",
+        type: "enum",
+        options: ["Red", "Blue"],
+        required: true,
+      },
+    ]);
+  });
+
+  it("edits, retypes and removes attributes", () => {
+    const onChange = jest.fn();
+    render(
+      <AttributeEditor
+        attributes={editableAttributes(saved)}
+        onChange={onChange}
+      />
+    );
+
+    expect(screen.getByLabelText("Attribute 1 unit")).toHaveValue("GB");
+    expect(screen.getByLabelText("Attribute 2 values")).toHaveValue(
+      "IPS, OLED"
+    );
+    expect(screen.getByLabelText("Attribute 1 required")).toBeChecked();
+
+    fireEvent.change(screen.getByLabelText("Attribute 1 type"), {
+      target: { value: "boolean" },
+    });
+    expect(onChange.mock.calls[0][0][0]).toMatchObject({
+      key: "ram",
+      type: "boolean",
+    });
+
+    fireEvent.click(screen.getByLabelText("Remove attribute 1"));
+    expect(onChange.mock.calls[1][0]).toEqual([
+      expect.objectContaining({ key: "panel" }),
+    ]);
+  });
+});
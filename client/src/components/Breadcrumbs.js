@@ -0,0 +1,40 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+// Home / ancestors / category, then `current` (e.g. the product's name) when
+// given. Each category carries its ancestors, root first.
+const Breadcrumbs = ({ category, current }) => {
+  if (!category?.slug) return null;
+  const trail = [...(category.ancestors || []), category];
+  return (
+    <nav aria-label="breadcrumb">
+      <ol className="breadcrumb">
+        <li className="breadcrumb-item">
+          <Link to="/">Home</Link>
+        </li>
+        {trail.map((crumb, index) =>
+          index === trail.length - 1 && !current ? (
+            <li
+              key={crumb._id || crumb.slug}
+              className="breadcrumb-item active"
+              aria-current="page"
+            >
+              {crumb.name}
+            </li>
+          ) : (
+            <li key={crumb._id || crumb.slug} className="breadcrumb-item">
+              <Link to={`/category/${crumb.slug}`}>{crumb.name}</Link>
+            </li>
+          )
+        )}
+        {current && (
+          <li className="breadcrumb-item active" aria-current="page">
+            {current}
+          </li>
+        )}
+      </ol>
+    </nav>
+  );
+};
+
+export default Breadcrumbs;
@@ -0,0 +1,71 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter } from "react-router-dom";
+import Breadcrumbs from "./Breadcrumbs";
+
+/**
+ * Unit tests for Breadcrumbs
+ *
+ * 1. Home, the ancestors and the category, the category being the current
+ *    page unless `current` follows it
+ * 2. nothing for a category that hasn't loaded
+ */
+describe("Breadcrumbs Component", () => {
+  const category = {
+    _id: "c3",
+    name: "Lamps",
+    slug: "lamps",
+    ancestors: [
+      { _id: "c1", name: "Home Goods", slug: "home-goods" },
+      { _id: "c2", name: "Lighting", slug: "lighting" },
+    ],
+  };
+  const crumbs = () =>
+    screen.getAllByRole("listitem").map((item) => item.textContent);
+
+  it("ends with the category on its own page", () => {
+    render(
+      <MemoryRouter>
+        <Breadcrumbs category={category} />
+      </MemoryRouter>
+    );
+
+    expect(crumbs()).toEqual(["Home", "Home Goods", "Lighting", "Lamps"]);
+    expect(screen.getByRole("link", { name: "Lighting" })).toHaveAttribute(
+      "href",
+      "/category/lighting"
+    );
+    expect(screen.getByText("Lamps")).toHaveAttribute("aria-current", "page");
+  });
+
+  it("links the category when a product follows it", () => {
+    render(
+      <MemoryRouter>
+        <Breadcrumbs category={category} current="Desk Lamp" />
+      </MemoryRouter>
+    );
+
+    expect(crumbs()).toEqual([
+      "Home",
+      "Home Goods",
+      "Lighting",
+      "Lamps",
+      "Desk Lamp",
+    ]);
+    expect(screen.getByRole("link", { name: "Lamps" })).toHaveAttribute(
+      "href",
+      "/category/lamps"
+    );
+    expect(screen.getByText("Desk Lamp")).toHaveAttribute(
+      "aria-current",
+      "page"
+    );
+  });
+
+  it("renders nothing before the category loads", () => {
+    const { container } = render(<Breadcrumbs category={{}} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
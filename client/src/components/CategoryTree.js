@@ -0,0 +1,47 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+// Categories nest through `parentCategory`; get-category returns them as a
+// flat list and these helpers arrange it (categoryTree in
+// helpers/categoryHelper.js does the same on the server).
+
+// nested [{ ...category, children }], roots first and siblings in list
+// order; a category whose parent is missing is shown at the top level
+export const categoryTree = (categories = []) => {
+  const nodes = categories.map((category) => ({ ...category, children: [] }));
+  const byId = new Map(nodes.map((node) => [String(node._id), node]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentCategory && byId.get(String(node.parentCategory));
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+};
+
+// the tree read top to bottom, each category with its depth, for indented
+// menus and tables
+export const categoryOutline = (categories = []) => {
+  const outline = [];
+  const visit = (nodes, depth) =>
+    nodes.forEach(({ children, ...category }) => {
+      outline.push({ ...category, depth });
+      visit(children, depth + 1);
+    });
+  visit(categoryTree(categories), 0);
+  return outline;
+};
+
+// nested links to a category's subcategories
+const CategoryTree = ({ nodes }) =>
+  nodes?.length ? (
+    <ul className="list-unstyled ms-3 mt-2">
+      {nodes.map((node) => (
+        <li key={node._id}>
+          <Link to={`/category/${node.slug}`}>{node.name}</Link>
+          <CategoryTree nodes={node.children} />
+        </li>
+      ))}
+    </ul>
+  ) : null;
+
+export default CategoryTree;
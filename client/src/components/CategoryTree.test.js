@@ -0,0 +1,65 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import { MemoryRouter } from "react-router-dom";
+import CategoryTree, { categoryOutline, categoryTree } from "./CategoryTree";
+
+/**
+ * Unit tests for the category tree helpers
+ *
+ * 1. categoryTree: nests the flat list, orphans at the top level
+ * 2. categoryOutline: depth-first order with depths
+ * 3. CategoryTree: nested subcategory links
+ */
+describe("CategoryTree", () => {
+  const categories = [
+    { _id: "c3", name: "Lamps", slug: "lamps", parentCategory: "c2" },
+    { _id: "c1", name: "Home", slug: "home", parentCategory: null },
+    { _id: "c2", name: "Lighting", slug: "lighting", parentCategory: "c1" },
+    { _id: "c4", name: "Books", slug: "books" },
+    { _id: "c5", name: "Orphan", slug: "orphan", parentCategory: "gone" },
+  ];
+
+  it("nests categories under their parents", () => {
+    const tree = categoryTree(categories);
+
+    expect(tree.map((node) => node.name)).toEqual(["Home", "Books", "Orphan"]);
+    expect(tree[0].children[0].children[0].name).toBe("Lamps");
+    expect(categoryTree()).toEqual([]);
+  });
+
+  it("lists the tree top to bottom with depths", () => {
+    expect(
+      categoryOutline(categories).map(({ name, depth }) => [name, depth])
+    ).toEqual([
+      ["Home", 0],
+      ["Lighting", 1],
+      ["Lamps", 2],
+      ["Books", 0],
+      ["Orphan", 0],
+    ]);
+  });
+
+  it("links to every subcategory", () => {
+    render(
+      <MemoryRouter>
+        <CategoryTree nodes={categoryTree(categories)[0].children} />
+      </MemoryRouter>
+    );
+
+    expect(screen.getByRole("link", { name: "Lighting" })).toHaveAttribute(
+      "href",
+      "/category/lighting"
+    );
+    expect(screen.getByRole("link", { name: "Lamps" })).toHaveAttribute(
+      "href",
+      "/category/lamps"
+    );
+  });
+
+  it("renders nothing without subcategories", () => {
+    const { container } = render(<CategoryTree nodes={[]} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
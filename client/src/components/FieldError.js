@@ -0,0 +1,30 @@
+import React from "react";
+
+// Inline feedback for the server's validation errors, which arrive as
+// { message, errors: [{ field, rule, message }] } with 400 or 422.
+
+export const fieldErrors = (errors, field) =>
+  errors.filter((error) => error.field === field);
+
+// drop a field's errors once the user edits it
+export const withoutField = (errors, field) =>
+  errors.filter((error) => error.field !== field);
+
+// bootstrap's red outline for an input with errors
+export const invalidClass = (errors, field) =>
+  fieldErrors(errors, field).length ? " is-invalid" : "";
+
+// the first message for a field, shown under its input
+const FieldError = ({ errors, field }) => {
+  const [error] = fieldErrors(errors, field);
+  if (!error) {
+    return null;
+  }
+  return (
+    <div className="invalid-feedback d-block" data-testid={`${field}-error`}>
+      {error.message}
+    </div>
+  );
+};
+
+export default FieldError;
@@ -0,0 +1,51 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import FieldError, {
+  fieldErrors,
+  invalidClass,
+  withoutField,
+} from "./FieldError";
+
+/**
+ * Unit tests for the FieldError component and helpers
+ *
+ * Covers inline feedback for the server's validation errors:
+ * 1. Picking and clearing the errors of one field
+ * 2. Marking inputs invalid
+ * 3. Rendering the first message under the field
+ */
+describe("FieldError Component", () => {
+  const errors = [
+    { field: "password", rule: "minLength", message: "Too short" },
+    { field: "password", rule: "number", message: "Needs a number" },
+    {
+      field: "email",
+      rule: "type",
+      message: "Email must be a valid email address",
+    },
+  ];
+
+  it("picks and clears the errors of one field", () => {
+    expect(fieldErrors(errors, "password")).toHaveLength(2);
+    expect(withoutField(errors, "password")).toEqual([errors[2]]);
+  });
+
+  it("marks only fields with errors as invalid", () => {
+    expect(invalidClass(errors, "email")).toBe(" is-invalid");
+    expect(invalidClass(errors, "name")).toBe("");
+  });
+
+  it("shows the first message for the field", () => {
+    render(<FieldError errors={errors} field="password" />);
+
+    expect(screen.getByTestId("password-error")).toHaveTextContent("Too short");
+    expect(screen.queryByText("Needs a number")).not.toBeInTheDocument();
+  });
+
+  it("renders nothing for a field without errors", () => {
+    const { container } = render(<FieldError errors={errors} field="name" />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
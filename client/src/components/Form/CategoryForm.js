@@ -1,6 +1,19 @@
 import React from "react";
+import { categoryOutline } from "../CategoryTree";
+import AttributeEditor from "../AttributeEditor";
 
-const CategoryForm = ({ handleSubmit, value, setValue }) => {
+// `setParent` adds a parent picker listing `categories`, `setAttributes` the
+// editor for the attributes of the category's products
+const CategoryForm = ({
+  handleSubmit,
+  value,
+  setValue,
+  categories = [],
+  parent = "",
+  setParent,
+  attributes = [],
+  setAttributes,
+}) => {
   return (
     <>
       <form onSubmit={handleSubmit}>
@@ -13,6 +26,27 @@ const CategoryForm = ({ handleSubmit, value, setValue }) => {
             onChange={(e) => setValue(e.target.value)}
           />
         </div>
+        {setParent && (
+          <div className="mb-3">
+            <select
+              className="form-select"
+              aria-label="Parent category"
+              value={parent}
+              onChange={(e) => setParent(e.target.value)}
+            >
+              <option value="">No parent (top level)</option>
+              {categoryOutline(categories).map((c) => (
+                <option key={c._id} value={c._id}>
+                  {"— ".repeat(c.depth)}
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        {setAttributes && (
+          <AttributeEditor attributes={attributes} onChange={setAttributes} />
+        )}
 
         <button type="submit" className="btn btn-primary">
           Submit
@@ -22,4 +56,4 @@ const CategoryForm = ({ handleSubmit, value, setValue }) => {
   );
 };
 
-export default CategoryForm;
\ No newline at end of file
+export default CategoryForm;
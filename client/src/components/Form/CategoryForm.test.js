@@ -43,4 +43,60 @@ describe("CategoryForm Component", () => {
 
     expect(handleSubmitMock).toHaveBeenCalled();
   });
+
+  it("has no parent picker unless asked for", () => {
+    const { queryByLabelText } = render(
+      <CategoryForm handleSubmit={handleSubmitMock} value="" setValue={setValueMock} />
+    );
+
+    expect(queryByLabelText("Parent category")).not.toBeInTheDocument();
+  });
+
+  it("lists the categories as indented parents", () => {
+    const setParentMock = jest.fn();
+    const { getByLabelText } = render(
+      <CategoryForm
+        handleSubmit={handleSubmitMock}
+        value=""
+        setValue={setValueMock}
+        categories={[
+          { _id: "c1", name: "Home" },
+          { _id: "c2", name: "Lighting", parentCategory: "c1" },
+        ]}
+        parent=""
+        setParent={setParentMock}
+      />
+    );
+
+    const picker = getByLabelText("Parent category");
+    expect(Array.from(picker.options).map((option) => option.text)).toEqual([
+      "No parent (top level)",
+      "Home",
+      "— Lighting",
+    ]);
+    fireEvent.change(picker, { target: { value: "c2" } });
+    expect(setParentMock).toHaveBeenCalledWith("c2");
+  });
+
+  it("only edits attributes when setAttributes is given", () => {
+    const setAttributesMock = jest.fn();
+    const { queryByTestId, getByText, rerender } = render(
+      <CategoryForm handleSubmit={handleSubmitMock} value="" setValue={setValueMock} />
+    );
+    expect(queryByTestId("attribute-editor")).not.toBeInTheDocument();
+
+    rerender(
+      <CategoryForm
+        handleSubmit={handleSubmitMock}
+        value=""
+        setValue={setValueMock}
+        attributes={[]}
+        setAttributes={setAttributesMock}
+      />
+    );
+    fireEvent.click(getByText("Add Attribute"));
+    expect(setAttributesMock).toHaveBeenCalledWith([
+      expect.objectContaining({ key: "", type: "text" }),
+    ]);
+  });
 });
@@ -1,48 +1,204 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useSearch } from "../../context/search";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+// the keyword is a path segment, so "%", "#", "?" and "/" must be escaped
+export const searchUrl = (keyword) =>
+  `/api/v1/product/search/${encodeURIComponent(keyword)}`;
+
+// the search state for one page of results from the search endpoint
+export const searchPage = (data) => ({
+  results: data?.products || [],
+  total: data?.total || 0,
+  page: data?.page || 1,
+  pages: data?.pages || 0,
+});
+
+//wait for a pause in typing before asking for suggestions
+export const SUGGEST_DELAY = 250;
+export const MIN_SUGGEST_LENGTH = 2;
+
+// the dropdown entries for a suggestions response: popular searches, then
+// products, then categories
+export const suggestionList = (data) => [
+  ...(data?.queries || []).map((query) => ({ type: "query", label: query })),
+  ...(data?.products || []).map(({ name, slug }) => ({
+    type: "product",
+    label: name,
+    slug,
+  })),
+  ...(data?.categories || []).map(({ name, slug }) => ({
+    type: "category",
+    label: name,
+    slug,
+  })),
+];
+
+const suggestionKinds = new Map([
+  ["product", "Product"],
+  ["category", "Category"],
+]);
+
 const SearchInput = () => {
   const [values, setValues] = useSearch();
   const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [active, setActive] = useState(-1);
+  const timer = useRef(null);
+  const pending = useRef(null);
+
+  //drop a suggestions request that is waiting or on its way
+  const cancelSuggestions = () => {
+    clearTimeout(timer.current);
+    pending.current?.abort();
+  };
+
+  const closeSuggestions = () => {
+    cancelSuggestions();
+    setSuggestions([]);
+    setActive(-1);
+  };
+
+  useEffect(() => cancelSuggestions, []);
+
+  const loadSuggestions = (keyword) => {
+    cancelSuggestions();
+    setActive(-1);
+    if (keyword.trim().length < MIN_SUGGEST_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+    timer.current = setTimeout(async () => {
+      const controller = new AbortController();
+      pending.current = controller;
+      try {
+        const { data } = await axios.get("/api/v1/product/suggest", {
+          params: { q: keyword },
+          signal: controller.signal,
+        });
+        if (!controller.signal.aborted) {
+          setSuggestions(suggestionList(data));
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.log(error);
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DELAY);
+  };
+
+  const search = async (keyword) => {
+    closeSuggestions();
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
     // Handle empty search - don't make API call, just navigate with empty results
-    if (!values.keyword || values.keyword.trim() === '') {
-      setValues({ ...values, results: [] });
+    if (!keyword || keyword.trim() === '') {
+      setValues({ ...values, keyword, results: [] });
       navigate("/search");
       return;
     }
-    
+
     try {
-      const { data } = await axios.get(
-        `/api/v1/product/search/${values.keyword}`
-      );
-      setValues({ ...values, results: data });
+      const { data } = await axios.get(searchUrl(keyword));
+      setValues({ ...values, keyword, ...searchPage(data) });
       navigate("/search");
     } catch (error) {
       console.log(error);
     }
   };
+
+  //products and categories open their own page, popular searches are run
+  const choose = (suggestion) => {
+    if (suggestion.type === "query") {
+      return search(suggestion.label);
+    }
+    closeSuggestions();
+    navigate(`/${suggestion.type}/${suggestion.slug}`);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await search(values.keyword);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions.length) {
+      return;
+    }
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      //-1 is the input itself, between the last suggestion and the first
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const stops = suggestions.length + 1;
+      setActive(((active + 1 + step + stops) % stops) - 1);
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      choose(suggestions.at(active));
+    } else if (e.key === "Escape") {
+      closeSuggestions();
+    }
+  };
+
   return (
-    <div>
+    <div className="position-relative">
       <form className="d-flex" role="search" onSubmit={handleSubmit}>
         <input
           className="form-control me-2"
           type="search"
           placeholder="Search"
           aria-label="Search"
+          aria-autocomplete="list"
+          aria-controls="search-suggestions"
+          aria-activedescendant={
+            active >= 0 ? `search-suggestion-${active}` : undefined
+          }
+          autoComplete="off"
           value={values.keyword}
-          onChange={(e) => setValues({ ...values, keyword: e.target.value })}
+          onChange={(e) => {
+            setValues({ ...values, keyword: e.target.value });
+            loadSuggestions(e.target.value);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={closeSuggestions}
         />
         <button className="btn btn-outline-success" type="submit">
           Search
         </button>
       </form>
+      {suggestions.length > 0 && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          aria-label="Search suggestions"
+          className="dropdown-menu show w-100"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.slug || suggestion.label}`}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={`dropdown-item d-flex justify-content-between${
+                index === active ? " active" : ""
+              }`}
+              //keep focus in the input so its blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(suggestion);
+              }}
+            >
+              <span>{suggestion.label}</span>
+              {suggestionKinds.has(suggestion.type) && (
+                <small className="text-muted">
+                  {suggestionKinds.get(suggestion.type)}
+                </small>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
-export default SearchInput;
\ No newline at end of file
+export default SearchInput;
@@ -3,7 +3,7 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import '@testing-library/jest-dom/extend-expect';
 import axios from 'axios';
-import SearchInput from './SearchInput';
+import SearchInput, { suggestionList } from './SearchInput';
 
 // Mock dependencies
 jest.mock('axios');
@@ -99,7 +99,9 @@ describe('SearchInput Component', () => {
       { _id: '2', name: 'Product 2', description: 'Description 2', price: 200 }
     ];
 
-    axios.get.mockResolvedValueOnce({ data: mockSearchResults });
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, products: mockSearchResults, total: 14, page: 1, pages: 2 }
+    });
 
     require('../../context/search').useSearch.mockReturnValue([{
       keyword: 'test search',
@@ -112,12 +114,15 @@ describe('SearchInput Component', () => {
     fireEvent.submit(form);
     
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/test search');
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/test%20search');
     });
     
     expect(mockSetValues).toHaveBeenCalledWith({
       keyword: 'test search',
-      results: mockSearchResults
+      results: mockSearchResults,
+      total: 14,
+      page: 1,
+      pages: 2
     });
     
     expect(mockNavigate).toHaveBeenCalledWith('/search');
@@ -140,7 +145,7 @@ describe('SearchInput Component', () => {
     fireEvent.submit(form);
     
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/test search');
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/test%20search');
     });
     
     expect(consoleSpy).toHaveBeenCalledWith(mockError);
@@ -149,6 +154,26 @@ describe('SearchInput Component', () => {
     consoleSpy.mockRestore();
   });
 
+  test('should escape characters that would break the search URL', async () => {
+    axios.get.mockResolvedValueOnce({ data: { products: [] } });
+    require('../../context/search').useSearch.mockReturnValue([{
+      keyword: '50% off #1/2?',
+      results: []
+    }, mockSetValues]);
+
+    renderWithRouter(<SearchInput />);
+    fireEvent.submit(screen.getByRole('search'));
+
+    await waitFor(() => {
+      expect(axios.get).toHaveBeenCalledWith(
+        '/api/v1/product/search/50%25%20off%20%231%2F2%3F'
+      );
+    });
+    expect(mockSetValues).toHaveBeenCalledWith(
+      expect.objectContaining({ keyword: '50% off #1/2?' })
+    );
+  });
+
   test('should prevent default form submission', async () => {
     const preventDefault = jest.fn();
     
@@ -279,4 +304,146 @@ describe('SearchInput Component', () => {
     
     expect(mockNavigate).toHaveBeenCalledTimes(3);
   });
-});
\ No newline at end of file
+
+  describe('suggestions', () => {
+    const suggestions = {
+      success: true,
+      queries: ['lamp shade'],
+      products: [{ _id: 'p1', name: 'Desk Lamp', slug: 'desk-lamp' }],
+      categories: [{ _id: 'c1', name: 'Lamps', slug: 'lamps' }]
+    };
+
+    const renderTyping = (...keywords) => {
+      require('../../context/search').useSearch.mockReturnValue([{
+        keyword: '',
+        results: []
+      }, mockSetValues]);
+      renderWithRouter(<SearchInput />);
+      const input = screen.getByPlaceholderText('Search');
+      keywords.forEach((keyword) => {
+        fireEvent.change(input, { target: { value: keyword } });
+      });
+      return input;
+    };
+
+    test('lists popular searches, then products, then categories', () => {
+      expect(suggestionList(suggestions)).toEqual([
+        { type: 'query', label: 'lamp shade' },
+        { type: 'product', label: 'Desk Lamp', slug: 'desk-lamp' },
+        { type: 'category', label: 'Lamps', slug: 'lamps' }
+      ]);
+      expect(suggestionList(undefined)).toEqual([]);
+    });
+
+    test('asks once typing pauses', async () => {
+      axios.get.mockResolvedValue({ data: suggestions });
+
+      renderTyping('l', 'la', 'lam', 'lamp');
+
+      expect(await screen.findByRole('listbox')).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/suggest', {
+        params: { q: 'lamp' },
+        signal: expect.any(AbortSignal)
+      });
+      expect(screen.getAllByRole('option').map((option) => option.textContent)).toEqual([
+        'lamp shade',
+        'Desk LampProduct',
+        'LampsCategory'
+      ]);
+    });
+
+    test('does not ask for a single letter', async () => {
+      renderTyping('l');
+
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('cancels a request that typing has overtaken', async () => {
+      let firstSignal;
+      axios.get
+        .mockImplementationOnce((url, { signal }) => {
+          firstSignal = signal;
+          return new Promise(() => {});
+        })
+        .mockResolvedValueOnce({ data: suggestions });
+
+      const input = renderTyping('la');
+      await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(1));
+      fireEvent.change(input, { target: { value: 'lamp' } });
+
+      expect(firstSignal.aborted).toBe(true);
+      expect(await screen.findByRole('listbox')).toBeInTheDocument();
+    });
+
+    test('opens a product chosen with the keyboard', async () => {
+      axios.get.mockResolvedValue({ data: suggestions });
+      const input = renderTyping('lamp');
+      await screen.findByRole('listbox');
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+
+      const option = screen.getByRole('option', { name: /Desk Lamp/ });
+      expect(option).toHaveAttribute('aria-selected', 'true');
+      expect(input).toHaveAttribute('aria-activedescendant', option.id);
+
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      expect(mockNavigate).toHaveBeenCalledWith('/product/desk-lamp');
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+
+    test('wraps around from the first suggestion to the input', async () => {
+      axios.get.mockResolvedValue({ data: suggestions });
+      const input = renderTyping('lamp');
+      await screen.findByRole('listbox');
+
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+      expect(screen.getByRole('option', { name: /Lamps/ })).toHaveAttribute('aria-selected', 'true');
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      expect(input).not.toHaveAttribute('aria-activedescendant');
+    });
+
+    test('opens a clicked category', async () => {
+      axios.get.mockResolvedValue({ data: suggestions });
+      renderTyping('lamp');
+
+      fireEvent.mouseDown(await screen.findByRole('option', { name: /Lamps/ }));
+
+      expect(mockNavigate).toHaveBeenCalledWith('/category/lamps');
+    });
+
+    test('runs a chosen popular search', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: suggestions })
+        .mockResolvedValueOnce({ data: { products: [], total: 0, page: 1, pages: 0 } });
+      renderTyping('lamp');
+
+      fireEvent.mouseDown(await screen.findByRole('option', { name: 'lamp shade' }));
+
+      await waitFor(() => {
+        expect(mockNavigate).toHaveBeenCalledWith('/search');
+      });
+      expect(axios.get).toHaveBeenLastCalledWith('/api/v1/product/search/lamp%20shade');
+      expect(mockSetValues).toHaveBeenLastCalledWith({
+        keyword: 'lamp shade',
+        results: [],
+        total: 0,
+        page: 1,
+        pages: 0
+      });
+    });
+
+    test('closes on Escape', async () => {
+      axios.get.mockResolvedValue({ data: suggestions });
+      const input = renderTyping('lamp');
+      await screen.findByRole('listbox');
+
+      fireEvent.keyDown(input, { key: 'Escape' });
+
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+  });
+});
@@ -303,7 +303,7 @@ describe('Phase 1 Integration: SearchInput Component with Context and API', () =
     fireEvent.submit(form);
 
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/keyboard test');
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/keyboard%20test');
       expect(mockNavigate).toHaveBeenCalledWith('/search');
     });
   });
@@ -343,7 +343,7 @@ describe('Phase 1 Integration: SearchInput Component with Context and API', () =
     fireEvent.click(button);
 
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/context test');
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/context%20test');
       expect(mockNavigate).toHaveBeenCalledWith('/search');
     });
   });
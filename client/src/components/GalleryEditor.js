@@ -0,0 +1,225 @@
+import React, { useState } from "react";
+import FieldError from "./FieldError";
+import { startIndex } from "./ProductGallery";
+import { AdminProductPhoto } from "./ProductPhoto";
+
+// Image gallery editing for the admin product forms. The gallery is a list of
+// saved images ({ _id, alt, isPrimary }) and new uploads ({ file, alt,
+// isPrimary }) in display order; appendGallery() adds it to the form data the
+// product endpoints expect.
+
+export const MAX_IMAGES = 10;
+
+let uploadCount = 0;
+
+// editor state for a saved product
+export const editableGallery = (images = []) =>
+  images.map(({ _id, alt, isPrimary }) => ({
+    key: _id,
+    _id,
+    alt: alt || "",
+    isPrimary: Boolean(isPrimary),
+  }));
+
+const uploadItem = (file) => {
+  uploadCount += 1;
+  return {
+    key: `upload-${uploadCount}`,
+    file,
+    preview: URL.createObjectURL(file),
+    alt: "",
+    isPrimary: false,
+  };
+};
+
+// the file field each new upload is sent in, by gallery position
+const uploadFields = (gallery) => {
+  let count = 0;
+  return gallery.map((item) => {
+    if (!item.file) return null;
+    count += 1;
+    return `image${count - 1}`;
+  });
+};
+
+// the gallery as the `images` JSON field plus one file field per upload
+export const appendGallery = (formData, gallery) => {
+  const fields = uploadFields(gallery);
+  const entries = gallery.map((item, index) => {
+    const entry = { alt: item.alt.trim(), isPrimary: item.isPrimary };
+    if (item.file) {
+      formData.append(fields.at(index), item.file);
+      return { ...entry, upload: fields.at(index) };
+    }
+    return { ...entry, _id: item._id };
+  });
+  formData.append("images", JSON.stringify(entries));
+  return formData;
+};
+
+// moves the item at `from` so it ends up at `to`
+export const moveItem = (gallery, from, to) => {
+  const next = gallery.filter((_, i) => i !== from);
+  next.splice(to, 0, gallery.at(from));
+  return next;
+};
+
+const GalleryEditor = ({ gallery, onChange, productId, errors = [] }) => {
+  const [dragging, setDragging] = useState(null);
+  const fields = uploadFields(gallery);
+  // the item shown first on the product page
+  const primary = startIndex(gallery);
+
+  const addFiles = (files) => {
+    const images = Array.from(files || []).filter((file) =>
+      file.type.startsWith("image/")
+    );
+    const room = MAX_IMAGES - gallery.length;
+    if (images.length) {
+      onChange([...gallery, ...images.slice(0, room).map(uploadItem)]);
+    }
+  };
+
+  const updateItem = (index, change) =>
+    onChange(
+      gallery.map((item, i) => (i === index ? { ...item, ...change } : item))
+    );
+
+  const setPrimary = (index) =>
+    onChange(gallery.map((item, i) => ({ ...item, isPrimary: i === index })));
+
+  const dropOnItem = (index) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragging !== null && dragging !== index) {
+      onChange(moveItem(gallery, dragging, index));
+    }
+    setDragging(null);
+  };
+
+  return (
+    <div className="mb-3" data-testid="gallery-editor">
+      <div
+        className="border rounded p-3 mb-2 text-center"
+        data-testid="gallery-dropzone"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          addFiles(e.dataTransfer?.files);
+        }}
+      >
+        <p className="mb-2">Drop images here or</p>
+        <label
+          className={`btn btn-outline-secondary${
+            gallery.length >= MAX_IMAGES ? " disabled" : ""
+          }`}
+        >
+          Add Images
+          <input
+            type="file"
+            name="images"
+            accept="image/*"
+            multiple
+            disabled={gallery.length >= MAX_IMAGES}
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = "";
+            }}
+            hidden
+          />
+        </label>
+        <div className="form-text">
+          {gallery.length} of {MAX_IMAGES} images, drag to reorder
+        </div>
+      </div>
+      <FieldError errors={errors} field="images" />
+      <ul className="list-unstyled d-flex flex-wrap gap-2">
+        {gallery.map((item, index) => {
+          const label = `Image ${index + 1}`;
+          const upload = fields.at(index);
+          // errors for the entry (images[0]._id...) or for its upload field
+          const itemError = errors.find(
+            ({ field }) =>
+              field === upload || field.startsWith(`images[${index}]`)
+          );
+          return (
+            <li
+              key={item.key}
+              className="card p-2"
+              style={{ width: "180px" }}
+              draggable
+              data-testid="gallery-item"
+              onDragStart={() => setDragging(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={dropOnItem(index)}
+              onDragEnd={() => setDragging(null)}
+            >
+              {item.preview ? (
+                <img
+                  src={item.preview}
+                  alt={item.alt || label}
+                  height="120px"
+                  className="card-img-top"
+                  style={{ objectFit: "cover" }}
+                />
+              ) : (
+                <AdminProductPhoto
+                  productId={productId}
+                  imageId={item._id}
+                  size={300}
+                  alt={item.alt || label}
+                  height="120px"
+                  className="card-img-top"
+                  style={{ objectFit: "cover" }}
+                />
+              )}
+              <input
+                type="text"
+                value={item.alt}
+                placeholder="Alt text"
+                aria-label={`${label} alt text`}
+                className="form-control form-control-sm mt-2"
+                onChange={(e) => updateItem(index, { alt: e.target.value })}
+              />
+              <div className="form-check mt-1">
+                <input
+                  type="radio"
+                  id={`gallery-primary-${item.key}`}
+                  name="gallery-primary"
+                  className="form-check-input"
+                  aria-label={`${label} primary`}
+                  checked={index === primary}
+                  onChange={() => setPrimary(index)}
+                />
+                <label
+                  className="form-check-label"
+                  htmlFor={`gallery-primary-${item.key}`}
+                >
+                  Primary
+                </label>
+              </div>
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-danger mt-1"
+                aria-label={`Remove ${label}`}
+                onClick={() => onChange(gallery.filter((_, i) => i !== index))}
+              >
+                Remove
+              </button>
+              {itemError && (
+                <div
+                  className="invalid-feedback d-block"
+                  data-testid="gallery-item-error"
+                >
+                  {itemError.message}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default GalleryEditor;
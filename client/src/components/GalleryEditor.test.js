@@ -0,0 +1,176 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import GalleryEditor, {
+  MAX_IMAGES,
+  appendGallery,
+  editableGallery,
+  moveItem,
+} from "./GalleryEditor";
+
+jest.mock("axios");
+
+/**
+ * Unit tests for the GalleryEditor component and helpers
+ *
+ * 1. editableGallery / appendGallery: saved images in, form data out
+ * 2. moveItem: drag and drop reordering
+ * 3. GalleryEditor: adding, reordering, alt text, primary flag, removing,
+ *    showing server errors
+ */
+describe("GalleryEditor Component", () => {
+  const saved = editableGallery([
+    { _id: "i1", key: "k1", alt: "Front", isPrimary: true },
+    { _id: "i2", key: "k2" },
+  ]);
+  const png = (name) => new File(["png"], name, { type: "image/png" });
+
+  beforeAll(() => {
+    global.URL.createObjectURL = jest.fn((file) => `blob:${file.name}`);
+    global.URL.revokeObjectURL = jest.fn();
+  });
+
+  it("reads saved images and sends uploads as numbered file fields", () => {
+    expect(saved).toEqual([
+      { key: "i1", _id: "i1", alt: "Front", isPrimary: true },
+      { key: "i2", _id: "i2", alt: "", isPrimary: false },
+    ]);
+    const side = png("side.png");
+    const formData = appendGallery(new FormData(), [
+      { key: "u1", file: side, alt: " Side ", isPrimary: false },
+      ...saved,
+    ]);
+
+    expect(formData.get("image0")).toBe(side);
+    expect(JSON.parse(formData.get("images"))).toEqual([
+      { upload: "image0", alt: "Side", isPrimary: false },
+      { _id: "i1", alt: "Front", isPrimary: true },
+      { _id: "i2", alt: "", isPrimary: false },
+    ]);
+  });
+
+  it("moves an item to where it was dropped", () => {
+    expect(moveItem(["a", "b", "c"], 0, 2)).toEqual(["b", "c", "a"]);
+    expect(moveItem(["a", "b", "c"], 2, 0)).toEqual(["c", "a", "b"]);
+  });
+
+  it("shows saved images from the admin product-image endpoint", async () => {
+    axios.get.mockResolvedValue({ data: new File(["webp"], "front.webp") });
+
+    render(
+      <GalleryEditor gallery={saved} onChange={jest.fn()} productId="p1" />
+    );
+
+    await waitFor(() =>
+      expect(screen.getByAltText("Front")).toHaveAttribute(
+        "src",
+        "blob:front.webp"
+      )
+    );
+    expect(axios.get).toHaveBeenCalledWith(
+      "/api/v1/product/admin-product-image/p1/i1?w=300&format=webp",
+      { responseType: "blob" }
+    );
+    expect(screen.getByAltText("Image 2")).toBeInTheDocument();
+    expect(screen.getByLabelText("Image 1 primary")).toBeChecked();
+  });
+
+  it("adds dropped images and skips other files", () => {
+    const onChange = jest.fn();
+    render(<GalleryEditor gallery={saved} onChange={onChange} />);
+
+    fireEvent.drop(screen.getByTestId("gallery-dropzone"), {
+      dataTransfer: {
+        files: [
+          png("side.png"),
+          new File(["x"], "notes.txt", { type: "text/plain" }),
+        ],
+      },
+    });
+
+    const next = onChange.mock.calls[0][0];
+    expect(next).toHaveLength(3);
+    expect(next.at(2)).toMatchObject({
+      file: expect.any(File),
+      preview: "blob:side.png",
+      alt: "",
+      isPrimary: false,
+    });
+  });
+
+  it("stops adding at the image limit", () => {
+    const full = Array.from({ length: MAX_IMAGES }, (_, i) => ({
+      key: `k${i}`,
+      _id: `i${i}`,
+      alt: "",
+      isPrimary: false,
+    }));
+    render(<GalleryEditor gallery={full} onChange={jest.fn()} />);
+
+    expect(screen.getByLabelText("Add Images")).toBeDisabled();
+  });
+
+  it("reorders by drag and drop", () => {
+    const onChange = jest.fn();
+    render(<GalleryEditor gallery={saved} onChange={onChange} />);
+    const [first, second] = screen.getAllByTestId("gallery-item");
+
+    fireEvent.dragStart(second);
+    fireEvent.drop(first);
+
+    expect(onChange).toHaveBeenCalledWith([saved.at(1), saved.at(0)]);
+  });
+
+  it("edits alt text, the primary image and removes images", () => {
+    const onChange = jest.fn();
+    render(<GalleryEditor gallery={saved} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText("Image 2 alt text"), {
+      target: { value: "Back" },
+    });
+    expect(onChange).toHaveBeenLastCalledWith([
+      saved.at(0),
+      { ...saved.at(1), alt: "Back" },
+    ]);
+
+    fireEvent.click(screen.getByLabelText("Image 2 primary"));
+    expect(onChange).toHaveBeenLastCalledWith([
+      { ...saved.at(0), isPrimary: false },
+      { ...saved.at(1), isPrimary: true },
+    ]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Remove Image 1" }));
+    expect(onChange).toHaveBeenLastCalledWith([saved.at(1)]);
+  });
+
+  it("shows errors next to the image they belong to", () => {
+    render(
+      <GalleryEditor
+        gallery={[
+          ...saved,
+          { key: "u1", file: png("big.png"), preview: "blob:big.png", alt: "" },
+        ]}
+        onChange={jest.fn()}
+        errors={[
+          {
+            field: "images",
+            rule: "unique",
+            message: "Only one image can be the primary image",
+          },
+          {
+            field: "image0",
+            rule: "maxSize",
+            message: "Upload 1 must be smaller than 5MB",
+          },
+        ]}
+      />
+    );
+
+    expect(screen.getByTestId("images-error")).toHaveTextContent(
+      "Only one image can be the primary image"
+    );
+    const third = screen.getAllByTestId("gallery-item").at(2);
+    expect(third).toHaveTextContent("Upload 1 must be smaller than 5MB");
+  });
+});
@@ -1,9 +1,12 @@
 import React from "react";
 import { NavLink, Link } from "react-router-dom";
+import axios from "axios";
 import { useAuth } from "../context/auth";
 import toast from "react-hot-toast";
 import SearchInput from "./Form/SearchInput";
 import useCategory from "../hooks/useCategory";
+import { categoryOutline } from "./CategoryTree";
+import usePermissions from "../hooks/usePermissions";
 import { useCart } from "../context/cart";
 import { Badge } from "antd";
 import "../styles/Header.css";
@@ -11,7 +14,31 @@ const Header = () => {
   const [auth, setAuth] = useAuth();
   const [cart] = useCart();
   const categories = useCategory();
+  const { can } = usePermissions();
+  const revokeSession = async (refreshToken) => {
+    try {
+      await axios.post("/api/v1/auth/logout", { refreshToken });
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  const resendVerification = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/auth/verify-email/resend");
+      toast.success(data?.message || "Verification email sent");
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
   const handleLogout = () => {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem("auth"));
+    } catch (error) {
+      stored = null;
+    }
+    if (stored?.refreshToken) revokeSession(stored.refreshToken);
     setAuth({
       ...auth,
       user: null,
@@ -60,16 +87,23 @@ const Header = () => {
                       All Categories
                     </Link>
                   </li>
-                  {categories && Array.isArray(categories) && categories.map((c) => (
-                    <li key={c._id || c.slug || Math.random()}>
-                      <Link
-                        className="dropdown-item"
-                        to={`/category/${c.slug}`}
-                      >
-                        {c.name}
-                      </Link>
-                    </li>
-                  ))}
+                  {categories &&
+                    Array.isArray(categories) &&
+                    categoryOutline(categories).map((c) => (
+                      <li key={c._id || c.slug || Math.random()}>
+                        <Link
+                          className="dropdown-item"
+                          to={`/category/${c.slug}`}
+                          style={
+                            c.depth
+                              ? { paddingLeft: `${1 + c.depth}rem` }
+                              : undefined
+                          }
+                        >
+                          {c.name}
+                        </Link>
+                      </li>
+                    ))}
                 </ul>
               </li>
 
@@ -102,7 +136,7 @@ const Header = () => {
                       <li>
                         <NavLink
                           to={`/dashboard/${
-                            auth?.user?.role === 1 ? "admin" : "user"
+                            can("dashboard:access") ? "admin" : "user"
                           }`}
                           className="dropdown-item"
                         >
@@ -133,6 +167,24 @@ const Header = () => {
           </div>
         </div>
       </nav>
+      {auth?.user?.emailVerified === false && (
+        <div
+          className="alert alert-warning text-center rounded-0 mb-0"
+          role="alert"
+          data-testid="verify-email-banner"
+        >
+          Please verify your email address to check out. Check your inbox for
+          the link or{" "}
+          <button
+            type="button"
+            className="btn btn-link p-0 align-baseline"
+            onClick={resendVerification}
+          >
+            send it again
+          </button>
+          .
+        </div>
+      )}
     </>
   );
 };
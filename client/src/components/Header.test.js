@@ -139,6 +139,20 @@ describe('Header Component', () => {
     expect(screen.getByText('Clothing')).toBeInTheDocument();
   });
 
+  test('should indent subcategories under their parent in the dropdown', () => {
+    require('../context/auth').useAuth.mockReturnValue([{ user: null }, mockSetAuth]);
+    require('../hooks/useCategory').default.mockReturnValue([
+      { _id: '2', name: 'Phones', slug: 'phones', parentCategory: '1' },
+      { _id: '1', name: 'Electronics', slug: 'electronics', parentCategory: null },
+    ]);
+
+    renderWithRouter(<Header />);
+
+    const items = screen.getAllByRole('link').filter((link) => link.classList.contains('dropdown-item'));
+    expect(items.map((link) => link.textContent)).toEqual(['All Categories', 'Electronics', 'Phones']);
+    expect(screen.getByText('Phones')).toHaveStyle('padding-left: 2rem');
+  });
+
   test('should render cart badge with correct count', () => {
     require('../context/auth').useAuth.mockReturnValue([{ user: null }, mockSetAuth]);
     
@@ -165,6 +179,56 @@ describe('Header Component', () => {
     expect(toast.success).toHaveBeenCalledWith('Logout Successfully');
   });
 
+  test('should revoke the server session on logout', async () => {
+    const mockUser = { name: 'John Doe', role: 0 };
+    require('../context/auth').useAuth.mockReturnValue([{ user: mockUser }, mockSetAuth]);
+    window.localStorage.getItem.mockReturnValue(
+      JSON.stringify({ user: mockUser, token: 't', refreshToken: 'refresh-1' })
+    );
+    axios.post.mockResolvedValue({ data: { success: true } });
+
+    renderWithRouter(<Header />);
+    fireEvent.click(screen.getByText('Logout'));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith('/api/v1/auth/logout', {
+        refreshToken: 'refresh-1',
+      });
+    });
+    expect(window.localStorage.removeItem).toHaveBeenCalledWith('auth');
+  });
+
+  test('should still log out locally when session revocation fails', async () => {
+    const mockUser = { name: 'John Doe', role: 0 };
+    require('../context/auth').useAuth.mockReturnValue([{ user: mockUser }, mockSetAuth]);
+    window.localStorage.getItem.mockReturnValue(
+      JSON.stringify({ user: mockUser, token: 't', refreshToken: 'refresh-1' })
+    );
+    axios.post.mockRejectedValue(new Error('Network Error'));
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    renderWithRouter(<Header />);
+    fireEvent.click(screen.getByText('Logout'));
+
+    await waitFor(() => {
+      expect(consoleSpy).toHaveBeenCalled();
+    });
+    expect(mockSetAuth).toHaveBeenCalledWith({ user: null, token: "" });
+    consoleSpy.mockRestore();
+  });
+
+  test('should skip session revocation for corrupted stored auth', () => {
+    const mockUser = { name: 'John Doe', role: 0 };
+    require('../context/auth').useAuth.mockReturnValue([{ user: mockUser }, mockSetAuth]);
+    window.localStorage.getItem.mockReturnValue('not-json');
+
+    renderWithRouter(<Header />);
+    fireEvent.click(screen.getByText('Logout'));
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(window.localStorage.removeItem).toHaveBeenCalledWith('auth');
+  });
+
   test('should render search input component', () => {
     require('../context/auth').useAuth.mockReturnValue([{ user: null }, mockSetAuth]);
     
@@ -225,4 +289,57 @@ describe('Header Component', () => {
     expect(collapseDiv).toBeInTheDocument();
     expect(collapseDiv).toHaveClass('navbar', 'navbar-expand-lg', 'bg-body-tertiary');
   });
+
+  test('should show a verification banner for unverified accounts', async () => {
+    const mockUser = { name: 'John Doe', role: 0, emailVerified: false };
+    require('../context/auth').useAuth.mockReturnValue([{ user: mockUser }, mockSetAuth]);
+    axios.post.mockResolvedValueOnce({ data: { success: true, message: 'Verification email sent' } });
+
+    renderWithRouter(<Header />);
+
+    expect(screen.getByTestId('verify-email-banner')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('send it again'));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith('/api/v1/auth/verify-email/resend');
+    });
+    expect(toast.success).toHaveBeenCalledWith('Verification email sent');
+  });
+
+  test('should report resend failures', async () => {
+    const mockUser = { name: 'John Doe', role: 0, emailVerified: false };
+    require('../context/auth').useAuth.mockReturnValue([{ user: mockUser }, mockSetAuth]);
+    const error = new Error('Request failed');
+    error.response = { data: { message: 'Email is already verified' } };
+    axios.post.mockRejectedValueOnce(error);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    renderWithRouter(<Header />);
+    fireEvent.click(screen.getByText('send it again'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Email is already verified');
+    });
+    console.log.mockRestore();
+  });
+
+  test('should not show the verification banner for verified or legacy accounts', () => {
+    require('../context/auth').useAuth.mockReturnValue([
+      { user: { name: 'John Doe', role: 0, emailVerified: true } },
+      mockSetAuth,
+    ]);
+    const { rerender } = renderWithRouter(<Header />);
+    expect(screen.queryByTestId('verify-email-banner')).not.toBeInTheDocument();
+
+    require('../context/auth').useAuth.mockReturnValue([
+      { user: { name: 'John Doe', role: 0 } },
+      mockSetAuth,
+    ]);
+    rerender(
+      <MemoryRouter>
+        <Header />
+      </MemoryRouter>
+    );
+    expect(screen.queryByTestId('verify-email-banner')).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,100 @@
+import React, { useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/auth";
+
+// the admin's own session is parked here while they view the store as a customer
+export const ADMIN_AUTH_KEY = "impersonatorAuth";
+
+// swap to the customer session returned by /users/:userId/impersonate
+export const startImpersonation = (data, setAuth) => {
+  const adminAuth = localStorage.getItem("auth");
+  if (adminAuth) {
+    localStorage.setItem(ADMIN_AUTH_KEY, adminAuth);
+  }
+  const impersonated = {
+    user: data.user,
+    token: data.token,
+    impersonator: data.impersonator,
+    impersonationExpiresAt: data.expiresAt,
+  };
+  localStorage.setItem("auth", JSON.stringify(impersonated));
+  setAuth(impersonated);
+};
+
+// shown on every page while an admin is viewing the store as a customer
+const ImpersonationBanner = () => {
+  const [auth, setAuth] = useAuth();
+  const navigate = useNavigate();
+  const impersonator = auth?.impersonator;
+
+  // back to the admin's own session, even if the server call fails
+  const stopImpersonating = async () => {
+    try {
+      await axios.post("/api/v1/auth/impersonation/end");
+    } catch (error) {
+      console.log(error);
+    }
+    let adminAuth = null;
+    try {
+      adminAuth = JSON.parse(localStorage.getItem(ADMIN_AUTH_KEY));
+    } catch (error) {
+      adminAuth = null;
+    }
+    localStorage.removeItem(ADMIN_AUTH_KEY);
+    if (adminAuth?.token) {
+      localStorage.setItem("auth", JSON.stringify(adminAuth));
+      setAuth(adminAuth);
+      navigate("/dashboard/admin/users");
+    } else {
+      localStorage.removeItem("auth");
+      setAuth({ user: null, token: "" });
+      navigate("/login");
+    }
+  };
+
+  // the token can't be refreshed, so hand the session back when it expires
+  useEffect(() => {
+    if (!impersonator || !auth?.impersonationExpiresAt) return undefined;
+    const remaining = moment(auth.impersonationExpiresAt).diff(moment());
+    const timer = setTimeout(() => {
+      toast.error("Impersonation session expired");
+      stopImpersonating();
+    }, Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+    //eslint-disable-next-line
+  }, [impersonator, auth?.impersonationExpiresAt]);
+
+  if (!impersonator) {
+    return null;
+  }
+
+  return (
+    <div
+      className="alert alert-danger text-center rounded-0 mb-0"
+      role="alert"
+      data-testid="impersonation-banner"
+    >
+      You are viewing the store as{" "}
+      <strong>
+        {auth.user?.name} ({auth.user?.email})
+      </strong>
+      . Signed in as {impersonator.name}. Checkout and profile changes are
+      disabled
+      {auth.impersonationExpiresAt &&
+        ` until ${moment(auth.impersonationExpiresAt).format("h:mm a")}`}
+      .{" "}
+      <button
+        type="button"
+        className="btn btn-sm btn-light ms-2"
+        onClick={stopImpersonating}
+      >
+        STOP IMPERSONATING
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
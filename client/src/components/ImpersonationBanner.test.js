@@ -0,0 +1,156 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor, act } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import ImpersonationBanner, {
+  ADMIN_AUTH_KEY,
+  startImpersonation,
+} from "./ImpersonationBanner";
+
+const mockNavigate = jest.fn();
+
+jest.mock("axios");
+jest.mock("react-hot-toast", () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../context/auth", () => ({
+  useAuth: jest.fn(),
+}));
+jest.mock("react-router-dom", () => ({
+  useNavigate: () => mockNavigate,
+}));
+
+/**
+ * Unit tests for the ImpersonationBanner component
+ *
+ * Covers the "view as customer" session on the client:
+ * 1. startImpersonation parks the admin session and switches to the customer
+ * 2. The banner only shows while impersonating
+ * 3. Stopping restores the admin session, or signs out if there is none
+ * 4. The session is handed back automatically when it expires
+ */
+describe("ImpersonationBanner Component", () => {
+  const admin = { _id: "admin1", name: "Alice Admin", email: "alice@test.com" };
+  const adminAuth = { user: { ...admin, role: 1 }, token: "admin-token" };
+  const customer = { _id: "user1", name: "Bob", email: "bob@test.com" };
+  const impersonating = (overrides = {}) => ({
+    user: customer,
+    token: "impersonation-token",
+    impersonator: admin,
+    impersonationExpiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+    ...overrides,
+  });
+
+  let setAuth;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    setAuth = jest.fn();
+    axios.post.mockResolvedValue({ data: { success: true } });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("parks the admin session and switches to the customer", () => {
+    localStorage.setItem("auth", JSON.stringify(adminAuth));
+
+    startImpersonation(
+      {
+        user: customer,
+        token: "impersonation-token",
+        impersonator: admin,
+        expiresAt: "2026-01-01T00:15:00.000Z",
+      },
+      setAuth
+    );
+
+    const expected = {
+      user: customer,
+      token: "impersonation-token",
+      impersonator: admin,
+      impersonationExpiresAt: "2026-01-01T00:15:00.000Z",
+    };
+    expect(JSON.parse(localStorage.getItem(ADMIN_AUTH_KEY))).toEqual(adminAuth);
+    expect(JSON.parse(localStorage.getItem("auth"))).toEqual(expected);
+    expect(setAuth).toHaveBeenCalledWith(expected);
+  });
+
+  it("renders nothing for a normal session", () => {
+    useAuth.mockReturnValue([adminAuth, setAuth]);
+
+    render(<ImpersonationBanner />);
+
+    expect(screen.queryByTestId("impersonation-banner")).not.toBeInTheDocument();
+  });
+
+  it("names the customer and the admin behind the session", () => {
+    useAuth.mockReturnValue([impersonating(), setAuth]);
+
+    render(<ImpersonationBanner />);
+
+    const banner = screen.getByTestId("impersonation-banner");
+    expect(banner).toHaveTextContent("You are viewing the store as Bob (bob@test.com)");
+    expect(banner).toHaveTextContent("Signed in as Alice Admin");
+  });
+
+  it("restores the admin session when stopped", async () => {
+    localStorage.setItem(ADMIN_AUTH_KEY, JSON.stringify(adminAuth));
+    useAuth.mockReturnValue([impersonating(), setAuth]);
+
+    render(<ImpersonationBanner />);
+    fireEvent.click(screen.getByText("STOP IMPERSONATING"));
+
+    await waitFor(() =>
+      expect(mockNavigate).toHaveBeenCalledWith("/dashboard/admin/users")
+    );
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/impersonation/end");
+    expect(setAuth).toHaveBeenCalledWith(adminAuth);
+    expect(JSON.parse(localStorage.getItem("auth"))).toEqual(adminAuth);
+    expect(localStorage.getItem(ADMIN_AUTH_KEY)).toBeNull();
+  });
+
+  it("signs out when there is no admin session to go back to, even if the end call fails", async () => {
+    axios.post.mockRejectedValueOnce(new Error("Network Error"));
+    localStorage.setItem("auth", JSON.stringify(impersonating()));
+    useAuth.mockReturnValue([impersonating(), setAuth]);
+
+    render(<ImpersonationBanner />);
+    fireEvent.click(screen.getByText("STOP IMPERSONATING"));
+
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith("/login"));
+    expect(setAuth).toHaveBeenCalledWith({ user: null, token: "" });
+    expect(localStorage.getItem("auth")).toBeNull();
+  });
+
+  it("hands the session back when it expires", async () => {
+    jest.useFakeTimers();
+    localStorage.setItem(ADMIN_AUTH_KEY, JSON.stringify(adminAuth));
+    useAuth.mockReturnValue([
+      impersonating({
+        impersonationExpiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+      }),
+      setAuth,
+    ]);
+
+    render(<ImpersonationBanner />);
+    expect(axios.post).not.toHaveBeenCalled();
+
+    await act(async () => {
+      jest.advanceTimersByTime(60 * 1000);
+    });
+    jest.useRealTimers();
+
+    await waitFor(() =>
+      expect(mockNavigate).toHaveBeenCalledWith("/dashboard/admin/users")
+    );
+    expect(toast.error).toHaveBeenCalledWith("Impersonation session expired");
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/impersonation/end");
+  });
+});
@@ -1,6 +1,7 @@
 import React from 'react'
 import Footer from './Footer';
 import Header from './Header';
+import ImpersonationBanner from './ImpersonationBanner';
 import { Helmet } from "react-helmet";
 import  { Toaster } from 'react-hot-toast';
 
@@ -15,6 +16,7 @@ const Layout = ({ children, title, description, keywords, author }) => {
         <meta name="author" content={author} />
         <title>{title}</title>
       </Helmet>
+      <ImpersonationBanner />
       <Header />
       <main style={{ minHeight: "70vh" }}>
         <Toaster />
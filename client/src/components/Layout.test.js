@@ -15,6 +15,11 @@ jest.mock('./Header', () => {
     return <div data-testid="header">Header</div>;
   };
 });
+jest.mock('./ImpersonationBanner', () => {
+  return function MockImpersonationBanner() {
+    return <div data-testid="impersonation-banner">Banner</div>;
+  };
+});
 jest.mock('./Footer', () => {
   return function MockFooter() {
     return <div data-testid="footer">Footer</div>;
@@ -43,6 +48,17 @@ describe('Layout Component', () => {
     expect(screen.getByTestId('header')).toBeInTheDocument();
   });
 
+  test('should render the impersonation banner above the Header', () => {
+    render(
+      <Layout>
+        <div>Test Content</div>
+      </Layout>
+    );
+
+    const banner = screen.getByTestId('impersonation-banner');
+    expect(banner.nextSibling).toBe(screen.getByTestId('header'));
+  });
+
   test('should render Footer component', () => {
     render(
       <Layout>
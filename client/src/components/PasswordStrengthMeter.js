@@ -0,0 +1,88 @@
+import React from "react";
+import usePasswordPolicy from "../hooks/usePasswordPolicy";
+
+const LEVELS = new Map([
+  [0, { label: "Weak", color: "danger" }],
+  [1, { label: "Weak", color: "danger" }],
+  [2, { label: "Fair", color: "warning" }],
+  [3, { label: "Good", color: "info" }],
+  [4, { label: "Strong", color: "success" }],
+]);
+
+// character classes the server can require, matching helpers/passwordPolicy.js
+const PATTERNS = new Map([
+  ["lowercase", /[a-z]/],
+  ["uppercase", /[A-Z]/],
+  ["number", /[0-9]/],
+  ["symbol", /[^A-Za-z0-9]/],
+]);
+
+// utf-8 length, counting each escaped byte once
+const byteLength = (value) =>
+  encodeURIComponent(value).replace(/%[A-F\d]{2}/g, "x").length;
+
+// evaluate the server's rules locally; the breached-password check stays on
+// the server and is reported when the form is submitted
+export const evaluatePassword = (password, policy) => {
+  const results = policy.rules.map(({ rule, min, max, message }) => {
+    let passed = true;
+    if (min !== undefined) passed = password.length >= min;
+    else if (max !== undefined) passed = byteLength(password) <= max;
+    // unknown rules are left to the server
+    else if (PATTERNS.has(rule)) passed = PATTERNS.get(rule).test(password);
+    return { rule, message, passed };
+  });
+  const passedAll = results.every((r) => r.passed);
+  // 0-4: share of rules met, with extra credit for length and variety
+  let score = Math.floor(
+    (results.filter((r) => r.passed).length / results.length) * 2
+  );
+  if (passedAll) {
+    if (password.length >= policy.minLength + 4) score += 1;
+    if (/[^A-Za-z0-9]/.test(password) && /[A-Z]/.test(password)) score += 1;
+  }
+  return { results, passedAll, score: Math.min(score, 4) };
+};
+
+const PasswordStrengthMeter = ({ password }) => {
+  const policy = usePasswordPolicy();
+  if (!password) {
+    return null;
+  }
+  const { results, score } = evaluatePassword(password, policy);
+  const level = LEVELS.get(score);
+  // the length cap only matters once it's broken
+  const shown = results.filter((r) => r.rule !== "maxLength" || !r.passed);
+
+  return (
+    <div className="mt-2 text-start" data-testid="password-strength">
+      <div className="progress" style={{ height: "6px" }}>
+        <div
+          className={`progress-bar bg-${level.color}`}
+          role="progressbar"
+          style={{ width: `${(score / 4) * 100}%` }}
+          aria-valuenow={score}
+          aria-valuemin={0}
+          aria-valuemax={4}
+          aria-label="Password strength"
+        />
+      </div>
+      <small data-testid="password-strength-label">
+        Strength: {level.label}
+      </small>
+      <ul className="list-unstyled small mb-0">
+        {shown.map(({ rule, message, passed }) => (
+          <li
+            key={rule}
+            data-testid={`password-rule-${rule}`}
+            className={passed ? "text-success" : "text-danger"}
+          >
+            {passed ? "✓" : "✗"} {message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrengthMeter;
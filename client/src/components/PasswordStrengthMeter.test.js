@@ -0,0 +1,120 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import PasswordStrengthMeter, {
+  evaluatePassword,
+} from "./PasswordStrengthMeter";
+import {
+  DEFAULT_PASSWORD_POLICY,
+  resetPasswordPolicyCache,
+} from "../hooks/usePasswordPolicy";
+
+jest.mock("axios");
+
+/**
+ * Unit tests for the password strength meter
+ *
+ * 1. evaluatePassword: per-rule results and a 0-4 score from the policy
+ * 2. PasswordStrengthMeter: renders the server's rules, falls back to the
+ *    default policy when the server can't be reached
+ */
+describe("PasswordStrengthMeter", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetPasswordPolicyCache();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("evaluatePassword", () => {
+    it("marks each rule as passed or failed", () => {
+      const { results, passedAll } = evaluatePassword(
+        "abc",
+        DEFAULT_PASSWORD_POLICY
+      );
+
+      expect(passedAll).toBe(false);
+      expect(results.map(({ rule, passed }) => [rule, passed])).toEqual([
+        ["minLength", false],
+        ["maxLength", true],
+        ["lowercase", true],
+        ["number", false],
+      ]);
+    });
+
+    it("scores longer and more varied passwords higher", () => {
+      const score = (password) =>
+        evaluatePassword(password, DEFAULT_PASSWORD_POLICY).score;
+
+      expect(score("ab")).toBe(1);
+      expect(score("abcdefg1")).toBe(2);
+      expect(score("abcdefghijk1")).toBe(3);
+      expect(score("Abcdefghijk1!")).toBe(4);
+    });
+
+    it("counts multi-byte characters against the length cap", () => {
+      const policy = {
+        minLength: 1,
+        rules: [{ rule: "maxLength", max: 4, message: "Too long" }],
+      };
+
+      expect(evaluatePassword("éé", policy).passedAll).toBe(true);
+      expect(evaluatePassword("ééé", policy).passedAll).toBe(false);
+    });
+  });
+
+  it("renders nothing without a password", () => {
+    render(<PasswordStrengthMeter password="" />);
+
+    expect(screen.queryByTestId("password-strength")).not.toBeInTheDocument();
+  });
+
+  it("shows the rules fetched from the server", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        success: true,
+        policy: {
+          minLength: 10,
+          rules: [
+            { rule: "minLength", min: 10, message: "At least 10 characters" },
+            { rule: "maxLength", max: 72, message: "At most 72 characters" },
+            { rule: "symbol", pattern: "[^A-Za-z0-9]", message: "A symbol" },
+          ],
+        },
+      },
+    });
+
+    render(<PasswordStrengthMeter password="abc!" />);
+
+    expect(await screen.findByText(/At least 10 characters/)).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/password-policy");
+    expect(screen.getByTestId("password-rule-minLength")).toHaveClass(
+      "text-danger"
+    );
+    expect(screen.getByTestId("password-rule-symbol")).toHaveClass(
+      "text-success"
+    );
+    // the length cap is only listed once it's broken
+    expect(
+      screen.queryByTestId("password-rule-maxLength")
+    ).not.toBeInTheDocument();
+  });
+
+  it("falls back to the default rules when the policy can't be loaded", async () => {
+    axios.get.mockRejectedValueOnce(new Error("Network Error"));
+
+    render(<PasswordStrengthMeter password="Abcdefghijk1!" />);
+
+    await waitFor(() => expect(axios.get).toHaveBeenCalled());
+    expect(screen.getByTestId("password-strength-label")).toHaveTextContent(
+      "Strength: Strong"
+    );
+    expect(screen.getByTestId("password-rule-number")).toHaveClass(
+      "text-success"
+    );
+  });
+});
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from "react";
+import ProductPhoto from "./ProductPhoto";
+
+// Image carousel for the product page. Products saved before galleries, or
+// without images, show the single product-photo image.
+
+// where the carousel opens: the primary image, or the first one
+export const startIndex = (images = []) =>
+  Math.max(
+    images.findIndex((image) => image.isPrimary),
+    0
+  );
+
+const ProductGallery = ({ product }) => {
+  const images = product?.images || [];
+  const [index, setIndex] = useState(startIndex(images));
+
+  useEffect(() => {
+    setIndex(startIndex(product?.images));
+  }, [product?._id, product?.images]);
+
+  if (!images.length) {
+    return (
+      <ProductPhoto
+        productId={product._id}
+        size={600}
+        className="card-img-top"
+        alt={product.name}
+        height="300"
+        width={"350px"}
+      />
+    );
+  }
+
+  const current = images.at(index) || images.at(0);
+  const show = (next) => setIndex((next + images.length) % images.length);
+
+  return (
+    <div className="product-gallery" data-testid="product-gallery">
+      <div className="position-relative">
+        <ProductPhoto
+          productId={product._id}
+          imageId={current._id}
+          size={600}
+          className="card-img-top"
+          alt={current.alt || product.name}
+          height="300"
+          width={"350px"}
+        />
+        {images.length > 1 && (
+          <>
+            <button
+              type="button"
+              className="btn btn-light position-absolute top-50 start-0"
+              aria-label="Previous image"
+              onClick={() => show(index - 1)}
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="btn btn-light position-absolute top-50 end-0"
+              aria-label="Next image"
+              onClick={() => show(index + 1)}
+            >
+              ›
+            </button>
+          </>
+        )}
+      </div>
+      {images.length > 1 && (
+        <div className="d-flex flex-wrap gap-2 mt-2">
+          {images.map((image, i) => (
+            <button
+              type="button"
+              key={image._id}
+              className={`btn p-0 border${
+                i === index ? " border-primary" : ""
+              }`}
+              aria-label={`Show image ${i + 1}`}
+              aria-current={i === index}
+              onClick={() => setIndex(i)}
+            >
+              <ProductPhoto
+                productId={product._id}
+                imageId={image._id}
+                size={75}
+                alt=""
+                height="60"
+                width="60"
+                style={{ objectFit: "cover" }}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
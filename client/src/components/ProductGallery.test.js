@@ -0,0 +1,71 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ProductGallery, { startIndex } from "./ProductGallery";
+
+/**
+ * Unit tests for the ProductGallery carousel
+ *
+ * 1. startIndex: opens on the primary image
+ * 2. products without a gallery show the product-photo image
+ * 3. previous/next buttons wrap around, thumbnails jump to an image
+ */
+describe("ProductGallery Component", () => {
+  const product = {
+    _id: "p1",
+    name: "Lamp",
+    images: [
+      { _id: "i1", alt: "Front" },
+      { _id: "i2", alt: "Side", isPrimary: true },
+      { _id: "i3" },
+    ],
+  };
+  const shown = () => screen.getByAltText(/Front|Side|Lamp/);
+
+  it("opens on the primary image", () => {
+    expect(startIndex(product.images)).toBe(1);
+    expect(startIndex([{ _id: "i1" }])).toBe(0);
+    expect(startIndex()).toBe(0);
+  });
+
+  it("shows the product photo when there is no gallery", () => {
+    render(<ProductGallery product={{ _id: "p1", name: "Lamp" }} />);
+
+    expect(screen.getByAltText("Lamp")).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-photo/p1?w=600&format=webp"
+    );
+    expect(screen.queryByLabelText("Next image")).not.toBeInTheDocument();
+  });
+
+  it("steps through the images and wraps around", () => {
+    render(<ProductGallery product={product} />);
+
+    expect(shown()).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-image/p1/i2?w=600&format=webp"
+    );
+    fireEvent.click(screen.getByLabelText("Next image"));
+    // no alt text falls back to the product name
+    expect(shown()).toHaveAttribute("alt", "Lamp");
+    fireEvent.click(screen.getByLabelText("Next image"));
+    expect(shown()).toHaveAttribute("alt", "Front");
+    fireEvent.click(screen.getByLabelText("Previous image"));
+    expect(shown()).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-image/p1/i3?w=600&format=webp"
+    );
+  });
+
+  it("jumps to a thumbnail", () => {
+    render(<ProductGallery product={product} />);
+
+    fireEvent.click(screen.getByLabelText("Show image 1"));
+
+    expect(shown()).toHaveAttribute("alt", "Front");
+    expect(screen.getByLabelText("Show image 1")).toHaveAttribute(
+      "aria-current",
+      "true"
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import React from "react";
+
+// Option selectors for a product with variants, plus the helpers the cart
+// and order pages use to describe the variant that was picked.
+
+// a variant's value on one axis; options arrive as plain objects in JSON
+export const optionValue = (options, name) =>
+  Object.entries(options || {}).find(([key]) => key === name)?.[1];
+
+// e.g. "Red / M", in the order the product lists its options
+export const variantLabel = (options) =>
+  Object.values(options || {}).join(" / ");
+
+// the variant matching every selected value, if there is one
+export const findVariant = (product, selected) =>
+  product?.variants?.find((variant) =>
+    (product.options || []).every(
+      ({ name }) =>
+        optionValue(variant.options, name) === optionValue(selected, name)
+    )
+  );
+
+// the values of the first variant in stock, so the page opens on something
+// that can be bought
+export const defaultSelection = (product) => {
+  const variants = product?.variants || [];
+  const variant =
+    variants.find((v) => v.quantity > 0) || variants.find(Boolean);
+  return { ...variant?.options };
+};
+
+// what goes into the cart: the product at the variant's price
+export const cartItem = (product, variant) =>
+  variant
+    ? {
+        ...product,
+        price: variant.price ?? product.price,
+        variant: {
+          _id: variant._id,
+          sku: variant.sku,
+          options: variant.options,
+          price: variant.price,
+        },
+      }
+    : product;
+
+const ProductOptions = ({ product, selected, onChange }) => (
+  <div className="mb-2" data-testid="product-options">
+    {product?.options?.map(({ name, values }) => (
+      <div className="mb-2" key={name}>
+        <label className="form-label" htmlFor={`option-${name}`}>
+          {name}
+        </label>
+        <select
+          id={`option-${name}`}
+          className="form-select"
+          value={optionValue(selected, name) || ""}
+          onChange={(e) => onChange({ ...selected, [name]: e.target.value })}
+        >
+          <option value="" disabled>
+            Choose {name}
+          </option>
+          {values.map((value) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+      </div>
+    ))}
+  </div>
+);
+
+export default ProductOptions;
@@ -0,0 +1,87 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ProductOptions, {
+  cartItem,
+  defaultSelection,
+  findVariant,
+  variantLabel,
+} from "./ProductOptions";
+
+/**
+ * Unit tests for the ProductOptions component and helpers
+ *
+ * 1. findVariant / defaultSelection: matching the selected values
+ * 2. cartItem / variantLabel: what the cart stores and shows
+ * 3. ProductOptions: one selector per option
+ */
+describe("ProductOptions Component", () => {
+  const product = {
+    _id: "p1",
+    name: "T-Shirt",
+    price: 20,
+    options: [
+      { name: "Color", values: ["Red", "Blue"] },
+      { name: "Size", values: ["M", "L"] },
+    ],
+    variants: [
+      {
+        _id: "v1",
+        sku: "R-M",
+        options: { Color: "Red", Size: "M" },
+        quantity: 0,
+      },
+      {
+        _id: "v2",
+        sku: "B-L",
+        options: { Color: "Blue", Size: "L" },
+        price: 25,
+        quantity: 2,
+      },
+    ],
+  };
+
+  it("finds the variant matching every selected value", () => {
+    expect(findVariant(product, { Color: "Blue", Size: "L" })._id).toBe("v2");
+    expect(findVariant(product, { Color: "Blue", Size: "M" })).toBeUndefined();
+    expect(findVariant(product, { Color: "Red" })).toBeUndefined();
+  });
+
+  it("opens on the first variant in stock", () => {
+    expect(defaultSelection(product)).toEqual({ Color: "Blue", Size: "L" });
+    expect(defaultSelection({ name: "Lamp" })).toEqual({});
+  });
+
+  it("puts the variant and its price in the cart", () => {
+    const [plain, priced] = product.variants;
+
+    expect(cartItem(product, priced)).toMatchObject({
+      _id: "p1",
+      price: 25,
+      variant: { _id: "v2", sku: "B-L", price: 25 },
+    });
+    expect(cartItem(product, plain).price).toBe(20);
+    expect(cartItem(product, undefined)).toBe(product);
+  });
+
+  it("describes a variant by its values", () => {
+    expect(variantLabel({ Color: "Red", Size: "M" })).toBe("Red / M");
+    expect(variantLabel(undefined)).toBe("");
+  });
+
+  it("renders a selector per option and reports changes", () => {
+    const onChange = jest.fn();
+    render(
+      <ProductOptions
+        product={product}
+        selected={{ Color: "Red", Size: "M" }}
+        onChange={onChange}
+      />
+    );
+
+    expect(screen.getByLabelText("Color")).toHaveValue("Red");
+    fireEvent.change(screen.getByLabelText("Size"), { target: { value: "L" } });
+
+    expect(onChange).toHaveBeenCalledWith({ Color: "Red", Size: "L" });
+  });
+});
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+// Product images as resized webp renditions. The server makes each size once
+// and caches it; only the widths below are served (RENDITION_WIDTHS in
+// helpers/renditionHelper.js). The storefront urls only serve products on
+// sale; the admin pages show any product's through the admin urls.
+
+export const RENDITION_WIDTHS = [75, 150, 300, 600, 1200];
+
+const rendition = (url, width) => `${url}?w=${width}&format=webp`;
+
+// the product's primary image, or its legacy photo
+export const photoUrl = (productId, width) =>
+  rendition(`/api/v1/product/product-photo/${productId}`, width);
+
+// one image of the product's gallery
+export const imageUrl = (productId, imageId, width) =>
+  rendition(`/api/v1/product/product-image/${productId}/${imageId}`, width);
+
+// the admin previews of a product in any status
+export const adminPhotoUrl = (productId, width) =>
+  rendition(`/api/v1/product/admin-product-photo/${productId}`, width);
+
+export const adminImageUrl = (productId, imageId, width) =>
+  rendition(
+    `/api/v1/product/admin-product-image/${productId}/${imageId}`,
+    width
+  );
+
+// `size` is the width in pixels the image is shown at; screens with twice the
+// pixel density get the next rendition that covers it
+const ProductPhoto = ({ productId, imageId, size, alt, ...props }) => {
+  const url = (w) =>
+    imageId ? imageUrl(productId, imageId, w) : photoUrl(productId, w);
+  const dense = RENDITION_WIDTHS.find((w) => w >= size * 2);
+  return (
+    <img
+      src={url(size)}
+      srcSet={dense ? `${url(dense)} 2x` : undefined}
+      alt={alt}
+      {...props}
+    />
+  );
+};
+
+// the admin urls need the signed-in user's token, which an img can't send,
+// so the image is fetched with axios and shown from a blob url
+export const AdminProductPhoto = ({
+  productId,
+  imageId,
+  size,
+  alt,
+  ...props
+}) => {
+  const [src, setSrc] = useState();
+  const url = imageId
+    ? adminImageUrl(productId, imageId, size)
+    : adminPhotoUrl(productId, size);
+
+  useEffect(() => {
+    let objectUrl;
+    let current = true;
+    const getImage = async () => {
+      try {
+        const { data } = await axios.get(url, { responseType: "blob" });
+        if (current) {
+          objectUrl = URL.createObjectURL(data);
+          setSrc(objectUrl);
+        }
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    getImage();
+    return () => {
+      current = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [url]);
+
+  return <img src={src} alt={alt} {...props} />;
+};
+
+export default ProductPhoto;
@@ -0,0 +1,108 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import ProductPhoto, {
+  AdminProductPhoto,
+  adminImageUrl,
+  adminPhotoUrl,
+  imageUrl,
+  photoUrl,
+} from "./ProductPhoto";
+
+jest.mock("axios");
+
+/**
+ * Unit tests for ProductPhoto
+ *
+ * 1. photoUrl / imageUrl: webp renditions at the given width
+ * 2. the img asks for the shown size, and a 2x rendition when one exists
+ * 3. AdminProductPhoto: fetches the admin url with the user's token and
+ *    shows it from a blob url
+ */
+describe("ProductPhoto Component", () => {
+  it("builds rendition urls", () => {
+    expect(photoUrl("p1", 300)).toBe(
+      "/api/v1/product/product-photo/p1?w=300&format=webp"
+    );
+    expect(imageUrl("p1", "i1", 75)).toBe(
+      "/api/v1/product/product-image/p1/i1?w=75&format=webp"
+    );
+  });
+
+  it("renders the sized rendition with a 2x source", () => {
+    render(<ProductPhoto productId="p1" size={300} alt="Lamp" />);
+
+    const img = screen.getByAltText("Lamp");
+    expect(img).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-photo/p1?w=300&format=webp"
+    );
+    expect(img).toHaveAttribute(
+      "srcset",
+      "/api/v1/product/product-photo/p1?w=600&format=webp 2x"
+    );
+  });
+
+  it("uses the gallery image and skips srcset past the largest width", () => {
+    render(<ProductPhoto productId="p1" imageId="i1" size={1200} alt="Side" />);
+
+    const img = screen.getByAltText("Side");
+    expect(img).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-image/p1/i1?w=1200&format=webp"
+    );
+    expect(img).not.toHaveAttribute("srcset");
+  });
+
+  describe("AdminProductPhoto", () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      global.URL.createObjectURL = jest.fn(() => "blob:photo");
+      global.URL.revokeObjectURL = jest.fn();
+    });
+
+    it("builds admin rendition urls", () => {
+      expect(adminPhotoUrl("p1", 300)).toBe(
+        "/api/v1/product/admin-product-photo/p1?w=300&format=webp"
+      );
+      expect(adminImageUrl("p1", "i1", 75)).toBe(
+        "/api/v1/product/admin-product-image/p1/i1?w=75&format=webp"
+      );
+    });
+
+    it("shows the fetched image and frees it when unmounted", async () => {
+      const blob = new Blob(["webp"]);
+      axios.get.mockResolvedValueOnce({ data: blob });
+
+      const { unmount } = render(
+        <AdminProductPhoto productId="p1" imageId="i1" size={300} alt="Side" />
+      );
+
+      await waitFor(() =>
+        expect(screen.getByAltText("Side")).toHaveAttribute("src", "blob:photo")
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        "/api/v1/product/admin-product-image/p1/i1?w=300&format=webp",
+        { responseType: "blob" }
+      );
+      expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+
+      unmount();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:photo");
+    });
+
+    it("shows no image when the fetch fails", async () => {
+      const consoleSpy = jest
+        .spyOn(console, "log")
+        .mockImplementation(() => {});
+      axios.get.mockRejectedValueOnce(new Error("Forbidden"));
+
+      render(<AdminProductPhoto productId="p1" size={300} alt="Lamp" />);
+
+      await waitFor(() => expect(consoleSpy).toHaveBeenCalled());
+      expect(screen.getByAltText("Lamp")).not.toHaveAttribute("src");
+      consoleSpy.mockRestore();
+    });
+  });
+});
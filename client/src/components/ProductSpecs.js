@@ -0,0 +1,44 @@
+import React from "react";
+
+// The specs table of a product page: one row per attribute of the product's
+// category that the product has a value for, in the category's order.
+
+// a spec as shown to shoppers, e.g. "16 GB" or "Yes"
+export const specText = ({ type, unit }, value) => {
+  if (type === "boolean") return value ? "Yes" : "No";
+  return unit ? `${value} ${unit}` : String(value);
+};
+
+// [{ key, label, text }] for the attributes the product fills in
+export const specRows = (product) => {
+  const values = new Map(Object.entries(product?.specs || {}));
+  return (product?.category?.attributes || [])
+    .filter(({ key }) => values.has(key))
+    .map((attribute) => ({
+      key: attribute.key,
+      label: attribute.label,
+      text: specText(attribute, values.get(attribute.key)),
+    }));
+};
+
+const ProductSpecs = ({ product }) => {
+  const rows = specRows(product);
+  if (!rows.length) {
+    return null;
+  }
+  return (
+    <table className="table table-sm mt-2" data-testid="product-specs">
+      <caption className="caption-top">Specifications</caption>
+      <tbody>
+        {rows.map(({ key, label, text }) => (
+          <tr key={key}>
+            <th scope="row">{label}</th>
+            <td>{text}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default ProductSpecs;
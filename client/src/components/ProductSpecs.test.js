@@ -0,0 +1,45 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ProductSpecs, { specRows, specText } from "./ProductSpecs";
+
+/**
+ * Unit tests for the product page specs table
+ *
+ * 1. specText: units and yes / no
+ * 2. specRows / ProductSpecs: the category's attributes the product fills in
+ */
+describe("ProductSpecs", () => {
+  const product = {
+    category: {
+      attributes: [
+        { key: "ram", label: "RAM", type: "number", unit: "GB" },
+        { key: "panel", label: "Panel", type: "enum" },
+        { key: "touch", label: "Touchscreen", type: "boolean" },
+      ],
+    },
+    specs: { touch: true, ram: 16, weight: 2 },
+  };
+
+  it("formats values with their unit", () => {
+    expect(specText({ type: "number", unit: "GB" }, 16)).toBe("16 GB");
+    expect(specText({ type: "boolean" }, false)).toBe("No");
+    expect(specText({ type: "text" }, "Tolkien")).toBe("Tolkien");
+  });
+
+  it("lists the specs in the category's order", () => {
+    expect(specRows(product)).toEqual([
+      { key: "ram", label: "RAM", text: "16 GB" },
+      { key: "touch", label: "Touchscreen", text: "Yes" },
+    ]);
+    expect(specRows({ category: null, specs: { ram: 8 } })).toEqual([]);
+  });
+
+  it("only shows a table when there are specs", () => {
+    const { rerender } = render(<ProductSpecs product={product} />);
+    expect(screen.getByTestId("product-specs")).toHaveTextContent("RAM16 GB");
+
+    rerender(<ProductSpecs product={{ name: "Lamp" }} />);
+    expect(screen.queryByTestId("product-specs")).not.toBeInTheDocument();
+  });
+});
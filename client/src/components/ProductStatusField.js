@@ -0,0 +1,66 @@
+import React from "react";
+import FieldError, { invalidClass } from "./FieldError";
+
+// Lifecycle status picker for the admin product forms and the bulk actions
+// of the product list. Only published products are on the storefront; a
+// scheduled one also needs the time it goes on sale, which is edited as a
+// datetime-local value and sent to the server as an ISO time.
+
+export const PRODUCT_STATUSES = [
+  { value: "draft", label: "Draft" },
+  { value: "scheduled", label: "Scheduled" },
+  { value: "published", label: "Published" },
+  { value: "archived", label: "Archived" },
+];
+
+export const statusLabel = (status) =>
+  PRODUCT_STATUSES.find(({ value }) => value === (status || "published"))
+    ?.label;
+
+// a saved time as a datetime-local value, in the browser's time zone
+export const toLocalInput = (date) => {
+  if (!date) return "";
+  const time = new Date(date);
+  return new Date(time.getTime() - time.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+// the form fields for a status; publishAt only goes with scheduled
+export const statusFields = ({ status, publishAt }) => ({
+  status,
+  ...(status === "scheduled" && {
+    publishAt: publishAt ? new Date(publishAt).toISOString() : "",
+  }),
+});
+
+const ProductStatusField = ({ status, publishAt, onChange, errors = [] }) => (
+  <div className="d-flex flex-wrap gap-2">
+    <select
+      className="form-select w-auto"
+      aria-label="Status"
+      value={status}
+      onChange={(e) => onChange({ status: e.target.value, publishAt })}
+    >
+      {PRODUCT_STATUSES.map(({ value, label }) => (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      ))}
+    </select>
+    {status === "scheduled" && (
+      <div>
+        <input
+          type="datetime-local"
+          className={`form-control w-auto${invalidClass(errors, "publishAt")}`}
+          aria-label="Publish at"
+          value={publishAt}
+          onChange={(e) => onChange({ status, publishAt: e.target.value })}
+        />
+        <FieldError errors={errors} field="publishAt" />
+      </div>
+    )}
+  </div>
+);
+
+export default ProductStatusField;
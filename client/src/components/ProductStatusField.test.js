@@ -0,0 +1,85 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ProductStatusField, {
+  statusFields,
+  statusLabel,
+  toLocalInput,
+} from "./ProductStatusField";
+
+/**
+ * Unit tests for the product status picker
+ *
+ * 1. statusLabel / toLocalInput / statusFields: display and form values
+ * 2. the picker only asks for a publish time when scheduling
+ */
+describe("ProductStatusField", () => {
+  it("labels products without a status as published", () => {
+    expect(statusLabel("archived")).toBe("Archived");
+    expect(statusLabel(undefined)).toBe("Published");
+  });
+
+  it("round trips a saved time through the datetime-local input", () => {
+    const local = toLocalInput("2030-01-01T09:30:00.000Z");
+
+    expect(local).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/);
+    expect(new Date(local).toISOString()).toBe("2030-01-01T09:30:00.000Z");
+    expect(toLocalInput(null)).toBe("");
+  });
+
+  it("only sends the publish time when scheduling", () => {
+    expect(
+      statusFields({ status: "draft", publishAt: "2030-01-01T09:00" })
+    ).toEqual({
+      status: "draft",
+    });
+    expect(
+      statusFields({ status: "scheduled", publishAt: "2030-01-01T09:00" })
+    ).toEqual({
+      status: "scheduled",
+      publishAt: new Date("2030-01-01T09:00").toISOString(),
+    });
+    expect(statusFields({ status: "scheduled", publishAt: "" })).toEqual({
+      status: "scheduled",
+      publishAt: "",
+    });
+  });
+
+  it("asks for the publish time once scheduled is picked", () => {
+    const onChange = jest.fn();
+    const { rerender } = render(
+      <ProductStatusField status="draft" publishAt="" onChange={onChange} />
+    );
+    expect(screen.queryByLabelText("Publish at")).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Status"), {
+      target: { value: "scheduled" },
+    });
+    expect(onChange).toHaveBeenCalledWith({
+      status: "scheduled",
+      publishAt: "",
+    });
+
+    rerender(
+      <ProductStatusField
+        status="scheduled"
+        publishAt=""
+        onChange={onChange}
+        errors={[
+          { field: "publishAt", message: "Publish at must be in the future" },
+        ]}
+      />
+    );
+    fireEvent.change(screen.getByLabelText("Publish at"), {
+      target: { value: "2030-01-01T09:00" },
+    });
+    expect(onChange).toHaveBeenLastCalledWith({
+      status: "scheduled",
+      publishAt: "2030-01-01T09:00",
+    });
+    expect(screen.getByLabelText("Publish at")).toHaveClass("is-invalid");
+    expect(screen.getByTestId("publishAt-error")).toHaveTextContent(
+      "Publish at must be in the future"
+    );
+  });
+});
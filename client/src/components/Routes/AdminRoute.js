@@ -1,12 +1,21 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../../context/auth";
-import { Outlet } from "react-router-dom";
+import { Outlet, useLocation } from "react-router-dom";
 import axios from "axios";
+import toast from "react-hot-toast";
 import Spinner from "../Spinner";
+import {
+  findAdminSection,
+  getPermissions,
+  hasPermission,
+} from "../../hooks/usePermissions";
 
 export default function AdminRoute() {
   const [ok, setOk] = useState(false);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [permissions, setPermissions] = useState(null);
   const [auth, setAuth] = useAuth();
+  const location = useLocation();
 
   useEffect(() => {
     const authCheck = async () => {
@@ -14,16 +23,30 @@ export default function AdminRoute() {
         const res = await axios.get("/api/v1/auth/admin-auth");
         if (res.data.ok) {
           setOk(true);
+          setPermissions(res.data.permissions || getPermissions(auth?.user));
         } else {
           setOk(false);
         }
       } catch (error) {
         console.error(error);
         setOk(false);
+        // admins without two-factor are sent to enroll first
+        if (error.response?.data?.twoFactorSetupRequired) {
+          toast.error(error.response.data.message);
+          setSetupRequired(true);
+        }
       }
     };
     if (auth?.token) authCheck();
   }, [auth?.token]);
 
+  if (setupRequired) {
+    return <Spinner path="dashboard/user/profile" />;
+  }
+  // staff can reach the dashboard but only the sections their roles grant
+  const section = findAdminSection(location.pathname);
+  if (ok && section && !hasPermission(permissions || [], section.permission)) {
+    return <Spinner path="dashboard/admin" />;
+  }
   return ok ? <Outlet /> : <Spinner />;
 }
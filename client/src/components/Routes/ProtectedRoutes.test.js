@@ -322,5 +322,93 @@ describe("Protected Routes", () => {
       expect(screen.getByTestId("spinner")).toBeInTheDocument();
       expect(screen.queryByTestId("admin-content")).not.toBeInTheDocument();
     });
+
+    /**
+     * Test the admin two-factor policy
+     * When the server requires two-factor enrollment first,
+     * the admin is redirected to their profile to set it up
+     */
+    it("keeps staff out of sections their roles do not grant", async () => {
+      useAuth.mockReturnValue([
+        { user: { id: 2, name: "Packer", role: 0 }, token: "staff-token" },
+        jest.fn(),
+      ]);
+
+      // fulfillment staff may open the dashboard but not manage products
+      axios.get.mockResolvedValueOnce({
+        data: { ok: true, permissions: ["dashboard:access", "orders:read"] },
+      });
+
+      render(
+        <MemoryRouter initialEntries={["/dashboard/admin/create-product"]}>
+          <Routes>
+            <Route path="/dashboard" element={<AdminRoute />}>
+              <Route path="admin/create-product" element={<AdminContent />} />
+            </Route>
+          </Routes>
+        </MemoryRouter>
+      );
+
+      expect(
+        await screen.findByText(/Redirecting to dashboard\/admin/)
+      ).toBeInTheDocument();
+      expect(screen.queryByTestId("admin-content")).not.toBeInTheDocument();
+    });
+
+    it("lets staff into sections their roles grant", async () => {
+      useAuth.mockReturnValue([
+        { user: { id: 2, name: "Packer", role: 0 }, token: "staff-token" },
+        jest.fn(),
+      ]);
+      axios.get.mockResolvedValueOnce({
+        data: { ok: true, permissions: ["dashboard:access", "orders:read"] },
+      });
+
+      render(
+        <MemoryRouter initialEntries={["/dashboard/admin/orders"]}>
+          <Routes>
+            <Route path="/dashboard" element={<AdminRoute />}>
+              <Route path="admin/orders" element={<AdminContent />} />
+            </Route>
+          </Routes>
+        </MemoryRouter>
+      );
+
+      expect(await screen.findByTestId("admin-content")).toBeInTheDocument();
+    });
+
+    it("redirects admins without two-factor to their profile", async () => {
+      useAuth.mockReturnValue([
+        { user: { id: 1, name: "Admin User", role: 1 }, token: "admin-token" },
+        jest.fn(),
+      ]);
+
+      const error = new Error("Request failed with status code 403");
+      error.response = {
+        status: 403,
+        data: {
+          success: false,
+          message: "Two-factor authentication is required for admin accounts",
+          twoFactorSetupRequired: true,
+        },
+      };
+      axios.get.mockRejectedValueOnce(error);
+
+      render(
+        <MemoryRouter initialEntries={["/admin"]}>
+          <Routes>
+            <Route path="/admin" element={<AdminRoute />}>
+              <Route index element={<AdminContent />} />
+            </Route>
+          </Routes>
+        </MemoryRouter>
+      );
+
+      // Spinner should now point at the profile page instead of login
+      expect(
+        await screen.findByText(/Redirecting to dashboard\/user\/profile/)
+      ).toBeInTheDocument();
+      expect(screen.queryByTestId("admin-content")).not.toBeInTheDocument();
+    });
   });
 });
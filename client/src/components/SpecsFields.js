@@ -0,0 +1,91 @@
+import React from "react";
+import FieldError, { invalidClass } from "./FieldError";
+
+// Inputs for a product's specs, built from the attributes of its category.
+// Values are edited as text keyed by attribute key and sent as the JSON
+// `specs` field; the server checks and types them (helpers/attributeHelper.js).
+
+// a saved product's specs as input values
+export const specsInput = (specs) =>
+  Object.fromEntries(
+    Object.entries(specs || {}).map(([key, value]) => [key, String(value)])
+  );
+
+// the `specs` form field: the filled in values of the category's attributes
+export const specsField = (attributes = [], specs = {}) => {
+  const values = new Map(Object.entries(specs));
+  return JSON.stringify(
+    Object.fromEntries(
+      attributes
+        .filter(({ key }) => (values.get(key) ?? "").trim() !== "")
+        .map(({ key }) => [key, values.get(key).trim()])
+    )
+  );
+};
+
+const SpecsFields = ({
+  attributes = [],
+  specs = {},
+  onChange,
+  errors = [],
+}) => {
+  if (!attributes.length) {
+    return null;
+  }
+  const values = new Map(Object.entries(specs));
+  return (
+    <fieldset className="mb-3">
+      <legend className="fs-6">Specifications</legend>
+      {attributes.map((attribute) => {
+        const field = `specs.${attribute.key}`;
+        const label = `${attribute.label}${attribute.required ? " *" : ""}`;
+        const input = {
+          "aria-label": attribute.label,
+          value: values.get(attribute.key) ?? "",
+          onChange: (e) =>
+            onChange({ ...specs, [attribute.key]: e.target.value }, field),
+        };
+        const choices =
+          attribute.type === "boolean"
+            ? [
+                { value: "true", label: "Yes" },
+                { value: "false", label: "No" },
+              ]
+            : (attribute.options || []).map((option) => ({
+                value: option,
+                label: option,
+              }));
+        return (
+          <div className="mb-2" key={attribute.key}>
+            <label className="form-label mb-1">
+              {label}
+              {attribute.unit && ` (${attribute.unit})`}
+            </label>
+            {attribute.type === "enum" || attribute.type === "boolean" ? (
+              <select
+                className={`form-select${invalidClass(errors, field)}`}
+                {...input}
+              >
+                <option value="">Not set</option>
+                {choices.map((choice) => (
+                  <option key={choice.value} value={choice.value}>
+                    {choice.label}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={attribute.type === "number" ? "number" : "text"}
+                className={`form-control${invalidClass(errors, field)}`}
+                {...input}
+              />
+            )}
+            <FieldError errors={errors} field={field} />
+          </div>
+        );
+      })}
+    </fieldset>
+  );
+};
+
+export default SpecsFields;
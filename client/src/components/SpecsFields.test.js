@@ -0,0 +1,78 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import SpecsFields, { specsField, specsInput } from "./SpecsFields";
+
+/**
+ * Unit tests for the product specs inputs
+ *
+ * 1. specsInput / specsField: saved specs to inputs and the JSON form field
+ * 2. one input per attribute of the category, of the attribute's type
+ */
+describe("SpecsFields", () => {
+  const attributes = [
+    { key: "ram", label: "RAM", type: "number", unit: "GB", required: true },
+    { key: "panel", label: "Panel", type: "enum", options: ["IPS", "OLED"] },
+    { key: "touch", label: "Touchscreen", type: "boolean" },
+    { key: "model", label: "Model", type: "text" },
+  ];
+
+  it("sends the filled in values of the category's attributes", () => {
+    expect(specsInput({ ram: 16, touch: false })).toEqual({
+      ram: "16",
+      touch: "false",
+    });
+    expect(specsInput(undefined)).toEqual({});
+    expect(
+      JSON.parse(
+        specsField(attributes, {
+          ram: " 16 ",
+          panel: "",
+          model: "X1",
+          weight: "2",
+        })
+      )
+    ).toEqual({ ram: "16", model: "X1" });
+  });
+
+  it("renders nothing for a category without attributes", () => {
+    const { container } = render(<SpecsFields onChange={jest.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("builds an input of each attribute's type", () => {
+    const onChange = jest.fn();
+    render(
+      <SpecsFields
+        attributes={attributes}
+        specs={{ ram: "8" }}
+        onChange={onChange}
+        errors={[
+          { field: "specs.panel", rule: "oneOf", message: "Pick a panel" },
+        ]}
+      />
+    );
+
+    expect(screen.getByText("RAM * (GB)")).toBeInTheDocument();
+    expect(screen.getByLabelText("RAM")).toHaveAttribute("type", "number");
+    expect(screen.getByLabelText("RAM")).toHaveValue(8);
+    expect(
+      Array.from(screen.getByLabelText("Touchscreen").options).map(
+        (option) => option.text
+      )
+    ).toEqual(["Not set", "Yes", "No"]);
+    expect(screen.getByLabelText("Panel")).toHaveClass("is-invalid");
+    expect(screen.getByTestId("specs.panel-error")).toHaveTextContent(
+      "Pick a panel"
+    );
+
+    fireEvent.change(screen.getByLabelText("Panel"), {
+      target: { value: "OLED" },
+    });
+    expect(onChange).toHaveBeenCalledWith(
+      { ram: "8", panel: "OLED" },
+      "specs.panel"
+    );
+  });
+});
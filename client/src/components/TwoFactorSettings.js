@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { QRCode } from "antd";
+
+// enrollment and management of TOTP two-factor authentication
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+
+  const getStatus = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/2fa");
+      if (data?.success) {
+        setStatus(data);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getStatus();
+  }, []);
+
+  const handleError = (error) => {
+    console.log(error);
+    toast.error(error.response?.data?.message || "Something went wrong");
+  };
+
+  // step 1: get a secret to scan
+  const handleSetup = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/auth/2fa/setup");
+      if (data?.success) {
+        setSetup(data);
+        setCode("");
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  // step 2: prove the authenticator app has it
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/auth/2fa/enable", { code });
+      if (data?.success) {
+        toast.success(data.message);
+        setSetup(null);
+        setCode("");
+        setRecoveryCodes(data.recoveryCodes);
+        getStatus();
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleNewRecoveryCodes = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/auth/2fa/recovery-codes", {
+        code,
+      });
+      if (data?.success) {
+        toast.success(data.message);
+        setCode("");
+        setRecoveryCodes(data.recoveryCodes);
+        getStatus();
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/auth/2fa/disable", {
+        password,
+        code,
+      });
+      if (data?.success) {
+        toast.success(data.message);
+        setCode("");
+        setPassword("");
+        setRecoveryCodes([]);
+        getStatus();
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="form-container mt-4" data-testid="two-factor-settings">
+      <form onSubmit={handleEnable}>
+        <h4 className="title">TWO-FACTOR AUTHENTICATION</h4>
+
+        {status.required && !status.enabled && (
+          <div className="alert alert-warning">
+            Two-factor authentication is required for admin accounts.
+          </div>
+        )}
+
+        {recoveryCodes.length > 0 && (
+          <div className="alert alert-info">
+            <p>
+              Save these recovery codes somewhere safe. Each one can be used
+              once if you lose your authenticator. They will not be shown
+              again.
+            </p>
+            <ul className="list-unstyled mb-0" data-testid="recovery-codes">
+              {recoveryCodes.map((recoveryCode) => (
+                <li key={recoveryCode}>
+                  <code>{recoveryCode}</code>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {!status.enabled && !setup && (
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleSetup}
+          >
+            ENABLE TWO-FACTOR
+          </button>
+        )}
+
+        {setup && (
+          <>
+            <p>
+              Scan this code with your authenticator app, or enter the key{" "}
+              <code data-testid="two-factor-secret">{setup.secret}</code>{" "}
+              manually.
+            </p>
+            <div className="mb-3">
+              <QRCode value={setup.otpauthUrl} type="svg" />
+            </div>
+            <div className="mb-3">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="form-control"
+                placeholder="Enter The 6-Digit Code"
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary">
+              CONFIRM
+            </button>
+          </>
+        )}
+
+        {status.enabled && (
+          <>
+            <p>
+              Two-factor authentication is on.{" "}
+              {status.recoveryCodesRemaining} recovery codes left.
+            </p>
+            <div className="mb-3">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="form-control"
+                placeholder="Enter Your Authentication Code"
+              />
+            </div>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleNewRecoveryCodes}
+            >
+              NEW RECOVERY CODES
+            </button>
+            {!status.required && (
+              <>
+                <div className="mb-3 mt-3">
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="form-control"
+                    placeholder="Confirm Your Password"
+                  />
+                </div>
+                <button
+                  type="button"
+                  className="btn btn-danger"
+                  onClick={handleDisable}
+                >
+                  DISABLE TWO-FACTOR
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,184 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import TwoFactorSettings from "./TwoFactorSettings";
+
+jest.mock("axios");
+jest.mock("react-hot-toast", () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+}));
+
+/**
+ * Unit tests for the TwoFactorSettings component
+ *
+ * Covers the profile page two-factor flows:
+ * 1. Enrollment: setup secret + QR code, confirm with a code, show recovery codes
+ * 2. Management: regenerate recovery codes, disable (unless policy requires it)
+ * 3. Error feedback from the API
+ */
+describe("TwoFactorSettings Component", () => {
+  const status = (overrides = {}) => ({
+    data: {
+      success: true,
+      enabled: false,
+      required: false,
+      recoveryCodesRemaining: 0,
+      ...overrides,
+    },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("renders nothing until the status has loaded", () => {
+    axios.get.mockReturnValue(new Promise(() => {}));
+
+    render(<TwoFactorSettings />);
+
+    expect(screen.queryByTestId("two-factor-settings")).not.toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/2fa");
+  });
+
+  it("enrolls with a scanned secret and shows the recovery codes once", async () => {
+    axios.get
+      .mockResolvedValueOnce(status())
+      .mockResolvedValueOnce(status({ enabled: true, recoveryCodesRemaining: 2 }));
+    axios.post
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          secret: "JBSWY3DPEHPK3PXP",
+          otpauthUrl: "otpauth://totp/Virtual%20Vault:a%40b.com?secret=JBSWY3DPEHPK3PXP",
+        },
+      })
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          message: "Two-factor authentication enabled",
+          recoveryCodes: ["aaaaa-11111", "bbbbb-22222"],
+        },
+      });
+
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(await screen.findByText("ENABLE TWO-FACTOR"));
+
+    expect(await screen.findByTestId("two-factor-secret")).toHaveTextContent(
+      "JBSWY3DPEHPK3PXP"
+    );
+    fireEvent.change(screen.getByPlaceholderText("Enter The 6-Digit Code"), {
+      target: { value: "123456" },
+    });
+    fireEvent.click(screen.getByText("CONFIRM"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/2fa/enable", {
+        code: "123456",
+      });
+    });
+    expect(await screen.findByTestId("recovery-codes")).toHaveTextContent(
+      "aaaaa-11111"
+    );
+    expect(toast.success).toHaveBeenCalledWith(
+      "Two-factor authentication enabled"
+    );
+    expect(
+      await screen.findByText(/2 recovery codes left/)
+    ).toBeInTheDocument();
+  });
+
+  it("warns admins that enrollment is required", async () => {
+    axios.get.mockResolvedValueOnce(status({ required: true }));
+
+    render(<TwoFactorSettings />);
+
+    expect(
+      await screen.findByText(
+        "Two-factor authentication is required for admin accounts."
+      )
+    ).toBeInTheDocument();
+    expect(screen.getByText("ENABLE TWO-FACTOR")).toBeInTheDocument();
+  });
+
+  it("does not offer to disable two-factor when it is required", async () => {
+    axios.get.mockResolvedValueOnce(status({ required: true, enabled: true }));
+
+    render(<TwoFactorSettings />);
+
+    expect(await screen.findByText("NEW RECOVERY CODES")).toBeInTheDocument();
+    expect(screen.queryByText("DISABLE TWO-FACTOR")).not.toBeInTheDocument();
+  });
+
+  it("regenerates recovery codes and disables two-factor", async () => {
+    axios.get.mockResolvedValue(status({ enabled: true, recoveryCodesRemaining: 3 }));
+    axios.post
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          message: "New recovery codes generated",
+          recoveryCodes: ["ccccc-33333"],
+        },
+      })
+      .mockResolvedValueOnce({
+        data: { success: true, message: "Two-factor authentication disabled" },
+      });
+
+    render(<TwoFactorSettings />);
+
+    fireEvent.change(
+      await screen.findByPlaceholderText("Enter Your Authentication Code"),
+      { target: { value: "654321" } }
+    );
+    fireEvent.click(screen.getByText("NEW RECOVERY CODES"));
+
+    expect(await screen.findByTestId("recovery-codes")).toHaveTextContent(
+      "ccccc-33333"
+    );
+    expect(axios.post).toHaveBeenCalledWith(
+      "/api/v1/auth/2fa/recovery-codes",
+      { code: "654321" }
+    );
+
+    fireEvent.change(screen.getByPlaceholderText("Enter Your Authentication Code"), {
+      target: { value: "111111" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Confirm Your Password"), {
+      target: { value: "secret" },
+    });
+    fireEvent.click(screen.getByText("DISABLE TWO-FACTOR"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/2fa/disable", {
+        password: "secret",
+        code: "111111",
+      });
+    });
+    expect(toast.success).toHaveBeenCalledWith(
+      "Two-factor authentication disabled"
+    );
+  });
+
+  it("shows the API error message when a step fails", async () => {
+    axios.get.mockResolvedValueOnce(status({ enabled: true }));
+    const error = new Error("Request failed");
+    error.response = { data: { message: "Invalid authentication code" } };
+    axios.post.mockRejectedValueOnce(error);
+
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(await screen.findByText("NEW RECOVERY CODES"));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith("Invalid authentication code");
+    });
+  });
+});
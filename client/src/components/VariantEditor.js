@@ -0,0 +1,244 @@
+import React from "react";
+import FieldError, { invalidClass } from "./FieldError";
+import { optionValue, variantLabel } from "./ProductOptions";
+
+// Option and variant editing for the admin product forms. Option values are
+// kept as the comma separated text being typed; variantFields() turns the
+// editor state into the JSON form fields the product endpoints expect.
+
+const splitValues = (text) =>
+  text
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const namedOptions = (options) =>
+  options
+    .map(({ name, values }) => ({
+      name: name.trim(),
+      values: splitValues(values),
+    }))
+    .filter(({ name, values }) => name || values.length);
+
+// editor state for a saved product
+export const editableOptions = (options = []) =>
+  options.map(({ name, values }) => ({ name, values: values.join(", ") }));
+
+export const editableVariants = (variants = []) =>
+  variants.map(({ sku, options, price, quantity }) => ({
+    sku,
+    options,
+    price: price ?? "",
+    quantity: quantity ?? "",
+  }));
+
+// the JSON fields for the product form data
+export const variantFields = (options, variants) => ({
+  options: JSON.stringify(namedOptions(options)),
+  variants: JSON.stringify(
+    variants.map(({ sku, options: picked, price, quantity }) => ({
+      sku: sku.trim(),
+      options: picked,
+      ...(String(price).trim() !== "" && { price: String(price).trim() }),
+      quantity: String(quantity).trim(),
+    }))
+  ),
+});
+
+export const variantStock = (variants) =>
+  variants.reduce((total, { quantity }) => total + (Number(quantity) || 0), 0);
+
+// every combination of the option values, keeping what was already entered
+// for combinations that existed before
+export const generateVariants = (options, variants) => {
+  const combinations = namedOptions(options).reduce(
+    (list, { name, values }) =>
+      list.flatMap((picked) =>
+        values.map((value) => ({ ...picked, [name]: value }))
+      ),
+    [{}]
+  );
+  const sameOptions = (a, b) =>
+    Object.keys(a).length === Object.keys(b).length &&
+    Object.keys(a).every(
+      (name) => optionValue(a, name) === optionValue(b, name)
+    );
+  return combinations.map(
+    (picked) =>
+      variants.find((variant) => sameOptions(variant.options, picked)) || {
+        sku: "",
+        options: picked,
+        price: "",
+        quantity: "",
+      }
+  );
+};
+
+const VariantEditor = ({ options, variants, onChange, errors = [] }) => {
+  const setOptions = (next) => onChange({ options: next, variants });
+  const setVariants = (next) => onChange({ options, variants: next });
+
+  const updateOption = (index, change) =>
+    setOptions(
+      options.map((option, i) =>
+        i === index ? { ...option, ...change } : option
+      )
+    );
+  const updateVariant = (index, change) =>
+    setVariants(
+      variants.map((variant, i) =>
+        i === index ? { ...variant, ...change } : variant
+      )
+    );
+
+  return (
+    <div className="mb-3" data-testid="variant-editor">
+      <h5>Options</h5>
+      {options.map((option, index) => (
+        <div className="row g-2 mb-2" key={index}>
+          <div className="col-md-4">
+            <input
+              type="text"
+              value={option.name}
+              placeholder="Option, e.g. Size"
+              aria-label={`Option ${index + 1} name`}
+              className={`form-control${invalidClass(
+                errors,
+                `options[${index}].name`
+              )}`}
+              onChange={(e) => updateOption(index, { name: e.target.value })}
+            />
+            <FieldError errors={errors} field={`options[${index}].name`} />
+          </div>
+          <div className="col-md-6">
+            <input
+              type="text"
+              value={option.values}
+              placeholder="Values, e.g. S, M, L"
+              aria-label={`Option ${index + 1} values`}
+              className={`form-control${invalidClass(
+                errors,
+                `options[${index}].values`
+              )}`}
+              onChange={(e) => updateOption(index, { values: e.target.value })}
+            />
+            <FieldError errors={errors} field={`options[${index}].values`} />
+          </div>
+          <div className="col-md-2">
+            <button
+              type="button"
+              className="btn btn-outline-danger"
+              onClick={() => setOptions(options.filter((_, i) => i !== index))}
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+      <FieldError errors={errors} field="options" />
+      <button
+        type="button"
+        className="btn btn-outline-secondary me-2"
+        onClick={() => setOptions([...options, { name: "", values: "" }])}
+      >
+        Add Option
+      </button>
+      <button
+        type="button"
+        className="btn btn-outline-secondary"
+        disabled={!namedOptions(options).length}
+        onClick={() => setVariants(generateVariants(options, variants))}
+      >
+        Generate Variants
+      </button>
+
+      {variants.length > 0 && (
+        <table className="table mt-3">
+          <thead>
+            <tr>
+              <th scope="col">Variant</th>
+              <th scope="col">SKU</th>
+              <th scope="col">Price</th>
+              <th scope="col">Stock</th>
+              <th scope="col"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {variants.map((variant, index) => {
+              const field = `variants[${index}]`;
+              const label = variantLabel(variant.options);
+              return (
+                <tr key={label}>
+                  <td>
+                    {label}
+                    <FieldError errors={errors} field={`${field}.options`} />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      aria-label={`${label} SKU`}
+                      className={`form-control${invalidClass(
+                        errors,
+                        `${field}.sku`
+                      )}`}
+                      onChange={(e) =>
+                        updateVariant(index, { sku: e.target.value })
+                      }
+                    />
+                    <FieldError errors={errors} field={`${field}.sku`} />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={variant.price}
+                      placeholder="Same as product"
+                      aria-label={`${label} price`}
+                      className={`form-control${invalidClass(
+                        errors,
+                        `${field}.price`
+                      )}`}
+                      onChange={(e) =>
+                        updateVariant(index, { price: e.target.value })
+                      }
+                    />
+                    <FieldError errors={errors} field={`${field}.price`} />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={variant.quantity}
+                      aria-label={`${label} stock`}
+                      className={`form-control${invalidClass(
+                        errors,
+                        `${field}.quantity`
+                      )}`}
+                      onChange={(e) =>
+                        updateVariant(index, { quantity: e.target.value })
+                      }
+                    />
+                    <FieldError errors={errors} field={`${field}.quantity`} />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-outline-danger"
+                      onClick={() =>
+                        setVariants(variants.filter((_, i) => i !== index))
+                      }
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <FieldError errors={errors} field="variants" />
+    </div>
+  );
+};
+
+export default VariantEditor;
@@ -0,0 +1,124 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import VariantEditor, {
+  editableOptions,
+  generateVariants,
+  variantFields,
+  variantStock,
+} from "./VariantEditor";
+
+/**
+ * Unit tests for the VariantEditor component and helpers
+ *
+ * 1. generateVariants: every combination, keeping what was entered
+ * 2. variantFields / variantStock / editableOptions: form data round trip
+ * 3. VariantEditor: editing options and variants, showing server errors
+ */
+describe("VariantEditor Component", () => {
+  const options = [
+    { name: "Color", values: "Red, Blue" },
+    { name: "Size", values: "M" },
+  ];
+  const redM = {
+    sku: "R-M",
+    options: { Color: "Red", Size: "M" },
+    price: "",
+    quantity: "3",
+  };
+
+  it("generates every combination and keeps existing variants", () => {
+    expect(generateVariants(options, [redM])).toEqual([
+      redM,
+      {
+        sku: "",
+        options: { Color: "Blue", Size: "M" },
+        price: "",
+        quantity: "",
+      },
+    ]);
+  });
+
+  it("builds the JSON form fields", () => {
+    const fields = variantFields(
+      [...options, { name: " ", values: "" }],
+      [{ ...redM, sku: " R-M ", price: "21" }]
+    );
+
+    expect(JSON.parse(fields.options)).toEqual([
+      { name: "Color", values: ["Red", "Blue"] },
+      { name: "Size", values: ["M"] },
+    ]);
+    expect(JSON.parse(fields.variants)).toEqual([
+      {
+        sku: "R-M",
+        options: { Color: "Red", Size: "M" },
+        price: "21",
+        quantity: "3",
+      },
+    ]);
+  });
+
+  it("totals the stock and reads saved options back", () => {
+    expect(
+      variantStock([{ quantity: "3" }, { quantity: 2 }, { quantity: "" }])
+    ).toBe(5);
+    expect(editableOptions([{ name: "Size", values: ["S", "M"] }])).toEqual([
+      { name: "Size", values: "S, M" },
+    ]);
+  });
+
+  it("adds options and generates variants", () => {
+    const onChange = jest.fn();
+    const { rerender } = render(
+      <VariantEditor options={[]} variants={[]} onChange={onChange} />
+    );
+
+    expect(
+      screen.getByRole("button", { name: "Generate Variants" })
+    ).toBeDisabled();
+    fireEvent.click(screen.getByRole("button", { name: "Add Option" }));
+    expect(onChange).toHaveBeenLastCalledWith({
+      options: [{ name: "", values: "" }],
+      variants: [],
+    });
+
+    rerender(
+      <VariantEditor options={options} variants={[]} onChange={onChange} />
+    );
+    fireEvent.click(screen.getByRole("button", { name: "Generate Variants" }));
+
+    expect(onChange.mock.calls.at(-1)[0].variants).toHaveLength(2);
+  });
+
+  it("edits a variant and shows its errors", () => {
+    const onChange = jest.fn();
+    render(
+      <VariantEditor
+        options={options}
+        variants={[redM]}
+        onChange={onChange}
+        errors={[
+          {
+            field: "variants[0].sku",
+            rule: "unique",
+            message: 'SKU "R-M" is used by more than one variant',
+          },
+        ]}
+      />
+    );
+
+    expect(screen.getByText("Red / M")).toBeInTheDocument();
+    expect(screen.getByTestId("variants[0].sku-error")).toHaveTextContent(
+      'SKU "R-M" is used by more than one variant'
+    );
+    fireEvent.change(screen.getByLabelText("Red / M stock"), {
+      target: { value: "7" },
+    });
+
+    expect(onChange).toHaveBeenCalledWith({
+      options,
+      variants: [{ ...redM, quantity: "7" }],
+    });
+  });
+});
@@ -18,7 +18,8 @@ jest.mock('axios', () => ({
       use: jest.fn()
     },
     response: {
-      use: jest.fn()
+      use: jest.fn(),
+      eject: jest.fn()
     }
   }
 }));
@@ -591,9 +591,14 @@ describe('Navigation Guards Integration Tests - Phase 2: Security & Navigation L
      */
     it('should render admin menu with correct navigation links', () => {
       // ═══════════════════════════════════════════════════════════════
-      // ARRANGE & ACT: Render AdminMenu
+      // ARRANGE & ACT: Render AdminMenu for an admin
       // ═══════════════════════════════════════════════════════════════
       
+      const { useAuth } = require('../../context/auth');
+      useAuth.mockReturnValue([
+        { user: { name: 'Admin', role: 1 }, token: 'admin-token' },
+        jest.fn(),
+      ]);
       renderWithRouter(<AdminMenu />);
       
       // ═══════════════════════════════════════════════════════════════
@@ -3,6 +3,22 @@ import axios from "axios";
 
 const AuthContext = createContext();
 
+const REFRESH_URL = "/api/v1/auth/refresh";
+
+// one refresh in flight at a time, shared by every request that got a 401
+let refreshPromise = null;
+
+const refreshSession = (refreshToken) => {
+    if (!refreshPromise) {
+        refreshPromise = axios
+            .post(REFRESH_URL, { refreshToken })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
 const AuthProvider = ({ children }) => {
     const [auth, setAuth] = useState({
         user: null,
@@ -21,6 +37,9 @@ const AuthProvider = ({ children }) => {
                     ...auth,
                     user: parseData.user,
                     token: parseData.token,
+                    // set while an admin is viewing the store as this user
+                    impersonator: parseData.impersonator,
+                    impersonationExpiresAt: parseData.impersonationExpiresAt,
                 });
             }
         } catch (error) {
@@ -32,6 +51,58 @@ const AuthProvider = ({ children }) => {
         }
         //eslint-disable-next-line
     }, []);
+
+    // silently trade the refresh token for a new access token when a request gets a 401
+    useEffect(() => {
+        const { interceptors } = axios;
+        const interceptor = interceptors?.response.use(
+            (response) => response,
+            async (error) => {
+                const original = error.config;
+                if (
+                    error.response?.status !== 401 ||
+                    !original ||
+                    original._retry ||
+                    original.url === REFRESH_URL
+                ) {
+                    return Promise.reject(error);
+                }
+                let stored;
+                try {
+                    stored = JSON.parse(localStorage.getItem("auth"));
+                } catch (parseError) {
+                    stored = null;
+                }
+                if (!stored?.refreshToken) {
+                    return Promise.reject(error);
+                }
+                original._retry = true;
+                try {
+                    const { data } = await refreshSession(stored.refreshToken);
+                    const updated = {
+                        ...stored,
+                        token: data.token,
+                        refreshToken: data.refreshToken,
+                    };
+                    localStorage.setItem("auth", JSON.stringify(updated));
+                    axios.defaults.headers.common["Authorization"] = data.token;
+                    setAuth((prev) => ({ ...prev, token: data.token }));
+                    original.headers = {
+                        ...original.headers,
+                        Authorization: data.token,
+                    };
+                    return axios.request(original);
+                } catch (refreshError) {
+                    // refresh token is gone, revoked or reused: sign the user out
+                    localStorage.removeItem("auth");
+                    setAuth({ user: null, token: "" });
+                    return Promise.reject(error);
+                }
+            }
+        );
+        return () => interceptors?.response.eject(interceptor);
+    }, []);
+
     return (
         <AuthContext.Provider value={[auth, setAuth]}>
             {children}
@@ -42,4 +113,4 @@ const AuthProvider = ({ children }) => {
 // custom hook
 const useAuth = () => useContext(AuthContext);
 
-export {useAuth, AuthProvider};
\ No newline at end of file
+export {useAuth, AuthProvider};
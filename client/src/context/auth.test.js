@@ -295,4 +295,133 @@ describe('Authentication Context', () => {
       expect(axios.defaults.headers.common['Authorization']).toBe('');
     });
   });
-});
\ No newline at end of file
+
+  describe('Silent Token Refresh', () => {
+    let onRejected;
+
+    // Render the provider and capture the axios response interceptor it installs
+    const renderProvider = () => {
+      const utils = render(
+        <AuthProvider>
+          <TestComponent />
+        </AuthProvider>
+      );
+      onRejected = axios.interceptors.response.use.mock.calls[0][1];
+      return utils;
+    };
+
+    const unauthorized = (config = { url: '/api/v1/auth/orders', headers: {} }) => ({
+      config,
+      response: { status: 401 },
+    });
+
+    beforeEach(() => {
+      axios.interceptors = {
+        response: { use: jest.fn(() => 7), eject: jest.fn() },
+      };
+      axios.post = jest.fn();
+      axios.request = jest.fn();
+      mockLocalStorage.getItem.mockReturnValue(
+        JSON.stringify({
+          user: { name: 'Stored User' },
+          token: 'expired-token',
+          refreshToken: 'refresh-1',
+        })
+      );
+    });
+
+    afterEach(() => {
+      delete axios.interceptors;
+      delete axios.post;
+      delete axios.request;
+    });
+
+    it('refreshes the session and retries the request after a 401', async () => {
+      axios.post.mockResolvedValue({
+        data: { token: 'fresh-token', refreshToken: 'refresh-2' },
+      });
+      axios.request.mockResolvedValue({ data: 'retried' });
+      renderProvider();
+
+      let result;
+      await act(async () => {
+        result = await onRejected(unauthorized());
+      });
+
+      expect(axios.post).toHaveBeenCalledWith('/api/v1/auth/refresh', {
+        refreshToken: 'refresh-1',
+      });
+      expect(axios.request).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: '/api/v1/auth/orders',
+          _retry: true,
+          headers: { Authorization: 'fresh-token' },
+        })
+      );
+      expect(result).toEqual({ data: 'retried' });
+      expect(JSON.parse(mockLocalStorage.setItem.mock.calls[0][1])).toMatchObject({
+        token: 'fresh-token',
+        refreshToken: 'refresh-2',
+      });
+      expect(screen.getByTestId('token')).toHaveTextContent('fresh-token');
+    });
+
+    it('shares a single refresh between concurrent 401 responses', async () => {
+      axios.post.mockResolvedValue({
+        data: { token: 'fresh-token', refreshToken: 'refresh-2' },
+      });
+      axios.request.mockResolvedValue({});
+      renderProvider();
+
+      await act(async () => {
+        await Promise.all([onRejected(unauthorized()), onRejected(unauthorized())]);
+      });
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('signs the user out when the refresh token is rejected', async () => {
+      axios.post.mockRejectedValue({ response: { status: 401 } });
+      renderProvider();
+      const error = unauthorized();
+
+      await act(async () => {
+        await expect(onRejected(error)).rejects.toBe(error);
+      });
+
+      expect(mockLocalStorage.removeItem).toHaveBeenCalledWith('auth');
+      expect(screen.getByTestId('user-name')).toHaveTextContent('No user');
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    it('passes through errors that are not eligible for a refresh', async () => {
+      renderProvider();
+      const notAuth = { config: { url: '/x' }, response: { status: 500 } };
+      const retried = unauthorized({ url: '/x', _retry: true });
+      const refreshCall = unauthorized({ url: '/api/v1/auth/refresh' });
+
+      await expect(onRejected(notAuth)).rejects.toBe(notAuth);
+      await expect(onRejected(retried)).rejects.toBe(retried);
+      await expect(onRejected(refreshCall)).rejects.toBe(refreshCall);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('does not refresh when no refresh token is stored', async () => {
+      renderProvider();
+      mockLocalStorage.getItem.mockReturnValue('not-json');
+      const error = unauthorized();
+
+      await expect(onRejected(error)).rejects.toBe(error);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('removes the interceptor on unmount', () => {
+      const { unmount } = renderProvider();
+
+      unmount();
+
+      expect(axios.interceptors.response.eject).toHaveBeenCalledWith(7);
+    });
+  });
+});
@@ -2,9 +2,13 @@ import React, { useState, useContext, createContext } from "react";
 
 const SearchContext = createContext();
 const SearchProvider = ({ children }) => {
+  //results is the page of products being shown, out of total matches
   const [auth, setAuth] = useState({
     keyword: "",
     results: [],
+    total: 0,
+    page: 1,
+    pages: 0,
   });
 
   return (
@@ -0,0 +1,72 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// used until the server answers, matches the server defaults
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 72,
+  rules: [
+    {
+      rule: "minLength",
+      min: 8,
+      message: "Password must be at least 8 characters",
+    },
+    {
+      rule: "maxLength",
+      max: 72,
+      message: "Password must be at most 72 characters",
+    },
+    {
+      rule: "lowercase",
+      pattern: "[a-z]",
+      message: "Password must contain a lowercase letter",
+    },
+    {
+      rule: "number",
+      pattern: "[0-9]",
+      message: "Password must contain a number",
+    },
+  ],
+};
+
+// the policy rarely changes, so fetch it once per page load
+let policyRequest = null;
+
+export const resetPasswordPolicyCache = () => {
+  policyRequest = null;
+};
+
+const loadPolicy = async () => {
+  try {
+    const { data } = await axios.get("/api/v1/auth/password-policy");
+    return data?.policy || DEFAULT_PASSWORD_POLICY;
+  } catch (error) {
+    console.log(error);
+    // try again next time
+    policyRequest = null;
+    return DEFAULT_PASSWORD_POLICY;
+  }
+};
+
+const fetchPolicy = () => {
+  if (!policyRequest) {
+    policyRequest = loadPolicy();
+  }
+  return policyRequest;
+};
+
+export default function usePasswordPolicy() {
+  const [policy, setPolicy] = useState(DEFAULT_PASSWORD_POLICY);
+
+  useEffect(() => {
+    let active = true;
+    fetchPolicy().then((fetched) => {
+      if (active) setPolicy(fetched);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return policy;
+}
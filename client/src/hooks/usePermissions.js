@@ -0,0 +1,80 @@
+import { useAuth } from "../context/auth";
+
+// admin dashboard sections and the permission each one needs
+export const ADMIN_SECTIONS = [
+  {
+    path: "/dashboard/admin/create-category",
+    label: "Create Category",
+    permission: "categories:create",
+  },
+  {
+    path: "/dashboard/admin/create-product",
+    label: "Create Product",
+    permission: "products:create",
+  },
+  {
+    path: "/dashboard/admin/products",
+    label: "Products",
+    permission: "products:update",
+  },
+  {
+    path: "/dashboard/admin/import-products",
+    label: "Import / Export",
+    permission: "products:create",
+  },
+  {
+    path: "/dashboard/admin/product",
+    label: "Update Product",
+    permission: "products:update",
+    hidden: true,
+  },
+  {
+    path: "/dashboard/admin/orders",
+    label: "Orders",
+    permission: "orders:read",
+  },
+  {
+    path: "/dashboard/admin/users",
+    label: "Users",
+    permission: "users:read",
+  },
+  {
+    path: "/dashboard/admin/audit-log",
+    label: "Audit Log",
+    permission: "audit:read",
+  },
+  {
+    path: "/dashboard/admin/api-keys",
+    label: "API Keys",
+    permission: "api-keys:manage",
+  },
+];
+
+// sessions from before roles existed only carry the legacy role flag
+export const getPermissions = (user) =>
+  user?.permissions || (user?.role === 1 ? ["*"] : []);
+
+// only super-admins can view the store as a customer
+export const isSuperAdmin = (user) =>
+  user?.roles?.length
+    ? user.roles.includes("super-admin")
+    : user?.role === 1;
+
+export const hasPermission = (permissions, permission) =>
+  permissions.includes("*") || permissions.includes(permission);
+
+export const findAdminSection = (pathname) =>
+  ADMIN_SECTIONS.find(
+    (section) =>
+      pathname === section.path || pathname.startsWith(`${section.path}/`)
+  );
+
+export default function usePermissions() {
+  const [auth] = useAuth();
+  const permissions = getPermissions(auth?.user);
+
+  return {
+    permissions,
+    can: (permission) => hasPermission(permissions, permission),
+  };
+}
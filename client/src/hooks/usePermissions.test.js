@@ -0,0 +1,67 @@
+import { renderHook } from '@testing-library/react';
+import { useAuth } from '../context/auth';
+import usePermissions, {
+  findAdminSection,
+  getPermissions,
+  hasPermission,
+  isSuperAdmin,
+} from './usePermissions';
+
+jest.mock('../context/auth', () => ({
+  useAuth: jest.fn(),
+}));
+
+describe('usePermissions Hook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('uses the permissions returned at login', () => {
+    useAuth.mockReturnValue([
+      { user: { role: 0, permissions: ['orders:read'] }, token: 't' },
+      jest.fn(),
+    ]);
+
+    const { result } = renderHook(() => usePermissions());
+
+    expect(result.current.permissions).toEqual(['orders:read']);
+    expect(result.current.can('orders:read')).toBe(true);
+    expect(result.current.can('products:create')).toBe(false);
+  });
+
+  test('treats legacy admin sessions as having every permission', () => {
+    useAuth.mockReturnValue([{ user: { role: 1 }, token: 't' }, jest.fn()]);
+
+    const { result } = renderHook(() => usePermissions());
+
+    expect(result.current.can('users:update')).toBe(true);
+  });
+
+  test('grants nothing without a user', () => {
+    useAuth.mockReturnValue([{ user: null, token: '' }, jest.fn()]);
+
+    const { result } = renderHook(() => usePermissions());
+
+    expect(result.current.permissions).toEqual([]);
+  });
+
+  test('helpers resolve permissions and admin sections', () => {
+    expect(getPermissions({ role: 0 })).toEqual([]);
+    expect(hasPermission(['*'], 'orders:read')).toBe(true);
+    expect(findAdminSection('/dashboard/admin/product/shirt').permission).toBe(
+      'products:update'
+    );
+    expect(findAdminSection('/dashboard/admin/products').permission).toBe(
+      'products:update'
+    );
+    expect(findAdminSection('/dashboard/admin')).toBeUndefined();
+  });
+
+  test('recognises super-admins by role, or the legacy admin flag', () => {
+    expect(isSuperAdmin({ roles: ['super-admin'] })).toBe(true);
+    expect(isSuperAdmin({ role: 1 })).toBe(true);
+    expect(isSuperAdmin({ role: 1, roles: ['fulfillment'] })).toBe(false);
+    expect(isSuperAdmin({ permissions: ['*'] })).toBe(false);
+    expect(isSuperAdmin(null)).toBe(false);
+  });
+});
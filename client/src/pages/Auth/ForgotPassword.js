@@ -1,24 +1,50 @@
 import React, { useState } from "react";
 import Layout from "./../../components/Layout";
 import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import toast from "react-hot-toast";
 import "../../styles/AuthStyles.css";
 
 const ForgotPassword = () => {
   const [email, setEmail] = useState("");
   const [newPassword, setNewPassword] = useState("");
-  const [answer, setAnswer] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [sent, setSent] = useState(false);
+  const [searchParams] = useSearchParams();
+  // the mailed link brings the user back here with ?token=
+  const token = searchParams.get("token");
 
   const navigate = useNavigate();
 
-  // form function
-  const handleSubmit = async (e) => {
+  // step 1: ask for a reset link
+  const handleRequest = async (e) => {
     e.preventDefault();
     try {
       const res = await axios.post("/api/v1/auth/forgot-password", {
         email,
-        answer,
+      });
+      if (res && res.data.success) {
+        setSent(true);
+        toast.success(res.data.message);
+      } else {
+        toast.error(res.data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  // step 2: redeem the token with a new password
+  const handleReset = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+    try {
+      const res = await axios.post("/api/v1/auth/reset-password", {
+        token,
         newPassword,
       });
       if (res && res.data.success) {
@@ -37,53 +63,79 @@ const ForgotPassword = () => {
       }
     } catch (error) {
       console.log(error);
-      toast.error("Something went wrong");
+      toast.error(error.response?.data?.message || "Something went wrong");
     }
   };
 
+  if (token) {
+    return (
+      <Layout title={"Reset Password - Virtual Vault"}>
+        <div className="form-container" style={{ minHeight: "90vh" }}>
+          <form onSubmit={handleReset}>
+            <h4 className="title">CHOOSE A NEW PASSWORD</h4>
+
+            <div className="mb-3">
+              <input
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className="form-control"
+                id="exampleInputPassword1"
+                placeholder="Enter Your New Password"
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="form-control"
+                id="exampleInputPassword2"
+                placeholder="Confirm Your New Password"
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn btn-primary">
+              RESET
+            </button>
+          </form>
+        </div>
+      </Layout>
+    );
+  }
+
   return (
     <Layout title={"Forgot Password - Virtual Vault"}>
       <div className="form-container" style={{ minHeight: "90vh" }}>
-        <form onSubmit={handleSubmit}>
+        <form onSubmit={handleRequest}>
           <h4 className="title">RESET PASSWORD</h4>
 
-          <div className="mb-3">
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="form-control"
-              id="exampleInputEmail1"
-              placeholder="Enter Your Email "
-              required
-            />
-          </div>
-          <div className="mb-3">
-            <input
-              type="text"
-              value={answer}
-              onChange={(e) => setAnswer(e.target.value)}
-              className="form-control"
-              id="exampleInputAnswer"
-              placeholder="Enter Your Security Answer "
-              required
-            />
-          </div>
-          <div className="mb-3">
-            <input
-              type="password"
-              value={newPassword}
-              onChange={(e) => setNewPassword(e.target.value)}
-              className="form-control"
-              id="exampleInputPassword1"
-              placeholder="Enter Your New Password"
-              required
-            />
-          </div>
+          {sent ? (
+            <p data-testid="reset-link-sent">
+              Check your inbox for a link to reset your password. The link
+              expires soon and can only be used once.
+            </p>
+          ) : (
+            <>
+              <div className="mb-3">
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="form-control"
+                  id="exampleInputEmail1"
+                  placeholder="Enter Your Email "
+                  required
+                />
+              </div>
 
-          <button type="submit" className="btn btn-primary">
-            RESET
-          </button>
+              <button type="submit" className="btn btn-primary">
+                SEND RESET LINK
+              </button>
+            </>
+          )}
         </form>
       </div>
     </Layout>
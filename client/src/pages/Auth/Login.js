@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import Layout from "./../../components/Layout";
 import axios from "axios";
 import { useNavigate, useLocation } from "react-router-dom";
@@ -9,12 +9,56 @@ import { useAuth } from "../../context/auth";
 const Login = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  // seconds until the server accepts another attempt
+  const [retryAfter, setRetryAfter] = useState(0);
+  // second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [auth, setAuth] = useAuth();
   
 
   const navigate = useNavigate();
   const location = useLocation();
-  
+
+  // count down the backoff sent by the server after failed attempts
+  useEffect(() => {
+    if (retryAfter <= 0) return;
+    const timer = setTimeout(() => setRetryAfter((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryAfter]);
+
+  const completeLogin = (data) => {
+    toast.success(data.message || "Login successful", {
+        duration: 5000,
+        icon: "🙏",
+        style: {
+          background: "green",
+          color: "white",
+        },
+      });
+    setAuth({
+        ...auth,
+        user: data.user,
+        token: data.token,
+    });
+    localStorage.setItem("auth", JSON.stringify(data));
+    navigate(location.state || "/");
+  };
+
+  const handleError = (error) => {
+    console.log(error);
+    // Bug Fix: Improved error handling based on unit test findings
+    // Unit tests revealed need for more robust error message extraction
+    // Now safely extracts error message from response or provides fallback
+    const errorMessage = error.response?.data?.message || "Something went wrong";
+    const wait = Number(error.response?.data?.retryAfter) || 0;
+    setRetryAfter(wait);
+    // a throttled attempt is explained by the countdown alone
+    if (!wait) {
+      toast.error(errorMessage);
+    }
+  };
 
   // form function
   const handleSubmit = async (e) => {
@@ -24,34 +68,103 @@ const Login = () => {
         email,
         password,
       });
+      if (res && res.data && res.data.twoFactorRequired) {
+        setChallengeToken(res.data.challengeToken);
+        setCode("");
+      } else if (res && res.data && res.data.success) {
+        completeLogin(res.data);
+      } else {
+        toast.error(res.data?.message || "Login failed");
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  // second step: authenticator or recovery code
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post("/api/v1/auth/login/2fa", {
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+      });
       if (res && res.data && res.data.success) {
-        toast.success(res.data.message || "Login successful", {
-            duration: 5000,
-            icon: "🙏",
-            style: {
-              background: "green",
-              color: "white",
-            },
-          });
-        setAuth({
-            ...auth,
-            user: res.data.user,
-            token: res.data.token,
-        });
-        localStorage.setItem("auth", JSON.stringify(res.data));
-        navigate(location.state || "/");
+        completeLogin(res.data);
       } else {
         toast.error(res.data?.message || "Login failed");
       }
     } catch (error) {
-      console.log(error);
-      // Bug Fix: Improved error handling based on unit test findings
-      // Unit tests revealed need for more robust error message extraction
-      // Now safely extracts error message from response or provides fallback
-      const errorMessage = error.response?.data?.message || "Something went wrong";
-      toast.error(errorMessage);
+      handleError(error);
     }
   };
+
+  const retryNotice = retryAfter > 0 && (
+    <p className="text-danger" data-testid="login-retry-after">
+      Too many failed attempts. Try again in {retryAfter}s
+    </p>
+  );
+
+  if (challengeToken) {
+    return (
+      <Layout title="Login - Ecommerce App">
+        <div className="form-container " style={{ minHeight: "90vh" }}>
+          <form onSubmit={handleVerify}>
+            <h4 className="title">TWO-FACTOR VERIFICATION</h4>
+
+            <div className="mb-3">
+              <input
+                type="text"
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="form-control"
+                id="twoFactorCode"
+                placeholder={
+                  useRecoveryCode
+                    ? "Enter A Recovery Code"
+                    : "Enter Your Authentication Code"
+                }
+                required
+              />
+            </div>
+            <div className="mb-3">
+              <button
+                type="button"
+                className="btn forgot-btn"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode("");
+                }}
+              >
+                {useRecoveryCode ? "Use Authenticator Code" : "Use A Recovery Code"}
+              </button>
+            </div>
+
+            {retryNotice}
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={retryAfter > 0}
+            >
+              VERIFY
+            </button>
+            <button
+              type="button"
+              className="btn forgot-btn mt-3"
+              onClick={() => setChallengeToken("")}
+            >
+              Back To Login
+            </button>
+          </form>
+        </div>
+      </Layout>
+    );
+  }
+
   return (
     <Layout title="Login - Ecommerce App">
       <div className="form-container " style={{ minHeight: "90vh" }}>
@@ -93,7 +206,13 @@ const Login = () => {
             </button>
           </div>
 
-          <button type="submit" className="btn btn-primary">
+          {retryNotice}
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={retryAfter > 0}
+          >
             LOGIN
           </button>
         </form>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, fireEvent, waitFor } from '@testing-library/react';
+import { render, fireEvent, waitFor, act } from '@testing-library/react';
 import axios from 'axios';
 import { MemoryRouter, Routes, Route } from 'react-router-dom';
 import '@testing-library/jest-dom/extend-expect';
@@ -15,6 +15,8 @@ import Login from './Login';
  * 3. API integration for authentication
  * 4. Success/error handling and notifications
  * 5. Navigation flows
+ * 6. Retry-after countdown when the server throttles login attempts
+ * 7. Two-factor verification step for accounts with 2FA enabled
  * 
  * Test Strategy: State-based and Communication-based testing
  * - State-based: Form state changes, input validation
@@ -250,6 +252,162 @@ describe('Login Component', () => {
         });
     });
 
+    /**
+     * Test throttled login feedback
+     * Test Type: State-based (countdown state driven by the server's retryAfter)
+     * The button stays disabled until the countdown reaches zero
+     */
+    it('shows a countdown and disables login while throttled', async () => {
+        jest.useFakeTimers();
+        const errorResponse = new Error('Request failed with status code 429');
+        errorResponse.response = {
+            status: 429,
+            data: {
+                success: false,
+                message: "Too many failed login attempts. Please try again later.",
+                retryAfter: 2,
+            },
+        };
+        axios.post.mockRejectedValueOnce(errorResponse);
+
+        const { getByPlaceholderText, getByText, findByTestId, queryByTestId } = render(
+            <MemoryRouter initialEntries={['/login']}>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+        fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'wrongpassword' } });
+        fireEvent.click(getByText('LOGIN'));
+
+        // Verify the countdown starts from the server's hint
+        expect(await findByTestId('login-retry-after')).toHaveTextContent('Try again in 2s');
+        expect(getByText('LOGIN')).toBeDisabled();
+        // Verify the countdown is the only feedback, without a toast on top
+        expect(toast.error).not.toHaveBeenCalled();
+
+        act(() => {
+            jest.advanceTimersByTime(1000);
+        });
+        expect(queryByTestId('login-retry-after')).toHaveTextContent('Try again in 1s');
+
+        act(() => {
+            jest.advanceTimersByTime(1000);
+        });
+        // Verify the form is usable again once the wait is over
+        expect(queryByTestId('login-retry-after')).not.toBeInTheDocument();
+        expect(getByText('LOGIN')).not.toBeDisabled();
+        jest.useRealTimers();
+    });
+
+    /**
+     * Test the two-factor login step
+     * Test Type: Communication-based (challenge token passed to the second request)
+     * A correct password for a 2FA account only returns a challenge; the
+     * session is issued once the authenticator code is verified
+     */
+    it('asks for an authentication code when two-factor is enabled', async () => {
+        axios.post
+            .mockResolvedValueOnce({
+                data: {
+                    success: true,
+                    twoFactorRequired: true,
+                    message: 'Enter your authentication code',
+                    challengeToken: 'challenge.token',
+                },
+            })
+            .mockResolvedValueOnce({
+                data: {
+                    success: true,
+                    message: 'login successfully',
+                    user: { id: 1, name: 'Admin', email: 'admin@example.com' },
+                    token: 'mockToken',
+                    refreshToken: 'mockRefresh',
+                },
+            });
+
+        const { getByPlaceholderText, getByText, findByText } = render(
+            <MemoryRouter initialEntries={['/login']}>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'admin@example.com' } });
+        fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'password123' } });
+        fireEvent.click(getByText('LOGIN'));
+
+        // Verify no session is stored after the first step
+        expect(await findByText('TWO-FACTOR VERIFICATION')).toBeInTheDocument();
+        expect(window.localStorage.setItem).not.toHaveBeenCalled();
+
+        fireEvent.change(getByPlaceholderText('Enter Your Authentication Code'), { target: { value: '123456' } });
+        fireEvent.click(getByText('VERIFY'));
+
+        await waitFor(() => {
+            expect(axios.post).toHaveBeenLastCalledWith('/api/v1/auth/login/2fa', {
+                challengeToken: 'challenge.token',
+                code: '123456',
+            });
+        });
+        await waitFor(() => {
+            expect(window.localStorage.setItem).toHaveBeenCalledWith(
+                'auth',
+                expect.stringContaining('mockToken')
+            );
+        });
+    });
+
+    /**
+     * Test recovery code fallback and failed verification
+     * Test Type: Communication-based (recovery code sent instead of a TOTP code)
+     */
+    it('sends a recovery code and shows errors from the second step', async () => {
+        const errorResponse = new Error('Request failed with status code 401');
+        errorResponse.response = {
+            status: 401,
+            data: { success: false, message: 'Invalid authentication code' },
+        };
+        axios.post
+            .mockResolvedValueOnce({
+                data: { success: true, twoFactorRequired: true, challengeToken: 'challenge.token' },
+            })
+            .mockRejectedValueOnce(errorResponse);
+
+        const { getByPlaceholderText, getByText, findByText } = render(
+            <MemoryRouter initialEntries={['/login']}>
+                <Routes>
+                    <Route path="/login" element={<Login />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'admin@example.com' } });
+        fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'password123' } });
+        fireEvent.click(getByText('LOGIN'));
+
+        fireEvent.click(await findByText('Use A Recovery Code'));
+        fireEvent.change(getByPlaceholderText('Enter A Recovery Code'), { target: { value: 'abcde-12345' } });
+        fireEvent.click(getByText('VERIFY'));
+
+        await waitFor(() => {
+            expect(axios.post).toHaveBeenLastCalledWith('/api/v1/auth/login/2fa', {
+                challengeToken: 'challenge.token',
+                recoveryCode: 'abcde-12345',
+            });
+        });
+        await waitFor(() => {
+            expect(toast.error).toHaveBeenCalledWith('Invalid authentication code');
+        });
+
+        // Going back returns to the password form
+        fireEvent.click(getByText('Back To Login'));
+        expect(getByText('LOGIN FORM')).toBeInTheDocument();
+    });
+
     /**
      * Test navigation functionality for password recovery
      * Test Type: Communication-based (routing and navigation)
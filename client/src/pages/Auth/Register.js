@@ -3,6 +3,12 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
+import PasswordStrengthMeter from "../../components/PasswordStrengthMeter";
+import FieldError, {
+  fieldErrors,
+  invalidClass,
+  withoutField,
+} from "../../components/FieldError";
 import "../../styles/AuthStyles.css";
 const Register = () => {
   const [name, setName] = useState("");
@@ -11,9 +17,15 @@ const Register = () => {
   const [phone, setPhone] = useState("");
   const [address, setAddress] = useState("");
   const [DOB, setDOB] = useState("");
-  const [answer, setAnswer] = useState("");
+  const [errors, setErrors] = useState([]);
   const navigate = useNavigate();
 
+  // update a field and clear what the server said about it
+  const setField = (setter, field) => (e) => {
+    setter(e.target.value);
+    setErrors((current) => withoutField(current, field));
+  };
+
   // form function
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -25,7 +37,6 @@ const Register = () => {
         phone,
         address,
         DOB,
-        answer,
       });
       if (res && res.data.success) {
         toast.success("Register Successfully, please login");
@@ -35,6 +46,13 @@ const Register = () => {
       }
     } catch (error) {
       console.log(error);
+      // validation errors are shown next to the fields they belong to
+      const validationErrors = error.response?.data?.errors;
+      if (validationErrors?.length) {
+        setErrors(validationErrors);
+        toast.error(error.response.data.message);
+        return;
+      }
       // Bug Fix: Security-conscious error handling based on unit test findings
       // Unit tests confirmed this generic error message prevents information disclosure
       // Avoids revealing whether users exist or specific validation failures
@@ -51,57 +69,73 @@ const Register = () => {
             <input
               type="text"
               value={name}
-              onChange={(e) => setName(e.target.value)}
-              className="form-control"
+              onChange={setField(setName, "name")}
+              className={`form-control${invalidClass(errors, "name")}`}
               id="exampleInputName1"
               placeholder="Enter Your Name"
               required
               autoFocus
             />
+            <FieldError errors={errors} field="name" />
           </div>
           <div className="mb-3">
             <input
               type="email"
               value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="form-control"
+              onChange={setField(setEmail, "email")}
+              className={`form-control${invalidClass(errors, "email")}`}
               id="exampleInputEmail1"
               placeholder="Enter Your Email "
               required
             />
+            <FieldError errors={errors} field="email" />
           </div>
           <div className="mb-3">
             <input
               type="password"
               value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="form-control"
+              onChange={setField(setPassword, "password")}
+              className={`form-control${invalidClass(errors, "password")}`}
               id="exampleInputPassword1"
               placeholder="Enter Your Password"
               required
             />
+            <PasswordStrengthMeter password={password} />
+            {/* the password policy explains itself, rule by rule */}
+            {fieldErrors(errors, "password").length > 0 && (
+              <ul
+                className="list-unstyled small text-danger mb-0"
+                data-testid="password-errors"
+              >
+                {fieldErrors(errors, "password").map(({ rule, message }) => (
+                  <li key={rule}>{message}</li>
+                ))}
+              </ul>
+            )}
           </div>
           <div className="mb-3">
             <input
               type="text"
               value={phone}
-              onChange={(e) => setPhone(e.target.value)}
-              className="form-control"
+              onChange={setField(setPhone, "phone")}
+              className={`form-control${invalidClass(errors, "phone")}`}
               id="exampleInputPhone1"
               placeholder="Enter Your Phone"
               required
             />
+            <FieldError errors={errors} field="phone" />
           </div>
           <div className="mb-3">
             <input
               type="text"
               value={address}
-              onChange={(e) => setAddress(e.target.value)}
-              className="form-control"
+              onChange={setField(setAddress, "address")}
+              className={`form-control${invalidClass(errors, "address")}`}
               id="exampleInputaddress1"
               placeholder="Enter Your Address"
               required
             />
+            <FieldError errors={errors} field="address" />
           </div>
           <div className="mb-3">
             <input
@@ -114,17 +148,6 @@ const Register = () => {
               required
             />
           </div>
-          <div className="mb-3">
-            <input
-              type="text"
-              value={answer}
-              onChange={(e) => setAnswer(e.target.value)}
-              className="form-control"
-              id="exampleInputanswer1"
-              placeholder="What is Your Favorite sports"
-              required
-            />
-          </div>
           <button type="submit" className="btn btn-primary">
             REGISTER
           </button>
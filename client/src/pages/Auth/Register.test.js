@@ -113,7 +113,6 @@ describe('Register Component', () => {
    * - Phone: "1234567890"
    * - Address: "123 Street"
    * - DOB: "2000-01-01"
-   * - Security Answer: "Football"
    * 
    * Bug Status: ✅ No bugs found - registration form handles all fields correctly
    */
@@ -134,7 +133,6 @@ describe('Register Component', () => {
     fireEvent.change(getByPlaceholderText('Enter Your Phone'), { target: { value: '1234567890' } });
     fireEvent.change(getByPlaceholderText('Enter Your Address'), { target: { value: '123 Street' } });
     fireEvent.change(getByPlaceholderText('Enter Your DOB'), { target: { value: '2000-01-01' } });
-    fireEvent.change(getByPlaceholderText('What is Your Favorite sports'), { target: { value: 'Football' } });
 
     fireEvent.click(getByText('REGISTER'));
 
@@ -178,11 +176,118 @@ describe('Register Component', () => {
     fireEvent.change(getByPlaceholderText('Enter Your Phone'), { target: { value: '1234567890' } });
     fireEvent.change(getByPlaceholderText('Enter Your Address'), { target: { value: '123 Street' } });
     fireEvent.change(getByPlaceholderText('Enter Your DOB'), { target: { value: '2000-01-01' } });
-    fireEvent.change(getByPlaceholderText('What is Your Favorite sports'), { target: { value: 'Football' } });
 
     fireEvent.click(getByText('REGISTER'));
 
     await waitFor(() => expect(axios.post).toHaveBeenCalled());
     expect(toast.error).toHaveBeenCalledWith('Something went wrong');
   });
+
+  /**
+   * Test: Password Policy Feedback
+   *
+   * Test Type: Communication-based (structured 422 response)
+   * Purpose: The server's password policy errors are listed under the
+   * password field, unlike other failures which stay generic
+   *
+   * Test Scenario:
+   * - Mock API to reject with the validation { message, errors } body
+   * - Verify each broken rule is listed and the first is toasted
+   * - Editing the password clears the list
+   */
+  it('should list password policy errors returned by the server', async () => {
+    axios.post.mockRejectedValueOnce({
+      response: {
+        status: 422,
+        data: {
+          success: false,
+          message: 'Password is too common or has appeared in a data breach',
+          errors: [
+            {
+              field: 'password',
+              rule: 'common',
+              message: 'Password is too common or has appeared in a data breach',
+            },
+          ],
+        },
+      },
+    });
+
+    const { getByText, getByPlaceholderText, getByTestId, queryByTestId } = render(
+        <MemoryRouter initialEntries={['/register']}>
+          <Routes>
+            <Route path="/register" element={<Register />} />
+          </Routes>
+        </MemoryRouter>
+      );
+
+    fireEvent.change(getByPlaceholderText('Enter Your Name'), { target: { value: 'John Doe' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'test@example.com' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'password123' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Phone'), { target: { value: '1234567890' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Address'), { target: { value: '123 Street' } });
+    fireEvent.change(getByPlaceholderText('Enter Your DOB'), { target: { value: '2000-01-01' } });
+
+    fireEvent.click(getByText('REGISTER'));
+
+    await waitFor(() => expect(getByTestId('password-errors')).toHaveTextContent(
+      'Password is too common or has appeared in a data breach'
+    ));
+    expect(toast.error).toHaveBeenCalledWith('Password is too common or has appeared in a data breach');
+
+    fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'Tr1cky-horse' } });
+    expect(queryByTestId('password-errors')).not.toBeInTheDocument();
+  });
+  /**
+   * Test: Inline Field Errors
+   *
+   * Test Type: Communication-based (structured 400 response)
+   * Purpose: Every field the server rejected is marked and explained under
+   * its own input, and the message goes away once that field is edited
+   */
+  it('should show validation errors next to the fields they belong to', async () => {
+    axios.post.mockRejectedValueOnce({
+      response: {
+        status: 400,
+        data: {
+          success: false,
+          message: 'Email must be a valid email address',
+          errors: [
+            { field: 'email', rule: 'type', message: 'Email must be a valid email address' },
+            { field: 'phone', rule: 'maxLength', message: 'Phone must have at most 20 characters' },
+          ],
+        },
+      },
+    });
+
+    const { getByText, getByPlaceholderText, getByTestId, queryByTestId } = render(
+        <MemoryRouter initialEntries={['/register']}>
+          <Routes>
+            <Route path="/register" element={<Register />} />
+          </Routes>
+        </MemoryRouter>
+      );
+
+    fireEvent.change(getByPlaceholderText('Enter Your Name'), { target: { value: 'John Doe' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'john@example' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Password'), { target: { value: 'Tr1cky-horse' } });
+    fireEvent.change(getByPlaceholderText('Enter Your Phone'), { target: { value: '1'.repeat(21) } });
+    fireEvent.change(getByPlaceholderText('Enter Your Address'), { target: { value: '123 Street' } });
+    fireEvent.change(getByPlaceholderText('Enter Your DOB'), { target: { value: '2000-01-01' } });
+
+    fireEvent.click(getByText('REGISTER'));
+
+    await waitFor(() => expect(getByTestId('email-error')).toHaveTextContent(
+      'Email must be a valid email address'
+    ));
+    expect(getByTestId('phone-error')).toHaveTextContent('Phone must have at most 20 characters');
+    expect(getByPlaceholderText('Enter Your Email')).toHaveClass('is-invalid');
+    expect(getByPlaceholderText('Enter Your Name')).not.toHaveClass('is-invalid');
+    expect(queryByTestId('password-errors')).not.toBeInTheDocument();
+    expect(toast.error).toHaveBeenCalledWith('Email must be a valid email address');
+
+    fireEvent.change(getByPlaceholderText('Enter Your Email'), { target: { value: 'john@example.com' } });
+    expect(queryByTestId('email-error')).not.toBeInTheDocument();
+    expect(getByTestId('phone-error')).toBeInTheDocument();
+  });
 });
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from "react";
+import Layout from "./../../components/Layout";
+import axios from "axios";
+import { Link, useSearchParams } from "react-router-dom";
+import { useAuth } from "../../context/auth";
+import "../../styles/AuthStyles.css";
+
+// landing page for the link mailed on registration
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [status, setStatus] = useState(token ? "pending" : "error");
+  const [message, setMessage] = useState(
+    token ? "" : "This verification link is missing its token."
+  );
+  const [auth, setAuth] = useAuth();
+
+  useEffect(() => {
+    if (!token) return;
+    const verify = async () => {
+      try {
+        const { data } = await axios.post("/api/v1/auth/verify-email", {
+          token,
+        });
+        setStatus("done");
+        setMessage(data.message);
+        // drop the banner for a signed in user straight away
+        if (auth?.user) {
+          const user = { ...auth.user, emailVerified: true };
+          setAuth({ ...auth, user });
+          try {
+            const ls = JSON.parse(localStorage.getItem("auth"));
+            if (ls) {
+              localStorage.setItem("auth", JSON.stringify({ ...ls, user }));
+            }
+          } catch (error) {
+            console.log(error);
+          }
+        }
+      } catch (error) {
+        console.log(error);
+        setStatus("error");
+        setMessage(error.response?.data?.message || "Something went wrong");
+      }
+    };
+    verify();
+    //eslint-disable-next-line
+  }, [token]);
+
+  return (
+    <Layout title={"Verify Email - Virtual Vault"}>
+      <div className="form-container" style={{ minHeight: "90vh" }}>
+        <div className="text-center">
+          <h4 className="title">VERIFY EMAIL</h4>
+          {status === "pending" ? (
+            <p>Verifying your email address...</p>
+          ) : (
+            <p data-testid="verify-email-status">{message}</p>
+          )}
+          {status === "done" && (
+            <Link to={auth?.user ? "/" : "/login"} className="btn btn-primary">
+              {auth?.user ? "CONTINUE SHOPPING" : "LOGIN"}
+            </Link>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import '@testing-library/jest-dom/extend-expect';
+import axios from 'axios';
+import VerifyEmail from './VerifyEmail';
+import { useAuth } from '../../context/auth';
+
+/**
+ * Unit tests for VerifyEmail component
+ *
+ * The page is opened from the link mailed on registration:
+ * 1. Redeems the ?token= with the API
+ * 2. Shows the server's success or error message
+ * 3. Marks a signed in user as verified so the Header banner disappears
+ */
+
+jest.mock('axios');
+jest.mock('../../components/Layout', () => ({ children }) => <div>{children}</div>);
+jest.mock('../../context/auth', () => ({
+  useAuth: jest.fn(),
+}));
+
+const renderAt = (url) =>
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <Routes>
+        <Route path="/verify-email" element={<VerifyEmail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('VerifyEmail Component', () => {
+  const setAuth = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    useAuth.mockReturnValue([{ user: null, token: '' }, setAuth]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('verifies the token and points signed out users to login', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { success: true, message: 'Email verified successfully' },
+    });
+
+    renderAt('/verify-email?token=abc');
+
+    expect(screen.getByText('Verifying your email address...')).toBeInTheDocument();
+    expect(await screen.findByTestId('verify-email-status')).toHaveTextContent(
+      'Email verified successfully'
+    );
+    expect(axios.post).toHaveBeenCalledWith('/api/v1/auth/verify-email', {
+      token: 'abc',
+    });
+    expect(screen.getByText('LOGIN')).toBeInTheDocument();
+    expect(setAuth).not.toHaveBeenCalled();
+  });
+
+  it('marks a signed in user as verified', async () => {
+    const user = { name: 'John', emailVerified: false };
+    useAuth.mockReturnValue([{ user, token: 't' }, setAuth]);
+    localStorage.setItem('auth', JSON.stringify({ user, token: 't' }));
+    axios.post.mockResolvedValueOnce({
+      data: { success: true, message: 'Email verified successfully' },
+    });
+
+    renderAt('/verify-email?token=abc');
+
+    await waitFor(() => {
+      expect(setAuth).toHaveBeenCalledWith({
+        user: { name: 'John', emailVerified: true },
+        token: 't',
+      });
+    });
+    expect(JSON.parse(localStorage.getItem('auth')).user.emailVerified).toBe(true);
+    expect(screen.getByText('CONTINUE SHOPPING')).toBeInTheDocument();
+  });
+
+  it('shows the error for an invalid or expired link', async () => {
+    const error = new Error('Request failed');
+    error.response = {
+      data: { message: 'Verification link is invalid or has expired' },
+    };
+    axios.post.mockRejectedValueOnce(error);
+
+    renderAt('/verify-email?token=stale');
+
+    expect(await screen.findByTestId('verify-email-status')).toHaveTextContent(
+      'Verification link is invalid or has expired'
+    );
+    expect(screen.queryByText('LOGIN')).not.toBeInTheDocument();
+  });
+
+  it('does not call the API without a token', () => {
+    renderAt('/verify-email');
+
+    expect(screen.getByTestId('verify-email-status')).toHaveTextContent(
+      'This verification link is missing its token.'
+    );
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -86,7 +86,6 @@ const fillRegistrationForm = (customData = {}) => {
     phone: '1234567890',
     address: '123 Main St',
     DOB: '1990-01-01',
-    answer: 'Football',
   };
   
   const data = { ...defaultData, ...customData };
@@ -109,9 +108,6 @@ const fillRegistrationForm = (customData = {}) => {
   fireEvent.change(screen.getByPlaceholderText(/enter your dob/i), {
     target: { value: data.DOB },
   });
-  fireEvent.change(screen.getByPlaceholderText(/what is your favorite sports/i), {
-    target: { value: data.answer },
-  });
   
   return data;
 };
@@ -162,7 +158,6 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
           phone: formData.phone,
           address: formData.address,
           DOB: formData.DOB,
-          answer: formData.answer,
         });
       });
       
@@ -173,7 +168,7 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
       expect(mockNavigate).toHaveBeenCalledWith('/login');
     });
 
-    test('should send all 7 required fields to registration API', async () => {
+    test('should send all 6 required fields to registration API', async () => {
       // Arrange
       axios.post.mockResolvedValue({
         data: { success: true, message: 'Registration successful' },
@@ -189,7 +184,6 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
         phone: '9876543210',
         address: '456 Oak Ave',
         DOB: '1995-05-15',
-        answer: 'Basketball',
       });
       submitRegistrationForm();
       
@@ -204,7 +198,6 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
           phone: '9876543210',
           address: '456 Oak Ave',
           DOB: '1995-05-15',
-          answer: 'Basketball',
         });
       });
     });
@@ -304,7 +297,7 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
   // ==================== Test Group 3: Form Validation Integration ====================
   describe('Integration Test #3: Form Validation Integration', () => {
     
-    test('should require all 7 fields to submit form', () => {
+    test('should require all 6 fields to submit form', () => {
       // Arrange
       renderRegisterWithRouter();
       
@@ -315,7 +308,6 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
       expect(screen.getByPlaceholderText(/enter your phone/i)).toBeRequired();
       expect(screen.getByPlaceholderText(/enter your address/i)).toBeRequired();
       expect(screen.getByPlaceholderText(/enter your dob/i)).toBeRequired();
-      expect(screen.getByPlaceholderText(/what is your favorite sports/i)).toBeRequired();
     });
 
     test('should validate email format', () => {
@@ -506,10 +498,10 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
     });
   });
 
-  // ==================== Test Group 7: Security Answer Integration ====================
-  describe('Integration Test #7: Security Answer Integration', () => {
+  // ==================== Test Group 7: No Security Question ====================
+  describe('Integration Test #7: No Security Question', () => {
     
-    test('should include security answer in registration payload', async () => {
+    test('should not send a security answer in the registration payload', async () => {
       // Arrange
       axios.post.mockResolvedValue({
         data: { success: true, message: 'Registration successful' },
@@ -517,29 +509,23 @@ describe('Register Component Integration Tests - Phase 3: Business Logic Layer',
       
       renderRegisterWithRouter();
       
-      // Act: Fill form with specific security answer
-      fillRegistrationForm({ answer: 'Cricket' });
+      // Act
+      fillRegistrationForm();
       submitRegistrationForm();
       
-      // Assert: Security answer included in API call
+      // Assert: password resets use mailed tokens, so no answer is collected
       await waitFor(() => {
-        expect(axios.post).toHaveBeenCalledWith(
-          '/api/v1/auth/register',
-          expect.objectContaining({
-            answer: 'Cricket',
-          })
-        );
+        expect(axios.post).toHaveBeenCalled();
       });
+      expect(axios.post.mock.calls[0][1]).not.toHaveProperty('answer');
     });
 
-    test('should display security question placeholder text', () => {
+    test('should not ask the security question', () => {
       // Arrange & Act
       renderRegisterWithRouter();
       
-      // Assert: Security question placeholder visible
-      const answerInput = screen.getByPlaceholderText(/what is your favorite sports/i);
-      expect(answerInput).toBeInTheDocument();
-      expect(answerInput).toBeRequired();
+      // Assert
+      expect(screen.queryByPlaceholderText(/what is your favorite sports/i)).not.toBeInTheDocument();
     });
   });
 });
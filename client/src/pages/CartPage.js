@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
+import { formatAddress } from "../components/AddressBook";
+import { variantLabel } from "../components/ProductOptions";
+import ProductPhoto from "../components/ProductPhoto";
 import { useCart } from "../context/cart";
 import { useAuth } from "../context/auth";
 import { useNavigate } from "react-router-dom";
@@ -15,6 +18,8 @@ const CartPage = () => {
   const [clientToken, setClientToken] = useState("");
   const [instance, setInstance] = useState("");
   const [loading, setLoading] = useState(false);
+  const [addresses, setAddresses] = useState([]);
+  const [addressId, setAddressId] = useState("");
   const navigate = useNavigate();
 
   //total price
@@ -59,6 +64,24 @@ const CartPage = () => {
     getToken();
   }, [auth?.token]);
 
+  //saved addresses, the default one is preselected
+  const getAddresses = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/addresses");
+      if (data?.success) {
+        setAddresses(data.addresses);
+        const preferred =
+          data.addresses.find((a) => a.isDefault) || data.addresses[0];
+        setAddressId(preferred?._id || "");
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+  useEffect(() => {
+    if (auth?.token) getAddresses();
+  }, [auth?.token]);
+
   //handle payments
   const handlePayment = async () => {
     try {
@@ -67,6 +90,7 @@ const CartPage = () => {
       const { data } = await axios.post("/api/v1/product/braintree/payment", {
         nonce,
         cart,
+        addressId,
       });
       setLoading(false);
       
@@ -85,7 +109,9 @@ const CartPage = () => {
       setLoading(false);
       
       // Handle error response from backend
-      if (error.response?.data?.declined) {
+      if (error.response?.data?.emailVerificationRequired) {
+        toast.error(error.response.data.message);
+      } else if (error.response?.data?.declined) {
         toast.error(error.response.data.error || "Payment declined. Please check your card details.");
       } else if (error.response?.data?.error) {
         toast.error(error.response.data.error);
@@ -119,8 +145,9 @@ const CartPage = () => {
               {cart?.map((p) => (
                 <div className="row card flex-row" key={p._id}>
                   <div className="col-md-4">
-                    <img
-                      src={`/api/v1/product/product-photo/${p._id}`}
+                    <ProductPhoto
+                      productId={p._id}
+                      size={300}
                       className="card-img-top"
                       alt={p.name}
                       width="100%"
@@ -129,6 +156,11 @@ const CartPage = () => {
                   </div>
                   <div className="col-md-4">
                     <p className="card-title">{p.name}</p>
+                    {p.variant && (
+                      <p className="card-text" data-testid="cart-variant">
+                        {variantLabel(p.variant.options)}
+                      </p>
+                    )}
                     <p className="card-text">{p.description.substring(0, 30)}</p>
                     <p>Price : {p.price}</p>
                   </div>
@@ -148,28 +180,46 @@ const CartPage = () => {
               <p>Total | Checkout | Payment</p>
               <hr />
               <h4 className="cart-total">Total : {totalPrice()} </h4>
-              {auth?.user?.address ? (
-                <>
-                  <div className="mb-3">
-                    <h4>Current Address</h4>
-                    <h5>{auth?.user?.address}</h5>
-                    <button
-                      className="btn btn-outline-warning"
-                      onClick={() => navigate("/dashboard/user/profile")}
-                    >
-                      Update Address
-                    </button>
-                  </div>
-                </>
+              {auth?.token && addresses.length ? (
+                <div className="mb-3" data-testid="address-picker">
+                  <h4>Ship To</h4>
+                  {addresses.map((a) => (
+                    <div className="form-check text-start" key={a._id}>
+                      <input
+                        type="radio"
+                        className="form-check-input"
+                        name="shipping-address"
+                        id={`address-${a._id}`}
+                        checked={addressId === a._id}
+                        onChange={() => setAddressId(a._id)}
+                      />
+                      <label
+                        className="form-check-label"
+                        htmlFor={`address-${a._id}`}
+                      >
+                        {formatAddress(a)}
+                      </label>
+                    </div>
+                  ))}
+                  <button
+                    className="btn btn-outline-warning mt-2"
+                    onClick={() => navigate("/dashboard/user/profile")}
+                  >
+                    Manage Addresses
+                  </button>
+                </div>
               ) : (
                 <div className="mb-3">
                   {auth?.token ? (
-                    <button
-                      className="btn btn-outline-warning"
-                      onClick={() => navigate("/dashboard/user/profile")}
-                    >
-                      Update Address
-                    </button>
+                    <>
+                      <p>Add a shipping address to check out.</p>
+                      <button
+                        className="btn btn-outline-warning"
+                        onClick={() => navigate("/dashboard/user/profile")}
+                      >
+                        Add Address
+                      </button>
+                    </>
                   ) : (
                     <button
                       className="btn btn-outline-warning"
@@ -202,7 +252,12 @@ const CartPage = () => {
                     <button
                       className="btn btn-primary"
                       onClick={handlePayment}
-                      disabled={loading || !instance || !auth?.user?.address}
+                      disabled={
+                        loading ||
+                        !instance ||
+                        !addressId ||
+                        Boolean(auth?.impersonator)
+                      }
                     >
                       {loading ? "Processing ...." : "Make Payment"}
                     </button>
@@ -82,10 +82,41 @@ const renderCartPage = async (cart = [], user = null) => {
   return utils;
 };
 
+const homeAddress = {
+  _id: "a1",
+  recipient: "Foo",
+  line1: "123 Main St",
+  city: "Springfield",
+  postalCode: "12345",
+  country: "USA",
+  phone: "12345678",
+  isDefault: true,
+};
+const workAddress = {
+  _id: "a2",
+  recipient: "Foo",
+  line1: "1 Office Park",
+  city: "Springfield",
+  postalCode: "12346",
+  country: "USA",
+  phone: "12345678",
+  isDefault: false,
+};
+
+// token and address book responses by URL
+const mockGet = (addresses = [homeAddress]) =>
+  axios.get.mockImplementation((url) =>
+    Promise.resolve(
+      url === "/api/v1/auth/addresses"
+        ? { data: { success: true, addresses } }
+        : { data: { clientToken: "test-client-token" } }
+    )
+  );
+
 describe("CartPage", () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    axios.get.mockResolvedValue({ data: { clientToken: "test-client-token" } });
+    mockGet();
   });
 
   afterEach(() => {
@@ -154,6 +185,21 @@ describe("CartPage", () => {
     );
   });
 
+  test("shows which variant of a product is in the cart", async () => {
+    await renderCartPage([
+      {
+        _id: "1",
+        name: "T-Shirt",
+        price: 25,
+        description: "Cotton tee",
+        variant: { _id: "v2", sku: "TS-BLUE-L", options: { Color: "Blue", Size: "L" } },
+      },
+    ]);
+
+    expect(screen.getByTestId("cart-variant")).toHaveTextContent("Blue / L");
+    expect(screen.getByText("Price : 25")).toBeInTheDocument();
+  });
+
   test("calculates total price correctly", async () => {
     const mockProducts = [
       { _id: "1", name: "Product 1", price: 100, description: "Desc 1" },
@@ -252,34 +298,74 @@ describe("CartPage", () => {
     ).toBeInTheDocument();
   });
 
-  test("shows update address button and current address", async () => {
-    const authUser = {
-      name: "John Doe",
-      email: "john@gmail.com",
-      address: "1 Computing Drive",
-      phone: "12345678",
-    };
+  test("shows saved addresses with the default one selected", async () => {
+    mockGet([workAddress, homeAddress]);
+    const authUser = { name: "John Doe", email: "john@gmail.com" };
     await renderCartPage(
       [{ _id: "1", name: "Product", price: 10, description: "Test" }],
       authUser
     );
 
-    expect(screen.getByText("Update Address")).toBeInTheDocument();
-    expect(screen.queryByText("Current Address")).toBeInTheDocument();
-    expect(screen.queryByText("1 Computing Drive")).toBeInTheDocument();
+    expect(await screen.findByText("Ship To")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/addresses");
+    expect(
+      screen.getByLabelText("Foo, 123 Main St, Springfield 12345, USA")
+    ).toBeChecked();
+    expect(
+      screen.getByLabelText("Foo, 1 Office Park, Springfield 12346, USA")
+    ).not.toBeChecked();
   });
 
-  test("navigates to profile when Update Address is clicked", async () => {
+  test("navigates to profile when Manage Addresses is clicked", async () => {
     const authUser = { name: "John Doe" };
     await renderCartPage(
       [{ _id: "1", name: "Product", price: 10, description: "Test" }],
       authUser
     );
 
-    fireEvent.click(screen.getByText("Update Address"));
+    fireEvent.click(await screen.findByText("Manage Addresses"));
     expect(mockNavigate).toHaveBeenCalledWith("/dashboard/user/profile");
   });
 
+  test("asks users without saved addresses to add one", async () => {
+    mockGet([]);
+    await renderCartPage(
+      [{ _id: "1", name: "Product", price: 10, description: "Test" }],
+      { name: "John Doe" }
+    );
+
+    fireEvent.click(await screen.findByText("Add Address"));
+    expect(mockNavigate).toHaveBeenCalledWith("/dashboard/user/profile");
+    expect(screen.queryByTestId("address-picker")).not.toBeInTheDocument();
+  });
+
+  test("does not load addresses for guests", async () => {
+    await renderCartPage([], null);
+
+    expect(axios.get).not.toHaveBeenCalledWith("/api/v1/auth/addresses");
+  });
+
+  test("pays with the address picked at checkout", async () => {
+    mockGet([homeAddress, workAddress]);
+    axios.post.mockResolvedValue({ data: { ok: true } });
+    const cartItems = [{ _id: "1", name: "P", price: 10, description: "T" }];
+
+    await renderCartPage(cartItems, { name: "Foo" });
+
+    fireEvent.click(
+      await screen.findByLabelText("Foo, 1 Office Park, Springfield 12346, USA")
+    );
+    await screen.findByTestId("braintree-dropin");
+    fireEvent.click(screen.getByRole("button", { name: "Make Payment" }));
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith(
+        "/api/v1/product/braintree/payment",
+        { nonce: "test-nonce", cart: cartItems, addressId: "a2" }
+      )
+    );
+  });
+
   test("navigates to login when checkout is clicked without authentication", async () => {
     await renderCartPage(
       [{ _id: "1", name: "Product", price: 10, description: "Test" }],
@@ -342,6 +428,7 @@ describe("CartPage", () => {
         {
           nonce: "test-nonce",
           cart: cartItems,
+          addressId: "a1",
         }
       )
     );
@@ -385,6 +472,7 @@ describe("CartPage", () => {
   });
 
   test("shows payment widget but disables payment when user has no address", async () => {
+    mockGet([]);
     const authUser = { name: "Foo" };
     await renderCartPage(
       [{ _id: "1", name: "P", price: 10, description: "T" }],
@@ -441,6 +529,38 @@ describe("CartPage", () => {
     expect(mockNavigate).not.toHaveBeenCalled();
   });
 
+  test("asks unverified users to verify their email before paying", async () => {
+    const authUser = { name: "Foo", address: "123 Main St", emailVerified: false };
+    const cartItems = [{ _id: "1", name: "P", price: 10, description: "T" }];
+
+    const err = new Error("Forbidden");
+    // @ts-expect-error augment error with response like axios
+    err.response = {
+      status: 403,
+      data: {
+        success: false,
+        message: "Please verify your email address before checking out",
+        emailVerificationRequired: true,
+      },
+    };
+
+    axios.post.mockRejectedValueOnce(err);
+
+    await renderCartPage(cartItems, authUser);
+
+    await screen.findByTestId("braintree-dropin");
+    fireEvent.click(screen.getByRole("button", { name: "Make Payment" }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith(
+        "Please verify your email address before checking out"
+      );
+    });
+
+    expect(mockSetCart).not.toHaveBeenCalledWith([]);
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
   test("handles declined payment via error.response.data.declined=true", async () => {
     const authUser = { name: "Foo", address: "123 Main St" };
     const cartItems = [{ _id: "1", name: "P", price: 10, description: "T" }];
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import useCategory from "../hooks/useCategory";
 import Layout from "../components/Layout";
+import CategoryTree, { categoryTree } from "../components/CategoryTree";
 const Categories = () => {
   const categories = useCategory();
   return (
@@ -9,11 +10,12 @@ const Categories = () => {
       <div className="container">
         <div className="row">
           {categories &&
-            categories.map((c) => (
+            categoryTree(categories).map((c) => (
               <div className="col-md-6 mt-5 mb-3 gx-3 gy-3" key={c._id}>
                 <Link to={`/category/${c.slug}`} className="btn btn-primary">
                   {c.name}
                 </Link>
+                <CategoryTree nodes={c.children} />
               </div>
             ))}
         </div>
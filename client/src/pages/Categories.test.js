@@ -83,6 +83,25 @@ describe('Categories Component', () => {
     expect(clothingLink).toHaveAttribute('href', '/category/clothing');
   });
 
+  test('should list subcategories under their top level category', () => {
+    useCategory.mockReturnValue([
+      { _id: '1', name: 'Electronics', slug: 'electronics', parentCategory: null },
+      { _id: '2', name: 'Phones', slug: 'phones', parentCategory: '1' },
+      { _id: '3', name: 'Books', slug: 'books', parentCategory: null },
+    ]);
+
+    const { container } = render(
+      <MemoryRouter>
+        <Categories />
+      </MemoryRouter>
+    );
+
+    const columns = container.querySelectorAll('.col-md-6');
+    expect(columns).toHaveLength(2);
+    expect(columns[0]).toContainElement(screen.getByRole('link', { name: 'Phones' }));
+    expect(screen.getByRole('link', { name: 'Phones' })).toHaveAttribute('href', '/category/phones');
+  });
+
   test('should render empty state when no categories', () => {
     useCategory.mockReturnValue([]);
 
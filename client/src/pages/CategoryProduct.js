@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from "react";
 import Layout from "../components/Layout";
-import { useParams, useNavigate } from "react-router-dom";
+import ProductPhoto from "../components/ProductPhoto";
+import Breadcrumbs from "../components/Breadcrumbs";
+import { Link, useParams, useNavigate } from "react-router-dom";
 import "../styles/CategoryProductStyles.css";
 import axios from "axios";
 const CategoryProduct = () => {
@@ -8,6 +10,7 @@ const CategoryProduct = () => {
   const navigate = useNavigate();
   const [products, setProducts] = useState([]);
   const [category, setCategory] = useState([]);
+  const [subcategories, setSubcategories] = useState([]);
 
   useEffect(() => {
     if (params?.slug) getPrductsByCat();
@@ -15,11 +18,15 @@ const CategoryProduct = () => {
   const getPrductsByCat = async () => {
     try {
       const { data } = await axios.get(
-        `/api/v1/product/product-category/${params.slug}`
+        `/api/v1/product/product-category/${params.slug}?subcategories=true`
       );
       setProducts(data?.products);
       setCategory(data?.category);
+      setSubcategories(data?.subcategories || []);
     } catch (error) {
+      //a renamed category's old slug answers with its current one
+      const redirect = error.response?.data?.redirect;
+      if (redirect) return navigate(`/category/${redirect}`, { replace: true });
       console.log(error);
     }
   };
@@ -31,15 +38,33 @@ const CategoryProduct = () => {
       ) : (
         <>
           <div className="container mt-3 category">
+            <Breadcrumbs category={category} />
             <h4 className="text-center">Category - {category?.name}</h4>
             <h6 className="text-center">{products?.length} result found </h6>
+            {subcategories.length > 0 && (
+              <div
+                className="d-flex flex-wrap justify-content-center gap-2 mb-2"
+                data-testid="subcategories"
+              >
+                {subcategories.map((c) => (
+                  <Link
+                    key={c._id}
+                    to={`/category/${c.slug}`}
+                    className="btn btn-outline-secondary btn-sm"
+                  >
+                    {c.name}
+                  </Link>
+                ))}
+              </div>
+            )}
             <div className="row">
               <div className="col-md-9 offset-1">
                 <div className="d-flex flex-wrap">
                   {products?.map((p) => (
                     <div className="card m-2" key={p._id}>
-                      <img
-                        src={`/api/v1/product/product-photo/${p._id}`}
+                      <ProductPhoto
+                        productId={p._id}
+                        size={300}
                         className="card-img-top"
                         alt={p.name}
                       />
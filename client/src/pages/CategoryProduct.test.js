@@ -1,5 +1,5 @@
 import React from "react";
-import { render, fireEvent, waitFor, screen } from "@testing-library/react";
+import { render, fireEvent, waitFor, screen, within } from "@testing-library/react";
 import "@testing-library/jest-dom/extend-expect";
 import axios from "axios";
 import { MemoryRouter, Routes, Route } from "react-router-dom";
@@ -74,7 +74,7 @@ describe("CategoryProduct Component", () => {
 
     await waitFor(() =>
       expect(axios.get).toHaveBeenCalledWith(
-        "/api/v1/product/product-category/cat-slug"
+        "/api/v1/product/product-category/cat-slug?subcategories=true"
       )
     );
 
@@ -94,8 +94,8 @@ describe("CategoryProduct Component", () => {
 
     // Images
     const imgs = screen.getAllByRole("img");
-    expect(imgs[0]).toHaveAttribute("src", "/api/v1/product/product-photo/p1");
-    expect(imgs[1]).toHaveAttribute("src", "/api/v1/product/product-photo/p2");
+    expect(imgs[0]).toHaveAttribute("src", "/api/v1/product/product-photo/p1?w=300&format=webp");
+    expect(imgs[1]).toHaveAttribute("src", "/api/v1/product/product-photo/p2?w=300&format=webp");
   });
 
   it("More Details", async () => {
@@ -136,6 +136,44 @@ describe("CategoryProduct Component", () => {
     expect(await screen.findByText("Product Detail Page")).toBeInTheDocument();
   });
 
+  it("shows the breadcrumb trail and links to subcategories", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        category: {
+          _id: "c2",
+          name: "Lighting",
+          slug: "lighting",
+          ancestors: [{ _id: "c1", name: "Home Goods", slug: "home-goods" }],
+        },
+        subcategories: [{ _id: "c3", name: "Lamps", slug: "lamps" }],
+        products: [],
+      },
+    });
+
+    render(
+      <MemoryRouter initialEntries={["/category/lighting"]}>
+        <Routes>
+          <Route path="/category/:slug" element={<CategoryProduct />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    const trail = await screen.findByRole("navigation", { name: "breadcrumb" });
+    expect(within(trail).getByRole("link", { name: "Home Goods" })).toHaveAttribute(
+      "href",
+      "/category/home-goods"
+    );
+    expect(within(trail).getByText("Lighting")).toHaveAttribute(
+      "aria-current",
+      "page"
+    );
+    expect(
+      within(screen.getByTestId("subcategories")).getByRole("link", {
+        name: "Lamps",
+      })
+    ).toHaveAttribute("href", "/category/lamps");
+  });
+
   it("Does not fetech when slug missing, renders correctly", async () => {
     render(
       <MemoryRouter initialEntries={["/category"]}>
@@ -168,4 +206,30 @@ describe("CategoryProduct Component", () => {
 
     logSpy.mockRestore();
   });
+
+  it("follows a retired slug to the category's current one", async () => {
+    axios.get
+      .mockRejectedValueOnce({
+        response: { status: 301, data: { redirect: "devices" } },
+      })
+      .mockResolvedValueOnce({
+        data: {
+          category: { _id: "c1", name: "Devices", slug: "devices" },
+          products: [],
+        },
+      });
+
+    render(
+      <MemoryRouter initialEntries={["/category/gadgets"]}>
+        <Routes>
+          <Route path="/category/:slug" element={<CategoryProduct />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText("Category - Devices")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenLastCalledWith(
+      "/api/v1/product/product-category/devices?subcategories=true"
+    );
+  });
 });
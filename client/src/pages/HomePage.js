@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import { Checkbox, Radio } from "antd";
 import { Prices } from "../components/Prices";
+import ProductPhoto from "../components/ProductPhoto";
 import { useCart } from "../context/cart";
 import axios from "axios";
 import toast from "react-hot-toast";
@@ -98,10 +99,9 @@ const HomePage = () => {
   const filterProduct = async (cats, priceRange) => {
     const id = ++reqIdRef.current;
     try {
-      const payload = {
-        checked: cats,
-        radio: sanitizeRadioForPayload(priceRange),
-      };
+      const radio = sanitizeRadioForPayload(priceRange);
+      // the price range is a [min, max] pair, left out when none is picked
+      const payload = { checked: cats, ...(radio.length && { radio }) };
       const { data } = await axios.post(
         "/api/v1/product/product-filters",
         payload
@@ -188,8 +188,9 @@ const HomePage = () => {
               const priceNum = asNumber(p?.price);
               return (
                 <div className="card m-2" key={p._id} data-id={p._id}>
-                  <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                  <ProductPhoto
+                    productId={p._id}
+                    size={300}
                     className="card-img-top"
                     alt={name}
                     onError={(e) => {
@@ -215,16 +216,26 @@ const HomePage = () => {
                       >
                         More Details
                       </button>
-                      <button
-                        className="btn btn-dark ms-1"
-                        onClick={() => {
-                          setCart([...cart, p]);
-                          localStorage.setItem("cart", JSON.stringify([...cart, p]));
-                          toast.success("Item Added to cart");
-                        }}
-                      >
-                        ADD TO CART
-                      </button>
+                      {p.variants?.length ? (
+                        // the variant is picked on the product page
+                        <button
+                          className="btn btn-dark ms-1"
+                          onClick={() => navigate(`/product/${p.slug}`)}
+                        >
+                          CHOOSE OPTIONS
+                        </button>
+                      ) : (
+                        <button
+                          className="btn btn-dark ms-1"
+                          onClick={() => {
+                            setCart([...cart, p]);
+                            localStorage.setItem("cart", JSON.stringify([...cart, p]));
+                            toast.success("Item Added to cart");
+                          }}
+                        >
+                          ADD TO CART
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -273,6 +273,8 @@ describe("HomePage Component", () => {
         })
       );
     });
+    // no price range is picked, so none is sent
+    expect(axios.post.mock.calls.at(-1)[1]).not.toHaveProperty("radio");
   });
 
   test("handles error when category API call fails", async () => {
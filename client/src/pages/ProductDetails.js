@@ -1,15 +1,33 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
+import ProductGallery from "./../components/ProductGallery";
+import ProductPhoto from "./../components/ProductPhoto";
+import Breadcrumbs from "./../components/Breadcrumbs";
+import ProductSpecs from "./../components/ProductSpecs";
+import ProductOptions, {
+  cartItem,
+  defaultSelection,
+  findVariant,
+} from "./../components/ProductOptions";
+import { useCart } from "../context/cart";
 import axios from "axios";
+import toast from "react-hot-toast";
 import { useParams, useNavigate } from "react-router-dom";
 import "../styles/ProductDetailsStyles.css";
 
 const ProductDetails = () => {
   const params = useParams();
   const navigate = useNavigate();
+  const [cart, setCart] = useCart();
   const [product, setProduct] = useState({});
+  const [selected, setSelected] = useState({});
   const [relatedProducts, setRelatedProducts] = useState([]);
 
+  const hasVariants = Boolean(product?.variants?.length);
+  const variant = hasVariants ? findVariant(product, selected) : undefined;
+  const price = variant?.price ?? product?.price;
+  const inStock = hasVariants ? variant?.quantity > 0 : true;
+
   //initalp details
   useEffect(() => {
     if (params?.slug) getProduct();
@@ -21,8 +39,16 @@ const ProductDetails = () => {
         `/api/v1/product/get-product/${params.slug}`
       );
       setProduct(data?.product);
-      getSimilarProduct(data?.product._id, data?.product.category._id);
+      setSelected(defaultSelection(data?.product));
+      //products whose category was deleted before deletes were checked
+      //have none, and so nothing related
+      if (data?.product?.category?._id) {
+        getSimilarProduct(data.product._id, data.product.category._id);
+      }
     } catch (error) {
+      //a renamed product's old slug answers with its current one
+      const redirect = error.response?.data?.redirect;
+      if (redirect) return navigate(`/product/${redirect}`, { replace: true });
       console.log(error);
     }
   };
@@ -37,21 +63,25 @@ const ProductDetails = () => {
       console.log(error);
     }
   };
+  //add the product, or the chosen variant of it
+  const addToCart = () => {
+    const updated = [...cart, cartItem(product, variant)];
+    setCart(updated);
+    localStorage.setItem("cart", JSON.stringify(updated));
+    toast.success("Item Added to cart");
+  };
   return (
     <Layout>{ !params.slug ? (
       <div className="container" data-testid="no-slug">
       </div>
      ) : (
       <>
+      <div className="container mt-3">
+        <Breadcrumbs category={product?.category} current={product?.name} />
+      </div>
       <div className="row container product-details">
         <div className="col-md-6">
-          <img
-            src={`/api/v1/product/product-photo/${product._id}`}
-            className="card-img-top"
-            alt={product.name}
-            height="300"
-            width={"350px"}
-          />
+          <ProductGallery product={product} />
         </div>
         <div className="col-md-6 product-details-info">
           <h1 className="text-center">Product Details</h1>
@@ -60,13 +90,36 @@ const ProductDetails = () => {
           <h6>Description : {product.description}</h6>
           <h6>
             Price :
-            {product?.price?.toLocaleString("en-US", {
+            {price?.toLocaleString("en-US", {
               style: "currency",
               currency: "USD",
             })}
           </h6>
           <h6>Category : {product?.category?.name}</h6>
-          <button className="btn btn-secondary ms-1">ADD TO CART</button>
+          <ProductSpecs product={product} />
+          {hasVariants && (
+            <>
+              <ProductOptions
+                product={product}
+                selected={selected}
+                onChange={setSelected}
+              />
+              <p data-testid="variant-stock">
+                {!variant
+                  ? "This combination is not available"
+                  : inStock
+                  ? `${variant.quantity} in stock`
+                  : "Out of stock"}
+              </p>
+            </>
+          )}
+          <button
+            className="btn btn-secondary ms-1"
+            onClick={addToCart}
+            disabled={!inStock}
+          >
+            ADD TO CART
+          </button>
         </div>
       </div>
       <hr />
@@ -78,8 +131,9 @@ const ProductDetails = () => {
         <div className="d-flex flex-wrap">
           {relatedProducts?.map((p) => (
             <div className="card m-2" key={p._id}>
-              <img
-                src={`/api/v1/product/product-photo/${p._id}`}
+              <ProductPhoto
+                productId={p._id}
+                size={300}
                 className="card-img-top"
                 alt={p.name}
               />
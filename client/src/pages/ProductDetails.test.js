@@ -4,9 +4,12 @@ import "@testing-library/jest-dom/extend-expect";
 import axios from "axios";
 import { MemoryRouter, Routes, Route } from "react-router-dom";
 import ProductDetails from "./ProductDetails";
+import { useCart } from "../context/cart";
 import { act } from "react-dom/test-utils";
 
 jest.mock("axios");
+jest.mock("react-hot-toast");
+jest.mock("../context/cart");
 
 jest.mock("../components/Layout", () => ({
   __esModule: true,
@@ -44,8 +47,11 @@ window.matchMedia =
   };
 
 describe("ProductDetails", () => {
+  const mockSetCart = jest.fn();
+
   beforeEach(() => {
     jest.clearAllMocks();
+    useCart.mockReturnValue([[], mockSetCart]);
     axios.get.mockImplementation(async (url) => {
       return { data: {} };
     });
@@ -113,7 +119,7 @@ describe("ProductDetails", () => {
     ).toBeInTheDocument();
 
     const mainImg = await screen.findByRole("img", { name: /Phone/i });
-    expect(mainImg).toHaveAttribute("src", "/api/v1/product/product-photo/p1");
+    expect(mainImg).toHaveAttribute("src", "/api/v1/product/product-photo/p1?w=600&format=webp");
 
     await waitFor(() =>
       expect(axios.get).toHaveBeenCalledWith(
@@ -133,12 +139,12 @@ describe("ProductDetails", () => {
     );
     expect(
       relatedImgs.some(
-        (el) => el.getAttribute("src") === "/api/v1/product/product-photo/rp1"
+        (el) => el.getAttribute("src") === "/api/v1/product/product-photo/rp1?w=300&format=webp"
       )
     ).toBe(true);
     expect(
       relatedImgs.some(
-        (el) => el.getAttribute("src") === "/api/v1/product/product-photo/rp2"
+        (el) => el.getAttribute("src") === "/api/v1/product/product-photo/rp2?w=300&format=webp"
       )
     ).toBe(true);
   });
@@ -292,4 +298,253 @@ describe("ProductDetails", () => {
 
     logSpy.mockRestore();
   });
+
+  describe("variants", () => {
+    const shirt = {
+      _id: "p2",
+      name: "T-Shirt",
+      slug: "t-shirt",
+      price: 20,
+      description: "Cotton tee",
+      category: { _id: "c1", name: "Clothing" },
+      options: [
+        { name: "Color", values: ["Red", "Blue"] },
+        { name: "Size", values: ["M", "L"] },
+      ],
+      variants: [
+        { _id: "v1", sku: "TS-RED-M", options: { Color: "Red", Size: "M" }, quantity: 0 },
+        { _id: "v2", sku: "TS-RED-L", options: { Color: "Red", Size: "L" }, price: 22, quantity: 3 },
+        { _id: "v3", sku: "TS-BLUE-M", options: { Color: "Blue", Size: "M" }, quantity: 5 },
+      ],
+    };
+
+    const renderShirt = async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: shirt } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+      await renderWithAct(
+        <MemoryRouter initialEntries={["/product/t-shirt"]}>
+          <Routes>
+            <Route path="/product/:slug" element={<ProductDetails />} />
+          </Routes>
+        </MemoryRouter>
+      );
+      await screen.findByTestId("product-options");
+    };
+
+    it("opens on the first variant in stock, at its price", async () => {
+      await renderShirt();
+
+      expect(screen.getByLabelText("Color")).toHaveValue("Red");
+      expect(screen.getByLabelText("Size")).toHaveValue("L");
+      expect(screen.getByText(/Price\s*:\s*\$22\.00/)).toBeInTheDocument();
+      expect(screen.getByTestId("variant-stock")).toHaveTextContent("3 in stock");
+    });
+
+    it("falls back to the product price and blocks variants out of stock", async () => {
+      await renderShirt();
+
+      fireEvent.change(screen.getByLabelText("Size"), { target: { value: "M" } });
+
+      expect(screen.getByText(/Price\s*:\s*\$20\.00/)).toBeInTheDocument();
+      expect(screen.getByTestId("variant-stock")).toHaveTextContent("Out of stock");
+      expect(screen.getByRole("button", { name: "ADD TO CART" })).toBeDisabled();
+    });
+
+    it("blocks combinations that aren't on sale", async () => {
+      await renderShirt();
+
+      fireEvent.change(screen.getByLabelText("Color"), { target: { value: "Blue" } });
+
+      expect(screen.getByTestId("variant-stock")).toHaveTextContent(
+        "This combination is not available"
+      );
+      expect(screen.getByRole("button", { name: "ADD TO CART" })).toBeDisabled();
+    });
+
+    it("adds the chosen variant to the cart", async () => {
+      await renderShirt();
+
+      fireEvent.click(screen.getByRole("button", { name: "ADD TO CART" }));
+
+      const [item] = mockSetCart.mock.calls[0][0];
+      expect(item).toMatchObject({
+        _id: "p2",
+        price: 22,
+        variant: { _id: "v2", sku: "TS-RED-L", options: { Color: "Red", Size: "L" } },
+      });
+      expect(window.localStorage.setItem).toHaveBeenCalledWith(
+        "cart",
+        JSON.stringify([item])
+      );
+    });
+  });
+
+  it("shows the image gallery, opening on the primary image", async () => {
+    axios.get
+      .mockResolvedValueOnce({
+        data: {
+          product: {
+            _id: "p3",
+            name: "Lamp",
+            slug: "lamp",
+            price: 40,
+            description: "Desk lamp",
+            category: { _id: "c1", name: "Home" },
+            images: [
+              { _id: "i1", alt: "Lamp, off" },
+              { _id: "i2", alt: "Lamp, on", isPrimary: true },
+            ],
+          },
+        },
+      })
+      .mockResolvedValueOnce({ data: { products: [] } });
+    await renderWithAct(
+      <MemoryRouter initialEntries={["/product/lamp"]}>
+        <Routes>
+          <Route path="/product/:slug" element={<ProductDetails />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    const gallery = await screen.findByTestId("product-gallery");
+    expect(screen.getByAltText("Lamp, on")).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-image/p3/i2?w=600&format=webp"
+    );
+    fireEvent.click(screen.getByLabelText("Next image"));
+    expect(gallery).toContainElement(screen.getByAltText("Lamp, off"));
+  });
+
+  it("skips related products when the product has no category", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        product: {
+          _id: "p5",
+          name: "Old Lamp",
+          slug: "old-lamp",
+          price: 10,
+          description: "Lost its category",
+          category: null,
+        },
+      },
+    });
+    await renderWithAct(
+      <MemoryRouter initialEntries={["/product/old-lamp"]}>
+        <Routes>
+          <Route path="/product/:slug" element={<ProductDetails />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText(/Name\s*:\s*Old Lamp/i)).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(screen.getByText("No Similar Products found")).toBeInTheDocument();
+  });
+
+  it("lists the specs the category defines", async () => {
+    axios.get
+      .mockResolvedValueOnce({
+        data: {
+          product: {
+            _id: "p6",
+            name: "Laptop",
+            slug: "laptop",
+            price: 900,
+            description: "Thin",
+            category: {
+              _id: "c4",
+              name: "Laptops",
+              attributes: [
+                { key: "ram", label: "RAM", type: "number", unit: "GB" },
+                { key: "touch", label: "Touchscreen", type: "boolean" },
+                { key: "panel", label: "Panel", type: "enum" },
+              ],
+            },
+            specs: { touch: false, ram: 16 },
+          },
+        },
+      })
+      .mockResolvedValueOnce({ data: { products: [] } });
+    await renderWithAct(
+      <MemoryRouter initialEntries={["/product/laptop"]}>
+        <Routes>
+          <Route path="/product/:slug" element={<ProductDetails />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    const specs = await screen.findByTestId("product-specs");
+    expect(
+      Array.from(specs.querySelectorAll("tr")).map((tr) => tr.textContent)
+    ).toEqual(["RAM16 GB", "TouchscreenNo"]);
+  });
+
+  it("shows the category trail above the product", async () => {
+    axios.get
+      .mockResolvedValueOnce({
+        data: {
+          product: {
+            _id: "p4",
+            name: "Desk Lamp",
+            slug: "desk-lamp",
+            price: 40,
+            description: "Desk lamp",
+            category: {
+              _id: "c3",
+              name: "Lamps",
+              slug: "lamps",
+              ancestors: [{ _id: "c2", name: "Lighting", slug: "lighting" }],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({ data: { products: [] } });
+    await renderWithAct(
+      <MemoryRouter initialEntries={["/product/desk-lamp"]}>
+        <Routes>
+          <Route path="/product/:slug" element={<ProductDetails />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    const trail = await screen.findByRole("navigation", { name: "breadcrumb" });
+    expect(
+      Array.from(trail.querySelectorAll("li")).map((li) => li.textContent)
+    ).toEqual(["Home", "Lighting", "Lamps", "Desk Lamp"]);
+    expect(screen.getByRole("link", { name: "Lamps" })).toHaveAttribute(
+      "href",
+      "/category/lamps"
+    );
+  });
+
+  it("follows a retired slug to the product's current one", async () => {
+    axios.get
+      .mockRejectedValueOnce({
+        response: { status: 301, data: { redirect: "desk-lamp-2" } },
+      })
+      .mockResolvedValueOnce({
+        data: {
+          product: {
+            _id: "p4",
+            name: "Desk Lamp",
+            slug: "desk-lamp-2",
+            price: 40,
+            description: "Desk lamp",
+          },
+        },
+      });
+    await renderWithAct(
+      <MemoryRouter initialEntries={["/product/desk-lamp"]}>
+        <Routes>
+          <Route path="/product/:slug" element={<ProductDetails />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText(/Name\s*:\s*Desk Lamp/i)).toBeInTheDocument();
+    expect(axios.get).toHaveBeenLastCalledWith(
+      "/api/v1/product/get-product/desk-lamp-2"
+    );
+  });
 });
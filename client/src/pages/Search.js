@@ -1,8 +1,28 @@
 import React from "react";
 import Layout from "./../components/Layout";
+import ProductPhoto from "../components/ProductPhoto";
+import { searchPage, searchUrl } from "../components/Form/SearchInput";
 import { useSearch } from "../context/search";
+import axios from "axios";
+import toast from "react-hot-toast";
 const Search = () => {
   const [values, setValues] = useSearch();
+  //matches over every page; just the results when no count came with them
+  const total = values?.total || values?.results?.length || 0;
+  const page = values?.page || 1;
+
+  const changePage = async (next) => {
+    try {
+      const { data } = await axios.get(searchUrl(values.keyword), {
+        params: { page: next },
+      });
+      setValues({ ...values, ...searchPage(data) });
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
   return (
     <Layout title={"Search results"}>
       <div className="container">
@@ -11,14 +31,15 @@ const Search = () => {
           <h6>
             {!values?.results || values?.results.length < 1
               ? "No Products Found"
-              : `Found ${values?.results.length}`}
+              : `Found ${total}`}
           </h6>
           <div className="d-flex flex-wrap mt-4">
             {values?.results &&
               values?.results.map((p) => (
                 <div className="card m-2" style={{ width: "18rem" }}>
-                  <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                  <ProductPhoto
+                    productId={p._id}
+                    size={300}
                     className="card-img-top"
                     alt={p.name}
                   />
@@ -34,6 +55,30 @@ const Search = () => {
                 </div>
               ))}
           </div>
+          {values?.pages > 1 && (
+            <nav
+              className="d-flex justify-content-center align-items-center gap-3 my-3"
+              aria-label="Search results pages"
+            >
+              <button
+                className="btn btn-outline-secondary"
+                disabled={page <= 1}
+                onClick={() => changePage(page - 1)}
+              >
+                Previous
+              </button>
+              <span data-testid="search-page">
+                Page {page} of {values.pages}
+              </span>
+              <button
+                className="btn btn-outline-secondary"
+                disabled={page >= values.pages}
+                onClick={() => changePage(page + 1)}
+              >
+                Next
+              </button>
+            </nav>
+          )}
         </div>
       </div>
     </Layout>
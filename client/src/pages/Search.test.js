@@ -1,6 +1,8 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom/extend-expect';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import Search from './Search';
 
 // Mock dependencies
@@ -16,6 +18,8 @@ jest.mock('../components/Layout', () => {
 jest.mock('../context/search', () => ({
   useSearch: jest.fn()
 }));
+jest.mock('axios');
+jest.mock('react-hot-toast');
 
 describe('Search Page', () => {
   beforeEach(() => {
@@ -117,7 +121,7 @@ describe('Search Page', () => {
     render(<Search />);
     
     const image = screen.getByAltText('Product 1');
-    expect(image).toHaveAttribute('src', '/api/v1/product/product-photo/1');
+    expect(image).toHaveAttribute('src', '/api/v1/product/product-photo/1?w=300&format=webp');
     expect(image).toHaveClass('card-img-top');
   });
 
@@ -301,4 +305,109 @@ describe('Search Page', () => {
     const image = screen.getByAltText('Product 1');
     expect(image).toBeInTheDocument();
   });
+
+  describe('pagination', () => {
+    const firstPage = [
+      { _id: '1', name: 'Product 1', description: 'Description 1', price: 100 }
+    ];
+    const secondPage = [
+      { _id: '2', name: 'Product 2', description: 'Description 2', price: 200 }
+    ];
+
+    test('shows the total matches and the page being viewed', () => {
+      require('../context/search').useSearch.mockReturnValue([{
+        keyword: 'lamp',
+        results: firstPage,
+        total: 13,
+        page: 1,
+        pages: 2
+      }, jest.fn()]);
+
+      render(<Search />);
+
+      expect(screen.getByText('Found 13')).toBeInTheDocument();
+      expect(screen.getByTestId('search-page')).toHaveTextContent('Page 1 of 2');
+      expect(screen.getByRole('button', { name: 'Previous' })).toBeDisabled();
+      expect(screen.getByRole('button', { name: 'Next' })).toBeEnabled();
+    });
+
+    test('hides the page controls for a single page', () => {
+      require('../context/search').useSearch.mockReturnValue([{
+        keyword: 'lamp',
+        results: firstPage,
+        total: 1,
+        page: 1,
+        pages: 1
+      }, jest.fn()]);
+
+      render(<Search />);
+
+      expect(screen.queryByTestId('search-page')).not.toBeInTheDocument();
+    });
+
+    test('loads the next page of results', async () => {
+      const setValues = jest.fn();
+      const values = { keyword: 'lamp', results: firstPage, total: 13, page: 1, pages: 2 };
+      require('../context/search').useSearch.mockReturnValue([values, setValues]);
+      axios.get.mockResolvedValueOnce({
+        data: { success: true, products: secondPage, total: 13, page: 2, pages: 2 }
+      });
+
+      render(<Search />);
+      fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+      await waitFor(() => {
+        expect(setValues).toHaveBeenCalledWith({
+          keyword: 'lamp',
+          results: secondPage,
+          total: 13,
+          page: 2,
+          pages: 2
+        });
+      });
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/lamp', {
+        params: { page: 2 }
+      });
+    });
+
+    test('escapes the keyword when loading another page', async () => {
+      const values = { keyword: 'a/b #2?', results: firstPage, total: 13, page: 1, pages: 2 };
+      require('../context/search').useSearch.mockReturnValue([values, jest.fn()]);
+      axios.get.mockResolvedValueOnce({ data: { products: secondPage } });
+
+      render(<Search />);
+      fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/a%2Fb%20%232%3F', {
+          params: { page: 2 }
+        });
+      });
+    });
+
+    test('shows an error when a page fails to load', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const setValues = jest.fn();
+      require('../context/search').useSearch.mockReturnValue([{
+        keyword: 'lamp',
+        results: secondPage,
+        total: 13,
+        page: 2,
+        pages: 2
+      }, setValues]);
+      axios.get.mockRejectedValueOnce(new Error('Network Error'));
+
+      render(<Search />);
+      fireEvent.click(screen.getByRole('button', { name: 'Previous' }));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith('Something went wrong');
+      });
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/lamp', {
+        params: { page: 1 }
+      });
+      expect(setValues).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
 });
@@ -7,7 +7,8 @@
  * Integration Points:
  * - Braintree payment gateway (token generation, payment processing)
  * - Cart context (cart state management, localStorage sync)
- * - Auth context (user authentication, address validation)
+ * - Auth context (user authentication)
+ * - Address book (saved addresses, default preselected at checkout)
  * - Navigation (checkout flow, order confirmation)
  * - Toast notifications (payment success/failure feedback)
  * - Layout component (page structure)
@@ -145,12 +146,35 @@ const renderCartPageWithCustomState = (cartItems = [], authUser = null) => {
   );
 };
 
+// Saved address returned by the address book endpoint
+const savedAddress = {
+  _id: "addr1",
+  recipient: "John Smith",
+  line1: "742 Evergreen Terrace",
+  city: "Springfield",
+  postalCode: "49007",
+  country: "USA",
+  phone: "5550100",
+  isDefault: true,
+};
+
+// Helper: Answer the token and address book requests by URL
+const mockGetResponses = (addresses = [savedAddress]) => {
+  axios.get.mockImplementation((url) =>
+    Promise.resolve(
+      url === "/api/v1/auth/addresses"
+        ? { data: { success: true, addresses } }
+        : { data: { clientToken: "test-braintree-token" } }
+    )
+  );
+};
+
 describe("CartPage Component Integration Tests - Phase 3: Business Logic Layer", () => {
   
   beforeEach(() => {
     jest.clearAllMocks();
     mockRequestPaymentMethod.mockResolvedValue({ nonce: "test-payment-nonce" });
-    axios.get.mockResolvedValue({ data: { clientToken: "test-braintree-token" } });
+    mockGetResponses();
     axios.post.mockResolvedValue({ data: { ok: true } });
   });
 
@@ -205,6 +229,7 @@ describe("CartPage Component Integration Tests - Phase 3: Business Logic Layer",
               expect.objectContaining({ _id: "prod1" }),
               expect.objectContaining({ _id: "prod2" }),
             ]),
+            addressId: "addr1",
           }
         );
       });
@@ -467,17 +492,18 @@ describe("CartPage Component Integration Tests - Phase 3: Business Logic Layer",
       expect(mockNavigate).toHaveBeenCalledWith("/login", { state: "/cart" });
     });
 
-    test("should show update address prompt for authenticated user without address", async () => {
-      // Arrange: User without address
-      const authUser = { name: "User" }; // No address
+    test("should ask authenticated user without saved addresses to add one", async () => {
+      // Arrange: User with an empty address book
+      mockGetResponses([]);
+      const authUser = { name: "User" };
       const cartItems = [{ _id: "1", name: "Product", price: 50, description: "Test" }];
 
       // Act
       renderCartPageWithCustomState(cartItems, authUser);
 
-      // Assert: Update address button should be shown
+      // Assert: Add address button should be shown
       await waitFor(() => {
-        expect(screen.getByRole("button", { name: /update address/i })).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: /add address/i })).toBeInTheDocument();
       });
 
       // Assert: Payment button should be disabled without address
@@ -489,31 +515,35 @@ describe("CartPage Component Integration Tests - Phase 3: Business Logic Layer",
       });
     });
 
-    test("should display user address when available", async () => {
-      // Arrange: User with address
-      const authUser = { name: "John Smith", address: "742 Evergreen Terrace, Springfield" };
+    test("should preselect the default saved address", async () => {
+      // Arrange: User with a saved default address
+      const authUser = { name: "John Smith" };
       const cartItems = [{ _id: "1", name: "Product", price: 50, description: "Test" }];
 
       // Act
       renderCartPageWithCustomState(cartItems, authUser);
 
-      // Assert: Address should be displayed
+      // Assert: Address should be listed and selected
       await waitFor(() => {
-        expect(screen.getByText("Current Address")).toBeInTheDocument();
-        expect(screen.getByText("742 Evergreen Terrace, Springfield")).toBeInTheDocument();
+        expect(screen.getByText("Ship To")).toBeInTheDocument();
+        expect(
+          screen.getByLabelText(
+            "John Smith, 742 Evergreen Terrace, Springfield 49007, USA"
+          )
+        ).toBeChecked();
       });
     });
 
-    test("should navigate to profile page when update address is clicked", async () => {
+    test("should navigate to profile page when manage addresses is clicked", async () => {
       // Arrange
-      const authUser = { name: "User", address: "Old Address" };
+      const authUser = { name: "User" };
       const cartItems = [{ _id: "1", name: "Product", price: 50, description: "Test" }];
 
       renderCartPageWithCustomState(cartItems, authUser);
 
-      // Act: Click update address button
-      const updateButton = await screen.findByRole("button", { name: /update address/i });
-      fireEvent.click(updateButton);
+      // Act: Click manage addresses button
+      const manageButton = await screen.findByRole("button", { name: /manage addresses/i });
+      fireEvent.click(manageButton);
 
       // Assert: Should navigate to profile page
       expect(mockNavigate).toHaveBeenCalledWith("/dashboard/user/profile");
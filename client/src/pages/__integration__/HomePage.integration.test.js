@@ -339,13 +339,13 @@ describe("HomePage Integration Tests", () => {
       expect(laptopImage).toBeInTheDocument();
       expect(laptopImage).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/product1"
+        "/api/v1/product/product-photo/product1?w=300&format=webp"
       );
 
       expect(phoneImage).toBeInTheDocument();
       expect(phoneImage).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/product2"
+        "/api/v1/product/product-photo/product2?w=300&format=webp"
       );
     });
   });
@@ -154,7 +154,7 @@ describe("ProductDetails Integration with Cart Context", () => {
     const heroImg = screen.getByAltText(product.name);
     expect(heroImg).toHaveAttribute(
       "src",
-      `/api/v1/product/product-photo/${product._id}`
+      `/api/v1/product/product-photo/${product._id}?w=600&format=webp`
     );
 
     // Add to cart button present (not wired yet)
@@ -249,7 +249,7 @@ describe("ProductDetails Integration with Cart Context", () => {
     const relImg = await screen.findByAltText("Widget Pro");
     expect(relImg).toHaveAttribute(
       "src",
-      `/api/v1/product/product-photo/${related[0]._id}`
+      `/api/v1/product/product-photo/${related[0]._id}?w=300&format=webp`
     );
 
     const moreBtn = await screen.findByRole("button", {
@@ -311,10 +311,12 @@ describe("ProductDetails Integration with Cart Context", () => {
 const renderRouteOnly = async (initialEntry = "/product/super-gadget") =>
   renderWithAct(
     <MemoryRouter initialEntries={[initialEntry]}>
-      <Routes>
-        <Route path="/product/:slug" element={<ProductDetails />} />
-        <Route path="/product" element={<ProductDetails />} />
-      </Routes>
+      <CartProvider>
+        <Routes>
+          <Route path="/product/:slug" element={<ProductDetails />} />
+          <Route path="/product" element={<ProductDetails />} />
+        </Routes>
+      </CartProvider>
     </MemoryRouter>
   );
 
@@ -375,7 +377,7 @@ describe("Product route integration with ProductDetails", () => {
     const heroImg = screen.getByAltText("Super Gadget");
     expect(heroImg).toHaveAttribute(
       "src",
-      `/api/v1/product/product-photo/${product._id}`
+      `/api/v1/product/product-photo/${product._id}?w=600&format=webp`
     );
 
     expect(await screen.findByText("Similar Products ➡️")).toBeInTheDocument();
@@ -41,7 +41,7 @@ jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</di
  *      a minimal `Layout` component so the `HomePage` can render under
  *      JSDOM without the real app provider wiring.
  *    - Asserts that the product image element uses
- *      `/api/v1/product/product-photo/:id` as the src and that an
+ *      `/api/v1/product/product-photo/:id?w=300&format=webp` as the src and that an
  *      `error` event falls back to `/images/placeholder.png` (JSDOM does
  *      not load images so the test dispatches an `error` event manually).
  *
@@ -115,7 +115,7 @@ describe("Home page product image rendering (mocked)", () => {
     );
 
     const img = await screen.findByAltText(product.name);
-    expect(img).toHaveAttribute("src", `/api/v1/product/product-photo/${product._id}`);
+    expect(img).toHaveAttribute("src", `/api/v1/product/product-photo/${product._id}?w=300&format=webp`);
 
     // simulate onError fallback (JSDOM doesn't load images)
     await waitFor(() => {
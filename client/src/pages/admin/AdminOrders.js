@@ -5,6 +5,8 @@ import AdminMenu from "../../components/AdminMenu";
 import Layout from "../../components/Layout";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
+import { variantLabel } from "../../components/ProductOptions";
+import ProductPhoto from "../../components/ProductPhoto";
 import { Select } from "antd";
 
 const AdminOrders = () => {
@@ -78,7 +80,10 @@ const AdminOrders = () => {
                           }))}
                         />
                       </td>
-                      <td>{o?.buyer?.name}</td>
+                      <td>
+                        {o?.buyer?.name ||
+                          (o?.buyerDeletedAt ? "Deleted user" : "")}
+                      </td>
                       <td>{moment(o?.createAt).fromNow()}</td>
                       <td>{o?.payment.success ? "Success" : "Failed"}</td>
                       <td>{o?.products?.length}</td>
@@ -89,8 +94,9 @@ const AdminOrders = () => {
                   {o?.products?.map((p, i) => (
                     <div className="row mb-2 p-3 card flex-row" key={p._id}>
                       <div className="col-md-4">
-                        <img
-                          src={`/api/v1/product/product-photo/${p._id}`}
+                        <ProductPhoto
+                          productId={p._id}
+                          size={150}
                           className="card-img-top"
                           alt={p.name}
                           width="100px"
@@ -99,8 +105,13 @@ const AdminOrders = () => {
                       </div>
                       <div className="col-md-8">
                         <p>{p.name}</p>
+                        {o.items?.at(i)?.options && (
+                          <p data-testid="order-variant">
+                            {variantLabel(o.items.at(i).options)}
+                          </p>
+                        )}
                         <p>{p.description.substring(0, 30)}</p>
-                        <p>Price : {p.price}</p>
+                        <p>Price : {o.items?.at(i)?.price ?? p.price}</p>
                       </div>
                     </div>
                   ))}
@@ -283,4 +283,23 @@ describe("AdminOrders Component", () => {
     // Check that "Failed" is displayed for payment status
     expect(screen.getByText("Failed")).toBeInTheDocument();
   });
+
+  it("labels orders whose buyer deleted their account", async () => {
+    axios.get.mockResolvedValue({
+      data: [
+        {
+          _id: "1",
+          status: "Shipped",
+          buyer: null,
+          buyerDeletedAt: "2024-01-01T00:00:00Z",
+          payment: { success: true },
+          products: [],
+        },
+      ],
+    });
+
+    render(<AdminOrders />);
+
+    expect(await screen.findByText("Deleted user")).toBeInTheDocument();
+  });
 });
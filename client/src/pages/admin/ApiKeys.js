@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import Layout from "../../components/Layout";
+import AdminMenu from "../../components/AdminMenu";
+import { useAuth } from "../../context/auth";
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [name, setName] = useState("");
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  const [newKey, setNewKey] = useState("");
+  const [auth] = useAuth();
+
+  const handleError = (error) => {
+    console.log(error);
+    toast.error(error.response?.data?.message || "Something went wrong");
+  };
+
+  const getApiKeys = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/api-keys");
+      if (data?.success) {
+        setApiKeys(data.apiKeys);
+        setScopes(data.scopes);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getApiKeys();
+    //eslint-disable-next-line
+  }, [auth?.token]);
+
+  const toggleScope = (scope) =>
+    setSelectedScopes((prev) =>
+      prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]
+    );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post("/api/v1/auth/api-keys", {
+        name,
+        scopes: selectedScopes,
+      });
+      if (data?.success) {
+        toast.success(data.message);
+        // the only time the full key is available
+        setNewKey(data.key);
+        setApiKeys((prev) => [data.apiKey, ...prev]);
+        setName("");
+        setSelectedScopes([]);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success("API key copied");
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke the API key "${apiKey.name}"?`)) return;
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/auth/api-keys/${apiKey._id}`
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        setApiKeys((prev) =>
+          prev.map((k) => (k._id === data.apiKey._id ? data.apiKey : k))
+        );
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - API Keys"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>API Keys</h1>
+            <form className="mb-4" onSubmit={handleCreate}>
+              <input
+                type="text"
+                className="form-control mb-2"
+                placeholder="Key Name, e.g. Warehouse Sync"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <div className="d-flex flex-wrap gap-3 mb-2">
+                {scopes.map((scope) => (
+                  <div className="form-check" key={scope}>
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      id={`scope-${scope}`}
+                      checked={selectedScopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                    />
+                    <label
+                      className="form-check-label"
+                      htmlFor={`scope-${scope}`}
+                    >
+                      {scope}
+                    </label>
+                  </div>
+                ))}
+              </div>
+              <button type="submit" className="btn btn-primary">
+                CREATE KEY
+              </button>
+            </form>
+
+            {newKey && (
+              <div className="alert alert-warning" data-testid="new-api-key">
+                <p className="mb-1">
+                  Copy this key now. It won't be shown again.
+                </p>
+                <code className="d-block mb-2">{newKey}</code>
+                <button
+                  className="btn btn-sm btn-secondary me-2"
+                  onClick={handleCopy}
+                >
+                  COPY
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => setNewKey("")}
+                >
+                  DONE
+                </button>
+              </div>
+            )}
+
+            <table className="table" data-testid="api-keys-table">
+              <thead>
+                <tr>
+                  <th scope="col">Name</th>
+                  <th scope="col">Key</th>
+                  <th scope="col">Scopes</th>
+                  <th scope="col">Created</th>
+                  <th scope="col">Last Used</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {apiKeys.map((k) => (
+                  <tr key={k._id}>
+                    <td>{k.name}</td>
+                    <td>
+                      <code>{k.prefix}…</code>
+                    </td>
+                    <td>{k.scopes.join(", ")}</td>
+                    <td>
+                      {moment(k.createdAt).fromNow()}
+                      {k.createdBy?.name && ` by ${k.createdBy.name}`}
+                    </td>
+                    <td>
+                      {k.lastUsedAt ? moment(k.lastUsedAt).fromNow() : "Never"}
+                    </td>
+                    <td>{k.revokedAt ? "Revoked" : "Active"}</td>
+                    <td>
+                      {!k.revokedAt && (
+                        <button
+                          className="btn btn-sm btn-danger"
+                          onClick={() => handleRevoke(k)}
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!apiKeys.length && <p>No API keys yet</p>}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,187 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
+import ApiKeys from "./ApiKeys";
+import { useAuth } from "../../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+// Mock the useCategory hook directly
+jest.mock("../../hooks/useCategory", () => {
+  return jest.fn(() => []); // Return empty array of categories
+});
+
+jest.mock("../../context/auth", () => ({
+  useAuth: jest.fn(() => [{ token: "mockToken" }, jest.fn()]),
+}));
+
+jest.mock("../../context/cart", () => ({
+  useCart: jest.fn(() => [null, jest.fn()]),
+}));
+
+jest.mock("../../context/search", () => ({
+  useSearch: jest.fn(() => [{ keyword: "" }, jest.fn()]),
+}));
+
+Object.defineProperty(window, "localStorage", {
+  value: {
+    setItem: jest.fn(),
+    getItem: jest.fn(),
+    removeItem: jest.fn(),
+  },
+  writable: true,
+});
+
+window.matchMedia =
+  window.matchMedia ||
+  function () {
+    return {
+      matches: false,
+      addListener: function () {},
+      removeListener: function () {},
+    };
+  };
+
+const mockKeys = [
+  {
+    _id: "k1",
+    name: "Warehouse Sync",
+    prefix: "vv_abcdefgh",
+    scopes: ["orders:read"],
+    createdBy: { name: "Alice Admin" },
+    createdAt: "2024-01-01T00:00:00Z",
+    lastUsedAt: null,
+    revokedAt: null,
+  },
+];
+
+const renderApiKeys = () =>
+  render(
+    <MemoryRouter initialEntries={["/dashboard/admin/api-keys"]}>
+      <Routes>
+        <Route path="/dashboard/admin/api-keys" element={<ApiKeys />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+/**
+ * Unit tests for the admin API Keys page
+ *
+ * 1. Keys are listed by name, prefix, scopes and last use
+ * 2. Creating a key shows the full key once
+ * 3. Revoking asks for confirmation first
+ */
+describe("ApiKeys Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue([
+      { token: "mockToken", user: { _id: "u1", role: 1 } },
+      jest.fn(),
+    ]);
+    axios.get.mockResolvedValue({
+      data: {
+        success: true,
+        apiKeys: mockKeys,
+        scopes: ["orders:read", "orders:update", "products:write"],
+      },
+    });
+  });
+
+  it("lists the existing keys", async () => {
+    renderApiKeys();
+
+    const table = await screen.findByTestId("api-keys-table");
+    await within(table).findByText("Warehouse Sync");
+
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/api-keys");
+    expect(within(table).getByText("vv_abcdefgh…")).toBeInTheDocument();
+    expect(within(table).getByText("orders:read")).toBeInTheDocument();
+    expect(within(table).getByText("Never")).toBeInTheDocument();
+    expect(within(table).getByText("Active")).toBeInTheDocument();
+  });
+
+  it("creates a key and shows it once", async () => {
+    axios.post.mockResolvedValueOnce({
+      data: {
+        success: true,
+        message: "API key created. Copy it now, it won't be shown again",
+        key: "vv_full-secret-key",
+        apiKey: {
+          _id: "k2",
+          name: "Reports",
+          prefix: "vv_full-sec",
+          scopes: ["products:write"],
+          createdAt: "2024-03-01T00:00:00Z",
+          revokedAt: null,
+        },
+      },
+    });
+
+    renderApiKeys();
+    await screen.findByText("Warehouse Sync");
+
+    fireEvent.change(screen.getByPlaceholderText("Key Name, e.g. Warehouse Sync"), {
+      target: { value: "Reports" },
+    });
+    fireEvent.click(screen.getByLabelText("products:write"));
+    fireEvent.click(screen.getByText("CREATE KEY"));
+
+    expect(await screen.findByTestId("new-api-key")).toHaveTextContent(
+      "vv_full-secret-key"
+    );
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/api-keys", {
+      name: "Reports",
+      scopes: ["products:write"],
+    });
+    expect(screen.getByText("Reports")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("DONE"));
+    expect(screen.queryByTestId("new-api-key")).not.toBeInTheDocument();
+  });
+
+  it("revokes a key after confirmation", async () => {
+    jest.spyOn(window, "confirm").mockReturnValueOnce(true);
+    axios.delete.mockResolvedValueOnce({
+      data: {
+        success: true,
+        message: "API key revoked",
+        apiKey: { ...mockKeys[0], revokedAt: "2024-03-01T00:00:00Z" },
+      },
+    });
+
+    renderApiKeys();
+    fireEvent.click(await screen.findByText("Revoke"));
+
+    expect(await screen.findByText("Revoked")).toBeInTheDocument();
+    expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/api-keys/k1");
+    expect(toast.success).toHaveBeenCalledWith("API key revoked");
+    expect(screen.queryByText("Revoke")).not.toBeInTheDocument();
+  });
+
+  it("keeps the key when the revocation is cancelled", async () => {
+    jest.spyOn(window, "confirm").mockReturnValueOnce(false);
+
+    renderApiKeys();
+    fireEvent.click(await screen.findByText("Revoke"));
+
+    expect(axios.delete).not.toHaveBeenCalled();
+  });
+
+  it("shows the API error", async () => {
+    axios.post.mockRejectedValueOnce({
+      response: { data: { message: "Scopes must be a non-empty list" } },
+    });
+
+    renderApiKeys();
+    await screen.findByText("Warehouse Sync");
+    fireEvent.click(screen.getByText("CREATE KEY"));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith("Scopes must be a non-empty list")
+    );
+  });
+});
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import Layout from "../../components/Layout";
+import AdminMenu from "../../components/AdminMenu";
+import { useAuth } from "../../context/auth";
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { actor: "", action: "", from: "", to: "" };
+
+// "field: old → new" for every changed field
+const describeChanges = (changes) => {
+  if (!changes) return "";
+  const before = new Map(Object.entries(changes.before || {}));
+  const after = new Map(Object.entries(changes.after || {}));
+  const show = (value) =>
+    value === undefined || value === null ? "—" : JSON.stringify(value);
+  return [...new Set([...before.keys(), ...after.keys()])]
+    .map(
+      (field) =>
+        `${field}: ${show(before.get(field))} → ${show(after.get(field))}`
+    )
+    .join(", ");
+};
+
+const describeActor = (event) => {
+  if (event.actor?.email || event.actorEmail) {
+    return event.actor?.email || event.actorEmail;
+  }
+  return event.apiKey?.name ? `API key ${event.apiKey.name}` : "Anonymous";
+};
+
+const describeTarget = (target) =>
+  target?.type ? `${target.type} ${target.label || target.id || ""}`.trim() : "";
+
+const AuditLog = () => {
+  const [events, setEvents] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [auth] = useAuth();
+
+  const getEvents = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/audit-events", {
+        params: { ...filters, page, limit: PAGE_SIZE },
+      });
+      if (data?.success) {
+        setEvents(data.events);
+        setActions(data.actions);
+        setTotal(data.total);
+        setPages(Math.max(data.pages, 1));
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getEvents();
+    //eslint-disable-next-line
+  }, [auth?.token, filters, page]);
+
+  const handleChange = (e) =>
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFilters(form);
+    setPage(1);
+  };
+
+  const handleReset = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  return (
+    <Layout title={"Dashboard - Audit Log"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Audit Log</h1>
+            <form
+              className="d-flex flex-wrap gap-2 mb-3"
+              onSubmit={handleSubmit}
+            >
+              <input
+                type="search"
+                name="actor"
+                className="form-control w-auto"
+                placeholder="Actor Name Or Email"
+                value={form.actor}
+                onChange={handleChange}
+              />
+              <select
+                name="action"
+                className="form-select w-auto"
+                aria-label="Filter by action"
+                value={form.action}
+                onChange={handleChange}
+              >
+                <option value="">All Actions</option>
+                {actions.map((action) => (
+                  <option key={action} value={action}>
+                    {action}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="date"
+                name="from"
+                className="form-control w-auto"
+                aria-label="From date"
+                value={form.from}
+                onChange={handleChange}
+              />
+              <input
+                type="date"
+                name="to"
+                className="form-control w-auto"
+                aria-label="To date"
+                value={form.to}
+                onChange={handleChange}
+              />
+              <button type="submit" className="btn btn-primary">
+                FILTER
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={handleReset}
+              >
+                RESET
+              </button>
+            </form>
+
+            <table className="table" data-testid="audit-table">
+              <thead>
+                <tr>
+                  <th scope="col">When</th>
+                  <th scope="col">Actor</th>
+                  <th scope="col">Action</th>
+                  <th scope="col">Target</th>
+                  <th scope="col">Changes</th>
+                  <th scope="col">Source</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event._id}>
+                    <td title={event.createdAt}>
+                      {moment(event.createdAt).format("YYYY-MM-DD HH:mm:ss")}
+                    </td>
+                    <td>
+                      {describeActor(event)}
+                      {event.impersonator?.email &&
+                        event.impersonator._id !== event.actor?._id && (
+                          <div className="small text-muted">
+                            impersonated by {event.impersonator.email}
+                          </div>
+                        )}
+                    </td>
+                    <td>
+                      {event.action}
+                      {event.metadata?.reason && (
+                        <small className="text-muted">
+                          {" "}
+                          ({event.metadata.reason})
+                        </small>
+                      )}
+                    </td>
+                    <td>{describeTarget(event.target)}</td>
+                    <td>{describeChanges(event.changes)}</td>
+                    <td>
+                      {event.ip}
+                      {event.userAgent && (
+                        <div className="small text-muted">
+                          {event.userAgent}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!events.length && <p>No audit events found</p>}
+
+            <div className="d-flex align-items-center gap-2">
+              <button
+                className="btn btn-outline-secondary"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span data-testid="audit-page">
+                Page {page} of {pages} ({total} events)
+              </span>
+              <button
+                className="btn btn-outline-secondary"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AuditLog;
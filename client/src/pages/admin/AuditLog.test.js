@@ -0,0 +1,226 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
+import AuditLog from "./AuditLog";
+import { useAuth } from "../../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+// Mock the useCategory hook directly
+jest.mock("../../hooks/useCategory", () => {
+  return jest.fn(() => []); // Return empty array of categories
+});
+
+jest.mock("../../context/auth", () => ({
+  useAuth: jest.fn(() => [{ token: "mockToken" }, jest.fn()]),
+}));
+
+jest.mock("../../context/cart", () => ({
+  useCart: jest.fn(() => [null, jest.fn()]),
+}));
+
+jest.mock("../../context/search", () => ({
+  useSearch: jest.fn(() => [{ keyword: "" }, jest.fn()]),
+}));
+
+Object.defineProperty(window, "localStorage", {
+  value: {
+    setItem: jest.fn(),
+    getItem: jest.fn(),
+    removeItem: jest.fn(),
+  },
+  writable: true,
+});
+
+window.matchMedia =
+  window.matchMedia ||
+  function () {
+    return {
+      matches: false,
+      addListener: function () {},
+      removeListener: function () {},
+    };
+  };
+
+const mockEvents = [
+  {
+    _id: "e1",
+    action: "user.roles_updated",
+    actor: { _id: "u1", name: "Alice Admin", email: "alice@example.com" },
+    ip: "10.0.0.1",
+    userAgent: "Firefox",
+    target: { type: "user", id: "u2", label: "bob@example.com" },
+    changes: { before: { roles: [] }, after: { roles: ["fulfillment"] } },
+    createdAt: "2024-02-01T10:00:00Z",
+  },
+  {
+    _id: "e2",
+    action: "auth.login_failed",
+    actor: null,
+    actorEmail: "mallory@example.com",
+    ip: "10.0.0.9",
+    metadata: { reason: "unknown_user" },
+    createdAt: "2024-02-01T09:00:00Z",
+  },
+  {
+    _id: "e3",
+    action: "order.status_updated",
+    actor: null,
+    apiKey: { id: "k1", name: "Warehouse Sync" },
+    target: { type: "order", id: "o1" },
+    changes: { before: { status: "Processing" }, after: { status: "Shipped" } },
+    createdAt: "2024-02-01T08:00:00Z",
+  },
+  {
+    _id: "e4",
+    action: "auth.login",
+    actor: { _id: "u2", name: "Bob Buyer", email: "bob@example.com" },
+    impersonator: { _id: "u1", name: "Alice Admin", email: "alice@example.com" },
+    createdAt: "2024-02-01T07:00:00Z",
+  },
+];
+
+const listResponse = (overrides = {}) => ({
+  data: {
+    success: true,
+    events: mockEvents,
+    actions: ["auth.login", "auth.login_failed", "user.roles_updated"],
+    total: 2,
+    page: 1,
+    pages: 1,
+    ...overrides,
+  },
+});
+
+const renderAuditLog = () =>
+  render(
+    <MemoryRouter initialEntries={["/dashboard/admin/audit-log"]}>
+      <Routes>
+        <Route path="/dashboard/admin/audit-log" element={<AuditLog />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+/**
+ * Unit tests for the admin Audit Log page
+ *
+ * 1. Events are listed with actor, target, before/after diff and source
+ * 2. Actor, action and date filters are sent to the API and reset
+ * 3. Paging and error feedback
+ */
+describe("AuditLog Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue([
+      { token: "mockToken", user: { _id: "u1", role: 1 } },
+      jest.fn(),
+    ]);
+    axios.get.mockResolvedValue(listResponse());
+  });
+
+  it("lists audit events with their changes", async () => {
+    renderAuditLog();
+
+    const table = await screen.findByTestId("audit-table");
+    await within(table).findByText("alice@example.com");
+
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/audit-events", {
+      params: { actor: "", action: "", from: "", to: "", page: 1, limit: 25 },
+    });
+    expect(within(table).getByText("user bob@example.com")).toBeInTheDocument();
+    expect(
+      within(table).getByText('roles: [] → ["fulfillment"]')
+    ).toBeInTheDocument();
+    expect(within(table).getByText("Firefox")).toBeInTheDocument();
+    // failed logins show the address that was tried and why
+    expect(within(table).getByText("mallory@example.com")).toBeInTheDocument();
+    expect(within(table).getByText("(unknown_user)")).toBeInTheDocument();
+    // scripts show up under their API key
+    expect(within(table).getByText("API key Warehouse Sync")).toBeInTheDocument();
+    // requests made while impersonating name the admin behind them
+    expect(
+      within(table).getByText("impersonated by alice@example.com")
+    ).toBeInTheDocument();
+    expect(screen.getByTestId("audit-page")).toHaveTextContent(
+      "Page 1 of 1 (2 events)"
+    );
+  });
+
+  it("sends the filters and resets them", async () => {
+    renderAuditLog();
+    await screen.findByText("alice@example.com");
+
+    fireEvent.change(screen.getByPlaceholderText("Actor Name Or Email"), {
+      target: { value: "alice" },
+    });
+    fireEvent.change(screen.getByLabelText("Filter by action"), {
+      target: { value: "auth.login" },
+    });
+    fireEvent.change(screen.getByLabelText("From date"), {
+      target: { value: "2024-01-01" },
+    });
+    fireEvent.change(screen.getByLabelText("To date"), {
+      target: { value: "2024-01-31" },
+    });
+    fireEvent.click(screen.getByText("FILTER"));
+
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/auth/audit-events", {
+        params: {
+          actor: "alice",
+          action: "auth.login",
+          from: "2024-01-01",
+          to: "2024-01-31",
+          page: 1,
+          limit: 25,
+        },
+      })
+    );
+
+    fireEvent.click(screen.getByText("RESET"));
+
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenLastCalledWith("/api/v1/auth/audit-events", {
+        params: { actor: "", action: "", from: "", to: "", page: 1, limit: 25 },
+      })
+    );
+    expect(screen.getByPlaceholderText("Actor Name Or Email")).toHaveValue("");
+  });
+
+  it("moves to the next page", async () => {
+    axios.get.mockResolvedValue(listResponse({ total: 30, pages: 2 }));
+
+    renderAuditLog();
+    await screen.findByText("Page 1 of 2 (30 events)");
+
+    fireEvent.click(screen.getByText("Next"));
+
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenLastCalledWith(
+        "/api/v1/auth/audit-events",
+        expect.objectContaining({
+          params: expect.objectContaining({ page: 2 }),
+        })
+      )
+    );
+  });
+
+  it("shows an empty state and the API error", async () => {
+    axios.get.mockRejectedValueOnce({
+      response: { data: { message: "Forbidden: missing permission audit:read" } },
+    });
+
+    renderAuditLog();
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "Forbidden: missing permission audit:read"
+      )
+    );
+    expect(screen.getByText("No audit events found")).toBeInTheDocument();
+  });
+});
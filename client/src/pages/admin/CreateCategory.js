@@ -4,29 +4,49 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import CategoryForm from "../../components/Form/CategoryForm";
+import {
+  attributeList,
+  editableAttributes,
+} from "../../components/AttributeEditor";
+import { categoryOutline } from "../../components/CategoryTree";
 import { Modal } from "antd";
 const CreateCategory = () => {
   const [categories, setCategories] = useState([]);
   const [name, setName] = useState("");
+  const [parent, setParent] = useState("");
+  const [attributes, setAttributes] = useState([]);
   const [visible, setVisible] = useState(false);
   const [selected, setSelected] = useState(null);
   const [updatedName, setUpdatedName] = useState("");
+  const [updatedAttributes, setUpdatedAttributes] = useState([]);
+  //the category being dragged to a new parent
+  const [dragged, setDragged] = useState(null);
+  //{ category, products } of a delete waiting for the products to be moved
+  const [deleting, setDeleting] = useState(null);
+  //where they go: a category id, or "" for Uncategorized
+  const [moveTo, setMoveTo] = useState("");
   //handle Form
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       const { data } = await axios.post("/api/v1/category/create-category", {
         name,
+        ...(parent && { parent }),
+        ...(attributes.length && { attributes: attributeList(attributes) }),
       });
       if (data?.success) {
         toast.success(`${name} is created`);
+        setParent("");
+        setAttributes([]);
         getAllCategory();
       } else {
         toast.error(data.message);
       }
     } catch (error) {
       console.log(error);
-      toast.error("somthing went wrong in input form");
+      toast.error(
+        error.response?.data?.message || "somthing went wrong in input form"
+      );
     }
   };
 
@@ -53,38 +73,91 @@ const CreateCategory = () => {
     try {
       const { data } = await axios.put(
         `/api/v1/category/update-category/${selected._id}`,
-        { name: updatedName }
+        { name: updatedName, attributes: attributeList(updatedAttributes) }
       );
       if (data.success) {
         toast.success(`${updatedName} is updated`);
         setSelected(null);
         setUpdatedName("");
+        setUpdatedAttributes([]);
         setVisible(false);
         getAllCategory();
       } else {
         toast.error(data.message);
       }
     } catch (error) {
-      toast.error("Somtihing went wrong");
+      toast.error(error.response?.data?.message || "Somtihing went wrong");
     }
   };
-  //delete category
-  const handleDelete = async (pId) => {
+  //delete category; one that still has products opens the reassign dialog
+  const handleDelete = async (pId, reassign) => {
     try {
-      const { data } = await axios.delete(
-        `/api/v1/category/delete-category/${pId}`
-      );
+      const url = `/api/v1/category/delete-category/${pId}`;
+      const { data } = reassign
+        ? await axios.delete(url, { params: reassign })
+        : await axios.delete(url);
       if (data.success) {
         toast.success(`category is deleted`);
-
+        setDeleting(null);
+        getAllCategory();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      if (error.response?.status === 409 && !reassign) {
+        setDeleting({
+          category: categories.find((c) => c._id === pId),
+          products: error.response.data.products,
+        });
+        setMoveTo("");
+        return;
+      }
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.message ||
+          "Somtihing went wrong"
+      );
+    }
+  };
+  //move a category, with its subcategories, under another parent
+  const handleMove = async (category, parentId) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/category/move-category/${category._id}`,
+        { parent: parentId }
+      );
+      if (data.success) {
+        toast.success(`${category.name} is moved`);
         getAllCategory();
       } else {
         toast.error(data.message);
       }
     } catch (error) {
-      toast.error("Somtihing went wrong");
+      console.log(error);
+      toast.error(
+        error.response?.data?.error ||
+          error.response?.data?.message ||
+          "Something went wrong"
+      );
     }
   };
+  //a category can't go under itself or anything below it
+  const canDropOn = (target) =>
+    dragged &&
+    target._id !== dragged._id &&
+    !target.ancestors?.some((ancestor) => ancestor._id === dragged._id);
+  const dropTarget = (target) => ({
+    onDragOver: (e) => {
+      if (target ? canDropOn(target) : dragged) e.preventDefault();
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (target ? canDropOn(target) : dragged) {
+        handleMove(dragged, target ? target._id : null);
+      }
+      setDragged(null);
+    },
+  });
   return (
     <Layout title={"Dashboard - Create Category"}>
       <div className="container-fluid m-3 p-3">
@@ -99,9 +172,17 @@ const CreateCategory = () => {
                 handleSubmit={handleSubmit}
                 value={name}
                 setValue={setName}
+                categories={categories}
+                parent={parent}
+                setParent={setParent}
+                attributes={attributes}
+                setAttributes={setAttributes}
               />
             </div>
             <div className="w-75">
+              <p className="text-muted">
+                Drag a category onto another to make it a subcategory.
+              </p>
               <table className="table">
                 <thead>
                   <tr>
@@ -110,16 +191,36 @@ const CreateCategory = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {categories?.map((c) => (
+                  {dragged && (
+                    <tr data-testid="top-level-drop" {...dropTarget(null)}>
+                      <td colSpan={2} className="text-muted">
+                        Drop here to move {dragged.name} to the top level
+                      </td>
+                    </tr>
+                  )}
+                  {categoryOutline(categories).map((c) => (
                     <>
-                      <tr>
-                        <td key={c._id}>{c.name}</td>
+                      <tr
+                        draggable
+                        onDragStart={() => setDragged(c)}
+                        onDragEnd={() => setDragged(null)}
+                        {...dropTarget(c)}
+                      >
+                        <td
+                          key={c._id}
+                          style={{ paddingLeft: `${0.5 + c.depth * 1.5}rem` }}
+                        >
+                          {c.name}
+                        </td>
                         <td>
                           <button
                             className="btn btn-primary ms-2"
                             onClick={() => {
                               setVisible(true);
                               setUpdatedName(c.name);
+                              setUpdatedAttributes(
+                                editableAttributes(c.attributes)
+                              );
                               setSelected(c);
                             }}
                           >
@@ -140,6 +241,51 @@ const CreateCategory = () => {
                 </tbody>
               </table>
             </div>
+            <Modal
+              title={`Delete ${deleting?.category?.name || "category"}`}
+              onCancel={() => setDeleting(null)}
+              footer={null}
+              visible={Boolean(deleting)}
+            >
+              <p data-testid="delete-product-count">
+                {deleting?.products} product
+                {deleting?.products === 1 ? " is" : "s are"} still in this
+                category. Where should they go?
+              </p>
+              <div className="mb-3">
+                <select
+                  className="form-select"
+                  aria-label="Move products to"
+                  value={moveTo}
+                  onChange={(e) => setMoveTo(e.target.value)}
+                >
+                  <option value="">Uncategorized</option>
+                  {categoryOutline(categories)
+                    .filter(
+                      (c) =>
+                        c._id !== deleting?.category?._id &&
+                        c.slug !== "uncategorized"
+                    )
+                    .map((c) => (
+                      <option key={c._id} value={c._id}>
+                        {"— ".repeat(c.depth)}
+                        {c.name}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <button
+                className="btn btn-danger"
+                onClick={() =>
+                  handleDelete(
+                    deleting.category._id,
+                    moveTo ? { moveTo } : { force: true }
+                  )
+                }
+              >
+                Move products and delete
+              </button>
+            </Modal>
             <Modal
               onCancel={() => setVisible(false)}
               footer={null}
@@ -149,6 +295,8 @@ const CreateCategory = () => {
                 value={updatedName}
                 setValue={setUpdatedName}
                 handleSubmit={handleUpdate}
+                attributes={updatedAttributes}
+                setAttributes={setUpdatedAttributes}
               />
             </Modal>
           </div>
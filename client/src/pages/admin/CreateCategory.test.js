@@ -15,13 +15,20 @@ jest.mock("react-hot-toast", () => ({
 // Mock components
 jest.mock("../../components/AdminMenu", () => () => <div>AdminMenu</div>);
 jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
-jest.mock("../../components/Form/CategoryForm", () => ({ handleSubmit, value, setValue }) => (
+jest.mock("../../components/Form/CategoryForm", () => ({ handleSubmit, value, setValue, parent, setParent }) => (
   <form onSubmit={handleSubmit}>
     <input
       placeholder="Category Name"
       value={value}
       onChange={(e) => setValue(e.target.value)}
     />
+    {setParent && (
+      <input
+        placeholder="Parent"
+        value={parent}
+        onChange={(e) => setParent(e.target.value)}
+      />
+    )}
     <button type="submit">Submit</button>
   </form>
 ));
@@ -168,11 +175,45 @@ describe("CreateCategory Component", () => {
     fireEvent.click(submitButton);
 
     await waitFor(() => {
-      expect(axios.put).toHaveBeenCalledWith("/api/v1/category/update-category/1", { name: "Gadgets" });
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/category/update-category/1", { name: "Gadgets", attributes: [] });
       expect(toast.success).toHaveBeenCalledWith("Gadgets is updated");
     });
   });
 
+  test("sends a category's saved attributes back with its new name", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        success: true,
+        category: [
+          {
+            _id: "1",
+            name: "Laptops",
+            attributes: [
+              { key: "ram", label: "RAM", type: "number", unit: "GB", required: true },
+              { key: "panel", label: "Panel", type: "enum", options: ["IPS", "OLED"], required: false },
+            ],
+          },
+        ],
+      },
+    });
+    axios.put.mockResolvedValue({ data: { success: true } });
+
+    render(<CreateCategory />);
+    fireEvent.click(await screen.findByText("Edit"));
+    fireEvent.change(screen.getByDisplayValue("Laptops"), { target: { value: "Notebooks" } });
+    fireEvent.click(screen.getAllByText("Submit")[1]);
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/category/update-category/1", {
+        name: "Notebooks",
+        attributes: [
+          { key: "ram", label: "RAM", type: "number", unit: "GB", required: true },
+          { key: "panel", label: "Panel", type: "enum", options: ["IPS", "OLED"], required: false },
+        ],
+      })
+    );
+  });
+
   test("shows toast error if update category fails", async () => {
     axios.get.mockResolvedValueOnce({ data: { success: true, category: [{ _id: "1", name: "Electronics" }] } });
     axios.put.mockResolvedValueOnce({ data: { success: false, message: "Update failed" } });
@@ -232,4 +273,169 @@ describe("CreateCategory Component", () => {
         expect(modal).toHaveStyle("display: none");
     });
   });
+
+  describe("deleting a category with products", () => {
+    const stillInUse = {
+      response: { status: 409, data: { success: false, error: "Electronics still has 3 products", products: 3 } },
+    };
+
+    test("asks where the products go and moves them to the chosen category", async () => {
+      axios.delete
+        .mockRejectedValueOnce(stillInUse)
+        .mockResolvedValueOnce({ data: { success: true } });
+      render(<CreateCategory />);
+      await screen.findByText("Electronics");
+
+      fireEvent.click(screen.getAllByText("Delete")[0]);
+
+      expect(await screen.findByTestId("delete-product-count")).toHaveTextContent(
+        "3 products are still in this category."
+      );
+      const picker = screen.getByLabelText("Move products to");
+      expect(Array.from(picker.options).map((option) => option.text)).toEqual(["Uncategorized", "Books"]);
+      fireEvent.change(picker, { target: { value: "2" } });
+      fireEvent.click(screen.getByText("Move products and delete"));
+
+      await waitFor(() => {
+        expect(axios.delete).toHaveBeenLastCalledWith("/api/v1/category/delete-category/1", {
+          params: { moveTo: "2" },
+        });
+        expect(toast.success).toHaveBeenCalledWith("category is deleted");
+      });
+    });
+
+    test("moves the products to Uncategorized by default", async () => {
+      axios.delete
+        .mockRejectedValueOnce(stillInUse)
+        .mockResolvedValueOnce({ data: { success: true } });
+      render(<CreateCategory />);
+      await screen.findByText("Electronics");
+
+      fireEvent.click(screen.getAllByText("Delete")[0]);
+      fireEvent.click(await screen.findByText("Move products and delete"));
+
+      await waitFor(() => {
+        expect(axios.delete).toHaveBeenLastCalledWith("/api/v1/category/delete-category/1", {
+          params: { force: true },
+        });
+      });
+    });
+
+    test("shows why a reassigning delete failed", async () => {
+      axios.delete
+        .mockRejectedValueOnce(stillInUse)
+        .mockRejectedValueOnce({
+          response: { status: 404, data: { success: false, message: "Target category not found" } },
+        });
+      render(<CreateCategory />);
+      await screen.findByText("Electronics");
+
+      fireEvent.click(screen.getAllByText("Delete")[0]);
+      fireEvent.click(await screen.findByText("Move products and delete"));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Target category not found");
+      });
+    });
+  });
+
+  describe("category tree", () => {
+    const tree = [
+      { _id: "1", name: "Electronics", parentCategory: null, ancestors: [] },
+      {
+        _id: "3",
+        name: "Phones",
+        parentCategory: "1",
+        ancestors: [{ _id: "1", name: "Electronics" }],
+      },
+      { _id: "2", name: "Books", parentCategory: null, ancestors: [] },
+    ];
+    const row = (name) => screen.getByText(name).closest("tr");
+
+    beforeEach(() => {
+      axios.get.mockResolvedValue({ data: { success: true, category: tree } });
+    });
+
+    test("creates a subcategory under the chosen parent", async () => {
+      axios.post.mockResolvedValue({ data: { success: true } });
+      render(<CreateCategory />);
+
+      fireEvent.change(screen.getByPlaceholderText("Category Name"), { target: { value: "Laptops" } });
+      fireEvent.change(screen.getByPlaceholderText("Parent"), { target: { value: "1" } });
+      fireEvent.click(screen.getByText("Submit"));
+
+      await waitFor(() => {
+        expect(axios.post).toHaveBeenCalledWith("/api/v1/category/create-category", {
+          name: "Laptops",
+          parent: "1",
+        });
+      });
+    });
+
+    test("indents subcategories under their parent", async () => {
+      render(<CreateCategory />);
+      await screen.findByText("Phones");
+
+      const names = screen.getAllByRole("row").slice(1).map((r) => r.cells[0].textContent);
+      expect(names).toEqual(["Electronics", "Phones", "Books"]);
+      expect(screen.getByText("Phones")).toHaveStyle("padding-left: 2rem");
+    });
+
+    test("drags a category onto another to move it there", async () => {
+      axios.put.mockResolvedValue({ data: { success: true } });
+      render(<CreateCategory />);
+      await screen.findByText("Books");
+
+      fireEvent.dragStart(row("Books"));
+      fireEvent.dragOver(row("Phones"));
+      fireEvent.drop(row("Phones"));
+
+      await waitFor(() => {
+        expect(axios.put).toHaveBeenCalledWith("/api/v1/category/move-category/2", { parent: "3" });
+        expect(toast.success).toHaveBeenCalledWith("Books is moved");
+      });
+    });
+
+    test("drops a subcategory on the top level", async () => {
+      axios.put.mockResolvedValue({ data: { success: true } });
+      render(<CreateCategory />);
+      await screen.findByText("Phones");
+
+      fireEvent.dragStart(row("Phones"));
+      fireEvent.drop(screen.getByTestId("top-level-drop"));
+
+      await waitFor(() => {
+        expect(axios.put).toHaveBeenCalledWith("/api/v1/category/move-category/3", { parent: null });
+      });
+    });
+
+    test("ignores drops on the category's own subtree", async () => {
+      render(<CreateCategory />);
+      await screen.findByText("Phones");
+
+      fireEvent.dragStart(row("Electronics"));
+      fireEvent.drop(row("Phones"));
+      fireEvent.dragStart(row("Electronics"));
+      fireEvent.drop(row("Electronics"));
+
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+
+    test("shows why the server refused a move", async () => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      axios.put.mockRejectedValue({
+        response: { data: { success: false, error: "Books can't be moved under itself" } },
+      });
+      render(<CreateCategory />);
+      await screen.findByText("Books");
+
+      fireEvent.dragStart(row("Books"));
+      fireEvent.drop(row("Electronics"));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Books can't be moved under itself");
+      });
+      console.log.mockRestore();
+    });
+  });
 });
@@ -1,6 +1,19 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../../components/Layout";
 import AdminMenu from "./../../components/AdminMenu";
+import FieldError, {
+  invalidClass,
+  withoutField,
+} from "./../../components/FieldError";
+import GalleryEditor, { appendGallery } from "./../../components/GalleryEditor";
+import VariantEditor, {
+  variantFields,
+  variantStock,
+} from "./../../components/VariantEditor";
+import ProductStatusField, {
+  statusFields,
+} from "./../../components/ProductStatusField";
+import SpecsFields, { specsField } from "./../../components/SpecsFields";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
@@ -16,7 +29,65 @@ const CreateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [gallery, setGallery] = useState([]);
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [lifecycle, setLifecycle] = useState({
+    status: "published",
+    publishAt: "",
+  });
+  const [specs, setSpecs] = useState({});
+  const [errors, setErrors] = useState([]);
+  //the specs asked for are those of the chosen category
+  const attributes =
+    categories?.find((c) => c._id === category)?.attributes || [];
+
+  // update a field and clear what the server said about it
+  const setField = (setter, field) => (value) => {
+    setter(value);
+    setErrors((current) => withoutField(current, field));
+  };
+
+  // the editor reports both lists at once; its errors go when either changes
+  const setVariantState = (next) => {
+    setOptions(next.options);
+    setVariants(next.variants);
+    setErrors((current) =>
+      current.filter(
+        ({ field }) =>
+          !field.startsWith("options") && !field.startsWith("variants")
+      )
+    );
+  };
+
+  // image errors are keyed by entry (images[0]) or upload field (image0)
+  const setGalleryState = (next) => {
+    setGallery(next);
+    setErrors((current) =>
+      current.filter(({ field }) => !/^(images?|photo)/.test(field))
+    );
+  };
+
+  const setStatusState = (next) => {
+    setLifecycle(next);
+    setErrors((current) =>
+      current.filter(({ field }) => field !== "status" && field !== "publishAt")
+    );
+  };
+
+  const setSpecsState = (next, field) => {
+    setSpecs(next);
+    setErrors((current) => withoutField(current, field));
+  };
+
+  //a new category asks for other specs
+  const setCategoryState = (value) => {
+    setField(setCategory, "category")(value);
+    setSpecs({});
+    setErrors((current) =>
+      current.filter(({ field }) => !field.startsWith("specs"))
+    );
+  };
 
   //get all category
   const getAllCategory = async () => {
@@ -42,11 +113,23 @@ const CreateProduct = () => {
       const productData = new FormData();
       productData.append("name", name?.trim());
       productData.append("description", description?.trim());
-      productData.append("price", String(Number(price)));
-      productData.append("quantity", String(Number(quantity)));
-      productData.append("photo", photo);
+      // sent as typed so a blank price or quantity is reported, not saved as 0
+      productData.append("price", price.trim());
+      // with variants, stock is the sum of the variant stock
+      productData.append(
+        "quantity",
+        variants.length ? String(variantStock(variants)) : quantity.trim()
+      );
+      appendGallery(productData, gallery);
       productData.append("category", category);
       productData.append("shipping", shipping === "1" ? "1" : "0");
+      const variantData = variantFields(options, variants);
+      productData.append("options", variantData.options);
+      productData.append("variants", variantData.variants);
+      Object.entries(statusFields(lifecycle)).forEach(([field, value]) =>
+        productData.append(field, value)
+      );
+      productData.append("specs", specsField(attributes, specs));
 
       const { data } = await axios.post(
         "/api/v1/product/create-product",
@@ -63,6 +146,13 @@ const CreateProduct = () => {
       }
     } catch (error) {
       console.log(error);
+      // validation errors are shown next to the fields they belong to
+      const validationErrors = error.response?.data?.errors;
+      if (validationErrors?.length) {
+        setErrors(validationErrors);
+        toast.error(error.response.data.message);
+        return;
+      }
       toast.error("something went wrong");
     }
   };
@@ -83,9 +173,7 @@ const CreateProduct = () => {
                 size="large"
                 showSearch
                 className="form-select mb-3"
-                onChange={(value) => {
-                  setCategory(value);
-                }}
+                onChange={setCategoryState}
               >
                 {categories?.map((c) => (
                   <Option key={c._id} value={c._id}>
@@ -93,47 +181,33 @@ const CreateProduct = () => {
                   </Option>
                 ))}
               </Select>
-              <div className="mb-3">
-                <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
-                  <input
-                    type="file"
-                    name="photo"
-                    accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
-                    hidden
-                  />
-                </label>
-              </div>
-              <div className="mb-3">
-                {photo && (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
-              </div>
+              <FieldError errors={errors} field="category" />
+              <GalleryEditor
+                gallery={gallery}
+                onChange={setGalleryState}
+                errors={errors}
+              />
               <div className="mb-3">
                 <input
                   type="text"
                   value={name}
                   placeholder="write a name"
-                  className="form-control"
-                  onChange={(e) => setName(e.target.value)}
+                  className={`form-control${invalidClass(errors, "name")}`}
+                  onChange={(e) => setField(setName, "name")(e.target.value)}
                 />
+                <FieldError errors={errors} field="name" />
               </div>
               <div className="mb-3">
                 <textarea
                   type="text"
                   value={description}
                   placeholder="write a description"
-                  className="form-control"
-                  onChange={(e) => setDescription(e.target.value)}
+                  className={`form-control${invalidClass(errors, "description")}`}
+                  onChange={(e) =>
+                    setField(setDescription, "description")(e.target.value)
+                  }
                 />
+                <FieldError errors={errors} field="description" />
               </div>
 
               <div className="mb-3">
@@ -141,18 +215,23 @@ const CreateProduct = () => {
                   type="number"
                   value={price}
                   placeholder="write a Price"
-                  className="form-control"
-                  onChange={(e) => setPrice(e.target.value)}
+                  className={`form-control${invalidClass(errors, "price")}`}
+                  onChange={(e) => setField(setPrice, "price")(e.target.value)}
                 />
+                <FieldError errors={errors} field="price" />
               </div>
               <div className="mb-3">
                 <input
                   type="number"
-                  value={quantity}
+                  value={variants.length ? variantStock(variants) : quantity}
                   placeholder="write a quantity"
-                  className="form-control"
-                  onChange={(e) => setQuantity(e.target.value)}
+                  className={`form-control${invalidClass(errors, "quantity")}`}
+                  disabled={variants.length > 0}
+                  onChange={(e) =>
+                    setField(setQuantity, "quantity")(e.target.value)
+                  }
                 />
+                <FieldError errors={errors} field="quantity" />
               </div>
               <div className="mb-3">
                 <Select
@@ -169,6 +248,25 @@ const CreateProduct = () => {
                   <Option value="1">Yes</Option>
                 </Select>
               </div>
+              <div className="mb-3">
+                <ProductStatusField
+                  {...lifecycle}
+                  onChange={setStatusState}
+                  errors={errors}
+                />
+              </div>
+              <SpecsFields
+                attributes={attributes}
+                specs={specs}
+                onChange={setSpecsState}
+                errors={errors}
+              />
+              <VariantEditor
+                options={options}
+                variants={variants}
+                onChange={setVariantState}
+                errors={errors}
+              />
               <div className="mb-3">
                 <button className="btn btn-primary" onClick={handleCreate}>
                   CREATE PRODUCT
@@ -38,7 +38,7 @@ jest.mock('antd', () => {
 });
 
 beforeAll(() => {
-  // createObjectURL is used when previewing uploaded photo
+  // createObjectURL is used when previewing uploaded images
   global.URL.createObjectURL = jest.fn(() => 'blob:mock');
 });
 
@@ -124,22 +124,35 @@ test('when post returns success=true show error toast and do not navigate', asyn
   expect(mockNavigate).not.toHaveBeenCalled();
 });
 
-test('photo preview appears when file is chosen', async () => {
+test('image previews appear in the gallery and are sent with the product', async () => {
   axios.get.mockResolvedValueOnce({ data: { success: true, category: [] } });
+  axios.post.mockResolvedValueOnce({ data: { success: false } });
 
   render(<CreateProduct />);
 
   // find file input (it's hidden in a label)
-  const fileInput = screen.getByLabelText(/upload photo/i) || document.querySelector('input[type=file]');
-  expect(fileInput).toBeTruthy();
+  const fileInput = screen.getByLabelText(/add images/i);
+
+  // create mock Files
+  const front = new File(['(⌐□_□)'], 'front.png', { type: 'image/png' });
+  const back = new File(['(□_□⌐)'], 'back.png', { type: 'image/png' });
+  await userEvent.upload(fileInput, [front, back]);
+
+  // image previews should be rendered, the first one primary
+  await waitFor(() => expect(screen.getByAltText('Image 2')).toBeInTheDocument());
+  expect(screen.getByLabelText('Image 1 primary')).toBeChecked();
+  await userEvent.type(screen.getByLabelText('Image 2 alt text'), 'Back');
 
-  // create a mock File
-  const file = new File(['(⌐□_□)'], 'photo.png', { type: 'image/png' });
-  // fire input change
-  await userEvent.upload(fileInput, file);
+  await userEvent.click(screen.getByRole('button', { name: /create product/i }));
 
-  // image preview should be rendered
-  await waitFor(() => expect(screen.getByAltText('product_photo')).toBeInTheDocument());
+  await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(1));
+  const fd = axios.post.mock.calls[0][1];
+  expect(fd.get('image0')).toBe(front);
+  expect(fd.get('image1')).toBe(back);
+  expect(JSON.parse(fd.get('images'))).toEqual([
+    { upload: 'image0', alt: '', isPrimary: false },
+    { upload: 'image1', alt: 'Back', isPrimary: false },
+  ]);
 });
 
 // Removed low-value shipping select test: shipping is covered indirectly by other tests
@@ -180,3 +193,135 @@ test('shows toast when create product throws an error', async () => {
   await waitFor(() => expect(toast.error).toHaveBeenCalledWith('something went wrong'));
   expect(mockNavigate).not.toHaveBeenCalled();
 });
+
+test('shows the server validation errors next to their fields', async () => {
+  const toast = require('react-hot-toast').default;
+  axios.get.mockResolvedValueOnce({ data: { success: true, category: [] } });
+  axios.post.mockRejectedValueOnce({
+    response: {
+      status: 400,
+      data: {
+        success: false,
+        message: 'Name is required',
+        errors: [
+          { field: 'name', rule: 'required', message: 'Name is required' },
+          { field: 'price', rule: 'required', message: 'Price is required' },
+          { field: 'category', rule: 'required', message: 'Category is required' },
+        ],
+      },
+    },
+  });
+
+  render(<CreateProduct />);
+  await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+  userEvent.click(screen.getByRole('button', { name: /create product/i }));
+
+  await waitFor(() => expect(screen.getByTestId('name-error')).toHaveTextContent('Name is required'));
+  expect(screen.getByTestId('price-error')).toHaveTextContent('Price is required');
+  expect(screen.getByTestId('category-error')).toHaveTextContent('Category is required');
+  expect(screen.getByPlaceholderText(/write a name/i)).toHaveClass('is-invalid');
+  expect(toast.error).toHaveBeenCalledWith('Name is required');
+  expect(mockNavigate).not.toHaveBeenCalled();
+
+  // a blank price is sent as typed, not turned into 0
+  const sent = axios.post.mock.calls[0][1];
+  expect(sent.get('price')).toBe('');
+
+  await userEvent.type(screen.getByPlaceholderText(/write a name/i), 'Lamp');
+  expect(screen.queryByTestId('name-error')).not.toBeInTheDocument();
+  expect(screen.getByTestId('price-error')).toBeInTheDocument();
+});
+
+test('sends the variants as JSON and their total as the stock', async () => {
+  axios.get.mockResolvedValueOnce({ data: { success: true, category: [] } });
+  axios.post.mockResolvedValueOnce({ data: { success: false } });
+
+  render(<CreateProduct />);
+  await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+  await userEvent.click(screen.getByRole('button', { name: 'Add Option' }));
+  await userEvent.type(screen.getByLabelText('Option 1 name'), 'Size');
+  await userEvent.type(screen.getByLabelText('Option 1 values'), 'M, L');
+  await userEvent.click(screen.getByRole('button', { name: 'Generate Variants' }));
+  await userEvent.type(screen.getByLabelText('M SKU'), 'TS-M');
+  await userEvent.type(screen.getByLabelText('M stock'), '3');
+  await userEvent.type(screen.getByLabelText('L SKU'), 'TS-L');
+  await userEvent.type(screen.getByLabelText('L price'), '25');
+  await userEvent.type(screen.getByLabelText('L stock'), '2');
+
+  expect(screen.getByPlaceholderText(/write a quantity/i)).toHaveValue(5);
+  expect(screen.getByPlaceholderText(/write a quantity/i)).toBeDisabled();
+
+  await userEvent.click(screen.getByRole('button', { name: /create product/i }));
+  await waitFor(() => expect(axios.post).toHaveBeenCalled());
+
+  const sent = axios.post.mock.calls[0][1];
+  expect(sent.get('quantity')).toBe('5');
+  expect(JSON.parse(sent.get('options'))).toEqual([{ name: 'Size', values: ['M', 'L'] }]);
+  expect(JSON.parse(sent.get('variants'))).toEqual([
+    { sku: 'TS-M', options: { Size: 'M' }, quantity: '3' },
+    { sku: 'TS-L', options: { Size: 'L' }, price: '25', quantity: '2' },
+  ]);
+});
+
+test('saves the product as a draft or scheduled for later', async () => {
+  axios.get.mockResolvedValueOnce({ data: { success: true, category: [] } });
+  axios.post.mockResolvedValue({ data: { success: false } });
+
+  render(<CreateProduct />);
+  await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+  expect(screen.getByLabelText('Status')).toHaveValue('published');
+  await userEvent.selectOptions(screen.getByLabelText('Status'), 'draft');
+  await userEvent.click(screen.getByRole('button', { name: /create product/i }));
+  await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(1));
+  expect(axios.post.mock.calls[0][1].get('status')).toBe('draft');
+  expect(axios.post.mock.calls[0][1].has('publishAt')).toBe(false);
+
+  await userEvent.selectOptions(screen.getByLabelText('Status'), 'scheduled');
+  await userEvent.type(screen.getByLabelText('Publish at'), '2030-01-01T09:00');
+  await userEvent.click(screen.getByRole('button', { name: /create product/i }));
+  await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(2));
+  const sent = axios.post.mock.calls[1][1];
+  expect(sent.get('status')).toBe('scheduled');
+  expect(sent.get('publishAt')).toBe(new Date('2030-01-01T09:00').toISOString());
+});
+
+test("asks for the chosen category's specs and sends them as JSON", async () => {
+  axios.get.mockResolvedValueOnce({
+    data: {
+      success: true,
+      category: [
+        { _id: 'cat1', name: 'Books', attributes: [] },
+        {
+          _id: 'cat2',
+          name: 'Laptops',
+          attributes: [
+            { key: 'ram', label: 'RAM', type: 'number', unit: 'GB', required: true },
+            { key: 'panel', label: 'Panel', type: 'enum', options: ['IPS', 'OLED'] },
+            { key: 'touch', label: 'Touchscreen', type: 'boolean' },
+          ],
+        },
+      ],
+    },
+  });
+  axios.post.mockResolvedValueOnce({ data: { success: false } });
+
+  render(<CreateProduct />);
+  await waitFor(() => expect(screen.getByText('Laptops')).toBeInTheDocument());
+  expect(screen.queryByText('Specifications')).not.toBeInTheDocument();
+
+  await userEvent.selectOptions(screen.getAllByTestId('select')[0], 'cat2');
+  await userEvent.type(screen.getByLabelText('RAM'), '16');
+  await userEvent.selectOptions(screen.getByLabelText('Panel'), 'OLED');
+  expect(screen.getByText('RAM * (GB)')).toBeInTheDocument();
+
+  await userEvent.click(screen.getByRole('button', { name: /create product/i }));
+  await waitFor(() => expect(axios.post).toHaveBeenCalled());
+
+  expect(JSON.parse(axios.post.mock.calls[0][1].get('specs'))).toEqual({
+    ram: '16',
+    panel: 'OLED',
+  });
+});
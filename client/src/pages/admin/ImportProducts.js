@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import AdminMenu from "../../components/AdminMenu";
+import Layout from "./../../components/Layout";
+import axios from "axios";
+import toast from "react-hot-toast";
+
+const ACTION_LABELS = new Map([
+  ["create", "Create"],
+  ["update", "Update"],
+  ["error", "Error"],
+]);
+
+// bulk product upload from CSV or JSON, checked with a dry run first, and
+// the catalogue download in the same format
+const ImportProducts = () => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const handleExport = async (format) => {
+    try {
+      const { data, headers } = await axios.get(
+        "/api/v1/product/export-products",
+        { params: { format }, responseType: "blob" }
+      );
+      const fileName =
+        /filename="([^"]+)"/.exec(
+          headers?.["content-disposition"] || ""
+        )?.[1] || `products.${format}`;
+      // hand the blob to the browser as a download
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  //dryRun only reports what each row would do
+  const handleImport = async (dryRun) => {
+    try {
+      const productData = new FormData();
+      productData.append("file", file);
+      productData.append("dryRun", String(dryRun));
+      const { data } = await axios.post(
+        "/api/v1/product/import-products",
+        productData
+      );
+      setReport(data);
+      toast.success(data?.message);
+    } catch (error) {
+      console.log(error);
+      const data = error.response?.data;
+      setReport(data?.rows ? data : null);
+      toast.error(data?.message || "Something went wrong");
+    }
+  };
+
+  const chooseFile = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  return (
+    <Layout title={"Dashboard - Import Products"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Import / Export Products</h1>
+            <p>
+              One product per row with the columns slug, name, description,
+              price, quantity, category (its slug), shipping, status, publishAt,
+              options, variants and specs. Rows update the product with the
+              same slug or variant SKU and create the rest; blank cells keep
+              the saved value.
+            </p>
+            <div className="d-flex gap-2 mb-4">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => handleExport("csv")}
+              >
+                EXPORT CSV
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => handleExport("json")}
+              >
+                EXPORT JSON
+              </button>
+            </div>
+            <div className="d-flex flex-wrap gap-2 mb-3">
+              <input
+                type="file"
+                className="form-control w-auto"
+                accept=".csv,.json,text/csv,application/json"
+                aria-label="Products file"
+                onChange={chooseFile}
+              />
+              <button
+                type="button"
+                className="btn btn-outline-primary"
+                disabled={!file}
+                onClick={() => handleImport(true)}
+              >
+                CHECK FILE
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={!file}
+                onClick={() => handleImport(false)}
+              >
+                IMPORT
+              </button>
+            </div>
+            {report && (
+              <>
+                <p data-testid="import-summary">{report.message}</p>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th scope="col">Row</th>
+                      <th scope="col">Product</th>
+                      <th scope="col">Action</th>
+                      <th scope="col">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map((row) => (
+                      <tr
+                        key={row.row}
+                        className={row.errors.length ? "table-danger" : ""}
+                      >
+                        <td>{row.row}</td>
+                        <td>{row.name || row.slug || "-"}</td>
+                        <td>{ACTION_LABELS.get(row.action)}</td>
+                        <td>
+                          {row.errors.map((error) => (
+                            <div key={error.message}>{error.message}</div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ImportProducts;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import ImportProducts from './ImportProducts';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../components/Layout', () => ({ children }) => (
+  <div>{children}</div>
+));
+jest.mock('../../components/AdminMenu', () => () => <div>Admin Menu</div>);
+
+const report = (extra = {}) => ({
+  success: true,
+  message: 'Dry run: 1 to create, 0 to update, 1 with errors',
+  dryRun: true,
+  summary: { create: 1, update: 0, error: 1 },
+  rows: [
+    { row: 1, action: 'create', name: 'Floor Lamp', slug: null, errors: [] },
+    {
+      row: 2,
+      action: 'error',
+      name: 'Desk Lamp',
+      slug: null,
+      errors: [
+        { field: 'price', rule: 'min', message: 'Price must be at least 0' },
+      ],
+    },
+  ],
+  ...extra,
+});
+
+const chooseFile = () => {
+  const file = new File(['name\nLamp'], 'products.csv', { type: 'text/csv' });
+  fireEvent.change(screen.getByLabelText('Products file'), {
+    target: { files: [file] },
+  });
+  return file;
+};
+
+describe('ImportProducts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('only imports once a file is chosen', () => {
+    render(<ImportProducts />);
+
+    expect(screen.getByText('CHECK FILE')).toBeDisabled();
+    expect(screen.getByText('IMPORT')).toBeDisabled();
+
+    chooseFile();
+
+    expect(screen.getByText('CHECK FILE')).toBeEnabled();
+  });
+
+  it('checks the file with a dry run and lists each row', async () => {
+    axios.post.mockResolvedValueOnce({ data: report() });
+    render(<ImportProducts />);
+    const file = chooseFile();
+
+    fireEvent.click(screen.getByText('CHECK FILE'));
+
+    await waitFor(() =>
+      expect(screen.getByTestId('import-summary')).toHaveTextContent(
+        'Dry run: 1 to create, 0 to update, 1 with errors'
+      )
+    );
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('/api/v1/product/import-products');
+    expect(body.get('file')).toBe(file);
+    expect(body.get('dryRun')).toBe('true');
+    expect(screen.getByText('Floor Lamp')).toBeInTheDocument();
+    expect(screen.getByText('Create')).toBeInTheDocument();
+    expect(screen.getByText('Price must be at least 0')).toBeInTheDocument();
+  });
+
+  it('shows the rows that stopped an import', async () => {
+    axios.post.mockRejectedValueOnce({
+      response: {
+        data: report({
+          success: false,
+          message: '1 rows have errors, nothing was imported',
+          dryRun: false,
+        }),
+      },
+    });
+    render(<ImportProducts />);
+    chooseFile();
+
+    fireEvent.click(screen.getByText('IMPORT'));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        '1 rows have errors, nothing was imported'
+      )
+    );
+    expect(axios.post.mock.calls[0][1].get('dryRun')).toBe('false');
+    expect(screen.getByText('Price must be at least 0')).toBeInTheDocument();
+  });
+
+  it('downloads the catalogue', async () => {
+    URL.createObjectURL = jest.fn(() => 'blob:products');
+    URL.revokeObjectURL = jest.fn();
+    axios.get.mockResolvedValueOnce({
+      data: new Blob(['[]']),
+      headers: {
+        'content-disposition': 'attachment; filename="products-2030-01-01.json"',
+      },
+    });
+    render(<ImportProducts />);
+
+    fireEvent.click(screen.getByText('EXPORT JSON'));
+
+    await waitFor(() =>
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:products')
+    );
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/product/export-products', {
+      params: { format: 'json' },
+      responseType: 'blob',
+    });
+  });
+
+  it('reports a failed download', async () => {
+    axios.get.mockRejectedValueOnce(new Error('Network Error'));
+    render(<ImportProducts />);
+
+    fireEvent.click(screen.getByText('EXPORT CSV'));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith('Something went wrong')
+    );
+  });
+});
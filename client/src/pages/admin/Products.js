@@ -1,17 +1,37 @@
 import React, { useState, useEffect } from "react";
 import AdminMenu from "../../components/AdminMenu";
 import Layout from "./../../components/Layout";
+import { AdminProductPhoto } from "./../../components/ProductPhoto";
+import ProductStatusField, {
+  PRODUCT_STATUSES,
+  statusFields,
+  statusLabel,
+} from "./../../components/ProductStatusField";
 import axios from "axios";
+import moment from "moment";
 import toast from "react-hot-toast";
 import { Link } from "react-router-dom";
+
+// "" lists every status
+const TABS = [{ value: "", label: "All" }, ...PRODUCT_STATUSES];
+
 const Products = () => {
   const [products, setProducts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [tab, setTab] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [bulk, setBulk] = useState({ status: "draft", publishAt: "" });
+  const [errors, setErrors] = useState([]);
 
-  //getall products
+  //getall products of the tab, whatever their status
   const getAllProducts = async () => {
     try {
-      const { data } = await axios.get("/api/v1/product/get-product");
+      const { data } = await axios.get("/api/v1/product/admin-products", {
+        params: tab ? { status: tab } : {},
+      });
       setProducts(data.products);
+      setCounts(data.counts || {});
+      setSelected([]);
     } catch (error) {
       console.log(error);
       toast.error("Someething Went Wrong");
@@ -21,7 +41,47 @@ const Products = () => {
   //lifecycle method
   useEffect(() => {
     getAllProducts();
-  }, []);
+    //eslint-disable-next-line
+  }, [tab]);
+
+  const tabCount = (value) =>
+    Object.entries(counts)
+      .filter(([status]) => !value || status === value)
+      .reduce((total, [, count]) => total + count, 0);
+
+  const toggle = (id) =>
+    setSelected((current) =>
+      current.includes(id)
+        ? current.filter((selectedId) => selectedId !== id)
+        : [...current, id]
+    );
+
+  const allSelected =
+    products.length > 0 && selected.length === products.length;
+
+  const setBulkState = (next) => {
+    setBulk(next);
+    setErrors([]);
+  };
+
+  //move the selected products to the chosen status
+  const handleBulkStatus = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put("/api/v1/product/product-status", {
+        products: selected,
+        ...statusFields(bulk),
+      });
+      toast.success(data?.message);
+      setErrors([]);
+      getAllProducts();
+    } catch (error) {
+      console.log(error);
+      setErrors(error.response?.data?.errors || []);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
   return (
     <Layout>
       <div className="row">
@@ -30,16 +90,74 @@ const Products = () => {
         </div>
         <div className="col-md-9 ">
           <h1 className="text-center">All Products List</h1>
-          <div className="d-flex">
+          <ul className="nav nav-tabs mb-3">
+            {TABS.map(({ value, label }) => (
+              <li className="nav-item" key={label}>
+                <button
+                  type="button"
+                  className={`nav-link${tab === value ? " active" : ""}`}
+                  onClick={() => setTab(value)}
+                >
+                  {label} ({tabCount(value)})
+                </button>
+              </li>
+            ))}
+          </ul>
+          <form
+            className="d-flex flex-wrap align-items-start gap-2 mb-3"
+            onSubmit={handleBulkStatus}
+          >
+            <div className="form-check mt-2">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="select-all-products"
+                checked={allSelected}
+                onChange={() =>
+                  setSelected(allSelected ? [] : products.map((p) => p._id))
+                }
+              />
+              <label className="form-check-label" htmlFor="select-all-products">
+                Select all
+              </label>
+            </div>
+            <ProductStatusField
+              {...bulk}
+              onChange={setBulkState}
+              errors={errors}
+            />
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={!selected.length}
+            >
+              Set status of {selected.length} selected
+            </button>
+          </form>
+          <div className="d-flex flex-wrap">
             {products?.map((p) => (
-              <Link
-                key={p._id}
-                to={`/dashboard/admin/product/${p.slug}`}
-                className="product-link"
-              >
-                <div className="card m-2" style={{ width: "18rem" }}>
-                  <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+              <div key={p._id} className="card m-2" style={{ width: "18rem" }}>
+                <div className="d-flex justify-content-between m-2">
+                  <input
+                    type="checkbox"
+                    className="form-check-input"
+                    aria-label={`Select ${p.name}`}
+                    checked={selected.includes(p._id)}
+                    onChange={() => toggle(p._id)}
+                  />
+                  <span className="badge bg-secondary" data-testid="status">
+                    {statusLabel(p.status)}
+                    {p.status === "scheduled" &&
+                      ` ${moment(p.publishAt).format("lll")}`}
+                  </span>
+                </div>
+                <Link
+                  to={`/dashboard/admin/product/${p.slug}`}
+                  className="product-link"
+                >
+                  <AdminProductPhoto
+                    productId={p._id}
+                    size={300}
                     className="card-img-top"
                     alt={p.name}
                   />
@@ -47,8 +165,8 @@ const Products = () => {
                     <h5 className="card-title">{p.name}</h5>
                     <p className="card-text">{p.description}</p>
                   </div>
-                </div>
-              </Link>
+                </Link>
+              </div>
             ))}
           </div>
         </div>
@@ -57,4 +175,4 @@ const Products = () => {
   );
 };
 
-export default Products;
\ No newline at end of file
+export default Products;
@@ -1,6 +1,6 @@
 // Products.test.js
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 import '@testing-library/jest-dom/extend-expect';
 import axios from 'axios';
@@ -28,6 +28,8 @@ import Products from './Products'; // adjust path if needed
 describe('Products component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    global.URL.createObjectURL = jest.fn(() => 'blob:photo');
+    global.URL.revokeObjectURL = jest.fn();
   });
 
   it('renders heading and product cards when API returns products', async () => {
@@ -46,10 +48,12 @@ describe('Products component', () => {
       },
     ];
 
-    // Mock axios.get to resolve with data
-    axios.get.mockResolvedValueOnce({
-      data: { products: fakeProducts },
-    });
+    // Mock axios.get to resolve with data, and the photos with blobs
+    axios.get.mockImplementation((url) =>
+      Promise.resolve({
+        data: url.includes('/admin-products') ? { products: fakeProducts } : new Blob(['webp']),
+      })
+    );
 
     render(
       <MemoryRouter>
@@ -74,9 +78,13 @@ describe('Products component', () => {
     expect(linkOne).toHaveAttribute('href', '/dashboard/admin/product/product-one');
     expect(linkTwo).toHaveAttribute('href', '/dashboard/admin/product/product-two');
 
-    // Check that images use the expected src pattern
-    const imgOne = screen.getByAltText('Product One');
-    expect(imgOne).toHaveAttribute('src', '/api/v1/product/product-photo/p1');
+    // Check that images are fetched from the admin photo url, drafts included
+    await waitFor(() =>
+      expect(screen.getByAltText('Product One')).toHaveAttribute('src', 'blob:photo')
+    );
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/product/admin-product-photo/p1?w=300&format=webp', {
+      responseType: 'blob',
+    });
 
     // Layout and AdminMenu mocks rendered
     expect(screen.getByTestId('mock-layout')).toBeInTheDocument();
@@ -95,9 +103,130 @@ describe('Products component', () => {
 
     // Wait for effect and error handling
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/get-product');
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/admin-products', {
+        params: {},
+      });
       // toast.error should be called at least once
       expect(toast.error).toHaveBeenCalledWith('Someething Went Wrong');
     });
   });
+
+  describe('statuses', () => {
+    const lamp = {
+      _id: 'p1',
+      name: 'Lamp',
+      description: 'Desk lamp',
+      slug: 'lamp',
+      status: 'draft',
+    };
+    const desk = {
+      _id: 'p2',
+      name: 'Desk',
+      description: 'Oak desk',
+      slug: 'desk',
+      status: 'published',
+    };
+    const counts = { draft: 1, scheduled: 0, published: 1, archived: 3 };
+
+    const renderList = async () => {
+      render(
+        <MemoryRouter>
+          <Products />
+        </MemoryRouter>
+      );
+      await screen.findByText('Lamp');
+    };
+
+    beforeEach(() => {
+      axios.get.mockResolvedValue({ data: { products: [lamp, desk], counts } });
+    });
+
+    it('shows a tab per status with its count and loads the chosen one', async () => {
+      await renderList();
+
+      expect(screen.getByRole('button', { name: 'All (5)' })).toHaveClass('active');
+      expect(screen.getAllByTestId('status').map((badge) => badge.textContent)).toEqual([
+        'Draft',
+        'Published',
+      ]);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Archived (3)' }));
+
+      await waitFor(() =>
+        expect(axios.get).toHaveBeenLastCalledWith('/api/v1/product/admin-products', {
+          params: { status: 'archived' },
+        })
+      );
+      expect(screen.getByRole('button', { name: 'Archived (3)' })).toHaveClass('active');
+    });
+
+    it('moves the selected products to another status', async () => {
+      axios.put.mockResolvedValueOnce({
+        data: { success: true, message: '2 products moved to archived' },
+      });
+      await renderList();
+      const apply = screen.getByRole('button', { name: /Set status of/ });
+      expect(apply).toBeDisabled();
+
+      fireEvent.click(screen.getByLabelText('Select all'));
+      fireEvent.change(screen.getByLabelText('Status'), {
+        target: { value: 'archived' },
+      });
+      fireEvent.click(screen.getByRole('button', { name: 'Set status of 2 selected' }));
+
+      await waitFor(() =>
+        expect(axios.put).toHaveBeenCalledWith('/api/v1/product/product-status', {
+          products: ['p1', 'p2'],
+          status: 'archived',
+        })
+      );
+      expect(toast.success).toHaveBeenCalledWith('2 products moved to archived');
+      // the list is reloaded, and the selection cleared
+      const listLoads = () =>
+        axios.get.mock.calls.filter(([url]) => url === '/api/v1/product/admin-products');
+      await waitFor(() => expect(listLoads()).toHaveLength(2));
+      await waitFor(() => expect(apply).toBeDisabled());
+    });
+
+    it('schedules products and shows what is wrong with the time', async () => {
+      axios.put.mockRejectedValueOnce({
+        response: {
+          data: {
+            message: 'Publish at must be in the future',
+            errors: [
+              {
+                field: 'publishAt',
+                rule: 'min',
+                message: 'Publish at must be in the future',
+              },
+            ],
+          },
+        },
+      });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await renderList();
+
+      fireEvent.click(screen.getByLabelText('Select Lamp'));
+      fireEvent.change(screen.getByLabelText('Status'), {
+        target: { value: 'scheduled' },
+      });
+      fireEvent.change(screen.getByLabelText('Publish at'), {
+        target: { value: '2020-01-01T09:00' },
+      });
+      fireEvent.click(screen.getByRole('button', { name: 'Set status of 1 selected' }));
+
+      await waitFor(() =>
+        expect(axios.put).toHaveBeenCalledWith('/api/v1/product/product-status', {
+          products: ['p1'],
+          status: 'scheduled',
+          publishAt: new Date('2020-01-01T09:00').toISOString(),
+        })
+      );
+      expect(await screen.findByTestId('publishAt-error')).toHaveTextContent(
+        'Publish at must be in the future'
+      );
+      expect(toast.error).toHaveBeenCalledWith('Publish at must be in the future');
+      console.log.mockRestore();
+    });
+  });
 });
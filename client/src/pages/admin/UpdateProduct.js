@@ -1,6 +1,24 @@
 import React, { useState, useEffect } from "react";
 import Layout from "./../../components/Layout";
 import AdminMenu from "./../../components/AdminMenu";
+import GalleryEditor, {
+  appendGallery,
+  editableGallery,
+} from "./../../components/GalleryEditor";
+import VariantEditor, {
+  editableOptions,
+  editableVariants,
+  variantFields,
+  variantStock,
+} from "./../../components/VariantEditor";
+import ProductStatusField, {
+  statusFields,
+  toLocalInput,
+} from "./../../components/ProductStatusField";
+import SpecsFields, {
+  specsField,
+  specsInput,
+} from "./../../components/SpecsFields";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
@@ -17,14 +35,25 @@ const UpdateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [gallery, setGallery] = useState([]);
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [lifecycle, setLifecycle] = useState({
+    status: "published",
+    publishAt: "",
+  });
+  const [specs, setSpecs] = useState({});
+  const [errors, setErrors] = useState([]);
   const [id, setId] = useState("");
+  //the specs asked for are those of the chosen category
+  const attributes =
+    categories?.find((c) => c._id === category)?.attributes || [];
 
-  //get single product
+  //get single product, whatever its status
   const getSingleProduct = async () => {
     try {
       const { data } = await axios.get(
-        `/api/v1/product/get-product/${params.slug}`
+        `/api/v1/product/admin-product/${params.slug}`
       );
       setName(data.product.name);
       setId(data.product._id);
@@ -34,6 +63,14 @@ const UpdateProduct = () => {
       setQuantity(data.product.quantity);
       setShipping(data.product.shipping);
       setCategory(data.product.category._id);
+      setOptions(editableOptions(data.product.options));
+      setVariants(editableVariants(data.product.variants));
+      setGallery(editableGallery(data.product.images));
+      setLifecycle({
+        status: data.product.status || "published",
+        publishAt: toLocalInput(data.product.publishAt),
+      });
+      setSpecs(specsInput(data.product.specs));
     } catch (error) {
       console.log(error);
     }
@@ -59,6 +96,28 @@ const UpdateProduct = () => {
     getAllCategory();
   }, []);
 
+  // the editor reports both lists at once; its errors go when either changes
+  const setVariantState = (next) => {
+    setOptions(next.options);
+    setVariants(next.variants);
+    setErrors([]);
+  };
+
+  const setGalleryState = (next) => {
+    setGallery(next);
+    setErrors([]);
+  };
+
+  const setStatusState = (next) => {
+    setLifecycle(next);
+    setErrors([]);
+  };
+
+  const setSpecsState = (next) => {
+    setSpecs(next);
+    setErrors([]);
+  };
+
   //create product function
   const handleUpdate = async (e) => {
     e.preventDefault();
@@ -67,9 +126,20 @@ const UpdateProduct = () => {
       productData.append("name", name);
       productData.append("description", description);
       productData.append("price", price);
-      productData.append("quantity", quantity);
-      photo && productData.append("photo", photo);
+      // with variants, stock is the sum of the variant stock
+      productData.append(
+        "quantity",
+        variants.length ? variantStock(variants) : quantity
+      );
+      appendGallery(productData, gallery);
       productData.append("category", category);
+      const variantData = variantFields(options, variants);
+      productData.append("options", variantData.options);
+      productData.append("variants", variantData.variants);
+      Object.entries(statusFields(lifecycle)).forEach(([field, value]) =>
+        productData.append(field, value)
+      );
+      productData.append("specs", specsField(attributes, specs));
       const { data } = await axios.put(
         `/api/v1/product/update-product/${id}`,
         productData
@@ -82,6 +152,13 @@ const UpdateProduct = () => {
       }
     } catch (error) {
       console.log(error);
+      // variant and image errors are shown next to what they belong to
+      const validationErrors = error.response?.data?.errors;
+      if (validationErrors?.length) {
+        setErrors(validationErrors);
+        toast.error(error.response.data.message);
+        return;
+      }
       toast.error("something went wrong");
     }
   };
@@ -122,6 +199,8 @@ const UpdateProduct = () => {
                 className="form-select mb-3"
                 onChange={(value) => {
                   setCategory(value);
+                  //a new category asks for other specs
+                  setSpecs({});
                 }}
                 value={category}
               >
@@ -131,39 +210,12 @@ const UpdateProduct = () => {
                   </Option>
                 ))}
               </Select>
-              <div className="mb-3">
-                <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
-                  <input
-                    type="file"
-                    name="photo"
-                    accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
-                    hidden
-                  />
-                </label>
-              </div>
-              <div className="mb-3">
-                {photo ? (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                ) : (
-                  <div className="text-center">
-                    <img
-                      src={`/api/v1/product/product-photo/${id}`}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
-              </div>
+              <GalleryEditor
+                gallery={gallery}
+                onChange={setGalleryState}
+                productId={id}
+                errors={errors}
+              />
               <div className="mb-3">
                 <input
                   type="text"
@@ -195,9 +247,10 @@ const UpdateProduct = () => {
               <div className="mb-3">
                 <input
                   type="number"
-                  value={quantity}
+                  value={variants.length ? variantStock(variants) : quantity}
                   placeholder="write a quantity"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
@@ -217,6 +270,25 @@ const UpdateProduct = () => {
                   <Option value="1">Yes</Option>
                 </Select>
               </div>
+              <div className="mb-3">
+                <ProductStatusField
+                  {...lifecycle}
+                  onChange={setStatusState}
+                  errors={errors}
+                />
+              </div>
+              <SpecsFields
+                attributes={attributes}
+                specs={specs}
+                onChange={setSpecsState}
+                errors={errors}
+              />
+              <VariantEditor
+                options={options}
+                variants={variants}
+                onChange={setVariantState}
+                errors={errors}
+              />
               <div className="mb-3">
                 <button className="btn btn-primary" onClick={handleUpdate}>
                   UPDATE PRODUCT
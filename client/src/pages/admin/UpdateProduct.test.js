@@ -40,13 +40,14 @@ jest.mock('antd', () => {
 
 beforeAll(() => {
   global.URL.createObjectURL = jest.fn(() => 'blob:mock');
+  global.URL.revokeObjectURL = jest.fn();
 });
 
 afterEach(() => {
   jest.clearAllMocks();
 });
 
-test('loads product and categories and shows existing photo', async () => {
+test('loads product and categories and shows existing images', async () => {
   // mock single product GET and categories GET
   const product = {
     _id: 'p1',
@@ -56,9 +57,10 @@ test('loads product and categories and shows existing photo', async () => {
     quantity: 5,
     shipping: 1,
     category: { _id: 'cat1' },
+    images: [{ _id: 'img1', key: 'k1', alt: 'Front', isPrimary: true }],
   };
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [{ _id: 'cat1', name: 'Category 1' }] } });
     return Promise.resolve({ data: {} });
   });
@@ -68,9 +70,12 @@ test('loads product and categories and shows existing photo', async () => {
   // wait for product fields to be populated from API
   await waitFor(() => expect(screen.getByDisplayValue('Prod 1')).toBeInTheDocument());
 
-  // existing product photo should point to the product-photo endpoint (id should be set)
-  const img = screen.getByAltText('product_photo');
-  expect(img).toHaveAttribute('src', `/api/v1/product/product-photo/${product._id}`);
+  // existing images are fetched from the admin product-image endpoint (id should be set)
+  await waitFor(() => expect(screen.getByAltText('Front')).toHaveAttribute('src', 'blob:mock'));
+  expect(axios.get).toHaveBeenCalledWith(
+    `/api/v1/product/admin-product-image/${product._id}/img1?w=300&format=webp`,
+    { responseType: 'blob' }
+  );
 
   // category option present
   await waitFor(() => expect(screen.getByText('Category 1')).toBeInTheDocument());
@@ -81,7 +86,7 @@ test('getAllCategory error shows toast', async () => {
   const toast = require('react-hot-toast').default;
   // make category GET fail
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'p' } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'p' } } });
     if (url === '/api/v1/category/get-category') return Promise.reject(new Error('network'));
     return Promise.resolve({ data: {} });
   });
@@ -95,7 +100,7 @@ test('getAllCategory error shows toast', async () => {
 test('getAllCategory sets categories when API returns success true (covers if branch at line 49)', async () => {
   // mock product GET (can be empty) and categories GET returning success true
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p-empty', name: '' } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p-empty', name: '' } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [{ _id: 'c1', name: 'Cat A' }, { _id: 'c2', name: 'Cat B' }] } });
     return Promise.resolve({ data: {} });
   });
@@ -109,7 +114,7 @@ test('getAllCategory sets categories when API returns success true (covers if br
 
 test('handleUpdate navigates on successful update (data.success === false path)', async () => {
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', description: '', price: 1, quantity: 1, shipping: 0, category: { _id: 'cat1' } } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', description: '', price: 1, quantity: 1, shipping: 0, category: { _id: 'cat1' } } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [] } });
     return Promise.resolve({ data: {} });
   });
@@ -130,7 +135,7 @@ test('handleUpdate navigates on successful update (data.success === false path)'
 test('handleUpdate shows error toast when API returns success=true', async () => {
   const toast = require('react-hot-toast').default;
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', description: '', price: 1, quantity: 1, shipping: 0, category: { _id: 'cat1' } } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', description: '', price: 1, quantity: 1, shipping: 0, category: { _id: 'cat1' } } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [] } });
     return Promise.resolve({ data: {} });
   });
@@ -152,7 +157,7 @@ test('handleDelete prompts and deletes product when confirmed', async () => {
   const toast = require('react-hot-toast').default;
   // product GET and categories GET
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod' } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod' } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [] } });
     return Promise.resolve({ data: {} });
   });
@@ -177,7 +182,7 @@ test('handleDelete prompts and deletes product when confirmed', async () => {
 test('handleUpdate shows toast when axios.put throws (catch branch)', async () => {
   const toast = require('react-hot-toast').default;
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', description: '', price: 1, quantity: 1, shipping: 0, category: { _id: 'cat1' } } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', description: '', price: 1, quantity: 1, shipping: 0, category: { _id: 'cat1' } } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [] } });
     return Promise.resolve({ data: {} });
   });
@@ -197,7 +202,7 @@ test('handleUpdate shows toast when axios.put throws (catch branch)', async () =
 test('handleDelete does nothing when prompt cancelled', async () => {
   // product GET and categories GET
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod' } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod' } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [] } });
     return Promise.resolve({ data: {} });
   });
@@ -220,7 +225,7 @@ test('handleDelete shows toast when axios.delete throws (catch branch)', async (
   const toast = require('react-hot-toast').default;
   // product GET and categories GET
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod' } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod' } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [] } });
     return Promise.resolve({ data: {} });
   });
@@ -241,9 +246,9 @@ test('handleDelete shows toast when axios.delete throws (catch branch)', async (
   expect(mockNavigate).not.toHaveBeenCalled();
 });
 
-test('fills inputs, includes photo, and sends FormData via axios.put', async () => {
+test('fills inputs, includes images, and sends FormData via axios.put', async () => {
   axios.get.mockImplementation((url) => {
-    if (url.includes('/get-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: '', description: '', price: '', quantity: '', shipping: 0, category: { _id: '' } } } });
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: '', description: '', price: '', quantity: '', shipping: 0, category: { _id: '' } } } });
     if (url === '/api/v1/category/get-category') return Promise.resolve({ data: { success: true, category: [{ _id: 'cat1', name: 'Category 1' }] } });
     return Promise.resolve({ data: {} });
   });
@@ -274,8 +279,8 @@ test('fills inputs, includes photo, and sends FormData via axios.put', async ()
   // set shipping to Yes (second select)
   userEvent.selectOptions(selects[1], '1');
 
-  // upload a photo
-  const fileInput = document.querySelector('input[type=file]');
+  // upload an image
+  const fileInput = screen.getByLabelText(/add images/i);
   const file = new File(['abc'], 'photo.png', { type: 'image/png' });
   await userEvent.upload(fileInput, file);
 
@@ -292,8 +297,66 @@ test('fills inputs, includes photo, and sends FormData via axios.put', async ()
   expect(fd.get('price')).toBe('123');
   expect(fd.get('quantity')).toBe('7');
   expect(fd.get('category')).toBe('cat1');
-  // photo should be appended
-  const photoVal = fd.get('photo');
-  expect(photoVal).toBeInstanceOf(File);
-  expect(photoVal.name).toBe('photo.png');
+  // the image should be appended with the gallery it belongs to
+  const imageVal = fd.get('image0');
+  expect(imageVal).toBeInstanceOf(File);
+  expect(imageVal.name).toBe('photo.png');
+  expect(JSON.parse(fd.get('images'))).toEqual([
+    { upload: 'image0', alt: '', isPrimary: false },
+  ]);
+});
+
+test('loads a scheduled product with its publish time and sends both back', async () => {
+  const publishAt = '2030-01-01T09:00:00.000Z';
+  axios.get.mockImplementation((url) => {
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', category: { _id: 'cat1' }, status: 'scheduled', publishAt } } });
+    return Promise.resolve({ data: {} });
+  });
+  axios.put.mockResolvedValueOnce({ data: { success: false } });
+
+  render(<UpdateProduct />);
+
+  // drafts and scheduled products are loaded through the admin endpoint
+  await waitFor(() => expect(screen.getByLabelText('Status')).toHaveValue('scheduled'));
+  expect(axios.get).toHaveBeenCalledWith('/api/v1/product/admin-product/product-slug');
+  expect(new Date(screen.getByLabelText('Publish at').value).toISOString()).toBe(publishAt);
+
+  await userEvent.click(screen.getByRole('button', { name: /update product/i }));
+
+  await waitFor(() => expect(axios.put).toHaveBeenCalled());
+  const fd = axios.put.mock.calls[0][1];
+  expect(fd.get('status')).toBe('scheduled');
+  expect(fd.get('publishAt')).toBe(publishAt);
+});
+
+test('edits the saved specs and clears them when the category changes', async () => {
+  const laptops = {
+    _id: 'cat1',
+    name: 'Laptops',
+    attributes: [
+      { key: 'ram', label: 'RAM', type: 'number', unit: 'GB' },
+      { key: 'touch', label: 'Touchscreen', type: 'boolean' },
+    ],
+  };
+  axios.get.mockImplementation((url) => {
+    if (url.includes('/admin-product/')) return Promise.resolve({ data: { product: { _id: 'p1', name: 'Prod', category: laptops, specs: { ram: 8, touch: false } } } });
+    return Promise.resolve({ data: { success: true, category: [laptops, { _id: 'cat2', name: 'Books' }] } });
+  });
+  axios.put.mockResolvedValue({ data: { success: false } });
+
+  render(<UpdateProduct />);
+
+  await waitFor(() => expect(screen.getByLabelText('RAM')).toHaveValue(8));
+  expect(screen.getByLabelText('Touchscreen')).toHaveValue('false');
+  await userEvent.clear(screen.getByLabelText('RAM'));
+  await userEvent.type(screen.getByLabelText('RAM'), '16');
+  await userEvent.click(screen.getByRole('button', { name: /update product/i }));
+  await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(1));
+  expect(JSON.parse(axios.put.mock.calls[0][1].get('specs'))).toEqual({ ram: '16', touch: 'false' });
+
+  await userEvent.selectOptions(screen.getAllByTestId('select')[0], 'cat2');
+  expect(screen.queryByLabelText('RAM')).not.toBeInTheDocument();
+  await userEvent.click(screen.getByRole('button', { name: /update product/i }));
+  await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(2));
+  expect(axios.put.mock.calls[1][1].get('specs')).toBe('{}');
 });
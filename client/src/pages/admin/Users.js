@@ -1,22 +1,342 @@
-import React from 'react'
-import Layout from '../../components/Layout';
-import AdminMenu from '../../components/AdminMenu';
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { Modal } from "antd";
+import Layout from "../../components/Layout";
+import AdminMenu from "../../components/AdminMenu";
+import { useAuth } from "../../context/auth";
+import { useNavigate } from "react-router-dom";
+import usePermissions, { isSuperAdmin } from "../../hooks/usePermissions";
+import { startImpersonation } from "../../components/ImpersonationBanner";
+
+const PAGE_SIZE = 10;
 
 const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState({ search: "", role: "", status: "" });
+  const [roles, setRoles] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [selectedRoles, setSelectedRoles] = useState([]);
+  const [auth, setAuth] = useAuth();
+  const { can } = usePermissions();
+  const canUpdate = can("users:update");
+  const canImpersonate = isSuperAdmin(auth?.user);
+  const navigate = useNavigate();
+
+  const handleError = (error) => {
+    console.log(error);
+    toast.error(error.response?.data?.message || "Something went wrong");
+  };
+
+  const getUsers = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/users", {
+        params: { ...filters, page, limit: PAGE_SIZE },
+      });
+      if (data?.success) {
+        setUsers(data.users);
+        setTotal(data.total);
+        setPages(Math.max(data.pages, 1));
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const getRoles = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/roles");
+      if (data?.success) {
+        setRoles(data.roles);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getUsers();
+    //eslint-disable-next-line
+  }, [auth?.token, filters, page]);
+
+  useEffect(() => {
+    if (auth?.token) getRoles();
+  }, [auth?.token]);
+
+  const applyFilters = (changes) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    applyFilters({ search });
+  };
+
+  // replace a row with the copy the server sent back
+  const updateRow = (user) =>
+    setUsers((prev) => prev.map((u) => (u._id === user._id ? user : u)));
+
+  const handleView = async (userId) => {
+    try {
+      const { data } = await axios.get(`/api/v1/auth/users/${userId}`);
+      if (data?.success) {
+        setSelected({ ...data.user, orderCount: data.orderCount });
+        setSelectedRoles(data.user.roles);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const toggleRole = (name) =>
+    setSelectedRoles((prev) =>
+      prev.includes(name) ? prev.filter((r) => r !== name) : [...prev, name]
+    );
+
+  const handleSaveRoles = async () => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/auth/users/${selected._id}/roles`,
+        { roles: selectedRoles }
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        updateRow(data.user);
+        setSelected(null);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleStatus = async (user) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/auth/users/${user._id}/status`,
+        { disabled: !user.disabled }
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        updateRow(data.user);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      const { data } = await axios.put(`/api/v1/auth/users/${user._id}/unlock`);
+      if (data?.success) {
+        toast.success(data.message);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  // support staff see the store exactly as the customer does
+  const handleImpersonate = async (user) => {
+    try {
+      const { data } = await axios.post(
+        `/api/v1/auth/users/${user._id}/impersonate`
+      );
+      if (data?.success) {
+        startImpersonation(data, setAuth);
+        toast.success(data.message);
+        navigate("/dashboard/user/orders");
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
+  const isSelf = (user) => user._id === auth?.user?._id;
+
   return (
     <Layout title={"Dashboard - All Users"}>
-        <div className="container-fluid m-3 p-3">
-       <div className="row">
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
           <div className="col-md-3">
             <AdminMenu />
-           </div>
-           <div className="col-md-9">
-             <h1>All Users</h1>
+          </div>
+          <div className="col-md-9">
+            <h1>All Users</h1>
+            <div className="d-flex flex-wrap gap-2 mb-3">
+              <form className="d-flex gap-2" onSubmit={handleSearch}>
+                <input
+                  type="search"
+                  className="form-control"
+                  placeholder="Search By Name Or Email"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+                <button type="submit" className="btn btn-primary">
+                  SEARCH
+                </button>
+              </form>
+              <select
+                className="form-select w-auto"
+                aria-label="Filter by role"
+                value={filters.role}
+                onChange={(e) => applyFilters({ role: e.target.value })}
+              >
+                <option value="">All Roles</option>
+                <option value="customer">customer</option>
+                {roles.map((r) => (
+                  <option key={r.name} value={r.name}>
+                    {r.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="form-select w-auto"
+                aria-label="Filter by status"
+                value={filters.status}
+                onChange={(e) => applyFilters({ status: e.target.value })}
+              >
+                <option value="">All Statuses</option>
+                <option value="active">Active</option>
+                <option value="disabled">Disabled</option>
+              </select>
             </div>
+
+            <table className="table" data-testid="users-table">
+              <thead>
+                <tr>
+                  <th scope="col">Name</th>
+                  <th scope="col">Email</th>
+                  <th scope="col">Roles</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Joined</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((u) => (
+                  <tr key={u._id}>
+                    <td>{u.name}</td>
+                    <td>{u.email}</td>
+                    <td>{u.roles.length ? u.roles.join(", ") : "customer"}</td>
+                    <td>{u.disabled ? "Disabled" : "Active"}</td>
+                    <td>{moment(u.createdAt).fromNow()}</td>
+                    <td className="d-flex gap-1">
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => handleView(u._id)}
+                      >
+                        View
+                      </button>
+                      {canUpdate && !isSelf(u) && (
+                        <>
+                          <button
+                            className={`btn btn-sm ${
+                              u.disabled ? "btn-success" : "btn-danger"
+                            }`}
+                            onClick={() => handleStatus(u)}
+                          >
+                            {u.disabled ? "Enable" : "Disable"}
+                          </button>
+                          <button
+                            className="btn btn-sm btn-outline-secondary"
+                            onClick={() => handleUnlock(u)}
+                          >
+                            Unlock
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!users.length && <p>No users found</p>}
+
+            <div className="d-flex align-items-center gap-2">
+              <button
+                className="btn btn-outline-secondary"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span data-testid="users-page">
+                Page {page} of {pages} ({total} users)
+              </span>
+              <button
+                className="btn btn-outline-secondary"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          </div>
         </div>
-        </div> 
+      </div>
+
+      <Modal
+        title={selected?.name}
+        open={Boolean(selected)}
+        onCancel={() => setSelected(null)}
+        footer={null}
+      >
+        {selected && (
+          <div data-testid="user-details">
+            <p>Email : {selected.email}</p>
+            <p>Phone : {selected.phone}</p>
+            <p>Orders : {selected.orderCount}</p>
+            <p>Status : {selected.disabled ? "Disabled" : "Active"}</p>
+            {canImpersonate &&
+              !isSelf(selected) &&
+              !selected.roles.length &&
+              !selected.disabled && (
+                <button
+                  className="btn btn-outline-danger mb-3"
+                  onClick={() => handleImpersonate(selected)}
+                >
+                  VIEW AS CUSTOMER
+                </button>
+              )}
+            {canUpdate && !isSelf(selected) && (
+              <>
+                <h6>Roles</h6>
+                {roles.map((r) => (
+                  <div className="form-check" key={r.name}>
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      id={`role-${r.name}`}
+                      checked={selectedRoles.includes(r.name)}
+                      onChange={() => toggleRole(r.name)}
+                    />
+                    <label className="form-check-label" htmlFor={`role-${r.name}`}>
+                      {r.name}
+                      {r.description && (
+                        <small className="text-muted"> - {r.description}</small>
+                      )}
+                    </label>
+                  </div>
+                ))}
+                <button
+                  className="btn btn-primary mt-2"
+                  onClick={handleSaveRoles}
+                >
+                  SAVE ROLES
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </Modal>
     </Layout>
   );
 };
 
-export default Users;
\ No newline at end of file
+export default Users;
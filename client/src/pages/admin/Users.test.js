@@ -1,8 +1,14 @@
 import React from "react";
-import { render } from "@testing-library/react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import { MemoryRouter, Routes, Route } from "react-router-dom";
 import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
 import Users from "./Users";
+import { useAuth } from "../../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
 
 // Mock the useCategory hook directly
 jest.mock("../../hooks/useCategory", () => {
@@ -40,9 +46,62 @@ window.matchMedia =
     };
   };
 
+const mockUsers = [
+  {
+    _id: "u1",
+    name: "Alice Admin",
+    email: "alice@example.com",
+    roles: ["super-admin"],
+    disabled: false,
+    createdAt: "2024-01-01T00:00:00Z",
+  },
+  {
+    _id: "u2",
+    name: "Bob Buyer",
+    email: "bob@example.com",
+    roles: [],
+    disabled: false,
+    createdAt: "2024-02-01T00:00:00Z",
+  },
+];
+
+const mockRoles = [
+  { name: "super-admin", description: "Full access", permissions: ["*"] },
+  { name: "fulfillment", description: "Orders", permissions: ["orders:read"] },
+];
+
+const renderUsers = () =>
+  render(
+    <MemoryRouter initialEntries={["/dashboard/admin/users"]}>
+      <Routes>
+        <Route path="/dashboard/admin/users" element={<Users />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
 describe("Users Component", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    useAuth.mockReturnValue([
+      { token: "mockToken", user: { _id: "u1", role: 1 } },
+      jest.fn(),
+    ]);
+    axios.get.mockImplementation((url) => {
+      if (url === "/api/v1/auth/users") {
+        return Promise.resolve({
+          data: { success: true, users: mockUsers, total: 12, page: 1, pages: 2 },
+        });
+      }
+      if (url === "/api/v1/auth/roles") {
+        return Promise.resolve({ data: { success: true, roles: mockRoles } });
+      }
+      if (url === "/api/v1/auth/users/u2") {
+        return Promise.resolve({
+          data: { success: true, user: mockUsers[1], orderCount: 3 },
+        });
+      }
+      return Promise.resolve({ data: {} });
+    });
   });
 
   it("renders users page correctly", () => {
@@ -114,4 +173,196 @@ describe("Users Component", () => {
       );
     }).not.toThrow();
   });
+
+  /**
+   * Test the table is filled from the paginated users endpoint
+   */
+  it("lists users from the API with paging details", async () => {
+    renderUsers();
+
+    expect(await screen.findByText("Bob Buyer")).toBeInTheDocument();
+    expect(screen.getByText("alice@example.com")).toBeInTheDocument();
+    expect(screen.getByText("customer", { selector: "td" })).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/users", {
+      params: { search: "", role: "", status: "", page: 1, limit: 10 },
+    });
+    expect(screen.getByTestId("users-page")).toHaveTextContent(
+      "Page 1 of 2 (12 users)"
+    );
+  });
+
+  it("searches, filters and pages through users", async () => {
+    renderUsers();
+    await screen.findByText("Bob Buyer");
+
+    fireEvent.change(screen.getByPlaceholderText("Search By Name Or Email"), {
+      target: { value: "bob" },
+    });
+    fireEvent.click(screen.getByText("SEARCH"));
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/users", {
+        params: { search: "bob", role: "", status: "", page: 1, limit: 10 },
+      })
+    );
+
+    fireEvent.change(screen.getByLabelText("Filter by status"), {
+      target: { value: "disabled" },
+    });
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/users", {
+        params: { search: "bob", role: "", status: "disabled", page: 1, limit: 10 },
+      })
+    );
+
+    fireEvent.click(screen.getByText("Next"));
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/users", {
+        params: { search: "bob", role: "", status: "disabled", page: 2, limit: 10 },
+      })
+    );
+  });
+
+  /**
+   * Test admins can't disable themselves from the table
+   */
+  it("disables another user but offers no actions on your own row", async () => {
+    axios.put.mockResolvedValue({
+      data: {
+        success: true,
+        message: "Account disabled",
+        user: { ...mockUsers[1], disabled: true },
+      },
+    });
+    renderUsers();
+    await screen.findByText("Bob Buyer");
+
+    // only Bob's row has a Disable button
+    const disableButtons = screen.getAllByText("Disable");
+    expect(disableButtons).toHaveLength(1);
+    fireEvent.click(disableButtons[0]);
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/users/u2/status", {
+        disabled: true,
+      })
+    );
+    expect(await screen.findByText("Enable")).toBeInTheDocument();
+    expect(toast.success).toHaveBeenCalledWith("Account disabled");
+  });
+
+  it("shows a user's order count and saves role changes", async () => {
+    axios.put.mockResolvedValue({
+      data: {
+        success: true,
+        message: "Roles updated",
+        user: { ...mockUsers[1], roles: ["fulfillment"] },
+      },
+    });
+    renderUsers();
+    await screen.findByText("Bob Buyer");
+
+    fireEvent.click(screen.getAllByText("View")[1]);
+    const details = await screen.findByTestId("user-details");
+    expect(details).toHaveTextContent("Orders : 3");
+
+    fireEvent.click(screen.getByLabelText(/fulfillment/));
+    fireEvent.click(screen.getByText("SAVE ROLES"));
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/users/u2/roles", {
+        roles: ["fulfillment"],
+      })
+    );
+    expect(toast.success).toHaveBeenCalledWith("Roles updated");
+  });
+
+  it("hides row actions from staff who can only read users", async () => {
+    useAuth.mockReturnValue([
+      { token: "mockToken", user: { _id: "u9", permissions: ["users:read"] } },
+      jest.fn(),
+    ]);
+    renderUsers();
+    await screen.findByText("Bob Buyer");
+
+    expect(screen.queryByText("Disable")).not.toBeInTheDocument();
+    expect(screen.queryByText("Unlock")).not.toBeInTheDocument();
+  });
+
+  it("shows the server error when an action fails", async () => {
+    axios.put.mockRejectedValue({
+      response: { data: { message: "You cannot disable your own account" } },
+    });
+    renderUsers();
+    await screen.findByText("Bob Buyer");
+
+    fireEvent.click(screen.getByText("Unlock", { selector: "button" }));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "You cannot disable your own account"
+      )
+    );
+  });
+
+  it("lets super-admins view the store as a customer", async () => {
+    const setAuth = jest.fn();
+    useAuth.mockReturnValue([
+      { token: "mockToken", user: { _id: "u1", role: 1 } },
+      setAuth,
+    ]);
+    localStorage.getItem.mockReturnValue('{"token":"adminToken"}');
+    axios.post.mockResolvedValue({
+      data: {
+        success: true,
+        message: "You are now viewing the store as Bob Buyer",
+        user: mockUsers[1],
+        impersonator: { _id: "u1", name: "Alice Admin" },
+        token: "impersonationToken",
+        expiresAt: "2030-01-01T00:15:00Z",
+      },
+    });
+    render(
+      <MemoryRouter initialEntries={["/dashboard/admin/users"]}>
+        <Routes>
+          <Route path="/dashboard/admin/users" element={<Users />} />
+          <Route path="/dashboard/user/orders" element={<div>Orders Page</div>} />
+        </Routes>
+      </MemoryRouter>
+    );
+    await screen.findByText("Bob Buyer");
+
+    fireEvent.click(screen.getAllByText("View")[1]);
+    fireEvent.click(await screen.findByText("VIEW AS CUSTOMER"));
+
+    expect(await screen.findByText("Orders Page")).toBeInTheDocument();
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/users/u2/impersonate");
+    // the admin session is parked until impersonation ends
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      "impersonatorAuth",
+      '{"token":"adminToken"}'
+    );
+    expect(setAuth).toHaveBeenCalledWith({
+      user: mockUsers[1],
+      token: "impersonationToken",
+      impersonator: { _id: "u1", name: "Alice Admin" },
+      impersonationExpiresAt: "2030-01-01T00:15:00Z",
+    });
+    expect(toast.success).toHaveBeenCalledWith(
+      "You are now viewing the store as Bob Buyer"
+    );
+  });
+
+  it("hides impersonation from staff who aren't super-admins", async () => {
+    useAuth.mockReturnValue([
+      { token: "mockToken", user: { _id: "u9", roles: ["fulfillment"] } },
+      jest.fn(),
+    ]);
+    renderUsers();
+    await screen.findByText("Bob Buyer");
+
+    fireEvent.click(screen.getAllByText("View")[1]);
+    await screen.findByTestId("user-details");
+
+    expect(screen.queryByText("VIEW AS CUSTOMER")).not.toBeInTheDocument();
+  });
 });
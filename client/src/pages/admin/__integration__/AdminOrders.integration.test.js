@@ -1081,7 +1081,7 @@ describe("AdminOrders Component Integration Tests", () => {
       );
       expect(headphonesImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod001"
+        "/api/v1/product/product-photo/prod001?w=150&format=webp"
       );
       expect(headphonesImg).toHaveAttribute("width", "100px");
       expect(headphonesImg).toHaveAttribute("height", "100px");
@@ -1089,7 +1089,7 @@ describe("AdminOrders Component Integration Tests", () => {
       const caseImg = screen.getByAltText("Smartphone Protection Case");
       expect(caseImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod002"
+        "/api/v1/product/product-photo/prod002?w=150&format=webp"
       );
 
       // ───────────────────────────────────────────────────────────────
@@ -1380,7 +1380,7 @@ describe("AdminOrders Component Integration Tests", () => {
 
       expect(productImages[0]).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod1"
+        "/api/v1/product/product-photo/prod1?w=150&format=webp"
       );
       expect(productImages[0]).toHaveAttribute(
         "alt",
@@ -1391,7 +1391,7 @@ describe("AdminOrders Component Integration Tests", () => {
 
       expect(productImages[1]).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod2"
+        "/api/v1/product/product-photo/prod2?w=150&format=webp"
       );
       expect(productImages[1]).toHaveAttribute("alt", "Smartphone Case");
       expect(productImages[1]).toHaveAttribute("width", "100px");
@@ -1459,7 +1459,7 @@ describe("AdminOrders Component Integration Tests", () => {
       const productImage = screen.getByAltText("Wireless Bluetooth Headphones");
       expect(productImage).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod001"
+        "/api/v1/product/product-photo/prod001?w=150&format=webp"
       );
 
       // Test potential product edit links (if they exist)
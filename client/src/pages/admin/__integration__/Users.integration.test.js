@@ -7,8 +7,7 @@
  * - Layout and AdminMenu components
  * - React Router navigation
  * - Context providers (Auth, Cart, Search)
- * - API integration patterns
- * - Future user management functionality
+ * - User management API integration
  *
  * Test Coverage:
  * - Admin route protection and authentication flow
@@ -16,14 +15,21 @@
  * - Navigation menu integration
  * - Category header integration
  * - Error handling and loading states
- * - Future user management API integration patterns
+ * - User listing, details and account status changes
  *
- * Summary: 5 integration tests across 2 groups covering admin authentication,
- * component structure, navigation integration, and extensibility for future features.
+ * Summary: 6 integration tests across 2 groups covering admin authentication,
+ * navigation integration, and the user management API.
  */
 
 import React from "react";
-import { render, screen, waitFor, act, cleanup } from "@testing-library/react";
+import {
+  render,
+  screen,
+  waitFor,
+  act,
+  cleanup,
+  fireEvent,
+} from "@testing-library/react";
 import "@testing-library/jest-dom/extend-expect";
 import { MemoryRouter, Routes, Route } from "react-router-dom";
 import axios from "axios";
@@ -244,39 +250,76 @@ describe("Users admin route integration", () => {
   });
 
   /**
-   * Test: Component Structure Verification
-   * Verifies that the Users component renders in its current minimal state
-   * and doesn't make unnecessary API calls for user data (since not yet implemented).
+   * Test: User Listing
+   * Verifies that the Users page requests the paginated user list once the
+   * admin check passes and renders each user as a table row.
    */
-  /**
-   * Test: Component Structure Verification
-   * Verifies that the Users component renders in its current minimal state
-   * and doesn't make unnecessary API calls for user data (since not yet implemented).
-   */
-  it("does not request admin users when the Users page renders", async () => {
-    render(withProviders());
+  it("requests admin users and renders them in the table", async () => {
+    axios.get.mockImplementation((url) => {
+      if (url.includes("/api/v1/auth/admin-auth")) {
+        return Promise.resolve({ data: { ok: true } });
+      }
+      if (url.includes("/api/v1/category/get-category")) {
+        return Promise.resolve({ data: { category: mockCategories } });
+      }
+      if (url === "/api/v1/auth/users") {
+        return Promise.resolve({
+          data: {
+            success: true,
+            users: [
+              { _id: "a1", name: "Alice Admin", email: "alice@example.com", roles: ["super-admin"] },
+              { _id: "b1", name: "Bob Buyer", email: "bob@example.com", roles: [] },
+            ],
+            total: 2,
+            page: 1,
+            pages: 1,
+          },
+        });
+      }
+      return Promise.resolve({ data: {} });
+    });
 
-    // Verify that no user listing API calls are made (feature not yet implemented)
-    expect(
-      axios.get.mock.calls.some(([url]) =>
-        url.includes("/api/v1/auth/all-users")
-      )
-    ).toBe(false);
+    render(withProviders());
 
-    // Verify that no specific user data is displayed (since not fetched)
-    expect(screen.queryByText("Alice Admin")).not.toBeInTheDocument();
-    expect(screen.queryByText("Bob Buyer")).not.toBeInTheDocument();
+    expect(await screen.findByText("Alice Admin")).toBeInTheDocument();
+    expect(screen.getByText("Bob Buyer")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith(
+      "/api/v1/auth/users",
+      expect.objectContaining({
+        params: expect.objectContaining({ page: 1 }),
+      })
+    );
   });
 });
 
 /**
- * Integration Test Group #2: Future User Management API Integration
+ * Integration Test Group #2: User Management API Integration
  *
- * Tests the extensibility patterns for future user management functionality.
- * This test group provides a foundation for when user listing and management
- * features are implemented in the Users component.
+ * Tests the Users page against the user management endpoints: viewing a user
+ * with their order count and disabling an account from the table.
  */
 describe("Integration Test #2: User Management API Integration", () => {
+  const mockUsers = [
+    {
+      _id: "user001",
+      name: "John Customer",
+      email: "john@customer.com",
+      roles: [],
+      disabled: false,
+      phone: "1234567890",
+      createdAt: "2023-12-01T10:30:00Z",
+    },
+    {
+      _id: "user002",
+      name: "Admin User",
+      email: "admin@admin.com",
+      roles: ["super-admin"],
+      disabled: false,
+      phone: "0987654321",
+      createdAt: "2023-11-15T14:45:00Z",
+    },
+  ];
+
   // Setup test environment for each test
   beforeEach(() => {
     jest.clearAllMocks();
@@ -288,6 +331,28 @@ describe("Integration Test #2: User Management API Integration", () => {
         token: "admin-test-token",
       })
     );
+    mockedAxios.get.mockImplementation((url) => {
+      if (url.includes("/api/v1/auth/admin-auth")) {
+        return Promise.resolve({ data: { ok: true } });
+      }
+      if (url.includes("/api/v1/category/get-category")) {
+        return Promise.resolve({ data: { category: mockCategories } });
+      }
+      if (url === "/api/v1/auth/users") {
+        return Promise.resolve({
+          data: { success: true, users: mockUsers, total: 2, page: 1, pages: 1 },
+        });
+      }
+      if (url === "/api/v1/auth/roles") {
+        return Promise.resolve({ data: { success: true, roles: [] } });
+      }
+      if (url === "/api/v1/auth/users/user001") {
+        return Promise.resolve({
+          data: { success: true, user: mockUsers[0], orderCount: 7 },
+        });
+      }
+      return Promise.resolve({ data: {} });
+    });
   });
 
   // Cleanup after each test
@@ -297,74 +362,44 @@ describe("Integration Test #2: User Management API Integration", () => {
   });
 
   /**
-   * Test: Future User Management Integration Patterns
-   * Demonstrates how the Users component could integrate with user management APIs
-   * when the functionality is implemented. Currently validates component structure
-   * and admin navigation accessibility.
+   * Test: Viewing a User
+   * Opens a user's details and shows the order count from the API.
    */
+  it("shows a user's details with their order count", async () => {
+    render(withProviders());
+
+    await screen.findByText("John Customer");
+    fireEvent.click(screen.getAllByText("View")[0]);
+
+    expect(await screen.findByTestId("user-details")).toHaveTextContent(
+      "Orders : 7"
+    );
+    expect(mockedAxios.get).toHaveBeenCalledWith("/api/v1/auth/users/user001");
+  });
+
   /**
-   * Test: Future User Management Integration Patterns
-   * Demonstrates how the Users component could integrate with user management APIs
-   * when the functionality is implemented. Currently validates component structure
-   * and admin navigation accessibility.
+   * Test: Disabling a User
+   * Sends the status change and swaps the row action to Enable.
    */
-  it("should integrate with user management APIs when implemented", async () => {
-    // Mock users API response (for future implementation reference)
-    const mockUsers = [
-      {
-        _id: "user001",
-        name: "John Customer",
-        email: "john@customer.com",
-        role: 0, // Customer role
-        phone: "1234567890",
-        address: "123 Customer St",
-        createdAt: "2023-12-01T10:30:00Z",
+  it("disables an account from the table", async () => {
+    mockedAxios.put.mockResolvedValue({
+      data: {
+        success: true,
+        message: "Account disabled",
+        user: { ...mockUsers[0], disabled: true },
       },
-      {
-        _id: "user002",
-        name: "Admin User",
-        email: "admin@admin.com",
-        role: 1, // Admin role
-        phone: "0987654321",
-        address: "456 Admin Ave",
-        createdAt: "2023-11-15T14:45:00Z",
-      },
-    ];
-
-    // Setup comprehensive API mocks for future integration
-    mockedAxios.get.mockImplementation((url) => {
-      if (url.includes("/api/v1/auth/admin-auth")) {
-        return Promise.resolve({ data: { ok: true } });
-      }
-      if (url.includes("/api/v1/category/get-category")) {
-        return Promise.resolve({ data: { category: mockCategories } });
-      }
-      if (url.includes("/api/v1/auth/all-users")) {
-        // Future API endpoint for user listing
-        return Promise.resolve({ data: { users: mockUsers } });
-      }
-      return Promise.resolve({ data: {} });
     });
-
     render(withProviders());
 
-    // Wait for admin authentication verification
-    await waitFor(() => {
-      expect(mockedAxios.get).toHaveBeenCalledWith("/api/v1/auth/admin-auth");
-    });
-
-    // Verify current component structure (minimal implementation)
-    expect(
-      await screen.findByRole("heading", { name: /all users/i })
-    ).toBeInTheDocument();
-
-    // NOTE: Currently the Users component doesn't fetch user data
-    // This test verifies the component structure exists for future enhancement
+    await screen.findByText("John Customer");
+    fireEvent.click(screen.getAllByText("Disable")[0]);
 
-    // Verify admin navigation integration is working
-    expect(screen.getByText("Create Category")).toBeInTheDocument();
-    expect(screen.getByText("Create Product")).toBeInTheDocument();
-    expect(screen.getByText("Products")).toBeInTheDocument();
-    expect(screen.getByText("Orders")).toBeInTheDocument();
+    await waitFor(() =>
+      expect(mockedAxios.put).toHaveBeenCalledWith(
+        "/api/v1/auth/users/user001/status",
+        { disabled: true }
+      )
+    );
+    expect(await screen.findByText("Enable")).toBeInTheDocument();
   });
 });
@@ -4,6 +4,8 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
+import { variantLabel } from "../../components/ProductOptions";
+import ProductPhoto from "../../components/ProductPhoto";
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
@@ -58,8 +60,9 @@ const Orders = () => {
                     {o?.products?.map((p, i) => (
                       <div className="row mb-2 p-3 card flex-row" key={p._id}>
                         <div className="col-md-4">
-                          <img
-                            src={`/api/v1/product/product-photo/${p._id}`}
+                          <ProductPhoto
+                            productId={p._id}
+                            size={150}
                             className="card-img-top"
                             alt={p.name}
                             width="100px"
@@ -68,8 +71,13 @@ const Orders = () => {
                         </div>
                         <div className="col-md-8">
                           <p>{p.name}</p>
+                          {o.items?.at(i)?.options && (
+                            <p data-testid="order-variant">
+                              {variantLabel(o.items.at(i).options)}
+                            </p>
+                          )}
                           <p>{p.description.substring(0, 30)}</p>
-                          <p>Price : {p.price}</p>
+                          <p>Price : {o.items?.at(i)?.price ?? p.price}</p>
                         </div>
                       </div>
                     ))}
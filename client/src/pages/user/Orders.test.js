@@ -247,12 +247,12 @@ describe("Orders Component", () => {
       const images = screen.getAllByRole("img");
       expect(images[0]).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/product456"
+        "/api/v1/product/product-photo/product456?w=150&format=webp"
       );
       expect(images[0]).toHaveAttribute("alt", "Wireless Headphones");
       expect(images[1]).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/product789"
+        "/api/v1/product/product-photo/product789?w=150&format=webp"
       );
       expect(images[1]).toHaveAttribute("alt", "Smartphone Case");
     });
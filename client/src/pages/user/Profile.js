@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from "react";
 import UserMenu from "../../components/UserMenu";
+import TwoFactorSettings from "../../components/TwoFactorSettings";
+import AccountDataSettings from "../../components/AccountDataSettings";
+import AddressBook from "../../components/AddressBook";
+import PasswordStrengthMeter from "../../components/PasswordStrengthMeter";
 import Layout from "./../../components/Layout";
 import { useAuth } from "../../context/auth";
 import toast from "react-hot-toast";
@@ -46,6 +50,11 @@ const Profile = () => {
       }
     } catch (error) {
       console.log(error);
+      // validation errors, including the password policy, carry a readable message
+      if (error.response?.data?.errors?.length) {
+        toast.error(error.response.data.message);
+        return;
+      }
       toast.error("Something went wrong");
     }
   };
@@ -91,6 +100,7 @@ const Profile = () => {
                     id="exampleInputPassword1"
                     placeholder="Enter Your Password"
                   />
+                  <PasswordStrengthMeter password={password} />
                 </div>
                 <div className="mb-3">
                   <input
@@ -113,11 +123,18 @@ const Profile = () => {
                   />
                 </div>
 
-                <button type="submit" className="btn btn-primary">
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={Boolean(auth?.impersonator)}
+                >
                   UPDATE
                 </button>
               </form>
             </div>
+            <AddressBook />
+            <TwoFactorSettings />
+            <AccountDataSettings />
           </div>
         </div>
       </div>
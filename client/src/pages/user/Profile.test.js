@@ -6,6 +6,10 @@ import userEvent from "@testing-library/user-event";
 // Mocks must be set up before importing the component under test
 jest.mock("../../components/Layout", () => ({ children }) => <div>{children}</div>);
 jest.mock("../../components/UserMenu", () => () => <div>UserMenu</div>);
+jest.mock("../../components/AccountDataSettings", () => () => (
+  <div>AccountDataSettings</div>
+));
+jest.mock("../../components/AddressBook", () => () => <div>AddressBook</div>);
 
 const mockSetAuth = jest.fn();
 const initialUser = {
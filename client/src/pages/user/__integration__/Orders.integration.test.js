@@ -820,7 +820,7 @@ describe("Orders Component Integration Tests", () => {
       );
       expect(headphonesImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod001"
+        "/api/v1/product/product-photo/prod001?w=150&format=webp"
       );
       expect(headphonesImg).toHaveAttribute("width", "100px");
       expect(headphonesImg).toHaveAttribute("height", "100px");
@@ -828,26 +828,26 @@ describe("Orders Component Integration Tests", () => {
       const caseImg = screen.getByAltText("Smartphone Protection Case");
       expect(caseImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod002"
+        "/api/v1/product/product-photo/prod002?w=150&format=webp"
       );
 
       // Second order product images
       const keyboardImg = screen.getByAltText("Gaming Mechanical Keyboard");
       expect(keyboardImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod003"
+        "/api/v1/product/product-photo/prod003?w=150&format=webp"
       );
 
       const mouseImg = screen.getByAltText("Wireless Gaming Mouse");
       expect(mouseImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod004"
+        "/api/v1/product/product-photo/prod004?w=150&format=webp"
       );
 
       const webcamImg = screen.getByAltText("4K Webcam");
       expect(webcamImg).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/prod005"
+        "/api/v1/product/product-photo/prod005?w=150&format=webp"
       );
 
       // ───────────────────────────────────────────────────────────────
@@ -17,9 +17,10 @@
  * - Verify complete request/response flows
  * 
  * INTEGRATION POINTS TESTED:
- * 1. registerController → hashPassword → User model
+ * 1. registerSchema → registerController → hashPassword → User model
  * 2. loginController → comparePassword → JWT signing
- * 3. forgotPasswordController → User model → hashPassword
+ * 3. forgotPasswordController → mail outbox → resetPasswordController → hashPassword
+ * 4. registerController → mail outbox → verifyEmailController
  * 4. Controllers → Request/Response objects
  * 5. JWT token generation → Token payload structure
  * 
@@ -43,11 +44,19 @@ import {
   registerController,
   loginController,
   forgotPasswordController,
+  resetPasswordController,
+  verifyEmailController,
   testController,
 } from '../authController.js';
+import { validate } from '../../middlewares/validationMiddleware.js';
+import { registerSchema } from '../../helpers/requestSchemas.js';
 import userModel from '../../models/userModel.js';
+import sessionModel from '../../models/sessionModel.js';
 import { hashPassword, comparePassword } from '../../helpers/authHelper.js';
 import JWT from 'jsonwebtoken';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MOCKS
@@ -56,6 +65,18 @@ import JWT from 'jsonwebtoken';
 // Mock userModel for controlled database responses
 jest.mock('../../models/userModel.js');
 
+// Mock sessionModel so login can persist refresh tokens without a database
+jest.mock('../../models/sessionModel.js');
+
+// Mock loginAttemptModel so logins are never throttled unless a test says so
+jest.mock('../../models/loginAttemptModel.js');
+
+// Mock roleModel so permissions come from the built-in roles
+jest.mock('../../models/roleModel.js');
+
+// Mock auditEventModel so audit events are recorded without a database
+jest.mock('../../models/auditEventModel.js');
+
 // Keep authHelper and JWT real to test actual integration
 // No mocking of authHelper or JWT - we want to test real integration
 
@@ -94,18 +115,40 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
   // TEST SETUP AND TEARDOWN
   // ═══════════════════════════════════════════════════════════════════════════
   
+  let outboxDir;
+
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
     
     // Set JWT_SECRET for tests
     process.env.JWT_SECRET = 'test-secret-key-12345';
+
+    // Every login persists a refresh token session
+    sessionModel.create.mockResolvedValue({ _id: 'session123' });
+
+    // Deliver verification and reset mails to a throwaway outbox directory
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.MAIL_TRANSPORT = 'outbox';
+    process.env.MAIL_OUTBOX_DIR = outboxDir;
   });
   
   afterEach(() => {
     // Clean up
     jest.resetAllMocks();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_OUTBOX_DIR;
   });
+
+  /**
+   * Read the token out of the single mail in the outbox
+   */
+  const readMailedToken = () => {
+    const [file] = fs.readdirSync(outboxDir);
+    const mail = JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8'));
+    return { mail, token: mail.text.match(/token=([^\s]+)/)[1] };
+  };
   
   // ═══════════════════════════════════════════════════════════════════════════
   // INTEGRATION TEST GROUP 1: REGISTRATION FLOW
@@ -140,7 +183,6 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
         password: 'TestPass123!',
         phone: '1234567890',
         address: '123 Test St',
-        answer: 'Blue',
       });
       
       const res = mockResponse();
@@ -155,7 +197,6 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
         email: 'test@example.com',
         phone: '1234567890',
         address: '123 Test St',
-        answer: 'Blue',
         role: 0,
       });
       
@@ -226,7 +267,6 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
         password: 'TestPass123!',
         phone: '1234567890',
         address: '123 Test St',
-        answer: 'Blue',
       });
       
       const res = mockResponse();
@@ -273,7 +313,7 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
      * TEST 1.3: Required Fields Validation
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - Request validation
+     * - validate(registerSchema) in front of registerController
      * - Error response handling
      */
     it('should validate all required fields', async () => {
@@ -284,33 +324,101 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
       const req = mockRequest({
         email: 'test@example.com',
         password: 'TestPass123!',
-        // Missing: name, phone, address, answer
+        // Missing: name, phone, address
       });
       
       const res = mockResponse();
       
       // ═══════════════════════════════════════════════════════════════
-      // ACT: Attempt registration
+      // ACT: Attempt registration through the route's validation
       // ═══════════════════════════════════════════════════════════════
       
-      await registerController(req, res);
+      const next = jest.fn(() => registerController(req, res));
+      await validate(registerSchema)(req, res, next);
       
       // ═══════════════════════════════════════════════════════════════
       // ASSERT: Verify validation error
       // ═══════════════════════════════════════════════════════════════
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #1: Error response sent for missing name
+      // VERIFICATION #1: Every missing field is reported at once
       // ───────────────────────────────────────────────────────────────
-      expect(res.send).toHaveBeenCalledWith({ 
-        error: 'Name is Required' 
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Name is required',
+        errors: [
+          { field: 'name', rule: 'required', message: 'Name is required' },
+          { field: 'phone', rule: 'required', message: 'Phone is required' },
+          { field: 'address', rule: 'required', message: 'Address is required' },
+        ],
       });
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #2: No database operations performed
+      // VERIFICATION #2: Controller and database never reached
       // ───────────────────────────────────────────────────────────────
+      expect(next).not.toHaveBeenCalled();
       expect(userModel.findOne).not.toHaveBeenCalled();
     });
+
+    /**
+     * TEST 1.4: Email Verification Integration
+     * ─────────────────────────────────────────────────────────────────────────
+     * Integration Points:
+     * - registerController → signed verification token → mail outbox
+     * - verifyEmailController → real JWT verification → userModel update
+     *
+     * Expected Flow:
+     * 1. New user is saved unverified and a verification link is mailed
+     * 2. Redeeming the token marks the user as verified
+     * 3. The same token stops working once the email address changes
+     */
+    it('should create unverified users and verify them from the mailed link', async () => {
+      const req = mockRequest({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'TestPass123!',
+        phone: '1234567890',
+        address: '123 Test St',
+      });
+      userModel.findOne = jest.fn().mockResolvedValueOnce(null);
+      userModel.mockImplementation((data) => ({
+        save: jest.fn().mockResolvedValue({ _id: 'user123', ...data }),
+      }));
+
+      await registerController(req, mockResponse());
+
+      expect(userModel).toHaveBeenCalledWith(
+        expect.objectContaining({ emailVerified: false })
+      );
+      const { mail, token } = readMailedToken();
+      expect(mail.to).toBe('test@example.com');
+      expect(mail.text).toContain('/verify-email?token=');
+
+      // Token is bound to the address it was sent to
+      userModel.findById = jest
+        .fn()
+        .mockResolvedValue({ _id: 'user123', email: 'other@example.com' });
+      const rejected = mockResponse();
+      await verifyEmailController({ body: { token } }, rejected);
+      expect(rejected.status).toHaveBeenCalledWith(400);
+
+      userModel.findById = jest
+        .fn()
+        .mockResolvedValue({ _id: 'user123', email: 'test@example.com' });
+      userModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+      const res = mockResponse();
+      await verifyEmailController({ body: { token } }, res);
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith('user123', {
+        emailVerified: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Email verified successfully',
+      });
+    });
   });
   
   // ═══════════════════════════════════════════════════════════════════════════
@@ -397,6 +505,8 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
       const token = responseCall.token;
       const decoded = JWT.verify(token, process.env.JWT_SECRET);
       expect(decoded._id).toBe('user123');
+      expect(decoded.sid).toBe('session123');
+      expect(responseCall.refreshToken).toEqual(expect.any(String));
       
       // ───────────────────────────────────────────────────────────────
       // VERIFICATION #5: User data returned (excluding password)
@@ -566,145 +676,135 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
   // ═══════════════════════════════════════════════════════════════════════════
   
   describe('Integration Test #3: Password Reset Flow', () => {
-    
     /**
      * TEST 3.1: Complete Password Reset Integration
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - forgotPasswordController → userModel.findOne (find by email + answer)
-     * - forgotPasswordController → hashPassword (hash new password)
-     * - forgotPasswordController → userModel.findByIdAndUpdate (update password)
+     * - forgotPasswordController → userModel.findOne (find by email)
+     * - forgotPasswordController → signed reset token → mail outbox
+     * - resetPasswordController → token verification → hashPassword
+     * - resetPasswordController → userModel.findByIdAndUpdate (update password)
      * 
      * Expected Flow:
-     * 1. Receive reset request with email, answer, new password
-     * 2. Verify user exists and answer matches
-     * 3. Hash new password
-     * 4. Update user password in database
-     * 5. Return success response
+     * 1. Request a reset link for an email
+     * 2. Reset link is written to the outbox
+     * 3. Redeem the token with a new password
+     * 4. Password is hashed and stored
+     * 5. The same token cannot be used again
      */
     it('should complete full password reset flow', async () => {
       // ═══════════════════════════════════════════════════════════════
-      // ARRANGE: Setup password reset request
+      // ARRANGE: Existing user with a password hash
       // ═══════════════════════════════════════════════════════════════
       
-      const req = mockRequest({
-        email: 'test@example.com',
-        answer: 'Blue',
-        newPassword: 'NewPass123!',
-      });
-      
-      const res = mockResponse();
-      
-      // Mock userModel.findOne to return user
-      userModel.findOne = jest.fn().mockResolvedValueOnce({
-        _id: 'user123',
-        email: 'test@example.com',
-        answer: 'Blue',
-      });
-      
-      // Mock userModel.findByIdAndUpdate
-      userModel.findByIdAndUpdate = jest.fn().mockResolvedValueOnce({
+      const user = {
         _id: 'user123',
         email: 'test@example.com',
+        password: await hashPassword('OldPass123!'),
+      };
+      userModel.findOne = jest.fn().mockResolvedValueOnce(user);
+      userModel.findById = jest.fn().mockResolvedValue(user);
+      userModel.findByIdAndUpdate = jest.fn().mockImplementation(async (id, update) => {
+        user.password = update.password;
+        return user;
       });
       
       // ═══════════════════════════════════════════════════════════════
-      // ACT: Call forgotPasswordController
+      // ACT: Request a reset link
       // ═══════════════════════════════════════════════════════════════
       
-      await forgotPasswordController(req, res);
-      
-      // ═══════════════════════════════════════════════════════════════
-      // ASSERT: Verify password reset integration
-      // ═══════════════════════════════════════════════════════════════
+      const requestRes = mockResponse();
+      await forgotPasswordController(mockRequest({ email: 'test@example.com' }), requestRes);
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #1: User lookup with email AND answer
+      // VERIFICATION #1: Generic response and mailed link
       // ───────────────────────────────────────────────────────────────
-      expect(userModel.findOne).toHaveBeenCalledWith({ 
-        email: 'test@example.com',
-        answer: 'Blue'
-      });
+      expect(requestRes.status).toHaveBeenCalledWith(200);
+      const { mail, token } = readMailedToken();
+      expect(mail.to).toBe('test@example.com');
+      expect(mail.text).toContain('/forgot-password?token=');
       
-      // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #2: Password update performed
-      // ───────────────────────────────────────────────────────────────
-      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
-        'user123',
-        expect.objectContaining({
-          password: expect.any(String), // Hashed password
-        })
+      // ═══════════════════════════════════════════════════════════════
+      // ACT: Redeem the token
+      // ═══════════════════════════════════════════════════════════════
+      
+      const resetRes = mockResponse();
+      await resetPasswordController(
+        mockRequest({ token, newPassword: 'NewPass123!' }),
+        resetRes
       );
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #3: Success response sent
+      // VERIFICATION #2: Password updated with a bcrypt hash
       // ───────────────────────────────────────────────────────────────
-      expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.send).toHaveBeenCalledWith({
+      expect(resetRes.status).toHaveBeenCalledWith(200);
+      expect(resetRes.send).toHaveBeenCalledWith({
         success: true,
         message: 'Password Reset Successfully',
       });
-      
-      // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #4: New password was hashed (not plaintext)
-      // ───────────────────────────────────────────────────────────────
       const updateCall = userModel.findByIdAndUpdate.mock.calls[0][1];
       expect(updateCall.password).not.toBe('NewPass123!'); // Not plaintext
       expect(updateCall.password).toMatch(/^\$2[aby]\$/); // Bcrypt hash format
+      expect(await comparePassword('NewPass123!', user.password)).toBe(true);
+      
+      // ───────────────────────────────────────────────────────────────
+      // VERIFICATION #3: Token is single use
+      // ───────────────────────────────────────────────────────────────
+      const replayRes = mockResponse();
+      await resetPasswordController(
+        mockRequest({ token, newPassword: 'Another123!' }),
+        replayRes
+      );
+      expect(replayRes.status).toHaveBeenCalledWith(400);
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledTimes(1);
     });
     
     /**
-     * TEST 3.2: Invalid Security Answer
+     * TEST 3.2: Unknown Email
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - forgotPasswordController → userModel.findOne (email + wrong answer)
+     * - forgotPasswordController → userModel.findOne (no match)
+     * - Response must not reveal whether the account exists
      */
-    it('should reject password reset with wrong security answer', async () => {
-      // ═══════════════════════════════════════════════════════════════
-      // ARRANGE: Setup reset with wrong answer
-      // ═══════════════════════════════════════════════════════════════
-      
-      const req = mockRequest({
-        email: 'test@example.com',
-        answer: 'WrongAnswer',
-        newPassword: 'NewPass123!',
-      });
-      
-      const res = mockResponse();
-      
-      // Mock userModel.findOne to return null (no match)
+    it('should not reveal unknown emails and send no mail', async () => {
       userModel.findOne = jest.fn().mockResolvedValueOnce(null);
       
-      // ═══════════════════════════════════════════════════════════════
-      // ACT: Attempt password reset
-      // ═══════════════════════════════════════════════════════════════
-      
-      await forgotPasswordController(req, res);
-      
-      // ═══════════════════════════════════════════════════════════════
-      // ASSERT: Verify rejection
-      // ═══════════════════════════════════════════════════════════════
+      const res = mockResponse();
+      await forgotPasswordController(mockRequest({ email: 'nobody@example.com' }), res);
       
-      // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #1: Lookup attempted with email + answer
-      // ───────────────────────────────────────────────────────────────
-      expect(userModel.findOne).toHaveBeenCalledWith({ 
-        email: 'test@example.com',
-        answer: 'WrongAnswer'
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'If that email is registered, a reset link has been sent',
       });
+      expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    });
+
+    /**
+     * TEST 3.3: Tampered or Foreign Token
+     * ─────────────────────────────────────────────────────────────────────────
+     * Integration Points:
+     * - resetPasswordController → token verification (wrong signing key)
+     */
+    it('should reject tokens that were not issued as reset tokens', async () => {
+      userModel.findById = jest.fn().mockResolvedValue({
+        _id: 'user123',
+        password: 'hash',
+      });
+      // A regular session token for the same user must not work as a reset token
+      const foreign = JWT.sign({ _id: 'user123' }, process.env.JWT_SECRET);
       
-      // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #2: Error response sent
-      // ───────────────────────────────────────────────────────────────
-      expect(res.status).toHaveBeenCalledWith(404);
+      const res = mockResponse();
+      await resetPasswordController(
+        mockRequest({ token: foreign, newPassword: 'NewPass123!' }),
+        res
+      );
+      
+      expect(res.status).toHaveBeenCalledWith(400);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        message: 'Wrong Email Or Answer',
+        message: 'Reset link is invalid or has expired',
       });
-      
-      // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #3: No password update performed
-      // ───────────────────────────────────────────────────────────────
       expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
     });
   });
@@ -764,8 +864,8 @@ describe('Authentication Controller Integration Tests - Phase 2: Security & Navi
  * ✅ Missing credentials validation
  * 
  * PASSWORD RESET FLOW (2 tests):
- * ✅ Complete password reset with security answer
- * ✅ Invalid security answer rejection
+ * ✅ Complete password reset with a mailed reset token
+ * ✅ Rejection of tokens not issued for resets
  * 
  * PROTECTED ROUTE VERIFICATION (1 test):
  * ✅ Test controller response
@@ -49,6 +49,8 @@ import {
   getAllOrdersController,
   orderStatusController,
 } from "../authController.js";
+import { validate } from "../../middlewares/validationMiddleware.js";
+import { updateProfileSchema } from "../../helpers/requestSchemas.js";
 // Import Jest globals
 import {
   jest,
@@ -160,7 +162,6 @@ describe("Profile & Order Management Integration Tests - Phase 2.2", () => {
       password: hashedPassword,
       phone: "1234567890",
       address: { street: "123 Test St", city: "Test City" },
-      answer: "test answer",
       role: 0,
     });
 
@@ -240,13 +241,21 @@ describe("Profile & Order Management Integration Tests - Phase 2.2", () => {
       req.user = { _id: testUser._id.toString() };
       const res = mockResponse();
 
-      // Act: Execute with invalid data
-      await updateProfileController(req, res);
+      // Act: Execute with invalid data through the route's validation
+      const next = jest.fn(() => updateProfileController(req, res));
+      await validate(updateProfileSchema)(req, res, next);
 
-      // Assert: Verify validation error response
-      expect(res.json).toHaveBeenCalledWith({
-        error: "Passsword is required and 6 character long",
-      });
+      // Assert: Verify per-rule validation error response
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          errors: expect.arrayContaining([
+            expect.objectContaining({ field: "password", rule: "minLength" }),
+          ]),
+        })
+      );
     });
 
     test("should integrate password hashing when updating password", async () => {
@@ -353,7 +362,6 @@ describe("Profile & Order Management Integration Tests - Phase 2.2", () => {
         password: await hashPassword("password123"),
         phone: "9999999999",
         address: { street: "999 Other St", city: "Other City" },
-        answer: "other answer",
       });
 
       await Order.create({
@@ -416,7 +424,6 @@ describe("Profile & Order Management Integration Tests - Phase 2.2", () => {
         password: await hashPassword("adminpass123"),
         phone: "1111111111",
         address: { street: "111 Admin St", city: "Admin City" },
-        answer: "admin answer",
         role: 1,
       });
 
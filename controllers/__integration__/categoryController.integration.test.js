@@ -6,18 +6,21 @@ import categoryModel from "../../models/categoryModel.js";
 jest.mock("../../middlewares/authMiddleware.js", () => ({
   __esModule: true,
   requireSignIn: (_req, _res, next) => next(),
-  isAdmin: (_req, _res, next) => next(),
+  requirePermission: () => (_req, _res, next) => next(),
 }));
 
 jest.mock("../../models/categoryModel.js", () => {
   const ctor = jest.fn();
   ctor.findOne = jest.fn();
+  ctor.findById = jest.fn();
   ctor.findByIdAndUpdate = jest.fn();
   ctor.find = jest.fn();
   ctor.findByIdAndDelete = jest.fn();
   return { __esModule: true, default: ctor };
 });
 
+jest.mock("../../models/auditEventModel.js");
+
 const app = express();
 app.use(express.json());
 app.use("/api/v1/category", categoryRoutes);
@@ -55,6 +58,35 @@ describe("Category Controller Integration", () => {
     });
   });
 
+  describe("GET /api/v1/category/category-tree", () => {
+    it("200 nests subcategories under their parents", async () => {
+      categoryModel.find.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue([
+          { _id: "c1", name: "Home", parentCategory: null },
+          { _id: "c2", name: "Lighting", parentCategory: "c1" },
+        ]),
+      });
+
+      const res = await request(app).get("/api/v1/category/category-tree");
+
+      expect(res.status).toBe(200);
+      expect(res.body.tree).toHaveLength(1);
+      expect(res.body.tree[0].children[0]).toMatchObject({ _id: "c2", name: "Lighting" });
+    });
+  });
+
+  describe("PUT /api/v1/category/move-category/:id", () => {
+    it("400 on a malformed parent id before reaching the database", async () => {
+      const res = await request(app)
+        .put("/api/v1/category/move-category/507f1f77bcf86cd799439011")
+        .send({ parent: "lighting" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ field: "parent", rule: "type" });
+      expect(categoryModel.findById).not.toHaveBeenCalled();
+    });
+  });
+
   describe("Error handling paths", () => {
     it("500 on DB error during listing", async () => {
       categoryModel.find.mockRejectedValueOnce(new Error("DB Down"));
@@ -14,6 +14,9 @@ import productRoutes from "../../routes/productRoutes.js";
 import * as controller from "../../controllers/productController.js";
 import productModel from "../../models/productModel.js";
 
+// the filter every storefront query adds, see helpers/productStatusHelper.js
+const ON_SALE = { status: { $in: ["published", null] } };
+
 // Create an express app for testing
 const app = express();
 app.use(express.json());
@@ -84,41 +87,63 @@ describe("GET /api/v1/product/get-product/:slug", () => {
 });
 
 describe("GET /api/v1/product/get-product-by-id/:id", () => {
+  const PRODUCT_ID = "64b7f0c2a1b2c3d4e5f60718";
+
   afterEach(() => jest.clearAllMocks());
 
   test("200 OK when product is found by id", async () => {
-    const fakeProduct = { _id: "pid123", name: "By ID" };
+    const fakeProduct = { _id: PRODUCT_ID, name: "By ID" };
 
-    productModel.findById.mockReturnValueOnce({
+    productModel.findOne.mockReturnValueOnce({
       select: () => ({
         populate: () => fakeProduct,
       }),
     });
 
     const res = await request(app).get(
-      "/api/v1/product/get-product-by-id/pid123"
+      `/api/v1/product/get-product-by-id/${PRODUCT_ID}`
     );
 
     expect(res.status).toBe(200);
+    expect(productModel.findOne).toHaveBeenCalledWith({
+      _id: PRODUCT_ID,
+      ...ON_SALE,
+    });
     expect(res.body.success).toBe(true);
-    expect(res.body.product).toMatchObject({ _id: "pid123", name: "By ID" });
+    expect(res.body.product).toMatchObject({ _id: PRODUCT_ID, name: "By ID" });
   });
 
   test("404 Not Found when product id missing", async () => {
-    productModel.findById.mockReturnValueOnce({
+    productModel.findOne.mockReturnValueOnce({
       select: () => ({
         populate: () => null,
       }),
     });
 
     const res = await request(app).get(
-      "/api/v1/product/get-product-by-id/missing"
+      `/api/v1/product/get-product-by-id/${PRODUCT_ID}`
     );
 
     expect(res.status).toBe(404);
     expect(res.body.success).toBe(false);
     expect(res.body.message).toMatch(/not found/i);
   });
+
+  test("400 Bad Request for a malformed id, before any lookup", async () => {
+    const res = await request(app).get(
+      "/api/v1/product/get-product-by-id/missing"
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      message: "Product must be a valid id",
+      errors: [
+        { field: "id", rule: "type", message: "Product must be a valid id" },
+      ],
+    });
+    expect(productModel.findOne).not.toHaveBeenCalled();
+  });
 });
 
 // -------------------- Pagination & Count (server) --------------------
@@ -126,24 +151,19 @@ describe("GET /api/v1/product/product-count", () => {
   afterEach(() => jest.clearAllMocks());
 
   test("200 OK returns the total count", async () => {
-    // Wire productModel.find().estimatedDocumentCount()
-    const estimatedDocumentCount = jest.fn().mockResolvedValue(23);
-    // Ensure .find returns a chain with estimatedDocumentCount
-    productModel.find = jest.fn(() => ({ estimatedDocumentCount }));
+    productModel.countDocuments = jest.fn().mockResolvedValue(23);
 
     const res = await request(app).get("/api/v1/product/product-count");
 
     expect(res.status).toBe(200);
-    expect(productModel.find).toHaveBeenCalledWith({});
-    expect(estimatedDocumentCount).toHaveBeenCalledTimes(1);
+    expect(productModel.countDocuments).toHaveBeenCalledWith(ON_SALE);
     expect(res.body).toEqual({ success: true, total: 23 });
   });
 
   test("400 when DB error", async () => {
-    const estimatedDocumentCount = jest
+    productModel.countDocuments = jest
       .fn()
       .mockRejectedValue(new Error("DB Down"));
-    productModel.find = jest.fn(() => ({ estimatedDocumentCount }));
 
     const res = await request(app).get("/api/v1/product/product-count");
 
@@ -211,7 +231,7 @@ describe("GET /api/v1/product/product-list/:page", () => {
     const res = await request(app).get("/api/v1/product/product-list/1");
 
     // Controller should have applied chain correctly
-    expect(productModel.find).toHaveBeenCalledWith({});
+    expect(productModel.find).toHaveBeenCalledWith(ON_SALE);
     expect(calls.select).toHaveBeenCalledWith("-photo");
     expect(calls.skip).toHaveBeenCalledWith(0);
     expect(calls.limit).toHaveBeenCalledWith(6);
@@ -229,7 +249,7 @@ describe("GET /api/v1/product/product-list/:page", () => {
 
     const res = await request(app).get("/api/v1/product/product-list/2");
 
-    expect(productModel.find).toHaveBeenCalledWith({});
+    expect(productModel.find).toHaveBeenCalledWith(ON_SALE);
     expect(calls.select).toHaveBeenCalledWith("-photo");
     expect(calls.skip).toHaveBeenCalledWith(6); // (page-1)*6
     expect(calls.limit).toHaveBeenCalledWith(6);
@@ -246,7 +266,7 @@ describe("GET /api/v1/product/product-list/:page", () => {
 
     const res = await request(app).get("/api/v1/product/product-list/3");
 
-    expect(productModel.find).toHaveBeenCalledWith({});
+    expect(productModel.find).toHaveBeenCalledWith(ON_SALE);
     expect(calls.skip).toHaveBeenCalledWith(12); // (3-1)*6
     expect(calls.limit).toHaveBeenCalledWith(6);
 
@@ -262,7 +282,7 @@ describe("GET /api/v1/product/product-list/:page", () => {
 
     const res = await request(app).get("/api/v1/product/product-list/5");
 
-    expect(productModel.find).toHaveBeenCalledWith({});
+    expect(productModel.find).toHaveBeenCalledWith(ON_SALE);
     expect(calls.skip).toHaveBeenCalledWith(24); // (5-1)*6
     expect(calls.limit).toHaveBeenCalledWith(6);
 
@@ -0,0 +1,133 @@
+import userModel from "../models/userModel.js";
+import orderModel from "../models/orderModel.js";
+import { comparePassword } from "./../helpers/authHelper.js";
+import { clearLoginFailures } from "./../helpers/loginThrottleHelper.js";
+import { isStaff } from "./../helpers/permissionHelper.js";
+import { revokeUserSessions } from "./../helpers/sessionHelper.js";
+import { createZip } from "./../helpers/zipHelper.js";
+
+// credentials and second factor secrets stay out of the export
+const EXPORT_USER_FIELDS = [
+  "-password",
+  "-answer",
+  "-twoFactor.secret",
+  "-twoFactor.pendingSecret",
+  "-twoFactor.recoveryCodes",
+].join(" ");
+
+const exportFileName = (extension) =>
+  `virtual-vault-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+//download profile and orders || GET ?format=json|zip
+export const exportAccountController = async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!["json", "zip"].includes(format)) {
+      return res.status(400).send({
+        success: false,
+        message: "Format must be json or zip",
+      });
+    }
+    const user = await userModel
+      .findById(req.user._id)
+      .select(EXPORT_USER_FIELDS)
+      .lean();
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    const orders = await orderModel
+      .find({ buyer: req.user._id })
+      .populate("products", "name slug price")
+      .sort({ createdAt: -1 })
+      .lean();
+    const exportedAt = new Date().toISOString();
+
+    if (format === "zip") {
+      const archive = createZip([
+        {
+          name: "profile.json",
+          data: JSON.stringify({ exportedAt, profile: user }, null, 2),
+        },
+        { name: "orders.json", data: JSON.stringify(orders, null, 2) },
+      ]);
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${exportFileName("zip")}"`,
+      });
+      return res.status(200).send(archive);
+    }
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="${exportFileName("json")}"`
+    );
+    res.status(200).json({ exportedAt, profile: user, orders });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while exporting account data",
+      error,
+    });
+  }
+};
+
+//close the account || DELETE { password }
+export const deleteAccountController = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).send({
+        success: false,
+        message: "Password is required",
+      });
+    }
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    const match = await comparePassword(password, user.password);
+    if (!match) {
+      return res.status(401).send({
+        success: false,
+        message: "Incorrect password",
+      });
+    }
+    //an admin deleting themselves could leave the shop without one
+    if (isStaff(user)) {
+      return res.status(403).send({
+        success: false,
+        message:
+          "Staff accounts must have their roles removed by another admin first",
+      });
+    }
+    //keep order history for the shop but drop the link to the person and
+    //the copy of their address each order was shipped to
+    await orderModel.updateMany(
+      { buyer: user._id },
+      {
+        $set: { buyer: null, buyerDeletedAt: new Date() },
+        $unset: { shippingAddress: "" },
+      }
+    );
+    await revokeUserSessions(user._id);
+    await clearLoginFailures(user.email);
+    await userModel.findByIdAndDelete(user._id);
+    res.status(200).send({
+      success: true,
+      message: "Your account has been deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting account",
+      error,
+    });
+  }
+};
@@ -0,0 +1,273 @@
+import zlib from "zlib";
+import {
+  exportAccountController,
+  deleteAccountController,
+} from "./accountController.js";
+import userModel from "../models/userModel.js";
+import orderModel from "../models/orderModel.js";
+import sessionModel from "../models/sessionModel.js";
+import loginAttemptModel from "../models/loginAttemptModel.js";
+import * as authHelper from "../helpers/authHelper.js";
+
+/**
+ * Unit tests for self-service account controllers
+ *
+ * 1. exportAccountController: profile + orders as a JSON download or a ZIP
+ *    archive, without credentials or two-factor secrets
+ * 2. deleteAccountController: password re-confirmation, order anonymization,
+ *    session revocation and the staff guard
+ *
+ * Test Strategy: Communication-based testing with mocked models; query
+ * chains are stubbed so the projections handed to mongoose can be asserted.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// stub a mongoose query chain that resolves to `result` on lean()
+const mockQuery = (result) => {
+  const query = {};
+  ["select", "populate", "sort"].forEach((method) => {
+    query[method] = jest.fn().mockReturnValue(query);
+  });
+  query.lean = jest.fn().mockResolvedValue(result);
+  return query;
+};
+
+jest.mock("../models/userModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/sessionModel.js");
+jest.mock("../models/loginAttemptModel.js");
+jest.mock("../models/roleModel.js");
+jest.mock("../helpers/authHelper.js");
+
+describe("Account Controllers", () => {
+  const profile = { _id: "u1", name: "John", email: "john@example.com" };
+  const orders = [{ _id: "o1", status: "Shipped", products: [] }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("exportAccountController", () => {
+    beforeEach(() => {
+      userModel.findById.mockReturnValue(mockQuery(profile));
+      orderModel.find.mockReturnValue(mockQuery(orders));
+    });
+
+    /**
+     * Test the default JSON export
+     * Sent as an attachment with secrets projected out of the profile
+     */
+    test("should send profile and orders as a JSON attachment", async () => {
+      const res = createRes();
+      await exportAccountController({ user: { _id: "u1" }, query: {} }, res);
+
+      const userQuery = userModel.findById.mock.results[0].value;
+      expect(userQuery.select).toHaveBeenCalledWith(
+        "-password -answer -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes"
+      );
+      expect(orderModel.find).toHaveBeenCalledWith({ buyer: "u1" });
+      expect(res.set).toHaveBeenCalledWith(
+        "Content-Disposition",
+        expect.stringMatching(/^attachment; filename="virtual-vault-export-.*\.json"$/)
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        exportedAt: expect.any(String),
+        profile,
+        orders,
+      });
+    });
+
+    test("should send a ZIP archive with one file per collection", async () => {
+      const res = createRes();
+      await exportAccountController(
+        { user: { _id: "u1" }, query: { format: "zip" } },
+        res
+      );
+
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ "Content-Type": "application/zip" })
+      );
+      const archive = res.send.mock.calls[0][0];
+      expect(Buffer.isBuffer(archive)).toBe(true);
+      // first entry is profile.json
+      const nameLength = archive.readUInt16LE(26);
+      expect(archive.subarray(30, 30 + nameLength).toString()).toBe(
+        "profile.json"
+      );
+      const data = zlib.inflateRawSync(
+        archive.subarray(30 + nameLength, 30 + nameLength + archive.readUInt32LE(18))
+      );
+      expect(JSON.parse(data.toString()).profile).toEqual(profile);
+      expect(archive.includes(Buffer.from("orders.json"))).toBe(true);
+    });
+
+    test("should reject unknown formats", async () => {
+      const res = createRes();
+      await exportAccountController(
+        { user: { _id: "u1" }, query: { format: "xml" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Format must be json or zip",
+      });
+    });
+
+    test("should return 404 when the user is gone", async () => {
+      userModel.findById.mockReturnValue(mockQuery(null));
+
+      const res = createRes();
+      await exportAccountController({ user: { _id: "u1" }, query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 500 when a query fails", async () => {
+      orderModel.find.mockImplementation(() => {
+        throw new Error("DB down");
+      });
+
+      const res = createRes();
+      await exportAccountController({ user: { _id: "u1" }, query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while exporting account data" })
+      );
+    });
+  });
+
+  describe("deleteAccountController", () => {
+    const user = {
+      _id: "u1",
+      email: "john@example.com",
+      password: "hashed",
+      role: 0,
+    };
+    const req = (body) => ({ user: { _id: "u1" }, body });
+
+    /**
+     * Test a confirmed deletion
+     * Orders stay for the shop with the buyer cleared, sessions are revoked
+     */
+    test("should anonymize orders, revoke sessions and delete the user", async () => {
+      userModel.findById.mockResolvedValue(user);
+      authHelper.comparePassword.mockResolvedValue(true);
+
+      const res = createRes();
+      await deleteAccountController(req({ password: "secret" }), res);
+
+      expect(authHelper.comparePassword).toHaveBeenCalledWith("secret", "hashed");
+      expect(orderModel.updateMany).toHaveBeenCalledWith(
+        { buyer: "u1" },
+        {
+          $set: { buyer: null, buyerDeletedAt: expect.any(Date) },
+          $unset: { shippingAddress: "" },
+        }
+      );
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { user: "u1", revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(loginAttemptModel.deleteOne).toHaveBeenCalledWith({
+        key: "email:john@example.com",
+      });
+      expect(userModel.findByIdAndDelete).toHaveBeenCalledWith("u1");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Your account has been deleted",
+      });
+    });
+
+    test("should require the password", async () => {
+      const res = createRes();
+      await deleteAccountController(req({}), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Password is required",
+      });
+    });
+
+    test("should keep the account when the password is wrong", async () => {
+      userModel.findById.mockResolvedValue(user);
+      authHelper.comparePassword.mockResolvedValue(false);
+
+      const res = createRes();
+      await deleteAccountController(req({ password: "wrong" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Incorrect password",
+      });
+      expect(orderModel.updateMany).not.toHaveBeenCalled();
+      expect(userModel.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test the shipping address copied onto each order goes with the account
+     */
+    test("should clear the shipping address from the user's orders", async () => {
+      userModel.findById.mockResolvedValue(user);
+      authHelper.comparePassword.mockResolvedValue(true);
+
+      await deleteAccountController(req({ password: "secret" }), createRes());
+
+      const [filter, update] = orderModel.updateMany.mock.calls[0];
+      expect(filter).toEqual({ buyer: "u1" });
+      expect(update.$unset).toEqual({ shippingAddress: "" });
+      expect(update.$set).not.toHaveProperty("shippingAddress");
+    });
+
+    test("should not let staff delete their own account", async () => {
+      userModel.findById.mockResolvedValue({ ...user, role: 1 });
+      authHelper.comparePassword.mockResolvedValue(true);
+
+      const res = createRes();
+      await deleteAccountController(req({ password: "secret" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(userModel.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when the user is gone", async () => {
+      userModel.findById.mockResolvedValue(null);
+
+      const res = createRes();
+      await deleteAccountController(req({ password: "secret" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 500 when the deletion fails", async () => {
+      userModel.findById.mockRejectedValue(new Error("DB down"));
+
+      const res = createRes();
+      await deleteAccountController(req({ password: "secret" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while deleting account" })
+      );
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import userModel from "../models/userModel.js";
+import {
+  MAX_ADDRESSES,
+  findAddress,
+  readAddress,
+  setDefaultAddress,
+} from "../helpers/addressHelper.js";
+
+const addressNotFound = (res) =>
+  res.status(404).send({
+    success: false,
+    message: "Address not found",
+  });
+
+const userNotFound = (res) =>
+  res.status(404).send({
+    success: false,
+    message: "User not found",
+  });
+
+//list saved addresses || GET
+export const listAddressesController = async (req, res) => {
+  try {
+    const user = await userModel
+      .findById(req.user._id)
+      .select("addresses")
+      .lean();
+    if (!user) {
+      return userNotFound(res);
+    }
+    res.status(200).send({
+      success: true,
+      addresses: user.addresses || [],
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting addresses",
+      error,
+    });
+  }
+};
+
+//add an address || POST { recipient, line1, line2, city, postalCode, country, phone, isDefault }
+export const createAddressController = async (req, res) => {
+  try {
+    const { address, error } = readAddress(req.body);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error,
+      });
+    }
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return userNotFound(res);
+    }
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).send({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`,
+      });
+    }
+    user.addresses.push(address);
+    const created = user.addresses[user.addresses.length - 1];
+    //the first address is always the default
+    if (req.body.isDefault === true || user.addresses.length === 1) {
+      setDefaultAddress(user.addresses, created._id);
+    }
+    await user.save();
+    res.status(201).send({
+      success: true,
+      message: "Address saved",
+      address: created,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while saving address",
+      error,
+    });
+  }
+};
+
+//edit an address || PUT same body as POST, isDefault: true makes it the default
+export const updateAddressController = async (req, res) => {
+  try {
+    const { address, error } = readAddress(req.body);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error,
+      });
+    }
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return userNotFound(res);
+    }
+    const existing = findAddress(user.addresses, req.params.addressId);
+    if (!existing) {
+      return addressNotFound(res);
+    }
+    Object.assign(existing, address);
+    if (req.body.isDefault === true) {
+      setDefaultAddress(user.addresses, existing._id);
+    }
+    await user.save();
+    res.status(200).send({
+      success: true,
+      message: "Address updated",
+      address: existing,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating address",
+      error,
+    });
+  }
+};
+
+//remove an address || DELETE
+export const deleteAddressController = async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return userNotFound(res);
+    }
+    const existing = findAddress(user.addresses, req.params.addressId);
+    if (!existing) {
+      return addressNotFound(res);
+    }
+    user.addresses = user.addresses.filter((address) => address !== existing);
+    //hand the default on so checkout always has one to preselect
+    if (existing.isDefault && user.addresses.length) {
+      setDefaultAddress(user.addresses, user.addresses[0]._id);
+    }
+    await user.save();
+    res.status(200).send({
+      success: true,
+      message: "Address deleted",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting address",
+      error,
+    });
+  }
+};
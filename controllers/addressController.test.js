@@ -0,0 +1,342 @@
+import {
+  createAddressController,
+  deleteAddressController,
+  listAddressesController,
+  updateAddressController,
+} from "./addressController.js";
+import userModel from "../models/userModel.js";
+
+/**
+ * Unit tests for the address book controllers
+ *
+ * 1. listAddressesController: the signed-in user's saved addresses
+ * 2. createAddressController: validation, the cap, and the first address
+ *    becoming the default
+ * 3. updateAddressController: field edits and moving the default
+ * 4. deleteAddressController: removal and handing the default on
+ *
+ * Test Strategy: Communication-based testing with a mocked user model; the
+ * user document is a plain object with an addresses array and a save mock.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+jest.mock("../models/userModel.js");
+
+const body = {
+  recipient: "John",
+  line1: "1 Main St",
+  city: "Springfield",
+  postalCode: "12345",
+  country: "USA",
+  phone: "5550100",
+};
+
+const makeUser = (addresses) => ({
+  _id: "u1",
+  addresses,
+  save: jest.fn().mockResolvedValue(undefined),
+});
+
+describe("Address Controllers", () => {
+  const req = (extra = {}) => ({
+    user: { _id: "u1" },
+    params: {},
+    body: {},
+    ...extra,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("listAddressesController", () => {
+    test("should return the saved addresses", async () => {
+      const lean = jest.fn().mockResolvedValue({ addresses: [{ _id: "a1" }] });
+      const select = jest.fn().mockReturnValue({ lean });
+      userModel.findById.mockReturnValueOnce({ select });
+
+      const res = createRes();
+      await listAddressesController(req(), res);
+
+      expect(userModel.findById).toHaveBeenCalledWith("u1");
+      expect(select).toHaveBeenCalledWith("addresses");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        addresses: [{ _id: "a1" }],
+      });
+    });
+
+    test("should return 404 when the user is gone", async () => {
+      const lean = jest.fn().mockResolvedValue(null);
+      userModel.findById.mockReturnValueOnce({
+        select: jest.fn().mockReturnValue({ lean }),
+      });
+
+      const res = createRes();
+      await listAddressesController(req(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 500 when the query fails", async () => {
+      userModel.findById.mockImplementationOnce(() => {
+        throw new Error("DB down");
+      });
+
+      const res = createRes();
+      await listAddressesController(req(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while getting addresses" })
+      );
+    });
+  });
+
+  describe("createAddressController", () => {
+    /**
+     * Test the first address
+     * It becomes the default even when not asked to
+     */
+    test("should make the first address the default", async () => {
+      const user = makeUser([]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      const res = createRes();
+      await createAddressController(req({ body }), res);
+
+      expect(user.addresses).toEqual([
+        { ...body, line2: "", isDefault: true },
+      ]);
+      expect(user.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Address saved",
+        address: user.addresses[0],
+        addresses: user.addresses,
+      });
+    });
+
+    test("should keep the existing default unless asked", async () => {
+      const user = makeUser([{ _id: "a1", isDefault: true }]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      await createAddressController(req({ body }), createRes());
+
+      expect(user.addresses.map((a) => Boolean(a.isDefault))).toEqual([
+        true,
+        false,
+      ]);
+    });
+
+    test("should move the default to the new address when asked", async () => {
+      const user = makeUser([{ _id: "a1", isDefault: true }]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      await createAddressController(
+        req({ body: { ...body, isDefault: true } }),
+        createRes()
+      );
+
+      expect(user.addresses.map((a) => a.isDefault)).toEqual([false, true]);
+    });
+
+    test("should reject an incomplete address", async () => {
+      const res = createRes();
+      await createAddressController(
+        req({ body: { ...body, postalCode: "" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Postal code is required",
+      });
+      expect(userModel.findById).not.toHaveBeenCalled();
+    });
+
+    test("should cap the address book", async () => {
+      const user = makeUser(
+        Array.from({ length: 10 }, (_, i) => ({ _id: `a${i}` }))
+      );
+      userModel.findById.mockResolvedValueOnce(user);
+
+      const res = createRes();
+      await createAddressController(req({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You can save up to 10 addresses",
+      });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when the user is gone", async () => {
+      userModel.findById.mockResolvedValueOnce(null);
+
+      const res = createRes();
+      await createAddressController(req({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 500 when saving fails", async () => {
+      const user = makeUser([]);
+      user.save.mockRejectedValueOnce(new Error("DB down"));
+      userModel.findById.mockResolvedValueOnce(user);
+
+      const res = createRes();
+      await createAddressController(req({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while saving address" })
+      );
+    });
+  });
+
+  describe("updateAddressController", () => {
+    test("should update the fields of the address", async () => {
+      const user = makeUser([
+        { _id: "a1", ...body, isDefault: true },
+        { _id: "a2", ...body, isDefault: false },
+      ]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      const res = createRes();
+      await updateAddressController(
+        req({ params: { addressId: "a2" }, body: { ...body, city: "Shelbyville" } }),
+        res
+      );
+
+      expect(user.addresses[1]).toEqual(
+        expect.objectContaining({ city: "Shelbyville", isDefault: false })
+      );
+      expect(user.addresses[0].isDefault).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Address updated" })
+      );
+    });
+
+    test("should make the address the only default", async () => {
+      const user = makeUser([
+        { _id: "a1", ...body, isDefault: true },
+        { _id: "a2", ...body, isDefault: false },
+      ]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      await updateAddressController(
+        req({ params: { addressId: "a2" }, body: { ...body, isDefault: true } }),
+        createRes()
+      );
+
+      expect(user.addresses.map((a) => a.isDefault)).toEqual([false, true]);
+    });
+
+    test("should return 404 for an address the user doesn't have", async () => {
+      userModel.findById.mockResolvedValueOnce(makeUser([{ _id: "a1" }]));
+
+      const res = createRes();
+      await updateAddressController(
+        req({ params: { addressId: "other" }, body }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Address not found",
+      });
+    });
+
+    test("should reject an incomplete address", async () => {
+      const res = createRes();
+      await updateAddressController(
+        req({ params: { addressId: "a1" }, body: { ...body, line1: "" } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Address line 1 is required",
+      });
+    });
+  });
+
+  describe("deleteAddressController", () => {
+    test("should hand the default on when it is deleted", async () => {
+      const user = makeUser([
+        { _id: "a1", isDefault: true },
+        { _id: "a2", isDefault: false },
+      ]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      const res = createRes();
+      await deleteAddressController(req({ params: { addressId: "a1" } }), res);
+
+      expect(user.addresses).toEqual([{ _id: "a2", isDefault: true }]);
+      expect(user.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Address deleted",
+        addresses: user.addresses,
+      });
+    });
+
+    test("should leave the default alone when another address is deleted", async () => {
+      const user = makeUser([
+        { _id: "a1", isDefault: false },
+        { _id: "a2", isDefault: true },
+        { _id: "a3", isDefault: false },
+      ]);
+      userModel.findById.mockResolvedValueOnce(user);
+
+      await deleteAddressController(
+        req({ params: { addressId: "a3" } }),
+        createRes()
+      );
+
+      expect(user.addresses.map((a) => a.isDefault)).toEqual([false, true]);
+    });
+
+    test("should return 404 for an unknown address", async () => {
+      userModel.findById.mockResolvedValueOnce(makeUser([]));
+
+      const res = createRes();
+      await deleteAddressController(req({ params: { addressId: "a1" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 500 when the lookup fails", async () => {
+      userModel.findById.mockRejectedValueOnce(new Error("DB down"));
+
+      const res = createRes();
+      await deleteAddressController(req({ params: { addressId: "a1" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while deleting address" })
+      );
+    });
+  });
+});
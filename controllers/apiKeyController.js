@@ -0,0 +1,158 @@
+import apiKeyModel from "../models/apiKeyModel.js";
+import userModel from "../models/userModel.js";
+import {
+  API_KEY_SCOPES,
+  expandScopes,
+  generateApiKey,
+} from "../helpers/apiKeyHelper.js";
+import {
+  getUserPermissions,
+  hasPermission,
+} from "../helpers/permissionHelper.js";
+import { recordAuditEvent } from "../helpers/auditHelper.js";
+
+// the hash never leaves the server
+const presentApiKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+});
+
+const apiKeyTarget = (apiKey) => ({
+  type: "api-key",
+  id: apiKey._id,
+  label: `${apiKey.name} (${apiKey.prefix})`,
+});
+
+//list keys and the scopes they can have
+export const listApiKeysController = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyModel
+      .find({})
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.status(200).send({
+      success: true,
+      apiKeys: apiKeys.map(presentApiKey),
+      scopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting API keys",
+      error,
+    });
+  }
+};
+
+//create a key || POST { name, scopes: [...] }, the key is only sent back once
+export const createApiKeyController = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).send({
+        success: false,
+        message: "Name is required",
+      });
+    }
+    if (
+      !Array.isArray(scopes) ||
+      !scopes.length ||
+      scopes.some((scope) => typeof scope !== "string")
+    ) {
+      return res.status(400).send({
+        success: false,
+        message: "Scopes must be a non-empty list",
+      });
+    }
+    const unknown = scopes.find((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknown) {
+      return res.status(400).send({
+        success: false,
+        message: `Unknown scope: ${unknown}`,
+      });
+    }
+    //a key can't do more than the admin who creates it
+    const granted = await getUserPermissions(
+      await userModel.findById(req.user._id)
+    );
+    const missing = expandScopes(scopes).find(
+      (permission) => !hasPermission(granted, permission)
+    );
+    if (missing) {
+      return res.status(403).send({
+        success: false,
+        message: `You cannot grant a scope you don't have: ${missing}`,
+      });
+    }
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await apiKeyModel.create({
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+    });
+    await recordAuditEvent(req, {
+      action: "api_key.created",
+      target: apiKeyTarget(apiKey),
+      after: { name: apiKey.name, scopes: apiKey.scopes },
+    });
+    res.status(201).send({
+      success: true,
+      message: "API key created. Copy it now, it won't be shown again",
+      apiKey: presentApiKey(apiKey),
+      key,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating API key",
+      error,
+    });
+  }
+};
+
+//revoke a key, it stays listed for the record
+export const revokeApiKeyController = async (req, res) => {
+  try {
+    const apiKey = await apiKeyModel.findOneAndUpdate(
+      { _id: req.params.keyId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).send({
+        success: false,
+        message: "API key not found or already revoked",
+      });
+    }
+    await recordAuditEvent(req, {
+      action: "api_key.revoked",
+      target: apiKeyTarget(apiKey),
+      before: { revokedAt: null },
+      after: { revokedAt: apiKey.revokedAt },
+    });
+    res.status(200).send({
+      success: true,
+      message: "API key revoked",
+      apiKey: presentApiKey(apiKey),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while revoking API key",
+      error,
+    });
+  }
+};
@@ -0,0 +1,254 @@
+import {
+  listApiKeysController,
+  createApiKeyController,
+  revokeApiKeyController,
+} from "./apiKeyController.js";
+import apiKeyModel from "../models/apiKeyModel.js";
+import userModel from "../models/userModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+import { hashToken } from "../helpers/sessionHelper.js";
+import { API_KEY_SCOPES } from "../helpers/apiKeyHelper.js";
+
+/**
+ * Unit tests for API key management controllers
+ *
+ * 1. listApiKeysController: keys without their digests, plus grantable scopes
+ * 2. createApiKeyController: validation, no scopes beyond the creator's own
+ *    permissions, key returned once and stored hashed
+ * 3. revokeApiKeyController: revocation is recorded in the audit log
+ *
+ * Test Strategy: Communication-based testing with mocked models.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// stub a mongoose query chain that resolves to `result` on lean()
+const mockQuery = (result) => {
+  const query = {};
+  ["populate", "sort"].forEach((method) => {
+    query[method] = jest.fn().mockReturnValue(query);
+  });
+  query.lean = jest.fn().mockResolvedValue(result);
+  return query;
+};
+
+jest.mock("../models/apiKeyModel.js");
+jest.mock("../models/userModel.js");
+jest.mock("../models/roleModel.js");
+jest.mock("../models/sessionModel.js");
+jest.mock("../models/auditEventModel.js");
+
+describe("API Key Controllers", () => {
+  const admin = { _id: "admin1" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("listApiKeysController", () => {
+    test("should list keys without their digests", async () => {
+      apiKeyModel.find.mockReturnValue(
+        mockQuery([
+          {
+            _id: "k1",
+            name: "Warehouse",
+            prefix: "vv_abcdefgh",
+            keyHash: "secret-digest",
+            scopes: ["orders:read"],
+          },
+        ])
+      );
+
+      const res = createRes();
+      await listApiKeysController({ user: admin }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.send.mock.calls[0][0];
+      expect(body.apiKeys[0]).toEqual(
+        expect.objectContaining({ name: "Warehouse", prefix: "vv_abcdefgh" })
+      );
+      expect(body.apiKeys[0]).not.toHaveProperty("keyHash");
+      expect(body.scopes).toEqual(API_KEY_SCOPES);
+    });
+  });
+
+  describe("createApiKeyController", () => {
+    beforeEach(() => {
+      userModel.findById.mockResolvedValue({ _id: "admin1", role: 1 });
+      apiKeyModel.create.mockImplementation(async (doc) => ({
+        _id: "k1",
+        ...doc,
+      }));
+    });
+
+    /**
+     * Test the key is handed out once and only its digest is stored
+     */
+    test("should create a key and return it once", async () => {
+      const res = createRes();
+      await createApiKeyController(
+        {
+          user: admin,
+          body: { name: " Warehouse ", scopes: ["orders:read", "orders:read"] },
+          headers: {},
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { key, apiKey, message } = res.send.mock.calls[0][0];
+      expect(message).toBe(
+        "API key created. Copy it now, it won't be shown again"
+      );
+      expect(apiKeyModel.create).toHaveBeenCalledWith({
+        name: "Warehouse",
+        prefix: key.slice(0, 11),
+        keyHash: hashToken(key),
+        scopes: ["orders:read"],
+        createdBy: "admin1",
+      });
+      expect(apiKey).not.toHaveProperty("keyHash");
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "api_key.created",
+          actor: "admin1",
+          changes: {
+            before: null,
+            after: { name: "Warehouse", scopes: ["orders:read"] },
+          },
+        })
+      );
+    });
+
+    test("should require a name and a list of scopes", async () => {
+      const res = createRes();
+      await createApiKeyController(
+        { user: admin, body: { name: "", scopes: ["orders:read"] } },
+        res
+      );
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Name is required",
+      });
+
+      const res2 = createRes();
+      await createApiKeyController(
+        { user: admin, body: { name: "Sync", scopes: [] } },
+        res2
+      );
+      expect(res2.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Scopes must be a non-empty list",
+      });
+    });
+
+    test("should reject scopes keys can't have", async () => {
+      const res = createRes();
+      await createApiKeyController(
+        { user: admin, body: { name: "Sync", scopes: ["api-keys:manage"] } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Unknown scope: api-keys:manage",
+      });
+      expect(apiKeyModel.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test privilege escalation through keys
+     * A catalog manager can't mint a key that reads orders
+     */
+    test("should not grant scopes the creator lacks", async () => {
+      userModel.findById.mockResolvedValue({
+        _id: "admin1",
+        roles: ["catalog-manager"],
+      });
+
+      const res = createRes();
+      await createApiKeyController(
+        {
+          user: admin,
+          body: { name: "Sync", scopes: ["products:write", "orders:read"] },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You cannot grant a scope you don't have: orders:read",
+      });
+      expect(apiKeyModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("revokeApiKeyController", () => {
+    test("should revoke a live key", async () => {
+      const revokedAt = new Date();
+      apiKeyModel.findOneAndUpdate.mockResolvedValueOnce({
+        _id: "k1",
+        name: "Warehouse",
+        prefix: "vv_abcdefgh",
+        revokedAt,
+      });
+
+      const res = createRes();
+      await revokeApiKeyController(
+        { user: admin, params: { keyId: "k1" } },
+        res
+      );
+
+      expect(apiKeyModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "k1", revokedAt: null },
+        { revokedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "api_key.revoked",
+          target: { type: "api-key", id: "k1", label: "Warehouse (vv_abcdefgh)" },
+        })
+      );
+    });
+
+    test("should return 404 for unknown or revoked keys", async () => {
+      apiKeyModel.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      const res = createRes();
+      await revokeApiKeyController(
+        { user: admin, params: { keyId: "k1" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(auditEventModel.create).not.toHaveBeenCalled();
+    });
+
+    test("should return 500 when the update fails", async () => {
+      apiKeyModel.findOneAndUpdate.mockRejectedValueOnce(new Error("DB down"));
+
+      const res = createRes();
+      await revokeApiKeyController(
+        { user: admin, params: { keyId: "k1" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import auditEventModel from "../models/auditEventModel.js";
+import userModel from "../models/userModel.js";
+import { AUDIT_ACTIONS } from "../helpers/auditHelper.js";
+import { escapeRegex, toPositiveInt } from "../helpers/queryHelper.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// YYYY-MM-DD, or null when missing or not a date
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// the actor filter matches a name or email, including addresses that were
+// only typed into a failed login
+const actorFilter = async (actor) => {
+  const pattern = { $regex: escapeRegex(actor), $options: "i" };
+  const users = await userModel
+    .find({ $or: [{ name: pattern }, { email: pattern }] })
+    .select("_id")
+    .lean();
+  return {
+    $or: [
+      { actor: { $in: users.map((user) => user._id) } },
+      { actorEmail: pattern },
+    ],
+  };
+};
+
+//list audit events || GET ?page=&limit=&actor=&action=&from=&to=
+export const listAuditEventsController = async (req, res) => {
+  try {
+    const { actor, action } = req.query;
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = Math.min(toPositiveInt(req.query.limit, 25), MAX_PAGE_SIZE);
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).send({
+        success: false,
+        message: "Dates must be in YYYY-MM-DD format",
+      });
+    }
+
+    const conditions = [];
+    if (actor?.trim()) {
+      conditions.push(await actorFilter(actor.trim()));
+    }
+    if (action) {
+      conditions.push({ action: String(action) });
+    }
+    if (from || to) {
+      const createdAt = {};
+      if (from) createdAt.$gte = from;
+      //the whole of the last day
+      if (to) createdAt.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+      conditions.push({ createdAt });
+    }
+    const filter = conditions.length ? { $and: conditions } : {};
+
+    const [events, total] = await Promise.all([
+      auditEventModel
+        .find(filter)
+        .populate("actor", "name email")
+        .populate("impersonator", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      auditEventModel.countDocuments(filter),
+    ]);
+    res.status(200).send({
+      success: true,
+      events,
+      actions: AUDIT_ACTIONS,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting audit events",
+      error,
+    });
+  }
+};
@@ -0,0 +1,147 @@
+import { listAuditEventsController } from "./auditController.js";
+import auditEventModel from "../models/auditEventModel.js";
+import userModel from "../models/userModel.js";
+import { AUDIT_ACTIONS } from "../helpers/auditHelper.js";
+
+/**
+ * Unit tests for the audit log controller
+ *
+ * listAuditEventsController: newest first with paging, and filters by actor
+ * (name or email), action and an inclusive date range
+ *
+ * Test Strategy: Communication-based testing with mocked models; query
+ * chains are stubbed so the filters handed to mongoose can be asserted.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// stub a mongoose query chain that resolves to `result` on lean()
+const mockQuery = (result) => {
+  const query = {};
+  ["select", "populate", "sort", "skip", "limit"].forEach((method) => {
+    query[method] = jest.fn().mockReturnValue(query);
+  });
+  query.lean = jest.fn().mockResolvedValue(result);
+  return query;
+};
+
+jest.mock("../models/auditEventModel.js");
+jest.mock("../models/userModel.js");
+
+describe("Audit Controller", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  /**
+   * Test the unfiltered log
+   * Newest first, actors and impersonators populated, 25 per page
+   */
+  test("should list the newest events first", async () => {
+    const events = [{ _id: "e1", action: "auth.login" }];
+    const query = mockQuery(events);
+    auditEventModel.find.mockReturnValue(query);
+    auditEventModel.countDocuments.mockResolvedValue(30);
+
+    const res = createRes();
+    await listAuditEventsController({ query: {} }, res);
+
+    expect(auditEventModel.find).toHaveBeenCalledWith({});
+    expect(query.populate).toHaveBeenCalledWith("actor", "name email");
+    expect(query.populate).toHaveBeenCalledWith("impersonator", "name email");
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(query.skip).toHaveBeenCalledWith(0);
+    expect(query.limit).toHaveBeenCalledWith(25);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      events,
+      actions: AUDIT_ACTIONS,
+      total: 30,
+      page: 1,
+      pages: 2,
+    });
+  });
+
+  /**
+   * Test every filter together
+   * The actor term is escaped and matched against users and typed emails,
+   * the end date covers the whole day
+   */
+  test("should filter by actor, action and date range", async () => {
+    userModel.find.mockReturnValue(mockQuery([{ _id: "u1" }]));
+    auditEventModel.find.mockReturnValue(mockQuery([]));
+    auditEventModel.countDocuments.mockResolvedValue(0);
+
+    const res = createRes();
+    await listAuditEventsController(
+      {
+        query: {
+          actor: " a.b ",
+          action: "auth.login_failed",
+          from: "2024-01-01",
+          to: "2024-01-31",
+          page: "2",
+          limit: "500",
+        },
+      },
+      res
+    );
+
+    const pattern = { $regex: "a\\.b", $options: "i" };
+    expect(userModel.find).toHaveBeenCalledWith({
+      $or: [{ name: pattern }, { email: pattern }],
+    });
+    expect(auditEventModel.find).toHaveBeenCalledWith({
+      $and: [
+        { $or: [{ actor: { $in: ["u1"] } }, { actorEmail: pattern }] },
+        { action: "auth.login_failed" },
+        {
+          createdAt: {
+            $gte: new Date("2024-01-01"),
+            $lt: new Date("2024-02-01"),
+          },
+        },
+      ],
+    });
+    const query = auditEventModel.find.mock.results[0].value;
+    expect(query.limit).toHaveBeenCalledWith(100);
+    expect(query.skip).toHaveBeenCalledWith(100);
+  });
+
+  test("should reject dates it cannot parse", async () => {
+    const res = createRes();
+    await listAuditEventsController({ query: { from: "yesterday" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Dates must be in YYYY-MM-DD format",
+    });
+    expect(auditEventModel.find).not.toHaveBeenCalled();
+  });
+
+  test("should return 500 when the query fails", async () => {
+    auditEventModel.find.mockImplementationOnce(() => {
+      throw new Error("DB down");
+    });
+
+    const res = createRes();
+    await listAuditEventsController({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "Error while getting audit events" })
+    );
+  });
+});
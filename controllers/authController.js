@@ -2,30 +2,54 @@ import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
 
 import { comparePassword, hashPassword } from "./../helpers/authHelper.js";
-import JWT from "jsonwebtoken";
+import {
+  createSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  rotateSession,
+} from "./../helpers/sessionHelper.js";
+import { clientUrl, sendMail } from "./../helpers/mailHelper.js";
+import {
+  clearLoginFailures,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  unlockAccount,
+} from "./../helpers/loginThrottleHelper.js";
+import { consumeSecondFactor } from "./../helpers/twoFactorHelper.js";
+import { recordAuditEvent } from "./../helpers/auditHelper.js";
+import { getPasswordPolicy } from "./../helpers/passwordPolicy.js";
+import {
+  getUserPermissions,
+  getUserRoles,
+} from "./../helpers/permissionHelper.js";
+import {
+  getUserTokenSubject,
+  signUserToken,
+  verifyUserToken,
+} from "./../helpers/userTokenHelper.js";
 
+const EMAIL_VERIFY_PURPOSE = "email-verify";
+
+// the token is bound to the address, so it dies if the email changes
+const sendVerificationEmail = async (user) => {
+  const token = signUserToken(
+    user._id,
+    EMAIL_VERIFY_PURPOSE,
+    user.email,
+    process.env.EMAIL_VERIFY_TTL || "24h"
+  );
+  const link = clientUrl(`/verify-email?token=${token}`);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Virtual Vault email address",
+    text: `Welcome to Virtual Vault! Confirm your email address to start checking out.\n\n${link}`,
+  });
+};
+
+//fields and the password policy are checked by registerSchema
 export const registerController = async (req, res) => {
   try {
-    const { name, email, password, phone, address, answer } = req.body;
-    //validations
-    if (!name) {
-      return res.send({ error: "Name is Required" });
-    }
-    if (!email) {
-      return res.send({ message: "Email is Required" });
-    }
-    if (!password) {
-      return res.send({ message: "Password is Required" });
-    }
-    if (!phone) {
-      return res.send({ message: "Phone no is Required" });
-    }
-    if (!address) {
-      return res.send({ message: "Address is Required" });
-    }
-    if (!answer) {
-      return res.send({ message: "Answer is Required" });
-    }
+    const { name, email, password, phone, address } = req.body;
     //check user
     const exisitingUser = await userModel.findOne({ email });
     //exisiting user
@@ -44,8 +68,14 @@ export const registerController = async (req, res) => {
       phone,
       address,
       password: hashedPassword,
-      answer,
+      emailVerified: false,
     }).save();
+    //a mail failure shouldn't fail the signup, the link can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.log(mailError);
+    }
 
     res.status(201).send({
       success: true,
@@ -62,6 +92,76 @@ export const registerController = async (req, res) => {
   }
 };
 
+// failed logins all look the same, plus a hint once backoff kicks in
+const sendInvalidLogin = (res, retryAfter) => {
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+  }
+  return res.status(404).send({
+    success: false,
+    message: "Invalid email or password",
+    ...(retryAfter > 0 && { retryAfter }),
+  });
+};
+
+const sendThrottled = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).send({
+    success: false,
+    message: "Too many failed login attempts. Please try again later.",
+    retryAfter,
+  });
+};
+
+const sendDisabled = (res) =>
+  res.status(403).send({
+    success: false,
+    message: "Your account has been disabled",
+    accountDisabled: true,
+  });
+
+const userTarget = (user) => ({ type: "user", id: user._id, label: user.email });
+
+// failed attempts are recorded against the address that was tried
+const auditLoginFailure = (req, email, reason, user) =>
+  recordAuditEvent(req, {
+    action: "auth.login_failed",
+    actor: user || null,
+    actorEmail: email,
+    target: user && userTarget(user),
+    metadata: { reason },
+  });
+
+// issue the session once every login step has passed
+const sendLoginSuccess = async (req, res, user) => {
+  await clearLoginFailures(user.email);
+  await recordAuditEvent(req, {
+    action: "auth.login",
+    actor: user,
+    target: userTarget(user),
+    metadata: { twoFactor: Boolean(user.twoFactor?.enabled) },
+  });
+  //short lived access token + rotating refresh token
+  const { token, refreshToken } = await createSession(user._id, req);
+  res.status(200).send({
+    success: true,
+    message: "login successfully",
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      address: user.address,
+      role: user.role,
+      roles: getUserRoles(user),
+      permissions: await getUserPermissions(user),
+      emailVerified: user.emailVerified !== false,
+    },
+    token,
+    refreshToken,
+  });
+};
+
 //POST LOGIN
 export const loginController = async (req, res) => {
   try {
@@ -73,43 +173,242 @@ export const loginController = async (req, res) => {
         message: "Invalid email or password",
       });
     }
+    //throttle before touching the password so a locked account can't be guessed
+    const wait = await getLoginRetryAfter(email, req.ip);
+    if (wait > 0) {
+      await auditLoginFailure(req, email, "throttled");
+      return sendThrottled(res, wait);
+    }
     //check user
     const user = await userModel.findOne({ email });
     if (!user) {
-      return res.status(404).send({
-        success: false,
-        message: "Invalid email or password",
-      });
+      await auditLoginFailure(req, email, "unknown_user");
+      return sendInvalidLogin(res, await recordLoginFailure(email, req.ip));
     }
     const match = await comparePassword(password, user.password);
     if (!match) {
-      return res.status(404).send({
+      await auditLoginFailure(req, email, "bad_password", user);
+      return sendInvalidLogin(res, await recordLoginFailure(email, req.ip));
+    }
+    //only reveal the account state to someone who knows the password
+    if (user.disabled) {
+      await auditLoginFailure(req, email, "disabled", user);
+      return sendDisabled(res);
+    }
+    //password alone is not enough once two-factor is on
+    if (user.twoFactor?.enabled) {
+      return res.status(200).send({
+        success: true,
+        twoFactorRequired: true,
+        message: "Enter your authentication code",
+        challengeToken: signUserToken(
+          user._id,
+          "2fa-challenge",
+          user.password,
+          process.env.TWO_FACTOR_CHALLENGE_TTL || "5m"
+        ),
+      });
+    }
+    await sendLoginSuccess(req, res, user);
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error in login",
+      error,
+    });
+  }
+};
+
+//POST LOGIN SECOND STEP
+export const loginTwoFactorController = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).send({
         success: false,
-        message: "Invalid email or password",
+        message: "Challenge token and authentication code are required",
+      });
+    }
+    const userId = getUserTokenSubject(challengeToken);
+    const user = userId ? await userModel.findById(userId) : null;
+    if (
+      !user ||
+      !verifyUserToken(challengeToken, "2fa-challenge", user.password)
+    ) {
+      return res.status(401).send({
+        success: false,
+        message: "Login challenge is invalid or has expired",
       });
     }
-    //token
-    const token = await JWT.sign({ _id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
+    if (user.disabled) {
+      await auditLoginFailure(req, user.email, "disabled", user);
+      return sendDisabled(res);
+    }
+    //codes are guessable too, so they share the password throttle
+    const wait = await getLoginRetryAfter(user.email, req.ip);
+    if (wait > 0) {
+      await auditLoginFailure(req, user.email, "throttled", user);
+      return sendThrottled(res, wait);
+    }
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      await auditLoginFailure(req, user.email, "bad_second_factor", user);
+      const retryAfter = await recordLoginFailure(user.email, req.ip);
+      if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter));
+      }
+      return res.status(401).send({
+        success: false,
+        message: "Invalid authentication code",
+        ...(retryAfter > 0 && { retryAfter }),
+      });
+    }
+    await sendLoginSuccess(req, res, user);
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error in two-factor login",
+      error,
     });
+  }
+};
+
+//refresh access token
+export const refreshTokenController = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).send({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+    const session = await rotateSession(refreshToken, req);
+    if (!session) {
+      return res.status(401).send({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
     res.status(200).send({
       success: true,
-      message: "login successfully",
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        address: user.address,
-        role: user.role,
-      },
-      token,
+      message: "Token refreshed",
+      token: session.token,
+      refreshToken: session.refreshToken,
     });
   } catch (error) {
     console.log(error);
     res.status(500).send({
       success: false,
-      message: "Error in login",
+      message: "Error in token refresh",
+      error,
+    });
+  }
+};
+
+//logout current session
+export const logoutController = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).send({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+    await revokeSessionByToken(refreshToken);
+    res.status(200).send({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error in logout",
+      error,
+    });
+  }
+};
+
+//logout every session of the signed in user
+export const logoutAllController = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id);
+    res.status(200).send({
+      success: true,
+      message: "Logged out of all devices",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error in logout",
+      error,
+    });
+  }
+};
+
+//verify email from the mailed link
+export const verifyEmailController = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).send({
+        success: false,
+        message: "Verification token is required",
+      });
+    }
+    const userId = getUserTokenSubject(token);
+    const user = userId ? await userModel.findById(userId) : null;
+    if (!user || !verifyUserToken(token, EMAIL_VERIFY_PURPOSE, user.email)) {
+      return res.status(400).send({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+    await userModel.findByIdAndUpdate(user._id, { emailVerified: true });
+    res.status(200).send({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while verifying email",
+      error,
+    });
+  }
+};
+
+//send the verification link again
+export const resendVerificationController = async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    if (user.emailVerified !== false) {
+      return res.status(400).send({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+    await sendVerificationEmail(user);
+    res.status(200).send({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while sending verification email",
       error,
     });
   }
@@ -117,29 +416,94 @@ export const loginController = async (req, res) => {
 
 //forgotPasswordController
 
+const RESET_TOKEN_PURPOSE = "password-reset";
+
+// mail a short lived, single use reset link
 export const forgotPasswordController = async (req, res) => {
   try {
-    const { email, answer, newPassword } = req.body;
+    const { email } = req.body;
     if (!email) {
-      res.status(400).send({ message: "Emai is required" });
+      return res.status(400).send({
+        success: false,
+        message: "Email is required",
+      });
     }
-    if (!answer) {
-      res.status(400).send({ message: "answer is required" });
+    //check
+    const user = await userModel.findOne({ email });
+    // same answer either way so the endpoint can't be used to probe for accounts
+    if (user) {
+      const token = signUserToken(
+        user._id,
+        RESET_TOKEN_PURPOSE,
+        user.password,
+        process.env.RESET_TOKEN_TTL || "30m"
+      );
+      const link = clientUrl(`/forgot-password?token=${token}`);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Virtual Vault password",
+        text: `Use the link below to choose a new password. The link expires soon and can only be used once.\n\n${link}`,
+      });
+    }
+    await recordAuditEvent(req, {
+      action: "auth.password_reset_requested",
+      actor: user || null,
+      actorEmail: email,
+      target: user && userTarget(user),
+      metadata: { registered: Boolean(user) },
+    });
+    res.status(200).send({
+      success: true,
+      message: "If that email is registered, a reset link has been sent",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Something went wrong",
+      error,
+    });
+  }
+};
+
+//redeem a reset token
+export const resetPasswordController = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token) {
+      return res.status(400).send({
+        success: false,
+        message: "Reset token is required",
+      });
     }
     if (!newPassword) {
-      res.status(400).send({ message: "New Password is required" });
+      return res.status(400).send({
+        success: false,
+        message: "New Password is required",
+      });
     }
-    //check
-    const user = await userModel.findOne({ email, answer });
-    //validation
-    if (!user) {
-      return res.status(404).send({
+    //the new password has already passed the policy in resetPasswordSchema
+    const userId = getUserTokenSubject(token);
+    const user = userId ? await userModel.findById(userId) : null;
+    // the token is bound to the current password hash, so it only works once
+    if (
+      !user ||
+      !verifyUserToken(token, RESET_TOKEN_PURPOSE, user.password)
+    ) {
+      return res.status(400).send({
         success: false,
-        message: "Wrong Email Or Answer",
+        message: "Reset link is invalid or has expired",
       });
     }
     const hashed = await hashPassword(newPassword);
     await userModel.findByIdAndUpdate(user._id, { password: hashed });
+    // anyone holding the old password may have live sessions
+    await revokeUserSessions(user._id);
+    await recordAuditEvent(req, {
+      action: "auth.password_reset",
+      actor: user,
+      target: userTarget(user),
+    });
     res.status(200).send({
       success: true,
       message: "Password Reset Successfully",
@@ -154,6 +518,14 @@ export const forgotPasswordController = async (req, res) => {
   }
 };
 
+//password rules for the client strength meter
+export const passwordPolicyController = (req, res) => {
+  res.status(200).send({
+    success: true,
+    policy: getPasswordPolicy(),
+  });
+};
+
 //test controller
 export const testController = (req, res) => {
   try {
@@ -169,10 +541,7 @@ export const updateProfileController = async (req, res) => {
   try {
     const { name, email, password, address, phone } = req.body;
     const user = await userModel.findById(req.user._id);
-    //password
-    if (password && password.length < 6) {
-      return res.json({ error: "Passsword is required and 6 character long" });
-    }
+    //a new password has already passed the policy in updateProfileSchema
     const hashedPassword = password ? await hashPassword(password) : undefined;
     const updatedUser = await userModel.findByIdAndUpdate(
       req.user._id,
@@ -240,11 +609,20 @@ export const orderStatusController = async (req, res) => {
   try {
     const { orderId } = req.params;
     const { status } = req.body;
+    const previous = await orderModel.findById(orderId);
     const orders = await orderModel.findByIdAndUpdate(
       orderId,
       { status },
       { new: true }
     );
+    if (orders) {
+      await recordAuditEvent(req, {
+        action: "order.status_updated",
+        target: { type: "order", id: orderId },
+        before: { status: previous?.status },
+        after: { status: orders.status },
+      });
+    }
     res.json(orders);
   } catch (error) {
     console.log(error);
@@ -255,3 +633,32 @@ export const orderStatusController = async (req, res) => {
     });
   }
 };
+
+//unlock an account locked by failed logins
+export const unlockAccountController = async (req, res) => {
+  try {
+    const user = await userModel.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    await unlockAccount(user.email);
+    await recordAuditEvent(req, {
+      action: "user.unlocked",
+      target: userTarget(user),
+    });
+    res.status(200).send({
+      success: true,
+      message: "Account unlocked",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while unlocking account",
+      error,
+    });
+  }
+};
@@ -7,11 +7,26 @@ import {
   getAllOrdersController,
   orderStatusController,
   testController,
+  refreshTokenController,
+  logoutController,
+  logoutAllController,
+  resetPasswordController,
+  unlockAccountController,
+  loginTwoFactorController,
+  verifyEmailController,
+  resendVerificationController,
+  passwordPolicyController,
 } from "./authController.js";
 import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
+import sessionModel from "../models/sessionModel.js";
+import loginAttemptModel from "../models/loginAttemptModel.js";
+import auditEventModel from "../models/auditEventModel.js";
 import * as authHelper from "../helpers/authHelper.js";
+import * as mailHelper from "../helpers/mailHelper.js";
+import * as userTokenHelper from "../helpers/userTokenHelper.js";
 import { hashPassword } from "../helpers/authHelper.js";
+import { generateTotp, generateTotpSecret } from "../helpers/totpHelper.js";
 import JWT from "jsonwebtoken";
 
 /**
@@ -20,7 +35,12 @@ import JWT from "jsonwebtoken";
  * These tests cover the main authentication endpoints:
  * 1. registerController: User registration with validation and duplicate checks
  * 2. loginController: User login with password verification and JWT generation
- * 3. forgotPasswordController: Password reset functionality
+ * 3. forgotPasswordController / resetPasswordController: Mailed reset tokens
+ * 4. unlockAccountController: Admin override for login lockouts
+ * 5. loginTwoFactorController: Second login step for two-factor accounts
+ * 6. verifyEmailController / resendVerificationController: Email verification
+ * 7. passwordPolicyController: Password rules for the client strength meter
+ * 8. Audit events for logins, password resets and order status changes
  *
  * Test Strategy: Communication-based testing using mocks and stubs
  * - Mocks: External dependencies (userModel, authHelper, JWT)
@@ -33,12 +53,19 @@ const createRes = () => {
   res.status = jest.fn().mockReturnValue(res); // Chainable status method
   res.send = jest.fn().mockReturnValue(res); // Chainable send method
   res.json = jest.fn().mockReturnValue(res); // Chainable json method
+  res.set = jest.fn().mockReturnValue(res); // Chainable header setter
   return res;
 };
 
 jest.mock("../models/userModel.js");
 jest.mock("../models/orderModel.js");
+jest.mock("../models/sessionModel.js");
+jest.mock("../models/loginAttemptModel.js");
+jest.mock("../models/roleModel.js");
+jest.mock("../models/auditEventModel.js");
 jest.mock("../helpers/authHelper.js");
+jest.mock("../helpers/mailHelper.js");
+jest.mock("../helpers/userTokenHelper.js");
 
 describe("updateProfileController", () => {
   let req;
@@ -156,30 +183,6 @@ describe("updateProfileController", () => {
     });
   });
 
-  test("should reject update if password is too short", async () => {
-    // Set up request with short password
-    req.body = {
-      password: "short",
-    };
-
-    // Call the controller
-    await updateProfileController(req, res);
-
-    // Assert user was found by ID
-    expect(userModel.findById).toHaveBeenCalledWith("user123");
-
-    // Assert password was not hashed
-    expect(hashPassword).not.toHaveBeenCalled();
-
-    // Assert user was not updated
-    expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
-
-    // Assert error response was sent
-    expect(res.json).toHaveBeenCalledWith({
-      error: "Passsword is required and 6 character long",
-    });
-  });
-
   test("should handle errors during update", async () => {
     // Mock error during update
     userModel.findByIdAndUpdate.mockRejectedValue(new Error("Database error"));
@@ -475,6 +478,9 @@ describe("orderStatusController", () => {
 
     // Mock findByIdAndUpdate to return the updated order
     orderModel.findByIdAndUpdate = jest.fn().mockResolvedValue(updatedOrder);
+    orderModel.findById = jest
+      .fn()
+      .mockResolvedValue({ _id: "order123", status: "Processing" });
   });
 
   test("should update order status successfully", async () => {
@@ -492,6 +498,24 @@ describe("orderStatusController", () => {
     expect(res.json).toHaveBeenCalled();
   });
 
+  test("should record the status change in the audit log", async () => {
+    req.user = { _id: "admin1" };
+
+    await orderStatusController(req, res);
+
+    expect(auditEventModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "order.status_updated",
+        actor: "admin1",
+        target: { type: "order", id: "order123", label: undefined },
+        changes: {
+          before: { status: "Processing" },
+          after: { status: "Completed" },
+        },
+      })
+    );
+  });
+
   test("should handle errors when updating order status fails", async () => {
     // Mock database error during update
     orderModel.findByIdAndUpdate.mockRejectedValue(new Error("Database error"));
@@ -601,30 +625,6 @@ describe("Authentication Controllers", () => {
   });
 
   describe("registerController", () => {
-    /**
-     * Test input validation - missing required name field
-     * Bug Found: Controller should validate all required fields before processing
-     * Test Type: State-based (input validation)
-     */
-    test("should return error when name is missing", async () => {
-      // Missing 'name' field in request body
-      const req = {
-        body: {
-          email: "a@b.com",
-          password: "123456",
-          phone: "1234567890",
-          address: "addr",
-          answer: "ans",
-        },
-      };
-      const res = createRes();
-
-      await registerController(req, res);
-
-      // Verify proper error response for missing name
-      expect(res.send).toHaveBeenCalledWith({ error: "Name is Required" });
-    });
-
     /**
      * Test duplicate user handling
      * Bug Found: System should prevent duplicate email registrations
@@ -638,10 +638,9 @@ describe("Authentication Controllers", () => {
         body: {
           name: "John",
           email: "a@b.com",
-          password: "123456",
+          password: "Secure1pass",
           phone: "1234567890",
           address: "addr",
-          answer: "ans",
         },
       };
       const res = createRes();
@@ -682,10 +681,9 @@ describe("Authentication Controllers", () => {
         body: {
           name: "John",
           email: "a@b.com",
-          password: "123456",
+          password: "Secure1pass",
           phone: "1234567890",
           address: "addr",
-          answer: "ans",
         },
       };
       const res = createRes();
@@ -693,7 +691,14 @@ describe("Authentication Controllers", () => {
       await registerController(req, res);
 
       // Verify password was properly hashed
-      expect(authHelper.hashPassword).toHaveBeenCalledWith("123456");
+      expect(authHelper.hashPassword).toHaveBeenCalledWith("Secure1pass");
+      // Verify the account starts unverified and a verification link is mailed
+      expect(userModel).toHaveBeenCalledWith(
+        expect.objectContaining({ emailVerified: false })
+      );
+      expect(mailHelper.sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({ to: "a@b.com" })
+      );
       // Verify successful registration response
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.send).toHaveBeenCalledWith({
@@ -744,6 +749,15 @@ describe("Authentication Controllers", () => {
         success: false,
         message: "Invalid email or password",
       });
+      // Verify the attempt is audited against the address that was tried
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "auth.login_failed",
+          actor: null,
+          actorEmail: "a@b.com",
+          metadata: { reason: "unknown_user" },
+        })
+      );
     });
 
     /**
@@ -795,14 +809,25 @@ describe("Authentication Controllers", () => {
       jest.spyOn(userModel, "findOne").mockResolvedValue(user);
       jest.spyOn(authHelper, "comparePassword").mockResolvedValue(true);
       jest.spyOn(JWT, "sign").mockReturnValue("mock.jwt.token");
+      sessionModel.create.mockResolvedValue({ _id: "s1" });
 
       const req = { body: { email: "a@b.com", password: "123456" } };
       const res = createRes();
 
       await loginController(req, res);
 
-      // Verify JWT token was generated
-      expect(JWT.sign).toHaveBeenCalled();
+      // Verify JWT token was generated for the new session
+      expect(JWT.sign).toHaveBeenCalledWith(
+        { _id: "u1", sid: "s1" },
+        process.env.JWT_SECRET,
+        { expiresIn: "15m" }
+      );
+      // Verify the refresh token is stored hashed, never in plaintext
+      const stored = sessionModel.create.mock.calls[0][0];
+      const { refreshToken } = res.send.mock.calls[0][0];
+      expect(stored.user).toBe("u1");
+      expect(stored.tokenHash).toHaveLength(64);
+      expect(stored.tokenHash).not.toBe(refreshToken);
       // Verify successful login response (excluding sensitive password field)
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
@@ -815,58 +840,880 @@ describe("Authentication Controllers", () => {
           phone: "1234567890",
           address: "addr",
           role: 0,
+          roles: [],
+          permissions: [],
+          emailVerified: true,
         },
         token: "mock.jwt.token",
+        refreshToken: expect.any(String),
+      });
+      // Verify the account's failure counter is reset
+      expect(loginAttemptModel.deleteOne).toHaveBeenCalledWith({
+        key: "email:a@b.com",
       });
+      // Verify the login is audited
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "auth.login",
+          actor: "u1",
+          actorEmail: "a@b.com",
+          target: { type: "user", id: "u1", label: "a@b.com" },
+          metadata: { twoFactor: false },
+        })
+      );
     });
-  });
 
-  describe("forgotPasswordController", () => {
     /**
-     * Test successful password reset flow
-     * Tests security question verification and password update process
-     * Test Type: Communication-based (database operations and password hashing)
+     * Test lockout after too many failures
+     * Locked accounts are rejected before the password is even checked
+     * Test Type: Communication-based (throttle store lookup)
      */
-    test("should reset password successfully when email and security answer are valid", async () => {
+    test("should return 429 with Retry-After when the account is locked", async () => {
+      loginAttemptModel.findOne.mockResolvedValueOnce({
+        key: "email:a@b.com",
+        failures: 10,
+        lastFailureAt: new Date(),
+      });
+      jest.spyOn(userModel, "findOne");
+
       const req = {
-        body: {
-          email: "user@example.com",
-          answer: "pet", // Security question answer
-          newPassword: "newStrongPass123",
-        },
+        body: { email: "a@b.com", password: "123456" },
+        ip: "10.0.0.1",
       };
       const res = createRes();
 
-      const mockUser = { _id: "user123" };
+      await loginController(req, res);
+
+      expect(userModel.findOne).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith("Retry-After", "900");
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Too many failed login attempts. Please try again later.",
+        retryAfter: 900,
+      });
+    });
+
+    /**
+     * Test failure recording and backoff hint
+     * Once the free attempts are used up the 404 carries the wait time
+     * Test Type: Communication-based (throttle store update)
+     */
+    test("should record the failure and report the backoff on a wrong password", async () => {
+      jest
+        .spyOn(userModel, "findOne")
+        .mockResolvedValue({ _id: "u1", password: "hashed" });
+      jest.spyOn(authHelper, "comparePassword").mockResolvedValue(false);
+      loginAttemptModel.findOneAndUpdate.mockResolvedValueOnce({
+        failures: 3,
+        lastFailureAt: new Date(),
+      });
+
+      const req = { body: { email: "A@b.com", password: "wrong" }, ip: "10.0.0.1" };
+      const res = createRes();
+
+      await loginController(req, res);
+
+      expect(loginAttemptModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: "email:a@b.com" },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: expect.any(Date) } },
+        { upsert: true, new: true }
+      );
+      expect(loginAttemptModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: "ip:10.0.0.1" },
+        expect.any(Object),
+        expect.any(Object)
+      );
+      expect(res.set).toHaveBeenCalledWith("Retry-After", "2");
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Invalid email or password",
+        retryAfter: 2,
+      });
+    });
+  });
+
+  describe("disabled accounts", () => {
+    /**
+     * Test login for an account an admin has disabled
+     * The right password is still refused and no session is created
+     * Test Type: Communication-based (no session store writes)
+     */
+    test("login should return 403 for a disabled account", async () => {
+      jest.spyOn(userModel, "findOne").mockResolvedValue({
+        _id: "u1",
+        email: "a@b.com",
+        password: "hashed",
+        disabled: true,
+      });
+      jest.spyOn(authHelper, "comparePassword").mockResolvedValue(true);
+
+      const res = createRes();
+      await loginController(
+        { body: { email: "a@b.com", password: "123456" } },
+        res
+      );
+
+      expect(sessionModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Your account has been disabled",
+        accountDisabled: true,
+      });
+    });
+
+    test("login should keep the invalid login response for a wrong password", async () => {
+      jest.spyOn(userModel, "findOne").mockResolvedValue({
+        _id: "u1",
+        password: "hashed",
+        disabled: true,
+      });
+      jest.spyOn(authHelper, "comparePassword").mockResolvedValue(false);
+
+      const res = createRes();
+      await loginController(
+        { body: { email: "a@b.com", password: "wrong" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("two-factor login should return 403 for a disabled account", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("u1");
+      userTokenHelper.verifyUserToken.mockReturnValue({ _id: "u1" });
+      userModel.findById = jest.fn().mockResolvedValue({
+        _id: "u1",
+        email: "a@b.com",
+        password: "hashed",
+        disabled: true,
+        twoFactor: { enabled: true, secret: generateTotpSecret() },
+      });
+
+      const res = createRes();
+      await loginTwoFactorController(
+        { body: { challengeToken: "challenge.token", code: "123456" } },
+        res
+      );
+
+      expect(sessionModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe("loginTwoFactorController", () => {
+    const secret = generateTotpSecret();
+    const user = {
+      _id: "u1",
+      name: "John",
+      email: "a@b.com",
+      phone: "1234567890",
+      address: "addr",
+      role: 1,
+      password: "hashed",
+      twoFactor: { enabled: true, secret },
+    };
+
+    /**
+     * Test the first step for two-factor accounts
+     * A correct password only yields a challenge token, never a session
+     * Test Type: Communication-based (token signing, no session store writes)
+     */
+    test("login should return a challenge instead of a session when 2FA is on", async () => {
+      jest.spyOn(userModel, "findOne").mockResolvedValue(user);
+      jest.spyOn(authHelper, "comparePassword").mockResolvedValue(true);
+      userTokenHelper.signUserToken.mockReturnValue("challenge.token");
+
+      const res = createRes();
+      await loginController(
+        { body: { email: "a@b.com", password: "123456" } },
+        res
+      );
+
+      expect(userTokenHelper.signUserToken).toHaveBeenCalledWith(
+        "u1",
+        "2fa-challenge",
+        "hashed",
+        "5m"
+      );
+      expect(sessionModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        twoFactorRequired: true,
+        message: "Enter your authentication code",
+        challengeToken: "challenge.token",
+      });
+    });
+
+    test("should issue a session for a valid challenge and code", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("u1");
+      userTokenHelper.verifyUserToken.mockReturnValue({ _id: "u1" });
+      userModel.findById = jest.fn().mockResolvedValue(user);
+      userModel.findOneAndUpdate = jest.fn().mockResolvedValue(user);
+      sessionModel.create.mockResolvedValue({ _id: "s1" });
+      jest.spyOn(JWT, "sign").mockReturnValue("mock.jwt.token");
+
+      const res = createRes();
+      await loginTwoFactorController(
+        {
+          body: { challengeToken: "challenge.token", code: generateTotp(secret) },
+        },
+        res
+      );
+
+      expect(userTokenHelper.verifyUserToken).toHaveBeenCalledWith(
+        "challenge.token",
+        "2fa-challenge",
+        "hashed"
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          message: "login successfully",
+          token: "mock.jwt.token",
+          refreshToken: expect.any(String),
+        })
+      );
+    });
+
+    test("should reject a wrong code and count it as a failed login", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("u1");
+      userTokenHelper.verifyUserToken.mockReturnValue({ _id: "u1" });
+      userModel.findById = jest.fn().mockResolvedValue(user);
+      userModel.findOneAndUpdate = jest.fn();
+
+      const res = createRes();
+      await loginTwoFactorController(
+        { body: { challengeToken: "challenge.token", recoveryCode: "nope" } },
+        res
+      );
+
+      expect(loginAttemptModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: "email:a@b.com" },
+        expect.any(Object),
+        expect.any(Object)
+      );
+      expect(sessionModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    });
+
+    test("should reject an invalid or expired challenge", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("u1");
+      userTokenHelper.verifyUserToken.mockReturnValue(null);
+      userModel.findById = jest.fn().mockResolvedValue(user);
+
+      const res = createRes();
+      await loginTwoFactorController(
+        { body: { challengeToken: "stale.token", code: "123456" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Login challenge is invalid or has expired",
+      });
+    });
+
+    test("should require a challenge token and a code", async () => {
+      const res = createRes();
+      await loginTwoFactorController({ body: { code: "123456" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Challenge token and authentication code are required",
+      });
+    });
+  });
+
+  describe("verifyEmailController", () => {
+    /**
+     * Test redeeming a verification link
+     * Test Type: Communication-based (token bound to the user's email)
+     */
+    test("should mark the user as verified for a valid token", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("u1");
+      userTokenHelper.verifyUserToken.mockReturnValue({ _id: "u1" });
+      userModel.findById = jest
+        .fn()
+        .mockResolvedValue({ _id: "u1", email: "a@b.com" });
+      userModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+      const res = createRes();
+
+      await verifyEmailController({ body: { token: "verify.token" } }, res);
+
+      expect(userTokenHelper.verifyUserToken).toHaveBeenCalledWith(
+        "verify.token",
+        "email-verify",
+        "a@b.com"
+      );
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith("u1", {
+        emailVerified: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Email verified successfully",
+      });
+    });
+
+    test("should reject an invalid or expired token", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue(null);
+      userModel.findByIdAndUpdate = jest.fn();
+      const res = createRes();
+
+      await verifyEmailController({ body: { token: "garbage" } }, res);
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    });
+
+    test("should require a token", async () => {
+      const res = createRes();
+
+      await verifyEmailController({ body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Verification token is required",
+      });
+    });
+  });
+
+  describe("resendVerificationController", () => {
+    /**
+     * Test resending the verification link
+     * Test Type: Communication-based (mailer)
+     */
+    test("should mail a new link to unverified users", async () => {
+      userModel.findById = jest.fn().mockResolvedValue({
+        _id: "u1",
+        email: "a@b.com",
+        emailVerified: false,
+      });
+      userTokenHelper.signUserToken.mockReturnValue("verify.token");
+      mailHelper.clientUrl.mockImplementation(
+        (path) => `http://client${path}`
+      );
+      const res = createRes();
+
+      await resendVerificationController({ user: { _id: "u1" } }, res);
+
+      expect(userTokenHelper.signUserToken).toHaveBeenCalledWith(
+        "u1",
+        "email-verify",
+        "a@b.com",
+        "24h"
+      );
+      expect(mailHelper.sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "a@b.com",
+          text: expect.stringContaining(
+            "http://client/verify-email?token=verify.token"
+          ),
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should refuse users that are already verified", async () => {
+      userModel.findById = jest
+        .fn()
+        .mockResolvedValue({ _id: "u1", email: "a@b.com", emailVerified: true });
+      const res = createRes();
+
+      await resendVerificationController({ user: { _id: "u1" } }, res);
 
-      // Mock successful user lookup with security answer
-      jest.spyOn(userModel, "findOne").mockResolvedValue(mockUser);
-      // Mock password hashing for new password
+      expect(mailHelper.sendMail).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Email is already verified",
+      });
+    });
+  });
+
+  describe("unlockAccountController", () => {
+    /**
+     * Test admin unlock
+     * Clears the account counter so the user can log in immediately
+     * Test Type: Communication-based (throttle store delete)
+     */
+    test("should clear the failure counter of the user", async () => {
+      userModel.findById = jest
+        .fn()
+        .mockResolvedValue({ _id: "u1", email: "A@b.com" });
+      const res = createRes();
+
+      await unlockAccountController({ params: { userId: "u1" } }, res);
+
+      expect(loginAttemptModel.deleteOne).toHaveBeenCalledWith({
+        key: "email:a@b.com",
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Account unlocked",
+      });
+    });
+
+    test("should return 404 for an unknown user", async () => {
+      userModel.findById = jest.fn().mockResolvedValue(null);
+      const res = createRes();
+
+      await unlockAccountController({ params: { userId: "nope" } }, res);
+
+      expect(loginAttemptModel.deleteOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "User not found",
+      });
+    });
+
+    test("should return 500 when the lookup fails", async () => {
+      userModel.findById = jest.fn().mockRejectedValue(new Error("DB down"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      const res = createRes();
+
+      await unlockAccountController({ params: { userId: "u1" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          message: "Error while unlocking account",
+        })
+      );
+    });
+  });
+
+  describe("refreshTokenController", () => {
+    /**
+     * Test input validation for the refresh endpoint
+     * Test Type: State-based (input validation)
+     */
+    test("should return 400 when refresh token is missing", async () => {
+      const res = createRes();
+
+      await refreshTokenController({ body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(sessionModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test successful rotation: the old token is claimed and a new pair issued
+     * Test Type: Communication-based (session store interaction)
+     */
+    test("should rotate a valid refresh token", async () => {
+      sessionModel.findOneAndUpdate.mockResolvedValue({
+        _id: "s1",
+        user: "u1",
+        family: "fam1",
+      });
+      sessionModel.create.mockResolvedValue({ _id: "s2" });
+      jest.spyOn(JWT, "sign").mockReturnValue("new.jwt.token");
+
+      const req = { body: { refreshToken: "old-refresh" }, headers: {} };
+      const res = createRes();
+
+      await refreshTokenController(req, res);
+
+      // Verify the new token continues the same session family
+      expect(sessionModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user: "u1", family: "fam1" })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Token refreshed",
+        token: "new.jwt.token",
+        refreshToken: expect.any(String),
+      });
+      expect(res.send.mock.calls[0][0].refreshToken).not.toBe("old-refresh");
+    });
+
+    /**
+     * Test reuse detection: a token that was already rotated revokes its family
+     * Test Type: Communication-based (session store interaction)
+     */
+    test("should revoke the session family when a rotated token is reused", async () => {
+      sessionModel.findOneAndUpdate.mockResolvedValue(null);
+      sessionModel.findOne.mockResolvedValue({
+        _id: "s1",
+        user: "u1",
+        family: "fam1",
+        replacedAt: new Date(),
+        revokedAt: null,
+      });
+      sessionModel.updateMany.mockResolvedValue({});
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const res = createRes();
+
+      await refreshTokenController({ body: { refreshToken: "spent" } }, res);
+
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { family: "fam1", revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(sessionModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    /**
+     * Test unknown tokens are rejected without touching other sessions
+     * Test Type: Communication-based (session store interaction)
+     */
+    test("should return 401 for an unknown refresh token", async () => {
+      sessionModel.findOneAndUpdate.mockResolvedValue(null);
+      sessionModel.findOne.mockResolvedValue(null);
+
+      const res = createRes();
+
+      await refreshTokenController({ body: { refreshToken: "nope" } }, res);
+
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    });
+
+    test("should return 500 when the session store fails", async () => {
+      sessionModel.findOneAndUpdate.mockRejectedValue(new Error("db down"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const res = createRes();
+
+      await refreshTokenController({ body: { refreshToken: "x" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("logoutController", () => {
+    test("should return 400 when refresh token is missing", async () => {
+      const res = createRes();
+
+      await logoutController({ body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    /**
+     * Test logout revokes every token in the caller's session family
+     * Test Type: Communication-based (session store interaction)
+     */
+    test("should revoke the session family of the refresh token", async () => {
+      sessionModel.findOne.mockResolvedValue({ _id: "s1", family: "fam1" });
+      sessionModel.updateMany.mockResolvedValue({});
+
+      const res = createRes();
+
+      await logoutController({ body: { refreshToken: "r1" } }, res);
+
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { family: "fam1", revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should succeed even when the session is already gone", async () => {
+      sessionModel.findOne.mockResolvedValue(null);
+
+      const res = createRes();
+
+      await logoutController({ body: { refreshToken: "r1" } }, res);
+
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return 500 when the session store fails", async () => {
+      sessionModel.findOne.mockRejectedValue(new Error("db down"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const res = createRes();
+
+      await logoutController({ body: { refreshToken: "r1" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("logoutAllController", () => {
+    test("should revoke every session of the signed in user", async () => {
+      sessionModel.updateMany.mockResolvedValue({});
+
+      const res = createRes();
+
+      await logoutAllController({ user: { _id: "u1" } }, res);
+
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { user: "u1", revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return 500 when the session store fails", async () => {
+      sessionModel.updateMany.mockRejectedValue(new Error("db down"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const res = createRes();
+
+      await logoutAllController({ user: { _id: "u1" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("forgotPasswordController", () => {
+    /**
+     * Test input validation stops the request
+     * Bug Found: validation responses used to fall through to the reset logic
+     * Test Type: State-based (input validation)
+     */
+    test("should return 400 and stop when email is missing", async () => {
+      const res = createRes();
+
+      await forgotPasswordController({ body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(userModel.findOne).not.toHaveBeenCalled();
+      expect(mailHelper.sendMail).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test a reset token bound to the current password hash is mailed
+     * Test Type: Communication-based (token signing and mail delivery)
+     */
+    test("should mail a reset link bound to the current password", async () => {
+      jest.spyOn(userModel, "findOne").mockResolvedValue({
+        _id: "user123",
+        email: "user@example.com",
+        password: "current_hash",
+      });
+      userTokenHelper.signUserToken.mockReturnValue("reset.token");
+      mailHelper.clientUrl.mockImplementation((p) => `http://client${p}`);
+
+      const res = createRes();
+
+      await forgotPasswordController(
+        { body: { email: "user@example.com" } },
+        res
+      );
+
+      expect(userTokenHelper.signUserToken).toHaveBeenCalledWith(
+        "user123",
+        "password-reset",
+        "current_hash",
+        "30m"
+      );
+      expect(mailHelper.sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "user@example.com",
+          text: expect.stringContaining(
+            "http://client/forgot-password?token=reset.token"
+          ),
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "auth.password_reset_requested",
+          actor: "user123",
+          metadata: { registered: true },
+        })
+      );
+    });
+
+    /**
+     * Test unknown emails get the same response and no mail
+     * Test Type: Communication-based (account enumeration protection)
+     */
+    test("should answer unknown emails the same way without mailing", async () => {
+      jest.spyOn(userModel, "findOne").mockResolvedValue(null);
+
+      const res = createRes();
+
+      await forgotPasswordController({ body: { email: "x@y.com" } }, res);
+
+      expect(mailHelper.sendMail).not.toHaveBeenCalled();
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "auth.password_reset_requested",
+          actor: null,
+          actorEmail: "x@y.com",
+          metadata: { registered: false },
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "If that email is registered, a reset link has been sent",
+      });
+    });
+
+    test("should return 500 when the mail cannot be sent", async () => {
+      jest
+        .spyOn(userModel, "findOne")
+        .mockResolvedValue({ _id: "u1", email: "a@b.com", password: "h" });
+      mailHelper.sendMail.mockRejectedValue(new Error("outbox unwritable"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const res = createRes();
+
+      await forgotPasswordController({ body: { email: "a@b.com" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("passwordPolicyController", () => {
+    test("should return the active password rules", () => {
+      const res = createRes();
+
+      passwordPolicyController({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { policy } = res.send.mock.calls[0][0];
+      expect(policy.minLength).toBe(8);
+      expect(policy.rules.map((r) => r.rule)).toEqual([
+        "minLength",
+        "maxLength",
+        "lowercase",
+        "number",
+      ]);
+    });
+  });
+
+  describe("resetPasswordController", () => {
+    test.each([
+      [{ newPassword: "newStrongPass123" }, "Reset token is required"],
+      [{ token: "reset.token" }, "New Password is required"],
+    ])("should return 400 for incomplete body %j", async (body, message) => {
+      const res = createRes();
+
+      await resetPasswordController({ body }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test successful redemption of a reset token
+     * Test Type: Communication-based (token verification, hashing and update)
+     */
+    test("should reset password and revoke sessions for a valid token", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("user123");
+      jest
+        .spyOn(userModel, "findById")
+        .mockResolvedValue({ _id: "user123", password: "current_hash" });
+      userTokenHelper.verifyUserToken.mockReturnValue({ _id: "user123" });
       jest
         .spyOn(authHelper, "hashPassword")
         .mockResolvedValue("hashed_new_password");
-      // Mock database update operation
       jest.spyOn(userModel, "findByIdAndUpdate").mockResolvedValue({});
+      sessionModel.updateMany.mockResolvedValue({});
 
-      await forgotPasswordController(req, res);
+      const res = createRes();
 
-      // Verify user was found using email AND security answer
-      expect(userModel.findOne).toHaveBeenCalledWith({
-        email: "user@example.com",
-        answer: "pet",
-      });
-      // Verify new password was hashed before storage
+      await resetPasswordController(
+        { body: { token: "reset.token", newPassword: "newStrongPass123" } },
+        res
+      );
+
+      // Verify the token is checked against the password hash it was bound to
+      expect(userTokenHelper.verifyUserToken).toHaveBeenCalledWith(
+        "reset.token",
+        "password-reset",
+        "current_hash"
+      );
       expect(authHelper.hashPassword).toHaveBeenCalledWith("newStrongPass123");
-      // Verify password was updated in database
       expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith("user123", {
         password: "hashed_new_password",
       });
-      // Verify success response
+      // Verify existing sessions are logged out
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { user: "user123", revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
         success: true,
         message: "Password Reset Successfully",
       });
     });
+
+    test("should reject a token that fails verification", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("user123");
+      jest
+        .spyOn(userModel, "findById")
+        .mockResolvedValue({ _id: "user123", password: "changed_hash" });
+      userTokenHelper.verifyUserToken.mockReturnValue(null);
+
+      const res = createRes();
+
+      await resetPasswordController(
+        { body: { token: "used.token", newPassword: "newStrongPass123" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should reject a malformed token without a user lookup", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue(null);
+      jest.spyOn(userModel, "findById");
+
+      const res = createRes();
+
+      await resetPasswordController(
+        { body: { token: "garbage", newPassword: "newStrongPass123" } },
+        res
+      );
+
+      expect(userModel.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("should return 500 when the update fails", async () => {
+      userTokenHelper.getUserTokenSubject.mockReturnValue("user123");
+      jest
+        .spyOn(userModel, "findById")
+        .mockRejectedValue(new Error("db down"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const res = createRes();
+
+      await resetPasswordController(
+        { body: { token: "t", newPassword: "newStrongPass123" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
   });
 });
@@ -1,10 +1,50 @@
 import categoryModel from "../models/categoryModel.js";
-import slugify from "slugify";
+import productModel from "../models/productModel.js";
+import { recordAuditEvent } from "../helpers/auditHelper.js";
+import {
+  UNCATEGORIZED,
+  categoryTree,
+  childAncestors,
+  detachCategory,
+  isInSubtree,
+  moveDescendants,
+  renameInDescendants,
+  uncategorized,
+} from "../helpers/categoryHelper.js";
+import { withTransaction } from "../helpers/transactionHelper.js";
+import { readAttributes } from "../helpers/attributeHelper.js";
+import {
+  validationError,
+  validationStatus,
+} from "../middlewares/validationMiddleware.js";
+import {
+  currentSlug,
+  slugFields,
+  toSlug,
+  uniqueSlug,
+} from "../helpers/slugHelper.js";
+
+const categoryTarget = (category) => ({
+  type: "category",
+  id: category._id,
+  label: category.name,
+});
+
+const parentNotFound = {
+  success: false,
+  message: "Parent category not found",
+};
+
+//the parent's name, or null at the top level
+const parentName = (category) => category?.ancestors?.at(-1)?.name ?? null;
+
 export const createCategoryController = async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) {
-      return res.status(401).send({ message: "Name is required" });
+    //name and parent are checked by createCategorySchema
+    const { name, parent: parentId } = req.body;
+    const { fields, errors } = readAttributes(req.body);
+    if (errors.length) {
+      return res.status(validationStatus(errors)).send(validationError(errors));
     }
     const existingCategory = await categoryModel.findOne({ name });
     if (existingCategory) {
@@ -13,10 +53,22 @@ export const createCategoryController = async (req, res) => {
         message: "Category Already Exisits",
       });
     }
+    const parent = parentId ? await categoryModel.findById(parentId) : null;
+    if (parentId && !parent) {
+      return res.status(404).send(parentNotFound);
+    }
     const category = await new categoryModel({
       name,
-      slug: slugify(name),
+      slug: await uniqueSlug(categoryModel, toSlug(name)),
+      parentCategory: parent?._id ?? null,
+      ancestors: childAncestors(parent),
+      ...fields,
     }).save();
+    await recordAuditEvent(req, {
+      action: "category.created",
+      target: categoryTarget(category),
+      after: { name: category.name, slug: category.slug },
+    });
     res.status(201).send({
       success: true,
       message: "new category created",
@@ -37,11 +89,26 @@ export const updateCategoryController = async (req, res) => {
   try {
     const { name } = req.body;
     const { id } = req.params;
+    //attributes left out keep the saved ones
+    const { fields, errors } = readAttributes(req.body);
+    if (errors.length) {
+      return res.status(validationStatus(errors)).send(validationError(errors));
+    }
+    const previous = await categoryModel.findById(id);
     const category = await categoryModel.findByIdAndUpdate(
       id,
-      { name, slug: slugify(name) },
+      { name, ...fields, ...(await slugFields(categoryModel, name, previous)) },
       { new: true }
     );
+    if (category) {
+      await renameInDescendants(category);
+      await recordAuditEvent(req, {
+        action: "category.updated",
+        target: categoryTarget(category),
+        before: { name: previous?.name, slug: previous?.slug },
+        after: { name: category.name, slug: category.slug },
+      });
+    }
     res.status(200).send({
       success: true,
       messsage: "Category Updated Successfully",
@@ -76,10 +143,89 @@ export const categoryController = async (req, res) => {
   }
 };
 
+// all categories nested under their parents
+export const categoryTreeController = async (req, res) => {
+  try {
+    const categories = await categoryModel.find({}).lean();
+    res.status(200).send({
+      success: true,
+      message: "Category Tree",
+      tree: categoryTree(categories),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      error,
+      message: "Error while getting category tree",
+    });
+  }
+};
+
+//move a category, with everything below it, under another parent
+export const moveCategoryController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parent: parentId } = req.body;
+    const category = await categoryModel.findById(id);
+    if (!category) {
+      return res.status(404).send({
+        success: false,
+        message: "Category not found",
+      });
+    }
+    const parent = parentId ? await categoryModel.findById(parentId) : null;
+    if (parentId && !parent) {
+      return res.status(404).send(parentNotFound);
+    }
+    if (parent && isInSubtree(category, parent)) {
+      return res.status(409).send({
+        success: false,
+        error: `${category.name} can't be moved under itself or one of its subcategories`,
+      });
+    }
+    const previous = parentName(category);
+    const ancestors = childAncestors(parent);
+    const moved = await categoryModel.findByIdAndUpdate(
+      id,
+      { parentCategory: parent?._id ?? null, ancestors },
+      { new: true }
+    );
+    await moveDescendants(moved, ancestors);
+    await recordAuditEvent(req, {
+      action: "category.moved",
+      target: categoryTarget(moved),
+      before: { parent: previous },
+      after: { parent: parentName(moved) },
+    });
+    res.status(200).send({
+      success: true,
+      message: "Category Moved Successfully",
+      category: moved,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      error,
+      message: "Error while moving category",
+    });
+  }
+};
+
 // single category
 export const singleCategoryController = async (req, res) => {
   try {
     const category = await categoryModel.findOne({ slug: req.params.slug });
+    const redirect =
+      !category && (await currentSlug(categoryModel, req.params.slug));
+    if (redirect) {
+      return res.status(301).send({
+        success: false,
+        message: "Category has moved",
+        redirect,
+      });
+    }
     res.status(200).send({
       success: true,
       message: "Get SIngle Category SUccessfully",
@@ -95,14 +241,73 @@ export const singleCategoryController = async (req, res) => {
   }
 };
 
-//delete category
+//delete category. Products still in it are refused with a 409 unless
+//?moveTo names the category they go to, or ?force=true puts them in
+//Uncategorized; subcategories move up to the deleted category's parent.
 export const deleteCategoryController = async (req, res) => {
   try {
     const { id } = req.params;
-    await categoryModel.findByIdAndDelete(id);
+    const { moveTo, force } = req.query || {};
+    const category = await categoryModel.findById(id);
+    if (!category) {
+      return res.status(404).send({
+        success: false,
+        message: "Category not found",
+      });
+    }
+    const products = await productModel.countDocuments({ category: id });
+    const target =
+      products && moveTo ? await categoryModel.findById(moveTo) : null;
+    if (products && moveTo && !target) {
+      return res.status(404).send({
+        success: false,
+        message: "Target category not found",
+      });
+    }
+    const forced = ["true", "1"].includes(force);
+    if (products && !target && !forced) {
+      return res.status(409).send({
+        success: false,
+        error: `${category.name} still has ${products} product${
+          products === 1 ? "" : "s"
+        }`,
+        products,
+      });
+    }
+    const into = target ? target.slug : UNCATEGORIZED.slug;
+    if (products && into === category.slug) {
+      return res.status(409).send({
+        success: false,
+        error: "Products can't be moved to the category being deleted",
+        products,
+      });
+    }
+    //products, subcategories and the category change together or not at all
+    const movedTo = await withTransaction(async (session) => {
+      const destination = products
+        ? target || (await uncategorized(session))
+        : null;
+      if (destination) {
+        await productModel.updateMany(
+          { category: category._id },
+          { $set: { category: destination._id } },
+          { session }
+        );
+      }
+      await detachCategory(category, session);
+      await categoryModel.findByIdAndDelete(id, { session });
+      return destination;
+    });
+    await recordAuditEvent(req, {
+      action: "category.deleted",
+      target: categoryTarget(category),
+      before: { name: category.name, slug: category.slug },
+      after: movedTo ? { productsMovedTo: movedTo.name } : undefined,
+    });
     res.status(200).send({
       success: true,
       message: "Categry Deleted Successfully",
+      ...(movedTo && { products, movedTo }),
     });
   } catch (error) {
     console.log(error);
@@ -112,4 +317,4 @@ export const deleteCategoryController = async (req, res) => {
       error,
     });
   }
-};
\ No newline at end of file
+};
@@ -1,9 +1,16 @@
-import { createCategoryController, updateCategoryController, deleteCategoryController, categoryController, singleCategoryController } from "./categoryController.js";
+import { createCategoryController, updateCategoryController, deleteCategoryController, categoryController, singleCategoryController, categoryTreeController, moveCategoryController } from "./categoryController.js";
 import categoryModel from "../models/categoryModel.js";
+import productModel from "../models/productModel.js";
+import auditEventModel from "../models/auditEventModel.js";
 import slugify from "slugify";
 
 jest.mock("../models/categoryModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/auditEventModel.js");
 jest.mock("slugify");
+jest.mock("../helpers/transactionHelper.js", () => ({
+  withTransaction: jest.fn((work) => work("session")),
+}));
 
 const createRes = () => {
   const res = {};
@@ -18,16 +25,6 @@ describe("categoryController", () => {
   });
 
   describe("createCategoryController", () => {
-    test("should return 401 when name is missing", async () => {
-      const req = { body: {} };
-      const res = createRes();
-
-      await createCategoryController(req, res);
-
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.send).toHaveBeenCalledWith({ message: "Name is required" });
-    });
-
     test("should return 200 when category already exists", async () => {
       categoryModel.findOne.mockResolvedValue({ name: "Test" });
 
@@ -64,6 +61,119 @@ describe("categoryController", () => {
         message: "new category created",
         category: { name: "Test", slug: "test-slug" },
       });
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "category.created",
+          changes: { before: null, after: { name: "Test", slug: "test-slug" } },
+        })
+      );
+    });
+
+    test("should save the category's attributes", async () => {
+      categoryModel.findOne.mockResolvedValue(null);
+      slugify.mockReturnValue("laptops");
+      categoryModel.prototype.save = jest.fn().mockResolvedValue({});
+
+      const req = {
+        body: {
+          name: "Laptops",
+          attributes: [
+            { key: "ram", label: "RAM", type: "number", unit: "GB" },
+            { key: "panel", label: "Panel", type: "enum", options: ["IPS"] },
+          ],
+        },
+      };
+      await createCategoryController(req, createRes());
+
+      expect(categoryModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          attributes: [
+            {
+              key: "ram",
+              label: "RAM",
+              type: "number",
+              unit: "GB",
+              required: false,
+            },
+            {
+              key: "panel",
+              label: "Panel",
+              type: "enum",
+              options: ["IPS"],
+              required: false,
+            },
+          ],
+        })
+      );
+    });
+
+    test("should refuse invalid attributes", async () => {
+      const req = {
+        body: {
+          name: "Laptops",
+          attributes: [{ key: "panel", label: "Panel", type: "enum" }],
+        },
+      };
+      const res = createRes();
+
+      await createCategoryController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          message: "Attribute 1 needs the values to choose from",
+        })
+      );
+      expect(categoryModel.findOne).not.toHaveBeenCalled();
+    });
+
+    test("should store the parent's path on a subcategory", async () => {
+      categoryModel.findOne.mockResolvedValue(null);
+      categoryModel.findById.mockResolvedValueOnce({
+        _id: "c2",
+        name: "Lighting",
+        slug: "lighting",
+        ancestors: [{ _id: "c1", name: "Home", slug: "home" }],
+      });
+      slugify.mockReturnValue("lamps");
+      categoryModel.prototype.save = jest.fn().mockResolvedValue({
+        name: "Lamps",
+        slug: "lamps",
+      });
+
+      const req = { body: { name: "Lamps", parent: "c2" } };
+      const res = createRes();
+
+      await createCategoryController(req, res);
+
+      expect(categoryModel).toHaveBeenCalledWith({
+        name: "Lamps",
+        slug: "lamps",
+        parentCategory: "c2",
+        ancestors: [
+          { _id: "c1", name: "Home", slug: "home" },
+          { _id: "c2", name: "Lighting", slug: "lighting" },
+        ],
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("should return 404 for an unknown parent", async () => {
+      categoryModel.findOne.mockResolvedValue(null);
+      categoryModel.findById.mockResolvedValueOnce(null);
+
+      const req = { body: { name: "Lamps", parent: "missing" } };
+      const res = createRes();
+
+      await createCategoryController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Parent category not found",
+      });
+      expect(categoryModel.prototype.save).not.toHaveBeenCalled();
     });
 
     test("should handle errors and return 500 in createCategoryController", async () => {
@@ -111,6 +221,112 @@ describe("categoryController", () => {
       });
     });
 
+    test("should audit the renamed fields", async () => {
+      slugify.mockImplementation((name) => `${name.toLowerCase()}-slug`);
+      categoryModel.findById.mockResolvedValueOnce({
+        _id: "123",
+        name: "Old",
+        slug: "old-slug",
+      });
+      categoryModel.findByIdAndUpdate.mockResolvedValueOnce({
+        _id: "123",
+        name: "Updated",
+        slug: "updated-slug",
+      });
+
+      const req = {
+        params: { id: "123" },
+        body: { name: "Updated" },
+        user: { _id: "admin1" },
+        ip: "10.0.0.1",
+      };
+      await updateCategoryController(req, createRes());
+
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "category.updated",
+          actor: "admin1",
+          ip: "10.0.0.1",
+          target: { type: "category", id: "123", label: "Updated" },
+          changes: {
+            before: { name: "Old", slug: "old-slug" },
+            after: { name: "Updated", slug: "updated-slug" },
+          },
+        })
+      );
+    });
+
+    test("should retire the old slug on rename", async () => {
+      slugify.mockImplementation((name) => `${name.toLowerCase()}-slug`);
+      categoryModel.findById.mockResolvedValueOnce({
+        _id: "123",
+        name: "Old",
+        slug: "old-slug",
+      });
+      categoryModel.exists
+        .mockResolvedValueOnce({ _id: "456" })
+        .mockResolvedValueOnce(null);
+
+      const req = { params: { id: "123" }, body: { name: "Updated" } };
+      await updateCategoryController(req, createRes());
+
+      expect(categoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "123",
+        {
+          name: "Updated",
+          slug: "updated-slug-2",
+          slugHistory: ["old-slug"],
+        },
+        { new: true }
+      );
+    });
+
+    test("should replace the attributes when they are sent", async () => {
+      categoryModel.findById.mockResolvedValueOnce({
+        _id: "123",
+        name: "Same",
+        slug: "same",
+      });
+
+      const req = {
+        params: { id: "123" },
+        body: {
+          name: "Same",
+          attributes: '[{"key":"author","label":"Author","type":"text"}]',
+        },
+      };
+      await updateCategoryController(req, createRes());
+
+      expect(categoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "123",
+        {
+          name: "Same",
+          attributes: [
+            { key: "author", label: "Author", type: "text", required: false },
+          ],
+        },
+        { new: true }
+      );
+    });
+
+    test("should keep the slug while the name is unchanged", async () => {
+      categoryModel.findById.mockResolvedValueOnce({
+        _id: "123",
+        name: "Same",
+        slug: "same",
+      });
+
+      const req = { params: { id: "123" }, body: { name: "Same" } };
+      await updateCategoryController(req, createRes());
+
+      expect(categoryModel.exists).not.toHaveBeenCalled();
+      expect(categoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "123",
+        { name: "Same" },
+        { new: true }
+      );
+    });
+
     test("should handle errors and return 500", async () => {
       categoryModel.findByIdAndUpdate.mockRejectedValue(new Error("Update error"));
 
@@ -128,24 +344,321 @@ describe("categoryController", () => {
     });
   });
 
+  describe("moveCategoryController", () => {
+    const home = { _id: "c1", name: "Home", slug: "home", ancestors: [] };
+    const lighting = {
+      _id: "c2",
+      name: "Lighting",
+      slug: "lighting",
+      ancestors: [{ _id: "c1", name: "Home", slug: "home" }],
+    };
+    const garden = { _id: "c5", name: "Garden", slug: "garden", ancestors: [] };
+
+    const mockDescendants = (descendants) => {
+      categoryModel.find.mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue(descendants) }),
+      });
+    };
+
+    test("should move the category and its descendants under the new parent", async () => {
+      const moved = {
+        ...lighting,
+        ancestors: [{ _id: "c5", name: "Garden", slug: "garden" }],
+      };
+      categoryModel.findById
+        .mockResolvedValueOnce(lighting)
+        .mockResolvedValueOnce(garden);
+      categoryModel.findByIdAndUpdate.mockResolvedValueOnce(moved);
+      mockDescendants([{ _id: "c3", ancestors: [...lighting.ancestors, lighting] }]);
+
+      const req = { params: { id: "c2" }, body: { parent: "c5" } };
+      const res = createRes();
+
+      await moveCategoryController(req, res);
+
+      expect(categoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "c2",
+        {
+          parentCategory: "c5",
+          ancestors: [{ _id: "c5", name: "Garden", slug: "garden" }],
+        },
+        { new: true }
+      );
+      expect(categoryModel.bulkWrite).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Category Moved Successfully",
+        category: moved,
+      });
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "category.moved",
+          changes: { before: { parent: "Home" }, after: { parent: "Garden" } },
+        })
+      );
+    });
+
+    test("should move to the top level without a parent", async () => {
+      categoryModel.findById.mockResolvedValueOnce(lighting);
+      categoryModel.findByIdAndUpdate.mockResolvedValueOnce({
+        ...lighting,
+        ancestors: [],
+      });
+      mockDescendants([]);
+
+      const res = createRes();
+      await moveCategoryController({ params: { id: "c2" }, body: {} }, res);
+
+      expect(categoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "c2",
+        { parentCategory: null, ancestors: [] },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should refuse to move a category below itself", async () => {
+      categoryModel.findById
+        .mockResolvedValueOnce(home)
+        .mockResolvedValueOnce(lighting);
+
+      const res = createRes();
+      await moveCategoryController(
+        { params: { id: "c1" }, body: { parent: "c2" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        error: "Home can't be moved under itself or one of its subcategories",
+      });
+      expect(categoryModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 for an unknown category or parent", async () => {
+      categoryModel.findById.mockResolvedValueOnce(null);
+      const res = createRes();
+      await moveCategoryController({ params: { id: "x" }, body: {} }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Category not found",
+      });
+
+      categoryModel.findById
+        .mockResolvedValueOnce(lighting)
+        .mockResolvedValueOnce(null);
+      const again = createRes();
+      await moveCategoryController(
+        { params: { id: "c2" }, body: { parent: "x" } },
+        again
+      );
+      expect(again.status).toHaveBeenCalledWith(404);
+      expect(again.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Parent category not found",
+      });
+    });
+
+    test("should handle errors and return 500", async () => {
+      categoryModel.findById.mockRejectedValueOnce(new Error("Move error"));
+
+      const res = createRes();
+      await moveCategoryController({ params: { id: "c2" }, body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        error: expect.any(Error),
+        message: "Error while moving category",
+      });
+    });
+  });
+
   describe("deleteCategoryController", () => {
-    test("should delete category and return 200", async () => {
-      categoryModel.findByIdAndDelete.mockResolvedValue({});
+    const books = { _id: "123", name: "Books", slug: "books", parentCategory: "9" };
+
+    test("should delete an empty category and return 200", async () => {
+      categoryModel.findById.mockResolvedValueOnce(books);
+      productModel.countDocuments.mockResolvedValueOnce(0);
 
       const req = { params: { id: "123" } };
       const res = createRes();
 
       await deleteCategoryController(req, res);
 
-      expect(categoryModel.findByIdAndDelete).toHaveBeenCalledWith("123");
+      expect(categoryModel.findByIdAndDelete).toHaveBeenCalledWith("123", { session: "session" });
+      expect(productModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Categry Deleted Successfully",
+      });
+    });
+
+    test("should move subcategories up to the deleted category's parent", async () => {
+      categoryModel.findById.mockResolvedValueOnce(books);
+      productModel.countDocuments.mockResolvedValueOnce(0);
+
+      await deleteCategoryController({ params: { id: "123" } }, createRes());
+
+      expect(categoryModel.updateMany).toHaveBeenCalledWith(
+        { parentCategory: "123" },
+        { $set: { parentCategory: "9" } },
+        { session: "session" }
+      );
+      expect(categoryModel.updateMany).toHaveBeenCalledWith(
+        { "ancestors._id": "123" },
+        { $pull: { ancestors: { _id: "123" } } },
+        { session: "session" }
+      );
+    });
+
+    test("should audit the deleted category", async () => {
+      categoryModel.findById.mockResolvedValueOnce(books);
+      productModel.countDocuments.mockResolvedValueOnce(0);
+
+      await deleteCategoryController({ params: { id: "123" } }, createRes());
+
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "category.deleted",
+          target: { type: "category", id: "123", label: "Books" },
+          changes: { before: { name: "Books", slug: "books" }, after: null },
+        })
+      );
+    });
+
+    test("should refuse to delete a category that still has products", async () => {
+      categoryModel.findById.mockResolvedValueOnce(books);
+      productModel.countDocuments.mockResolvedValueOnce(3);
+
+      const res = createRes();
+      await deleteCategoryController({ params: { id: "123" } }, res);
+
+      expect(productModel.countDocuments).toHaveBeenCalledWith({ category: "123" });
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        error: "Books still has 3 products",
+        products: 3,
+      });
+      expect(categoryModel.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    test("should move the products to the named category", async () => {
+      const novels = { _id: "456", name: "Novels", slug: "novels" };
+      categoryModel.findById
+        .mockResolvedValueOnce(books)
+        .mockResolvedValueOnce(novels);
+      productModel.countDocuments.mockResolvedValueOnce(1);
+
+      const res = createRes();
+      await deleteCategoryController(
+        { params: { id: "123" }, query: { moveTo: "456" } },
+        res
+      );
+
+      expect(productModel.updateMany).toHaveBeenCalledWith(
+        { category: "123" },
+        { $set: { category: "456" } },
+        { session: "session" }
+      );
+      expect(categoryModel.findByIdAndDelete).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
         success: true,
         message: "Categry Deleted Successfully",
+        products: 1,
+        movedTo: novels,
+      });
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          changes: {
+            before: { name: "Books", slug: "books" },
+            after: { productsMovedTo: "Novels" },
+          },
+        })
+      );
+    });
+
+    test("should move the products to Uncategorized when forced", async () => {
+      const bucket = { _id: "777", name: "Uncategorized", slug: "uncategorized" };
+      categoryModel.findById.mockResolvedValueOnce(books);
+      categoryModel.findOneAndUpdate.mockResolvedValueOnce(bucket);
+      productModel.countDocuments.mockResolvedValueOnce(2);
+
+      const res = createRes();
+      await deleteCategoryController(
+        { params: { id: "123" }, query: { force: "true" } },
+        res
+      );
+
+      expect(categoryModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { slug: "uncategorized" },
+        expect.objectContaining({ $setOnInsert: expect.objectContaining({ name: "Uncategorized" }) }),
+        { upsert: true, new: true, session: "session" }
+      );
+      expect(productModel.updateMany).toHaveBeenCalledWith(
+        { category: "123" },
+        { $set: { category: "777" } },
+        { session: "session" }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should refuse to move the products into the category being deleted", async () => {
+      categoryModel.findById
+        .mockResolvedValueOnce(books)
+        .mockResolvedValueOnce(books);
+      productModel.countDocuments.mockResolvedValueOnce(2);
+
+      const res = createRes();
+      await deleteCategoryController(
+        { params: { id: "123" }, query: { moveTo: "123" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        error: "Products can't be moved to the category being deleted",
+        products: 2,
+      });
+    });
+
+    test("should return 404 for an unknown category or target", async () => {
+      categoryModel.findById.mockResolvedValueOnce(null);
+      const res = createRes();
+      await deleteCategoryController({ params: { id: "123" } }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Category not found",
       });
+
+      categoryModel.findById
+        .mockResolvedValueOnce(books)
+        .mockResolvedValueOnce(null);
+      productModel.countDocuments.mockResolvedValueOnce(1);
+      const again = createRes();
+      await deleteCategoryController(
+        { params: { id: "123" }, query: { moveTo: "456" } },
+        again
+      );
+      expect(again.status).toHaveBeenCalledWith(404);
+      expect(again.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Target category not found",
+      });
+      expect(categoryModel.findByIdAndDelete).not.toHaveBeenCalled();
     });
 
     test("should handle errors and return 500", async () => {
+      categoryModel.findById.mockResolvedValueOnce(books);
+      productModel.countDocuments.mockResolvedValueOnce(0);
       categoryModel.findByIdAndDelete.mockRejectedValue(new Error("Delete error"));
 
       const req = { params: { id: "123" } };
@@ -202,6 +715,52 @@ describe("categoryController", () => {
       });
     });
 
+    describe("categoryTreeController", () => {
+      test("should nest categories under their parents", async () => {
+        categoryModel.find.mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { _id: "c2", name: "Lamps", parentCategory: "c1" },
+            { _id: "c1", name: "Home", parentCategory: null },
+          ]),
+        });
+
+        const res = createRes();
+        await categoryTreeController({}, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith({
+          success: true,
+          message: "Category Tree",
+          tree: [
+            {
+              _id: "c1",
+              name: "Home",
+              parentCategory: null,
+              children: [
+                { _id: "c2", name: "Lamps", parentCategory: "c1", children: [] },
+              ],
+            },
+          ],
+        });
+      });
+
+      test("should handle errors and return 500", async () => {
+        categoryModel.find.mockReturnValue({
+          lean: jest.fn().mockRejectedValue(new Error("Database error")),
+        });
+
+        const res = createRes();
+        await categoryTreeController({}, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          error: expect.any(Error),
+          message: "Error while getting category tree",
+        });
+      });
+    });
+
     describe("singleCategoryController", () => {
         test("should get single category by slug and return 200", async () => {
           const mockCategory = {
@@ -225,6 +784,28 @@ describe("categoryController", () => {
           });
         });
     
+        test("should point a retired slug at the current one", async () => {
+          categoryModel.findOne
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce({ slug: "devices" });
+
+          const req = { params: { slug: "electronics" } };
+          const res = createRes();
+
+          await singleCategoryController(req, res);
+
+          expect(categoryModel.findOne).toHaveBeenLastCalledWith(
+            { slugHistory: "electronics" },
+            "slug"
+          );
+          expect(res.status).toHaveBeenCalledWith(301);
+          expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Category has moved",
+            redirect: "devices",
+          });
+        });
+
         test("should handle errors and return 500", async () => {
           categoryModel.findOne.mockRejectedValue(new Error("Database error"));
     
@@ -0,0 +1,127 @@
+import userModel from "../models/userModel.js";
+import { recordAuditEvent } from "../helpers/auditHelper.js";
+import { getUserRoles, isStaff } from "../helpers/permissionHelper.js";
+import {
+  createImpersonationSession,
+  revokeSession,
+} from "../helpers/sessionHelper.js";
+
+const userTarget = (user) => ({
+  type: "user",
+  id: user._id,
+  label: user.email,
+});
+
+//view the store as a customer || POST { reason }
+export const startImpersonationController = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (String(userId) === String(req.user._id)) {
+      return res.status(400).send({
+        success: false,
+        message: "You can't impersonate yourself",
+      });
+    }
+    const [admin, user] = await Promise.all([
+      userModel.findById(req.user._id).select("name email").lean(),
+      userModel
+        .findById(userId)
+        .select("name email phone address role roles emailVerified disabled")
+        .lean(),
+    ]);
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    //staff accounts can reach admin tools, so only customers can be viewed
+    if (isStaff(user)) {
+      return res.status(403).send({
+        success: false,
+        message: "Only customer accounts can be impersonated",
+      });
+    }
+    if (user.disabled) {
+      return res.status(400).send({
+        success: false,
+        message: "Disabled accounts can't be impersonated",
+      });
+    }
+    const { token, expiresAt, sessionId } = await createImpersonationSession(
+      admin._id,
+      user._id,
+      req
+    );
+    await recordAuditEvent(req, {
+      action: "impersonation.started",
+      actor: admin,
+      target: userTarget(user),
+      metadata: {
+        session: String(sessionId),
+        reason: req.body?.reason?.trim() || undefined,
+        expiresAt,
+      },
+    });
+    res.status(200).send({
+      success: true,
+      message: `You are now viewing the store as ${user.name}`,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        address: user.address,
+        role: user.role,
+        roles: getUserRoles(user),
+        permissions: [],
+        emailVerified: user.emailVerified !== false,
+      },
+      impersonator: { _id: admin._id, name: admin.name, email: admin.email },
+      token,
+      expiresAt,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while starting impersonation",
+      error,
+    });
+  }
+};
+
+//end an impersonation session early || POST
+export const endImpersonationController = async (req, res) => {
+  try {
+    const { impersonator, sid } = req.user;
+    if (!impersonator) {
+      return res.status(400).send({
+        success: false,
+        message: "You are not impersonating anyone",
+      });
+    }
+    await revokeSession(sid);
+    const [admin, user] = await Promise.all([
+      userModel.findById(impersonator).select("email").lean(),
+      userModel.findById(req.user._id).select("email").lean(),
+    ]);
+    await recordAuditEvent(req, {
+      action: "impersonation.ended",
+      actor: admin || { _id: impersonator },
+      target: userTarget(user || { _id: req.user._id }),
+      metadata: { session: String(sid) },
+    });
+    res.status(200).send({
+      success: true,
+      message: "Impersonation ended",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while ending impersonation",
+      error,
+    });
+  }
+};
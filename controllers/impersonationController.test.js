@@ -0,0 +1,226 @@
+import {
+  endImpersonationController,
+  startImpersonationController,
+} from "./impersonationController.js";
+import userModel from "../models/userModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+import * as sessionHelper from "../helpers/sessionHelper.js";
+
+/**
+ * Unit tests for the impersonation controllers
+ *
+ * 1. startImpersonationController: guardrails on who can be viewed, the
+ *    short lived token and the audit event
+ * 2. endImpersonationController: revoking the session and auditing the end
+ *
+ * Test Strategy: Communication-based testing with mocked models and session
+ * helper; user lookups are stubbed per id.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+jest.mock("../models/userModel.js");
+jest.mock("../models/auditEventModel.js");
+jest.mock("../models/roleModel.js");
+jest.mock("../helpers/sessionHelper.js");
+
+const admin = { _id: "admin1", name: "Ada", email: "ada@example.com" };
+const customer = {
+  _id: "user1",
+  name: "John",
+  email: "john@example.com",
+  phone: "5550100",
+  address: "1 Main St",
+  role: 0,
+};
+
+// findById(id).select(...).lean() answers from a small user table
+const mockUsers = (users) => {
+  const byId = new Map(users.map((user) => [user._id, user]));
+  userModel.findById.mockImplementation((id) => {
+    const query = {};
+    query.select = jest.fn().mockReturnValue(query);
+    query.lean = jest.fn().mockResolvedValue(byId.get(id) || null);
+    return query;
+  });
+};
+
+describe("Impersonation Controllers", () => {
+  const expiresAt = new Date("2030-01-01T00:15:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    mockUsers([admin, customer]);
+    sessionHelper.createImpersonationSession.mockResolvedValue({
+      token: "imp.jwt",
+      expiresAt,
+      sessionId: "s1",
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("startImpersonationController", () => {
+    const req = (userId = "user1", body = {}) => ({
+      user: { _id: "admin1" },
+      params: { userId },
+      body,
+    });
+
+    /**
+     * Test a super-admin viewing a customer
+     * The token comes from an impersonation session and the start is audited
+     */
+    test("should issue a token for the customer and audit it", async () => {
+      const res = createRes();
+      await startImpersonationController(
+        req("user1", { reason: " Ticket 42 " }),
+        res
+      );
+
+      expect(sessionHelper.createImpersonationSession).toHaveBeenCalledWith(
+        "admin1",
+        "user1",
+        expect.anything()
+      );
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "impersonation.started",
+          actor: "admin1",
+          actorEmail: "ada@example.com",
+          target: { type: "user", id: "user1", label: "john@example.com" },
+          metadata: { session: "s1", reason: "Ticket 42", expiresAt },
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "You are now viewing the store as John",
+        user: {
+          _id: "user1",
+          name: "John",
+          email: "john@example.com",
+          phone: "5550100",
+          address: "1 Main St",
+          role: 0,
+          roles: [],
+          permissions: [],
+          emailVerified: true,
+        },
+        impersonator: admin,
+        token: "imp.jwt",
+        expiresAt,
+      });
+    });
+
+    test("should not let admins impersonate themselves", async () => {
+      const res = createRes();
+      await startImpersonationController(req("admin1"), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(sessionHelper.createImpersonationSession).not.toHaveBeenCalled();
+    });
+
+    test("should only impersonate customers", async () => {
+      mockUsers([admin, { ...customer, roles: ["fulfillment"] }]);
+
+      const res = createRes();
+      await startImpersonationController(req(), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Only customer accounts can be impersonated",
+      });
+      expect(sessionHelper.createImpersonationSession).not.toHaveBeenCalled();
+    });
+
+    test("should not impersonate disabled accounts", async () => {
+      mockUsers([admin, { ...customer, disabled: true }]);
+
+      const res = createRes();
+      await startImpersonationController(req(), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(sessionHelper.createImpersonationSession).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 for an unknown user", async () => {
+      const res = createRes();
+      await startImpersonationController(req("missing"), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 500 when the session can't be created", async () => {
+      sessionHelper.createImpersonationSession.mockRejectedValueOnce(
+        new Error("DB down")
+      );
+
+      const res = createRes();
+      await startImpersonationController(req(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "Error while starting impersonation",
+        })
+      );
+    });
+  });
+
+  describe("endImpersonationController", () => {
+    test("should revoke the session and audit the end", async () => {
+      const res = createRes();
+      await endImpersonationController(
+        { user: { _id: "user1", sid: "s1", impersonator: "admin1" } },
+        res
+      );
+
+      expect(sessionHelper.revokeSession).toHaveBeenCalledWith("s1");
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "impersonation.ended",
+          actor: "admin1",
+          actorEmail: "ada@example.com",
+          impersonator: "admin1",
+          target: { type: "user", id: "user1", label: "john@example.com" },
+          metadata: { session: "s1" },
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Impersonation ended",
+      });
+    });
+
+    test("should return 400 outside an impersonation session", async () => {
+      const res = createRes();
+      await endImpersonationController({ user: { _id: "user1", sid: "s1" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(sessionHelper.revokeSession).not.toHaveBeenCalled();
+    });
+
+    test("should return 500 when revoking fails", async () => {
+      sessionHelper.revokeSession.mockRejectedValueOnce(new Error("DB down"));
+
+      const res = createRes();
+      await endImpersonationController(
+        { user: { _id: "user1", sid: "s1", impersonator: "admin1" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -1,14 +1,147 @@
 import productModel from "../models/productModel.js";
 import categoryModel from "../models/categoryModel.js";
 import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import { recordAuditEvent } from "../helpers/auditHelper.js";
+import { descendantIds } from "../helpers/categoryHelper.js";
+import { onStorefront, readStatus } from "../helpers/productStatusHelper.js";
+import {
+  applyImport,
+  exportChunks,
+  importReport,
+  importStatus,
+  importSummary,
+  planImport,
+  readImportFile,
+} from "../helpers/productImportHelper.js";
+import { PRODUCT_STATUSES } from "../models/productStatuses.js";
+import {
+  currentSlug,
+  slugFields,
+  toSlug,
+  uniqueSlug,
+} from "../helpers/slugHelper.js";
+import { defaultAddress, findAddress } from "../helpers/addressHelper.js";
+import { textSearch, toPositiveInt } from "../helpers/queryHelper.js";
+import {
+  normalizeQuery,
+  recordSearch,
+  searchSuggestions,
+} from "../helpers/searchHelper.js";
+import { priceCart, readVariants } from "../helpers/variantHelper.js";
+import { categoryAttributes, readSpecs } from "../helpers/attributeHelper.js";
+import {
+  checkUploads,
+  isImageType,
+  primaryImage,
+  readGallery,
+  removeImages,
+  storeGallery,
+} from "../helpers/galleryHelper.js";
+import { imageStore } from "../helpers/imageStore.js";
+import {
+  RENDITION_FORMATS,
+  rendition,
+  renditionEtag,
+  renditionFormat,
+} from "../helpers/renditionHelper.js";
+import {
+  validationError,
+  validationStatus,
+} from "../middlewares/validationMiddleware.js";
 
+import { once } from "events";
 import fs from "fs";
-import slugify from "slugify";
+import { buffer } from "stream/consumers";
 import braintree from "braintree";
 import dotenv from "dotenv";
 
 dotenv.config();
 
+// search results per page, unless ?limit= asks for fewer or more
+const SEARCH_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// 409 body when a variant SKU is already used by another product
+const findSkuConflict = async (variants = [], productId) => {
+  if (!variants.length) return null;
+  const query = { "variants.sku": { $in: variants.map((v) => v.sku) } };
+  if (productId) query._id = { $ne: productId };
+  const owner = await productModel
+    .findOne(query)
+    .select("name variants.sku")
+    .lean();
+  if (!owner) return null;
+  const sku = owner.variants.find((v) =>
+    variants.some((variant) => variant.sku === v.sku)
+  )?.sku;
+  return {
+    success: false,
+    error: `SKU ${sku} is already used by ${owner.name}`,
+  };
+};
+
+// a gallery image, read from the image store
+const storedImage = (image, updatedAt) => ({
+  tag: image.key,
+  contentType: image.contentType,
+  updatedAt,
+  open: () => imageStore().open(image.key),
+  read: () => buffer(imageStore().open(image.key)),
+});
+
+// the photo buffer of a product that has not been migrated yet
+const legacyPhoto = (product) => ({
+  tag: `${product._id}:${new Date(product.updatedAt).getTime() || 0}`,
+  contentType: product.photo.contentType,
+  updatedAt: product.updatedAt,
+  data: product.photo.data,
+  read: async () => product.photo.data,
+});
+
+// sends an image with caching headers, answering 304 when the browser's copy
+// is current. ?w=300&format=webp sends a cached rendition instead of the
+// original. An original saved before uploads were checked that isn't a
+// raster image (an SVG, say) only goes out as a png rendition. A file
+// missing from the image store is a 404.
+const sendImage = async (req, res, source, { cacheControl, message }) => {
+  const { w } = req.query || {};
+  const width = w ? Number(w) : undefined;
+  const unsafe = source.contentType && !isImageType(source.contentType);
+  const format = req.query?.format || (unsafe ? "png" : undefined);
+  res.set("ETag", renditionEtag(source.tag, { width, format }));
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Cache-Control", cacheControl);
+  if (source.updatedAt) {
+    res.set("Last-Modified", new Date(source.updatedAt).toUTCString());
+  }
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (width || format) {
+    const output = renditionFormat(format, source.contentType);
+    const data = await rendition(source, { width, format: output });
+    res.set("Content-type", RENDITION_FORMATS.get(output));
+    return res.status(200).send(data);
+  }
+  res.set("Content-type", source.contentType || "image/jpeg");
+  if (source.data) {
+    return res.status(200).send(source.data);
+  }
+  const stream = source.open();
+  stream.on("error", (error) => {
+    console.log(error);
+    if (!res.headersSent) {
+      res.status(404).send({ success: false, message });
+    } else {
+      res.end();
+    }
+  });
+  res.status(200);
+  return stream.pipe(res);
+};
+
 //payment gateway
 var gateway = new braintree.BraintreeGateway({
   environment: braintree.Environment.Sandbox,
@@ -17,39 +150,41 @@ var gateway = new braintree.BraintreeGateway({
   privateKey: process.env.BRAINTREE_PRIVATE_KEY,
 });
 
+// the form fields a product saves as they are; status, options, variants,
+// images and specs are read by their helpers, and the slug is made here
+const PLAIN_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "category",
+  "quantity",
+  "shipping",
+];
+
+const plainFields = (fields, { quantity = true } = {}) =>
+  Object.fromEntries(
+    Object.entries(fields || {}).filter(
+      ([field]) =>
+        PLAIN_FIELDS.includes(field) && (quantity || field !== "quantity")
+    )
+  );
+
 export const createProductController = async (req, res) => {
   try {
-    const { name, description, price, category, quantity, shipping } =
-      req.fields;
-    const { photo } = req.files;
-    //alidation
-    switch (true) {
-      case !name:
-        return res.status(500).send({ error: "Name is Required" });
-      case !description:
-        return res.status(500).send({ error: "Description is Required" });
-      case !price:
-        return res.status(500).send({ error: "Price is Required" });
-      case !category:
-        return res.status(500).send({ error: "Category is Required" });
-      case !quantity:
-        return res.status(500).send({ error: "Quantity is Required" });
-      case photo && photo.size > 1000000:
-        return res
-          .status(500)
-          .send({ error: "photo is Required and should be less then 1mb" });
-    }
-
-    // Additional type validation: ensure numeric fields are numbers
-    if (isNaN(Number(price))) {
-      return res
-        .status(400)
-        .send({ success: false, error: "Price must be a number" });
-    }
-    if (isNaN(Number(quantity))) {
-      return res
-        .status(400)
-        .send({ success: false, error: "Quantity must be a number" });
+    const { name, category } = req.fields;
+    //fields and image sizes are checked by createProductSchema
+    const { fields: variantFields, errors } = readVariants(req.fields);
+    const status = readStatus(req.fields);
+    const gallery = readGallery(req.fields, req.files);
+    const specs = readSpecs(req.fields, await categoryAttributes(category));
+    errors.push(
+      ...status.errors,
+      ...gallery.errors,
+      ...specs.errors,
+      ...(await checkUploads(gallery.entries))
+    );
+    if (errors.length) {
+      return res.status(validationStatus(errors)).send(validationError(errors));
     }
 
     // Prevent duplicate product name within the same category
@@ -67,12 +202,26 @@ export const createProductController = async (req, res) => {
       }
     }
 
-    const products = new productModel({ ...req.fields, slug: slugify(name) });
-    if (photo) {
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
+    const skuConflict = await findSkuConflict(variantFields.variants);
+    if (skuConflict) {
+      return res.status(409).send(skuConflict);
+    }
+
+    const images = gallery.entries ? await storeGallery(gallery.entries) : [];
+    const products = new productModel({
+      ...plainFields(req.fields),
+      ...variantFields,
+      ...status.fields,
+      ...specs.fields,
+      images,
+      slug: await uniqueSlug(productModel, toSlug(name)),
+    });
+    try {
+      await products.save();
+    } catch (error) {
+      await removeImages(images);
+      throw error;
     }
-    await products.save();
     res.status(201).send({
       success: true,
       message: "Product Created Successfully",
@@ -92,7 +241,7 @@ export const createProductController = async (req, res) => {
 export const getProductController = async (req, res) => {
   try {
     const products = await productModel
-      .find({})
+      .find(onStorefront())
       .populate("category")
       .select("-photo")
       .limit(12)
@@ -116,9 +265,18 @@ export const getProductController = async (req, res) => {
 export const getSingleProductController = async (req, res) => {
   try {
     const product = await productModel
-      .findOne({ slug: req.params.slug })
+      .findOne(onStorefront({ slug: req.params.slug }))
       .select("-photo")
       .populate("category");
+    const redirect =
+      !product && (await currentSlug(productModel, req.params.slug));
+    if (redirect) {
+      return res.status(301).send({
+        success: false,
+        message: "Product has moved",
+        redirect,
+      });
+    }
     if (!product) {
       return res.status(404).send({
         success: false,
@@ -144,7 +302,7 @@ export const getSingleProductController = async (req, res) => {
 export const getProductByIdController = async (req, res) => {
   try {
     const product = await productModel
-      .findById(req.params.id)
+      .findOne(onStorefront({ _id: req.params.id }))
       .select("-photo")
       .populate("category");
     if (!product) {
@@ -159,20 +317,37 @@ export const getProductByIdController = async (req, res) => {
   }
 };
 
-// get photo
-export const productPhotoController = async (req, res) => {
+// the storefront only shows the images of products on sale; the admin forms
+// preview any product's through the admin routes, which browsers keep private
+const storefrontProduct = (pid) =>
+  productModel.findOne(onStorefront({ _id: pid }));
+const anyProduct = (pid) => productModel.findById(pid);
+
+// get photo, the primary gallery image or the legacy photo of a product that
+// has not been migrated yet
+const photoController = (findProduct, cacheControl) => async (req, res) => {
   try {
-    const product = await productModel.findById(req.params.pid).select("photo");
-    if (!product || !product.photo || !product.photo.data) {
+    const product = await findProduct(req.params.pid).select(
+      "images photo updatedAt"
+    );
+    const image = primaryImage(product?.images);
+    if (!image && (!product || !product.photo || !product.photo.data)) {
       return res.status(404).send({
         success: false,
         message: "There does not exist a photo",
       });
     }
 
-    // Use header key that tests expect (case-insensitive in Express, but tests assert specific case)
-    res.set("Content-type", product.photo.contentType || "image/jpeg");
-    return res.status(200).send(product.photo.data); // return so nothing else runs
+    // the primary image can change, so browsers check back after a while
+    return await sendImage(
+      req,
+      res,
+      image ? storedImage(image, product.updatedAt) : legacyPhoto(product),
+      {
+        cacheControl,
+        message: "There does not exist a photo",
+      }
+    );
   } catch (err) {
     console.error(err);
     if (!res.headersSent) {
@@ -186,10 +361,73 @@ export const productPhotoController = async (req, res) => {
   }
 };
 
+export const productPhotoController = photoController(
+  storefrontProduct,
+  "public, max-age=300"
+);
+export const adminProductPhotoController = photoController(
+  anyProduct,
+  "private, max-age=300"
+);
+
+// get one gallery image
+const imageController = (findProduct, cacheControl) => async (req, res) => {
+  try {
+    const { pid, imageId } = req.params;
+    const product = await findProduct(pid).select("images updatedAt");
+    const image = product?.images?.find(({ _id }) => String(_id) === imageId);
+    if (!image) {
+      return res.status(404).send({
+        success: false,
+        message: "Image not found",
+      });
+    }
+    // an image id always has the same file, so it never needs checking again
+    return await sendImage(req, res, storedImage(image, product.updatedAt), {
+      cacheControl,
+      message: "Image not found",
+    });
+  } catch (error) {
+    console.log(error);
+    if (!res.headersSent) {
+      return res.status(500).send({
+        success: false,
+        message: "Error while getting image",
+        error: error.message,
+      });
+    }
+  }
+};
+
+export const productImageController = imageController(
+  storefrontProduct,
+  "public, max-age=31536000, immutable"
+);
+export const adminProductImageController = imageController(
+  anyProduct,
+  "private, max-age=31536000, immutable"
+);
+
 //delete controller
 export const deleteProductController = async (req, res) => {
   try {
-    await productModel.findByIdAndDelete(req.params.pid).select("-photo");
+    const product = await productModel
+      .findByIdAndDelete(req.params.pid)
+      .select("-photo");
+    if (product) {
+      await recordAuditEvent(req, {
+        action: "product.deleted",
+        target: { type: "product", id: product._id, label: product.name },
+        before: {
+          name: product.name,
+          slug: product.slug,
+          price: product.price,
+          quantity: product.quantity,
+          category: product.category,
+        },
+      });
+      await removeImages(product.images);
+    }
     res.status(200).send({
       success: true,
       message: "Product Deleted successfully",
@@ -207,37 +445,37 @@ export const deleteProductController = async (req, res) => {
 //upate producta
 export const updateProductController = async (req, res) => {
   try {
-    const { name, description, price, category, quantity, shipping } =
-      req.fields;
-    const { photo } = req.files;
-    //alidation
-    switch (true) {
-      case !name:
-        return res.status(500).send({ error: "Name is Required" });
-      case !description:
-        return res.status(500).send({ error: "Description is Required" });
-      case !price:
-        return res.status(500).send({ error: "Price is Required" });
-      case !category:
-        return res.status(500).send({ error: "Category is Required" });
-      case !quantity:
-        return res.status(500).send({ error: "Quantity is Required" });
-      case photo && photo.size > 1000000:
-        return res
-          .status(500)
-          .send({ error: "photo is Required and should be less then 1mb" });
-    }
-
-    // Additional type validation
-    if (isNaN(Number(price))) {
-      return res
-        .status(400)
-        .send({ success: false, error: "Price must be a number" });
+    const { name, category } = req.fields;
+    //fields and image sizes are checked by updateProductSchema
+    const { fields: variantFields, errors } = readVariants(req.fields);
+    const status = readStatus(req.fields);
+    errors.push(...status.errors);
+    //the saved gallery, category, and the name and slugs the new slug
+    //depends on
+    const saved = await productModel
+      .findById(req.params.pid)
+      .select("images name slug slugHistory category variants");
+    if (!saved) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
     }
-    if (isNaN(Number(quantity))) {
-      return res
-        .status(400)
-        .send({ success: false, error: "Quantity must be a number" });
+    const gallery = readGallery(req.fields, req.files, saved.images || []);
+    //a product moved to another category follows the new one's attributes
+    const moved = category && String(category) !== String(saved.category);
+    const specs = readSpecs(
+      req.fields,
+      await categoryAttributes(category || saved.category),
+      moved ? undefined : saved
+    );
+    errors.push(
+      ...gallery.errors,
+      ...specs.errors,
+      ...(await checkUploads(gallery.entries))
+    );
+    if (errors.length) {
+      return res.status(validationStatus(errors)).send(validationError(errors));
     }
 
     // Prevent updating to a name/category that already exists on a different product
@@ -259,16 +497,47 @@ export const updateProductController = async (req, res) => {
       }
     }
 
-    const products = await productModel.findByIdAndUpdate(
-      req.params.pid,
-      { ...req.fields, slug: slugify(name) },
-      { new: true }
+    const skuConflict = await findSkuConflict(
+      variantFields.variants,
+      req.params.pid
     );
-    if (photo) {
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
+    if (skuConflict) {
+      return res.status(409).send(skuConflict);
+    }
+
+    const images = gallery.entries && (await storeGallery(gallery.entries));
+    let products;
+    try {
+      products = await productModel.findByIdAndUpdate(
+        req.params.pid,
+        {
+          ...plainFields(req.fields, {
+            //a product with variants keeps their total as its quantity
+            quantity: !(variantFields.variants || saved.variants)?.length,
+          }),
+          ...variantFields,
+          ...status.fields,
+          ...specs.fields,
+          ...(images && { images }),
+          ...(await slugFields(productModel, name, saved)),
+        },
+        { new: true }
+      );
+      if (!products) {
+        //deleted while the form was saved
+        await removeImages((images || []).filter(({ _id }) => !_id));
+        return res.status(404).send({
+          success: false,
+          message: "Product not found",
+        });
+      }
+      await products.save();
+    } catch (error) {
+      // drop the files uploaded for a gallery that was never saved
+      await removeImages((images || []).filter(({ _id }) => !_id));
+      throw error;
     }
-    await products.save();
+    await removeImages(gallery.removed);
     res.status(201).send({
       success: true,
       message: "Product Updated Successfully",
@@ -284,14 +553,223 @@ export const updateProductController = async (req, res) => {
   }
 };
 
+// every product whatever its status, for the admin list; ?status= picks
+// one status and `counts` has the number in each
+export const adminProductsController = async (req, res) => {
+  try {
+    const { status } = req.query || {};
+    let filter = {};
+    if (status === "published") filter = onStorefront();
+    else if (status) filter = { status };
+    const products = await productModel
+      .find(filter)
+      .populate("category")
+      .select("-photo")
+      .sort({ createdAt: -1 });
+    const groups = await productModel.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const counts = Object.fromEntries(PRODUCT_STATUSES.map((s) => [s, 0]));
+    groups.forEach(({ _id, count }) => {
+      counts[_id || "published"] += count;
+    });
+    res.status(200).send({
+      success: true,
+      products,
+      counts,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Erorr in getting products",
+      error: error.message,
+    });
+  }
+};
+
+// a product whatever its status, for the admin edit form
+export const adminSingleProductController = async (req, res) => {
+  try {
+    const product = await productModel
+      .findOne({ slug: req.params.slug })
+      .select("-photo")
+      .populate("category");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      product,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Eror while getitng single product",
+      error: error.message,
+    });
+  }
+};
+
+// moves several products to one status at once
+export const productStatusController = async (req, res) => {
+  try {
+    //ids and status are checked by productStatusSchema
+    const { fields, errors } = readStatus(req.body);
+    if (errors.length) {
+      return res.status(validationStatus(errors)).send(validationError(errors));
+    }
+    const products = await productModel
+      .find({ _id: { $in: req.body.products } })
+      .select("name status publishAt")
+      .lean();
+    if (!products.length) {
+      return res.status(404).send({
+        success: false,
+        message: "Products not found",
+      });
+    }
+    await productModel.updateMany(
+      { _id: { $in: products.map(({ _id }) => _id) } },
+      { $set: fields }
+    );
+    for (const product of products) {
+      await recordAuditEvent(req, {
+        action: "product.status_changed",
+        target: { type: "product", id: product._id, label: product.name },
+        before: {
+          status: product.status || "published",
+          publishAt: product.publishAt ?? null,
+        },
+        after: fields,
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: `${products.length} products moved to ${fields.status}`,
+      modified: products.length,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating product status",
+      error: error.message,
+    });
+  }
+};
+
+// creates and updates products from a CSV or JSON file; with dryRun only
+// reports what each row would do. Nothing is written unless every row passes.
+export const importProductsController = async (req, res) => {
+  //the file and options are checked by importProductsSchema
+  const { file } = req.files;
+  try {
+    const format =
+      req.fields.format || (/\.json$/i.test(file.name || "") ? "json" : "csv");
+    const dryRun = ["true", "1", true].includes(req.fields.dryRun);
+    const text = await fs.promises.readFile(file.path, "utf8");
+    const { rows, errors } = readImportFile(text, format);
+    if (errors.length) {
+      return res.status(validationStatus(errors)).send(validationError(errors));
+    }
+
+    const plan = await planImport(rows);
+    const summary = importSummary(plan);
+    if (summary.error && !dryRun) {
+      return res.status(importStatus(plan)).send({
+        success: false,
+        message: `${summary.error} rows have errors, nothing was imported`,
+        dryRun,
+        summary,
+        rows: importReport(plan),
+      });
+    }
+    if (dryRun) {
+      return res.status(200).send({
+        success: true,
+        message: `Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.error} with errors`,
+        dryRun,
+        summary,
+        rows: importReport(plan),
+      });
+    }
+
+    await applyImport(plan);
+    await recordAuditEvent(req, {
+      action: "product.imported",
+      target: { type: "product", label: file.name },
+      metadata: { format, created: summary.create, updated: summary.update },
+    });
+    res.status(200).send({
+      success: true,
+      message: `Imported ${rows.length} products: ${summary.create} created, ${summary.update} updated`,
+      dryRun,
+      summary,
+      rows: importReport(plan),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while importing products",
+      error: error.message,
+    });
+  } finally {
+    //formidable leaves the upload in the temp directory
+    await fs.promises
+      .rm(file.path, { force: true })
+      .catch((error) => console.log(error));
+  }
+};
+
+// the whole catalogue, whatever the status, in the import format
+export const exportProductsController = async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    const products = productModel
+      .find()
+      .select("-photo -images")
+      .populate("category", "slug")
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+    res.set({
+      "Content-Type":
+        format === "csv" ? "text/csv; charset=utf-8" : "application/json",
+      "Content-Disposition": `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${format}"`,
+    });
+    res.status(200);
+    for await (const chunk of exportChunks(products, format)) {
+      if (!res.write(chunk)) await once(res, "drain");
+    }
+    res.end();
+  } catch (error) {
+    console.log(error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).send({
+      success: false,
+      message: "Error while exporting products",
+      error: error.message,
+    });
+  }
+};
+
 // filters
 export const productFiltersController = async (req, res) => {
   try {
-    const { checked, radio } = req.body;
+    //both filters are optional, see productFiltersSchema
+    const { checked = [], radio = [] } = req.body;
     let args = {};
     if (checked.length > 0) args.category = checked;
     if (radio.length) args.price = { $gte: radio[0], $lte: radio[1] };
-    const products = await productModel.find(args);
+    const products = await productModel.find(onStorefront(args));
     res.status(200).send({
       success: true,
       products,
@@ -309,7 +787,7 @@ export const productFiltersController = async (req, res) => {
 // product count
 export const productCountController = async (req, res) => {
   try {
-    const total = await productModel.find({}).estimatedDocumentCount();
+    const total = await productModel.countDocuments(onStorefront());
     res.status(200).send({
       success: true,
       total,
@@ -330,7 +808,7 @@ export const productListController = async (req, res) => {
     const perPage = 6;
     const page = req.params.page ? req.params.page : 1;
     const products = await productModel
-      .find({})
+      .find(onStorefront())
       .select("-photo")
       .skip((page - 1) * perPage)
       .limit(perPage)
@@ -349,19 +827,44 @@ export const productListController = async (req, res) => {
   }
 };
 
-// search product
+// search product || GET /search/:keyword?page=&limit=
+// matches through the text index, best first; see textSearch for the
+// operators a keyword may use
 export const searchProductController = async (req, res) => {
   try {
-    const { keyword } = req.params;
-    const resutls = await productModel
-      .find({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
-      })
-      .select("-photo");
-    res.json(resutls);
+    const search = textSearch(req.params.keyword);
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = Math.min(
+      toPositiveInt(req.query.limit, SEARCH_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+    if (!search) {
+      return res
+        .status(200)
+        .send({ success: true, products: [], total: 0, page, pages: 0 });
+    }
+    const filter = onStorefront({ $text: { $search: search } });
+    const [products, total] = await Promise.all([
+      productModel
+        .find(filter)
+        .select({ photo: 0, score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      productModel.countDocuments(filter),
+    ]);
+    //count searches that found something once, not for every page of them
+    if (page === 1 && total > 0) {
+      await recordSearch(req.params.keyword);
+    }
+    res.status(200).send({
+      success: true,
+      products,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
   } catch (error) {
     console.log(error);
     res.status(400).send({
@@ -372,15 +875,40 @@ export const searchProductController = async (req, res) => {
   }
 };
 
+// search suggestions || GET /suggest?q=
+// products and categories named with a word starting with q, and popular
+// searches starting with it; see helpers/searchHelper.js
+export const suggestProductController = async (req, res) => {
+  try {
+    const prefix = normalizeQuery(req.query.q);
+    if (!prefix) {
+      return res
+        .status(200)
+        .send({ success: true, products: [], categories: [], queries: [] });
+    }
+    const suggestions = await searchSuggestions(prefix);
+    res.status(200).send({ success: true, ...suggestions });
+  } catch (error) {
+    console.log(error);
+    res.status(400).send({
+      success: false,
+      message: "Error In Search Suggestions API",
+      error: error.message,
+    });
+  }
+};
+
 // similar products
 export const realtedProductController = async (req, res) => {
   try {
     const { pid, cid } = req.params;
     const products = await productModel
-      .find({
-        category: cid,
-        _id: { $ne: pid },
-      })
+      .find(
+        onStorefront({
+          category: cid,
+          _id: { $ne: pid },
+        })
+      )
       .select("-photo")
       .limit(3)
       .populate("category");
@@ -402,10 +930,35 @@ export const realtedProductController = async (req, res) => {
 export const productCategoryController = async (req, res) => {
   try {
     const category = await categoryModel.findOne({ slug: req.params.slug });
-    const products = await productModel.find({ category }).populate("category");
+    const redirect =
+      !category && (await currentSlug(categoryModel, req.params.slug));
+    if (redirect) {
+      return res.status(301).send({
+        success: false,
+        message: "Category has moved",
+        redirect,
+      });
+    }
+    //?subcategories=true browses the whole subtree
+    const subtree =
+      category && ["true", "1"].includes(req.query?.subcategories)
+        ? [category._id, ...(await descendantIds(category._id))]
+        : null;
+    const products = await productModel
+      .find(
+        onStorefront(subtree ? { category: { $in: subtree } } : { category })
+      )
+      .populate("category");
+    //one level down, for browsing into the subtree
+    const subcategories = category
+      ? await categoryModel
+          .find({ parentCategory: category._id })
+          .select("name slug")
+      : [];
     res.status(200).send({
       success: true,
       category,
+      subcategories,
       products,
     });
   } catch (error) {
@@ -435,9 +988,59 @@ export const braintreeTokenController = async (req, res) => {
 };
 
 //payment
+// returns the units of each variant sold to the shelf
+const putBackStock = (stock) =>
+  Promise.all(
+    stock.map(({ product, variant, units }) =>
+      productModel.updateOne(
+        { _id: product, "variants._id": variant },
+        { $inc: { "variants.$.quantity": units, quantity: units } }
+      )
+    )
+  );
+
+// takes the units priceCart counted off each variant and the product total,
+// only while that many are left; false, with nothing taken, when another
+// order got there first
+const takeStock = async (stock) => {
+  const taken = [];
+  for (const line of stock) {
+    const { modifiedCount } = await productModel.updateOne(
+      {
+        _id: line.product,
+        variants: {
+          $elemMatch: { _id: line.variant, quantity: { $gte: line.units } },
+        },
+      },
+      { $inc: { "variants.$.quantity": -line.units, quantity: -line.units } }
+    );
+    if (!modifiedCount) {
+      await putBackStock(taken);
+      return false;
+    }
+    taken.push(line);
+  }
+  return true;
+};
+
+// cancels a charge that no order came of; false, logged, when Braintree
+// refuses, so the payment has to be refunded by hand
+const voidPayment = async (paymentId) => {
+  try {
+    const { success, message } = await gateway.transaction.void(paymentId);
+    if (!success) {
+      console.error(`❌ Could not void payment ${paymentId}: ${message}`);
+    }
+    return success;
+  } catch (error) {
+    console.error(`❌ Could not void payment ${paymentId}:`, error);
+    return false;
+  }
+};
+
 export const brainTreePaymentController = async (req, res) => {
   try {
-    const { nonce, cart } = req.body;
+    const { nonce, cart, addressId } = req.body;
 
     // Add validation for concurrent requests
     if (!nonce || !cart || !Array.isArray(cart) || cart.length === 0) {
@@ -447,10 +1050,43 @@ export const brainTreePaymentController = async (req, res) => {
       });
     }
 
-    let total = 0;
-    cart.map((i) => {
-      total += i.price;
-    });
+    // pick the shipping address before charging the card
+    const buyer = await userModel
+      .findById(req.user._id)
+      .select("addresses")
+      .lean();
+    const addresses = buyer?.addresses || [];
+    const shippingAddress = addressId
+      ? findAddress(addresses, addressId)
+      : defaultAddress(addresses);
+    if (!shippingAddress) {
+      return res.status(400).json({
+        ok: false,
+        error: addressId
+          ? "Shipping address not found"
+          : "Please add a shipping address before checking out",
+      });
+    }
+
+    // price and stock-check the cart from the catalogue, never from the
+    // client's copy of it; drafts and archived products can't be bought
+    const products = await productModel
+      .find(onStorefront({ _id: { $in: cart.map((entry) => entry?._id) } }))
+      .select("name price variants")
+      .lean();
+    const { items, total, stock, error: cartError } = priceCart(cart, products);
+    if (cartError) {
+      return res.status(400).json({ ok: false, error: cartError });
+    }
+
+    // hold the stock before charging, so a sale never outruns it; every
+    // path below that doesn't end in an order puts it back
+    if (!(await takeStock(stock))) {
+      return res.status(409).json({
+        ok: false,
+        error: "An item in your cart has just sold out",
+      });
+    }
 
     // Add user identifier for debugging concurrent requests
     const userId = req.user._id;
@@ -461,7 +1097,7 @@ export const brainTreePaymentController = async (req, res) => {
 
     let newTransaction = gateway.transaction.sale(
       {
-        amount: total,
+        amount: total.toFixed(2),
         paymentMethodNonce: nonce,
         options: {
           submitForSettlement: true,
@@ -474,6 +1110,7 @@ export const brainTreePaymentController = async (req, res) => {
             `❌ Braintree transaction error for user ${userId}:`,
             error
           );
+          await putBackStock(stock);
           return res.status(500).send(error);
         }
 
@@ -486,9 +1123,11 @@ export const brainTreePaymentController = async (req, res) => {
             );
 
             const order = await new orderModel({
-              products: cart,
+              products: items.map((item) => item.product),
+              items,
               payment: result,
               buyer: userId,
+              shippingAddress,
             }).save();
 
             console.log(
@@ -501,10 +1140,15 @@ export const brainTreePaymentController = async (req, res) => {
               `❌ Order creation failed for user ${userId}:`,
               orderError
             );
+            const paymentId = result.transaction.id;
+            const voided = await voidPayment(paymentId);
+            await putBackStock(stock);
             res.status(500).json({
               ok: false,
-              error: "Payment processed but order creation failed",
-              paymentId: result.transaction.id,
+              error: voided
+                ? "Order creation failed, your payment has been cancelled"
+                : "Payment processed but order creation failed",
+              paymentId,
             });
           }
         } else {
@@ -513,6 +1157,7 @@ export const brainTreePaymentController = async (req, res) => {
             `❌ Payment declined for user ${userId}:`,
             result?.message || "Transaction failed"
           );
+          await putBackStock(stock);
           const errorMessage =
             result?.message ||
             "Payment declined. Please check your card details.";
@@ -5,29 +5,62 @@ import {
   getProductController,
   getSingleProductController,
   productPhotoController,
+  productImageController,
+  adminProductPhotoController,
+  adminProductImageController,
   productFiltersController,
   productCountController,
   productListController,
   searchProductController,
+  suggestProductController,
   realtedProductController,
   productCategoryController,
   createProductController,
   updateProductController,
   deleteProductController,
+  adminProductsController,
+  adminSingleProductController,
+  productStatusController,
+  importProductsController,
+  exportProductsController,
 } from "../controllers/productController.js";
 
 import productModel from "../models/productModel.js";
+import auditEventModel from "../models/auditEventModel.js";
 import categoryModel from "../models/categoryModel.js";
 import orderModel from "../models/orderModel.js"; // for payment unit tests
+import userModel from "../models/userModel.js"; // buyer's address book
+import searchQueryModel from "../models/searchQueryModel.js"; // popular searches
+import { imageStore } from "../helpers/imageStore.js";
+import { withTransaction } from "../helpers/transactionHelper.js";
+import { rendition, renditionEtag } from "../helpers/renditionHelper.js";
+import braintree from "braintree";
 
 import fs from "fs";
+import { Readable } from "stream";
 import slugify from "slugify";
+import sharp from "sharp";
 
 // ---- Mocks ----
 jest.mock("../models/productModel.js");
 jest.mock("../models/categoryModel.js");
+jest.mock("../models/auditEventModel.js");
 jest.mock("../models/orderModel.js");
+jest.mock("../models/userModel.js");
+jest.mock("../models/searchQueryModel.js");
+jest.mock("../helpers/imageStore.js");
+jest.mock("../helpers/transactionHelper.js", () => ({
+  withTransaction: jest.fn((work) => work("session")),
+}));
+jest.mock("../helpers/renditionHelper.js", () => ({
+  ...jest.requireActual("../helpers/renditionHelper.js"),
+  rendition: jest.fn(),
+}));
 jest.mock("fs");
+// uploads are typed by their bytes, see checkUploads in helpers/galleryHelper.js
+jest.mock("sharp", () =>
+  jest.fn(() => ({ metadata: jest.fn().mockResolvedValue({ format: "jpeg" }) }))
+);
 jest.mock("slugify");
 jest.mock("braintree", () => ({
   BraintreeGateway: jest.fn().mockImplementation(() => ({
@@ -36,6 +69,7 @@ jest.mock("braintree", () => ({
     },
     transaction: {
       sale: jest.fn(),
+      void: jest.fn(),
     },
   })),
   Environment: {
@@ -43,6 +77,9 @@ jest.mock("braintree", () => ({
   },
 }));
 
+// the filter every storefront query adds, see helpers/productStatusHelper.js
+const ON_SALE = { status: { $in: ["published", null] } };
+
 describe("Product Controller Tests", () => {
   let req, res, consoleSpy;
 
@@ -267,6 +304,26 @@ describe("Product Controller Tests", () => {
       });
     });
 
+    test("Valid Test: Retired slug points at the current one", async () => {
+      const populate = jest.fn().mockResolvedValue(null);
+      productModel.findOne
+        .mockReturnValueOnce({ select: () => ({ populate }) })
+        .mockResolvedValueOnce({ slug: "product-1" });
+
+      await getSingleProductController(req, res);
+
+      expect(productModel.findOne).toHaveBeenLastCalledWith(
+        { slugHistory: "product-0" },
+        "slug"
+      );
+      expect(res.status).toHaveBeenCalledWith(301);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product has moved",
+        redirect: "product-1",
+      });
+    });
+
     test("Invalid Test: DB Down", async () => {
       setProductError();
 
@@ -291,13 +348,28 @@ describe("Product Controller Tests", () => {
       consoleSpy.mockRestore();
     });
 
+    // a readable stand-in for a file in the image store
+    const storedFile = () => {
+      const handlers = {};
+      const stream = {
+        on: jest.fn((event, handler) => {
+          handlers[event] = handler;
+          return stream;
+        }),
+        pipe: jest.fn().mockReturnValue(res),
+        fail: (error) => handlers.error(error),
+      };
+      imageStore.mockReturnValue({ open: jest.fn().mockReturnValue(stream) });
+      return stream;
+    };
+
     const setPhotoProduct = (buf, contentType = "image/jpeg", pid = "p1") => {
       const product = {
         _id: pid,
         photo: { data: buf, contentType },
       };
       const select = jest.fn().mockResolvedValue(product);
-      productModel.findById.mockReturnValue({ select });
+      productModel.findOne.mockReturnValue({ select });
       return { pid, product, calls: { select } };
     };
 
@@ -307,13 +379,13 @@ describe("Product Controller Tests", () => {
         photo: {},
       };
       const select = jest.fn().mockResolvedValue(product);
-      productModel.findById.mockReturnValue({ select });
+      productModel.findOne.mockReturnValue({ select });
       return { pid, product, calls: { select } };
     };
 
     const setPhotoError = (msg = "DB Down", pid = "p1") => {
       const select = jest.fn().mockRejectedValue(new Error(msg));
-      productModel.findById.mockReturnValue({ select });
+      productModel.findOne.mockReturnValue({ select });
       return { pid, calls: { select } };
     };
 
@@ -329,6 +401,155 @@ describe("Product Controller Tests", () => {
       expect(res.send).toHaveBeenCalledWith(buf);
     });
 
+    test("Invalid Test: product not on the storefront", async () => {
+      const select = jest.fn().mockResolvedValue(null);
+      productModel.findOne.mockReturnValue({ select });
+      req = { params: { pid: "draft1" } };
+
+      await productPhotoController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith({
+        _id: "draft1",
+        ...ON_SALE,
+      });
+      expect(productModel.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "There does not exist a photo",
+      });
+    });
+
+    test("Valid Test: streams the primary gallery image", async () => {
+      const stream = storedFile();
+      const select = jest.fn().mockResolvedValue({
+        _id: "p1",
+        images: [
+          { _id: "i1", key: "k1", contentType: "image/png" },
+          { _id: "i2", key: "k2", contentType: "image/webp", isPrimary: true },
+        ],
+        photo: { data: Buffer.from("legacy"), contentType: "image/jpeg" },
+      });
+      productModel.findOne.mockReturnValue({ select });
+      req = { params: { pid: "p1" } };
+
+      await productPhotoController(req, res);
+
+      expect(select).toHaveBeenCalledWith("images photo updatedAt");
+      expect(imageStore().open).toHaveBeenCalledWith("k2");
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/webp");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    test("Valid Test: sends caching headers and answers 304 when fresh", async () => {
+      const updatedAt = new Date("2026-01-02T03:04:05Z");
+      productModel.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: "p1",
+          updatedAt,
+          photo: { data: Buffer.from("legacy"), contentType: "image/png" },
+        }),
+      });
+      res.end = jest.fn();
+      req = { params: { pid: "p1" }, query: {}, fresh: true };
+
+      await productPhotoController(req, res);
+
+      expect(res.set).toHaveBeenCalledWith(
+        "ETag",
+        renditionEtag(`p1:${updatedAt.getTime()}`, {})
+      );
+      expect(res.set).toHaveBeenCalledWith(
+        "Cache-Control",
+        "public, max-age=300"
+      );
+      expect(res.set).toHaveBeenCalledWith(
+        "Last-Modified",
+        "Fri, 02 Jan 2026 03:04:05 GMT"
+      );
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    test("Valid Test: sends the requested rendition", async () => {
+      const stored = Buffer.from("original");
+      imageStore.mockReturnValue({
+        open: jest.fn(() => Readable.from([stored])),
+      });
+      productModel.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: "p1",
+          images: [{ _id: "i1", key: "k1", contentType: "image/jpeg" }],
+        }),
+      });
+      rendition.mockImplementation(async (source) => {
+        expect(await source.read()).toEqual(stored);
+        return Buffer.from("small");
+      });
+      req = { params: { pid: "p1" }, query: { w: "300", format: "webp" } };
+
+      await productPhotoController(req, res);
+
+      expect(rendition).toHaveBeenCalledWith(
+        expect.objectContaining({ tag: "k1" }),
+        { width: 300, format: "webp" }
+      );
+      expect(res.set).toHaveBeenCalledWith(
+        "ETag",
+        renditionEtag("k1", { width: 300, format: "webp" })
+      );
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/webp");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(Buffer.from("small"));
+    });
+
+    test("Valid Test: sends an SVG saved before uploads were checked as a png", async () => {
+      imageStore.mockReturnValue({
+        open: jest.fn(() => Readable.from([Buffer.from("<svg/>")])),
+      });
+      productModel.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: "p1",
+          images: [{ _id: "i1", key: "k1", contentType: "image/svg+xml" }],
+        }),
+      });
+      rendition.mockResolvedValue(Buffer.from("raster"));
+      req = { params: { pid: "p1" }, query: {} };
+
+      await productPhotoController(req, res);
+
+      expect(rendition).toHaveBeenCalledWith(
+        expect.objectContaining({ tag: "k1" }),
+        { width: undefined, format: "png" }
+      );
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/png");
+      expect(res.set).toHaveBeenCalledWith("X-Content-Type-Options", "nosniff");
+      expect(res.set).not.toHaveBeenCalledWith("Content-type", "image/svg+xml");
+      expect(res.send).toHaveBeenCalledWith(Buffer.from("raster"));
+    });
+
+    test("Invalid Test: gallery file missing from the store", async () => {
+      const stream = storedFile();
+      productModel.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          images: [{ _id: "i1", key: "gone" }],
+        }),
+      });
+      req = { params: { pid: "p1" } };
+
+      await productPhotoController(req, res);
+      stream.fail(new Error("FileNotFound"));
+
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "There does not exist a photo",
+      });
+    });
+
     test("Invalid Test: Photo unavailable", async () => {
       const { pid } = setPhotoNone("p123");
       req = { params: { pid } };
@@ -356,6 +577,141 @@ describe("Product Controller Tests", () => {
     });
   });
 
+  describe("productImageController", () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      consoleSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleSpy.mockRestore();
+    });
+
+    const images = [
+      { _id: "i1", key: "k1", contentType: "image/png" },
+      { _id: "i2", key: "k2" },
+    ];
+
+    test("Valid Test: streams the requested image", async () => {
+      const stream = { on: jest.fn(), pipe: jest.fn() };
+      imageStore.mockReturnValue({ open: jest.fn().mockReturnValue(stream) });
+      const select = jest.fn().mockResolvedValue({ images });
+      productModel.findOne.mockReturnValue({ select });
+      req = { params: { pid: "p1", imageId: "i2" } };
+
+      await productImageController(req, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith({
+        _id: "p1",
+        ...ON_SALE,
+      });
+      expect(select).toHaveBeenCalledWith("images updatedAt");
+      expect(res.set).toHaveBeenCalledWith(
+        "Cache-Control",
+        "public, max-age=31536000, immutable"
+      );
+      expect(imageStore().open).toHaveBeenCalledWith("k2");
+      expect(res.set).toHaveBeenCalledWith("Content-type", "image/jpeg");
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    test("Invalid Test: image not in the gallery", async () => {
+      productModel.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ images }),
+      });
+      req = { params: { pid: "p1", imageId: "i9" } };
+
+      await productImageController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Image not found",
+      });
+    });
+
+    test("Invalid Test: DB Down", async () => {
+      productModel.findOne.mockReturnValue({
+        select: jest.fn().mockRejectedValue(new Error("DB Down")),
+      });
+      req = { params: { pid: "p1", imageId: "i1" } };
+
+      await productImageController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting image",
+        error: "DB Down",
+      });
+    });
+  });
+
+  describe("admin image previews", () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    const product = {
+      _id: "p1",
+      status: "draft",
+      images: [{ _id: "i1", key: "k1", contentType: "image/png" }],
+    };
+
+    test("adminProductPhotoController sends the photo of a product in any status", async () => {
+      const stream = { on: jest.fn(), pipe: jest.fn() };
+      imageStore.mockReturnValue({ open: jest.fn().mockReturnValue(stream) });
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(product),
+      });
+      req = { params: { pid: "p1" } };
+
+      await adminProductPhotoController(req, res);
+
+      expect(productModel.findById).toHaveBeenCalledWith("p1");
+      expect(productModel.findOne).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith(
+        "Cache-Control",
+        "private, max-age=300"
+      );
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    test("adminProductImageController sends a gallery image of a product in any status", async () => {
+      const stream = { on: jest.fn(), pipe: jest.fn() };
+      imageStore.mockReturnValue({ open: jest.fn().mockReturnValue(stream) });
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(product),
+      });
+      req = { params: { pid: "p1", imageId: "i1" } };
+
+      await adminProductImageController(req, res);
+
+      expect(productModel.findById).toHaveBeenCalledWith("p1");
+      expect(res.set).toHaveBeenCalledWith(
+        "Cache-Control",
+        "private, max-age=31536000, immutable"
+      );
+      expect(imageStore().open).toHaveBeenCalledWith("k1");
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    test("adminProductImageController answers 404 for an unknown product", async () => {
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(null),
+      });
+      req = { params: { pid: "gone", imageId: "i1" } };
+
+      await adminProductImageController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Image not found",
+      });
+    });
+  });
+
   describe("productFiltersController", () => {
     beforeEach(() => {
       jest.clearAllMocks();
@@ -424,6 +780,7 @@ describe("Product Controller Tests", () => {
       await productFiltersController(req, res);
 
       expect(productModel.find).toHaveBeenCalledWith({
+        ...ON_SALE,
         category: checked,
         price: { $gte: 10, $lte: 20 },
       });
@@ -447,6 +804,7 @@ describe("Product Controller Tests", () => {
       await productFiltersController(req, res);
 
       expect(productModel.find).toHaveBeenCalledWith({
+        ...ON_SALE,
         category: checked,
         price: { $gte: 12, $lte: 20 },
       });
@@ -470,6 +828,7 @@ describe("Product Controller Tests", () => {
       await productFiltersController(req, res);
 
       expect(productModel.find).toHaveBeenCalledWith({
+        ...ON_SALE,
         category: checked,
         price: { $gte: 1, $lte: 9 },
       });
@@ -493,6 +852,7 @@ describe("Product Controller Tests", () => {
       await productFiltersController(req, res);
 
       expect(productModel.find).toHaveBeenCalledWith({
+        ...ON_SALE,
         category: checked,
         price: { $gte: 10, $lte: 20 },
       });
@@ -529,26 +889,21 @@ describe("Product Controller Tests", () => {
     });
 
     const setCountSuccess = (total = 42) => {
-      const estimatedDocumentCount = jest.fn().mockResolvedValue(total);
-      productModel.find.mockReturnValue({ estimatedDocumentCount });
-      return { calls: { estimatedDocumentCount }, total };
+      productModel.countDocuments.mockResolvedValue(total);
+      return { total };
     };
 
     const setCountError = (msg = "DB Down") => {
-      const estimatedDocumentCount = jest
-        .fn()
-        .mockRejectedValue(new Error(msg));
-      productModel.find.mockReturnValue({ estimatedDocumentCount });
-      return { calls: { estimatedDocumentCount } };
+      productModel.countDocuments.mockRejectedValue(new Error(msg));
     };
 
     test("Valid Test", async () => {
-      const { calls, total } = setCountSuccess(123);
+      const { total } = setCountSuccess(123);
 
       await productCountController(req, res);
 
-      expect(productModel.find).toHaveBeenCalledWith({});
-      expect(calls.estimatedDocumentCount).toHaveBeenCalledTimes(1);
+      // only products on the storefront are counted
+      expect(productModel.countDocuments).toHaveBeenCalledWith(ON_SALE);
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
@@ -644,7 +999,7 @@ describe("Product Controller Tests", () => {
       );
       const page1 = sorted.slice((page - 1) * perPage, page * perPage);
 
-      expect(productModel.find).toHaveBeenCalledWith({});
+      expect(productModel.find).toHaveBeenCalledWith(ON_SALE);
       expect(calls.select).toHaveBeenCalledWith("-photo");
       expect(calls.skip).toHaveBeenCalledWith(0);
       expect(calls.limit).toHaveBeenCalledWith(6);
@@ -703,137 +1058,202 @@ describe("Product Controller Tests", () => {
       consoleSpy.mockRestore();
     });
 
-    const makeProductLocal = (
-      i,
-      name = `Product ${i}`,
-      description = `Test Description ${i}`
-    ) => ({
+    const makeProductLocal = (i, name = `Product ${i}`) => ({
       _id: `product-id-${i}`,
       name,
-      description,
       price: 10 + i,
     });
 
-    const setSearchSuccess = (allProducts = []) => {
-      const find = jest.fn().mockImplementation((query = {}) => {
-        const ors = query?.$or ?? [];
-        // emulate case-insensitive substring match used by $regex with "i"
-        const kw = (
-          ors[0]?.name?.$regex ??
-          ors[1]?.description?.$regex ??
-          ""
-        ).toString();
-        const needle = kw.toLowerCase();
-
-        const filtered = allProducts.filter(
-          (p) =>
-            (p.name || "").toLowerCase().includes(needle) ||
-            (p.description || "").toLowerCase().includes(needle)
-        );
-
-        const select = jest.fn().mockResolvedValue(filtered);
-        return { select };
+    // find().select().sort().skip().limit().lean() resolving to `products`
+    const setSearchSuccess = (products = [], total = products.length) => {
+      const chain = {};
+      ["select", "sort", "skip", "limit"].forEach((step) => {
+        chain[step] = jest.fn().mockReturnValue(chain);
       });
-
-      productModel.find.mockImplementation(find);
-      return { calls: { find } };
+      chain.lean = jest.fn().mockResolvedValue(products);
+      productModel.find.mockReturnValue(chain);
+      productModel.countDocuments.mockResolvedValue(total);
+      return chain;
     };
 
-    const setSearchError = (msg = "DB Down") => {
-      const select = jest.fn().mockRejectedValue(new Error(msg));
-      const find = jest.fn().mockReturnValue({ select });
-      productModel.find.mockImplementation(find);
-      return { calls: { find, select } };
-    };
+    test("ranks text index matches and pages them", async () => {
+      req = { params: { keyword: 'lamp "desk light" -plastic' }, query: {} };
+      const found = [makeProductLocal(0, "Desk Lamp")];
+      const chain = setSearchSuccess(found, 30);
 
-    test("Valid Test: matches by name (case-insensitive)", async () => {
-      const keyword = "lapTOP";
-      req = { params: { keyword } };
+      await searchProductController(req, res);
 
-      const all = [
-        makeProductLocal(0, "Laptop Stand", "Metal riser"),
-        makeProductLocal(1, "Mouse", "Wireless laptop mouse"),
-        makeProductLocal(2, "Keyboard", "Mechanical"),
-      ];
-      setSearchSuccess(all);
+      const filter = {
+        ...ON_SALE,
+        $text: { $search: 'lamp "desk light" -plastic' },
+      };
+      expect(productModel.find).toHaveBeenCalledWith(filter);
+      expect(productModel.countDocuments).toHaveBeenCalledWith(filter);
+      expect(chain.select).toHaveBeenCalledWith({
+        photo: 0,
+        score: { $meta: "textScore" },
+      });
+      expect(chain.sort).toHaveBeenCalledWith({
+        score: { $meta: "textScore" },
+        createdAt: -1,
+      });
+      expect(chain.skip).toHaveBeenCalledWith(0);
+      expect(chain.limit).toHaveBeenCalledWith(12);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: found,
+        total: 30,
+        page: 1,
+        pages: 3,
+      });
+      expect(searchQueryModel.updateOne).toHaveBeenCalledWith(
+        { query: 'lamp "desk light" -plastic', day: expect.any(Date) },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+    });
 
+    test("only counts searches once and when they find something", async () => {
+      req = { params: { keyword: "lamp" }, query: { page: "2" } };
+      setSearchSuccess([], 30);
       await searchProductController(req, res);
 
-      expect(productModel.find).toHaveBeenCalledWith({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
-      });
-      // get the select mock from the first find call and assert "-photo"
-      const selectMock = productModel.find.mock.results[0].value.select;
-      expect(selectMock).toHaveBeenCalledWith("-photo");
+      req = { params: { keyword: "unicorn" }, query: {} };
+      setSearchSuccess([], 0);
+      await searchProductController(req, res);
 
-      expect(res.json).toHaveBeenCalledWith([all[0], all[1]]);
+      expect(searchQueryModel.updateOne).not.toHaveBeenCalled();
     });
 
-    test("Valid Test: matches by description only", async () => {
-      const keyword = "carbon fiber";
-      req = { params: { keyword } };
+    test("reads page and limit, capping the page size", async () => {
+      req = { params: { keyword: "lamp" }, query: { page: "3", limit: "500" } };
+      const chain = setSearchSuccess([], 120);
 
-      const all = [
-        makeProductLocal(0, "Frame", "Ultra-light carbon fiber body"),
-        makeProductLocal(1, "Bottle", "Stainless steel"),
-      ];
-      setSearchSuccess(all);
+      await searchProductController(req, res);
+
+      expect(chain.skip).toHaveBeenCalledWith(100);
+      expect(chain.limit).toHaveBeenCalledWith(50);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ total: 120, page: 3, pages: 3 })
+      );
+    });
+
+    test("reads regex metacharacters as plain words", async () => {
+      req = { params: { keyword: "(a+)+$ c++" }, query: {} };
+      setSearchSuccess([]);
 
       await searchProductController(req, res);
 
       expect(productModel.find).toHaveBeenCalledWith({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
+        ...ON_SALE,
+        $text: { $search: "a c" },
       });
-
-      expect(res.json).toHaveBeenCalledWith([all[0]]);
     });
 
-    test("Valid Test: no matches returns empty list", async () => {
-      const keyword = "nonexistent";
-      req = { params: { keyword } };
-
-      const all = [
-        makeProductLocal(0, "Chair", "Wooden"),
-        makeProductLocal(1, "Table", "Glass"),
-      ];
-      setSearchSuccess(all);
+    test("answers no results without querying when nothing is searched for", async () => {
+      req = { params: { keyword: "-plastic" }, query: {} };
 
       await searchProductController(req, res);
 
-      expect(productModel.find).toHaveBeenCalledWith({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: [],
+        total: 0,
+        page: 1,
+        pages: 0,
       });
-
-      expect(res.json).toHaveBeenCalledWith([]);
     });
 
     test("Invalid Test: DB Down", async () => {
-      const keyword = "anything";
-      req = { params: { keyword } };
-      setSearchError("DB Down");
+      req = { params: { keyword: "anything" }, query: {} };
+      setSearchSuccess([]);
+      productModel.countDocuments.mockRejectedValue(new Error("DB Down"));
 
       await searchProductController(req, res);
 
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error In Search Product API",
+        error: "DB Down",
+      });
+    });
+  });
+
+  describe("suggestProductController", () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      consoleSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleSpy.mockRestore();
+    });
+
+    // find().select().sort().limit().maxTimeMS().lean() resolving to `docs`
+    const setFound = (model, docs) => {
+      const chain = {};
+      ["select", "sort", "limit", "maxTimeMS"].forEach((step) => {
+        chain[step] = jest.fn().mockReturnValue(chain);
+      });
+      chain.lean = jest.fn().mockResolvedValue(docs);
+      model.find.mockReturnValue(chain);
+    };
+
+    test("suggests products, categories and popular searches", async () => {
+      req = { query: { q: " Desk " } };
+      const products = [{ _id: "p1", name: "Desk Lamp", slug: "desk-lamp" }];
+      const categories = [{ _id: "c1", name: "Desks", slug: "desks" }];
+      setFound(productModel, products);
+      setFound(categoryModel, categories);
+      searchQueryModel.aggregate.mockResolvedValue([
+        { _id: "desk lamp", count: 4 },
+      ]);
+
+      await suggestProductController(req, res);
+
       expect(productModel.find).toHaveBeenCalledWith({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
+        ...ON_SALE,
+        searchKeys: { $regex: "^desk" },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products,
+        categories,
+        queries: ["desk lamp"],
+      });
+    });
+
+    test("suggests nothing for a blank search", async () => {
+      req = { query: { q: "   " } };
+
+      await suggestProductController(req, res);
+
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: [],
+        categories: [],
+        queries: [],
       });
+    });
+
+    test("Invalid Test: DB Down", async () => {
+      req = { query: { q: "desk" } };
+      setFound(productModel, []);
+      setFound(categoryModel, []);
+      searchQueryModel.aggregate.mockRejectedValue(new Error("DB Down"));
+
+      await suggestProductController(req, res);
 
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        message: "Error In Search Product API",
+        message: "Error In Search Suggestions API",
         error: "DB Down",
       });
     });
@@ -927,6 +1347,7 @@ describe("Product Controller Tests", () => {
         .slice(0, 3);
 
       expect(productModel.find).toHaveBeenCalledWith({
+        ...ON_SALE,
         category: "c1",
         _id: { $ne: "p2" },
       });
@@ -981,6 +1402,9 @@ describe("Product Controller Tests", () => {
         return String(c) === String(catId);
       };
 
+      const select = jest.fn().mockResolvedValue([]);
+      categoryModel.find.mockReturnValue({ select });
+
       const populate = jest
         .fn()
         .mockResolvedValue(allProducts.filter(belongsToCat));
@@ -989,7 +1413,7 @@ describe("Product Controller Tests", () => {
       });
       productModel.find.mockImplementation(find);
 
-      return { calls: { findOne, find, populate } };
+      return { calls: { findOne, find, populate, select } };
     };
 
     const setProductCategoryErrorAtCategory = (msg = "DB Down (category)") => {
@@ -1049,13 +1473,14 @@ describe("Product Controller Tests", () => {
       const filtered = all.filter((p) => belongsTo(p, cat));
 
       expect(categoryModel.findOne).toHaveBeenCalledWith({ slug: "cat-1" });
-      expect(productModel.find).toHaveBeenCalledWith({ category: cat });
+      expect(productModel.find).toHaveBeenCalledWith({ category: cat, ...ON_SALE });
       expect(calls.populate).toHaveBeenCalledWith("category");
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
         success: true,
         category: cat,
+        subcategories: [],
         products: filtered,
       });
     });
@@ -1076,17 +1501,62 @@ describe("Product Controller Tests", () => {
       const filtered = all.filter((p) => belongsTo(p, cat2));
 
       expect(categoryModel.findOne).toHaveBeenCalledWith({ slug: "cat-2" });
-      expect(productModel.find).toHaveBeenCalledWith({ category: cat2 });
+      expect(productModel.find).toHaveBeenCalledWith({ category: cat2, ...ON_SALE });
       expect(calls.populate).toHaveBeenCalledWith("category");
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
         success: true,
         category: cat2,
+        subcategories: [],
         products: filtered,
       });
     });
 
+    test("Valid Test: Products of subcategories with ?subcategories=true", async () => {
+      const cat = makeCategory(1, "cat-1");
+      req = { params: { slug: "cat-1" }, query: { subcategories: "true" } };
+      const { calls } = setProductCategorySuccess(cat);
+      const children = [{ _id: "c2", name: "Cat 2", slug: "cat-2" }];
+      const lean = jest.fn().mockResolvedValue([{ _id: "c2" }, { _id: "c3" }]);
+      categoryModel.find
+        .mockReturnValueOnce({ select: () => ({ lean }) })
+        .mockReturnValueOnce({ select: () => Promise.resolve(children) });
+
+      await productCategoryController(req, res);
+
+      expect(categoryModel.find).toHaveBeenCalledWith({ "ancestors._id": "c1" });
+      expect(calls.find).toHaveBeenCalledWith({
+        category: { $in: ["c1", "c2", "c3"] },
+        ...ON_SALE,
+      });
+      expect(categoryModel.find).toHaveBeenCalledWith({ parentCategory: "c1" });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ subcategories: children })
+      );
+    });
+
+    test("Valid Test: Retired slug points at the current one", async () => {
+      categoryModel.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ slug: "cat-9" });
+
+      await productCategoryController(req, res);
+
+      expect(categoryModel.findOne).toHaveBeenLastCalledWith(
+        { slugHistory: "cat-1" },
+        "slug"
+      );
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(301);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Category has moved",
+        redirect: "cat-9",
+      });
+    });
+
     test("Invalid Test: DB Down (category)", async () => {
       setProductCategoryErrorAtCategory();
 
@@ -1118,10 +1588,16 @@ describe("Product Controller Tests", () => {
 // ===== Additional controller tests: create/update/delete and payments =====
 
 describe("createProductController", () => {
-  let req, res, logSpy, errSpy;
+  let req, res, logSpy, errSpy, store;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    store = {
+      save: jest.fn().mockResolvedValue("image-key"),
+      remove: jest.fn().mockResolvedValue(),
+    };
+    imageStore.mockReturnValue(store);
+    fs.createReadStream.mockReturnValue("upload-stream");
   // Ensure duplicate check path doesn't throw when calling .lean()
   productModel.findOne = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
 
@@ -1162,62 +1638,6 @@ describe("createProductController", () => {
     errSpy.mockRestore();
   });
 
-  it("should return validation error if name is missing", async () => {
-    req.fields.name = ""; // Simulate missing name
-
-    await createProductController(req, res);
-
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Name is Required" });
-  });
-
-  it("should return validation error if description is missing", async () => {
-    req.fields.description = ""; // Simulate missing description
-
-    await createProductController(req, res);
-
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Description is Required" });
-  });
-
-  it("should return validation error if price is missing", async () => {
-    req.fields.price = ""; // Simulate missing price
-
-    await createProductController(req, res);
-
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Price is Required" });
-  });
-
-  it("should return validation error if category is missing", async () => {
-    req.fields.category = ""; // Simulate missing category
-
-    await createProductController(req, res);
-
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Category is Required" });
-  });
-
-  it("should return validation error if quantity is missing", async () => {
-    req.fields.quantity = ""; // Simulate missing quantity
-
-    await createProductController(req, res);
-
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Quantity is Required" });
-  });
-
-  it("should return validation error if photo size exceeds limit", async () => {
-    req.files.photo.size = 2000000; // Simulate large photo size
-
-    await createProductController(req, res);
-
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({
-      error: "photo is Required and should be less then 1mb",
-    });
-  });
-
   it("should create a product successfully", async () => {
     const mockSave = jest.fn().mockResolvedValue({
       _id: "product123",
@@ -1228,12 +1648,28 @@ describe("createProductController", () => {
       save: mockSave,
       photo: {},
     }));
-    fs.readFileSync.mockReturnValue("mocked-photo-data");
 
     await createProductController(req, res);
 
     expect(slugify).toHaveBeenCalledWith("Test Product");
-    expect(fs.readFileSync).toHaveBeenCalledWith("test/path/to/photo.jpg");
+    expect(fs.createReadStream).toHaveBeenCalledWith("test/path/to/photo.jpg");
+    expect(store.save).toHaveBeenCalledWith("upload-stream", {
+      filename: undefined,
+      contentType: "image/jpeg",
+    });
+    expect(productModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        images: [
+          {
+            key: "image-key",
+            contentType: "image/jpeg",
+            size: 500000,
+            alt: "",
+            isPrimary: true,
+          },
+        ],
+      })
+    );
     expect(mockSave).toHaveBeenCalled();
     expect(res.status).toHaveBeenCalledWith(201);
     expect(res.send).toHaveBeenCalledWith({
@@ -1243,6 +1679,57 @@ describe("createProductController", () => {
     });
   });
 
+  it("should suffix a slug another product already uses", async () => {
+    productModel.mockImplementation(() => ({ save: jest.fn() }));
+    productModel.exists
+      .mockResolvedValueOnce({ _id: "p1" })
+      .mockResolvedValueOnce(null);
+
+    await createProductController(req, res);
+
+    expect(productModel.exists).toHaveBeenCalledWith({
+      $or: [{ slug: "test-product" }, { slugHistory: "test-product" }],
+    });
+    expect(productModel).toHaveBeenCalledWith(
+      expect.objectContaining({ slug: "test-product-2" })
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should refuse an upload whose bytes aren't a raster image", async () => {
+    // declared image/jpeg, but an SVG
+    sharp.mockReturnValueOnce({
+      metadata: jest.fn().mockResolvedValue({ format: "svg" }),
+    });
+
+    await createProductController(req, res);
+
+    expect(store.save).not.toHaveBeenCalled();
+    expect(productModel).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: "The upload is not a JPEG, PNG, WebP or GIF image",
+      })
+    );
+  });
+
+  it("should refuse to schedule a product in the past", async () => {
+    req.fields = {
+      ...req.fields,
+      status: "scheduled",
+      publishAt: "2000-01-01T00:00:00.000Z",
+    };
+
+    await createProductController(req, res);
+
+    expect(productModel).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "Publish at must be in the future" })
+    );
+  });
+
   it("should handle errors during product creation", async () => {
     const mockError = new Error("Database error");
     productModel.mockImplementation(() => ({
@@ -1252,6 +1739,8 @@ describe("createProductController", () => {
 
     await createProductController(req, res);
 
+    // the uploaded image isn't left behind without a product
+    expect(store.remove).toHaveBeenCalledWith("image-key");
     expect(res.status).toHaveBeenCalledWith(500);
     expect(res.send).toHaveBeenCalledWith({
       success: false,
@@ -1259,13 +1748,187 @@ describe("createProductController", () => {
       message: "Error in crearing product",
     });
   });
+
+  it("should reject uploads that aren't images", async () => {
+    req.files.photo = {
+      ...req.files.photo,
+      name: "notes.txt",
+      type: "text/plain",
+    };
+
+    await createProductController(req, res);
+
+    expect(store.save).not.toHaveBeenCalled();
+    expect(productModel).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "notes.txt is not an image",
+      errors: [
+        { field: "photo", rule: "type", message: "notes.txt is not an image" },
+      ],
+    });
+  });
+
+  describe("variants", () => {
+    const options = JSON.stringify([{ name: "Size", values: ["M", "L"] }]);
+    const variants = JSON.stringify([
+      { sku: "TS-M", options: { Size: "M" }, quantity: 3 },
+      { sku: "TS-L", options: { Size: "L" }, price: 120, quantity: "2" },
+    ]);
+
+    it("should save the variants and total their stock", async () => {
+      const lookup = { lean: jest.fn().mockResolvedValue(null) };
+      lookup.select = jest.fn().mockReturnValue(lookup);
+      productModel.findOne = jest.fn().mockReturnValue(lookup);
+      productModel.mockImplementation((doc) => ({
+        ...doc,
+        save: jest.fn().mockResolvedValue(doc),
+        photo: {},
+      }));
+      req.fields = { ...req.fields, options, variants };
+
+      await createProductController(req, res);
+
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          options: [{ name: "Size", values: ["M", "L"] }],
+          variants: [
+            { sku: "TS-M", options: { Size: "M" }, quantity: 3 },
+            { sku: "TS-L", options: { Size: "L" }, price: 120, quantity: 2 },
+          ],
+          quantity: 5,
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should reject variants that don't match the options", async () => {
+      req.fields = {
+        ...req.fields,
+        options,
+        variants: JSON.stringify([
+          { sku: "TS-XL", options: { Size: "XL" }, quantity: 1 },
+        ]),
+      };
+
+      await createProductController(req, res);
+
+      expect(productModel).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Variant 1 Size must be one of: M, L",
+        errors: [
+          {
+            field: "variants[0].options",
+            rule: "oneOf",
+            message: "Variant 1 Size must be one of: M, L",
+          },
+        ],
+      });
+    });
+
+    it("should not reuse another product's SKU", async () => {
+      productModel.findOne = jest
+        .fn()
+        .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(null) })
+        .mockReturnValueOnce({
+          select: jest.fn().mockReturnValue({
+            lean: jest.fn().mockResolvedValue({
+              name: "Old Shirt",
+              variants: [{ sku: "TS-L" }],
+            }),
+          }),
+        });
+      req.fields = { ...req.fields, options, variants };
+
+      await createProductController(req, res);
+
+      expect(productModel.findOne).toHaveBeenLastCalledWith({
+        "variants.sku": { $in: ["TS-M", "TS-L"] },
+      });
+      expect(productModel).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        error: "SKU TS-L is already used by Old Shirt",
+      });
+    });
+  });
+
+  describe("specs", () => {
+    const attributes = [
+      { key: "ram", label: "RAM", type: "number", unit: "GB", required: true },
+      { key: "touch", label: "Touchscreen", type: "boolean" },
+    ];
+
+    it("should save typed specs from the category's attributes", async () => {
+      categoryModel.findById.mockResolvedValueOnce({ attributes });
+      productModel.mockImplementation((doc) => ({
+        ...doc,
+        save: jest.fn().mockResolvedValue(doc),
+      }));
+      req.fields = { ...req.fields, specs: '{"ram":"16","touch":"true"}' };
+
+      await createProductController(req, res);
+
+      expect(categoryModel.findById).toHaveBeenCalledWith(
+        "Test Category",
+        "attributes"
+      );
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({ specs: { ram: 16, touch: true } })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should require the category's required attributes", async () => {
+      categoryModel.findById.mockResolvedValueOnce({ attributes });
+      req.fields = { ...req.fields, specs: '{"touch":"yes"}' };
+
+      await createProductController(req, res);
+
+      expect(productModel).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "RAM is required",
+        errors: [
+          { field: "specs.ram", rule: "required", message: "RAM is required" },
+          {
+            field: "specs.touch",
+            rule: "type",
+            message: "Touchscreen must be true or false",
+          },
+        ],
+      });
+    });
+  });
 });
 
 describe("updateProductController", () => {
-  let req, res, logSpy, errSpy;
+  let req, res, logSpy, errSpy, store, gallery;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    store = {
+      save: jest.fn().mockResolvedValue("image-key"),
+      remove: jest.fn().mockResolvedValue(),
+    };
+    imageStore.mockReturnValue(store);
+    fs.createReadStream.mockReturnValue("upload-stream");
+    gallery = [
+      {
+        _id: "img1",
+        key: "old-key",
+        contentType: "image/png",
+        isPrimary: true,
+      },
+    ];
+    productModel.findById = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue({ images: gallery }),
+    });
   // Ensure duplicate check path doesn't throw when calling .lean()
   productModel.findOne = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
 
@@ -1307,112 +1970,794 @@ describe("updateProductController", () => {
     errSpy.mockRestore();
   });
 
-  it("should return validation error if name is missing", async () => {
-    req.fields.name = ""; // Simulate missing name
+  it("should update a product successfully", async () => {
+    const mockSave = jest.fn().mockResolvedValue({
+      _id: "product123",
+      name: "Updated Product",
+      slug: "updated-product",
+    });
+
+    const mockFindByIdAndUpdate = jest.fn().mockResolvedValue({
+      _id: "product123",
+      name: "Updated Product",
+      slug: "updated-product",
+      photo: {}, // controller expects products.photo to exist
+      save: mockSave, // controller calls await products.save()
+    });
+    productModel.findByIdAndUpdate = mockFindByIdAndUpdate;
+
+    await updateProductController(req, res);
+
+    expect(slugify).toHaveBeenCalledWith("Updated Product");
+    expect(fs.createReadStream).toHaveBeenCalledWith("test/path/to/photo.jpg");
+    // a plain photo upload is added after the saved images
+    expect(mockFindByIdAndUpdate).toHaveBeenCalledWith(
+      "product123",
+      expect.objectContaining({
+        name: "Updated Product",
+        slug: "updated-product",
+        images: [
+          expect.objectContaining({ _id: "img1", isPrimary: true }),
+          expect.objectContaining({ key: "image-key", isPrimary: false }),
+        ],
+      }),
+      { new: true }
+    );
+    expect(store.remove).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Product Updated Successfully",
+      products: expect.any(Object),
+    });
+  });
+
+  it("should keep the slug while the name is unchanged", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        images: gallery,
+        name: "Updated Product",
+        slug: "updated-product-2",
+      }),
+    });
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+
+    await updateProductController(req, res);
+
+    const [, fields] = productModel.findByIdAndUpdate.mock.calls[0];
+    expect(fields).not.toHaveProperty("slug");
+    expect(fields).not.toHaveProperty("slugHistory");
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should only save the fields of the product form", async () => {
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+    req.fields = {
+      ...req.fields,
+      slug: "taken-slug",
+      slugHistory: ["other"],
+      searchKeys: ["x"],
+    };
+
+    await updateProductController(req, res);
+
+    const [, fields] = productModel.findByIdAndUpdate.mock.calls[0];
+    expect(fields).toEqual(
+      expect.objectContaining({
+        name: "Updated Product",
+        description: "Updated Description",
+        price: 150,
+        category: "Updated Category",
+        quantity: 5,
+        shipping: false,
+        slug: "updated-product",
+      })
+    );
+    expect(fields).not.toHaveProperty("slugHistory");
+    expect(fields).not.toHaveProperty("searchKeys");
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should keep the variants' total as the quantity of a variant product", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        images: gallery,
+        variants: [{ sku: "LAMP-RED", quantity: 4 }],
+      }),
+    });
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+
+    await updateProductController(req, res);
+
+    const [, fields] = productModel.findByIdAndUpdate.mock.calls[0];
+    expect(fields).not.toHaveProperty("quantity");
+    expect(fields).toHaveProperty("price", 150);
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should answer 404 when the product is deleted while saving", async () => {
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue(null);
+
+    await updateProductController(req, res);
+
+    // the upload for the gallery that was never saved is removed
+    expect(store.remove).toHaveBeenCalledWith("image-key");
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Product not found",
+    });
+  });
+
+  it("should save a new status with the rest of the form", async () => {
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+    req.fields = { ...req.fields, status: "draft" };
+
+    await updateProductController(req, res);
+
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "product123",
+      expect.objectContaining({ status: "draft", publishAt: null }),
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should retire the old slug when the product is renamed", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        _id: "product123",
+        images: gallery,
+        name: "Old Product",
+        slug: "old-product",
+        slugHistory: ["first-product"],
+      }),
+    });
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+
+    await updateProductController(req, res);
+
+    expect(productModel.exists).toHaveBeenCalledWith({
+      $or: [{ slug: "updated-product" }, { slugHistory: "updated-product" }],
+      _id: { $ne: "product123" },
+    });
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "product123",
+      expect.objectContaining({
+        slug: "updated-product",
+        slugHistory: ["first-product", "old-product"],
+      }),
+      { new: true }
+    );
+  });
+
+  it("should handle errors during product update", async () => {
+    const mockError = new Error("Database error");
+    productModel.findByIdAndUpdate = jest.fn().mockRejectedValue(mockError);
 
     await updateProductController(req, res);
 
+    // only the new upload is removed, the saved image stays
+    expect(store.remove).toHaveBeenCalledTimes(1);
+    expect(store.remove).toHaveBeenCalledWith("image-key");
     expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Name is Required" });
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      error: mockError,
+      message: "Error in Updte product",
+    });
   });
 
-  it("should return validation error if description is missing", async () => {
-    req.fields.description = ""; // Simulate missing description
+  it("should reorder the gallery and delete images left out", async () => {
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+    req.files = { image0: { ...req.files.photo, name: "side.jpg" } };
+    req.fields.images = JSON.stringify([
+      { upload: "image0", alt: "Side", isPrimary: true },
+    ]);
+
+    await updateProductController(req, res);
+
+    expect(productModel.findById).toHaveBeenCalledWith("product123");
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "product123",
+      expect.objectContaining({
+        images: [
+          {
+            key: "image-key",
+            contentType: "image/jpeg",
+            size: 500000,
+            alt: "Side",
+            isPrimary: true,
+          },
+        ],
+      }),
+      { new: true }
+    );
+    expect(store.remove).toHaveBeenCalledWith("old-key");
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should reject images from another product", async () => {
+    productModel.findByIdAndUpdate = jest.fn();
+    req.files = {};
+    req.fields.images = JSON.stringify([{ _id: "64b0000000000000000000ff" }]);
+
+    await updateProductController(req, res);
+
+    expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(store.remove).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: "Image 1 is not part of this product",
+      })
+    );
+  });
+
+  it("should only check SKUs against other products", async () => {
+    const lookup = { lean: jest.fn().mockResolvedValue(null) };
+    productModel.findOne = jest
+      .fn()
+      .mockReturnValueOnce(lookup)
+      .mockReturnValueOnce({ select: jest.fn().mockReturnValue(lookup) });
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      photo: {},
+      save: jest.fn(),
+    });
+    req.fields = {
+      ...req.fields,
+      options: JSON.stringify([{ name: "Color", values: ["Red"] }]),
+      variants: JSON.stringify([
+        { sku: "LAMP-RED", options: { Color: "Red" }, quantity: 4 },
+      ]),
+    };
+
+    await updateProductController(req, res);
+
+    expect(productModel.findOne).toHaveBeenLastCalledWith({
+      "variants.sku": { $in: ["LAMP-RED"] },
+      _id: { $ne: "product123" },
+    });
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "product123",
+      expect.objectContaining({
+        variants: [{ sku: "LAMP-RED", options: { Color: "Red" }, quantity: 4 }],
+        quantity: 4,
+      }),
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should keep the saved specs while the category stays", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        images: gallery,
+        category: "Updated Category",
+      }),
+    });
+    categoryModel.findById.mockResolvedValueOnce({
+      attributes: [{ key: "ram", label: "RAM", type: "number", required: true }],
+    });
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({
+      save: jest.fn(),
+    });
+
+    await updateProductController(req, res);
+
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "product123",
+      expect.not.objectContaining({ specs: expect.anything() }),
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should check the specs against a new category", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        images: gallery,
+        category: "Old Category",
+      }),
+    });
+    categoryModel.findById.mockResolvedValueOnce({
+      attributes: [{ key: "ram", label: "RAM", type: "number", required: true }],
+    });
+    productModel.findByIdAndUpdate = jest.fn();
+
+    await updateProductController(req, res);
+
+    expect(categoryModel.findById).toHaveBeenCalledWith(
+      "Updated Category",
+      "attributes"
+    );
+    expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "RAM is required" })
+    );
+  });
+});
+
+describe("product lifecycle", () => {
+  let req, res, logSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  describe("adminProductsController", () => {
+    // find().populate().select().sort() resolving to `products`
+    const mockList = (products) => {
+      const sort = jest.fn().mockResolvedValue(products);
+      productModel.find.mockReturnValue({
+        populate: () => ({ select: () => ({ sort }) }),
+      });
+    };
+
+    it("lists every status with the count in each", async () => {
+      const products = [{ _id: "p1", status: "draft" }];
+      mockList(products);
+      productModel.aggregate.mockResolvedValue([
+        { _id: "draft", count: 1 },
+        { _id: "published", count: 4 },
+        { _id: null, count: 2 },
+      ]);
+      req = { query: {} };
+
+      await adminProductsController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({});
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products,
+        counts: { draft: 1, scheduled: 0, published: 6, archived: 0 },
+      });
+    });
+
+    it("picks one status", async () => {
+      mockList([]);
+      productModel.aggregate.mockResolvedValue([]);
+
+      await adminProductsController({ query: { status: "archived" } }, res);
+      expect(productModel.find).toHaveBeenLastCalledWith({
+        status: "archived",
+      });
+
+      await adminProductsController({ query: { status: "published" } }, res);
+      expect(productModel.find).toHaveBeenLastCalledWith(ON_SALE);
+    });
+
+    it("answers 500 when the lookup fails", async () => {
+      productModel.find.mockImplementation(() => {
+        throw new Error("DB Down");
+      });
+
+      await adminProductsController({ query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Erorr in getting products",
+        error: "DB Down",
+      });
+    });
+  });
+
+  describe("adminSingleProductController", () => {
+    const mockProduct = (product) =>
+      productModel.findOne.mockReturnValue({
+        select: () => ({ populate: jest.fn().mockResolvedValue(product) }),
+      });
+
+    it("finds a product whatever its status", async () => {
+      const product = { _id: "p1", slug: "lamp", status: "draft" };
+      mockProduct(product);
+
+      await adminSingleProductController({ params: { slug: "lamp" } }, res);
+
+      expect(productModel.findOne).toHaveBeenCalledWith({ slug: "lamp" });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, product });
+    });
+
+    it("answers 404 for an unknown slug", async () => {
+      mockProduct(null);
+
+      await adminSingleProductController({ params: { slug: "gone" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product not found",
+      });
+    });
+  });
+
+  describe("productStatusController", () => {
+    const mockProducts = (products) => {
+      const lean = jest.fn().mockResolvedValue(products);
+      productModel.find.mockReturnValue({ select: () => ({ lean }) });
+    };
+
+    it("moves the products and audits each one", async () => {
+      mockProducts([
+        { _id: "p1", name: "Lamp", status: "published" },
+        { _id: "p2", name: "Desk" },
+      ]);
+      req = {
+        body: { products: ["p1", "p2"], status: "archived" },
+        user: { _id: "admin1" },
+      };
+
+      await productStatusController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({
+        _id: { $in: ["p1", "p2"] },
+      });
+      expect(productModel.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ["p1", "p2"] } },
+        { $set: { status: "archived", publishAt: null } }
+      );
+      expect(auditEventModel.create).toHaveBeenCalledTimes(2);
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "product.status_changed",
+          actor: "admin1",
+          target: { type: "product", id: "p2", label: "Desk" },
+          changes: {
+            before: { status: "published" },
+            after: { status: "archived" },
+          },
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "2 products moved to archived",
+        modified: 2,
+      });
+    });
+
+    it("needs a publish time to schedule", async () => {
+      req = { body: { products: ["p1"], status: "scheduled" } };
+
+      await productStatusController(req, res);
+
+      expect(productModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "Publish at is required to schedule a product",
+        })
+      );
+    });
+
+    it("answers 404 when none of the products exist", async () => {
+      mockProducts([]);
+      req = { body: { products: ["p9"], status: "draft" } };
+
+      await productStatusController(req, res);
+
+      expect(productModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Products not found",
+      });
+    });
+  });
+});
+
+describe("product import and export", () => {
+  let res, logSpy;
+  const lamps = { _id: "c1", slug: "lamps" };
+  const savedLamp = { _id: "p1", name: "Desk Lamp", slug: "desk-lamp" };
+  const csv = [
+    "slug,name,description,price,quantity,category",
+    ",Floor Lamp,Tall,40,3,lamps",
+    "desk-lamp,,,15,,",
+  ].join("\n");
+
+  // categoryModel / productModel find().select().lean()
+  const mockCatalogue = (categories, products) => {
+    categoryModel.find.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue(categories) }),
+    });
+    productModel.find.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue(products) }),
+    });
+  };
+
+  const importReq = (text, fields = {}, name = "products.csv") => {
+    fs.promises.readFile.mockResolvedValue(text);
+    return {
+      fields,
+      files: { file: { path: "/tmp/upload", name, size: text.length } },
+      user: { _id: "admin1" },
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      set: jest.fn(),
+      write: jest.fn().mockReturnValue(true),
+      end: jest.fn(),
+    };
+    // the automock of fs leaves out fs.promises
+    fs.promises = { readFile: jest.fn(), rm: jest.fn().mockResolvedValue() };
+    mockCatalogue([lamps], [savedLamp]);
+    slugify.mockImplementation((text) => text.replace(/\s+/g, "-"));
+    productModel.exists.mockResolvedValue(null);
+    productModel.prototype.save.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  describe("importProductsController", () => {
+    it("reports each row of a dry run without saving", async () => {
+      await importProductsController(importReq(csv, { dryRun: "true" }), res);
+
+      expect(fs.promises.readFile).toHaveBeenCalledWith("/tmp/upload", "utf8");
+      expect(fs.promises.rm).toHaveBeenCalledWith("/tmp/upload", {
+        force: true,
+      });
+      expect(productModel.prototype.save).not.toHaveBeenCalled();
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Dry run: 1 to create, 1 to update, 0 with errors",
+        dryRun: true,
+        summary: { create: 1, update: 1, error: 0 },
+        rows: [
+          {
+            row: 1,
+            action: "create",
+            name: "Floor Lamp",
+            slug: null,
+            errors: [],
+          },
+          {
+            row: 2,
+            action: "update",
+            name: "Desk Lamp",
+            slug: "desk-lamp",
+            errors: [],
+          },
+        ],
+      });
+    });
+
+    it("creates and updates the products and audits the import", async () => {
+      await importProductsController(importReq(csv), res);
+
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "Floor Lamp", slug: "floor-lamp" })
+      );
+      expect(withTransaction).toHaveBeenCalledTimes(1);
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "p1",
+        { price: "15" },
+        { new: true, session: "session" }
+      );
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "product.imported",
+          actor: "admin1",
+          target: { type: "product", id: undefined, label: "products.csv" },
+          metadata: { format: "csv", created: 1, updated: 1 },
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          message: "Imported 2 products: 1 created, 1 updated",
+        })
+      );
+    });
+
+    it("imports nothing when a row has errors", async () => {
+      const text = JSON.stringify([
+        {
+          name: "Floor Lamp",
+          description: "Tall",
+          price: 40,
+          quantity: 3,
+          category: "lamps",
+        },
+        {
+          name: "Desk Lamp",
+          description: "Small",
+          price: -2,
+          quantity: 1,
+          category: "desks",
+        },
+      ]);
+
+      await importProductsController(importReq(text, {}, "products.json"), res);
+
+      expect(productModel.prototype.save).not.toHaveBeenCalled();
+      expect(auditEventModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          message: "1 rows have errors, nothing was imported",
+          summary: { create: 1, update: 0, error: 1 },
+        })
+      );
+      expect(res.send.mock.calls[0][0].rows[1].errors).toEqual([
+        { field: "price", rule: "min", message: "Price must be at least 0" },
+        {
+          field: "category",
+          rule: "oneOf",
+          message: 'Category "desks" does not exist',
+        },
+      ]);
+    });
 
-    await updateProductController(req, res);
+    it("rejects a file it can't read", async () => {
+      await importProductsController(
+        importReq("not json", { format: "json" }),
+        res
+      );
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({
-      error: "Description is Required",
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          errors: [expect.objectContaining({ field: "file", rule: "type" })],
+        })
+      );
     });
-  });
 
-  it("should return validation error if price is missing", async () => {
-    req.fields.price = ""; // Simulate missing price
+    it("answers 500 when the catalogue lookup fails", async () => {
+      productModel.find.mockImplementation(() => {
+        throw new Error("DB Down");
+      });
 
-    await updateProductController(req, res);
+      await importProductsController(importReq(csv), res);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Price is Required" });
-  });
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while importing products",
+        error: "DB Down",
+      });
+      expect(fs.promises.rm).toHaveBeenCalledWith("/tmp/upload", {
+        force: true,
+      });
+    });
 
-  it("should return validation error if category is missing", async () => {
-    req.fields.category = ""; // Simulate missing category
+    it("imports nothing when a row fails to save", async () => {
+      withTransaction.mockRejectedValueOnce(new Error("E11000 duplicate key"));
 
-    await updateProductController(req, res);
+      await importProductsController(importReq(csv), res);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Category is Required" });
+      expect(auditEventModel.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while importing products" })
+      );
+    });
   });
 
-  it("should return validation error if quantity is missing", async () => {
-    req.fields.quantity = ""; // Simulate missing quantity
+  describe("exportProductsController", () => {
+    // find().select().populate().sort().lean().cursor() over `products`
+    const mockCursor = (products) => {
+      const chain = {
+        select: () => chain,
+        populate: jest.fn(() => chain),
+        sort: () => chain,
+        lean: () => chain,
+        cursor: () => products,
+      };
+      productModel.find.mockReturnValue(chain);
+      return chain;
+    };
+    const written = () => res.write.mock.calls.map(([chunk]) => chunk).join("");
 
-    await updateProductController(req, res);
+    it("streams the whole catalogue as CSV", async () => {
+      const chain = mockCursor([
+        {
+          slug: "desk-lamp",
+          name: "Desk Lamp",
+          description: "Small, red",
+          price: 12,
+          quantity: 3,
+          category: lamps,
+          status: "draft",
+        },
+      ]);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({ error: "Quantity is Required" });
-  });
+      await exportProductsController({ query: {} }, res);
 
-  it("should return validation error if photo size exceeds limit", async () => {
-    req.files.photo.size = 2000000; // Simulate large photo size
+      expect(productModel.find).toHaveBeenCalledWith();
+      expect(chain.populate).toHaveBeenCalledWith("category", "slug");
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ "Content-Type": "text/csv; charset=utf-8" })
+      );
+      expect(res.set.mock.calls[0][0]["Content-Disposition"]).toMatch(
+        /^attachment; filename="products-\d{4}-\d{2}-\d{2}\.csv"$/
+      );
+      expect(written()).toBe(
+        "slug,name,description,price,quantity,category,shipping,status,publishAt,options,variants,specs\r\n" +
+          'desk-lamp,Desk Lamp,"Small, red",12,3,lamps,,draft,,[],[],{}\r\n'
+      );
+      expect(res.end).toHaveBeenCalled();
+    });
 
-    await updateProductController(req, res);
+    it("streams JSON on request", async () => {
+      mockCursor([{ slug: "desk-lamp", name: "Desk Lamp" }]);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({
-      error: "photo is Required and should be less then 1mb",
-    });
-  });
+      await exportProductsController({ query: { format: "json" } }, res);
 
-  it("should update a product successfully", async () => {
-    const mockSave = jest.fn().mockResolvedValue({
-      _id: "product123",
-      name: "Updated Product",
-      slug: "updated-product",
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ "Content-Type": "application/json" })
+      );
+      expect(JSON.parse(written())).toEqual([
+        expect.objectContaining({ slug: "desk-lamp", options: [] }),
+      ]);
     });
 
-    const mockFindByIdAndUpdate = jest.fn().mockResolvedValue({
-      _id: "product123",
-      name: "Updated Product",
-      slug: "updated-product",
-      photo: {}, // controller expects products.photo to exist
-      save: mockSave, // controller calls await products.save()
-    });
-    productModel.findByIdAndUpdate = mockFindByIdAndUpdate;
-    fs.readFileSync.mockReturnValue("mocked-photo-data");
+    it("answers 500 when the lookup fails", async () => {
+      productModel.find.mockImplementation(() => {
+        throw new Error("DB Down");
+      });
 
-    await updateProductController(req, res);
+      await exportProductsController({ query: {} }, res);
 
-    expect(slugify).toHaveBeenCalledWith("Updated Product");
-    expect(fs.readFileSync).toHaveBeenCalledWith("test/path/to/photo.jpg");
-    expect(mockFindByIdAndUpdate).toHaveBeenCalledWith(
-      "product123",
-      expect.objectContaining({
-        name: "Updated Product",
-        slug: "updated-product",
-      }),
-      { new: true }
-    );
-    expect(res.status).toHaveBeenCalledWith(201);
-    expect(res.send).toHaveBeenCalledWith({
-      success: true,
-      message: "Product Updated Successfully",
-      products: expect.any(Object),
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while exporting products",
+        error: "DB Down",
+      });
     });
-  });
 
-  it("should handle errors during product update", async () => {
-    const mockError = new Error("Database error");
-    productModel.findByIdAndUpdate = jest.fn().mockRejectedValue(mockError);
+    it("ends a download that fails part way", async () => {
+      mockCursor({
+        async *[Symbol.asyncIterator]() {
+          throw new Error("Cursor lost");
+        },
+      });
+      res.headersSent = true;
 
-    await updateProductController(req, res);
+      await exportProductsController({ query: {} }, res);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.send).toHaveBeenCalledWith({
-      success: false,
-      error: mockError,
-      message: "Error in Updte product",
+      expect(res.send).not.toHaveBeenCalled();
+      expect(res.end).toHaveBeenCalled();
     });
   });
 });
@@ -1443,10 +2788,13 @@ describe("deleteProductController", () => {
   });
 
   it("should delete a product successfully", async () => {
+    const store = { remove: jest.fn().mockResolvedValue() };
+    imageStore.mockReturnValue(store);
     // Mongoose chaining: findByIdAndDelete(...).select('-photo')
     const mockSelect = jest.fn().mockResolvedValue({
       _id: "product123",
       name: "Deleted product",
+      images: [{ key: "k1" }, { key: "k2" }],
     });
     productModel.findByIdAndDelete = jest.fn().mockReturnValue({
       select: mockSelect,
@@ -1456,11 +2804,23 @@ describe("deleteProductController", () => {
 
     expect(productModel.findByIdAndDelete).toHaveBeenCalledWith("product123");
     expect(mockSelect).toHaveBeenCalledWith("-photo");
+    expect(store.remove).toHaveBeenCalledWith("k1");
+    expect(store.remove).toHaveBeenCalledWith("k2");
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
       message: "Product Deleted successfully",
     });
+    expect(auditEventModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "product.deleted",
+        target: { type: "product", id: "product123", label: "Deleted product" },
+        changes: {
+          before: expect.objectContaining({ name: "Deleted product" }),
+          after: null,
+        },
+      })
+    );
   });
 
   it("should handle errors during deletion", async () => {
@@ -1547,14 +2907,14 @@ describe("Braintree Payment Controller Tests (Actual Functions)", () => {
      *
      * Controller Behavior (from code inspection):
      * 1. Extracts nonce and cart from req.body
-     * 2. Calculates total by summing cart item prices
+     * 2. Prices the cart from the stored products and their variants
      * 3. Calls gateway.transaction.sale with amount, nonce, and options
      * 4. On success: creates order in database and responds with {ok: true}
      * 5. On error: sends 500 status with error details
      * 6. Uses callback pattern for async Braintree transaction processing
      *
      * Business Logic:
-     * - Cart total calculation: Iterates through cart items summing prices
+     * - Cart total calculation: sums the stored price of each cart entry
      * - Payment options: submitForSettlement set to true for immediate processing
      * - Order creation: Links products, payment result, and buyer ID
      */
@@ -1566,6 +2926,439 @@ describe("Braintree Payment Controller Tests (Actual Functions)", () => {
       // Verify function accepts two parameters: req and res
       expect(brainTreePaymentController.length).toBe(2);
     });
+
+    describe("shipping address", () => {
+      // gateway created when the controller module loaded
+      const gateway = braintree.BraintreeGateway.mock.results[0].value;
+      const home = { _id: "a1", line1: "1 Main St", isDefault: false };
+      const work = { _id: "a2", line1: "9 Office Park", isDefault: true };
+      const cart = [{ _id: "p1", price: 10 }];
+      const lamp = { _id: "p1", name: "Lamp", price: 10 };
+      const shirt = {
+        _id: "p2",
+        name: "Shirt",
+        price: 10,
+        variants: [
+          { _id: "v1", sku: "TS-M", options: { Size: "M" }, quantity: 0 },
+          { _id: "v2", sku: "TS-L", options: { Size: "L" }, price: 12, quantity: 1 },
+        ],
+      };
+
+      const mockBuyer = (addresses) => {
+        const lean = jest.fn().mockResolvedValue({ addresses });
+        userModel.findById.mockReturnValueOnce({
+          select: jest.fn().mockReturnValue({ lean }),
+        });
+      };
+
+      // the sale callback checks stock and saves the order after the
+      // controller has returned
+      const checkout = async (req, res) => {
+        await brainTreePaymentController(req, res);
+        await new Promise(setImmediate);
+      };
+
+      // the catalogue copies the cart is priced from
+      const mockProducts = (products) => {
+        const lean = jest.fn().mockResolvedValue(products);
+        productModel.find.mockReturnValue({
+          select: jest.fn().mockReturnValue({ lean }),
+        });
+      };
+
+      beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        gateway.transaction.sale.mockImplementation((options, callback) =>
+          callback(null, { success: true, transaction: { id: "t1" } })
+        );
+        orderModel.mockImplementation((doc) => ({
+          ...doc,
+          save: jest.fn().mockResolvedValue({ _id: "o1", ...doc }),
+        }));
+        productModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+        mockProducts([lamp, shirt]);
+      });
+
+      afterEach(() => {
+        console.log.mockRestore();
+      });
+
+      /**
+       * Test: Variants
+       * Expected: each order line records the variant that was bought
+       */
+      test("should record which variant was bought", async () => {
+        mockBuyer([home]);
+        const variant = { _id: "v2", sku: "TS-L", options: { Size: "L" } };
+
+        await checkout(
+          createReqWithMock(
+            {
+              nonce: "n",
+              cart: [{ _id: "p1", price: 10 }, { _id: "p2", price: 12, variant }],
+            },
+            { _id: "u1" }
+          ),
+          createResWithMock()
+        );
+
+        expect(productModel.find).toHaveBeenCalledWith({
+          _id: { $in: ["p1", "p2"] },
+          ...ON_SALE,
+        });
+        expect(orderModel).toHaveBeenCalledWith(
+          expect.objectContaining({
+            products: ["p1", "p2"],
+            items: [
+              { product: "p1", price: 10 },
+              {
+                product: "p2",
+                price: 12,
+                variant: "v2",
+                sku: "TS-L",
+                options: { Size: "L" },
+              },
+            ],
+          })
+        );
+      });
+
+      /**
+       * Test: Server-side pricing
+       * Expected: the card is charged the stored prices, whatever the cart says
+       */
+      test("should charge the stored prices, not the cart's", async () => {
+        mockBuyer([home]);
+        const variant = { _id: "v2", sku: "FAKE", options: { Size: "XS" } };
+
+        await checkout(
+          createReqWithMock(
+            {
+              nonce: "n",
+              cart: [
+                { _id: "p1", price: 0.01 },
+                { _id: "p2", price: 0.01, variant: { ...variant, price: 0.01 } },
+              ],
+            },
+            { _id: "u1" }
+          ),
+          createResWithMock()
+        );
+
+        expect(gateway.transaction.sale).toHaveBeenCalledWith(
+          expect.objectContaining({ amount: "22.00" }),
+          expect.any(Function)
+        );
+        expect(orderModel.mock.calls[0][0].items[1]).toEqual({
+          product: "p2",
+          price: 12,
+          variant: "v2",
+          sku: "TS-L",
+          options: { Size: "L" },
+        });
+      });
+
+      /**
+       * Test: Storefront
+       * Expected: a draft or archived product in the cart isn't found among
+       * the products on sale, so nothing is charged
+       */
+      test("should not charge for a product that isn't on sale", async () => {
+        mockBuyer([home]);
+        mockProducts([lamp]);
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock(
+            { nonce: "n", cart: [{ _id: "p1" }, { _id: "draft", price: 5 }] },
+            { _id: "u1" }
+          ),
+          res
+        );
+
+        expect(productModel.find).toHaveBeenCalledWith({
+          _id: { $in: ["p1", "draft"] },
+          ...ON_SALE,
+        });
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Some items in your cart are no longer available",
+        });
+        expect(gateway.transaction.sale).not.toHaveBeenCalled();
+      });
+
+      test("should not charge for an unknown variant", async () => {
+        mockBuyer([home]);
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock(
+            { nonce: "n", cart: [{ _id: "p2", variant: { _id: "v9" } }] },
+            { _id: "u1" }
+          ),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Shirt no longer comes in that option",
+        });
+        expect(gateway.transaction.sale).not.toHaveBeenCalled();
+      });
+
+      test("should not charge for an out-of-stock variant", async () => {
+        mockBuyer([home]);
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock(
+            { nonce: "n", cart: [{ _id: "p2", variant: { _id: "v1" } }] },
+            { _id: "u1" }
+          ),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Shirt (M) is out of stock",
+        });
+        expect(gateway.transaction.sale).not.toHaveBeenCalled();
+      });
+
+      /**
+       * Test: Stock
+       * Expected: the units are held before the card is charged, only if
+       * they are still there, and go back when no order comes of it
+       */
+      const variantCart = [{ _id: "p2", variant: { _id: "v2" } }];
+      const putBack = [
+        { _id: "p2", "variants._id": "v2" },
+        { $inc: { "variants.$.quantity": 1, quantity: 1 } },
+      ];
+
+      test("should hold the units bought before charging", async () => {
+        mockBuyer([home]);
+        productModel.updateOne.mockImplementation(async () => {
+          expect(gateway.transaction.sale).not.toHaveBeenCalled();
+          return { modifiedCount: 1 };
+        });
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart: variantCart }, { _id: "u1" }),
+          createResWithMock()
+        );
+
+        expect(productModel.updateOne).toHaveBeenCalledTimes(1);
+        expect(productModel.updateOne).toHaveBeenCalledWith(
+          {
+            _id: "p2",
+            variants: { $elemMatch: { _id: "v2", quantity: { $gte: 1 } } },
+          },
+          { $inc: { "variants.$.quantity": -1, quantity: -1 } }
+        );
+        expect(gateway.transaction.sale).toHaveBeenCalled();
+        expect(orderModel).toHaveBeenCalled();
+      });
+
+      test("should not charge when the variant sold out meanwhile", async () => {
+        mockBuyer([home]);
+        productModel.updateOne.mockResolvedValue({ modifiedCount: 0 });
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart: variantCart }, { _id: "u1" }),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "An item in your cart has just sold out",
+        });
+        expect(gateway.transaction.sale).not.toHaveBeenCalled();
+        expect(orderModel).not.toHaveBeenCalled();
+      });
+
+      test("should put the stock back when the payment is declined", async () => {
+        mockBuyer([home]);
+        gateway.transaction.sale.mockImplementation((options, callback) =>
+          callback(null, { success: false, message: "Declined" })
+        );
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart: variantCart }, { _id: "u1" }),
+          res
+        );
+
+        expect(productModel.updateOne).toHaveBeenLastCalledWith(...putBack);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(orderModel).not.toHaveBeenCalled();
+      });
+
+      test("should put the stock back when the gateway fails", async () => {
+        mockBuyer([home]);
+        gateway.transaction.sale.mockImplementation((options, callback) =>
+          callback(new Error("Gateway down"))
+        );
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart: variantCart }, { _id: "u1" }),
+          res
+        );
+
+        expect(productModel.updateOne).toHaveBeenLastCalledWith(...putBack);
+        expect(res.status).toHaveBeenCalledWith(500);
+        console.error.mockRestore();
+      });
+
+      test("should void the payment and put the stock back when the order can't be saved", async () => {
+        mockBuyer([home]);
+        orderModel.mockImplementation((doc) => ({
+          ...doc,
+          save: jest.fn().mockRejectedValue(new Error("DB down")),
+        }));
+        gateway.transaction.void.mockResolvedValue({ success: true });
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart: variantCart }, { _id: "u1" }),
+          res
+        );
+
+        expect(gateway.transaction.void).toHaveBeenCalledWith("t1");
+        expect(productModel.updateOne).toHaveBeenLastCalledWith(...putBack);
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Order creation failed, your payment has been cancelled",
+          paymentId: "t1",
+        });
+        console.error.mockRestore();
+      });
+
+      test("should say so when the payment can't be voided", async () => {
+        mockBuyer([home]);
+        orderModel.mockImplementation((doc) => ({
+          ...doc,
+          save: jest.fn().mockRejectedValue(new Error("DB down")),
+        }));
+        gateway.transaction.void.mockResolvedValue({
+          success: false,
+          message: "Already settled",
+        });
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart: variantCart }, { _id: "u1" }),
+          res
+        );
+
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Payment processed but order creation failed",
+          paymentId: "t1",
+        });
+        console.error.mockRestore();
+      });
+
+      /**
+       * Test: Amount
+       * Expected: Braintree gets the total as a 2-decimal string
+       */
+      test("should send the amount with two decimals", async () => {
+        mockBuyer([home]);
+        mockProducts([
+          { _id: "p1", name: "Pen", price: 0.1 },
+          { _id: "p3", name: "Pad", price: 0.2 },
+        ]);
+
+        await checkout(
+          createReqWithMock(
+            { nonce: "n", cart: [{ _id: "p1" }, { _id: "p3" }] },
+            { _id: "u1" }
+          ),
+          createResWithMock()
+        );
+
+        expect(gateway.transaction.sale.mock.calls[0][0].amount).toBe("0.30");
+      });
+
+      /**
+       * Test: Chosen address
+       * Expected: the order keeps a copy of the address picked at checkout
+       */
+      test("should record the address picked at checkout", async () => {
+        mockBuyer([home, work]);
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart, addressId: "a1" }, { _id: "u1" }),
+          res
+        );
+
+        expect(userModel.findById).toHaveBeenCalledWith("u1");
+        expect(orderModel).toHaveBeenCalledWith(
+          expect.objectContaining({ buyer: "u1", shippingAddress: home })
+        );
+        expect(res.json).toHaveBeenCalledWith({ ok: true, orderId: "o1" });
+      });
+
+      test("should fall back to the default address", async () => {
+        mockBuyer([home, work]);
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart }, { _id: "u1" }),
+          createResWithMock()
+        );
+
+        expect(orderModel).toHaveBeenCalledWith(
+          expect.objectContaining({ shippingAddress: work })
+        );
+      });
+
+      test("should not charge without a shipping address", async () => {
+        mockBuyer([]);
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart }, { _id: "u1" }),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Please add a shipping address before checking out",
+        });
+        expect(gateway.transaction.sale).not.toHaveBeenCalled();
+      });
+
+      test("should not charge for an address the buyer doesn't have", async () => {
+        mockBuyer([home]);
+        const res = createResWithMock();
+
+        await checkout(
+          createReqWithMock({ nonce: "n", cart, addressId: "other" }, { _id: "u1" }),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          ok: false,
+          error: "Shipping address not found",
+        });
+        expect(gateway.transaction.sale).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe("Payment Flow Documentation", () => {
@@ -1575,7 +3368,8 @@ describe("Braintree Payment Controller Tests (Actual Functions)", () => {
      * Approach: Output-based testing of the calculation logic
      * Expected: Total should equal sum of all cart item prices
      *
-     * This test verifies the same calculation logic used in brainTreePaymentController:
+     * brainTreePaymentController sums the stored price of every cart entry
+     * (see priceCart in helpers/variantHelper.js) the same way:
      * ```
      * let total = 0;
      * cart.map((i) => {
@@ -1649,7 +3443,10 @@ describe("Extra coverage for controllers & payments", () => {
     req = { params: { slug: "missing-slug" } };
     await getSingleProductController(req, res);
 
-    expect(productModel.findOne).toHaveBeenCalledWith({ slug: "missing-slug" });
+    expect(productModel.findOne).toHaveBeenCalledWith({
+      slug: "missing-slug",
+      ...ON_SALE,
+    });
     expect(res.status).toHaveBeenCalledWith(404);
     expect(res.send).toHaveBeenCalledWith({
       success: false,
@@ -1660,7 +3457,7 @@ describe("Extra coverage for controllers & payments", () => {
   // ---------- productPhotoController: error but headers already sent ----------
   test("productPhotoController → error path with headers already sent (no response sent)", async () => {
     const select = jest.fn().mockRejectedValue(new Error("DB fail"));
-    productModel.findById.mockReturnValue({ select });
+    productModel.findOne.mockReturnValue({ select });
 
     req = { params: { pid: "pX" } };
     // simulate headers already sent (controller should do nothing in catch)
@@ -1668,7 +3465,7 @@ describe("Extra coverage for controllers & payments", () => {
 
     await productPhotoController(req, res);
 
-    expect(productModel.findById).toHaveBeenCalledWith("pX");
+    expect(productModel.findOne).toHaveBeenCalledWith({ _id: "pX", ...ON_SALE });
     expect(res.status).not.toHaveBeenCalled();
     expect(res.send).not.toHaveBeenCalled();
   });
@@ -1687,7 +3484,7 @@ describe("Extra coverage for controllers & payments", () => {
     req = { body: { checked: ["c1"], radio: [] } };
     await productFiltersController(req, res);
 
-    expect(productModel.find).toHaveBeenCalledWith({ category: ["c1"] });
+    expect(productModel.find).toHaveBeenCalledWith({ category: ["c1"], ...ON_SALE });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
@@ -1708,7 +3505,10 @@ describe("Extra coverage for controllers & payments", () => {
     req = { body: { checked: [], radio: [50, 80] } };
     await productFiltersController(req, res);
 
-    expect(productModel.find).toHaveBeenCalledWith({ price: { $gte: 50, $lte: 80 } });
+    expect(productModel.find).toHaveBeenCalledWith({
+      price: { $gte: 50, $lte: 80 },
+      ...ON_SALE,
+    });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
@@ -1726,7 +3526,7 @@ describe("Extra coverage for controllers & payments", () => {
     req = { body: { checked: [], radio: [] } };
     await productFiltersController(req, res);
 
-    expect(productModel.find).toHaveBeenCalledWith({});
+    expect(productModel.find).toHaveBeenCalledWith(ON_SALE);
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({ success: true, products: items });
   });
@@ -1788,7 +3588,7 @@ describe("Extra coverage for controllers & payments", () => {
     expect(Array.isArray(sent)).toBe(true);
   });
 
-  // ---------- createProductController: numeric validation & duplicates & no photo ----------
+  // ---------- createProductController: duplicates & no photo ----------
   describe("createProductController extra branches", () => {
     beforeEach(() => {
       // default: no duplicate
@@ -1798,40 +3598,6 @@ describe("Extra coverage for controllers & payments", () => {
       slugify.mockImplementation((s) => s.toLowerCase().replace(/\s+/g, "-"));
     });
 
-    test("price must be a number", async () => {
-      req = {
-        fields: {
-          name: "N",
-          description: "D",
-          price: "NaN!",
-          category: "C",
-          quantity: 3,
-          shipping: true,
-        },
-        files: {},
-      };
-      await createProductController(req, res);
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.send).toHaveBeenCalledWith({ success: false, error: "Price must be a number" });
-    });
-
-    test("quantity must be a number", async () => {
-      req = {
-        fields: {
-          name: "N",
-          description: "D",
-          price: 10,
-          category: "C",
-          quantity: "oops",
-          shipping: true,
-        },
-        files: {},
-      };
-      await createProductController(req, res);
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.send).toHaveBeenCalledWith({ success: false, error: "Quantity must be a number" });
-    });
-
     test("duplicate name within category returns 409", async () => {
       productModel.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue({ _id: "exists" }),
@@ -1878,49 +3644,44 @@ describe("Extra coverage for controllers & payments", () => {
     });
   });
 
-  // ---------- updateProductController: numeric validation & duplicates & no photo ----------
+  // ---------- updateProductController: duplicates & no photo ----------
   describe("updateProductController extra branches", () => {
     beforeEach(() => {
       productModel.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue(null),
       });
+      productModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({ images: [] }),
+      });
       slugify.mockImplementation((s) => s.toLowerCase().replace(/\s+/g, "-"));
     });
 
-    test("price must be a number", async () => {
-      req = {
-        params: { pid: "p1" },
-        fields: {
-          name: "N",
-          description: "D",
-          price: "bad",
-          category: "C",
-          quantity: 2,
-          shipping: false,
-        },
-        files: {},
-      };
-      await updateProductController(req, res);
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.send).toHaveBeenCalledWith({ success: false, error: "Price must be a number" });
-    });
+    test("unknown product returns 404", async () => {
+      productModel.findById = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(null),
+      });
+      productModel.findByIdAndUpdate = jest.fn();
 
-    test("quantity must be a number", async () => {
       req = {
-        params: { pid: "p1" },
+        params: { pid: "gone" },
         fields: {
-          name: "N",
+          name: "Ok",
           description: "D",
           price: 10,
           category: "C",
-          quantity: "NaN",
+          quantity: 1,
           shipping: false,
         },
         files: {},
       };
       await updateProductController(req, res);
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.send).toHaveBeenCalledWith({ success: false, error: "Quantity must be a number" });
+
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product not found",
+      });
     });
 
     test("duplicate on another product returns 409", async () => {
@@ -0,0 +1,214 @@
+import userModel from "../models/userModel.js";
+import { comparePassword } from "./../helpers/authHelper.js";
+import {
+  generateTotpSecret,
+  totpProvisioningUri,
+  verifyTotp,
+} from "./../helpers/totpHelper.js";
+import {
+  consumeSecondFactor,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorRequired,
+} from "./../helpers/twoFactorHelper.js";
+
+//two-factor status for the signed in user
+export const twoFactorStatusController = async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      enabled: Boolean(user.twoFactor?.enabled),
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting two-factor status",
+      error,
+    });
+  }
+};
+
+//start enrollment: a fresh secret that only becomes active once confirmed
+export const twoFactorSetupController = async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).send({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+    const secret = generateTotpSecret();
+    await userModel.findByIdAndUpdate(user._id, {
+      "twoFactor.pendingSecret": secret,
+    });
+    res.status(200).send({
+      success: true,
+      secret,
+      otpauthUrl: totpProvisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while setting up two-factor authentication",
+      error,
+    });
+  }
+};
+
+//finish enrollment with a code from the authenticator app
+export const twoFactorEnableController = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).send({
+        success: false,
+        message: "Authentication code is required",
+      });
+    }
+    const user = await userModel.findById(req.user._id);
+    const pendingSecret = user?.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).send({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+    const counter = verifyTotp(pendingSecret, code);
+    if (counter === null) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    await userModel.findByIdAndUpdate(user._id, {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": pendingSecret,
+        "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        "twoFactor.lastUsedCounter": counter,
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    });
+    //plaintext recovery codes are only ever shown once
+    res.status(200).send({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while enabling two-factor authentication",
+      error,
+    });
+  }
+};
+
+//replace all recovery codes, confirmed with a current code
+export const twoFactorRecoveryCodesController = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await userModel.findById(req.user._id);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).send({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+    if (!(await consumeSecondFactor(user, { code }))) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    await userModel.findByIdAndUpdate(user._id, {
+      "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+    });
+    res.status(200).send({
+      success: true,
+      message: "New recovery codes generated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while generating recovery codes",
+      error,
+    });
+  }
+};
+
+//turn two-factor off, confirmed with the password and a code
+export const twoFactorDisableController = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).send({
+        success: false,
+        message: "Password and authentication code are required",
+      });
+    }
+    const user = await userModel.findById(req.user._id);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).send({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).send({
+        success: false,
+        message: "Two-factor authentication is required for admin accounts",
+      });
+    }
+    const match = await comparePassword(password, user.password);
+    if (!match || !(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    }
+    await userModel.findByIdAndUpdate(user._id, {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedCounter": "",
+      },
+    });
+    res.status(200).send({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while disabling two-factor authentication",
+      error,
+    });
+  }
+};
@@ -0,0 +1,302 @@
+import {
+  twoFactorStatusController,
+  twoFactorSetupController,
+  twoFactorEnableController,
+  twoFactorRecoveryCodesController,
+  twoFactorDisableController,
+} from "./twoFactorController.js";
+import userModel from "../models/userModel.js";
+import * as authHelper from "../helpers/authHelper.js";
+import {
+  generateTotp,
+  generateTotpSecret,
+  totpCounter,
+} from "../helpers/totpHelper.js";
+import { hashRecoveryCode } from "../helpers/twoFactorHelper.js";
+
+/**
+ * Unit tests for two-factor enrollment controllers
+ *
+ * 1. twoFactorStatusController: enabled / required flags for the profile page
+ * 2. twoFactorSetupController + twoFactorEnableController: two step enrollment
+ * 3. twoFactorRecoveryCodesController: regenerating recovery codes
+ * 4. twoFactorDisableController: turning two-factor off, subject to policy
+ *
+ * Test Strategy: Communication-based testing with a mocked userModel; TOTP
+ * codes are generated with the real helper so verification is exercised.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+jest.mock("../models/userModel.js");
+jest.mock("../helpers/authHelper.js");
+
+describe("Two-Factor Controllers", () => {
+  const originalEnv = { ...process.env };
+  const secret = generateTotpSecret();
+  const enrolledUser = {
+    _id: "u1",
+    role: 0,
+    email: "a@b.com",
+    password: "hashed",
+    twoFactor: {
+      enabled: true,
+      secret,
+      recoveryCodes: [hashRecoveryCode("abcde-12345")],
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    console.log.mockRestore();
+  });
+
+  describe("twoFactorStatusController", () => {
+    test("reports enrollment, policy and remaining recovery codes", async () => {
+      process.env.ADMIN_2FA_REQUIRED = "true";
+      userModel.findById.mockResolvedValue({ ...enrolledUser, role: 1 });
+      const res = createRes();
+
+      await twoFactorStatusController({ user: { _id: "u1" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        enabled: true,
+        required: true,
+        recoveryCodesRemaining: 1,
+      });
+    });
+
+    test("returns 500 when the lookup fails", async () => {
+      userModel.findById.mockRejectedValue(new Error("DB down"));
+      const res = createRes();
+
+      await twoFactorStatusController({ user: { _id: "u1" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("twoFactorSetupController", () => {
+    test("stores a pending secret and returns the provisioning uri", async () => {
+      userModel.findById.mockResolvedValue({ _id: "u1", email: "a@b.com" });
+      const res = createRes();
+
+      await twoFactorSetupController({ user: { _id: "u1" } }, res);
+
+      const { secret: pending, otpauthUrl } = res.send.mock.calls[0][0];
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith("u1", {
+        "twoFactor.pendingSecret": pending,
+      });
+      expect(otpauthUrl).toContain(`secret=${pending}`);
+      expect(otpauthUrl).toContain("a%40b.com");
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("refuses to replace an active secret", async () => {
+      userModel.findById.mockResolvedValue(enrolledUser);
+      const res = createRes();
+
+      await twoFactorSetupController({ user: { _id: "u1" } }, res);
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    });
+  });
+
+  describe("twoFactorEnableController", () => {
+    test("activates the pending secret and returns recovery codes once", async () => {
+      userModel.findById.mockResolvedValue({
+        _id: "u1",
+        twoFactor: { enabled: false, pendingSecret: secret },
+      });
+      const res = createRes();
+
+      await twoFactorEnableController(
+        { user: { _id: "u1" }, body: { code: generateTotp(secret) } },
+        res
+      );
+
+      const { recoveryCodes } = res.send.mock.calls[0][0];
+      expect(recoveryCodes).toHaveLength(10);
+      const update = userModel.findByIdAndUpdate.mock.calls[0][1];
+      expect(update.$set).toMatchObject({
+        "twoFactor.enabled": true,
+        "twoFactor.secret": secret,
+        "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+      });
+      expect(update.$unset).toEqual({ "twoFactor.pendingSecret": "" });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("rejects a wrong code", async () => {
+      userModel.findById.mockResolvedValue({
+        _id: "u1",
+        twoFactor: { pendingSecret: secret },
+      });
+      const counter = totpCounter();
+      const valid = [-1, 0, 1].map((d) => generateTotp(secret, counter + d));
+      const wrong = ["000000", "111111", "222222"].find(
+        (c) => !valid.includes(c)
+      );
+      const res = createRes();
+
+      await twoFactorEnableController(
+        { user: { _id: "u1" }, body: { code: wrong } },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("requires setup to have been started", async () => {
+      userModel.findById.mockResolvedValue({ _id: "u1", twoFactor: {} });
+      const res = createRes();
+
+      await twoFactorEnableController(
+        { user: { _id: "u1" }, body: { code: "123456" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    });
+
+    test("requires a code", async () => {
+      const res = createRes();
+
+      await twoFactorEnableController({ user: { _id: "u1" }, body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Authentication code is required",
+      });
+    });
+  });
+
+  describe("twoFactorRecoveryCodesController", () => {
+    test("replaces the recovery codes after a valid code", async () => {
+      userModel.findById.mockResolvedValue(enrolledUser);
+      userModel.findOneAndUpdate.mockResolvedValue(enrolledUser);
+      const res = createRes();
+
+      await twoFactorRecoveryCodesController(
+        { user: { _id: "u1" }, body: { code: generateTotp(secret) } },
+        res
+      );
+
+      const { recoveryCodes } = res.send.mock.calls[0][0];
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith("u1", {
+        "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("rejects users without two-factor", async () => {
+      userModel.findById.mockResolvedValue({ _id: "u1" });
+      const res = createRes();
+
+      await twoFactorRecoveryCodesController(
+        { user: { _id: "u1" }, body: { code: "123456" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("twoFactorDisableController", () => {
+    test("turns two-factor off with the password and a recovery code", async () => {
+      userModel.findById.mockResolvedValue(enrolledUser);
+      userModel.findOneAndUpdate.mockResolvedValue(enrolledUser);
+      authHelper.comparePassword.mockResolvedValue(true);
+      const res = createRes();
+
+      await twoFactorDisableController(
+        {
+          user: { _id: "u1" },
+          body: { password: "secret", recoveryCode: "abcde-12345" },
+        },
+        res
+      );
+
+      const update = userModel.findByIdAndUpdate.mock.calls[0][1];
+      expect(update.$set).toEqual({ "twoFactor.enabled": false });
+      expect(update.$unset).toHaveProperty(["twoFactor.secret"]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("rejects a wrong password", async () => {
+      userModel.findById.mockResolvedValue(enrolledUser);
+      authHelper.comparePassword.mockResolvedValue(false);
+      const res = createRes();
+
+      await twoFactorDisableController(
+        {
+          user: { _id: "u1" },
+          body: { password: "wrong", recoveryCode: "abcde-12345" },
+        },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    });
+
+    test("keeps two-factor on for admins when the policy requires it", async () => {
+      process.env.ADMIN_2FA_REQUIRED = "true";
+      userModel.findById.mockResolvedValue({ ...enrolledUser, role: 1 });
+      const res = createRes();
+
+      await twoFactorDisableController(
+        {
+          user: { _id: "u1" },
+          body: { password: "secret", code: "123456" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("requires a password and a code", async () => {
+      const res = createRes();
+
+      await twoFactorDisableController(
+        { user: { _id: "u1" }, body: { password: "secret" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Password and authentication code are required",
+      });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+import userModel from "../models/userModel.js";
+import orderModel from "../models/orderModel.js";
+import { revokeUserSessions } from "../helpers/sessionHelper.js";
+import {
+  getUserRoles,
+  isSuperAdmin,
+  listRoles,
+} from "../helpers/permissionHelper.js";
+import { recordAuditEvent } from "../helpers/auditHelper.js";
+import { escapeRegex, toPositiveInt } from "../helpers/queryHelper.js";
+
+// never send credentials or second factor secrets to the admin UI
+const USER_FIELDS = "-password -answer -twoFactor";
+const MAX_PAGE_SIZE = 50;
+
+// users without explicit roles fall back to the legacy role flag
+const noExplicitRoles = {
+  $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }],
+};
+
+const roleFilter = (role) => {
+  if (role === "customer") {
+    return { $and: [noExplicitRoles, { role: { $ne: 1 } }] };
+  }
+  if (role === "super-admin") {
+    return { $or: [{ roles: role }, { $and: [noExplicitRoles, { role: 1 }] }] };
+  }
+  return { roles: role };
+};
+
+// the fields an audit event compares before and after a change
+const AUDITED_FIELDS = "email roles role disabled";
+
+const findAuditedUser = (userId) =>
+  userModel.findById(userId).select(AUDITED_FIELDS).lean();
+
+// users:update can be part of a custom role, so making, unmaking or locking
+// out a super-admin takes a super-admin
+const actingAsSuperAdmin = async (req) =>
+  isSuperAdmin(await findAuditedUser(req.user._id));
+
+const SUPER_ADMINS_ONLY = {
+  success: false,
+  message: "Only super-admins can change the access of a super-admin",
+};
+
+const presentUser = (user) => ({
+  ...user,
+  roles: getUserRoles(user),
+  disabled: Boolean(user.disabled),
+});
+
+//list users || GET ?page=&limit=&search=&role=&status=
+export const listUsersController = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = Math.min(toPositiveInt(req.query.limit, 10), MAX_PAGE_SIZE);
+
+    const conditions = [];
+    if (search?.trim()) {
+      const pattern = escapeRegex(search.trim());
+      conditions.push({
+        $or: [
+          { name: { $regex: pattern, $options: "i" } },
+          { email: { $regex: pattern, $options: "i" } },
+        ],
+      });
+    }
+    if (role) {
+      conditions.push(roleFilter(role));
+    }
+    if (status === "disabled") {
+      conditions.push({ disabled: true });
+    } else if (status === "active") {
+      conditions.push({ disabled: { $ne: true } });
+    }
+    const filter = conditions.length ? { $and: conditions } : {};
+
+    const [users, total] = await Promise.all([
+      userModel
+        .find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      userModel.countDocuments(filter),
+    ]);
+    res.status(200).send({
+      success: true,
+      users: users.map(presentUser),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting users",
+      error,
+    });
+  }
+};
+
+//single user with their order count
+export const getUserController = async (req, res) => {
+  try {
+    const user = await userModel
+      .findById(req.params.userId)
+      .select(USER_FIELDS)
+      .lean();
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    const orderCount = await orderModel.countDocuments({ buyer: user._id });
+    res.status(200).send({
+      success: true,
+      user: presentUser(user),
+      orderCount,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting user",
+      error,
+    });
+  }
+};
+
+//roles an admin can hand out
+export const listRolesController = async (req, res) => {
+  try {
+    res.status(200).send({
+      success: true,
+      roles: await listRoles(),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting roles",
+      error,
+    });
+  }
+};
+
+//change roles || PUT { roles: [...] }, an empty list makes a customer
+export const updateUserRolesController = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { roles } = req.body;
+    if (
+      !Array.isArray(roles) ||
+      roles.some((role) => typeof role !== "string")
+    ) {
+      return res.status(400).send({
+        success: false,
+        message: "Roles must be a list of role names",
+      });
+    }
+    if (String(userId) === String(req.user._id)) {
+      return res.status(400).send({
+        success: false,
+        message: "You cannot change your own roles",
+      });
+    }
+    const known = (await listRoles()).map((role) => role.name);
+    const unknown = roles.find((role) => !known.includes(role));
+    if (unknown) {
+      return res.status(400).send({
+        success: false,
+        message: `Unknown role: ${unknown}`,
+      });
+    }
+    const names = [...new Set(roles)];
+    const previous = await findAuditedUser(userId);
+    const changesSuperAdmin =
+      names.includes("super-admin") !==
+      getUserRoles(previous).includes("super-admin");
+    if (previous && changesSuperAdmin && !(await actingAsSuperAdmin(req))) {
+      return res.status(403).send(SUPER_ADMINS_ONLY);
+    }
+    //keep the legacy flag in step so it can't re-grant admin on its own
+    const user = await userModel
+      .findByIdAndUpdate(
+        userId,
+        { roles: names, role: names.includes("super-admin") ? 1 : 0 },
+        { new: true }
+      )
+      .select(USER_FIELDS)
+      .lean();
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    await recordAuditEvent(req, {
+      action: "user.roles_updated",
+      target: { type: "user", id: user._id, label: user.email },
+      before: { roles: getUserRoles(previous) },
+      after: { roles: names },
+    });
+    res.status(200).send({
+      success: true,
+      message: "Roles updated",
+      user: presentUser(user),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating roles",
+      error,
+    });
+  }
+};
+
+//disable or re-enable || PUT { disabled: true|false }
+export const updateUserStatusController = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { disabled } = req.body;
+    if (typeof disabled !== "boolean") {
+      return res.status(400).send({
+        success: false,
+        message: "Disabled must be true or false",
+      });
+    }
+    if (String(userId) === String(req.user._id)) {
+      return res.status(400).send({
+        success: false,
+        message: "You cannot disable your own account",
+      });
+    }
+    const previous = await findAuditedUser(userId);
+    if (isSuperAdmin(previous) && !(await actingAsSuperAdmin(req))) {
+      return res.status(403).send(SUPER_ADMINS_ONLY);
+    }
+    const user = await userModel
+      .findByIdAndUpdate(userId, { disabled }, { new: true })
+      .select(USER_FIELDS)
+      .lean();
+    if (!user) {
+      return res.status(404).send({
+        success: false,
+        message: "User not found",
+      });
+    }
+    //sign the user out everywhere right away
+    if (disabled) {
+      await revokeUserSessions(user._id);
+    }
+    await recordAuditEvent(req, {
+      action: disabled ? "user.disabled" : "user.enabled",
+      target: { type: "user", id: user._id, label: user.email },
+      before: { disabled: Boolean(previous?.disabled) },
+      after: { disabled },
+    });
+    res.status(200).send({
+      success: true,
+      message: disabled ? "Account disabled" : "Account enabled",
+      user: presentUser(user),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating account status",
+      error,
+    });
+  }
+};
@@ -0,0 +1,582 @@
+import {
+  listUsersController,
+  getUserController,
+  listRolesController,
+  updateUserRolesController,
+  updateUserStatusController,
+} from "./userController.js";
+import userModel from "../models/userModel.js";
+import orderModel from "../models/orderModel.js";
+import roleModel from "../models/roleModel.js";
+import sessionModel from "../models/sessionModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+
+/**
+ * Unit tests for admin user management controllers
+ *
+ * 1. listUsersController: pagination, escaped search and role/status filters
+ * 2. getUserController: a single user with their order count
+ * 3. listRolesController: roles an admin can assign
+ * 4. updateUserRolesController: role changes with validation and self-guard
+ * 5. updateUserStatusController: disabling revokes every session
+ * Only a super-admin may grant, revoke or disable a super-admin.
+ * Role and status changes are written to the audit log with a before/after
+ * diff.
+ *
+ * Test Strategy: Communication-based testing with mocked models; query
+ * chains are stubbed so the filters and paging handed to mongoose can be
+ * asserted.
+ */
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// stub a mongoose query chain that resolves to `result` on lean()
+const mockQuery = (result) => {
+  const query = {};
+  ["select", "sort", "skip", "limit"].forEach((method) => {
+    query[method] = jest.fn().mockReturnValue(query);
+  });
+  query.lean = jest.fn().mockResolvedValue(result);
+  return query;
+};
+
+jest.mock("../models/userModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/roleModel.js");
+jest.mock("../models/auditEventModel.js");
+jest.mock("../models/sessionModel.js");
+
+describe("User Management Controllers", () => {
+  const admin = { _id: "admin1" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    roleModel.find.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("listUsersController", () => {
+    /**
+     * Test the default page
+     * No filters, newest first, ten per page, secrets excluded
+     */
+    test("should return the first page of users without secrets", async () => {
+      const query = mockQuery([
+        { _id: "u1", name: "Ann", role: 1 },
+        { _id: "u2", name: "Bob", role: 0, disabled: true },
+      ]);
+      userModel.find.mockReturnValue(query);
+      userModel.countDocuments.mockResolvedValue(12);
+
+      const res = createRes();
+      await listUsersController({ query: {} }, res);
+
+      expect(userModel.find).toHaveBeenCalledWith({});
+      expect(query.select).toHaveBeenCalledWith("-password -answer -twoFactor");
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(query.limit).toHaveBeenCalledWith(10);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        users: [
+          { _id: "u1", name: "Ann", role: 1, roles: ["super-admin"], disabled: false },
+          { _id: "u2", name: "Bob", role: 0, roles: [], disabled: true },
+        ],
+        total: 12,
+        page: 1,
+        pages: 2,
+      });
+    });
+
+    /**
+     * Test search input is treated as text, not as a regular expression
+     */
+    test("should escape the search term and combine filters", async () => {
+      userModel.find.mockReturnValue(mockQuery([]));
+      userModel.countDocuments.mockResolvedValue(0);
+
+      const res = createRes();
+      await listUsersController(
+        {
+          query: {
+            search: " a.b+ ",
+            role: "fulfillment",
+            status: "disabled",
+            page: "3",
+            limit: "5",
+          },
+        },
+        res
+      );
+
+      const filter = {
+        $and: [
+          {
+            $or: [
+              { name: { $regex: "a\\.b\\+", $options: "i" } },
+              { email: { $regex: "a\\.b\\+", $options: "i" } },
+            ],
+          },
+          { roles: "fulfillment" },
+          { disabled: true },
+        ],
+      };
+      expect(userModel.find).toHaveBeenCalledWith(filter);
+      expect(userModel.countDocuments).toHaveBeenCalledWith(filter);
+      const query = userModel.find.mock.results[0].value;
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(query.limit).toHaveBeenCalledWith(5);
+    });
+
+    test("should match legacy admins when filtering super-admins", async () => {
+      userModel.find.mockReturnValue(mockQuery([]));
+      userModel.countDocuments.mockResolvedValue(0);
+
+      await listUsersController({ query: { role: "super-admin" } }, createRes());
+
+      const [filter] = userModel.find.mock.calls[0];
+      expect(filter.$and[0].$or).toEqual(
+        expect.arrayContaining([
+          { roles: "super-admin" },
+          expect.objectContaining({
+            $and: expect.arrayContaining([{ role: 1 }]),
+          }),
+        ])
+      );
+    });
+
+    test("should cap the page size and ignore invalid paging", async () => {
+      userModel.find.mockReturnValue(mockQuery([]));
+      userModel.countDocuments.mockResolvedValue(0);
+
+      await listUsersController(
+        { query: { page: "-2", limit: "1000", status: "active" } },
+        createRes()
+      );
+
+      expect(userModel.find).toHaveBeenCalledWith({
+        $and: [{ disabled: { $ne: true } }],
+      });
+      const query = userModel.find.mock.results[0].value;
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(query.limit).toHaveBeenCalledWith(50);
+    });
+
+    test("should return 500 when the query fails", async () => {
+      userModel.find.mockImplementation(() => {
+        throw new Error("DB down");
+      });
+
+      const res = createRes();
+      await listUsersController({ query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Error while getting users" })
+      );
+    });
+  });
+
+  describe("getUserController", () => {
+    test("should return the user with their order count", async () => {
+      userModel.findById.mockReturnValue(
+        mockQuery({ _id: "u1", name: "Ann", roles: ["fulfillment"] })
+      );
+      orderModel.countDocuments.mockResolvedValue(4);
+
+      const res = createRes();
+      await getUserController({ params: { userId: "u1" } }, res);
+
+      expect(orderModel.countDocuments).toHaveBeenCalledWith({ buyer: "u1" });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        user: { _id: "u1", name: "Ann", roles: ["fulfillment"], disabled: false },
+        orderCount: 4,
+      });
+    });
+
+    test("should return 404 for an unknown user", async () => {
+      userModel.findById.mockReturnValue(mockQuery(null));
+
+      const res = createRes();
+      await getUserController({ params: { userId: "nope" } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "User not found",
+      });
+    });
+  });
+
+  describe("listRolesController", () => {
+    test("should list the assignable roles", async () => {
+      const res = createRes();
+      await listRolesController({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { roles } = res.send.mock.calls[0][0];
+      expect(roles.map((role) => role.name)).toEqual([
+        "super-admin",
+        "catalog-manager",
+        "fulfillment",
+      ]);
+    });
+  });
+
+  // the acting admin is a super-admin unless a test says otherwise
+  const mockUsers = (target, actor = { _id: "admin1", roles: ["super-admin"] }) =>
+    userModel.findById.mockImplementation((id) =>
+      mockQuery(id === actor._id ? actor : target)
+    );
+  const staffAdmin = { _id: "admin1", roles: ["support"] };
+
+  describe("updateUserRolesController", () => {
+    beforeEach(() => {
+      mockUsers({ _id: "u2", email: "bob@example.com", role: 1 });
+    });
+
+    /**
+     * Test role assignment keeps the legacy admin flag in step
+     */
+    test("should update roles and clear the legacy admin flag", async () => {
+      userModel.findByIdAndUpdate.mockReturnValue(
+        mockQuery({ _id: "u2", role: 0, roles: ["fulfillment"] })
+      );
+
+      const res = createRes();
+      await updateUserRolesController(
+        {
+          params: { userId: "u2" },
+          body: { roles: ["fulfillment", "fulfillment"] },
+          user: admin,
+        },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "u2",
+        { roles: ["fulfillment"], role: 0 },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Roles updated",
+        user: { _id: "u2", role: 0, roles: ["fulfillment"], disabled: false },
+      });
+    });
+
+    test("should record the role change in the audit log", async () => {
+      userModel.findByIdAndUpdate.mockReturnValue(
+        mockQuery({ _id: "u2", email: "bob@example.com", roles: ["fulfillment"] })
+      );
+
+      await updateUserRolesController(
+        {
+          params: { userId: "u2" },
+          body: { roles: ["fulfillment"] },
+          user: admin,
+          ip: "10.0.0.1",
+          headers: { "user-agent": "jest" },
+        },
+        createRes()
+      );
+
+      // the legacy flag counts as super-admin before the change
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "user.roles_updated",
+          actor: "admin1",
+          ip: "10.0.0.1",
+          userAgent: "jest",
+          target: { type: "user", id: "u2", label: "bob@example.com" },
+          changes: {
+            before: { roles: ["super-admin"] },
+            after: { roles: ["fulfillment"] },
+          },
+        })
+      );
+    });
+
+    test("should set the legacy flag for super-admins", async () => {
+      userModel.findByIdAndUpdate.mockReturnValue(mockQuery({ _id: "u2" }));
+
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: ["super-admin"] }, user: admin },
+        createRes()
+      );
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "u2",
+        { roles: ["super-admin"], role: 1 },
+        { new: true }
+      );
+    });
+
+    test("should accept roles stored in the roles collection", async () => {
+      roleModel.find.mockResolvedValue([
+        { name: "support", permissions: ["users:read"] },
+      ]);
+      userModel.findByIdAndUpdate.mockReturnValue(mockQuery({ _id: "u2" }));
+
+      const res = createRes();
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: ["support"] }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should reject unknown roles", async () => {
+      const res = createRes();
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: ["wizard"] }, user: admin },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Unknown role: wizard",
+      });
+    });
+
+    test("should reject a body without a list of roles", async () => {
+      const res = createRes();
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: "fulfillment" }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Roles must be a list of role names",
+      });
+    });
+
+    /**
+     * Test admins can't lock themselves out by editing their own roles
+     */
+    test("should not let an admin change their own roles", async () => {
+      const res = createRes();
+      await updateUserRolesController(
+        { params: { userId: "admin1" }, body: { roles: [] }, user: admin },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You cannot change your own roles",
+      });
+    });
+
+    /**
+     * Test a custom role holding users:update can't climb to super-admin
+     */
+    test("should only let a super-admin grant or revoke super-admin", async () => {
+      roleModel.find.mockResolvedValue([
+        { name: "support", permissions: ["users:read", "users:update"] },
+      ]);
+      mockUsers({ _id: "u2", email: "bob@example.com", roles: ["support"] }, staffAdmin);
+
+      const grant = createRes();
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: ["super-admin"] }, user: admin },
+        grant
+      );
+      mockUsers({ _id: "u2", email: "bob@example.com", role: 1 }, staffAdmin);
+      const revoke = createRes();
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: [] }, user: admin },
+        revoke
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      [grant, revoke].forEach((res) => {
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Only super-admins can change the access of a super-admin",
+        });
+      });
+    });
+
+    test("should let other admins change roles below super-admin", async () => {
+      mockUsers({ _id: "u2", email: "bob@example.com", roles: [] }, staffAdmin);
+      userModel.findByIdAndUpdate.mockReturnValue(mockQuery({ _id: "u2" }));
+
+      const res = createRes();
+      await updateUserRolesController(
+        { params: { userId: "u2" }, body: { roles: ["fulfillment"] }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return 404 for an unknown user", async () => {
+      userModel.findByIdAndUpdate.mockReturnValue(mockQuery(null));
+
+      const res = createRes();
+      await updateUserRolesController(
+        { params: { userId: "nope" }, body: { roles: [] }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("updateUserStatusController", () => {
+    beforeEach(() => {
+      mockUsers({ _id: "u2", email: "bob@example.com" });
+    });
+
+    /**
+     * Test disabling signs the user out of every session
+     */
+    test("should disable the account and revoke its sessions", async () => {
+      userModel.findByIdAndUpdate.mockReturnValue(
+        mockQuery({ _id: "u2", disabled: true })
+      );
+
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "u2" }, body: { disabled: true }, user: admin },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "u2",
+        { disabled: true },
+        { new: true }
+      );
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ user: "u2" }),
+        expect.anything()
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Account disabled",
+        user: { _id: "u2", roles: [], disabled: true },
+      });
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "user.disabled",
+          changes: { before: { disabled: false }, after: { disabled: true } },
+        })
+      );
+    });
+
+    test("should re-enable the account without touching sessions", async () => {
+      userModel.findByIdAndUpdate.mockReturnValue(
+        mockQuery({ _id: "u2", disabled: false })
+      );
+
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "u2" }, body: { disabled: false }, user: admin },
+        res
+      );
+
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Account enabled" })
+      );
+    });
+
+    test("should require a boolean", async () => {
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "u2" }, body: { disabled: "yes" }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Disabled must be true or false",
+      });
+    });
+
+    test("should not let an admin disable themselves", async () => {
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "admin1" }, body: { disabled: true }, user: admin },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "You cannot disable your own account",
+      });
+    });
+
+    test("should only let a super-admin disable a super-admin", async () => {
+      mockUsers({ _id: "u2", email: "root@example.com", roles: ["super-admin"] }, staffAdmin);
+
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "u2" }, body: { disabled: true }, user: admin },
+        res
+      );
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Only super-admins can change the access of a super-admin",
+      });
+    });
+
+    test("should let a super-admin disable another super-admin", async () => {
+      mockUsers({ _id: "u2", email: "root@example.com", role: 1 });
+      userModel.findByIdAndUpdate.mockReturnValue(
+        mockQuery({ _id: "u2", role: 1, disabled: true })
+      );
+
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "u2" }, body: { disabled: true }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return 500 when the update fails", async () => {
+      userModel.findByIdAndUpdate.mockImplementation(() => {
+        throw new Error("DB down");
+      });
+
+      const res = createRes();
+      await updateUserStatusController(
+        { params: { userId: "u2" }, body: { disabled: true }, user: admin },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// address book rules shared by the address endpoints and checkout
+
+export const MAX_ADDRESSES = 10;
+
+const REQUIRED_FIELDS = [
+  ["recipient", "Recipient is required"],
+  ["line1", "Address line 1 is required"],
+  ["city", "City is required"],
+  ["postalCode", "Postal code is required"],
+  ["country", "Country is required"],
+  ["phone", "Phone is required"],
+];
+
+const clean = (value) => (typeof value === "string" ? value.trim() : "");
+
+// the address fields from a request body, trimmed, plus the first
+// missing field as `error`
+export const readAddress = (body = {}) => {
+  const { recipient, line1, line2, city, postalCode, country, phone } = body;
+  const address = {
+    recipient: clean(recipient),
+    line1: clean(line1),
+    line2: clean(line2),
+    city: clean(city),
+    postalCode: clean(postalCode),
+    country: clean(country),
+    phone: clean(phone),
+  };
+  const fields = new Map(Object.entries(address));
+  const missing = REQUIRED_FIELDS.find(([field]) => !fields.get(field));
+  return { address, error: missing?.[1] };
+};
+
+export const findAddress = (addresses = [], addressId) =>
+  addresses.find((address) => String(address._id) === String(addressId));
+
+// the default address, or the first one for books saved without a default
+export const defaultAddress = (addresses = []) =>
+  addresses.find((address) => address.isDefault) || addresses[0];
+
+// make `addressId` the only default
+export const setDefaultAddress = (addresses, addressId) => {
+  addresses.forEach((address) => {
+    address.isDefault = String(address._id) === String(addressId);
+  });
+};
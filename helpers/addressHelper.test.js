@@ -0,0 +1,86 @@
+import {
+  defaultAddress,
+  findAddress,
+  readAddress,
+  setDefaultAddress,
+} from "./addressHelper.js";
+
+/**
+ * Unit tests for the address book helpers
+ *
+ * 1. readAddress: trims fields and reports the first missing one
+ * 2. findAddress / defaultAddress: lookups by id and the checkout default
+ * 3. setDefaultAddress: exactly one default afterwards
+ */
+describe("Address Helper", () => {
+  const body = {
+    recipient: " John ",
+    line1: "1 Main St",
+    city: "Springfield",
+    postalCode: "12345",
+    country: "USA",
+    phone: "5550100",
+  };
+
+  describe("readAddress", () => {
+    it("trims every field and ignores unknown ones", () => {
+      const { address, error } = readAddress({ ...body, isDefault: true, role: 1 });
+
+      expect(error).toBeUndefined();
+      expect(address).toEqual({
+        recipient: "John",
+        line1: "1 Main St",
+        line2: "",
+        city: "Springfield",
+        postalCode: "12345",
+        country: "USA",
+        phone: "5550100",
+      });
+    });
+
+    it("reports the first missing field", () => {
+      expect(readAddress({ ...body, city: "  " }).error).toBe("City is required");
+      expect(readAddress({}).error).toBe("Recipient is required");
+      expect(readAddress().error).toBe("Recipient is required");
+    });
+
+    it("treats non-string values as missing", () => {
+      expect(readAddress({ ...body, phone: 5550100 }).error).toBe(
+        "Phone is required"
+      );
+    });
+  });
+
+  describe("findAddress and defaultAddress", () => {
+    const addresses = [
+      { _id: { toString: () => "a1" }, isDefault: false },
+      { _id: { toString: () => "a2" }, isDefault: true },
+    ];
+
+    it("matches ids as strings", () => {
+      expect(findAddress(addresses, "a2")).toBe(addresses[1]);
+      expect(findAddress(addresses, "nope")).toBeUndefined();
+      expect(findAddress(undefined, "a1")).toBeUndefined();
+    });
+
+    it("prefers the default, then the first address", () => {
+      expect(defaultAddress(addresses)).toBe(addresses[1]);
+      expect(defaultAddress([{ _id: "a3" }])).toEqual({ _id: "a3" });
+      expect(defaultAddress([])).toBeUndefined();
+    });
+  });
+
+  describe("setDefaultAddress", () => {
+    it("leaves exactly one default", () => {
+      const addresses = [
+        { _id: "a1", isDefault: true },
+        { _id: "a2", isDefault: false },
+        { _id: "a3", isDefault: true },
+      ];
+
+      setDefaultAddress(addresses, "a2");
+
+      expect(addresses.map((a) => a.isDefault)).toEqual([false, true, false]);
+    });
+  });
+});
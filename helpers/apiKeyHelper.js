@@ -0,0 +1,69 @@
+import crypto from "crypto";
+import apiKeyModel from "../models/apiKeyModel.js";
+import { hashToken } from "./sessionHelper.js";
+import { PERMISSIONS } from "./permissionHelper.js";
+
+const KEY_PREFIX = "vv_";
+// enough of the key to tell keys apart, far too little to guess the rest
+const DISPLAY_LENGTH = KEY_PREFIX.length + 8;
+
+// keys can't mint keys or open the admin UI
+const UNSCOPED = ["dashboard:access", "api-keys:manage"];
+
+const resourceOf = (permission) => permission.split(":")[0];
+
+// "<resource>:write" covers every permission of a resource except reading
+const writeScopes = [
+  ...new Set(
+    PERMISSIONS.filter(
+      (p) => !UNSCOPED.includes(p) && !p.endsWith(":read")
+    ).map((p) => `${resourceOf(p)}:write`)
+  ),
+];
+
+export const API_KEY_SCOPES = [
+  ...PERMISSIONS.filter((p) => !UNSCOPED.includes(p)),
+  ...writeScopes,
+];
+
+// the permissions a set of scopes grants
+export const expandScopes = (scopes = []) => {
+  const permissions = new Set();
+  scopes.forEach((scope) => {
+    if (writeScopes.includes(scope)) {
+      PERMISSIONS.filter(
+        (p) =>
+          resourceOf(p) === resourceOf(scope) &&
+          !p.endsWith(":read") &&
+          !UNSCOPED.includes(p)
+      ).forEach((p) => permissions.add(p));
+    } else if (API_KEY_SCOPES.includes(scope)) {
+      permissions.add(scope);
+    }
+  });
+  return [...permissions];
+};
+
+// a new random key; only the returned `key` can authenticate, and it is
+// never stored
+export const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  return {
+    key,
+    prefix: key.slice(0, DISPLAY_LENGTH),
+    keyHash: hashToken(key),
+  };
+};
+
+// the live key document for a presented key, or null; stamps its last use
+export const authenticateApiKey = async (key, req) => {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+  const now = new Date();
+  return apiKeyModel.findOneAndUpdate(
+    { keyHash: hashToken(key), revokedAt: null },
+    { lastUsedAt: now, lastUsedIp: req?.ip },
+    { new: true }
+  );
+};
@@ -0,0 +1,82 @@
+import {
+  API_KEY_SCOPES,
+  authenticateApiKey,
+  expandScopes,
+  generateApiKey,
+} from "./apiKeyHelper.js";
+import { hashToken } from "./sessionHelper.js";
+import apiKeyModel from "../models/apiKeyModel.js";
+
+jest.mock("../models/apiKeyModel.js");
+jest.mock("../models/sessionModel.js");
+
+/**
+ * Unit tests for API key helpers
+ *
+ * 1. API_KEY_SCOPES / expandScopes: permissions a key can carry, with
+ *    "<resource>:write" covering every non-read permission of a resource
+ * 2. generateApiKey: random keys with a display prefix and a sha256 digest
+ * 3. authenticateApiKey: digest lookup of live keys with last-use stamping
+ */
+describe("API Key Helper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("scopes", () => {
+    it("offers permissions and write aliases but not admin access", () => {
+      expect(API_KEY_SCOPES).toEqual(
+        expect.arrayContaining(["orders:read", "products:create", "products:write"])
+      );
+      expect(API_KEY_SCOPES).not.toContain("dashboard:access");
+      expect(API_KEY_SCOPES).not.toContain("api-keys:manage");
+      expect(API_KEY_SCOPES).not.toContain("api-keys:write");
+    });
+
+    it("expands write scopes and drops unknown ones", () => {
+      expect(expandScopes(["products:write", "orders:read", "*", "bogus"]).sort()).toEqual([
+        "orders:read",
+        "products:create",
+        "products:delete",
+        "products:update",
+      ]);
+      expect(expandScopes(["orders:write"])).toEqual(["orders:update"]);
+      expect(expandScopes()).toEqual([]);
+    });
+  });
+
+  describe("generateApiKey", () => {
+    it("returns a fresh key, its prefix and its digest", () => {
+      const first = generateApiKey();
+      const second = generateApiKey();
+
+      expect(first.key).toMatch(/^vv_[A-Za-z0-9_-]{32}$/);
+      expect(first.prefix).toBe(first.key.slice(0, 11));
+      expect(first.keyHash).toBe(hashToken(first.key));
+      expect(first.keyHash).not.toContain(first.key);
+      expect(second.key).not.toBe(first.key);
+    });
+  });
+
+  describe("authenticateApiKey", () => {
+    it("finds live keys by digest and records the use", async () => {
+      const { key, keyHash } = generateApiKey();
+      apiKeyModel.findOneAndUpdate.mockResolvedValueOnce({ _id: "k1" });
+
+      const apiKey = await authenticateApiKey(key, { ip: "10.0.0.1" });
+
+      expect(apiKey).toEqual({ _id: "k1" });
+      expect(apiKeyModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { keyHash, revokedAt: null },
+        { lastUsedAt: expect.any(Date), lastUsedIp: "10.0.0.1" },
+        { new: true }
+      );
+    });
+
+    it("ignores values without the key prefix", async () => {
+      expect(await authenticateApiKey("Bearer abc")).toBeNull();
+      expect(await authenticateApiKey(undefined)).toBeNull();
+      expect(apiKeyModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
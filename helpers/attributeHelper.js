@@ -0,0 +1,208 @@
+import categoryModel from "../models/categoryModel.js";
+import { ATTRIBUTE_TYPES } from "../models/attributeTypes.js";
+import {
+  parseJsonList,
+  validateEntry,
+} from "../middlewares/validationMiddleware.js";
+
+// Category attribute schemas and the product specs that follow them. A
+// category lists the attributes its products describe:
+//
+//   attributes: [{ "key": "ram", "label": "RAM", "type": "number",
+//                  "unit": "GB", "required": true },
+//                { "key": "panel", "label": "Panel", "type": "enum",
+//                  "options": ["IPS", "OLED"] }]
+//
+// and its products send their values as JSON in the `specs` form field:
+// { "ram": "16", "panel": "IPS" }. Values are saved typed: numbers as
+// numbers, booleans as booleans, enum and text values as trimmed text.
+// Attributes are the category's own; subcategories don't inherit them.
+
+export const MAX_ATTRIBUTES = 30;
+const MAX_SPEC_TEXT = 500;
+const KEY = /^[a-z][a-z0-9_]*$/;
+
+const attributeRules = (index) => {
+  const label = `Attribute ${index + 1}`;
+  return {
+    key: {
+      required: true,
+      maxLength: 40,
+      label: `${label} key`,
+      check: (key) =>
+        KEY.test(key)
+          ? []
+          : [
+              {
+                rule: "pattern",
+                message: `${label} key must start with a letter and use only lowercase letters, digits and _`,
+              },
+            ],
+    },
+    label: { required: true, maxLength: 50, label: `${label} label` },
+    type: { required: true, oneOf: ATTRIBUTE_TYPES, label: `${label} type` },
+    options: {
+      type: "array",
+      maxLength: 50,
+      items: { required: true, maxLength: 50 },
+      label: `${label} options`,
+    },
+    unit: { maxLength: 20, label: `${label} unit` },
+    required: { type: "boolean", label: `${label} required flag` },
+  };
+};
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isTrue = (value) => [true, "true", "1"].includes(value);
+
+// the attribute list from a category request, ready to save, plus every
+// problem found as validateRequest errors. `fields` is empty when the
+// request sent no attributes.
+export const readAttributes = ({ attributes } = {}) => {
+  const errors = [];
+  if (attributes === undefined) {
+    return { fields: {}, errors };
+  }
+  const list = parseJsonList(attributes, "attributes", "Attributes", errors);
+  if (list.length > MAX_ATTRIBUTES) {
+    errors.push({
+      field: "attributes",
+      rule: "maxLength",
+      message: `Categories can have at most ${MAX_ATTRIBUTES} attributes`,
+    });
+  }
+  if (errors.length) {
+    return { fields: {}, errors };
+  }
+  const saved = [];
+  list.forEach((entry, index) => {
+    const field = `attributes[${index}]`;
+    const label = `Attribute ${index + 1}`;
+    if (!isObject(entry)) {
+      errors.push({
+        field,
+        rule: "type",
+        message: `${label} must have a key, label and type`,
+      });
+      return;
+    }
+    const entryErrs = validateEntry(attributeRules(index), entry, field);
+    if (entryErrs.length) {
+      errors.push(...entryErrs);
+      return;
+    }
+    const key = entry.key.trim();
+    const options = (entry.options || []).map((option) => option.trim());
+    if (saved.some((attribute) => attribute.key === key)) {
+      errors.push({
+        field: `${field}.key`,
+        rule: "unique",
+        message: `Attribute "${key}" is listed twice`,
+      });
+      return;
+    }
+    if (entry.type === "enum" && !options.length) {
+      errors.push({
+        field: `${field}.options`,
+        rule: "required",
+        message: `${label} needs the values to choose from`,
+      });
+      return;
+    }
+    if (new Set(options).size !== options.length) {
+      errors.push({
+        field: `${field}.options`,
+        rule: "unique",
+        message: `Attribute "${key}" lists a value twice`,
+      });
+      return;
+    }
+    const unit = (entry.unit || "").trim();
+    saved.push({
+      key,
+      label: entry.label.trim(),
+      type: entry.type,
+      ...(entry.type === "enum" && { options }),
+      ...(entry.type === "number" && unit && { unit }),
+      required: isTrue(entry.required),
+    });
+  });
+  return { fields: errors.length ? {} : { attributes: saved }, errors };
+};
+
+// the attributes of a category, [] when it has none
+export const categoryAttributes = async (categoryId) =>
+  (await categoryModel.findById(categoryId, "attributes"))?.attributes || [];
+
+// the rules a spec value follows
+const specRules = ({ label, type, options, required }) => {
+  const rules = { label, required };
+  if (type === "enum") return { ...rules, oneOf: options };
+  if (type === "number") return { ...rules, type: "number" };
+  if (type === "boolean") return { ...rules, type: "boolean" };
+  return { ...rules, maxLength: MAX_SPEC_TEXT };
+};
+
+const specValue = (type, value) => {
+  if (type === "number") return Number(value);
+  if (type === "boolean") return isTrue(value);
+  return String(value).trim();
+};
+
+// the specs from a product form for a category with `attributes`, ready to
+// save, plus every problem found as validateRequest errors. Values of other
+// attributes are refused. `current` is the saved product on an update that
+// keeps its category: when the form sent no specs its saved ones are kept
+// and `fields` is empty.
+export const readSpecs = ({ specs } = {}, attributes = [], current) => {
+  const errors = [];
+  if (specs === undefined && current) {
+    return { fields: {}, errors };
+  }
+  let values = specs ?? {};
+  if (typeof values === "string") {
+    try {
+      values = values.trim() ? JSON.parse(values) : {};
+    } catch {
+      values = null;
+    }
+  }
+  if (!isObject(values)) {
+    errors.push({
+      field: "specs",
+      rule: "type",
+      message: "Specifications must be an object",
+    });
+    return { fields: {}, errors };
+  }
+  const entries = new Map(Object.entries(values));
+  for (const key of entries.keys()) {
+    if (!attributes.some((attribute) => attribute.key === key)) {
+      errors.push({
+        field: `specs.${key}`,
+        rule: "oneOf",
+        message: `"${key}" is not an attribute of this category`,
+      });
+    }
+  }
+  errors.push(
+    ...validateEntry(
+      Object.fromEntries(
+        attributes.map((attribute) => [attribute.key, specRules(attribute)])
+      ),
+      values,
+      "specs"
+    )
+  );
+  if (errors.length) {
+    return { fields: {}, errors };
+  }
+  const saved = Object.fromEntries(
+    attributes
+      .filter(({ key }) => ![undefined, null, ""].includes(entries.get(key)))
+      .map(({ key, type }) => [key, specValue(type, entries.get(key))])
+  );
+  return { fields: { specs: saved }, errors };
+};
@@ -0,0 +1,243 @@
+import {
+  MAX_ATTRIBUTES,
+  categoryAttributes,
+  readAttributes,
+  readSpecs,
+} from "./attributeHelper.js";
+import categoryModel from "../models/categoryModel.js";
+
+jest.mock("../models/categoryModel.js");
+
+/**
+ * Unit tests for category attributes and product specs
+ *
+ * 1. readAttributes: keys, types, enum values and the size of the list
+ * 2. categoryAttributes: a category's attributes, [] without one
+ * 3. readSpecs: typed values checked against the category's attributes
+ */
+describe("Attribute Helper", () => {
+  const attributes = [
+    { key: "ram", label: "RAM", type: "number", unit: "GB", required: true },
+    { key: "panel", label: "Panel", type: "enum", options: ["IPS", "OLED"] },
+    { key: "touch", label: "Touchscreen", type: "boolean" },
+    { key: "model", label: "Model", type: "text" },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("readAttributes", () => {
+    it("keeps the saved attributes when none are sent", () => {
+      expect(readAttributes({ name: "Laptops" })).toEqual({
+        fields: {},
+        errors: [],
+      });
+    });
+
+    it("reads a JSON list, keeping units on numbers and options on enums", () => {
+      const { fields, errors } = readAttributes({
+        attributes: JSON.stringify([
+          { key: "ram", label: " RAM ", type: "number", unit: "GB" },
+          {
+            key: "panel",
+            label: "Panel",
+            type: "enum",
+            options: [" IPS", "OLED"],
+            unit: "in",
+            required: "true",
+          },
+          { key: "author", label: "Author", type: "text", options: ["x"] },
+        ]),
+      });
+
+      expect(errors).toEqual([]);
+      expect(fields.attributes).toEqual([
+        {
+          key: "ram",
+          label: "RAM",
+          type: "number",
+          unit: "GB",
+          required: false,
+        },
+        {
+          key: "panel",
+          label: "Panel",
+          type: "enum",
+          options: ["IPS", "OLED"],
+          required: true,
+        },
+        { key: "author", label: "Author", type: "text", required: false },
+      ]);
+    });
+
+    it("refuses bad keys, unknown types and enums without values", () => {
+      const { fields, errors } = readAttributes({
+        attributes: [
+          { key: "Screen Size", label: "Screen", type: "number" },
+          { key: "color", label: "Color", type: "colour" },
+          { key: "panel", label: "Panel", type: "enum", options: [] },
+          "touch",
+        ],
+      });
+
+      expect(fields).toEqual({});
+      expect(errors).toEqual([
+        {
+          field: "attributes[0].key",
+          rule: "pattern",
+          message:
+            "Attribute 1 key must start with a letter and use only lowercase letters, digits and _",
+        },
+        {
+          field: "attributes[1].type",
+          rule: "oneOf",
+          message:
+            "Attribute 2 type must be one of: enum, number, boolean, text",
+        },
+        {
+          field: "attributes[2].options",
+          rule: "required",
+          message: "Attribute 3 needs the values to choose from",
+        },
+        {
+          field: "attributes[3]",
+          rule: "type",
+          message: "Attribute 4 must have a key, label and type",
+        },
+      ]);
+    });
+
+    it("refuses repeated keys and values", () => {
+      const { errors } = readAttributes({
+        attributes: [
+          { key: "ram", label: "RAM", type: "number" },
+          { key: "ram", label: "Memory", type: "number" },
+          {
+            key: "panel",
+            label: "Panel",
+            type: "enum",
+            options: ["IPS", "IPS"],
+          },
+        ],
+      });
+
+      expect(errors.map(({ message }) => message)).toEqual([
+        'Attribute "ram" is listed twice',
+        'Attribute "panel" lists a value twice',
+      ]);
+    });
+
+    it("refuses lists that are not lists or too long", () => {
+      expect(readAttributes({ attributes: "ram" }).errors).toEqual([
+        {
+          field: "attributes",
+          rule: "type",
+          message: "Attributes must be a list",
+        },
+      ]);
+      const many = Array.from({ length: MAX_ATTRIBUTES + 1 }, (_, index) => ({
+        key: `a${index}`,
+        label: "A",
+        type: "text",
+      }));
+      expect(readAttributes({ attributes: many }).errors[0].rule).toBe(
+        "maxLength"
+      );
+    });
+  });
+
+  describe("categoryAttributes", () => {
+    it("loads the attributes of a category", async () => {
+      categoryModel.findById.mockResolvedValueOnce({ attributes });
+
+      await expect(categoryAttributes("c1")).resolves.toBe(attributes);
+      expect(categoryModel.findById).toHaveBeenCalledWith("c1", "attributes");
+    });
+
+    it("is empty for a missing category", async () => {
+      categoryModel.findById.mockResolvedValueOnce(null);
+
+      await expect(categoryAttributes("c9")).resolves.toEqual([]);
+    });
+  });
+
+  describe("readSpecs", () => {
+    it("saves typed values and drops blank ones", () => {
+      expect(
+        readSpecs(
+          {
+            specs: JSON.stringify({
+              ram: "16",
+              panel: "OLED",
+              touch: "false",
+              model: " X1 ",
+            }),
+          },
+          attributes
+        )
+      ).toEqual({
+        fields: {
+          specs: { ram: 16, panel: "OLED", touch: false, model: "X1" },
+        },
+        errors: [],
+      });
+      expect(
+        readSpecs({ specs: { ram: 8, panel: "", touch: true } }, attributes)
+      ).toEqual({ fields: { specs: { ram: 8, touch: true } }, errors: [] });
+    });
+
+    it("checks each value against its attribute", () => {
+      const { fields, errors } = readSpecs(
+        {
+          specs: { ram: "lots", panel: "TN", touch: "maybe", weight: "2" },
+        },
+        attributes
+      );
+
+      expect(fields).toEqual({});
+      expect(errors).toEqual([
+        {
+          field: "specs.weight",
+          rule: "oneOf",
+          message: '"weight" is not an attribute of this category',
+        },
+        { field: "specs.ram", rule: "type", message: "RAM must be a number" },
+        {
+          field: "specs.panel",
+          rule: "oneOf",
+          message: "Panel must be one of: IPS, OLED",
+        },
+        {
+          field: "specs.touch",
+          rule: "type",
+          message: "Touchscreen must be true or false",
+        },
+      ]);
+    });
+
+    it("needs the required attributes", () => {
+      expect(readSpecs({}, attributes).errors).toEqual([
+        { field: "specs.ram", rule: "required", message: "RAM is required" },
+      ]);
+      expect(readSpecs({ specs: "[1]" }, attributes).errors).toEqual([
+        {
+          field: "specs",
+          rule: "type",
+          message: "Specifications must be an object",
+        },
+      ]);
+    });
+
+    it("keeps the saved specs of an update that sends none", () => {
+      expect(readSpecs({ name: "Laptop" }, attributes, { _id: "p1" })).toEqual({
+        fields: {},
+        errors: [],
+      });
+      expect(readSpecs({ specs: "" }, [], { _id: "p1" })).toEqual({
+        fields: { specs: {} },
+        errors: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { diffChanges, recordAuditEvent } from "./auditHelper.js";
+import auditEventModel from "../models/auditEventModel.js";
+
+jest.mock("../models/auditEventModel.js");
+
+/**
+ * Unit tests for the audit log helper
+ *
+ * 1. diffChanges: keeps only the fields that changed
+ * 2. recordAuditEvent: actor, request source and target of an event, and
+ *    a failed write never fails the request being audited
+ */
+describe("Audit Helper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe("diffChanges", () => {
+    it("keeps only the changed fields on both sides", () => {
+      expect(
+        diffChanges(
+          { name: "Old", slug: "same", roles: ["a"] },
+          { name: "New", slug: "same", roles: ["a", "b"], extra: 1 }
+        )
+      ).toEqual({
+        before: { name: "Old", roles: ["a"] },
+        after: { name: "New", roles: ["a", "b"], extra: 1 },
+      });
+    });
+
+    it("keeps the whole record for creations and deletions", () => {
+      expect(diffChanges(null, { name: "New" })).toEqual({
+        before: null,
+        after: { name: "New" },
+      });
+      expect(diffChanges({ name: "Gone" }, undefined)).toEqual({
+        before: { name: "Gone" },
+        after: null,
+      });
+    });
+
+    it("returns nothing without either side", () => {
+      expect(diffChanges()).toBeUndefined();
+    });
+  });
+
+  describe("recordAuditEvent", () => {
+    const req = {
+      user: { _id: "admin1" },
+      ip: "10.0.0.1",
+      headers: { "user-agent": "jest" },
+    };
+
+    it("records the signed in user as the actor by default", async () => {
+      await recordAuditEvent(req, {
+        action: "category.updated",
+        target: { type: "category", id: 42, label: "Books" },
+        before: { name: "Book" },
+        after: { name: "Books" },
+      });
+
+      expect(auditEventModel.create).toHaveBeenCalledWith({
+        action: "category.updated",
+        actor: "admin1",
+        actorEmail: undefined,
+        ip: "10.0.0.1",
+        userAgent: "jest",
+        target: { type: "category", id: "42", label: "Books" },
+        changes: { before: { name: "Book" }, after: { name: "Books" } },
+        metadata: undefined,
+      });
+    });
+
+    it("records anonymous events with the email that was used", async () => {
+      await recordAuditEvent(
+        { ip: "10.0.0.2", headers: {} },
+        {
+          action: "auth.login_failed",
+          actor: null,
+          actorEmail: "who@example.com",
+          metadata: { reason: "unknown_user" },
+        }
+      );
+
+      expect(auditEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actor: null,
+          actorEmail: "who@example.com",
+          target: undefined,
+          changes: undefined,
+          metadata: { reason: "unknown_user" },
+        })
+      );
+    });
+
+    it("logs a failed write instead of throwing", async () => {
+      auditEventModel.create.mockRejectedValueOnce(new Error("DB down"));
+
+      await expect(
+        recordAuditEvent(req, { action: "product.deleted" })
+      ).resolves.toBeUndefined();
+      expect(console.log).toHaveBeenCalledWith(expect.any(Error));
+    });
+  });
+});
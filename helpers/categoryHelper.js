@@ -0,0 +1,132 @@
+import categoryModel from "../models/categoryModel.js";
+
+// Categories form a tree through `parentCategory`. Each category also stores
+// its ancestors, root first, so a breadcrumb is one read and a subtree is one
+// query on "ancestors._id". These helpers keep the stored paths in step when
+// categories are added, renamed or moved.
+
+const sameId = (a, b) => String(a) === String(b);
+
+// how a category appears in the ancestors of the ones below it
+const pathEntry = (category) => ({
+  _id: category._id,
+  name: category.name,
+  slug: category.slug,
+});
+
+// the ancestors of a new child of `parent`; [] at the top level
+export const childAncestors = (parent) =>
+  parent ? [...(parent.ancestors || []), pathEntry(parent)] : [];
+
+// true when `target` is the category itself or lies below it, i.e. when
+// moving the category under `target` would make a loop
+export const isInSubtree = (category, target) =>
+  sameId(target._id, category._id) ||
+  (target.ancestors || []).some((ancestor) =>
+    sameId(ancestor._id, category._id)
+  );
+
+// nested [{ ...category, children }] from the flat list, roots first and
+// siblings in list order. A category whose parent is missing from the list
+// is shown at the top level rather than dropped.
+export const categoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      { ...category, children: [] },
+    ])
+  );
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent =
+      node.parentCategory && nodes.get(String(node.parentCategory));
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+};
+
+// ids of every category below `categoryId`
+export const descendantIds = async (categoryId) => {
+  const descendants = await categoryModel
+    .find({ "ancestors._id": categoryId })
+    .select("_id")
+    .lean();
+  return descendants.map((descendant) => descendant._id);
+};
+
+// after `category` moved under a new path, gives its descendants that path
+// in place of the old one, keeping the part between them and the category
+export const moveDescendants = async (category, ancestors) => {
+  const descendants = await categoryModel
+    .find({ "ancestors._id": category._id })
+    .select("ancestors")
+    .lean();
+  if (!descendants.length) return 0;
+  await categoryModel.bulkWrite(
+    descendants.map((descendant) => {
+      const at = descendant.ancestors.findIndex((ancestor) =>
+        sameId(ancestor._id, category._id)
+      );
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: {
+              ancestors: [
+                ...ancestors,
+                pathEntry(category),
+                ...descendant.ancestors.slice(at + 1),
+              ],
+            },
+          },
+        },
+      };
+    })
+  );
+  return descendants.length;
+};
+
+// updates the copy of a renamed category's name and slug its descendants hold
+export const renameInDescendants = (category) =>
+  categoryModel.updateMany(
+    { "ancestors._id": category._id },
+    {
+      $set: {
+        "ancestors.$[ancestor].name": category.name,
+        "ancestors.$[ancestor].slug": category.slug,
+      },
+    },
+    { arrayFilters: [{ "ancestor._id": category._id }] }
+  );
+
+// the top level category that force deleted categories leave their products
+// in, made on first use
+export const UNCATEGORIZED = { name: "Uncategorized", slug: "uncategorized" };
+
+export const uncategorized = (session) =>
+  categoryModel.findOneAndUpdate(
+    { slug: UNCATEGORIZED.slug },
+    {
+      $setOnInsert: {
+        name: UNCATEGORIZED.name,
+        parentCategory: null,
+        ancestors: [],
+      },
+    },
+    { upsert: true, new: true, session }
+  );
+
+// takes a category out of the tree before it is deleted: its children move
+// up to its parent and the paths stored below it drop it
+export const detachCategory = async (category, session) => {
+  await categoryModel.updateMany(
+    { parentCategory: category._id },
+    { $set: { parentCategory: category.parentCategory ?? null } },
+    { session }
+  );
+  await categoryModel.updateMany(
+    { "ancestors._id": category._id },
+    { $pull: { ancestors: { _id: category._id } } },
+    { session }
+  );
+};
@@ -0,0 +1,161 @@
+import {
+  categoryTree,
+  childAncestors,
+  descendantIds,
+  detachCategory,
+  isInSubtree,
+  moveDescendants,
+  renameInDescendants,
+  uncategorized,
+} from "./categoryHelper.js";
+import categoryModel from "../models/categoryModel.js";
+
+jest.mock("../models/categoryModel.js");
+
+/**
+ * Unit tests for the category tree helpers
+ *
+ * 1. childAncestors / isInSubtree: paths of new children, loop detection
+ * 2. categoryTree: nests a flat list under the parents
+ * 3. descendantIds / moveDescendants / renameInDescendants: keep the stored
+ *    paths of the categories below in step
+ * 4. uncategorized / detachCategory: deleting a category
+ */
+describe("Category Helper", () => {
+  const home = { _id: "c1", name: "Home", slug: "home", ancestors: [] };
+  const lighting = {
+    _id: "c2",
+    name: "Lighting",
+    slug: "lighting",
+    parentCategory: "c1",
+    ancestors: [{ _id: "c1", name: "Home", slug: "home" }],
+  };
+  const lamps = {
+    _id: "c3",
+    name: "Lamps",
+    slug: "lamps",
+    parentCategory: "c2",
+    ancestors: [
+      { _id: "c1", name: "Home", slug: "home" },
+      { _id: "c2", name: "Lighting", slug: "lighting" },
+    ],
+  };
+
+  // find().select().lean() resolving to `result`
+  const mockFind = (result) => {
+    const lean = jest.fn().mockResolvedValue(result);
+    categoryModel.find.mockReturnValue({ select: () => ({ lean }) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("gives a child its parent's path plus the parent", () => {
+    expect(childAncestors(null)).toEqual([]);
+    expect(childAncestors(lighting)).toEqual(lamps.ancestors);
+  });
+
+  it("spots moves under the category itself or below it", () => {
+    expect(isInSubtree(lighting, lighting)).toBe(true);
+    expect(isInSubtree(lighting, lamps)).toBe(true);
+    expect(isInSubtree(lamps, lighting)).toBe(false);
+    expect(isInSubtree(lighting, home)).toBe(false);
+  });
+
+  it("nests categories under their parents", () => {
+    const orphan = { _id: "c9", name: "Orphan", parentCategory: "gone" };
+
+    const tree = categoryTree([lamps, home, lighting, orphan]);
+
+    expect(tree.map((node) => node.name)).toEqual(["Home", "Orphan"]);
+    expect(tree[0].children[0]).toMatchObject({
+      name: "Lighting",
+      children: [{ name: "Lamps", children: [] }],
+    });
+  });
+
+  it("lists the ids below a category", async () => {
+    mockFind([{ _id: "c2" }, { _id: "c3" }]);
+
+    await expect(descendantIds("c1")).resolves.toEqual(["c2", "c3"]);
+    expect(categoryModel.find).toHaveBeenCalledWith({ "ancestors._id": "c1" });
+  });
+
+  it("rewrites the path above a moved category's descendants", async () => {
+    const garden = { _id: "c5", name: "Garden", slug: "garden" };
+    mockFind([{ _id: "c3", ancestors: lamps.ancestors }]);
+
+    const moved = await moveDescendants(lighting, childAncestors(garden));
+
+    expect(moved).toBe(1);
+    expect(categoryModel.bulkWrite).toHaveBeenCalledWith([
+      {
+        updateOne: {
+          filter: { _id: "c3" },
+          update: {
+            $set: {
+              ancestors: [
+                { _id: "c5", name: "Garden", slug: "garden" },
+                { _id: "c2", name: "Lighting", slug: "lighting" },
+              ],
+            },
+          },
+        },
+      },
+    ]);
+  });
+
+  it("skips the write when nothing is below", async () => {
+    mockFind([]);
+
+    await expect(moveDescendants(lamps, [])).resolves.toBe(0);
+    expect(categoryModel.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it("renames the stored copies of a category", async () => {
+    await renameInDescendants({ _id: "c2", name: "Lights", slug: "lights" });
+
+    expect(categoryModel.updateMany).toHaveBeenCalledWith(
+      { "ancestors._id": "c2" },
+      {
+        $set: {
+          "ancestors.$[ancestor].name": "Lights",
+          "ancestors.$[ancestor].slug": "lights",
+        },
+      },
+      { arrayFilters: [{ "ancestor._id": "c2" }] }
+    );
+  });
+
+  it("finds or makes the Uncategorized bucket", async () => {
+    await uncategorized("session");
+
+    expect(categoryModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { slug: "uncategorized" },
+      {
+        $setOnInsert: {
+          name: "Uncategorized",
+          parentCategory: null,
+          ancestors: [],
+        },
+      },
+      { upsert: true, new: true, session: "session" }
+    );
+  });
+
+  it("lifts the children of a deleted category to its parent", async () => {
+    await detachCategory(lighting, "session");
+
+    expect(categoryModel.updateMany).toHaveBeenCalledWith(
+      { parentCategory: "c2" },
+      { $set: { parentCategory: "c1" } },
+      { session: "session" }
+    );
+    expect(categoryModel.updateMany).toHaveBeenCalledWith(
+      { "ancestors._id": "c2" },
+      { $pull: { ancestors: { _id: "c2" } } },
+      { session: "session" }
+    );
+  });
+});
@@ -0,0 +1,82 @@
+// Minimal CSV reader and writer (RFC 4180) for the product import and
+// export. Cells may be quoted, with "" for a quote inside a quoted cell, and
+// rows end in \n or \r\n. The first row names the columns.
+//
+// Spreadsheets run a cell starting with =, +, -, @, tab or carriage return
+// as a formula, so the writer puts a ' before such text and the reader takes
+// it off again.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+// the rows of a CSV text as objects keyed by the header row; blank lines are
+// skipped. Throws when a quoted cell is never closed.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+  const lines = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source.charAt(i);
+    if (quoted) {
+      if (char === '"' && source.charAt(i + 1) === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source.charAt(i + 1) === "\n") i++;
+      row.push(cell);
+      lines.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error("CSV has a quoted cell that is never closed");
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    lines.push(row);
+  }
+  const [header = [], ...body] = lines.filter(
+    (line) => line.length > 1 || line[0].trim() !== ""
+  );
+  const columns = header.map((column) => column.trim());
+  const readCell = (cell) =>
+    ESCAPED_FORMULA.test(cell ?? "") ? cell.slice(1) : cell;
+  return body.map((line) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, readCell(line.at(index))])
+    )
+  );
+};
+
+const cellText = (value) => {
+  if (value === undefined || value === null) return "";
+  return typeof value === "string" && FORMULA_START.test(value)
+    ? `'${value}`
+    : String(value);
+};
+
+// one CSV line, quoting the cells that need it and escaping formulas
+export const toCsvLine = (values) =>
+  values
+    .map((value) => {
+      const text = cellText(value);
+      return /[",\r\n]|^\s|\s$/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    })
+    .join(",") + "\r\n";
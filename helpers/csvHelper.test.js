@@ -0,0 +1,70 @@
+import { parseCsv, toCsvLine } from "./csvHelper.js";
+
+/**
+ * Unit tests for the CSV helpers
+ *
+ * 1. parseCsv: header row keys, quoted cells, CRLF, blank lines, BOM
+ * 2. toCsvLine: only the cells that need it are quoted, formulas are
+ *    escaped
+ */
+describe("CSV Helper", () => {
+  it("reads rows keyed by the header", () => {
+    expect(parseCsv("name,price\nLamp,12\nDesk,80\n")).toEqual([
+      { name: "Lamp", price: "12" },
+      { name: "Desk", price: "80" },
+    ]);
+  });
+
+  it("reads quoted cells with commas, quotes and line breaks", () => {
+    const text =
+      '\uFEFFname,description\r\n"Lamp, red","A ""bright""\r\nlamp"\r\n\r\nDesk,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { name: "Lamp, red", description: 'A "bright"\r\nlamp' },
+      { name: "Desk", description: "" },
+    ]);
+  });
+
+  it("reads a last row without a line break", () => {
+    expect(parseCsv("name\nLamp")).toEqual([{ name: "Lamp" }]);
+  });
+
+  it("has no rows without a body", () => {
+    expect(parseCsv("")).toEqual([]);
+    expect(parseCsv("name,price\n")).toEqual([]);
+  });
+
+  it("rejects a quoted cell that is never closed", () => {
+    expect(() => parseCsv('name\n"Lamp\n')).toThrow(
+      "CSV has a quoted cell that is never closed"
+    );
+  });
+
+  it("quotes only the cells that need it", () => {
+    expect(
+      toCsvLine(["Lamp", 'A "bright", red', "two\nlines", " pad", null, 12])
+    ).toBe('Lamp,"A ""bright"", red","two\nlines"," pad",,12\r\n');
+  });
+
+  it("escapes text a spreadsheet would run as a formula", () => {
+    expect(toCsvLine(["=SUM(A1)", "+1", "-x", "@cmd", "\tx", -5, "a=b"])).toBe(
+      `'=SUM(A1),'+1,'-x,'@cmd,'\tx,-5,a=b\r\n`
+    );
+  });
+
+  it("reads back escaped formulas as written", () => {
+    const row = ["=SUM(A1)", "@cmd", "'quoted"];
+
+    expect(parseCsv(toCsvLine(["a", "b", "c"]) + toCsvLine(row))).toEqual([
+      { a: row[0], b: row[1], c: row[2] },
+    ]);
+  });
+
+  it("reads back what it writes", () => {
+    const row = ["Lamp", 'A "bright", red', '[{"sku":"A"}]'];
+
+    expect(parseCsv(toCsvLine(["a", "b", "c"]) + toCsvLine(row))).toEqual([
+      { a: row[0], b: row[1], c: row[2] },
+    ]);
+  });
+});
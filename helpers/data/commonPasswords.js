@@ -0,0 +1,189 @@
+// Offline list of the most common and most breached passwords, lowercased.
+// Compiled from public breach corpora (top entries of the RockYou, LinkedIn
+// and "most common passwords" lists). Extend it rather than calling out to a
+// breach API at request time.
+export default [
+  "000000",
+  "0000000",
+  "00000000",
+  "1111",
+  "11111",
+  "111111",
+  "1111111",
+  "11111111",
+  "112233",
+  "121212",
+  "123123",
+  "123123123",
+  "1234",
+  "12345",
+  "123456",
+  "1234567",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "123321",
+  "123abc",
+  "123qwe",
+  "1q2w3e",
+  "1q2w3e4r",
+  "1q2w3e4r5t",
+  "1qaz2wsx",
+  "131313",
+  "159753",
+  "1passw0rd",
+  "222222",
+  "232323",
+  "333333",
+  "444444",
+  "555555",
+  "654321",
+  "666666",
+  "696969",
+  "7777777",
+  "777777",
+  "87654321",
+  "888888",
+  "88888888",
+  "987654321",
+  "999999",
+  "a123456",
+  "a1b2c3",
+  "a1b2c3d4",
+  "aa123456",
+  "abc123",
+  "abc12345",
+  "abcd1234",
+  "abcdef",
+  "access",
+  "access14",
+  "admin",
+  "admin123",
+  "adminadmin",
+  "administrator",
+  "alexander",
+  "amanda",
+  "andrea",
+  "andrew",
+  "angel",
+  "angels",
+  "anthony",
+  "apple",
+  "ashley",
+  "asdf",
+  "asdf1234",
+  "asdfasdf",
+  "asdfgh",
+  "asdfghjkl",
+  "austin",
+  "babygirl",
+  "bailey",
+  "banana",
+  "baseball",
+  "basketball",
+  "batman",
+  "blahblah",
+  "buster",
+  "butterfly",
+  "changeme",
+  "charlie",
+  "cheese",
+  "chelsea",
+  "chocolate",
+  "computer",
+  "cookie",
+  "daniel",
+  "dallas",
+  "default",
+  "dragon",
+  "dubsmash",
+  "eagle",
+  "ferrari",
+  "flower",
+  "football",
+  "freedom",
+  "fuckyou",
+  "ginger",
+  "guest",
+  "hannah",
+  "harley",
+  "hello",
+  "hello123",
+  "hockey",
+  "hunter",
+  "hunter2",
+  "iloveyou",
+  "iloveyou1",
+  "internet",
+  "jennifer",
+  "jessica",
+  "jordan",
+  "jordan23",
+  "joshua",
+  "justin",
+  "killer",
+  "letmein",
+  "letmein1",
+  "liverpool",
+  "login",
+  "love",
+  "lovely",
+  "loveme",
+  "maggie",
+  "master",
+  "matrix",
+  "matthew",
+  "merlin",
+  "michael",
+  "michelle",
+  "monkey",
+  "mustang",
+  "mypassword",
+  "naruto",
+  "nicole",
+  "ninja",
+  "passw0rd",
+  "password",
+  "password!",
+  "password1",
+  "password12",
+  "password123",
+  "password1234",
+  "pepper",
+  "princess",
+  "qazwsx",
+  "qwe123",
+  "qwert",
+  "qwerty",
+  "qwerty1",
+  "qwerty123",
+  "qwertyuiop",
+  "ranger",
+  "robert",
+  "root",
+  "samsung",
+  "secret",
+  "shadow",
+  "soccer",
+  "starwars",
+  "summer",
+  "sunshine",
+  "superman",
+  "taylor",
+  "test",
+  "test123",
+  "test1234",
+  "thomas",
+  "tigger",
+  "trustno1",
+  "welcome",
+  "welcome1",
+  "welcome123",
+  "whatever",
+  "william",
+  "winter",
+  "yankees",
+  "zaq12wsx",
+  "zxcvbn",
+  "zxcvbnm",
+];
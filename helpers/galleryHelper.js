@@ -0,0 +1,267 @@
+import fs from "fs";
+import sharp from "sharp";
+import {
+  parseJsonList,
+  validateEntry,
+} from "../middlewares/validationMiddleware.js";
+import { imageStore } from "./imageStore.js";
+
+// Product galleries. The product form sends the gallery it wants, in display
+// order, as JSON in the `images` field:
+//
+//   [{ "_id": "<saved image id>", "alt": "Front", "isPrimary": true },
+//    { "upload": "image0", "alt": "Back" }]
+//
+// `upload` names a file field of the same request. Saved images left out of
+// the list are deleted. Without an `images` field the uploaded files are added
+// after the saved images, so a plain `photo` upload still works.
+
+export const MAX_IMAGES = 10;
+export const MAX_IMAGE_SIZE = 5000000;
+
+// the file fields a product form may upload images in
+export const IMAGE_FIELDS = [
+  "photo",
+  ...Array.from({ length: MAX_IMAGES }, (_, index) => `image${index}`),
+];
+
+const entryRules = (index) => ({
+  _id: { type: "objectId", label: `Image ${index + 1}` },
+  upload: { oneOf: IMAGE_FIELDS, label: `Image ${index + 1} upload` },
+  alt: { maxLength: 200, label: `Image ${index + 1} alt text` },
+  isPrimary: { type: "boolean", label: `Image ${index + 1} primary flag` },
+});
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// the raster formats an image may be stored as, by the name sharp reads from
+// the bytes; anything else, SVG above all, could carry script when served
+export const IMAGE_TYPES = new Map([
+  ["jpeg", "image/jpeg"],
+  ["png", "image/png"],
+  ["webp", "image/webp"],
+  ["gif", "image/gif"],
+]);
+
+export const isImageType = (contentType) =>
+  [...IMAGE_TYPES.values()].includes(contentType);
+
+// what the browser says the upload is, checked again by checkUploads()
+const isImage = (file) => isImageType(file?.type);
+
+// the gallery the form asked for, as entries holding either a saved `image`
+// or an uploaded `file`, plus the saved images it drops
+const requestedEntries = (list, current, uploads, errors) => {
+  const entries = [];
+  list.forEach((entry, index) => {
+    const field = `images[${index}]`;
+    const label = `Image ${index + 1}`;
+    if (!isObject(entry)) {
+      errors.push({
+        field,
+        rule: "type",
+        message: `${label} must be a saved image or an upload`,
+      });
+      return;
+    }
+    const entryErrs = validateEntry(entryRules(index), entry, field);
+    if (entryErrs.length) {
+      errors.push(...entryErrs);
+      return;
+    }
+    const alt = (entry.alt || "").trim();
+    const isPrimary = [true, "true", "1"].includes(entry.isPrimary);
+    if (Boolean(entry._id) === Boolean(entry.upload)) {
+      errors.push({
+        field,
+        rule: "required",
+        message: `${label} needs either a saved image or an upload`,
+      });
+    } else if (entry._id) {
+      const image = current.find(({ _id }) => String(_id) === entry._id);
+      if (!image) {
+        errors.push({
+          field: `${field}._id`,
+          rule: "oneOf",
+          message: `${label} is not part of this product`,
+        });
+      } else if (entries.some((e) => e.image === image)) {
+        errors.push({
+          field: `${field}._id`,
+          rule: "unique",
+          message: `${label} is listed twice`,
+        });
+      } else {
+        entries.push({ image, alt, isPrimary });
+      }
+    } else if (!uploads.has(entry.upload)) {
+      errors.push({
+        field: `${field}.upload`,
+        rule: "required",
+        message: `${label} was not uploaded`,
+      });
+    } else if (entries.some((e) => e.upload === entry.upload)) {
+      errors.push({
+        field: `${field}.upload`,
+        rule: "unique",
+        message: `${label} is listed twice`,
+      });
+    } else {
+      entries.push({
+        upload: entry.upload,
+        file: uploads.get(entry.upload),
+        alt,
+        isPrimary,
+      });
+    }
+  });
+  return entries;
+};
+
+// the gallery a product form asks for, checked against the product's saved
+// images. `entries` is null when the form leaves the gallery alone.
+export const readGallery = (fields = {}, files = {}, current = []) => {
+  const errors = [];
+  const uploads = new Map(
+    Object.entries(files || {}).filter(
+      ([field, file]) => IMAGE_FIELDS.includes(field) && file
+    )
+  );
+  let entries;
+  if (fields.images === undefined) {
+    if (!uploads.size) {
+      return { entries: null, removed: [], errors };
+    }
+    entries = [
+      ...current.map((image) => ({
+        image,
+        alt: image.alt,
+        isPrimary: image.isPrimary,
+      })),
+      ...IMAGE_FIELDS.filter((field) => uploads.has(field)).map((field) => ({
+        upload: field,
+        file: uploads.get(field),
+        alt: "",
+        isPrimary: false,
+      })),
+    ];
+  } else {
+    const list = parseJsonList(fields.images, "images", "Images", errors);
+    entries = requestedEntries(list, current, uploads, errors);
+  }
+  if (entries.length > MAX_IMAGES) {
+    errors.push({
+      field: "images",
+      rule: "maxLength",
+      message: `Products can have at most ${MAX_IMAGES} images`,
+    });
+  }
+  if (entries.filter(({ isPrimary }) => isPrimary).length > 1) {
+    errors.push({
+      field: "images",
+      rule: "unique",
+      message: "Only one image can be the primary image",
+    });
+  }
+  entries
+    .filter(({ file }) => file && !isImage(file))
+    .forEach(({ upload, file }) => {
+      errors.push({
+        field: upload,
+        rule: "type",
+        message: `${file.name || "The upload"} is not an image`,
+      });
+    });
+  const removed = current.filter(
+    (image) => !entries.some((entry) => entry.image === image)
+  );
+  return { entries: errors.length ? null : entries, removed, errors };
+};
+
+// the content type of an upload by its bytes, undefined when it isn't one of
+// IMAGE_TYPES
+const sniffImageType = async (file) => {
+  try {
+    const { format } = await sharp(file.path).metadata();
+    return IMAGE_TYPES.get(format);
+  } catch {
+    return undefined;
+  }
+};
+
+// reads the type of each uploaded file in the gallery from its bytes, saved
+// as the entry's `contentType` for storeGallery(), and returns an error for
+// every upload that isn't really a JPEG, PNG, WebP or GIF
+export const checkUploads = async (entries) => {
+  const errors = [];
+  for (const entry of (entries || []).filter(({ file }) => file)) {
+    entry.contentType = await sniffImageType(entry.file);
+    if (!entry.contentType) {
+      errors.push({
+        field: entry.upload,
+        rule: "type",
+        message: `${entry.file.name || "The upload"} is not a JPEG, PNG, WebP or GIF image`,
+      });
+    }
+  }
+  return errors;
+};
+
+// the primary image, or the first one for galleries saved without one
+export const primaryImage = (images = []) =>
+  images.find((image) => image.isPrimary) || images[0];
+
+// deletes images from the store; a file that is already gone is not an error
+export const removeImages = async (images = []) => {
+  const store = imageStore();
+  const results = await Promise.allSettled(
+    images.map((image) => store.remove(image.key))
+  );
+  results
+    .filter(({ status }) => status === "rejected")
+    .forEach(({ reason }) => console.log(reason));
+};
+
+// uploads the new files, typed by checkUploads(), and returns the images to
+// save on the product, with exactly one primary image
+export const storeGallery = async (entries) => {
+  const store = imageStore();
+  const images = [];
+  try {
+    for (const { image, file, contentType, alt, isPrimary } of entries) {
+      if (image) {
+        images.push({
+          _id: image._id,
+          key: image.key,
+          contentType: image.contentType,
+          size: image.size,
+          alt,
+          isPrimary,
+        });
+      } else {
+        const key = await store.save(fs.createReadStream(file.path), {
+          filename: file.name,
+          contentType,
+        });
+        images.push({
+          key,
+          contentType,
+          size: file.size,
+          alt,
+          isPrimary,
+          uploaded: true,
+        });
+      }
+    }
+  } catch (error) {
+    await removeImages(images.filter(({ uploaded }) => uploaded));
+    throw error;
+  }
+  const primary = primaryImage(images);
+  images.forEach((image) => {
+    image.isPrimary = image === primary;
+    delete image.uploaded;
+  });
+  return images;
+};
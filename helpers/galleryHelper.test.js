@@ -0,0 +1,335 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { text } from "stream/consumers";
+import sharp from "sharp";
+import {
+  MAX_IMAGES,
+  checkUploads,
+  primaryImage,
+  readGallery,
+  removeImages,
+  storeGallery,
+} from "./galleryHelper.js";
+import { registerImageStore } from "./imageStore.js";
+
+/**
+ * Unit tests for the product gallery helpers
+ *
+ * 1. readGallery: checks the `images` JSON against the uploads and the saved
+ *    gallery, or appends plain uploads when the form sends no list
+ * 2. checkUploads: types uploads by their bytes, refusing all but raster
+ *    images
+ * 3. storeGallery: uploads new files and keeps exactly one primary image
+ * 4. removeImages / primaryImage
+ */
+describe("Gallery Helper", () => {
+  const originalEnv = { ...process.env };
+  const front = { _id: "64b000000000000000000001", key: "k1", isPrimary: true };
+  const back = { _id: "64b000000000000000000002", key: "k2", alt: "Back" };
+  const upload = (name, type = "image/png") => ({
+    path: path.join(os.tmpdir(), name),
+    name,
+    type,
+    size: 3,
+  });
+  let store;
+
+  beforeEach(() => {
+    store = {
+      // reads the upload like a real store would
+      save: jest.fn(async (stream) => {
+        await text(stream);
+        return "new-key";
+      }),
+      open: jest.fn(),
+      remove: jest.fn().mockResolvedValue(),
+    };
+    registerImageStore("memory", store);
+    process.env.IMAGE_STORE = "memory";
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("readGallery", () => {
+    it("leaves the gallery alone without a list or uploads", () => {
+      expect(readGallery({ name: "Lamp" }, {}, [front])).toEqual({
+        entries: null,
+        removed: [],
+        errors: [],
+      });
+    });
+
+    it("appends plain uploads after the saved images", () => {
+      const photo = upload("photo.png");
+
+      const { entries, removed } = readGallery({}, { photo }, [front]);
+
+      expect(entries).toEqual([
+        { image: front, alt: undefined, isPrimary: true },
+        { upload: "photo", file: photo, alt: "", isPrimary: false },
+      ]);
+      expect(removed).toEqual([]);
+    });
+
+    it("orders the gallery as listed and drops images left out", () => {
+      const image0 = upload("side.png");
+      const images = JSON.stringify([
+        { upload: "image0", alt: " Side ", isPrimary: "true" },
+        { _id: back._id, alt: "Back" },
+      ]);
+
+      const { entries, removed, errors } = readGallery({ images }, { image0 }, [
+        front,
+        back,
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(entries).toEqual([
+        { upload: "image0", file: image0, alt: "Side", isPrimary: true },
+        { image: back, alt: "Back", isPrimary: false },
+      ]);
+      expect(removed).toEqual([front]);
+    });
+
+    it("reports entries that don't match the product or the uploads", () => {
+      const images = JSON.stringify([
+        { _id: "64b0000000000000000000ff" },
+        { upload: "image1" },
+        { _id: front._id, upload: "image0" },
+        "front.png",
+      ]);
+
+      const { entries, errors } = readGallery({ images }, {}, [front]);
+
+      expect(entries).toBeNull();
+      expect(errors).toEqual([
+        {
+          field: "images[0]._id",
+          rule: "oneOf",
+          message: "Image 1 is not part of this product",
+        },
+        {
+          field: "images[1].upload",
+          rule: "required",
+          message: "Image 2 was not uploaded",
+        },
+        {
+          field: "images[2]",
+          rule: "required",
+          message: "Image 3 needs either a saved image or an upload",
+        },
+        {
+          field: "images[3]",
+          rule: "type",
+          message: "Image 4 must be a saved image or an upload",
+        },
+      ]);
+    });
+
+    it("limits the gallery size, the primary flag and the file type", () => {
+      const files = Object.fromEntries(
+        Array.from({ length: MAX_IMAGES }, (_, i) => [
+          `image${i}`,
+          upload(`${i}.png`),
+        ])
+      );
+      files.image0 = upload("notes.txt", "text/plain");
+      const images = JSON.stringify([
+        { _id: front._id, isPrimary: true },
+        ...Object.keys(files).map((field) => ({
+          upload: field,
+          isPrimary: field === "image1",
+        })),
+      ]);
+
+      const { errors } = readGallery({ images }, files, [front]);
+
+      expect(errors).toEqual([
+        {
+          field: "images",
+          rule: "maxLength",
+          message: `Products can have at most ${MAX_IMAGES} images`,
+        },
+        {
+          field: "images",
+          rule: "unique",
+          message: "Only one image can be the primary image",
+        },
+        { field: "image0", rule: "type", message: "notes.txt is not an image" },
+      ]);
+    });
+
+    it("refuses SVG and other types that aren't raster images", () => {
+      const { errors } = readGallery(
+        {},
+        { photo: upload("x.svg", "image/svg+xml") }
+      );
+
+      expect(errors).toEqual([
+        { field: "photo", rule: "type", message: "x.svg is not an image" },
+      ]);
+    });
+
+    it("reports a list that isn't JSON", () => {
+      expect(readGallery({ images: "front.png" }).errors).toEqual([
+        { field: "images", rule: "type", message: "Images must be a list" },
+      ]);
+    });
+  });
+
+  describe("checkUploads", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = async (name, data) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, await data);
+      return { path: filePath, name, type: "image/png", size: 3 };
+    };
+    const png = sharp({
+      create: { width: 2, height: 2, channels: 3, background: "red" },
+    })
+      .png()
+      .toBuffer();
+
+    it("types each upload by its bytes", async () => {
+      const entries = [
+        { image: front },
+        { upload: "image0", file: await write("a.png", png) },
+      ];
+
+      await expect(checkUploads(entries)).resolves.toEqual([]);
+      expect(entries[0].contentType).toBeUndefined();
+      expect(entries[1].contentType).toBe("image/png");
+    });
+
+    it("refuses an SVG or anything else sent as an image", async () => {
+      const svg =
+        '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>';
+      const entries = [
+        { upload: "image0", file: await write("a.png", svg) },
+        { upload: "image1", file: await write("b.png", "not an image") },
+      ];
+
+      await expect(checkUploads(entries)).resolves.toEqual([
+        {
+          field: "image0",
+          rule: "type",
+          message: "a.png is not a JPEG, PNG, WebP or GIF image",
+        },
+        {
+          field: "image1",
+          rule: "type",
+          message: "b.png is not a JPEG, PNG, WebP or GIF image",
+        },
+      ]);
+    });
+
+    it("has nothing to check without a gallery", async () => {
+      await expect(checkUploads(null)).resolves.toEqual([]);
+    });
+  });
+
+  describe("storeGallery", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const file = (name) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, "png");
+      return { path: filePath, name, type: "image/png", size: 3 };
+    };
+
+    it("uploads new files and makes the first image primary", async () => {
+      const side = file("side.png");
+
+      const images = await storeGallery([
+        { image: { ...back, contentType: "image/jpeg" }, alt: "Back" },
+        {
+          upload: "image0",
+          file: side,
+          contentType: "image/png",
+          alt: "Side",
+          isPrimary: false,
+        },
+      ]);
+
+      expect(store.save).toHaveBeenCalledWith(expect.anything(), {
+        filename: "side.png",
+        contentType: "image/png",
+      });
+      expect(images).toEqual([
+        {
+          _id: back._id,
+          key: "k2",
+          contentType: "image/jpeg",
+          size: undefined,
+          alt: "Back",
+          isPrimary: true,
+        },
+        {
+          key: "new-key",
+          contentType: "image/png",
+          size: 3,
+          alt: "Side",
+          isPrimary: false,
+        },
+      ]);
+    });
+
+    it("removes what it uploaded when an upload fails", async () => {
+      store.save
+        .mockImplementationOnce(async (stream) => {
+          await text(stream);
+          return "first";
+        })
+        .mockImplementationOnce(async (stream) => {
+          await text(stream);
+          throw new Error("disk full");
+        });
+
+      await expect(
+        storeGallery([
+          { file: file("a.png"), alt: "" },
+          { file: file("b.png"), alt: "" },
+        ])
+      ).rejects.toThrow("disk full");
+      expect(store.remove).toHaveBeenCalledWith("first");
+    });
+  });
+
+  it("picks the primary image, or the first", () => {
+    expect(primaryImage([back, front])).toBe(front);
+    expect(primaryImage([back])).toBe(back);
+    expect(primaryImage([])).toBeUndefined();
+  });
+
+  it("removes every image and logs failures", async () => {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    store.remove.mockRejectedValueOnce(new Error("gone"));
+
+    await removeImages([front, back]);
+
+    expect(store.remove).toHaveBeenCalledWith("k1");
+    expect(store.remove).toHaveBeenCalledWith("k2");
+    expect(logSpy).toHaveBeenCalledWith(new Error("gone"));
+    logSpy.mockRestore();
+  });
+});
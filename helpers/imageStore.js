@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+
+// Product images live outside the product documents, in the store named by
+// IMAGE_STORE. Every store takes a readable stream and hands back a key, the
+// product keeps the key with the image's content type, alt text and order.
+
+const bucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: "productImages",
+  });
+
+// GridFS in the app database (default)
+const gridFsStore = {
+  save: async (stream, { filename, contentType }) => {
+    const upload = bucket().openUploadStream(filename, {
+      metadata: { contentType },
+    });
+    await pipeline(stream, upload);
+    return String(upload.id);
+  },
+  open: (key) => bucket().openDownloadStream(new mongoose.Types.ObjectId(key)),
+  remove: (key) => bucket().delete(new mongoose.Types.ObjectId(key)),
+};
+
+const LOCAL_KEY = /^[a-f0-9]{32}$/;
+
+const localDir = () =>
+  process.env.IMAGE_STORE_DIR || path.join(process.cwd(), "uploads", "images");
+
+// keys are generated here, anything else never reaches the file system
+const localFile = (key) => {
+  if (!LOCAL_KEY.test(key)) {
+    throw new Error(`Invalid image key "${key}"`);
+  }
+  return path.join(localDir(), key);
+};
+
+// files on local disk, for development and single server deployments
+const localStore = {
+  save: async (stream) => {
+    await fs.promises.mkdir(localDir(), { recursive: true });
+    const key = crypto.randomBytes(16).toString("hex");
+    await pipeline(stream, fs.createWriteStream(localFile(key)));
+    return key;
+  },
+  open: (key) => fs.createReadStream(localFile(key)),
+  remove: (key) => fs.promises.rm(localFile(key), { force: true }),
+};
+
+const stores = new Map([
+  ["gridfs", gridFsStore],
+  ["local", localStore],
+]);
+
+// plug in another store (s3, a cdn...) by name
+export const registerImageStore = (name, store) => {
+  stores.set(name, store);
+};
+
+export const imageStore = () => {
+  const name = process.env.IMAGE_STORE || "gridfs";
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`Unknown image store "${name}"`);
+  }
+  return store;
+};
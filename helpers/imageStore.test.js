@@ -0,0 +1,74 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { text } from "stream/consumers";
+import { imageStore, registerImageStore } from "./imageStore.js";
+
+/**
+ * Unit tests for the pluggable image store
+ *
+ * imageStore() picks a store by the IMAGE_STORE env variable:
+ * 1. gridfs (default): GridFS in the app database
+ * 2. local: files in IMAGE_STORE_DIR, under generated keys
+ * 3. anything registered through registerImageStore
+ */
+describe("Image Store", () => {
+  const originalEnv = { ...process.env };
+  let storeDir;
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+    process.env.IMAGE_STORE_DIR = path.join(storeDir, "images");
+    delete process.env.IMAGE_STORE;
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  it("uses GridFS by default", () => {
+    const store = imageStore();
+
+    process.env.IMAGE_STORE = "gridfs";
+    expect(imageStore()).toBe(store);
+    process.env.IMAGE_STORE = "local";
+    expect(imageStore()).not.toBe(store);
+  });
+
+  it("saves, opens and removes files in the local store", async () => {
+    process.env.IMAGE_STORE = "local";
+    const store = imageStore();
+
+    const key = await store.save(Readable.from(["image-bytes"]), {
+      filename: "front.png",
+      contentType: "image/png",
+    });
+
+    expect(key).toMatch(/^[a-f0-9]{32}$/);
+    expect(await text(store.open(key))).toBe("image-bytes");
+    await store.remove(key);
+    expect(fs.readdirSync(process.env.IMAGE_STORE_DIR)).toEqual([]);
+    // removing twice is not an error
+    await expect(store.remove(key)).resolves.toBeUndefined();
+  });
+
+  it("only accepts keys the local store generated", () => {
+    process.env.IMAGE_STORE = "local";
+
+    expect(() => imageStore().open("../../etc/passwd")).toThrow(
+      'Invalid image key "../../etc/passwd"'
+    );
+  });
+
+  it("uses registered stores and rejects unknown ones", () => {
+    const store = { save: jest.fn(), open: jest.fn(), remove: jest.fn() };
+    registerImageStore("memory", store);
+
+    process.env.IMAGE_STORE = "memory";
+    expect(imageStore()).toBe(store);
+    process.env.IMAGE_STORE = "s3";
+    expect(() => imageStore()).toThrow('Unknown image store "s3"');
+  });
+});
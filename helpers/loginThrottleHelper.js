@@ -0,0 +1,88 @@
+import loginAttemptModel from "../models/loginAttemptModel.js";
+
+// free attempts, then exponential backoff, then a lockout once max is reached
+const policies = {
+  email: () => ({
+    free: Number(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    max: Number(process.env.LOGIN_MAX_FAILURES) || 10,
+  }),
+  ip: () => ({
+    free: Number(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10,
+    max: Number(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+  }),
+};
+
+const backoffBaseSeconds = () =>
+  Number(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 2;
+
+const lockoutSeconds = () =>
+  (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+
+const emailKey = (email) => `email:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// how long to wait after the given number of consecutive failures
+export const backoffSeconds = (failures, { free, max }) => {
+  if (failures >= max) {
+    return lockoutSeconds();
+  }
+  if (failures < free) {
+    return 0;
+  }
+  return Math.min(
+    backoffBaseSeconds() * 2 ** (failures - free),
+    lockoutSeconds()
+  );
+};
+
+const remainingSeconds = (attempt, policy) => {
+  if (!attempt) {
+    return 0;
+  }
+  const waitMs = backoffSeconds(attempt.failures, policy) * 1000;
+  const remainingMs =
+    new Date(attempt.lastFailureAt).getTime() + waitMs - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+const keysFor = (email, ip) => {
+  const keys = [{ key: emailKey(email), policy: policies.email() }];
+  if (ip) {
+    keys.push({ key: ipKey(ip), policy: policies.ip() });
+  }
+  return keys;
+};
+
+// seconds until the next login attempt is allowed, 0 when not throttled
+export const getLoginRetryAfter = async (email, ip) => {
+  const waits = await Promise.all(
+    keysFor(email, ip).map(async ({ key, policy }) =>
+      remainingSeconds(await loginAttemptModel.findOne({ key }), policy)
+    )
+  );
+  return Math.max(0, ...waits);
+};
+
+// count a failed login and return the resulting wait in seconds
+export const recordLoginFailure = async (email, ip) => {
+  const waits = await Promise.all(
+    keysFor(email, ip).map(async ({ key, policy }) =>
+      remainingSeconds(
+        await loginAttemptModel.findOneAndUpdate(
+          { key },
+          { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+          { upsert: true, new: true }
+        ),
+        policy
+      )
+    )
+  );
+  return Math.max(0, ...waits);
+};
+
+// a successful login only resets the account counter, never the ip counter,
+// so an attacker can't clear their ip budget by logging into their own account
+export const clearLoginFailures = async (email) =>
+  loginAttemptModel.deleteOne({ key: emailKey(email) });
+
+export const unlockAccount = async (email) => clearLoginFailures(email);
@@ -0,0 +1,113 @@
+import loginAttemptModel from '../models/loginAttemptModel.js';
+import {
+  backoffSeconds,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} from './loginThrottleHelper.js';
+
+// Mock the failure counter store
+jest.mock('../models/loginAttemptModel.js');
+
+/**
+ * Unit tests for login throttle helper functions
+ *
+ * Failed logins are counted per account and per client ip:
+ * 1. backoffSeconds: free attempts, then exponential backoff, then lockout
+ * 2. getLoginRetryAfter: remaining wait across both counters
+ * 3. recordLoginFailure / clearLoginFailures: counter bookkeeping
+ */
+describe('Login Throttle Helper Functions', () => {
+  const originalEnv = { ...process.env };
+  const policy = { free: 3, max: 10 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.LOGIN_BACKOFF_BASE_SECONDS;
+    delete process.env.LOGIN_LOCKOUT_MINUTES;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('backoffSeconds Function', () => {
+    it('allows the free attempts without waiting', () => {
+      expect(backoffSeconds(0, policy)).toBe(0);
+      expect(backoffSeconds(2, policy)).toBe(0);
+    });
+
+    it('doubles the wait for every failure past the free attempts', () => {
+      expect(backoffSeconds(3, policy)).toBe(2);
+      expect(backoffSeconds(4, policy)).toBe(4);
+      expect(backoffSeconds(5, policy)).toBe(8);
+    });
+
+    it('never waits longer than the lockout and locks out at max', () => {
+      process.env.LOGIN_BACKOFF_BASE_SECONDS = '100';
+      process.env.LOGIN_LOCKOUT_MINUTES = '5';
+
+      expect(backoffSeconds(9, policy)).toBe(300);
+      expect(backoffSeconds(10, policy)).toBe(300);
+    });
+  });
+
+  describe('getLoginRetryAfter Function', () => {
+    it('returns 0 when there are no recorded failures', async () => {
+      loginAttemptModel.findOne.mockResolvedValue(null);
+
+      expect(await getLoginRetryAfter('a@b.com', '10.0.0.1')).toBe(0);
+      expect(loginAttemptModel.findOne).toHaveBeenCalledWith({
+        key: 'email:a@b.com',
+      });
+      expect(loginAttemptModel.findOne).toHaveBeenCalledWith({
+        key: 'ip:10.0.0.1',
+      });
+    });
+
+    it('returns the longest remaining wait', async () => {
+      loginAttemptModel.findOne.mockImplementation(async ({ key }) =>
+        key.startsWith('email:')
+          ? { failures: 4, lastFailureAt: new Date() }
+          : { failures: 50, lastFailureAt: new Date() }
+      );
+
+      expect(await getLoginRetryAfter('a@b.com', '10.0.0.1')).toBe(900);
+    });
+
+    it('stops throttling once the wait has elapsed', async () => {
+      loginAttemptModel.findOne.mockResolvedValue({
+        failures: 4,
+        lastFailureAt: new Date(Date.now() - 5000),
+      });
+
+      expect(await getLoginRetryAfter('a@b.com')).toBe(0);
+    });
+  });
+
+  describe('recordLoginFailure Function', () => {
+    it('increments the counters and returns the resulting wait', async () => {
+      loginAttemptModel.findOneAndUpdate.mockResolvedValue({
+        failures: 3,
+        lastFailureAt: new Date(),
+      });
+
+      expect(await recordLoginFailure(' A@B.com ')).toBe(2);
+      expect(loginAttemptModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(loginAttemptModel.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        key: 'email:a@b.com',
+      });
+    });
+  });
+
+  describe('clearLoginFailures Function', () => {
+    it('only clears the account counter', async () => {
+      await clearLoginFailures('a@b.com');
+
+      expect(loginAttemptModel.deleteOne).toHaveBeenCalledTimes(1);
+      expect(loginAttemptModel.deleteOne).toHaveBeenCalledWith({
+        key: 'email:a@b.com',
+      });
+    });
+  });
+});
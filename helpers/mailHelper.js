@@ -0,0 +1,50 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// writes every message as a json file, for local development and tests
+const outboxTransport = async (message) => {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox");
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(
+    dir,
+    `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`
+  );
+  await fs.writeFile(file, JSON.stringify(message, null, 2));
+  return { file };
+};
+
+const consoleTransport = async (message) => {
+  console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  return {};
+};
+
+const transports = {
+  outbox: outboxTransport,
+  console: consoleTransport,
+};
+
+// plug in another delivery mechanism (smtp, a mail api...) by name
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || "outbox";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport({
+    from: process.env.MAIL_FROM || "no-reply@virtualvault.local",
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString(),
+  });
+};
+
+// links in mails point at the react client
+export const clientUrl = (pathname) =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}${pathname}`;
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendMail, registerMailTransport, clientUrl } from './mailHelper.js';
+
+/**
+ * Unit tests for the pluggable mail helper
+ *
+ * sendMail picks a transport by the MAIL_TRANSPORT env variable:
+ * 1. outbox (default): writes each message as a json file into MAIL_OUTBOX_DIR
+ * 2. console: logs the message
+ * 3. anything registered through registerMailTransport
+ */
+describe('Mail Helper Functions', () => {
+  const originalEnv = { ...process.env };
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.MAIL_OUTBOX_DIR = outboxDir;
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_FROM;
+    delete process.env.CLIENT_URL;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  it('writes messages to the outbox directory by default', async () => {
+    const { file } = await sendMail({ to: 'a@b.com', subject: 'Hi', text: 'Body' });
+
+    const mail = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(path.dirname(file)).toBe(outboxDir);
+    expect(mail).toMatchObject({
+      from: 'no-reply@virtualvault.local',
+      to: 'a@b.com',
+      subject: 'Hi',
+      text: 'Body',
+    });
+    expect(mail.sentAt).toEqual(expect.any(String));
+  });
+
+  it('creates the outbox directory when it does not exist yet', async () => {
+    process.env.MAIL_OUTBOX_DIR = path.join(outboxDir, 'nested');
+
+    await sendMail({ to: 'a@b.com', subject: 'Hi', text: 'Body' });
+
+    expect(fs.readdirSync(process.env.MAIL_OUTBOX_DIR)).toHaveLength(1);
+  });
+
+  it('logs messages with the console transport', async () => {
+    process.env.MAIL_TRANSPORT = 'console';
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await sendMail({ to: 'a@b.com', subject: 'Hi', text: 'Body' });
+
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('a@b.com'));
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    logSpy.mockRestore();
+  });
+
+  it('delivers through a registered custom transport', async () => {
+    const transport = jest.fn().mockResolvedValue({ id: 'msg-1' });
+    registerMailTransport('custom', transport);
+    process.env.MAIL_TRANSPORT = 'custom';
+    process.env.MAIL_FROM = 'shop@example.com';
+
+    const result = await sendMail({ to: 'a@b.com', subject: 'Hi', text: 'Body' });
+
+    expect(transport).toHaveBeenCalledWith(
+      expect.objectContaining({ from: 'shop@example.com', to: 'a@b.com' })
+    );
+    expect(result).toEqual({ id: 'msg-1' });
+  });
+
+  it('rejects unknown transports', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    await expect(sendMail({ to: 'a@b.com' })).rejects.toThrow('Unknown mail transport "pigeon"');
+  });
+
+  it('builds client links from CLIENT_URL', () => {
+    expect(clientUrl('/login')).toBe('http://localhost:3000/login');
+    process.env.CLIENT_URL = 'https://shop.example.com';
+    expect(clientUrl('/login')).toBe('https://shop.example.com/login');
+  });
+});
@@ -0,0 +1,97 @@
+import commonPasswords from "./data/commonPasswords.js";
+
+// Password rules shared by registration, profile updates and password resets.
+// The client fetches the same rules from /auth/password-policy to drive its
+// strength meter, so every rule is either a length bound or a regex pattern.
+
+const COMMON_PASSWORDS = new Set(commonPasswords);
+
+// bcrypt only looks at the first 72 bytes
+const MAX_LENGTH = 72;
+
+// unset keeps the default, anything other than "true" turns the rule off
+const flag = (value, fallback) =>
+  value === undefined ? fallback : value === "true";
+
+const CHARACTER_CLASSES = [
+  {
+    rule: "lowercase",
+    regex: /[a-z]/,
+    enabled: () => flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    message: "Password must contain a lowercase letter",
+  },
+  {
+    rule: "uppercase",
+    regex: /[A-Z]/,
+    enabled: () => flag(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+    message: "Password must contain an uppercase letter",
+  },
+  {
+    rule: "number",
+    regex: /[0-9]/,
+    enabled: () => flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+    message: "Password must contain a number",
+  },
+  {
+    rule: "symbol",
+    regex: /[^A-Za-z0-9]/,
+    enabled: () => flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    message: "Password must contain a symbol",
+  },
+];
+
+const getMinLength = () =>
+  Math.max(parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8, 1);
+
+// the active rules, read from the environment on every call so tests and
+// deployments can tune them
+const activeRules = () => {
+  const minLength = getMinLength();
+  return [
+    {
+      rule: "minLength",
+      min: minLength,
+      fails: (value) => value.length < minLength,
+      message: `Password must be at least ${minLength} characters`,
+    },
+    {
+      rule: "maxLength",
+      max: MAX_LENGTH,
+      fails: (value) => Buffer.byteLength(value) > MAX_LENGTH,
+      message: `Password must be at most ${MAX_LENGTH} characters`,
+    },
+    ...CHARACTER_CLASSES.filter(({ enabled }) => enabled()).map(
+      ({ rule, regex, message }) => ({
+        rule,
+        pattern: regex.source,
+        fails: (value) => !regex.test(value),
+        message,
+      })
+    ),
+  ];
+};
+
+// what the client needs to evaluate the same rules
+export const getPasswordPolicy = () => ({
+  minLength: getMinLength(),
+  maxLength: MAX_LENGTH,
+  rules: activeRules().map(({ fails, ...rule }) => rule),
+});
+
+export const isCommonPassword = (password) =>
+  COMMON_PASSWORDS.has(String(password).toLowerCase());
+
+// every rule the password breaks, as [{ rule, message }]
+export const checkPassword = (password) => {
+  const value = typeof password === "string" ? password : "";
+  const errors = activeRules()
+    .filter(({ fails }) => fails(value))
+    .map(({ rule, message }) => ({ rule, message }));
+  if (value && isCommonPassword(value)) {
+    errors.push({
+      rule: "common",
+      message: "Password is too common or has appeared in a data breach",
+    });
+  }
+  return errors;
+};
@@ -0,0 +1,103 @@
+import {
+  checkPassword,
+  getPasswordPolicy,
+  isCommonPassword,
+} from "./passwordPolicy.js";
+
+/**
+ * Unit tests for the shared password policy
+ *
+ * 1. getPasswordPolicy: default rules and environment overrides
+ * 2. checkPassword: one error per broken rule, plus the breached list
+ */
+describe("Password Policy", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("getPasswordPolicy", () => {
+    it("requires 8 characters, a lowercase letter and a number by default", () => {
+      const policy = getPasswordPolicy();
+
+      expect(policy.minLength).toBe(8);
+      expect(policy.maxLength).toBe(72);
+      expect(policy.rules).toEqual([
+        { rule: "minLength", min: 8, message: "Password must be at least 8 characters" },
+        { rule: "maxLength", max: 72, message: "Password must be at most 72 characters" },
+        { rule: "lowercase", pattern: "[a-z]", message: "Password must contain a lowercase letter" },
+        { rule: "number", pattern: "[0-9]", message: "Password must contain a number" },
+      ]);
+    });
+
+    it("reads length and character classes from the environment", () => {
+      process.env.PASSWORD_MIN_LENGTH = "12";
+      process.env.PASSWORD_REQUIRE_UPPERCASE = "true";
+      process.env.PASSWORD_REQUIRE_SYMBOL = "true";
+      process.env.PASSWORD_REQUIRE_NUMBER = "false";
+
+      const policy = getPasswordPolicy();
+
+      expect(policy.minLength).toBe(12);
+      expect(policy.rules.map((r) => r.rule)).toEqual([
+        "minLength",
+        "maxLength",
+        "lowercase",
+        "uppercase",
+        "symbol",
+      ]);
+    });
+
+    it("falls back to the default length for invalid values", () => {
+      process.env.PASSWORD_MIN_LENGTH = "abc";
+
+      expect(getPasswordPolicy().minLength).toBe(8);
+    });
+  });
+
+  describe("checkPassword", () => {
+    it("accepts a password that meets every rule", () => {
+      expect(checkPassword("correct horse 9")).toEqual([]);
+    });
+
+    it("reports every broken rule", () => {
+      expect(checkPassword("ABC").map((e) => e.rule)).toEqual([
+        "minLength",
+        "lowercase",
+        "number",
+      ]);
+    });
+
+    it("enforces opt-in character classes", () => {
+      process.env.PASSWORD_REQUIRE_UPPERCASE = "true";
+      process.env.PASSWORD_REQUIRE_SYMBOL = "true";
+
+      expect(checkPassword("lowercase123").map((e) => e.rule)).toEqual([
+        "uppercase",
+        "symbol",
+      ]);
+      expect(checkPassword("Lowercase123!")).toEqual([]);
+    });
+
+    it("rejects passwords on the breached list regardless of case", () => {
+      expect(isCommonPassword("PassWord123")).toBe(true);
+      expect(checkPassword("Password123")).toEqual([
+        {
+          rule: "common",
+          message: "Password is too common or has appeared in a data breach",
+        },
+      ]);
+    });
+
+    it("limits passwords to what bcrypt can hash", () => {
+      expect(checkPassword(`a1${"x".repeat(71)}`).map((e) => e.rule)).toEqual([
+        "maxLength",
+      ]);
+    });
+
+    it("treats missing passwords as empty", () => {
+      expect(checkPassword(undefined).map((e) => e.rule)).toContain("minLength");
+    });
+  });
+});
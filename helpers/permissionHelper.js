@@ -0,0 +1,90 @@
+import roleModel from "../models/roleModel.js";
+
+export const PERMISSIONS = [
+  "dashboard:access",
+  "categories:create",
+  "categories:update",
+  "categories:delete",
+  "products:create",
+  "products:update",
+  "products:delete",
+  "orders:read",
+  "orders:update",
+  "users:read",
+  "users:update",
+  "audit:read",
+  "api-keys:manage",
+];
+
+// "*" grants everything
+export const BUILT_IN_ROLES = {
+  "super-admin": {
+    description: "Full access to every admin feature",
+    permissions: ["*"],
+  },
+  "catalog-manager": {
+    description: "Manages products and categories",
+    permissions: [
+      "dashboard:access",
+      "categories:create",
+      "categories:update",
+      "categories:delete",
+      "products:create",
+      "products:update",
+      "products:delete",
+    ],
+  },
+  fulfillment: {
+    description: "Views and updates orders",
+    permissions: ["dashboard:access", "orders:read", "orders:update"],
+  },
+};
+
+const builtInRoles = new Map(Object.entries(BUILT_IN_ROLES));
+
+// accounts still on the legacy role flag: role 1 is a super-admin until
+// explicit roles are assigned
+export const getUserRoles = (user) => {
+  if (user?.roles?.length) {
+    return user.roles;
+  }
+  return user?.role === 1 ? ["super-admin"] : [];
+};
+
+// any role at all makes an account staff
+export const isStaff = (user) => getUserRoles(user).length > 0;
+
+// checked by name: a custom role holding "*" still isn't a super-admin
+export const isSuperAdmin = (user) =>
+  getUserRoles(user).includes("super-admin");
+
+export const getUserPermissions = async (user) => {
+  const names = getUserRoles(user);
+  if (!names.length) {
+    return [];
+  }
+  const stored = (await roleModel.find({ name: { $in: names } })) || [];
+  const permissions = new Set();
+  names.forEach((name) => {
+    const role =
+      stored.find((r) => r.name === name) || builtInRoles.get(name);
+    (role?.permissions || []).forEach((p) => permissions.add(p));
+  });
+  return [...permissions];
+};
+
+export const hasPermission = (permissions, permission) =>
+  permissions.includes("*") || permissions.includes(permission);
+
+// built-in roles plus the ones stored in the roles collection, which win on
+// a name clash
+export const listRoles = async () => {
+  const stored = (await roleModel.find({})) || [];
+  const roles = new Map(
+    [...builtInRoles].map(([name, role]) => [name, { name, ...role }])
+  );
+  stored.forEach(({ name, description, permissions }) =>
+    roles.set(name, { name, description, permissions })
+  );
+  return [...roles.values()];
+};
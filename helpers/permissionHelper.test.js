@@ -0,0 +1,123 @@
+import roleModel from '../models/roleModel.js';
+import {
+  getUserRoles,
+  getUserPermissions,
+  hasPermission,
+  listRoles,
+  isStaff,
+  isSuperAdmin,
+} from './permissionHelper.js';
+
+// Mock the roles collection
+jest.mock('../models/roleModel.js');
+
+/**
+ * Unit tests for permission helper functions
+ *
+ * 1. getUserRoles / isStaff / isSuperAdmin: explicit roles, with the legacy
+ *    role flag as fallback
+ * 2. getUserPermissions: stored roles override the built-in ones
+ * 3. hasPermission: exact matches and the "*" wildcard
+ * 4. listRoles: built-in and stored roles for the admin UI
+ */
+describe('Permission Helper Functions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    roleModel.find.mockResolvedValue([]);
+  });
+
+  describe('getUserRoles Function', () => {
+    it('prefers explicit roles over the legacy flag', () => {
+      expect(getUserRoles({ role: 1, roles: ['fulfillment'] })).toEqual([
+        'fulfillment',
+      ]);
+    });
+
+    it('treats legacy admins as super-admins', () => {
+      expect(getUserRoles({ role: 1 })).toEqual(['super-admin']);
+      expect(getUserRoles({ role: 1, roles: [] })).toEqual(['super-admin']);
+    });
+
+    it('gives customers no roles', () => {
+      expect(getUserRoles({ role: 0 })).toEqual([]);
+      expect(getUserRoles(null)).toEqual([]);
+      expect(isStaff({ role: 0 })).toBe(false);
+      expect(isStaff({ roles: ['catalog-manager'] })).toBe(true);
+    });
+
+    it('only counts the super-admin role as super-admin', () => {
+      expect(isSuperAdmin({ roles: ['super-admin'] })).toBe(true);
+      expect(isSuperAdmin({ role: 1 })).toBe(true);
+      expect(isSuperAdmin({ role: 1, roles: ['fulfillment'] })).toBe(false);
+      expect(isSuperAdmin({ roles: ['catalog-manager'] })).toBe(false);
+      expect(isSuperAdmin(null)).toBe(false);
+    });
+  });
+
+  describe('getUserPermissions Function', () => {
+    it('resolves built-in roles without touching stored ones', async () => {
+      const permissions = await getUserPermissions({ roles: ['fulfillment'] });
+
+      expect(roleModel.find).toHaveBeenCalledWith({
+        name: { $in: ['fulfillment'] },
+      });
+      expect(permissions).toEqual([
+        'dashboard:access',
+        'orders:read',
+        'orders:update',
+      ]);
+    });
+
+    it('merges several roles and lets stored roles override built-ins', async () => {
+      roleModel.find.mockResolvedValue([
+        { name: 'fulfillment', permissions: ['orders:read'] },
+        { name: 'support', permissions: ['users:read'] },
+      ]);
+
+      const permissions = await getUserPermissions({
+        roles: ['fulfillment', 'support'],
+      });
+
+      expect(permissions).toEqual(['orders:read', 'users:read']);
+    });
+
+    it('ignores unknown roles', async () => {
+      expect(await getUserPermissions({ roles: ['constructor'] })).toEqual([]);
+    });
+
+    it('returns no permissions for customers without a lookup', async () => {
+      expect(await getUserPermissions({ role: 0 })).toEqual([]);
+      expect(roleModel.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hasPermission Function', () => {
+    it('matches exact permissions and the wildcard', () => {
+      expect(hasPermission(['orders:read'], 'orders:read')).toBe(true);
+      expect(hasPermission(['orders:read'], 'orders:update')).toBe(false);
+      expect(hasPermission(['*'], 'orders:update')).toBe(true);
+      expect(hasPermission([], 'orders:read')).toBe(false);
+    });
+  });
+
+  describe('listRoles Function', () => {
+    it('lists built-in roles with stored roles overriding them', async () => {
+      roleModel.find.mockResolvedValue([
+        { name: 'fulfillment', description: 'Ships', permissions: ['orders:read'] },
+        { name: 'support', description: 'Helps', permissions: ['users:read'] },
+      ]);
+
+      const roles = await listRoles();
+
+      expect(roles.map((role) => role.name)).toEqual([
+        'super-admin',
+        'catalog-manager',
+        'fulfillment',
+        'support',
+      ]);
+      expect(roles.find((role) => role.name === 'fulfillment').permissions).toEqual([
+        'orders:read',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { Readable } from "stream";
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import { imageStore } from "./imageStore.js";
+
+// Moves the legacy `photo` buffers out of the product documents and into the
+// image store, as the primary gallery image. Each product is updated on its
+// own, so an interrupted run can simply be started again.
+
+// the photo bytes; the driver reads them as a Binary, not a Buffer
+const photoBuffer = (data) =>
+  Buffer.isBuffer(data) ? data : Buffer.from(data.buffer);
+
+export const migrateProductPhotos = async ({
+  store = imageStore(),
+  log = console.log,
+} = {}) => {
+  const result = { migrated: 0, failed: 0 };
+  const cursor = productModel.collection.find(
+    { "photo.data": { $exists: true } },
+    { projection: { name: 1, photo: 1, images: 1 } }
+  );
+  for await (const product of cursor) {
+    let key;
+    try {
+      const data = photoBuffer(product.photo.data);
+      const contentType = product.photo.contentType || "image/jpeg";
+      key = await store.save(Readable.from([data]), {
+        filename: `${product._id}`,
+        contentType,
+      });
+      // products that already have a gallery keep their primary image
+      const hasGallery = Boolean(product.images?.length);
+      const image = {
+        _id: new mongoose.Types.ObjectId(),
+        key,
+        contentType,
+        size: data.length,
+        alt: "",
+        isPrimary: !hasGallery,
+      };
+      await productModel.collection.updateOne(
+        { _id: product._id, "photo.data": { $exists: true } },
+        {
+          $push: {
+            images: hasGallery ? image : { $each: [image], $position: 0 },
+          },
+          $unset: { photo: "" },
+        }
+      );
+      result.migrated += 1;
+      log(`Migrated photo of ${product.name} (${product._id})`);
+    } catch (error) {
+      result.failed += 1;
+      log(`Could not migrate photo of ${product.name} (${product._id})`, error);
+      if (key) {
+        await store.remove(key).catch(() => {});
+      }
+    }
+  }
+  return result;
+};
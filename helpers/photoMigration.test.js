@@ -0,0 +1,128 @@
+import { text } from "stream/consumers";
+import productModel from "../models/productModel.js";
+import { migrateProductPhotos } from "./photoMigration.js";
+
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: { collection: { find: jest.fn(), updateOne: jest.fn() } },
+}));
+
+/**
+ * Unit tests for the legacy photo migration
+ *
+ * 1. each photo buffer is saved to the store and becomes the primary image
+ * 2. products that already have a gallery get the photo appended
+ * 3. a failed product is counted, its upload removed, and the run goes on
+ */
+describe("migrateProductPhotos", () => {
+  const { collection } = productModel;
+  let store, saved, log;
+
+  const products = (...docs) => {
+    collection.find.mockReturnValue(
+      (async function* () {
+        yield* docs;
+      })()
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saved = [];
+    store = {
+      save: jest.fn(async (stream, meta) => {
+        saved.push({ data: await text(stream), ...meta });
+        return `key-${saved.length}`;
+      }),
+      remove: jest.fn().mockResolvedValue(),
+    };
+    log = jest.fn();
+    collection.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it("moves photos into the store as the primary image", async () => {
+    products({
+      _id: "p1",
+      name: "Lamp",
+      // the driver hands back a Binary, its bytes are in .buffer
+      photo: {
+        data: { buffer: Buffer.from("lamp") },
+        contentType: "image/png",
+      },
+    });
+
+    const result = await migrateProductPhotos({ store, log });
+
+    expect(collection.find).toHaveBeenCalledWith(
+      { "photo.data": { $exists: true } },
+      { projection: { name: 1, photo: 1, images: 1 } }
+    );
+    expect(saved).toEqual([
+      { data: "lamp", filename: "p1", contentType: "image/png" },
+    ]);
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { _id: "p1", "photo.data": { $exists: true } },
+      {
+        $push: {
+          images: {
+            $each: [
+              {
+                _id: expect.anything(),
+                key: "key-1",
+                contentType: "image/png",
+                size: 4,
+                alt: "",
+                isPrimary: true,
+              },
+            ],
+            $position: 0,
+          },
+        },
+        $unset: { photo: "" },
+      }
+    );
+    expect(result).toEqual({ migrated: 1, failed: 0 });
+  });
+
+  it("appends the photo to an existing gallery", async () => {
+    products({
+      _id: "p2",
+      name: "Desk",
+      photo: { data: Buffer.from("desk") },
+      images: [{ key: "k1", isPrimary: true }],
+    });
+
+    await migrateProductPhotos({ store, log });
+
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        $push: {
+          images: expect.objectContaining({
+            contentType: "image/jpeg",
+            size: 4,
+            isPrimary: false,
+          }),
+        },
+      })
+    );
+  });
+
+  it("keeps going when a product fails", async () => {
+    products(
+      { _id: "p1", name: "Lamp", photo: { data: Buffer.from("lamp") } },
+      { _id: "p2", name: "Desk", photo: { data: Buffer.from("desk") } }
+    );
+    collection.updateOne.mockRejectedValueOnce(new Error("write conflict"));
+
+    const result = await migrateProductPhotos({ store, log });
+
+    expect(store.remove).toHaveBeenCalledWith("key-1");
+    expect(collection.updateOne).toHaveBeenCalledTimes(2);
+    expect(log).toHaveBeenCalledWith(
+      "Could not migrate photo of Lamp (p1)",
+      new Error("write conflict")
+    );
+    expect(result).toEqual({ migrated: 1, failed: 1 });
+  });
+});
@@ -0,0 +1,424 @@
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import { PRODUCT_STATUSES } from "../models/productStatuses.js";
+import {
+  validationStatus,
+  validateRequest,
+} from "../middlewares/validationMiddleware.js";
+import { readSpecs } from "./attributeHelper.js";
+import { parseCsv, toCsvLine } from "./csvHelper.js";
+import { readStatus } from "./productStatusHelper.js";
+import { slugFields, toSlug, uniqueSlug } from "./slugHelper.js";
+import { withTransaction } from "./transactionHelper.js";
+import { readVariants } from "./variantHelper.js";
+
+// Bulk product import and export. Both use the same columns, one product per
+// CSV row or JSON object:
+//
+//   slug,name,description,price,quantity,category,shipping,status,publishAt,
+//   options,variants,specs
+//
+// `category` is the category slug; `options` and `variants` are the JSON
+// lists the product form sends (see helpers/variantHelper.js) and `specs` its
+// JSON object of attribute values (see helpers/attributeHelper.js). A row
+// updates the product with its slug, or else the product owning one of its
+// variant SKUs, and creates a product when neither exists. Updates only
+// change the columns the row fills in; blank cells keep the saved value.
+//
+// planImport() checks every row the way createProductController does and
+// reports it as create, update or error; nothing is written until every row
+// passes, then applyImport() saves them all in one transaction.
+
+export const IMPORT_FORMATS = ["csv", "json"];
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_IMPORT_SIZE = 5000000;
+
+export const PRODUCT_COLUMNS = [
+  "slug",
+  "name",
+  "description",
+  "price",
+  "quantity",
+  "category",
+  "shipping",
+  "status",
+  "publishAt",
+  "options",
+  "variants",
+  "specs",
+];
+
+// the columns saved as they are
+const PLAIN_COLUMNS = ["name", "description", "price", "quantity", "shipping"];
+
+// a new product needs every field the product form requires
+const rowRules = (creating) => ({
+  slug: { maxLength: 100, label: "Slug" },
+  name: { required: creating, maxLength: 100, label: "Name" },
+  description: { required: creating, maxLength: 5000, label: "Description" },
+  price: { type: "number", required: creating, min: 0, label: "Price" },
+  category: { required: creating, maxLength: 100, label: "Category" },
+  quantity: { type: "integer", required: creating, min: 0, label: "Quantity" },
+  shipping: { type: "boolean", label: "Shipping" },
+  status: { oneOf: PRODUCT_STATUSES, label: "Status" },
+  publishAt: { type: "date", label: "Publish at" },
+});
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// the filled in columns of a row, trimmed
+const readRow = (raw) =>
+  Object.fromEntries(
+    Object.entries(raw)
+      .filter(([column]) => PRODUCT_COLUMNS.includes(column))
+      .map(([column, value]) => [
+        column,
+        typeof value === "string" ? value.trim() : value,
+      ])
+      .filter(([, value]) => ![undefined, null, ""].includes(value))
+  );
+
+// the products listed in an uploaded file, plus a validateRequest error when
+// the file can't be read
+export const readImportFile = (text, format) => {
+  let rows;
+  try {
+    rows = format === "json" ? JSON.parse(text) : parseCsv(text);
+  } catch (error) {
+    return {
+      rows: [],
+      errors: [{ field: "file", rule: "type", message: error.message }],
+    };
+  }
+  if (!Array.isArray(rows)) {
+    return {
+      rows: [],
+      errors: [
+        { field: "file", rule: "type", message: "File must list products" },
+      ],
+    };
+  }
+  if (!rows.length) {
+    return {
+      rows,
+      errors: [
+        { field: "file", rule: "minLength", message: "File has no products" },
+      ],
+    };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      rows: [],
+      errors: [
+        {
+          field: "file",
+          rule: "maxLength",
+          message: `Files can list at most ${MAX_IMPORT_ROWS} products`,
+        },
+      ],
+    };
+  }
+  return { rows, errors: [] };
+};
+
+const rowError = (field, rule, message) => ({ field, rule, message });
+
+// every row of the file as { row, action, name, slug, errors } where action
+// is create, update or error. Rows count from 1, not counting a CSV header.
+// `fields` and `product` carry what applyImport() needs.
+export const planImport = async (rows, now = new Date()) => {
+  const entries = rows.map((raw, index) => {
+    const entry = { row: index + 1, errors: [] };
+    if (!isObject(raw)) {
+      entry.errors.push(
+        rowError("row", "type", `Row ${entry.row} must be a product`)
+      );
+      return entry;
+    }
+    entry.values = readRow(raw);
+    const variants = readVariants(entry.values);
+    const status = readStatus(entry.values, now);
+    entry.variantFields = variants.fields;
+    entry.statusFields = status.fields;
+    entry.errors.push(...variants.errors, ...status.errors);
+    entry.skus = (variants.fields.variants || []).map(({ sku }) => sku);
+    return entry;
+  });
+
+  // every saved product and category the rows may refer to, in two queries
+  const read = entries.filter(({ values }) => values);
+  const pluck = (pick) =>
+    read.map(({ values }) => pick(values)).filter(Boolean);
+  const products = await productModel
+    .find({
+      $or: [
+        { slug: { $in: pluck(({ slug }) => slug) } },
+        { "variants.sku": { $in: read.flatMap(({ skus }) => skus) } },
+        { name: { $in: pluck(({ name }) => name) } },
+      ],
+    })
+    .select("name slug slugHistory category variants.sku")
+    .lean();
+  //the categories named by the rows, and those of the products they update
+  const categories = await categoryModel
+    .find({
+      $or: [
+        { slug: { $in: pluck(({ category }) => category) } },
+        { _id: { $in: products.map(({ category }) => category) } },
+      ],
+    })
+    .select("slug attributes")
+    .lean();
+
+  const rowsByName = new Map();
+  const rowsByProduct = new Map();
+  const rowsBySku = new Map();
+  for (const entry of read) {
+    const { values, errors, skus } = entry;
+    const skuOwners = products.filter(({ variants = [] }) =>
+      variants.some(({ sku }) => skus.includes(sku))
+    );
+    const product =
+      products.find(({ slug }) => values.slug && slug === values.slug) ||
+      skuOwners[0];
+    entry.product = product;
+    errors.unshift(
+      ...validateRequest({ body: rowRules(!product) }, { body: values })
+    );
+
+    const category = values.category
+      ? categories.find(({ slug }) => slug === values.category)?._id
+      : product?.category;
+    if (values.category && !category) {
+      errors.push(
+        rowError(
+          "category",
+          "oneOf",
+          `Category "${values.category}" does not exist`
+        )
+      );
+    }
+    //specs follow the attributes of the product's category, the new one
+    //when the row moves it
+    const specs = category
+      ? readSpecs(
+          values,
+          categories.find(({ _id }) => String(_id) === String(category))
+            ?.attributes,
+          product && String(product.category) === String(category)
+            ? product
+            : undefined
+        )
+      : { fields: {}, errors: [] };
+    errors.push(...specs.errors);
+
+    const owner = skuOwners.find((other) => other !== product);
+    if (owner) {
+      const sku = owner.variants.find((v) => skus.includes(v.sku)).sku;
+      errors.push(
+        rowError(
+          "variants",
+          "unique",
+          `SKU ${sku} is already used by ${owner.name}`
+        )
+      );
+    }
+    for (const sku of skus) {
+      if (rowsBySku.has(sku)) {
+        errors.push(
+          rowError(
+            "variants",
+            "unique",
+            `SKU ${sku} is also used by row ${rowsBySku.get(sku)}`
+          )
+        );
+      } else {
+        rowsBySku.set(sku, entry.row);
+      }
+    }
+
+    const repeated = product && rowsByProduct.has(product);
+    if (repeated) {
+      errors.push(
+        rowError(
+          "slug",
+          "unique",
+          `Row ${entry.row} updates the same product as row ${rowsByProduct.get(product)}`
+        )
+      );
+    } else if (product) {
+      rowsByProduct.set(product, entry.row);
+    }
+
+    const name = values.name ?? product?.name;
+    const nameKey = `${name}\u0000${category}`;
+    //a repeated product is already reported
+    const compared = category && !repeated;
+    if (
+      compared &&
+      products.some(
+        (other) =>
+          other !== product &&
+          other.name === name &&
+          String(other.category) === String(category)
+      )
+    ) {
+      errors.push(
+        rowError(
+          "name",
+          "unique",
+          "Product with same name already exists in this category"
+        )
+      );
+    } else if (compared && rowsByName.has(nameKey)) {
+      errors.push(
+        rowError(
+          "name",
+          "unique",
+          `Row ${entry.row} has the same name and category as row ${rowsByName.get(nameKey)}`
+        )
+      );
+    }
+    if (!rowsByName.has(nameKey)) rowsByName.set(nameKey, entry.row);
+
+    entry.fields = {
+      ...Object.fromEntries(
+        Object.entries(values).filter(([column]) =>
+          PLAIN_COLUMNS.includes(column)
+        )
+      ),
+      ...(category && { category }),
+      ...entry.variantFields,
+      ...entry.statusFields,
+      ...specs.fields,
+    };
+    entry.slug = product?.slug || (values.slug && toSlug(values.slug));
+    entry.name = name;
+  }
+
+  return entries.map(({ row, name, slug, errors, fields, product }) => ({
+    row,
+    action: errors.length ? "error" : product ? "update" : "create",
+    name: name ?? null,
+    slug: slug || null,
+    errors,
+    fields,
+    product,
+  }));
+};
+
+// the number of rows of each action
+export const importSummary = (plan) => ({
+  create: plan.filter(({ action }) => action === "create").length,
+  update: plan.filter(({ action }) => action === "update").length,
+  error: plan.filter(({ action }) => action === "error").length,
+});
+
+// the plan as sent to the client
+export const importReport = (plan) =>
+  plan.map(({ row, action, name, slug, errors }) => ({
+    row,
+    action,
+    name,
+    slug,
+    errors,
+  }));
+
+// 400 when a row misses a field or has one of the wrong type, else 422
+export const importStatus = (plan) =>
+  validationStatus(plan.flatMap(({ errors }) => errors));
+
+// saves a plan without errors, returning the saved products; a row that
+// fails to save rolls back the whole import
+export const applyImport = (plan) =>
+  withTransaction(async (session) => {
+    const saved = [];
+    for (const { action, fields, product, slug } of plan) {
+      if (action === "create") {
+        const created = new productModel({
+          ...fields,
+          slug: await uniqueSlug(
+            productModel,
+            slug || toSlug(fields.name),
+            undefined,
+            session
+          ),
+        });
+        saved.push(await created.save({ session }));
+      } else {
+        saved.push(
+          await productModel.findByIdAndUpdate(
+            product._id,
+            {
+              ...fields,
+              ...(await slugFields(
+                productModel,
+                fields.name ?? product.name,
+                product,
+                session
+              )),
+            },
+            { new: true, session }
+          )
+        );
+      }
+    }
+    return saved;
+  });
+
+// one product as an export row, in PRODUCT_COLUMNS order; lists stay lists
+// in JSON and are JSON text in CSV
+export const exportRow = (product, format) => {
+  const list = (value) =>
+    format === "csv" ? JSON.stringify(value || []) : value || [];
+  return {
+    slug: product.slug,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    quantity: product.quantity,
+    category: product.category?.slug ?? null,
+    shipping: product.shipping ?? null,
+    status: product.status || "published",
+    publishAt: product.publishAt
+      ? new Date(product.publishAt).toISOString()
+      : null,
+    options: list(product.options),
+    variants: list(
+      product.variants?.map(({ sku, options, price, quantity }) => ({
+        sku,
+        options,
+        ...(price !== undefined && price !== null && { price }),
+        quantity,
+      }))
+    ),
+    specs:
+      format === "csv"
+        ? JSON.stringify(product.specs || {})
+        : product.specs || {},
+  };
+};
+
+// the text of an export, written chunk by chunk: a header line then a line
+// per product for CSV, a JSON list for JSON
+export async function* exportChunks(products, format) {
+  if (format === "csv") {
+    yield toCsvLine(PRODUCT_COLUMNS);
+  } else {
+    yield "[";
+  }
+  let first = true;
+  for await (const product of products) {
+    const row = exportRow(product, format);
+    if (format === "csv") {
+      yield toCsvLine(Object.values(row));
+    } else {
+      yield `${first ? "" : ","}\n${JSON.stringify(row)}`;
+    }
+    first = false;
+  }
+  if (format !== "csv") {
+    yield first ? "]\n" : "\n]\n";
+  }
+}
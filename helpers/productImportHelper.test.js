@@ -0,0 +1,464 @@
+import {
+  applyImport,
+  exportChunks,
+  exportRow,
+  importReport,
+  importSummary,
+  planImport,
+  readImportFile,
+} from "./productImportHelper.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+
+jest.mock("../models/productModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("./transactionHelper.js", () => ({
+  withTransaction: jest.fn((work) => work("session")),
+}));
+
+/**
+ * Unit tests for the bulk product import and export
+ *
+ * 1. readImportFile: CSV and JSON lists, unreadable or empty files
+ * 2. planImport: create or update by slug or SKU, the product form's checks,
+ *    categories by slug, duplicates against the catalogue and the file
+ * 3. applyImport: saves the planned rows with unique slugs, in one
+ *    transaction
+ * 4. exportRow / exportChunks: the same columns, as CSV or a JSON list
+ */
+describe("Product Import Helper", () => {
+  const now = new Date("2030-01-01T00:00:00.000Z");
+  const lamps = { _id: "c1", slug: "lamps" };
+  const savedLamp = {
+    _id: "p1",
+    name: "Desk Lamp",
+    slug: "desk-lamp",
+    category: "c1",
+    variants: [{ sku: "LAMP-RED" }],
+  };
+
+  // find().select().lean() resolving to `categories` and `products`
+  const mockCatalogue = (categories, products) => {
+    categoryModel.find.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue(categories) }),
+    });
+    productModel.find.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue(products) }),
+    });
+  };
+
+  const newRow = (extra = {}) => ({
+    name: "Floor Lamp",
+    description: "Tall",
+    price: "40",
+    quantity: "3",
+    category: "lamps",
+    ...extra,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCatalogue([lamps], [savedLamp]);
+  });
+
+  describe("readImportFile", () => {
+    it("reads CSV and JSON files", () => {
+      expect(readImportFile("name,price\nLamp,12\n", "csv")).toEqual({
+        rows: [{ name: "Lamp", price: "12" }],
+        errors: [],
+      });
+      expect(readImportFile('[{"name":"Lamp","price":12}]', "json")).toEqual({
+        rows: [{ name: "Lamp", price: 12 }],
+        errors: [],
+      });
+    });
+
+    it("rejects files that are not a list of products", () => {
+      expect(readImportFile("{", "json").errors[0]).toMatchObject({
+        field: "file",
+        rule: "type",
+      });
+      expect(readImportFile('{"name":"Lamp"}', "json").errors).toEqual([
+        { field: "file", rule: "type", message: "File must list products" },
+      ]);
+      expect(readImportFile("name\n", "csv").errors).toEqual([
+        { field: "file", rule: "minLength", message: "File has no products" },
+      ]);
+    });
+
+    it("limits the number of products", () => {
+      const text = JSON.stringify(Array.from({ length: 1001 }, () => ({})));
+
+      expect(readImportFile(text, "json").errors).toEqual([
+        {
+          field: "file",
+          rule: "maxLength",
+          message: "Files can list at most 1000 products",
+        },
+      ]);
+    });
+  });
+
+  describe("planImport", () => {
+    it("creates products it doesn't know", async () => {
+      const [row] = await planImport([newRow({ shipping: "true" })], now);
+
+      expect(row).toEqual({
+        row: 1,
+        action: "create",
+        name: "Floor Lamp",
+        slug: null,
+        errors: [],
+        fields: {
+          name: "Floor Lamp",
+          description: "Tall",
+          price: "40",
+          quantity: "3",
+          shipping: "true",
+          category: "c1",
+          specs: {},
+        },
+        product: undefined,
+      });
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        $or: [{ slug: { $in: ["lamps"] } }, { _id: { $in: ["c1"] } }],
+      });
+      expect(productModel.find).toHaveBeenCalledWith({
+        $or: [
+          { slug: { $in: [] } },
+          { "variants.sku": { $in: [] } },
+          { name: { $in: ["Floor Lamp"] } },
+        ],
+      });
+    });
+
+    it("updates only the filled in columns of a product found by slug", async () => {
+      const [row] = await planImport(
+        [{ slug: "desk-lamp", price: " 15 ", quantity: "", name: "" }],
+        now
+      );
+
+      expect(row).toMatchObject({
+        action: "update",
+        name: "Desk Lamp",
+        slug: "desk-lamp",
+        errors: [],
+        fields: { price: "15", category: "c1" },
+        product: savedLamp,
+      });
+    });
+
+    it("updates the product owning one of the row's SKUs", async () => {
+      const [row] = await planImport(
+        [
+          {
+            options: '[{"name":"Color","values":["Red","Blue"]}]',
+            variants: JSON.stringify([
+              { sku: "LAMP-RED", options: { Color: "Red" }, quantity: 2 },
+              { sku: "LAMP-BLUE", options: { Color: "Blue" }, quantity: 1 },
+            ]),
+          },
+        ],
+        now
+      );
+
+      expect(row.action).toBe("update");
+      expect(row.product).toBe(savedLamp);
+      expect(row.fields).toMatchObject({ quantity: 3 });
+      expect(row.fields.variants).toHaveLength(2);
+    });
+
+    it("runs the product form's checks", async () => {
+      const [row] = await planImport(
+        [newRow({ price: "-1", quantity: "two", status: "scheduled" })],
+        now
+      );
+
+      expect(row.action).toBe("error");
+      expect(row.errors).toEqual([
+        { field: "price", rule: "min", message: "Price must be at least 0" },
+        {
+          field: "quantity",
+          rule: "type",
+          message: "Quantity must be a whole number",
+        },
+        {
+          field: "publishAt",
+          rule: "required",
+          message: "Publish at is required to schedule a product",
+        },
+      ]);
+    });
+
+    it("needs every required field to create a product", async () => {
+      const [row] = await planImport([{ name: "Floor Lamp" }], now);
+
+      expect(row.errors.map(({ field }) => field)).toEqual([
+        "description",
+        "price",
+        "category",
+        "quantity",
+      ]);
+    });
+
+    it("reports unknown categories and rows that are not objects", async () => {
+      const plan = await planImport([newRow({ category: "desks" }), "x"], now);
+
+      expect(plan[0].errors).toEqual([
+        {
+          field: "category",
+          rule: "oneOf",
+          message: 'Category "desks" does not exist',
+        },
+      ]);
+      expect(plan[1]).toMatchObject({
+        row: 2,
+        action: "error",
+        errors: [{ field: "row", message: "Row 2 must be a product" }],
+      });
+    });
+
+    it("checks specs against the attributes of the row's category", async () => {
+      const attributes = [
+        { key: "watts", label: "Watts", type: "number", required: true },
+      ];
+      mockCatalogue([{ ...lamps, attributes }], [savedLamp]);
+
+      const plan = await planImport(
+        [
+          newRow({ name: "Wall Lamp", specs: '{"watts":"60"}' }),
+          newRow({ specs: { watts: "bright" } }),
+          { slug: "desk-lamp", price: "9" },
+        ],
+        now
+      );
+
+      expect(plan[0].fields.specs).toEqual({ watts: 60 });
+      expect(plan[1].errors).toEqual([
+        {
+          field: "specs.watts",
+          rule: "type",
+          message: "Watts must be a number",
+        },
+      ]);
+      // an update that leaves the specs blank keeps the saved ones
+      expect(plan[2].action).toBe("update");
+      expect(plan[2].fields).not.toHaveProperty("specs");
+    });
+
+    it("refuses a name already used in the category", async () => {
+      const [row] = await planImport([newRow({ name: "Desk Lamp" })], now);
+
+      expect(row.errors).toEqual([
+        {
+          field: "name",
+          rule: "unique",
+          message: "Product with same name already exists in this category",
+        },
+      ]);
+    });
+
+    it("refuses SKUs of another product", async () => {
+      const [row] = await planImport(
+        [
+          newRow({
+            options: '[{"name":"Color","values":["Red"]}]',
+            variants:
+              '[{"sku":"LAMP-RED","options":{"Color":"Red"},"quantity":1}]',
+            slug: "floor-lamp",
+          }),
+        ],
+        now
+      );
+      mockCatalogue([lamps], [savedLamp, { _id: "p2", slug: "floor-lamp" }]);
+      const [owned] = await planImport(
+        [
+          {
+            slug: "floor-lamp",
+            options: '[{"name":"Color","values":["Red"]}]',
+            variants:
+              '[{"sku":"LAMP-RED","options":{"Color":"Red"},"quantity":1}]',
+          },
+        ],
+        now
+      );
+
+      // a row whose slug is new still updates the SKU's owner
+      expect(row.action).toBe("update");
+      expect(owned.errors).toEqual([
+        {
+          field: "variants",
+          rule: "unique",
+          message: "SKU LAMP-RED is already used by Desk Lamp",
+        },
+      ]);
+    });
+
+    it("refuses rows repeating another row of the file", async () => {
+      const plan = await planImport(
+        [newRow(), newRow(), { slug: "desk-lamp" }, { slug: "desk-lamp" }],
+        now
+      );
+
+      expect(plan.map(({ action }) => action)).toEqual([
+        "create",
+        "error",
+        "update",
+        "error",
+      ]);
+      expect(plan[1].errors[0].message).toBe(
+        "Row 2 has the same name and category as row 1"
+      );
+      expect(plan[3].errors[0].message).toBe(
+        "Row 4 updates the same product as row 3"
+      );
+    });
+
+    it("counts and reports the rows without their fields", async () => {
+      const plan = await planImport([newRow(), { slug: "desk-lamp" }, 1], now);
+
+      expect(importSummary(plan)).toEqual({ create: 1, update: 1, error: 1 });
+      expect(importReport(plan)[1]).toEqual({
+        row: 2,
+        action: "update",
+        name: "Desk Lamp",
+        slug: "desk-lamp",
+        errors: [],
+      });
+    });
+  });
+
+  describe("applyImport", () => {
+    it("creates and updates the planned products", async () => {
+      productModel.exists.mockResolvedValue(null);
+      productModel.prototype.save.mockResolvedValue({ _id: "p9" });
+      productModel.findByIdAndUpdate.mockResolvedValue({ _id: "p1" });
+      const plan = await planImport(
+        [
+          newRow({ slug: "Tall Lamp" }),
+          { slug: "desk-lamp", name: "Desk Light" },
+        ],
+        now
+      );
+
+      await expect(applyImport(plan)).resolves.toEqual([
+        { _id: "p9" },
+        { _id: "p1" },
+      ]);
+
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "Floor Lamp", slug: "tall-lamp" })
+      );
+      expect(productModel.prototype.save).toHaveBeenCalledWith({
+        session: "session",
+      });
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        "p1",
+        {
+          name: "Desk Light",
+          category: "c1",
+          slug: "desk-light",
+          slugHistory: ["desk-lamp"],
+        },
+        { new: true, session: "session" }
+      );
+    });
+
+    it("checks slugs against the rows saved so far", async () => {
+      productModel.exists.mockResolvedValue(null);
+      productModel.prototype.save.mockResolvedValue({ _id: "p9" });
+      const plan = await planImport([newRow({ slug: "Tall Lamp" })], now);
+
+      await applyImport(plan);
+
+      expect(productModel.exists).toHaveBeenCalledWith(
+        { $or: [{ slug: "tall-lamp" }, { slugHistory: "tall-lamp" }] },
+        { session: "session" }
+      );
+    });
+
+    it("stops at the first row that fails to save", async () => {
+      productModel.exists.mockResolvedValue(null);
+      productModel.prototype.save.mockRejectedValue(new Error("Invalid"));
+      const plan = await planImport(
+        [newRow(), { slug: "desk-lamp", price: "9" }],
+        now
+      );
+
+      await expect(applyImport(plan)).rejects.toThrow("Invalid");
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("export", () => {
+    const product = {
+      slug: "desk-lamp",
+      name: "Desk Lamp",
+      description: 'A "bright", red lamp',
+      price: 12,
+      quantity: 3,
+      category: { _id: "c1", slug: "lamps" },
+      shipping: true,
+      options: [{ name: "Color", values: ["Red"] }],
+      variants: [
+        { _id: "v1", sku: "LAMP-RED", options: { Color: "Red" }, quantity: 3 },
+      ],
+      specs: { watts: 40 },
+    };
+
+    it("exports a product in the import columns", () => {
+      expect(exportRow(product, "json")).toEqual({
+        slug: "desk-lamp",
+        name: "Desk Lamp",
+        description: 'A "bright", red lamp',
+        price: 12,
+        quantity: 3,
+        category: "lamps",
+        shipping: true,
+        status: "published",
+        publishAt: null,
+        options: [{ name: "Color", values: ["Red"] }],
+        variants: [{ sku: "LAMP-RED", options: { Color: "Red" }, quantity: 3 }],
+        specs: { watts: 40 },
+      });
+      expect(exportRow({ name: "Old" }, "csv")).toMatchObject({
+        category: null,
+        options: "[]",
+        variants: "[]",
+        specs: "{}",
+      });
+    });
+
+    const collect = async (chunks) => {
+      let text = "";
+      for await (const chunk of chunks) text += chunk;
+      return text;
+    };
+
+    it("writes a CSV the import reads back", async () => {
+      const text = await collect(exportChunks([product], "csv"));
+
+      const { rows } = readImportFile(text, "csv");
+      expect(rows[0]).toMatchObject({
+        slug: "desk-lamp",
+        description: 'A "bright", red lamp',
+        price: "12",
+        category: "lamps",
+        publishAt: "",
+      });
+      expect(JSON.parse(rows[0].variants)).toEqual([
+        { sku: "LAMP-RED", options: { Color: "Red" }, quantity: 3 },
+      ]);
+    });
+
+    it("writes a JSON list", async () => {
+      await expect(collect(exportChunks([], "json"))).resolves.toBe("[]\n");
+      const text = await collect(exportChunks([product, product], "json"));
+
+      expect(JSON.parse(text)).toEqual([
+        exportRow(product, "json"),
+        exportRow(product, "json"),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import productModel from "../models/productModel.js";
+import { recordAuditEvent } from "./auditHelper.js";
+
+// Products are drafted, scheduled, published and finally archived. Only
+// published products are on the storefront, so every storefront query goes
+// through onStorefront(); admin lists see every status. Archived products
+// keep their order history. A scheduled product carries `publishAt` and is
+// published by the scheduler server.js starts once that time arrives.
+
+export const PUBLISH_INTERVAL = 60 * 1000;
+
+// storefront filter; products saved before statuses existed have none and
+// stay on sale
+export const onStorefront = (filter = {}) => ({
+  ...filter,
+  status: { $in: ["published", null] },
+});
+
+// the status fields to save, plus every problem found as validateRequest
+// errors. `status` and `publishAt` are already checked by the request
+// schema; scheduling also needs a time in the future, and every other
+// status clears it. `fields` is empty when no status was sent.
+export const readStatus = ({ status, publishAt } = {}, now = new Date()) => {
+  const errors = [];
+  if (!status) {
+    return { fields: {}, errors };
+  }
+  if (status !== "scheduled") {
+    return { fields: { status, publishAt: null }, errors };
+  }
+  if (!publishAt) {
+    errors.push({
+      field: "publishAt",
+      rule: "required",
+      message: "Publish at is required to schedule a product",
+    });
+  } else if (new Date(publishAt) <= now) {
+    errors.push({
+      field: "publishAt",
+      rule: "min",
+      message: "Publish at must be in the future",
+    });
+  }
+  return {
+    fields: errors.length ? {} : { status, publishAt: new Date(publishAt) },
+    errors,
+  };
+};
+
+// publishes every scheduled product that is due, returning how many
+export const publishDueProducts = async (now = new Date()) => {
+  const due = await productModel
+    .find({ status: "scheduled", publishAt: { $lte: now } })
+    .select("name")
+    .lean();
+  if (!due.length) return 0;
+  await productModel.updateMany(
+    { _id: { $in: due.map(({ _id }) => _id) }, status: "scheduled" },
+    { $set: { status: "published", publishAt: null } }
+  );
+  for (const product of due) {
+    await recordAuditEvent(null, {
+      action: "product.status_changed",
+      target: { type: "product", id: product._id, label: product.name },
+      before: { status: "scheduled" },
+      after: { status: "published" },
+      metadata: { scheduled: true },
+    });
+  }
+  return due.length;
+};
+
+// checks for due products now and then every `interval` ms; the timer does
+// not keep the process alive
+export const startPublishScheduler = (interval = PUBLISH_INTERVAL) => {
+  const run = () =>
+    publishDueProducts()
+      .then((count) => {
+        if (count) console.log(`Published ${count} scheduled products`);
+      })
+      .catch((error) => console.log(error));
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref?.();
+  return timer;
+};
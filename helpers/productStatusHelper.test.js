@@ -0,0 +1,155 @@
+import {
+  PUBLISH_INTERVAL,
+  onStorefront,
+  publishDueProducts,
+  readStatus,
+  startPublishScheduler,
+} from "./productStatusHelper.js";
+import productModel from "../models/productModel.js";
+import auditEventModel from "../models/auditEventModel.js";
+
+jest.mock("../models/productModel.js");
+jest.mock("../models/auditEventModel.js");
+
+/**
+ * Unit tests for the product lifecycle helpers
+ *
+ * 1. onStorefront: storefront queries only see published products
+ * 2. readStatus: scheduling needs a future publishAt, other statuses clear it
+ * 3. publishDueProducts / startPublishScheduler: due products go on sale
+ */
+describe("Product Status Helper", () => {
+  const now = new Date("2030-01-01T09:00:00.000Z");
+
+  // find().select().lean() resolving to `products`
+  const mockDue = (products) => {
+    const lean = jest.fn().mockResolvedValue(products);
+    productModel.find.mockReturnValue({ select: () => ({ lean }) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it("keeps storefront queries to published products", () => {
+    expect(onStorefront()).toEqual({ status: { $in: ["published", null] } });
+    expect(onStorefront({ category: "c1" })).toEqual({
+      category: "c1",
+      status: { $in: ["published", null] },
+    });
+  });
+
+  it("leaves the status alone when none was sent", () => {
+    expect(readStatus({ name: "Lamp" }, now)).toEqual({
+      fields: {},
+      errors: [],
+    });
+  });
+
+  it("clears the publish time for every status but scheduled", () => {
+    expect(
+      readStatus({ status: "draft", publishAt: "2030-02-01" }, now)
+    ).toEqual({ fields: { status: "draft", publishAt: null }, errors: [] });
+  });
+
+  it("schedules a product for a time in the future", () => {
+    expect(
+      readStatus(
+        { status: "scheduled", publishAt: "2030-02-01T00:00:00.000Z" },
+        now
+      )
+    ).toEqual({
+      fields: {
+        status: "scheduled",
+        publishAt: new Date("2030-02-01T00:00:00.000Z"),
+      },
+      errors: [],
+    });
+  });
+
+  it("needs a future publish time to schedule", () => {
+    expect(readStatus({ status: "scheduled" }, now).errors).toEqual([
+      {
+        field: "publishAt",
+        rule: "required",
+        message: "Publish at is required to schedule a product",
+      },
+    ]);
+    expect(
+      readStatus({ status: "scheduled", publishAt: "2029-12-31" }, now)
+    ).toEqual({
+      fields: {},
+      errors: [
+        {
+          field: "publishAt",
+          rule: "min",
+          message: "Publish at must be in the future",
+        },
+      ],
+    });
+  });
+
+  it("publishes the scheduled products that are due", async () => {
+    mockDue([{ _id: "p1", name: "Lamp" }]);
+
+    await expect(publishDueProducts(now)).resolves.toBe(1);
+
+    expect(productModel.find).toHaveBeenCalledWith({
+      status: "scheduled",
+      publishAt: { $lte: now },
+    });
+    expect(productModel.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ["p1"] }, status: "scheduled" },
+      { $set: { status: "published", publishAt: null } }
+    );
+    expect(auditEventModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "product.status_changed",
+        actor: null,
+        target: { type: "product", id: "p1", label: "Lamp" },
+        changes: {
+          before: { status: "scheduled" },
+          after: { status: "published" },
+        },
+        metadata: { scheduled: true },
+      })
+    );
+  });
+
+  it("skips the write when nothing is due", async () => {
+    mockDue([]);
+
+    await expect(publishDueProducts(now)).resolves.toBe(0);
+    expect(productModel.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("checks for due products at start and on every tick", async () => {
+    jest.useFakeTimers();
+    mockDue([]);
+
+    const timer = startPublishScheduler();
+    expect(productModel.find).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(PUBLISH_INTERVAL);
+    expect(productModel.find).toHaveBeenCalledTimes(2);
+    clearInterval(timer);
+  });
+
+  it("logs a failed run and keeps going", async () => {
+    productModel.find.mockImplementation(() => {
+      throw new Error("DB Down");
+    });
+
+    const timer = startPublishScheduler();
+    await new Promise((resolve) => setImmediate(resolve));
+    clearInterval(timer);
+
+    expect(console.log).toHaveBeenCalledWith(expect.any(Error));
+  });
+});
@@ -0,0 +1,45 @@
+// helpers for turning query string input into safe mongo queries
+
+// match user input literally inside a $regex
+export const escapeRegex = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// words, "exact phrases" and -exclusions (-word or -"phrase") as typed into
+// the storefront search box
+const SEARCH_TOKEN = /(-?)(?:"([^"]*)"?|([^\s"]+))/g;
+
+// the letters, digits, apostrophes and hyphens of a word or phrase
+const searchWords = (text) =>
+  text
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .map((word) => word.replace(/^[-']+/, ""))
+    .filter(Boolean);
+
+// a $text $search string for a shopper's query. Only the phrase and
+// exclusion operators get through, so the rest of the input is read as plain
+// words; null when nothing is left to look for, since a search that only
+// excludes matches nothing.
+export const textSearch = (keyword) => {
+  const terms = [];
+  for (const [, minus, phrase, word] of String(keyword).matchAll(
+    SEARCH_TOKEN
+  )) {
+    const words = searchWords(phrase ?? word);
+    if (phrase !== undefined && words.length) {
+      terms.push({ excluded: Boolean(minus), text: `"${words.join(" ")}"` });
+    } else {
+      terms.push(...words.map((text) => ({ excluded: Boolean(minus), text })));
+    }
+  }
+  if (!terms.some(({ excluded }) => !excluded)) {
+    return null;
+  }
+  return terms
+    .map(({ excluded, text }) => (excluded ? `-${text}` : text))
+    .join(" ");
+};
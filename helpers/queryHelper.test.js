@@ -0,0 +1,50 @@
+import { escapeRegex, textSearch, toPositiveInt } from "./queryHelper.js";
+
+/**
+ * Unit tests for query string helpers shared by the admin list endpoints
+ * and the storefront search
+ */
+describe("Query Helper", () => {
+  describe("escapeRegex", () => {
+    it("escapes every regex metacharacter", () => {
+      expect(escapeRegex("a.b*(c)?[d]^$|\\")).toBe(
+        "a\\.b\\*\\(c\\)\\?\\[d\\]\\^\\$\\|\\\\"
+      );
+      expect(new RegExp(escapeRegex("1+1")).test("1+1")).toBe(true);
+    });
+  });
+
+  describe("toPositiveInt", () => {
+    it("parses positive integers", () => {
+      expect(toPositiveInt("3", 1)).toBe(3);
+    });
+
+    it("falls back for zero, negatives and junk", () => {
+      expect(toPositiveInt("0", 1)).toBe(1);
+      expect(toPositiveInt("-2", 1)).toBe(1);
+      expect(toPositiveInt("abc", 10)).toBe(10);
+      expect(toPositiveInt(undefined, 10)).toBe(10);
+    });
+  });
+
+  describe("textSearch", () => {
+    it("keeps words, phrases and exclusions", () => {
+      expect(textSearch("Desk lamp")).toBe("Desk lamp");
+      expect(textSearch('red "desk lamp" -plastic -"old model"')).toBe(
+        'red "desk lamp" -plastic -"old model"'
+      );
+      expect(textSearch('"unclosed phrase')).toBe('"unclosed phrase"');
+    });
+
+    it("reads other punctuation as word breaks", () => {
+      expect(textSearch("(a+)+$ .* c++")).toBe("a c");
+      expect(textSearch("o'neil's wi-fi a.b/c")).toBe("o'neil's wi-fi a b c");
+      expect(textSearch('lamp "" ---x')).toBe("lamp -x");
+    });
+
+    it("finds nothing to search for in exclusions or punctuation alone", () => {
+      expect(textSearch("-plastic")).toBeNull();
+      expect(textSearch('.* "" ?')).toBeNull();
+    });
+  });
+});
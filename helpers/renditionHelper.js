@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+
+// Resized and converted copies of product images, e.g. the 300px webp shown
+// on the product cards. A rendition is made on its first request and kept on
+// disk under a name derived from the source image, so the cache directory can
+// be emptied at any time.
+
+// the only sizes served, so the cache can't be filled with arbitrary widths
+export const RENDITION_WIDTHS = [75, 150, 300, 600, 1200];
+
+export const RENDITION_FORMATS = new Map([
+  ["webp", "image/webp"],
+  ["jpeg", "image/jpeg"],
+  ["png", "image/png"],
+  ["avif", "image/avif"],
+]);
+
+const cacheDir = () =>
+  process.env.RENDITION_CACHE_DIR ||
+  path.join(process.cwd(), "uploads", "renditions");
+
+const digest = (...parts) =>
+  crypto.createHash("sha256").update(parts.join(":")).digest("hex");
+
+// `tag` names the source bytes: an image store key, or a product id plus the
+// time the legacy photo was last saved
+export const renditionEtag = (tag, { width, format } = {}) =>
+  `"${digest(tag, width || "", format || "").slice(0, 32)}"`;
+
+// the format to send: the one asked for, else the original's when it is one
+// of ours, else png (for gif, svg...)
+export const renditionFormat = (format, contentType) =>
+  format ||
+  [...RENDITION_FORMATS].find(([, type]) => type === contentType)?.[0] ||
+  "png";
+
+// the rendition's bytes, from the cache or made from `read()`, which returns
+// the original image as a Buffer
+export const rendition = async ({ tag, read }, { width, format }) => {
+  const dir = cacheDir();
+  const file = path.join(dir, digest(tag, width || "", format));
+  try {
+    return await fs.promises.readFile(file);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  let image = sharp(await read()).rotate();
+  if (width) {
+    image = image.resize({ width, withoutEnlargement: true });
+  }
+  const data = await image.toFormat(format).toBuffer();
+  // written under a temporary name first, so a concurrent request never
+  // reads half a file
+  await fs.promises.mkdir(dir, { recursive: true });
+  const temp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  await fs.promises.writeFile(temp, data);
+  await fs.promises.rename(temp, file);
+  return data;
+};
@@ -0,0 +1,89 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import {
+  rendition,
+  renditionEtag,
+  renditionFormat,
+} from "./renditionHelper.js";
+
+/**
+ * Unit tests for the image rendition helpers
+ *
+ * 1. rendition: resizes and converts with sharp, caches the result on disk
+ *    and serves later requests from the cache
+ * 2. renditionEtag: one tag per source, width and format
+ * 3. renditionFormat: the requested format, else the original's
+ */
+describe("Rendition Helper", () => {
+  const originalEnv = { ...process.env };
+  let cacheDir, original;
+
+  beforeAll(async () => {
+    original = await sharp({
+      create: { width: 200, height: 100, channels: 3, background: "#c00" },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "renditions-"));
+    process.env.RENDITION_CACHE_DIR = path.join(cacheDir, "cache");
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  it("resizes and converts, then serves the cached copy", async () => {
+    const read = jest.fn().mockResolvedValue(original);
+
+    const first = await rendition(
+      { tag: "k1", read },
+      { width: 75, format: "webp" }
+    );
+    const second = await rendition(
+      { tag: "k1", read },
+      { width: 75, format: "webp" }
+    );
+
+    expect(await sharp(first).metadata()).toMatchObject({
+      format: "webp",
+      width: 75,
+      height: 38,
+    });
+    expect(second).toEqual(first);
+    expect(read).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(process.env.RENDITION_CACHE_DIR)).toHaveLength(1);
+  });
+
+  it("never enlarges small images", async () => {
+    const data = await rendition(
+      { tag: "k1", read: async () => original },
+      { width: 600, format: "png" }
+    );
+
+    expect((await sharp(data).metadata()).width).toBe(200);
+  });
+
+  it("gives each rendition of a source its own tag", () => {
+    const tags = new Set([
+      renditionEtag("k1"),
+      renditionEtag("k1", { width: 300 }),
+      renditionEtag("k1", { width: 300, format: "webp" }),
+      renditionEtag("k2", { width: 300, format: "webp" }),
+    ]);
+
+    expect(tags.size).toBe(4);
+    expect(renditionEtag("k1")).toMatch(/^"[a-f0-9]{32}"$/);
+  });
+
+  it("keeps the original format unless another is asked for", () => {
+    expect(renditionFormat("webp", "image/jpeg")).toBe("webp");
+    expect(renditionFormat(undefined, "image/jpeg")).toBe("jpeg");
+    expect(renditionFormat(undefined, "image/gif")).toBe("png");
+  });
+});
@@ -0,0 +1,375 @@
+import { checkPassword } from "./passwordPolicy.js";
+import { AUDIT_ACTIONS } from "./auditHelper.js";
+import { ORDER_STATUSES } from "../models/orderStatuses.js";
+import { PRODUCT_STATUSES } from "../models/productStatuses.js";
+import { IMAGE_FIELDS, MAX_IMAGE_SIZE } from "./galleryHelper.js";
+import { IMPORT_FORMATS, MAX_IMPORT_SIZE } from "./productImportHelper.js";
+import { RENDITION_FORMATS, RENDITION_WIDTHS } from "./renditionHelper.js";
+
+// Request schemas for validate() in middlewares/validationMiddleware.js, one
+// per route that takes input. Business rules that need the database (unique
+// names, known roles, ownership) stay in the controllers.
+
+const MAX_NAME = 100;
+const MAX_TEXT = 500;
+
+const id = (label, extra = {}) => ({ type: "objectId", label, ...extra });
+
+const page = { type: "integer", min: 1, label: "Page" };
+const limit = { type: "integer", min: 1, label: "Limit" };
+
+const password = (label) => ({ required: true, label, check: checkPassword });
+
+// auth
+export const registerSchema = {
+  body: {
+    name: { required: true, maxLength: MAX_NAME, label: "Name" },
+    email: { type: "email", required: true, label: "Email" },
+    password: password("Password"),
+    phone: { required: true, maxLength: 20, label: "Phone" },
+    address: { required: true, maxLength: MAX_TEXT, label: "Address" },
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: { required: true, label: "Email" },
+    password: { required: true, label: "Password" },
+  },
+};
+
+export const loginTwoFactorSchema = {
+  body: {
+    challengeToken: { required: true, label: "Challenge token" },
+    code: { label: "Authentication code" },
+    recoveryCode: { label: "Recovery code" },
+  },
+};
+
+export const refreshTokenSchema = {
+  body: { refreshToken: { required: true, label: "Refresh token" } },
+};
+
+export const verifyEmailSchema = {
+  body: { token: { required: true, label: "Verification token" } },
+};
+
+export const forgotPasswordSchema = {
+  body: { email: { type: "email", required: true, label: "Email" } },
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: { required: true, label: "Reset token" },
+    newPassword: password("New password"),
+  },
+};
+
+export const updateProfileSchema = {
+  body: {
+    name: { maxLength: MAX_NAME, label: "Name" },
+    password: { label: "Password", check: checkPassword },
+    phone: { maxLength: 20, label: "Phone" },
+    address: { maxLength: MAX_TEXT, label: "Address" },
+  },
+};
+
+export const deleteAccountSchema = {
+  body: { password: { required: true, label: "Password" } },
+};
+
+export const exportAccountSchema = {
+  query: { format: { oneOf: ["json", "zip"], label: "Format" } },
+};
+
+// two-factor
+export const twoFactorCodeSchema = {
+  body: { code: { required: true, label: "Authentication code" } },
+};
+
+export const twoFactorDisableSchema = {
+  body: {
+    password: { required: true, label: "Password" },
+    code: { label: "Authentication code" },
+    recoveryCode: { label: "Recovery code" },
+  },
+};
+
+// address book
+const addressFields = {
+  recipient: { required: true, maxLength: MAX_NAME, label: "Recipient" },
+  line1: { required: true, maxLength: MAX_NAME, label: "Address line 1" },
+  line2: { maxLength: MAX_NAME, label: "Address line 2" },
+  city: { required: true, maxLength: MAX_NAME, label: "City" },
+  postalCode: { required: true, maxLength: 20, label: "Postal code" },
+  country: { required: true, maxLength: MAX_NAME, label: "Country" },
+  phone: { required: true, maxLength: 20, label: "Phone" },
+  isDefault: { type: "boolean", label: "Default" },
+};
+
+export const createAddressSchema = { body: addressFields };
+
+export const updateAddressSchema = {
+  params: { addressId: id("Address") },
+  body: addressFields,
+};
+
+export const addressIdSchema = { params: { addressId: id("Address") } };
+
+// orders
+export const orderStatusSchema = {
+  params: { orderId: id("Order") },
+  body: {
+    status: { required: true, oneOf: ORDER_STATUSES, label: "Status" },
+  },
+};
+
+// user management
+export const listUsersSchema = {
+  query: {
+    page,
+    limit,
+    search: { maxLength: MAX_NAME, label: "Search" },
+    role: { maxLength: MAX_NAME, label: "Role" },
+    status: { oneOf: ["active", "disabled"], label: "Status" },
+  },
+};
+
+export const userIdSchema = { params: { userId: id("User") } };
+
+export const updateUserRolesSchema = {
+  params: { userId: id("User") },
+  body: {
+    roles: {
+      type: "array",
+      required: true,
+      items: { type: "string" },
+      label: "Roles",
+    },
+  },
+};
+
+export const updateUserStatusSchema = {
+  params: { userId: id("User") },
+  body: { disabled: { type: "boolean", required: true, label: "Disabled" } },
+};
+
+export const impersonateSchema = {
+  params: { userId: id("User") },
+  body: { reason: { maxLength: MAX_TEXT, label: "Reason" } },
+};
+
+export const listAuditEventsSchema = {
+  query: {
+    page,
+    limit,
+    actor: { maxLength: MAX_NAME, label: "Actor" },
+    action: { oneOf: AUDIT_ACTIONS, label: "Action" },
+    from: { type: "date", label: "From" },
+    to: { type: "date", label: "To" },
+  },
+};
+
+// API keys
+export const createApiKeySchema = {
+  body: {
+    name: { required: true, maxLength: MAX_NAME, label: "Name" },
+    scopes: {
+      type: "array",
+      required: true,
+      minLength: 1,
+      items: { type: "string" },
+      label: "Scopes",
+    },
+  },
+};
+
+export const apiKeyIdSchema = { params: { keyId: id("API key") } };
+
+// categories
+const categoryName = { required: true, maxLength: MAX_NAME, label: "Name" };
+//left out or blank for a top level category
+const parentCategory = id("Parent category");
+
+// checked by readAttributes in helpers/attributeHelper.js
+const categoryAttributes = { type: "array", label: "Attributes" };
+
+export const createCategorySchema = {
+  body: {
+    name: categoryName,
+    parent: parentCategory,
+    attributes: categoryAttributes,
+  },
+};
+
+export const updateCategorySchema = {
+  params: { id: id("Category") },
+  body: { name: categoryName, attributes: categoryAttributes },
+};
+
+export const moveCategorySchema = {
+  params: { id: id("Category") },
+  body: { parent: parentCategory },
+};
+
+// a category that still has products needs ?moveTo=<category id>, or
+// ?force=true to move them to Uncategorized
+export const deleteCategorySchema = {
+  params: { id: id("Category") },
+  query: {
+    moveTo: id("Target category"),
+    force: { type: "boolean", label: "Force" },
+  },
+};
+
+export const categorySlugSchema = {
+  params: { slug: { required: true, maxLength: MAX_NAME, label: "Category" } },
+};
+
+// products, sent as multipart form data
+const productFields = {
+  fields: {
+    name: { required: true, maxLength: MAX_NAME, label: "Name" },
+    description: { required: true, maxLength: 5000, label: "Description" },
+    price: { type: "number", required: true, min: 0, label: "Price" },
+    category: id("Category", { required: true }),
+    quantity: { type: "integer", required: true, min: 0, label: "Quantity" },
+    shipping: { type: "boolean", label: "Shipping" },
+    // JSON lists, checked by readVariants in helpers/variantHelper.js
+    options: { maxLength: 5000, label: "Options" },
+    variants: { maxLength: 50000, label: "Variants" },
+    // JSON list, checked by readGallery in helpers/galleryHelper.js
+    images: { maxLength: 10000, label: "Images" },
+    // a scheduled product also needs publishAt, see readStatus in
+    // helpers/productStatusHelper.js
+    status: { oneOf: PRODUCT_STATUSES, label: "Status" },
+    publishAt: { type: "date", label: "Publish at" },
+    // JSON object, checked by readSpecs in helpers/attributeHelper.js
+    specs: { maxLength: 20000, label: "Specifications" },
+  },
+  files: Object.fromEntries(
+    IMAGE_FIELDS.map((field, index) => [
+      field,
+      {
+        type: "file",
+        maxSize: MAX_IMAGE_SIZE,
+        label: index ? `Upload ${index}` : "Photo",
+      },
+    ])
+  ),
+};
+
+export const createProductSchema = productFields;
+
+export const updateProductSchema = {
+  params: { pid: id("Product") },
+  ...productFields,
+};
+
+export const productIdSchema = { params: { pid: id("Product") } };
+
+export const adminProductsSchema = {
+  query: { status: { oneOf: PRODUCT_STATUSES, label: "Status" } },
+};
+
+export const productStatusSchema = {
+  body: {
+    products: {
+      type: "array",
+      required: true,
+      minLength: 1,
+      items: id("Product"),
+      label: "Products",
+    },
+    status: { required: true, oneOf: PRODUCT_STATUSES, label: "Status" },
+    publishAt: { type: "date", label: "Publish at" },
+  },
+};
+
+// rows are checked by planImport in helpers/productImportHelper.js; the
+// format defaults to the file extension
+export const importProductsSchema = {
+  fields: {
+    format: { oneOf: IMPORT_FORMATS, label: "Format" },
+    dryRun: { type: "boolean", label: "Dry run" },
+  },
+  files: {
+    file: {
+      type: "file",
+      required: true,
+      maxSize: MAX_IMPORT_SIZE,
+      label: "File",
+    },
+  },
+};
+
+export const exportProductsSchema = {
+  query: { format: { oneOf: IMPORT_FORMATS, label: "Format" } },
+};
+
+// ?w=300&format=webp asks for a resized or converted rendition
+const renditionQuery = {
+  w: { oneOf: RENDITION_WIDTHS.map(String), label: "Width" },
+  format: { oneOf: [...RENDITION_FORMATS.keys()], label: "Format" },
+};
+
+export const productPhotoSchema = {
+  params: { pid: id("Product") },
+  query: renditionQuery,
+};
+
+export const productImageSchema = {
+  params: { pid: id("Product"), imageId: id("Image") },
+  query: renditionQuery,
+};
+
+// ?subcategories=true adds the products of every category below
+export const productCategorySchema = {
+  params: { slug: { required: true, maxLength: MAX_NAME, label: "Category" } },
+  query: { subcategories: { type: "boolean", label: "Subcategories" } },
+};
+
+export const productByIdSchema = { params: { id: id("Product") } };
+
+export const productSlugSchema = {
+  params: { slug: { required: true, maxLength: MAX_NAME, label: "Product" } },
+};
+
+export const productFiltersSchema = {
+  body: {
+    checked: { type: "array", items: id("Category"), label: "Categories" },
+    // a [min, max] pair
+    radio: {
+      type: "array",
+      minLength: 2,
+      maxLength: 2,
+      items: { type: "number" },
+      label: "Price range",
+    },
+  },
+};
+
+export const productListSchema = { params: { page } };
+
+export const searchProductSchema = {
+  params: {
+    keyword: { required: true, maxLength: MAX_NAME, label: "Keyword" },
+  },
+  query: { page, limit },
+};
+
+export const suggestProductSchema = {
+  query: { q: { maxLength: MAX_NAME, label: "Search" } },
+};
+
+export const relatedProductSchema = {
+  params: { pid: id("Product"), cid: id("Category") },
+};
+
+export const paymentSchema = {
+  body: {
+    nonce: { required: true, label: "Payment method" },
+    cart: { type: "array", required: true, minLength: 1, label: "Cart" },
+    addressId: id("Shipping address"),
+  },
+};
@@ -0,0 +1,573 @@
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+  createApiKeySchema,
+  createCategorySchema,
+  createProductSchema,
+  deleteCategorySchema,
+  exportProductsSchema,
+  importProductsSchema,
+  listAuditEventsSchema,
+  moveCategorySchema,
+  orderStatusSchema,
+  paymentSchema,
+  productCategorySchema,
+  productFiltersSchema,
+  productImageSchema,
+  productPhotoSchema,
+  productListSchema,
+  productStatusSchema,
+  registerSchema,
+  resetPasswordSchema,
+  updateProductSchema,
+  updateProfileSchema,
+} from "./requestSchemas.js";
+
+jest.mock("../models/auditEventModel.js");
+
+/**
+ * Unit tests for the route request schemas
+ *
+ * The validation engine is covered in validationMiddleware.test.js, these
+ * tests pin down what each route accepts:
+ * 1. Registration, profile and reset: required fields and the password policy
+ * 2. Products: multipart fields, numeric values, category ids, image sizes
+ * 3. Categories: parent ids, moves and the subcategories option
+ * 4. Filters, pagination, order and product status, API keys and the audit
+ *    log query
+ * 5. Product import and export: the file, its format and size
+ */
+describe("Request Schemas", () => {
+  const objectId = "64b7f0c2a1b2c3d4e5f60718";
+  const fieldsOf = (errors) => errors.map(({ field }) => field);
+
+  describe("registerSchema", () => {
+    const valid = {
+      name: "John",
+      email: "john@example.com",
+      password: "Secure1pass",
+      phone: "1234567890",
+      address: "1 Main St",
+    };
+
+    it("accepts a complete registration", () => {
+      expect(validateRequest(registerSchema, { body: valid })).toEqual([]);
+    });
+
+    it("lists every missing field at once", () => {
+      expect(validateRequest(registerSchema, { body: {} })).toEqual([
+        { field: "name", rule: "required", message: "Name is required" },
+        { field: "email", rule: "required", message: "Email is required" },
+        {
+          field: "password",
+          rule: "required",
+          message: "Password is required",
+        },
+        { field: "phone", rule: "required", message: "Phone is required" },
+        { field: "address", rule: "required", message: "Address is required" },
+      ]);
+    });
+
+    it("rejects a malformed email", () => {
+      expect(
+        validateRequest(registerSchema, { body: { ...valid, email: "john" } })
+      ).toEqual([
+        {
+          field: "email",
+          rule: "type",
+          message: "Email must be a valid email address",
+        },
+      ]);
+    });
+
+    it("reports every password policy rule the password breaks", () => {
+      expect(
+        validateRequest(registerSchema, {
+          body: { ...valid, password: "123456" },
+        })
+      ).toEqual([
+        {
+          field: "password",
+          rule: "minLength",
+          message: "Password must be at least 8 characters",
+        },
+        {
+          field: "password",
+          rule: "lowercase",
+          message: "Password must contain a lowercase letter",
+        },
+        {
+          field: "password",
+          rule: "common",
+          message: "Password is too common or has appeared in a data breach",
+        },
+      ]);
+    });
+  });
+
+  describe("updateProfileSchema", () => {
+    it("only checks the password when one is sent", () => {
+      expect(
+        validateRequest(updateProfileSchema, { body: { name: "New Name" } })
+      ).toEqual([]);
+      expect(
+        validateRequest(updateProfileSchema, { body: { password: "short" } })
+      ).toEqual([
+        {
+          field: "password",
+          rule: "minLength",
+          message: "Password must be at least 8 characters",
+        },
+        {
+          field: "password",
+          rule: "number",
+          message: "Password must contain a number",
+        },
+      ]);
+    });
+  });
+
+  describe("resetPasswordSchema", () => {
+    it("applies the password policy to the new password", () => {
+      expect(
+        validateRequest(resetPasswordSchema, {
+          body: { token: "reset.token", newPassword: "password123" },
+        })
+      ).toEqual([
+        {
+          field: "newPassword",
+          rule: "common",
+          message: "Password is too common or has appeared in a data breach",
+        },
+      ]);
+    });
+  });
+
+  describe("product schemas", () => {
+    const fields = {
+      name: "Lamp",
+      description: "A desk lamp",
+      price: "19.99",
+      category: objectId,
+      quantity: "4",
+      shipping: "1",
+    };
+
+    it("accepts a product as sent by the admin form", () => {
+      expect(
+        validateRequest(createProductSchema, {
+          fields,
+          files: { photo: { size: 500000 } },
+        })
+      ).toEqual([]);
+    });
+
+    it("lists every missing product field", () => {
+      expect(
+        fieldsOf(
+          validateRequest(createProductSchema, { fields: {}, files: {} })
+        )
+      ).toEqual(["name", "description", "price", "category", "quantity"]);
+    });
+
+    it("rejects non-numeric prices and fractional quantities", () => {
+      expect(
+        validateRequest(createProductSchema, {
+          fields: { ...fields, price: "NaN!", quantity: "1.5" },
+          files: {},
+        })
+      ).toEqual([
+        { field: "price", rule: "type", message: "Price must be a number" },
+        {
+          field: "quantity",
+          rule: "type",
+          message: "Quantity must be a whole number",
+        },
+      ]);
+    });
+
+    it("rejects negative numbers, unknown categories and large images", () => {
+      expect(
+        validateRequest(createProductSchema, {
+          fields: { ...fields, price: "-1", category: "Test Category" },
+          files: {
+            photo: { size: 6000000 },
+            image0: { size: 2000000 },
+            image1: { size: 5000001 },
+          },
+        })
+      ).toEqual([
+        { field: "price", rule: "min", message: "Price must be at least 0" },
+        {
+          field: "category",
+          rule: "type",
+          message: "Category must be a valid id",
+        },
+        {
+          field: "photo",
+          rule: "maxSize",
+          message: "Photo must be smaller than 5MB",
+        },
+        {
+          field: "image1",
+          rule: "maxSize",
+          message: "Upload 2 must be smaller than 5MB",
+        },
+      ]);
+    });
+
+    it("checks the product id on update", () => {
+      expect(
+        fieldsOf(
+          validateRequest(updateProductSchema, {
+            params: { pid: "p1" },
+            fields,
+            files: {},
+          })
+        )
+      ).toEqual(["pid"]);
+    });
+
+    it("checks both ids of a gallery image", () => {
+      expect(
+        fieldsOf(
+          validateRequest(productImageSchema, {
+            params: { pid: objectId, imageId: "front.png" },
+          })
+        )
+      ).toEqual(["imageId"]);
+    });
+
+    it("only serves the rendition sizes and formats it knows", () => {
+      expect(
+        validateRequest(productPhotoSchema, {
+          params: { pid: objectId },
+          query: { w: "300", format: "webp" },
+        })
+      ).toEqual([]);
+      expect(
+        validateRequest(productPhotoSchema, {
+          params: { pid: objectId },
+          query: { w: "301", format: "bmp" },
+        })
+      ).toEqual([
+        {
+          field: "w",
+          rule: "oneOf",
+          message: "Width must be one of: 75, 150, 300, 600, 1200",
+        },
+        {
+          field: "format",
+          rule: "oneOf",
+          message: "Format must be one of: webp, jpeg, png, avif",
+        },
+      ]);
+    });
+  });
+
+  describe("productFiltersSchema", () => {
+    it("allows either filter to be left out", () => {
+      expect(validateRequest(productFiltersSchema, { body: {} })).toEqual([]);
+      expect(
+        validateRequest(productFiltersSchema, {
+          body: { checked: [objectId], radio: [0, 19] },
+        })
+      ).toEqual([]);
+    });
+
+    it("rejects malformed filters", () => {
+      expect(
+        fieldsOf(
+          validateRequest(productFiltersSchema, {
+            body: { checked: "all", radio: [0, "cheap"] },
+          })
+        )
+      ).toEqual(["checked", "radio[1]"]);
+    });
+
+    it("only accepts a price range of exactly two bounds", () => {
+      for (const radio of [[], [0], [0, 19, 39]]) {
+        expect(
+          validateRequest(productFiltersSchema, { body: { radio } })
+        ).toEqual([
+          expect.objectContaining({
+            field: "radio",
+            rule: radio.length < 2 ? "minLength" : "maxLength",
+          }),
+        ]);
+      }
+    });
+  });
+
+  describe("productListSchema", () => {
+    it("only accepts positive page numbers", () => {
+      expect(
+        validateRequest(productListSchema, { params: { page: "2" } })
+      ).toEqual([]);
+      expect(
+        fieldsOf(validateRequest(productListSchema, { params: { page: "0" } }))
+      ).toEqual(["page"]);
+    });
+  });
+
+  describe("paymentSchema", () => {
+    it("needs a payment method and a non-empty cart", () => {
+      expect(
+        validateRequest(paymentSchema, { body: { nonce: "n", cart: [] } })
+      ).toEqual([
+        {
+          field: "cart",
+          rule: "minLength",
+          message: "Cart must have at least 1 item",
+        },
+      ]);
+      expect(
+        fieldsOf(
+          validateRequest(paymentSchema, { body: { addressId: "home" } })
+        )
+      ).toEqual(["nonce", "cart", "addressId"]);
+    });
+  });
+
+  describe("createCategorySchema", () => {
+    it("requires a name", () => {
+      expect(validateRequest(createCategorySchema, { body: {} })).toEqual([
+        { field: "name", rule: "required", message: "Name is required" },
+      ]);
+    });
+
+    it("takes an optional parent category id", () => {
+      expect(
+        validateRequest(createCategorySchema, {
+          body: { name: "Lamps", parent: "" },
+        })
+      ).toEqual([]);
+      expect(
+        validateRequest(createCategorySchema, {
+          body: { name: "Lamps", parent: "home" },
+        })
+      ).toEqual([
+        {
+          field: "parent",
+          rule: "type",
+          message: "Parent category must be a valid id",
+        },
+      ]);
+    });
+
+    it("takes the attributes as a list", () => {
+      expect(
+        validateRequest(createCategorySchema, {
+          body: { name: "Laptops", attributes: "ram" },
+        })
+      ).toEqual([
+        {
+          field: "attributes",
+          rule: "type",
+          message: "Attributes must be a list",
+        },
+      ]);
+    });
+  });
+
+  describe("moveCategorySchema", () => {
+    it("checks the category and the new parent", () => {
+      expect(
+        validateRequest(moveCategorySchema, {
+          params: { id: "507f1f77bcf86cd799439011" },
+          body: { parent: null },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(moveCategorySchema, {
+            params: { id: "x" },
+            body: { parent: "y" },
+          })
+        )
+      ).toEqual(["id", "parent"]);
+    });
+  });
+
+  describe("deleteCategorySchema", () => {
+    it("checks where the products go", () => {
+      const params = { id: "507f1f77bcf86cd799439011" };
+      expect(
+        validateRequest(deleteCategorySchema, {
+          params,
+          query: { moveTo: "507f1f77bcf86cd799439012" },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(deleteCategorySchema, {
+            params,
+            query: { moveTo: "books", force: "yes" },
+          })
+        )
+      ).toEqual(["moveTo", "force"]);
+    });
+  });
+
+  describe("productCategorySchema", () => {
+    it("only takes true or false for subcategories", () => {
+      const params = { slug: "lighting" };
+      expect(
+        validateRequest(productCategorySchema, {
+          params,
+          query: { subcategories: "true" },
+        })
+      ).toEqual([]);
+      expect(
+        validateRequest(productCategorySchema, {
+          params,
+          query: { subcategories: "all" },
+        })
+      ).toEqual([
+        {
+          field: "subcategories",
+          rule: "type",
+          message: "Subcategories must be true or false",
+        },
+      ]);
+    });
+  });
+
+  describe("orderStatusSchema", () => {
+    it("only accepts the statuses an order can have", () => {
+      expect(
+        validateRequest(orderStatusSchema, {
+          params: { orderId: objectId },
+          body: { status: "Shipped" },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(orderStatusSchema, {
+            params: { orderId: objectId },
+            body: { status: "Lost" },
+          })
+        )
+      ).toEqual(["status"]);
+    });
+  });
+
+  describe("productStatusSchema", () => {
+    it("needs products and a known status, with an optional date", () => {
+      expect(
+        validateRequest(productStatusSchema, {
+          body: {
+            products: [objectId],
+            status: "scheduled",
+            publishAt: "2030-01-01T09:00:00.000Z",
+          },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(productStatusSchema, {
+            body: { products: [], status: "sold", publishAt: "soon" },
+          })
+        )
+      ).toEqual(["products", "status", "publishAt"]);
+    });
+
+    it("takes the status on the product form too", () => {
+      expect(
+        fieldsOf(
+          validateRequest(createProductSchema, {
+            fields: {
+              name: "Lamp",
+              description: "A desk lamp",
+              price: "19.99",
+              category: objectId,
+              quantity: "4",
+              status: "hidden",
+            },
+            files: {},
+          })
+        )
+      ).toEqual(["status"]);
+    });
+  });
+
+  describe("importProductsSchema", () => {
+    const file = (size) => ({ name: "products.csv", size });
+
+    it("needs a file of a known format", () => {
+      expect(
+        validateRequest(importProductsSchema, {
+          fields: { format: "json", dryRun: "true" },
+          files: { file: file(100) },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(importProductsSchema, {
+            fields: { format: "xlsx", dryRun: "maybe" },
+            files: {},
+          })
+        )
+      ).toEqual(["format", "dryRun", "file"]);
+    });
+
+    it("limits the file size", () => {
+      expect(
+        validateRequest(importProductsSchema, {
+          fields: {},
+          files: { file: file(6000000) },
+        })
+      ).toEqual([
+        {
+          field: "file",
+          rule: "maxSize",
+          message: "File must be smaller than 5MB",
+        },
+      ]);
+    });
+
+    it("exports CSV or JSON", () => {
+      expect(
+        validateRequest(exportProductsSchema, { query: { format: "csv" } })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(exportProductsSchema, { query: { format: "xml" } })
+        )
+      ).toEqual(["format"]);
+    });
+  });
+
+  describe("createApiKeySchema", () => {
+    it("needs a name and a list of scope names", () => {
+      expect(
+        validateRequest(createApiKeySchema, {
+          body: { name: "Sync", scopes: ["orders:read"] },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(createApiKeySchema, {
+            body: { name: " ", scopes: ["orders:read", 7] },
+          })
+        )
+      ).toEqual(["name", "scopes[1]"]);
+    });
+  });
+
+  describe("listAuditEventsSchema", () => {
+    it("checks paging, the action and the date range", () => {
+      expect(
+        validateRequest(listAuditEventsSchema, {
+          query: { page: "2", action: "auth.login", from: "2024-01-01" },
+        })
+      ).toEqual([]);
+      expect(
+        fieldsOf(
+          validateRequest(listAuditEventsSchema, {
+            query: { page: "first", action: "auth.hack", to: "tomorrow" },
+          })
+        )
+      ).toEqual(["page", "action", "to"]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+import { escapeRegex } from "./queryHelper.js";
+import { onStorefront } from "./productStatusHelper.js";
+
+// Suggestions for the storefront search box: products and categories with a
+// word in their name starting with what has been typed so far (matched on
+// the keys models/searchKeys.js keeps), and what shoppers searched for most
+// over the last month starting with it. Searches that found something are
+// counted by recordSearch().
+
+export const MAX_SUGGESTIONS = 5;
+
+// how far back popular searches are counted, within the month
+// searchQueryModel keeps
+export const POPULAR_DAYS = 30;
+
+// a search as counted: lowercase with single spaces
+export const normalizeQuery = (text) =>
+  String(text ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// count a search towards the popular ones; a failure is only logged so it
+// never fails the search itself
+export const recordSearch = async (keyword, now = new Date()) => {
+  const query = normalizeQuery(keyword);
+  if (!query) {
+    return;
+  }
+  try {
+    await searchQueryModel.updateOne(
+      { query, day: startOfDay(now) },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// the most made searches of the last POPULAR_DAYS starting with prefix
+export const popularQueries = async (
+  prefix,
+  { limit = MAX_SUGGESTIONS, now = new Date() } = {}
+) => {
+  const since = startOfDay(now);
+  since.setUTCDate(since.getUTCDate() - POPULAR_DAYS);
+  const rows = await searchQueryModel.aggregate([
+    {
+      $match: {
+        query: { $regex: `^${escapeRegex(normalizeQuery(prefix))}` },
+        day: { $gte: since },
+      },
+    },
+    { $group: { _id: "$query", count: { $sum: "$count" } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(({ _id }) => _id);
+};
+
+// the work one keystroke may cost: shorter prefixes match too much to be
+// worth suggesting, longer ones are cut, and a lookup gives up after
+// SUGGEST_TIME_LIMIT ms
+export const MIN_PREFIX_LENGTH = 2;
+export const MAX_PREFIX_LENGTH = 50;
+export const SUGGEST_TIME_LIMIT = 200;
+
+// names with a word starting with prefix, an anchored match on the lowercase
+// keys in models/searchKeys.js so it runs on their index
+const wordPrefix = (prefix) => ({
+  searchKeys: { $regex: `^${escapeRegex(prefix)}` },
+});
+
+const namesStartingWith = (model, filter) =>
+  model
+    .find(filter)
+    .select("name slug")
+    .sort({ name: 1 })
+    .limit(MAX_SUGGESTIONS)
+    .maxTimeMS(SUGGEST_TIME_LIMIT)
+    .lean();
+
+// { products, categories, queries } for the search box, each at most
+// MAX_SUGGESTIONS long; products are only those on the storefront
+export const searchSuggestions = async (text) => {
+  const prefix = normalizeQuery(text).slice(0, MAX_PREFIX_LENGTH).trimEnd();
+  if (prefix.length < MIN_PREFIX_LENGTH) {
+    return { products: [], categories: [], queries: [] };
+  }
+  const [products, categories, queries] = await Promise.all([
+    namesStartingWith(productModel, onStorefront(wordPrefix(prefix))),
+    namesStartingWith(categoryModel, wordPrefix(prefix)),
+    popularQueries(prefix),
+  ]);
+  return { products, categories, queries };
+};
@@ -0,0 +1,175 @@
+import {
+  MAX_PREFIX_LENGTH,
+  MAX_SUGGESTIONS,
+  SUGGEST_TIME_LIMIT,
+  normalizeQuery,
+  popularQueries,
+  recordSearch,
+  searchSuggestions,
+} from "./searchHelper.js";
+import productModel from "../models/productModel.js";
+import categoryModel from "../models/categoryModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+
+jest.mock("../models/productModel.js");
+jest.mock("../models/categoryModel.js");
+jest.mock("../models/searchQueryModel.js");
+
+/**
+ * Unit tests for the search box suggestions
+ *
+ * 1. normalizeQuery: searches are counted lowercase with single spaces
+ * 2. recordSearch: one counter per search and day, failures only logged
+ * 3. popularQueries: the month's most made searches starting with a prefix
+ * 4. searchSuggestions: anchored word prefix matches on the search keys of
+ *    product and category names, with the work per request capped
+ */
+describe("Search Helper", () => {
+  const now = new Date("2030-01-31T15:30:00.000Z");
+
+  // find().select().sort().limit().maxTimeMS().lean() resolving to `docs`
+  const mockFind = (model, docs) => {
+    const chain = {};
+    ["select", "sort", "limit", "maxTimeMS"].forEach((step) => {
+      chain[step] = jest.fn().mockReturnValue(chain);
+    });
+    chain.lean = jest.fn().mockResolvedValue(docs);
+    model.find.mockReturnValue(chain);
+    return chain;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("normalizes searches", () => {
+    expect(normalizeQuery("  Desk   LAMP ")).toBe("desk lamp");
+    expect(normalizeQuery(undefined)).toBe("");
+  });
+
+  describe("recordSearch", () => {
+    it("counts the search against its day", async () => {
+      await recordSearch(" Desk Lamp", now);
+
+      expect(searchQueryModel.updateOne).toHaveBeenCalledWith(
+        { query: "desk lamp", day: new Date("2030-01-31T00:00:00.000Z") },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+    });
+
+    it("skips blank searches", async () => {
+      await recordSearch("   ", now);
+
+      expect(searchQueryModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("only logs a failure", async () => {
+      searchQueryModel.updateOne.mockRejectedValueOnce(new Error("DB Down"));
+
+      await expect(recordSearch("lamp", now)).resolves.toBeUndefined();
+      expect(console.log).toHaveBeenCalled();
+    });
+  });
+
+  describe("popularQueries", () => {
+    it("ranks the last month's searches starting with the prefix", async () => {
+      searchQueryModel.aggregate.mockResolvedValueOnce([
+        { _id: "lamp", count: 9 },
+        { _id: "lamp shade", count: 4 },
+      ]);
+
+      await expect(popularQueries("La", { now })).resolves.toEqual([
+        "lamp",
+        "lamp shade",
+      ]);
+      expect(searchQueryModel.aggregate).toHaveBeenCalledWith([
+        {
+          $match: {
+            query: { $regex: "^la" },
+            day: { $gte: new Date("2030-01-01T00:00:00.000Z") },
+          },
+        },
+        { $group: { _id: "$query", count: { $sum: "$count" } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_SUGGESTIONS },
+      ]);
+    });
+
+    it("reads the prefix literally", async () => {
+      searchQueryModel.aggregate.mockResolvedValueOnce([]);
+
+      await popularQueries("c++ (", { now });
+
+      expect(
+        searchQueryModel.aggregate.mock.calls[0][0][0].$match.query
+      ).toEqual({ $regex: "^c\\+\\+ \\(" });
+    });
+  });
+
+  describe("searchSuggestions", () => {
+    it("suggests products, categories and popular searches", async () => {
+      const products = [{ _id: "p1", name: "Desk Lamp", slug: "desk-lamp" }];
+      const categories = [{ _id: "c1", name: "Lamps", slug: "lamps" }];
+      const productChain = mockFind(productModel, products);
+      mockFind(categoryModel, categories);
+      searchQueryModel.aggregate.mockResolvedValueOnce([
+        { _id: "lamp", count: 3 },
+      ]);
+
+      await expect(searchSuggestions("LAMP")).resolves.toEqual({
+        products,
+        categories,
+        queries: ["lamp"],
+      });
+      const searchKeys = { $regex: "^lamp" };
+      expect(productModel.find).toHaveBeenCalledWith({
+        searchKeys,
+        status: { $in: ["published", null] },
+      });
+      expect(categoryModel.find).toHaveBeenCalledWith({ searchKeys });
+      expect(productChain.select).toHaveBeenCalledWith("name slug");
+      expect(productChain.limit).toHaveBeenCalledWith(MAX_SUGGESTIONS);
+      expect(productChain.maxTimeMS).toHaveBeenCalledWith(SUGGEST_TIME_LIMIT);
+    });
+
+    it("reads the prefix literally", async () => {
+      mockFind(productModel, []);
+      mockFind(categoryModel, []);
+      searchQueryModel.aggregate.mockResolvedValueOnce([]);
+
+      await searchSuggestions("C++ (");
+
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        searchKeys: { $regex: "^c\\+\\+ \\(" },
+      });
+    });
+
+    it("cuts long prefixes", async () => {
+      mockFind(productModel, []);
+      mockFind(categoryModel, []);
+      searchQueryModel.aggregate.mockResolvedValueOnce([]);
+
+      await searchSuggestions("a".repeat(500));
+
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        searchKeys: { $regex: `^${"a".repeat(MAX_PREFIX_LENGTH)}` },
+      });
+    });
+
+    it("doesn't look up a single letter", async () => {
+      await expect(searchSuggestions(" D ")).resolves.toEqual({
+        products: [],
+        categories: [],
+        queries: [],
+      });
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(searchQueryModel.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import crypto from "crypto";
+import JWT from "jsonwebtoken";
+import sessionModel from "../models/sessionModel.js";
+
+const DEFAULT_ACCESS_TOKEN_TTL = "15m";
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 7;
+const DEFAULT_IMPERSONATION_TTL_MINUTES = 15;
+
+const accessTokenTtl = () =>
+  process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL;
+
+const refreshTokenTtlMs = () => {
+  const days =
+    Number(process.env.REFRESH_TOKEN_TTL_DAYS) ||
+    DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// refresh tokens are only ever stored as a sha256 digest
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export const signAccessToken = (userId, sessionId) =>
+  JWT.sign({ _id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenTtl(),
+  });
+
+const issueToken = async (userId, family, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const session = await sessionModel.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    userAgent: req?.headers?.["user-agent"],
+    ip: req?.ip,
+  });
+  const token = await signAccessToken(userId, session._id);
+  return { token, refreshToken };
+};
+
+// start a new session family for a fresh login
+export const createSession = async (userId, req) =>
+  issueToken(userId, crypto.randomUUID(), req);
+
+export const revokeSessionFamily = async (family) =>
+  sessionModel.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+export const revokeUserSessions = async (userId) =>
+  sessionModel.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+const impersonationTtlMinutes = () =>
+  Number(process.env.IMPERSONATION_TTL_MINUTES) ||
+  DEFAULT_IMPERSONATION_TTL_MINUTES;
+
+// a short lived session for an admin viewing the store as `userId`; the
+// token carries both ids and can't be refreshed
+export const createImpersonationSession = async (adminId, userId, req) => {
+  const minutes = impersonationTtlMinutes();
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  const session = await sessionModel.create({
+    user: userId,
+    family: crypto.randomUUID(),
+    tokenHash: hashToken(crypto.randomBytes(48).toString("hex")),
+    expiresAt,
+    impersonator: adminId,
+    userAgent: req?.headers?.["user-agent"],
+    ip: req?.ip,
+  });
+  const token = JWT.sign(
+    { _id: userId, sid: session._id, impersonator: adminId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutes}m` }
+  );
+  return { token, expiresAt, sessionId: session._id };
+};
+
+export const revokeSession = async (sessionId) =>
+  sessionModel.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+// exchange a refresh token for a new token pair, or null when it can't be used
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  // claim the token atomically so two concurrent refreshes can't both win
+  const session = await sessionModel.findOneAndUpdate(
+    {
+      tokenHash,
+      replacedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { replacedAt: now },
+    { new: true }
+  );
+  if (!session) {
+    const spent = await sessionModel.findOne({ tokenHash });
+    if (spent && spent.replacedAt && !spent.revokedAt) {
+      // a rotated token came back: assume it was stolen and kill the family
+      console.log(`Refresh token reuse detected for user ${spent.user}`);
+      await revokeSessionFamily(spent.family);
+    }
+    return null;
+  }
+  const tokens = await issueToken(session.user, session.family, req);
+  return { ...tokens, userId: session.user };
+};
+
+// revoke the family a refresh token belongs to
+export const revokeSessionByToken = async (refreshToken) => {
+  const session = await sessionModel.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+  if (!session) {
+    return false;
+  }
+  await revokeSessionFamily(session.family);
+  return true;
+};
+
+export const isSessionActive = async (sessionId) => {
+  const session = await sessionModel.exists({
+    _id: sessionId,
+    revokedAt: null,
+  });
+  return Boolean(session);
+};
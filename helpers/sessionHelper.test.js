@@ -0,0 +1,223 @@
+import JWT from 'jsonwebtoken';
+import sessionModel from '../models/sessionModel.js';
+import {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  isSessionActive,
+  createImpersonationSession,
+  revokeSession,
+} from './sessionHelper.js';
+
+// Mock the session store and JWT signing
+jest.mock('jsonwebtoken');
+jest.mock('../models/sessionModel.js');
+
+/**
+ * Unit tests for session helper functions
+ *
+ * These functions implement refresh token rotation:
+ * 1. createSession: starts a new session family and issues a token pair
+ * 2. rotateSession: exchanges a refresh token for a new pair, detecting reuse
+ * 3. revokeSessionByToken / isSessionActive: logout and access token revocation
+ * 4. createImpersonationSession / revokeSession: short lived admin sessions
+ *    acting as a customer
+ */
+describe('Session Helper Functions', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.ACCESS_TOKEN_TTL;
+    delete process.env.REFRESH_TOKEN_TTL_DAYS;
+    delete process.env.IMPERSONATION_TTL_MINUTES;
+    JWT.sign.mockReturnValue('signed.jwt.token');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    console.log.mockRestore();
+  });
+
+  describe('hashToken Function', () => {
+    it('returns a stable sha256 hex digest', () => {
+      expect(hashToken('abc')).toBe(hashToken('abc'));
+      expect(hashToken('abc')).toHaveLength(64);
+      expect(hashToken('abc')).not.toBe(hashToken('abd'));
+    });
+  });
+
+  describe('createSession Function', () => {
+    it('persists a hashed refresh token and signs a session-bound access token', async () => {
+      sessionModel.create.mockResolvedValue({ _id: 'session1' });
+      const req = { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' };
+
+      const { token, refreshToken } = await createSession('user1', req);
+
+      const stored = sessionModel.create.mock.calls[0][0];
+      expect(stored).toMatchObject({
+        user: 'user1',
+        tokenHash: hashToken(refreshToken),
+        userAgent: 'jest',
+        ip: '127.0.0.1',
+      });
+      expect(stored.family).toEqual(expect.any(String));
+      expect(JWT.sign).toHaveBeenCalledWith(
+        { _id: 'user1', sid: 'session1' },
+        'test-secret',
+        { expiresIn: '15m' }
+      );
+      expect(token).toBe('signed.jwt.token');
+    });
+
+    it('honours the configured token lifetimes', async () => {
+      process.env.ACCESS_TOKEN_TTL = '5m';
+      process.env.REFRESH_TOKEN_TTL_DAYS = '1';
+      sessionModel.create.mockResolvedValue({ _id: 'session1' });
+      const before = Date.now();
+
+      await createSession('user1');
+
+      const { expiresAt } = sessionModel.create.mock.calls[0][0];
+      expect(expiresAt.getTime() - before).toBeGreaterThanOrEqual(86400000);
+      expect(expiresAt.getTime() - before).toBeLessThan(86400000 + 1000);
+      expect(JWT.sign.mock.calls[0][2]).toEqual({ expiresIn: '5m' });
+    });
+
+    it('starts a new family for every login', async () => {
+      sessionModel.create.mockResolvedValue({ _id: 'session1' });
+
+      await createSession('user1');
+      await createSession('user1');
+
+      const [first, second] = sessionModel.create.mock.calls;
+      expect(first[0].family).not.toBe(second[0].family);
+    });
+  });
+
+  describe('rotateSession Function', () => {
+    it('only claims unspent, unrevoked and unexpired tokens', async () => {
+      sessionModel.findOneAndUpdate.mockResolvedValue(null);
+      sessionModel.findOne.mockResolvedValue(null);
+
+      const result = await rotateSession('refresh');
+
+      expect(sessionModel.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          tokenHash: hashToken('refresh'),
+          replacedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: expect.any(Date) },
+        },
+        { replacedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(result).toBeNull();
+    });
+
+    it('does not revoke anything for an expired or already revoked token', async () => {
+      sessionModel.findOneAndUpdate.mockResolvedValue(null);
+      sessionModel.findOne.mockResolvedValue({
+        family: 'fam1',
+        replacedAt: null,
+        revokedAt: new Date(),
+      });
+
+      const result = await rotateSession('refresh');
+
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+      expect(result).toBeNull();
+    });
+
+    it('issues a new pair in the same family', async () => {
+      sessionModel.findOneAndUpdate.mockResolvedValue({
+        _id: 'session1',
+        user: 'user1',
+        family: 'fam1',
+      });
+      sessionModel.create.mockResolvedValue({ _id: 'session2' });
+
+      const result = await rotateSession('refresh');
+
+      expect(sessionModel.create.mock.calls[0][0].family).toBe('fam1');
+      expect(result).toEqual({
+        token: 'signed.jwt.token',
+        refreshToken: expect.any(String),
+        userId: 'user1',
+      });
+    });
+  });
+
+  describe('revokeSessionByToken Function', () => {
+    it('returns false for unknown tokens', async () => {
+      sessionModel.findOne.mockResolvedValue(null);
+
+      expect(await revokeSessionByToken('refresh')).toBe(false);
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isSessionActive Function', () => {
+    it('reflects whether an unrevoked session exists', async () => {
+      sessionModel.exists.mockResolvedValueOnce({ _id: 'session1' });
+      sessionModel.exists.mockResolvedValueOnce(null);
+
+      expect(await isSessionActive('session1')).toBe(true);
+      expect(await isSessionActive('session1')).toBe(false);
+    });
+  });
+
+  describe('createImpersonationSession Function', () => {
+    it('stores the admin on the session and both ids in the token', async () => {
+      sessionModel.create.mockResolvedValue({ _id: 'session1' });
+      const before = Date.now();
+
+      const { token, expiresAt, sessionId } = await createImpersonationSession(
+        'admin1',
+        'user1',
+        { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' }
+      );
+
+      const stored = sessionModel.create.mock.calls[0][0];
+      expect(stored).toMatchObject({
+        user: 'user1',
+        impersonator: 'admin1',
+        userAgent: 'jest',
+        ip: '127.0.0.1',
+      });
+      expect(stored.tokenHash).toHaveLength(64);
+      expect(expiresAt.getTime() - before).toBeGreaterThanOrEqual(15 * 60000);
+      expect(expiresAt.getTime() - before).toBeLessThan(15 * 60000 + 1000);
+      expect(JWT.sign).toHaveBeenCalledWith(
+        { _id: 'user1', sid: 'session1', impersonator: 'admin1' },
+        'test-secret',
+        { expiresIn: '15m' }
+      );
+      expect(token).toBe('signed.jwt.token');
+      expect(sessionId).toBe('session1');
+    });
+
+    it('honours the configured lifetime', async () => {
+      process.env.IMPERSONATION_TTL_MINUTES = '5';
+      sessionModel.create.mockResolvedValue({ _id: 'session1' });
+
+      await createImpersonationSession('admin1', 'user1');
+
+      expect(JWT.sign.mock.calls[0][2]).toEqual({ expiresIn: '5m' });
+    });
+  });
+
+  describe('revokeSession Function', () => {
+    it('revokes a single live session', async () => {
+      await revokeSession('session1');
+
+      expect(sessionModel.updateOne).toHaveBeenCalledWith(
+        { _id: 'session1', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+});
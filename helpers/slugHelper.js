@@ -0,0 +1,67 @@
+import slugify from "slugify";
+
+// Product and category slugs are unique, take a numeric suffix on collision
+// ("desk-lamp-2") and only change when the name does. A retired slug stays in
+// `slugHistory`, so the lookup endpoints can point old links at the new one;
+// it stays reserved so no other document can take it over. Those endpoints
+// answer a retired slug with a 301 and `redirect: <current slug>` in the body
+// but no Location header: the client moves its own route to the new URL
+// rather than the browser silently following the API call.
+
+export const toSlug = (name) => slugify(name).toLowerCase();
+
+// `base`, or `base-2`, `base-3`... whichever no other document of `model`
+// uses now or used before; with a `session`, counting the documents written
+// so far in its transaction
+export const uniqueSlug = async (model, base, excludeId, session) => {
+  for (let n = 1; ; n += 1) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    const query = { $or: [{ slug }, { slugHistory: slug }] };
+    if (excludeId) query._id = { $ne: excludeId };
+    const taken = session
+      ? model.exists(query, { session })
+      : model.exists(query);
+    if (!(await taken)) return slug;
+  }
+};
+
+// the slug fields to save with `name` on `current`, the saved document if
+// there is one: nothing while the name is unchanged, else a new unique slug
+// with the old one added to the history
+export const slugFields = async (model, name, current, session) => {
+  if (current?.slug && current.name === name) return {};
+  const slug = await uniqueSlug(model, toSlug(name), current?._id, session);
+  if (!current?.slug || current.slug === slug) return { slug };
+  return {
+    slug,
+    slugHistory: [
+      ...(current.slugHistory || []).filter((old) => old !== slug),
+      current.slug,
+    ],
+  };
+};
+
+// the slug that replaced a retired one, if any
+export const currentSlug = async (model, slug) =>
+  (await model.findOne({ slugHistory: slug }, "slug"))?.slug;
+
+// gives every document sharing a slug with an older one a suffixed slug of
+// its own, so the unique index on `slug` can be built
+export const dedupeSlugs = async (model, log = console.log) => {
+  const duplicates = await model.aggregate([
+    { $sort: { _id: 1 } },
+    { $group: { _id: "$slug", ids: { $push: "$_id" } } },
+    { $match: { "ids.1": { $exists: true } } },
+  ]);
+  let renamed = 0;
+  for (const { _id: base, ids } of duplicates) {
+    // the oldest keeps the slug
+    for (const id of ids.slice(1)) {
+      const slug = await uniqueSlug(model, base, id);
+      await model.updateOne({ _id: id }, { $set: { slug } });
+      log(`${model.modelName} ${id}: ${base} -> ${slug}`);
+      renamed += 1;
+    }
+  }
+  return renamed;
+};
@@ -0,0 +1,132 @@
+import {
+  currentSlug,
+  dedupeSlugs,
+  slugFields,
+  toSlug,
+  uniqueSlug,
+} from "./slugHelper.js";
+
+/**
+ * Unit tests for the slug helpers
+ *
+ * 1. toSlug / uniqueSlug: lowercase slugs, numeric suffix while one is taken
+ * 2. slugFields: only renames change the slug, the old one goes to history
+ * 3. currentSlug: finds the slug that replaced a retired one
+ * 4. dedupeSlugs: suffixes every duplicate but the oldest
+ */
+describe("Slug Helper", () => {
+  let model;
+
+  // `taken` slugs answer model.exists
+  const taken = (...slugs) =>
+    model.exists.mockImplementation(async ({ $or }) =>
+      slugs.includes($or[0].slug) ? { _id: "other" } : null
+    );
+
+  beforeEach(() => {
+    model = {
+      modelName: "Products",
+      exists: jest.fn().mockResolvedValue(null),
+      findOne: jest.fn(),
+      aggregate: jest.fn(),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+    };
+  });
+
+  it("makes lowercase slugs", () => {
+    expect(toSlug("Desk Lamp")).toBe("desk-lamp");
+  });
+
+  it("suffixes a slug until one is free", async () => {
+    taken("desk-lamp", "desk-lamp-2");
+
+    await expect(uniqueSlug(model, "desk-lamp")).resolves.toBe("desk-lamp-3");
+    expect(model.exists).toHaveBeenCalledWith({
+      $or: [{ slug: "desk-lamp" }, { slugHistory: "desk-lamp" }],
+    });
+  });
+
+  it("ignores the document being renamed", async () => {
+    await uniqueSlug(model, "desk-lamp", "p1");
+
+    expect(model.exists).toHaveBeenCalledWith({
+      $or: [{ slug: "desk-lamp" }, { slugHistory: "desk-lamp" }],
+      _id: { $ne: "p1" },
+    });
+  });
+
+  it("keeps the slug while the name is unchanged", async () => {
+    const current = { _id: "p1", name: "Desk Lamp", slug: "desk-lamp-2" };
+
+    await expect(slugFields(model, "Desk Lamp", current)).resolves.toEqual({});
+    expect(model.exists).not.toHaveBeenCalled();
+  });
+
+  it("gives a new document or one without a slug a fresh slug", async () => {
+    await expect(slugFields(model, "Desk Lamp")).resolves.toEqual({
+      slug: "desk-lamp",
+    });
+    await expect(
+      slugFields(model, "Desk Lamp", { _id: "p1", name: "Desk Lamp" })
+    ).resolves.toEqual({ slug: "desk-lamp" });
+  });
+
+  it("retires the old slug on rename", async () => {
+    const current = {
+      _id: "p1",
+      name: "Lamp",
+      slug: "lamp",
+      slugHistory: ["desk-lamp", "old-lamp"],
+    };
+
+    await expect(slugFields(model, "Desk Lamp", current)).resolves.toEqual({
+      slug: "desk-lamp",
+      slugHistory: ["old-lamp", "lamp"],
+    });
+  });
+
+  it("leaves the history alone when only the case changed", async () => {
+    const current = { _id: "p1", name: "desk lamp", slug: "desk-lamp" };
+
+    await expect(slugFields(model, "Desk Lamp", current)).resolves.toEqual({
+      slug: "desk-lamp",
+    });
+  });
+
+  it("finds the slug that replaced a retired one", async () => {
+    model.findOne.mockResolvedValueOnce({ slug: "desk-lamp" });
+
+    await expect(currentSlug(model, "lamp")).resolves.toBe("desk-lamp");
+    expect(model.findOne).toHaveBeenCalledWith({ slugHistory: "lamp" }, "slug");
+
+    model.findOne.mockResolvedValueOnce(null);
+    await expect(currentSlug(model, "nothing")).resolves.toBeUndefined();
+  });
+
+  it("suffixes every duplicate but the oldest", async () => {
+    model.aggregate.mockResolvedValue([
+      { _id: "lamp", ids: ["p1", "p2", "p3"] },
+    ]);
+    const renamed = [];
+    model.updateOne.mockImplementation(async (filter, { $set }) => {
+      renamed.push($set.slug);
+    });
+    // each duplicate still holds "lamp", so only the suffixes are checked
+    model.exists.mockImplementation(async ({ $or }) =>
+      ["lamp", ...renamed].includes($or[0].slug) ? { _id: "other" } : null
+    );
+    const log = jest.fn();
+
+    await expect(dedupeSlugs(model, log)).resolves.toBe(2);
+
+    expect(model.updateOne).toHaveBeenCalledWith(
+      { _id: "p2" },
+      { $set: { slug: "lamp-2" } }
+    );
+    expect(model.updateOne).toHaveBeenCalledWith(
+      { _id: "p3" },
+      { $set: { slug: "lamp-3" } }
+    );
+    expect(log).toHaveBeenCalledWith("Products p2: lamp -> lamp-2");
+  });
+});
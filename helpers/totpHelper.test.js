@@ -0,0 +1,118 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  totpCounter,
+  verifyTotp,
+  totpProvisioningUri,
+} from './totpHelper.js';
+
+/**
+ * Unit tests for TOTP helper functions
+ *
+ * These functions implement RFC 6238 one-time passwords:
+ * 1. base32Encode / base32Decode: secret encoding used by authenticator apps
+ * 2. generateTotp / verifyTotp: code generation and drift tolerant checks
+ * 3. totpProvisioningUri: the otpauth:// uri shown as a QR code
+ */
+describe('TOTP Helper Functions', () => {
+  // RFC 6238 appendix B test secret ("12345678901234567890" in ascii)
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('base32 encoding', () => {
+    it('round trips arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('matches the RFC 4648 test vector', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Decode('mzxw 6ytb-oi======').toString()).toBe('foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTotp Function', () => {
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [20000000000, '65353130'],
+    ])('matches the RFC 6238 SHA1 vector at %i seconds', (seconds, expected) => {
+      expect(generateTotp(rfcSecret, totpCounter(seconds * 1000), 8)).toBe(
+        expected
+      );
+    });
+
+    it('produces 6 digit codes by default', () => {
+      expect(generateTotp(rfcSecret, totpCounter(59 * 1000))).toBe('287082');
+    });
+  });
+
+  describe('verifyTotp Function', () => {
+    const secret = generateTotpSecret();
+    const time = Date.UTC(2024, 0, 1, 12, 0, 15);
+    const counter = totpCounter(time);
+
+    it('returns the matching time step for a current code', () => {
+      expect(verifyTotp(secret, generateTotp(secret, counter), { time })).toBe(
+        counter
+      );
+    });
+
+    it('tolerates one step of clock drift either way', () => {
+      expect(
+        verifyTotp(secret, generateTotp(secret, counter - 1), { time })
+      ).toBe(counter - 1);
+      expect(
+        verifyTotp(secret, generateTotp(secret, counter + 1), { time })
+      ).toBe(counter + 1);
+      expect(
+        verifyTotp(secret, generateTotp(secret, counter - 2), { time })
+      ).toBeNull();
+    });
+
+    it('rejects codes from steps that were already used', () => {
+      const code = generateTotp(secret, counter);
+
+      expect(verifyTotp(secret, code, { time, after: counter })).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+      expect(verifyTotp(secret, '12345', { time })).toBeNull();
+      expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(secret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('totpProvisioningUri Function', () => {
+    it('builds an otpauth uri with the issuer and account', () => {
+      process.env.TWO_FACTOR_ISSUER = 'Test Shop';
+
+      const uri = totpProvisioningUri('ABCDEF', 'admin@test.com');
+
+      expect(uri).toBe(
+        'otpauth://totp/Test%20Shop:admin%40test.com?secret=ABCDEF&issuer=Test+Shop&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+
+  describe('generateTotpSecret Function', () => {
+    it('creates a 160 bit base32 secret', () => {
+      const secret = generateTotpSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateTotpSecret()).not.toBe(secret);
+    });
+  });
+});
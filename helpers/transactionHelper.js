@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Runs `work(session)` in a MongoDB transaction, so writes made with the
+// session apply together or not at all. The driver retries the whole of
+// `work` on transient errors, so it must be safe to run again. Transactions
+// need a replica set (Atlas, or a local mongod started with --replSet).
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { withTransaction } from "./transactionHelper.js";
+
+/**
+ * Unit tests for the transaction helper
+ *
+ * 1. runs the work in a transaction and returns its result
+ * 2. always ends the session, also when the work fails
+ */
+describe("Transaction Helper", () => {
+  let session;
+
+  beforeEach(() => {
+    session = {
+      withTransaction: jest.fn(async (callback) => {
+        await callback();
+      }),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("passes the session to the work and returns its result", async () => {
+    const work = jest.fn().mockResolvedValue(3);
+
+    await expect(withTransaction(work)).resolves.toBe(3);
+    expect(work).toHaveBeenCalledWith(session);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it("ends the session when the work fails", async () => {
+    const work = jest.fn().mockRejectedValue(new Error("write conflict"));
+
+    await expect(withTransaction(work)).rejects.toThrow("write conflict");
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
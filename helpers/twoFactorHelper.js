@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import userModel from "../models/userModel.js";
+import { verifyTotp } from "./totpHelper.js";
+import { isStaff } from "./permissionHelper.js";
+
+// policy: ADMIN_2FA_REQUIRED=true forces every admin (any account with a
+// staff role) to enroll before any admin route lets them through
+export const isTwoFactorRequired = (user) =>
+  process.env.ADMIN_2FA_REQUIRED === "true" && isStaff(user);
+
+const normalizeRecoveryCode = (code) =>
+  String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// recovery codes are only stored hashed, like passwords
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(normalizeRecoveryCode(code))
+    .digest("hex");
+
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+// Checks a TOTP code or a recovery code for an enrolled user and marks it as
+// used. The conditional updates make each code single use even when two
+// requests race.
+export const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  const twoFactor = user?.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) {
+    return false;
+  }
+  if (code) {
+    const lastUsed = twoFactor.lastUsedCounter ?? -1;
+    const counter = verifyTotp(twoFactor.secret, code, { after: lastUsed });
+    if (counter === null) {
+      return false;
+    }
+    const updated = await userModel.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedCounter": null },
+          { "twoFactor.lastUsedCounter": { $lt: counter } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedCounter": counter } }
+    );
+    return Boolean(updated);
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await userModel.findOneAndUpdate(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return Boolean(updated);
+  }
+  return false;
+};
@@ -0,0 +1,137 @@
+import userModel from '../models/userModel.js';
+import { generateTotp, generateTotpSecret, totpCounter } from './totpHelper.js';
+import {
+  isTwoFactorRequired,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+} from './twoFactorHelper.js';
+
+// Mock the user store; TOTP maths stays real
+jest.mock('../models/userModel.js');
+
+/**
+ * Unit tests for two-factor helper functions
+ *
+ * 1. isTwoFactorRequired: the ADMIN_2FA_REQUIRED policy
+ * 2. hashRecoveryCode / generateRecoveryCodes: one-time recovery codes
+ * 3. consumeSecondFactor: single use checks for TOTP and recovery codes
+ */
+describe('Two-Factor Helper Functions', () => {
+  const originalEnv = { ...process.env };
+  const secret = generateTotpSecret();
+  const enrolledUser = (overrides = {}) => ({
+    _id: 'user1',
+    twoFactor: {
+      enabled: true,
+      secret,
+      recoveryCodes: [hashRecoveryCode('abcde-12345')],
+      ...overrides,
+    },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('isTwoFactorRequired Function', () => {
+    it('only applies to admins when the policy is on', () => {
+      process.env.ADMIN_2FA_REQUIRED = 'true';
+
+      expect(isTwoFactorRequired({ role: 1 })).toBe(true);
+      expect(isTwoFactorRequired({ role: 0 })).toBe(false);
+    });
+
+    it('is off unless explicitly enabled', () => {
+      delete process.env.ADMIN_2FA_REQUIRED;
+
+      expect(isTwoFactorRequired({ role: 1 })).toBe(false);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('generates distinct, readable codes', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    it('hashes codes regardless of case and separators', () => {
+      expect(hashRecoveryCode('ABCDE 12345')).toBe(hashRecoveryCode('abcde-12345'));
+      expect(hashRecoveryCode('abcde-12345')).toHaveLength(64);
+    });
+  });
+
+  describe('consumeSecondFactor Function', () => {
+    it('accepts a current TOTP code and records its time step', async () => {
+      userModel.findOneAndUpdate.mockResolvedValue({ _id: 'user1' });
+      const counter = totpCounter();
+
+      const ok = await consumeSecondFactor(enrolledUser(), {
+        code: generateTotp(secret, counter),
+      });
+
+      expect(ok).toBe(true);
+      const [filter, update] = userModel.findOneAndUpdate.mock.calls[0];
+      expect(filter._id).toBe('user1');
+      expect(update).toEqual({
+        $set: { 'twoFactor.lastUsedCounter': expect.any(Number) },
+      });
+      expect(update.$set['twoFactor.lastUsedCounter']).toBeGreaterThanOrEqual(
+        counter - 1
+      );
+    });
+
+    it('rejects a code when a concurrent request used the step first', async () => {
+      userModel.findOneAndUpdate.mockResolvedValue(null);
+
+      const ok = await consumeSecondFactor(enrolledUser(), {
+        code: generateTotp(secret, totpCounter()),
+      });
+
+      expect(ok).toBe(false);
+    });
+
+    it('rejects a wrong code without touching the store', async () => {
+      const counter = totpCounter();
+      const valid = [-1, 0, 1].map((drift) => generateTotp(secret, counter + drift));
+      const wrong = ['000000', '111111', '222222'].find((c) => !valid.includes(c));
+
+      const ok = await consumeSecondFactor(enrolledUser(), { code: wrong });
+
+      expect(ok).toBe(false);
+      expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('pulls a matching recovery code so it works only once', async () => {
+      userModel.findOneAndUpdate.mockResolvedValue({ _id: 'user1' });
+
+      const ok = await consumeSecondFactor(enrolledUser(), {
+        recoveryCode: 'ABCDE-12345',
+      });
+
+      expect(ok).toBe(true);
+      const hash = hashRecoveryCode('abcde-12345');
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user1', 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+    });
+
+    it('fails for users without two-factor enabled', async () => {
+      const ok = await consumeSecondFactor(
+        { _id: 'user1', twoFactor: { enabled: false } },
+        { code: '123456' }
+      );
+
+      expect(ok).toBe(false);
+      expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
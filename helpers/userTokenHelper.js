@@ -0,0 +1,27 @@
+import JWT from "jsonwebtoken";
+
+// Single purpose tokens mailed to users (password reset, ...). The signing key
+// is bound to a piece of user state, so the token stops verifying as soon as
+// that state changes - e.g. a reset token dies once the password hash changes.
+const tokenSecret = (purpose, binding) =>
+  `${process.env.JWT_SECRET}:${purpose}:${binding}`;
+
+export const signUserToken = (userId, purpose, binding, expiresIn) =>
+  JWT.sign({ _id: userId, purpose }, tokenSecret(purpose, binding), {
+    expiresIn,
+  });
+
+// read the user id without trusting the token, to look up its binding
+export const getUserTokenSubject = (token) => {
+  const decoded = JWT.decode(token);
+  return decoded && typeof decoded === "object" ? decoded._id : null;
+};
+
+export const verifyUserToken = (token, purpose, binding) => {
+  try {
+    const decoded = JWT.verify(token, tokenSecret(purpose, binding));
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,57 @@
+import JWT from 'jsonwebtoken';
+import {
+  signUserToken,
+  getUserTokenSubject,
+  verifyUserToken,
+} from './userTokenHelper.js';
+
+/**
+ * Unit tests for single purpose user tokens
+ *
+ * Tokens are signed with a key bound to a purpose and a piece of user state,
+ * so changing that state (e.g. the password hash) invalidates the token.
+ * These tests use the real JWT library.
+ */
+describe('User Token Helper Functions', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('round trips a token for the same purpose and binding', () => {
+    const token = signUserToken('user1', 'password-reset', 'hash-1', '5m');
+
+    expect(getUserTokenSubject(token)).toBe('user1');
+    expect(verifyUserToken(token, 'password-reset', 'hash-1')).toMatchObject({
+      _id: 'user1',
+      purpose: 'password-reset',
+    });
+  });
+
+  it('rejects the token once the bound state changes', () => {
+    const token = signUserToken('user1', 'password-reset', 'hash-1', '5m');
+
+    expect(verifyUserToken(token, 'password-reset', 'hash-2')).toBeNull();
+  });
+
+  it('rejects tokens issued for another purpose', () => {
+    const token = signUserToken('user1', 'email-verify', 'hash-1', '5m');
+
+    expect(verifyUserToken(token, 'password-reset', 'hash-1')).toBeNull();
+  });
+
+  it('rejects expired tokens', () => {
+    const token = signUserToken('user1', 'password-reset', 'hash-1', -10);
+
+    expect(verifyUserToken(token, 'password-reset', 'hash-1')).toBeNull();
+  });
+
+  it('rejects plain session tokens signed with the app secret', () => {
+    const token = JWT.sign({ _id: 'user1', purpose: 'password-reset' }, 'test-secret');
+
+    expect(verifyUserToken(token, 'password-reset', 'hash-1')).toBeNull();
+  });
+
+  it('returns no subject for malformed tokens', () => {
+    expect(getUserTokenSubject('not-a-token')).toBeNull();
+  });
+});
@@ -0,0 +1,297 @@
+import {
+  parseJsonList,
+  validateEntry,
+} from "../middlewares/validationMiddleware.js";
+
+// Product option axes and the variants on sale. The admin form sends both as
+// JSON in the multipart fields:
+//
+//   options:  [{ "name": "Color", "values": ["Red", "Blue"] }]
+//   variants: [{ "sku": "TS-RED-M", "options": { "Color": "Red" },
+//                "price": 21, "quantity": 4 }]
+//
+// A variant picks one value on every axis, its price (optional) overrides the
+// product price and its quantity is its own stock.
+
+export const MAX_OPTIONS = 3;
+export const MAX_VARIANTS = 100;
+
+const optionRules = (index) => ({
+  name: { required: true, maxLength: 50, label: `Option ${index + 1} name` },
+  values: {
+    type: "array",
+    required: true,
+    minLength: 1,
+    maxLength: 50,
+    items: { required: true, maxLength: 50 },
+    label: `Option ${index + 1} values`,
+  },
+});
+
+const variantRules = (index) => ({
+  sku: { required: true, maxLength: 64, label: `Variant ${index + 1} SKU` },
+  price: { type: "number", min: 0, label: `Variant ${index + 1} price` },
+  quantity: {
+    type: "integer",
+    required: true,
+    min: 0,
+    label: `Variant ${index + 1} quantity`,
+  },
+});
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const readOptions = (list, errors) => {
+  if (list.length > MAX_OPTIONS) {
+    errors.push({
+      field: "options",
+      rule: "maxLength",
+      message: `Products can have at most ${MAX_OPTIONS} options`,
+    });
+    return [];
+  }
+  const options = [];
+  list.forEach((entry, index) => {
+    const field = `options[${index}]`;
+    if (!isObject(entry)) {
+      errors.push({
+        field,
+        rule: "type",
+        message: `Option ${index + 1} must have a name and values`,
+      });
+      return;
+    }
+    const entryErrs = validateEntry(optionRules(index), entry, field);
+    if (entryErrs.length) {
+      errors.push(...entryErrs);
+      return;
+    }
+    const name = entry.name.trim();
+    const values = entry.values.map((value) => value.trim());
+    if (options.some((option) => option.name === name)) {
+      errors.push({
+        field: `${field}.name`,
+        rule: "unique",
+        message: `Option "${name}" is listed twice`,
+      });
+      return;
+    }
+    if (new Set(values).size !== values.length) {
+      errors.push({
+        field: `${field}.values`,
+        rule: "unique",
+        message: `Option "${name}" lists a value twice`,
+      });
+      return;
+    }
+    options.push({ name, values });
+  });
+  return options;
+};
+
+// the variant's value on every axis, in axis order
+const readChoices = (entry, options, index, errors) => {
+  const field = `variants[${index}].options`;
+  const label = `Variant ${index + 1}`;
+  const picked = new Map(Object.entries(isObject(entry) ? entry : {}));
+  const unknown = [...picked.keys()].find(
+    (name) => !options.some((option) => option.name === name)
+  );
+  if (unknown) {
+    errors.push({
+      field,
+      rule: "oneOf",
+      message: `${label} has no option "${unknown}"`,
+    });
+    return null;
+  }
+  const choices = [];
+  for (const { name, values } of options) {
+    const value =
+      typeof picked.get(name) === "string" ? picked.get(name).trim() : "";
+    if (!value) {
+      errors.push({
+        field,
+        rule: "required",
+        message: `${label} needs a ${name}`,
+      });
+      return null;
+    }
+    if (!values.includes(value)) {
+      errors.push({
+        field,
+        rule: "oneOf",
+        message: `${label} ${name} must be one of: ${values.join(", ")}`,
+      });
+      return null;
+    }
+    choices.push([name, value]);
+  }
+  return choices;
+};
+
+const readVariantList = (list, options, errors) => {
+  if (list.length > MAX_VARIANTS) {
+    errors.push({
+      field: "variants",
+      rule: "maxLength",
+      message: `Products can have at most ${MAX_VARIANTS} variants`,
+    });
+    return [];
+  }
+  if (list.length && !options.length) {
+    errors.push({
+      field: "variants",
+      rule: "options",
+      message: "Variants need at least one option, such as Size or Color",
+    });
+    return [];
+  }
+  if (options.length && !list.length) {
+    errors.push({
+      field: "variants",
+      rule: "minLength",
+      message: "Add a variant for each option combination on sale",
+    });
+    return [];
+  }
+  const variants = [];
+  const combinations = new Map();
+  list.forEach((entry, index) => {
+    const field = `variants[${index}]`;
+    if (!isObject(entry)) {
+      errors.push({
+        field,
+        rule: "type",
+        message: `Variant ${index + 1} must have a SKU, options and quantity`,
+      });
+      return;
+    }
+    const entryErrs = validateEntry(variantRules(index), entry, field);
+    errors.push(...entryErrs);
+    const choices = readChoices(entry.options, options, index, errors);
+    if (entryErrs.length || !choices) {
+      return;
+    }
+    const sku = entry.sku.trim();
+    const combination = choices.map(([, value]) => value).join("\u0000");
+    if (variants.some((variant) => variant.sku === sku)) {
+      errors.push({
+        field: `${field}.sku`,
+        rule: "unique",
+        message: `SKU "${sku}" is used by more than one variant`,
+      });
+      return;
+    }
+    if (combinations.has(combination)) {
+      errors.push({
+        field: `${field}.options`,
+        rule: "unique",
+        message: `Variant ${index + 1} repeats the options of variant ${combinations.get(combination) + 1}`,
+      });
+      return;
+    }
+    combinations.set(combination, index);
+    const hasPrice = ![undefined, null, ""].includes(entry.price);
+    variants.push({
+      sku,
+      options: Object.fromEntries(choices),
+      ...(hasPrice && { price: Number(entry.price) }),
+      quantity: Number(entry.quantity),
+    });
+  });
+  return variants;
+};
+
+// options and variants from the product form fields, ready to save, plus
+// every problem found as validateRequest errors. Product stock becomes the
+// sum of the variant stock. `fields` is empty when the form sent neither.
+export const readVariants = ({ options, variants } = {}) => {
+  const errors = [];
+  if (options === undefined && variants === undefined) {
+    return { fields: {}, errors };
+  }
+  const optionList = readOptions(
+    parseJsonList(options, "options", "Options", errors),
+    errors
+  );
+  const variantList = parseJsonList(variants, "variants", "Variants", errors);
+  if (errors.length) {
+    return { fields: {}, errors };
+  }
+  const fields = {
+    options: optionList,
+    variants: readVariantList(variantList, optionList, errors),
+  };
+  if (fields.variants.length) {
+    fields.quantity = fields.variants.reduce(
+      (total, variant) => total + variant.quantity,
+      0
+    );
+  }
+  return { fields, errors };
+};
+
+const optionLabel = (options) => Object.values(options || {}).join(" / ");
+
+// the order for a checkout cart, priced from the products as stored rather
+// than from the cart: each entry is one unit of a product, and of one of its
+// variants when it has any. Returns { items, total, stock } with the units
+// taken off each variant, or { error } for the first entry that can't be sold.
+export const priceCart = (cart, products) => {
+  const byId = new Map(
+    products.map((product) => [String(product._id), product])
+  );
+  const items = [];
+  const stock = new Map();
+  for (const entry of cart) {
+    const product = byId.get(String(entry?._id));
+    if (!product) {
+      return { error: "Some items in your cart are no longer available" };
+    }
+    const variants = product.variants || [];
+    const chosen = entry.variant?._id;
+    if (!variants.length) {
+      if (chosen) {
+        return { error: `${product.name} no longer comes in that option` };
+      }
+      items.push({ product: product._id, price: product.price });
+      continue;
+    }
+    const variant = variants.find(({ _id }) => String(_id) === String(chosen));
+    if (!variant) {
+      return {
+        error: chosen
+          ? `${product.name} no longer comes in that option`
+          : `Please choose the options of ${product.name}`,
+      };
+    }
+    const units = (stock.get(String(variant._id))?.units || 0) + 1;
+    if (units > variant.quantity) {
+      const label = `${product.name} (${optionLabel(variant.options)})`;
+      return {
+        error: variant.quantity
+          ? `Only ${variant.quantity} of ${label} left in stock`
+          : `${label} is out of stock`,
+      };
+    }
+    stock.set(String(variant._id), {
+      product: product._id,
+      variant: variant._id,
+      units,
+    });
+    items.push({
+      product: product._id,
+      price: variant.price ?? product.price,
+      variant: variant._id,
+      sku: variant.sku,
+      options: variant.options,
+    });
+  }
+  return {
+    items,
+    total: items.reduce((total, item) => total + item.price, 0),
+    stock: [...stock.values()],
+  };
+};
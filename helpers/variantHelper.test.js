@@ -0,0 +1,289 @@
+import { MAX_OPTIONS, priceCart, readVariants } from "./variantHelper.js";
+
+/**
+ * Unit tests for the product variant helpers
+ *
+ * 1. readVariants: parses the JSON form fields, trims names and SKUs, totals
+ *    the stock and reports every problem as validation errors
+ * 2. priceCart: prices a checkout cart from the stored products, records
+ *    the variant bought and refuses unknown or out-of-stock variants
+ */
+describe("Variant Helper", () => {
+  const options = [
+    { name: " Color ", values: ["Red", " Blue"] },
+    { name: "Size", values: ["M", "L"] },
+  ];
+  const variant = (sku, Color, Size, extra = {}) => ({
+    sku,
+    options: { Color, Size },
+    quantity: 1,
+    ...extra,
+  });
+  const read = (optionList, variantList) =>
+    readVariants({
+      options: JSON.stringify(optionList),
+      variants: JSON.stringify(variantList),
+    });
+
+  describe("readVariants", () => {
+    it("leaves the product alone when the form sends neither field", () => {
+      expect(readVariants({ name: "Lamp" })).toEqual({
+        fields: {},
+        errors: [],
+      });
+    });
+
+    it("clears the variants when both lists are blank", () => {
+      expect(readVariants({ options: "", variants: "[]" })).toEqual({
+        fields: { options: [], variants: [] },
+        errors: [],
+      });
+    });
+
+    it("trims the options and variants and totals their stock", () => {
+      const { fields, errors } = read(options, [
+        variant(" TS-RED-M ", "Red", "M", { quantity: "4" }),
+        variant("TS-BLUE-L", "Blue", "L", { price: "21.5", quantity: 2 }),
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(fields).toEqual({
+        options: [
+          { name: "Color", values: ["Red", "Blue"] },
+          { name: "Size", values: ["M", "L"] },
+        ],
+        variants: [
+          {
+            sku: "TS-RED-M",
+            options: { Color: "Red", Size: "M" },
+            quantity: 4,
+          },
+          {
+            sku: "TS-BLUE-L",
+            options: { Color: "Blue", Size: "L" },
+            price: 21.5,
+            quantity: 2,
+          },
+        ],
+        quantity: 6,
+      });
+    });
+
+    it("rejects fields that aren't JSON lists", () => {
+      expect(readVariants({ options: "Color", variants: "{}" }).errors).toEqual(
+        [
+          { field: "options", rule: "type", message: "Options must be a list" },
+          {
+            field: "variants",
+            rule: "type",
+            message: "Variants must be a list",
+          },
+        ]
+      );
+    });
+
+    it("checks each option and rejects repeats", () => {
+      const { errors } = read(
+        [
+          { name: "", values: ["Red"] },
+          { name: "Size", values: [] },
+          { name: "Fit", values: ["Slim", "Slim"] },
+        ],
+        []
+      );
+
+      expect(errors).toEqual([
+        {
+          field: "options[0].name",
+          rule: "required",
+          message: "Option 1 name is required",
+        },
+        {
+          field: "options[1].values",
+          rule: "minLength",
+          message: "Option 2 values must have at least 1 item",
+        },
+        {
+          field: "options[2].values",
+          rule: "unique",
+          message: 'Option "Fit" lists a value twice',
+        },
+      ]);
+    });
+
+    it("limits the number of options", () => {
+      const many = Array.from({ length: MAX_OPTIONS + 1 }, (_, i) => ({
+        name: `Option ${i}`,
+        values: ["a"],
+      }));
+
+      expect(read(many, []).errors.map(({ rule }) => rule)).toEqual([
+        "maxLength",
+      ]);
+    });
+
+    it("needs options and variants together", () => {
+      expect(read([], [variant("A", "Red", "M")]).errors[0].message).toBe(
+        "Variants need at least one option, such as Size or Color"
+      );
+      expect(read(options, []).errors[0].message).toBe(
+        "Add a variant for each option combination on sale"
+      );
+    });
+
+    it("checks each variant's fields and option values", () => {
+      const { errors } = read(options, [
+        { options: { Color: "Red", Size: "M" }, quantity: -1 },
+        variant("B", "Green", "M"),
+        { sku: "C", options: { Color: "Red" }, quantity: 1 },
+        { sku: "D", options: { Color: "Red", Size: "L", Fit: "Slim" } },
+      ]);
+
+      expect(errors).toEqual([
+        {
+          field: "variants[0].sku",
+          rule: "required",
+          message: "Variant 1 SKU is required",
+        },
+        {
+          field: "variants[0].quantity",
+          rule: "min",
+          message: "Variant 1 quantity must be at least 0",
+        },
+        {
+          field: "variants[1].options",
+          rule: "oneOf",
+          message: "Variant 2 Color must be one of: Red, Blue",
+        },
+        {
+          field: "variants[2].options",
+          rule: "required",
+          message: "Variant 3 needs a Size",
+        },
+        {
+          field: "variants[3].quantity",
+          rule: "required",
+          message: "Variant 4 quantity is required",
+        },
+        {
+          field: "variants[3].options",
+          rule: "oneOf",
+          message: 'Variant 4 has no option "Fit"',
+        },
+      ]);
+    });
+
+    it("rejects repeated SKUs and option combinations", () => {
+      const { errors } = read(options, [
+        variant("A", "Red", "M"),
+        variant("A", "Red", "L"),
+        variant("B", "Red", "M"),
+      ]);
+
+      expect(errors).toEqual([
+        {
+          field: "variants[1].sku",
+          rule: "unique",
+          message: 'SKU "A" is used by more than one variant',
+        },
+        {
+          field: "variants[2].options",
+          rule: "unique",
+          message: "Variant 3 repeats the options of variant 1",
+        },
+      ]);
+    });
+  });
+
+  describe("priceCart", () => {
+    const lamp = { _id: "p1", name: "Lamp", price: 20 };
+    const shirt = {
+      _id: "p2",
+      name: "Shirt",
+      price: 20,
+      variants: [
+        {
+          _id: "v1",
+          sku: "TS-M",
+          options: { Size: "M" },
+          price: 21,
+          quantity: 2,
+        },
+        { _id: "v2", sku: "TS-L", options: { Size: "L" }, quantity: 0 },
+      ],
+    };
+
+    it("charges the stored price, not the one in the cart", () => {
+      expect(priceCart([{ _id: "p1", price: 1 }], [lamp])).toEqual({
+        items: [{ product: "p1", price: 20 }],
+        total: 20,
+        stock: [],
+      });
+    });
+
+    it("records the stored variant and counts the units taken", () => {
+      const cart = [
+        { _id: "p2", price: 1, variant: { _id: "v1", sku: "X", price: 1 } },
+        { _id: "p2", variant: { _id: "v1" } },
+        { _id: "p1" },
+      ];
+
+      expect(priceCart(cart, [lamp, shirt])).toEqual({
+        items: [
+          {
+            product: "p2",
+            price: 21,
+            variant: "v1",
+            sku: "TS-M",
+            options: { Size: "M" },
+          },
+          {
+            product: "p2",
+            price: 21,
+            variant: "v1",
+            sku: "TS-M",
+            options: { Size: "M" },
+          },
+          { product: "p1", price: 20 },
+        ],
+        total: 62,
+        stock: [{ product: "p2", variant: "v1", units: 2 }],
+      });
+    });
+
+    it("refuses products that aren't for sale", () => {
+      expect(priceCart([{ _id: "p9" }], [lamp])).toEqual({
+        error: "Some items in your cart are no longer available",
+      });
+    });
+
+    it("refuses unknown variants", () => {
+      expect(
+        priceCart([{ _id: "p2", variant: { _id: "v9" } }], [shirt])
+      ).toEqual({
+        error: "Shirt no longer comes in that option",
+      });
+      expect(
+        priceCart([{ _id: "p1", variant: { _id: "v1" } }], [lamp])
+      ).toEqual({
+        error: "Lamp no longer comes in that option",
+      });
+      expect(priceCart([{ _id: "p2" }], [shirt])).toEqual({
+        error: "Please choose the options of Shirt",
+      });
+    });
+
+    it("refuses more units than the variant has in stock", () => {
+      const unit = { _id: "p2", variant: { _id: "v1" } };
+
+      expect(priceCart([unit, unit, unit], [shirt])).toEqual({
+        error: "Only 2 of Shirt (M) left in stock",
+      });
+      expect(
+        priceCart([{ _id: "p2", variant: { _id: "v2" } }], [shirt])
+      ).toEqual({
+        error: "Shirt (L) is out of stock",
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import zlib from "zlib";
+import { createZip, crc32 } from "./zipHelper.js";
+
+/**
+ * Unit tests for the minimal ZIP writer used by data exports
+ *
+ * 1. crc32: matches the standard CRC-32 check value
+ * 2. createZip: archive layout (local headers, central directory, end record)
+ *    and deflated entries that inflate back to the input
+ */
+
+// walk the local file headers of an archive written by createZip
+const readEntries = (archive) => {
+  const entries = [];
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const name = archive
+      .subarray(offset + 30, offset + 30 + nameLength)
+      .toString("utf8");
+    const start = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(
+      archive.subarray(start, start + compressedSize)
+    );
+    entries.push({
+      name,
+      data: data.toString("utf8"),
+      crc: archive.readUInt32LE(offset + 14),
+    });
+    offset = start + compressedSize;
+  }
+  return { entries, centralOffset: offset };
+};
+
+describe("Zip Helper", () => {
+  describe("crc32", () => {
+    it("returns the standard check value", () => {
+      expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+      expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+  });
+
+  describe("createZip", () => {
+    const files = [
+      { name: "profile.json", data: '{"name":"John"}' },
+      { name: "orders.json", data: Buffer.from("[]") },
+    ];
+
+    it("writes every file as a deflated entry", () => {
+      const { entries } = readEntries(createZip(files));
+
+      expect(entries).toEqual([
+        {
+          name: "profile.json",
+          data: '{"name":"John"}',
+          crc: crc32(Buffer.from('{"name":"John"}')),
+        },
+        { name: "orders.json", data: "[]", crc: crc32(Buffer.from("[]")) },
+      ]);
+    });
+
+    it("ends with a central directory covering every entry", () => {
+      const archive = createZip(files);
+      const { centralOffset } = readEntries(archive);
+      const end = archive.subarray(archive.length - 22);
+
+      expect(end.readUInt32LE(0)).toBe(0x06054b50);
+      expect(end.readUInt16LE(10)).toBe(2);
+      expect(end.readUInt32LE(16)).toBe(centralOffset);
+      expect(archive.readUInt32LE(centralOffset)).toBe(0x02014b50);
+    });
+
+    it("stamps entries with the given date", () => {
+      const archive = createZip(files, new Date(2024, 0, 15, 10, 30, 20));
+
+      // date: (2024 - 1980) << 9 | 1 << 5 | 15, time: 10 << 11 | 30 << 5 | 10
+      expect(archive.readUInt16LE(12)).toBe((44 << 9) | (1 << 5) | 15);
+      expect(archive.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import request from "supertest";
+import express from "express";
+import authRoutes from "../../routes/authRoute.js";
+import apiKeyModel from "../../models/apiKeyModel.js";
+import orderModel from "../../models/orderModel.js";
+import auditEventModel from "../../models/auditEventModel.js";
+import { generateApiKey } from "../../helpers/apiKeyHelper.js";
+
+jest.mock("../../models/apiKeyModel.js");
+jest.mock("../../models/orderModel.js");
+jest.mock("../../models/userModel.js");
+jest.mock("../../models/sessionModel.js");
+jest.mock("../../models/roleModel.js");
+jest.mock("../../models/auditEventModel.js");
+
+/**
+ * Integration tests for API key access to the order routes
+ *
+ * Route → requireSignInOrApiKey → requirePermission → controller, with the
+ * real key generation and hashing; only the models are mocked. The mocked
+ * key store answers like mongo: a key is found by its digest while live.
+ */
+const app = express();
+app.use(express.json());
+app.use("/api/v1/auth", authRoutes);
+
+const ORDER = "64b7f0c2a1b2c3d4e5f60718";
+
+describe("API key access", () => {
+  let key;
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const generated = generateApiKey();
+    key = generated.key;
+    stored = {
+      _id: "k1",
+      name: "Warehouse",
+      keyHash: generated.keyHash,
+      scopes: ["orders:read"],
+      revokedAt: null,
+    };
+    apiKeyModel.findOneAndUpdate.mockImplementation(async (filter) =>
+      filter.keyHash === stored.keyHash && !stored.revokedAt ? stored : null
+    );
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("200 lists all orders for a key with orders:read", async () => {
+    const query = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockResolvedValue([{ _id: "o1" }]),
+    };
+    orderModel.find.mockReturnValue(query);
+
+    const res = await request(app)
+      .get("/api/v1/auth/all-orders")
+      .set("X-API-Key", key);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ _id: "o1" }]);
+  });
+
+  it("403 when the key lacks the scope", async () => {
+    const res = await request(app)
+      .put(`/api/v1/auth/order-status/${ORDER}`)
+      .set("Authorization", `ApiKey ${key}`)
+      .send({ status: "Shipped" });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(
+      "Forbidden: API key is missing scope orders:update"
+    );
+    expect(orderModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("audits changes made with a key under the key's name", async () => {
+    stored.scopes = ["orders:write"];
+    orderModel.findById.mockResolvedValue({ _id: ORDER, status: "Processing" });
+    orderModel.findByIdAndUpdate.mockResolvedValue({ _id: ORDER, status: "Shipped" });
+
+    const res = await request(app)
+      .put(`/api/v1/auth/order-status/${ORDER}`)
+      .set("X-API-Key", key)
+      .send({ status: "Shipped" });
+
+    expect(res.status).toBe(200);
+    expect(auditEventModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "order.status_updated",
+        actor: null,
+        apiKey: { id: "k1", name: "Warehouse" },
+      })
+    );
+  });
+
+  it("401 once the key is revoked", async () => {
+    stored.revokedAt = new Date();
+
+    const res = await request(app)
+      .get("/api/v1/auth/all-orders")
+      .set("X-API-Key", key);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Unauthorized: Invalid API key");
+  });
+
+  it("keys can't reach routes that only accept user tokens", async () => {
+    stored.scopes = ["users:read"];
+
+    const res = await request(app)
+      .get("/api/v1/auth/users")
+      .set("X-API-Key", key);
+
+    expect(res.status).toBe(401);
+    expect(apiKeyModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -7,21 +7,21 @@
  * PURPOSE:
  * Test the integration between authMiddleware and its dependencies:
  * - JWT library (token verification)
- * - User model (role verification)
+ * - User model (role and permission lookup)
  * - Express middleware chain (req/res/next)
  * - authController → middleware flow
  * 
  * TESTING STRATEGY: Sandwich Method (Top-Down + Bottom-Up)
  * - Test middleware in isolation (unit level)
- * - Test middleware chain execution (requireSignIn → isAdmin)
+ * - Test middleware chain execution (requireSignIn → requirePermission)
  * - Test integration with controllers (complete auth flow)
  * 
  * INTEGRATION POINTS TESTED:
  * 1. requireSignIn → JWT.verify (token validation)
  * 2. requireSignIn → req.user population
- * 3. isAdmin → userModel.findById (role lookup)
- * 4. isAdmin → role check logic (role === 1)
- * 5. Middleware chain: requireSignIn → isAdmin → controller
+ * 3. requirePermission → userModel.findById (role lookup)
+ * 4. requirePermission → permission check (admin role grants it)
+ * 5. Middleware chain: requireSignIn → requirePermission → controller
  * 6. Error handling across middleware chain
  * 
  * MOCK STRATEGY:
@@ -32,7 +32,7 @@
  * 
  * TEST PHILOSOPHY:
  * Integration tests verify middleware chaining and auth flow integration.
- * We test how requireSignIn prepares context for isAdmin middleware.
+ * We test how requireSignIn prepares context for requirePermission middleware.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -40,7 +40,7 @@
 // IMPORTS
 // ═══════════════════════════════════════════════════════════════════════════
 
-import { requireSignIn, isAdmin } from '../authMiddleware.js';
+import { requireSignIn, requirePermission } from '../authMiddleware.js';
 import userModel from '../../models/userModel.js';
 import JWT from 'jsonwebtoken';
 
@@ -51,8 +51,14 @@ import JWT from 'jsonwebtoken';
 // Mock userModel for controlled database responses
 jest.mock('../../models/userModel.js');
 
+// Mock roleModel so only the built-in roles apply
+jest.mock('../../models/roleModel.js');
+
 // Keep JWT real to test actual token verification integration
 
+// Admin routes are guarded by a permission, here the catalog's
+const requireAdmin = requirePermission('products:update');
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TEST HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -318,23 +324,23 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
   });
   
   // ═══════════════════════════════════════════════════════════════════════════
-  // INTEGRATION TEST GROUP 2: isAdmin MIDDLEWARE
+  // INTEGRATION TEST GROUP 2: requirePermission MIDDLEWARE
   // ═══════════════════════════════════════════════════════════════════════════
   
-  describe('Integration Test #2: isAdmin Middleware', () => {
+  describe('Integration Test #2: requirePermission Middleware', () => {
     
     /**
      * TEST 2.1: Admin User Access
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - isAdmin → userModel.findById (role lookup)
-     * - isAdmin → role check (role === 1)
-     * - isAdmin → next() chain continuation
+     * - requirePermission → userModel.findById (role lookup)
+     * - requirePermission → the admin role grants the permission
+     * - requirePermission → next() chain continuation
      * 
      * Expected Flow:
      * 1. Receive request with req.user._id from requireSignIn
      * 2. Look up user in database by ID
-     * 3. Check user.role === 1 (admin)
+     * 3. Check the user's roles grant the permission
      * 4. Call next() to continue to controller
      */
     it('should allow admin user access', async () => {
@@ -356,10 +362,10 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       });
       
       // ═══════════════════════════════════════════════════════════════
-      // ACT: Call isAdmin middleware
+      // ACT: Call requirePermission middleware
       // ═══════════════════════════════════════════════════════════════
       
-      await isAdmin(req, res, next);
+      await requireAdmin(req, res, next);
       
       // ═══════════════════════════════════════════════════════════════
       // ASSERT: Verify admin access integration
@@ -386,9 +392,9 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
      * TEST 2.2: Non-Admin User Denial
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - isAdmin → userModel.findById (role lookup)
-     * - isAdmin → role check (role !== 1)
-     * - isAdmin → 401 unauthorized response
+     * - requirePermission → userModel.findById (role lookup)
+     * - requirePermission → customers have no permissions
+     * - requirePermission → 403 forbidden response
      */
     it('should deny non-admin user access', async () => {
       // ═══════════════════════════════════════════════════════════════
@@ -409,10 +415,10 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       });
       
       // ═══════════════════════════════════════════════════════════════
-      // ACT: Call isAdmin middleware
+      // ACT: Call requirePermission middleware
       // ═══════════════════════════════════════════════════════════════
       
-      await isAdmin(req, res, next);
+      await requireAdmin(req, res, next);
       
       // ═══════════════════════════════════════════════════════════════
       // ASSERT: Verify access denial
@@ -424,12 +430,12 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       expect(userModel.findById).toHaveBeenCalledWith(userId);
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #2: 401 Unauthorized response sent
+      // VERIFICATION #2: 403 Forbidden response sent
       // ───────────────────────────────────────────────────────────────
-      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.status).toHaveBeenCalledWith(403);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        message: 'UnAuthorized Access',
+        message: 'Forbidden: missing permission products:update',
       });
       
       // ───────────────────────────────────────────────────────────────
@@ -442,7 +448,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
      * TEST 2.3: Database Error Handling
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - isAdmin → userModel.findById (database error)
+     * - requirePermission → userModel.findById (database error)
      * - Error response handling
      */
     it('should handle database errors gracefully', async () => {
@@ -461,10 +467,10 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       userModel.findById = jest.fn().mockRejectedValueOnce(dbError);
       
       // ═══════════════════════════════════════════════════════════════
-      // ACT: Call isAdmin middleware
+      // ACT: Call requirePermission middleware
       // ═══════════════════════════════════════════════════════════════
       
-      await isAdmin(req, res, next);
+      await requireAdmin(req, res, next);
       
       // ═══════════════════════════════════════════════════════════════
       // ASSERT: Verify error handling
@@ -482,7 +488,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       expect(res.send).toHaveBeenCalledWith({
         success: false,
         error: dbError,
-        message: 'Error in admin middleware',
+        message: 'Error in permission middleware',
       });
       
       // ───────────────────────────────────────────────────────────────
@@ -500,7 +506,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
      * TEST 2.4: Missing req.user Handling
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
-     * - isAdmin → req.user validation (from requireSignIn)
+     * - requirePermission → req.user validation (from requireSignIn)
      * - Error handling for missing authentication context
      */
     it('should handle missing req.user from requireSignIn', async () => {
@@ -513,10 +519,10 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       const next = mockNext();
       
       // ═══════════════════════════════════════════════════════════════
-      // ACT: Call isAdmin middleware
+      // ACT: Call requirePermission middleware
       // ═══════════════════════════════════════════════════════════════
       
-      await isAdmin(req, res, next);
+      await requireAdmin(req, res, next);
       
       // ═══════════════════════════════════════════════════════════════
       // ASSERT: Verify error handling
@@ -532,7 +538,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       // VERIFICATION #2: Error message contains middleware error
       // ───────────────────────────────────────────────────────────────
       const errorResponse = res.send.mock.calls[0][0];
-      expect(errorResponse.message).toBe('Error in admin middleware');
+      expect(errorResponse.message).toBe('Error in permission middleware');
       
       // ───────────────────────────────────────────────────────────────
       // VERIFICATION #3: next() NOT called
@@ -552,13 +558,13 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
      * - requireSignIn → JWT verification → req.user population
-     * - isAdmin → User lookup → role check
-     * - Complete middleware chain: requireSignIn → isAdmin → controller
+     * - requirePermission → User lookup → role check
+     * - Complete middleware chain: requireSignIn → requirePermission → controller
      * 
      * Expected Flow:
      * 1. requireSignIn verifies JWT and populates req.user
-     * 2. isAdmin uses req.user._id to lookup user
-     * 3. isAdmin checks role === 1
+     * 2. requirePermission uses req.user._id to lookup user
+     * 3. requirePermission checks the admin role grants the permission
      * 4. Chain completes successfully to controller
      */
     it('should execute complete middleware chain for admin user', async () => {
@@ -574,7 +580,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       const next1 = mockNext();
       const next2 = mockNext();
       
-      // Mock userModel.findById for isAdmin
+      // Mock userModel.findById for requirePermission
       userModel.findById = jest.fn().mockResolvedValueOnce({
         _id: userId,
         name: 'Admin User',
@@ -589,8 +595,8 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       // Step 1: requireSignIn
       await requireSignIn(req, res, next1);
       
-      // Step 2: isAdmin (uses req.user from step 1)
-      await isAdmin(req, res, next2);
+      // Step 2: requirePermission (uses req.user from step 1)
+      await requireAdmin(req, res, next2);
       
       // ═══════════════════════════════════════════════════════════════
       // ASSERT: Verify complete chain execution
@@ -609,7 +615,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       expect(next2).toHaveBeenCalledTimes(1);
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #3: isAdmin used req.user from requireSignIn
+      // VERIFICATION #3: requirePermission used req.user from requireSignIn
       // ───────────────────────────────────────────────────────────────
       expect(userModel.findById).toHaveBeenCalledWith(userId);
       
@@ -625,7 +631,7 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
      * - requireSignIn fails → chain stops
-     * - isAdmin never executes
+     * - requirePermission never executes
      */
     it('should stop chain if requireSignIn fails', async () => {
       // ═══════════════════════════════════════════════════════════════
@@ -665,20 +671,20 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       expect(console.log).toHaveBeenCalled();
       
       // ───────────────────────────────────────────────────────────────
-      // NOTE: isAdmin would never be called in real scenario
+      // NOTE: requirePermission would never be called in real scenario
       // because next1 was not called - chain is broken
       // ───────────────────────────────────────────────────────────────
     });
     
     /**
-     * TEST 3.3: Chain Break at isAdmin
+     * TEST 3.3: Chain Break at requirePermission
      * ─────────────────────────────────────────────────────────────────────────
      * Integration Points:
      * - requireSignIn succeeds → req.user populated
-     * - isAdmin fails → non-admin user denied
+     * - requirePermission fails → non-admin user denied
      * - Chain stops before controller
      */
-    it('should stop chain if isAdmin denies access', async () => {
+    it('should stop chain if requirePermission denies access', async () => {
       // ═══════════════════════════════════════════════════════════════
       // ARRANGE: Setup non-admin user scenario
       // ═══════════════════════════════════════════════════════════════
@@ -706,11 +712,11 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       // Step 1: requireSignIn (should succeed)
       await requireSignIn(req, res, next1);
       
-      // Step 2: isAdmin (should fail)
-      await isAdmin(req, res, next2);
+      // Step 2: requirePermission (should fail)
+      await requireAdmin(req, res, next2);
       
       // ═══════════════════════════════════════════════════════════════
-      // ASSERT: Verify chain stopped at isAdmin
+      // ASSERT: Verify chain stopped at requirePermission
       // ═══════════════════════════════════════════════════════════════
       
       // ───────────────────────────────────────────────────────────────
@@ -720,16 +726,16 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
       expect(next1).toHaveBeenCalledTimes(1);
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #2: isAdmin denied access
+      // VERIFICATION #2: requirePermission denied access
       // ───────────────────────────────────────────────────────────────
-      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.status).toHaveBeenCalledWith(403);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        message: 'UnAuthorized Access',
+        message: 'Forbidden: missing permission products:update',
       });
       
       // ───────────────────────────────────────────────────────────────
-      // VERIFICATION #3: isAdmin did NOT call next() (chain stopped)
+      // VERIFICATION #3: requirePermission did NOT call next() (chain stopped)
       // ───────────────────────────────────────────────────────────────
       expect(next2).not.toHaveBeenCalled();
     });
@@ -749,23 +755,23 @@ describe('Authentication Middleware Integration Tests - Phase 2: Security & Navi
  * ✅ Expired token handling (time-based validation)
  * ✅ Missing token handling
  * 
- * isAdmin MIDDLEWARE (4 tests):
- * ✅ Admin user access (role === 1)
- * ✅ Non-admin user denial (role !== 1)
+ * requirePermission MIDDLEWARE (4 tests):
+ * ✅ Admin user access (admin role grants the permission)
+ * ✅ Customer denial (no permissions)
  * ✅ Database error handling
  * ✅ Missing req.user handling
  * 
  * MIDDLEWARE CHAIN EXECUTION (3 tests):
- * ✅ Complete chain success (requireSignIn → isAdmin → controller)
+ * ✅ Complete chain success (requireSignIn → requirePermission → controller)
  * ✅ Chain break at requireSignIn (invalid token)
- * ✅ Chain break at isAdmin (non-admin user)
+ * ✅ Chain break at requirePermission (non-admin user)
  * 
  * INTEGRATION COVERAGE:
  * - requireSignIn ↔ JWT.verify (token validation)
  * - requireSignIn ↔ req.user population
- * - isAdmin ↔ userModel.findById (role lookup)
- * - isAdmin ↔ role check logic
- * - Middleware chain: requireSignIn → isAdmin
+ * - requirePermission ↔ userModel.findById (role lookup)
+ * - requirePermission ↔ permission check
+ * - Middleware chain: requireSignIn → requirePermission
  * - Error handling across middleware chain
  * 
  * REAL INTEGRATIONS TESTED:
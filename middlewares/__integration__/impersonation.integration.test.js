@@ -0,0 +1,179 @@
+import request from "supertest";
+import express from "express";
+import JWT from "jsonwebtoken";
+import authRoutes from "../../routes/authRoute.js";
+import userModel from "../../models/userModel.js";
+import sessionModel from "../../models/sessionModel.js";
+import auditEventModel from "../../models/auditEventModel.js";
+
+jest.mock("../../models/userModel.js");
+jest.mock("../../models/sessionModel.js");
+jest.mock("../../models/roleModel.js");
+jest.mock("../../models/orderModel.js");
+jest.mock("../../models/auditEventModel.js");
+
+/**
+ * Integration tests for admin impersonation
+ *
+ * Route → requireSignIn → requireSuperAdmin / blockImpersonation →
+ * controller, with real token signing and verification; only the models are
+ * mocked. The session store keeps what was created so revocation is seen by
+ * later requests.
+ */
+const app = express();
+app.use(express.json());
+app.use("/api/v1/auth", authRoutes);
+
+const ADMIN = "64b7f0c2a1b2c3d4e5f60001";
+const STAFF = "64b7f0c2a1b2c3d4e5f60002";
+const USER = "64b7f0c2a1b2c3d4e5f60003";
+
+const users = new Map([
+  [ADMIN, { _id: ADMIN, name: "Ada", email: "ada@example.com", roles: ["super-admin"] }],
+  [STAFF, { _id: STAFF, name: "Sam", email: "sam@example.com", roles: ["fulfillment"] }],
+  [USER, { _id: USER, name: "John", email: "john@example.com", role: 0 }],
+]);
+
+// findById works both awaited directly and as a select/lean chain
+const userQuery = (user) => {
+  const query = {
+    select: () => query,
+    lean: () => Promise.resolve(user),
+    then: (resolve, reject) => Promise.resolve(user).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("Admin impersonation", () => {
+  const originalSecret = process.env.JWT_SECRET;
+  let sessions;
+
+  const signIn = (userId) => JWT.sign({ _id: userId }, process.env.JWT_SECRET);
+
+  const impersonate = () =>
+    request(app)
+      .post(`/api/v1/auth/users/${USER}/impersonate`)
+      .set("Authorization", signIn(ADMIN))
+      .send({ reason: "Ticket 42" });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = originalSecret || "test-secret";
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    sessions = new Map();
+    userModel.exists.mockResolvedValue(null);
+    userModel.findById.mockImplementation((id) =>
+      userQuery(users.get(String(id)) || null)
+    );
+    sessionModel.create.mockImplementation(async (doc) => {
+      const session = { _id: `s${sessions.size + 1}`, revokedAt: null, ...doc };
+      sessions.set(session._id, session);
+      return session;
+    });
+    sessionModel.exists.mockImplementation(async ({ _id }) =>
+      sessions.get(String(_id))?.revokedAt === null ? { _id } : null
+    );
+    sessionModel.updateOne.mockImplementation(async ({ _id }) => {
+      sessions.get(String(_id)).revokedAt = new Date();
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("gives a super-admin a token carrying both ids", async () => {
+    const res = await impersonate();
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual(expect.objectContaining({ _id: USER }));
+    expect(res.body.impersonator).toEqual({
+      _id: ADMIN,
+      name: "Ada",
+      email: "ada@example.com",
+    });
+    const decoded = JWT.verify(res.body.token, process.env.JWT_SECRET);
+    expect(decoded).toEqual(
+      expect.objectContaining({ _id: USER, impersonator: ADMIN, sid: "s1" })
+    );
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    expect(auditEventModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "impersonation.started",
+        actor: ADMIN,
+        target: expect.objectContaining({ id: USER }),
+      })
+    );
+  });
+
+  it("403 for staff who aren't super-admins", async () => {
+    const res = await request(app)
+      .post(`/api/v1/auth/users/${USER}/impersonate`)
+      .set("Authorization", signIn(STAFF));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("Forbidden: super-admins only");
+    expect(sessionModel.create).not.toHaveBeenCalled();
+  });
+
+  it("lets the impersonator browse but not change the profile", async () => {
+    const { body } = await impersonate();
+
+    const browse = await request(app)
+      .get("/api/v1/auth/user-auth")
+      .set("Authorization", body.token);
+    const profile = await request(app)
+      .put("/api/v1/auth/profile")
+      .set("Authorization", body.token)
+      .send({ name: "Changed" });
+    const addresses = await request(app)
+      .post("/api/v1/auth/addresses")
+      .set("Authorization", body.token)
+      .send({});
+
+    expect(browse.status).toBe(200);
+    expect(profile.status).toBe(403);
+    expect(profile.body.impersonating).toBe(true);
+    expect(addresses.status).toBe(403);
+  });
+
+  it("can't start another impersonation from inside one", async () => {
+    const { body } = await impersonate();
+
+    const res = await request(app)
+      .post(`/api/v1/auth/users/${USER}/impersonate`)
+      .set("Authorization", body.token);
+
+    expect(res.status).toBe(403);
+    expect(res.body.impersonating).toBe(true);
+  });
+
+  it("ends the session, audits it and rejects the token afterwards", async () => {
+    const { body } = await impersonate();
+
+    const end = await request(app)
+      .post("/api/v1/auth/impersonation/end")
+      .set("Authorization", body.token);
+    const after = await request(app)
+      .get("/api/v1/auth/user-auth")
+      .set("Authorization", body.token);
+
+    expect(end.status).toBe(200);
+    expect(auditEventModel.create).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        action: "impersonation.ended",
+        actor: ADMIN,
+        impersonator: ADMIN,
+      })
+    );
+    expect(after.status).toBe(401);
+    expect(after.body.message).toBe("Unauthorized: Session revoked");
+  });
+});
@@ -1,5 +1,9 @@
 import JWT from "jsonwebtoken";
 import userModel from "../models/userModel.js";
+import { isSessionActive } from "../helpers/sessionHelper.js";
+import { isTwoFactorRequired } from "../helpers/twoFactorHelper.js";
+import { getUserPermissions, hasPermission, isSuperAdmin } from "../helpers/permissionHelper.js";
+import { authenticateApiKey, expandScopes } from "../helpers/apiKeyHelper.js";
 
 // Protected routes token base
 export const requireSignIn = async (req, res, next) => {
@@ -14,6 +18,18 @@ export const requireSignIn = async (req, res, next) => {
             ? authHeader.substring('Bearer '.length)
             : authHeader;
         const decode = JWT.verify(token, process.env.JWT_SECRET);
+        // tokens issued with a session can be revoked before they expire
+        if (decode.sid && !(await isSessionActive(decode.sid))) {
+            return res.status(401).send({ success: false, message: "Unauthorized: Session revoked" });
+        }
+        // a disabled account is locked out even with an unexpired token
+        if (await userModel.exists({ _id: decode._id, disabled: true })) {
+            return res.status(403).send({ success: false, message: "Your account has been disabled", accountDisabled: true });
+        }
+        // so is an admin part way through viewing the store as a customer
+        if (decode.impersonator && await userModel.exists({ _id: decode.impersonator, disabled: true })) {
+            return res.status(403).send({ success: false, message: "Your account has been disabled", accountDisabled: true });
+        }
         req.user = decode;
         next();
     } catch (error) {
@@ -22,24 +38,157 @@ export const requireSignIn = async (req, res, next) => {
     }
 };
 
-//admin access
-export const isAdmin = async (req, res, next) => {
+// API keys arrive as "X-API-Key: vv_..." or "Authorization: ApiKey vv_..."
+const readApiKey = (req) => {
+    const header = req.headers["x-api-key"];
+    if (header) {
+        return header;
+    }
+    const authHeader = req.headers.authorization;
+    return authHeader?.startsWith('ApiKey ')
+        ? authHeader.substring('ApiKey '.length)
+        : null;
+};
+
+// routes scripts may call: a scoped API key or a signed in user
+export const requireSignInOrApiKey = async (req, res, next) => {
+    const key = readApiKey(req);
+    if (!key) {
+        return requireSignIn(req, res, next);
+    }
+    try {
+        const apiKey = await authenticateApiKey(key, req);
+        if (!apiKey) {
+            return res.status(401).send({ success: false, message: "Unauthorized: Invalid API key" });
+        }
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        console.log(error);
+        return res.status(401).send({ success: false, message: "Unauthorized: Invalid API key" });
+    }
+};
+
+// admins must enroll in two-factor before using admin routes; answers the
+// request and returns true for one who hasn't yet
+const refuseWithoutTwoFactor = (user, res) => {
+    if (!isTwoFactorRequired(user) || user.twoFactor?.enabled) {
+        return false;
+    }
+    res.status(403).send({
+        success: false,
+        message: "Two-factor authentication is required for admin accounts",
+        twoFactorSetupRequired: true,
+    });
+    return true;
+};
+
+// permission based access, e.g. requirePermission("orders:update")
+export const requirePermission = (permission) => async (req, res, next) => {
+    try {
+        // keys are limited to their scopes and have no second factor
+        if (req.apiKey) {
+            const permissions = expandScopes(req.apiKey.scopes);
+            if (!hasPermission(permissions, permission)) {
+                return res.status(403).send({
+                    success: false,
+                    message: `Forbidden: API key is missing scope ${permission}`,
+                });
+            }
+            req.permissions = permissions;
+            return next();
+        }
+        const user = await userModel.findById(req.user._id);
+        const permissions = await getUserPermissions(user);
+        if (!hasPermission(permissions, permission)) {
+            return res.status(403).send({
+                success: false,
+                message: `Forbidden: missing permission ${permission}`,
+            });
+        }
+        if (refuseWithoutTwoFactor(user, res)) {
+            return;
+        }
+        req.permissions = permissions;
+        next();
+    } catch (error) {
+        console.log(error);
+        res.status(401).send({
+            success: false,
+            error,
+            message: "Error in permission middleware",
+        });
+    }
+};
+
+// super-admins only, and never from inside an impersonation session
+export const requireSuperAdmin = async (req, res, next) => {
+    try {
+        if (req.user.impersonator) {
+            return res.status(403).send({
+                success: false,
+                message: "Stop impersonating before using admin tools",
+                impersonating: true,
+            });
+        }
+        const user = await userModel.findById(req.user._id);
+        if (!isSuperAdmin(user)) {
+            return res.status(403).send({
+                success: false,
+                message: "Forbidden: super-admins only",
+            });
+        }
+        if (refuseWithoutTwoFactor(user, res)) {
+            return;
+        }
+        next();
+    } catch (error) {
+        console.log(error);
+        res.status(401).send({
+            success: false,
+            error,
+            message: "Error in super-admin middleware",
+        });
+    }
+};
+
+// things only the customer may do themselves, like paying or editing their
+// profile, are read-only for an admin viewing the store as them
+export const blockImpersonation = (req, res, next) => {
+    if (req.user?.impersonator) {
+        return res.status(403).send({
+            success: false,
+            message: "This action is not available while impersonating a customer",
+            impersonating: true,
+        });
+    }
+    next();
+};
+
+// verified email address, for actions like checkout
+export const requireVerifiedEmail = async (req, res, next) => {
     try {
         const user = await userModel.findById(req.user._id);
-        if(user.role !== 1) {
+        if (!user) {
             return res.status(401).send({
                 success: false,
                 message: "UnAuthorized Access",
             });
-        } else {
-            next();
         }
+        if (user.emailVerified === false) {
+            return res.status(403).send({
+                success: false,
+                message: "Please verify your email address before checking out",
+                emailVerificationRequired: true,
+            });
+        }
+        next();
     } catch (error) {
         console.log(error);
         res.status(401).send({
             success: false,
             error,
-            message: "Error in admin middleware",
+            message: "Error in email verification middleware",
         });
     }
-};
\ No newline at end of file
+};
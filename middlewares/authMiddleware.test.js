@@ -1,17 +1,28 @@
 import JWT from 'jsonwebtoken';
-import { requireSignIn, isAdmin } from './authMiddleware.js';
+import { requireSignIn, requireVerifiedEmail, requirePermission, requireSignInOrApiKey, requireSuperAdmin, blockImpersonation } from './authMiddleware.js';
 import userModel from '../models/userModel.js';
+import sessionModel from '../models/sessionModel.js';
+import roleModel from '../models/roleModel.js';
+import apiKeyModel from '../models/apiKeyModel.js';
+import { hashToken } from '../helpers/sessionHelper.js';
 
 // Mock the dependencies
 jest.mock('jsonwebtoken');
 jest.mock('../models/userModel.js');
+jest.mock('../models/sessionModel.js');
+jest.mock('../models/roleModel.js');
+jest.mock('../models/apiKeyModel.js');
 
 /**
  * Unit tests for authentication middleware functions
  * 
  * These middleware functions are used in Express.js routes to:
  * 1. requireSignIn: Verify JWT tokens and authenticate users
- * 2. isAdmin: Check if authenticated users have admin privileges (role = 1)
+ * 2. requireVerifiedEmail: Block checkout until the email address is verified
+ * 3. requirePermission: Allow only users whose roles grant a given permission
+ * 4. requireSignInOrApiKey: Accept a scoped API key in place of a user token
+ * 5. requireSuperAdmin: Allow only super-admins, never while impersonating
+ * 6. blockImpersonation: Keep customer-only actions away from impersonators
  * 
  * Middleware functions follow Express.js patterns:
  * - req: request object containing headers, user data, etc.
@@ -117,6 +128,78 @@ describe('Authentication Middleware', () => {
       expect(req.user).toBeNull();
     });
 
+    /**
+     * Test session-bound tokens are accepted while their session is active
+     */
+    it('calls next() when the token session is still active', async () => {
+      req.headers.authorization = 'Bearer session-token';
+      JWT.verify.mockReturnValue({ _id: 'user123', sid: 'session123' });
+      sessionModel.exists.mockResolvedValue({ _id: 'session123' });
+
+      await requireSignIn(req, res, next);
+
+      expect(sessionModel.exists).toHaveBeenCalledWith({
+        _id: 'session123',
+        revokedAt: null,
+      });
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ _id: 'user123', sid: 'session123' });
+    });
+
+    /**
+     * Test revoked sessions reject their access tokens before expiry
+     * (e.g. after logout or refresh token reuse detection)
+     */
+    it('returns 401 when the token session has been revoked', async () => {
+      req.headers.authorization = 'Bearer session-token';
+      JWT.verify.mockReturnValue({ _id: 'user123', sid: 'session123' });
+      sessionModel.exists.mockResolvedValue(null);
+
+      await requireSignIn(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: "Unauthorized: Session revoked" });
+      expect(req.user).toBeNull();
+    });
+
+    /**
+     * Test disabled accounts are rejected while their token is still valid
+     */
+    it('returns 403 when the account has been disabled', async () => {
+      req.headers.authorization = 'Bearer valid-token';
+      JWT.verify.mockReturnValue({ _id: 'user123' });
+      userModel.exists.mockResolvedValueOnce({ _id: 'user123' });
+
+      await requireSignIn(req, res, next);
+
+      expect(userModel.exists).toHaveBeenCalledWith({ _id: 'user123', disabled: true });
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Your account has been disabled",
+        accountDisabled: true,
+      });
+    });
+
+    /**
+     * Test impersonation tokens end when the admin behind them is disabled
+     */
+    it('returns 403 when the impersonating admin has been disabled', async () => {
+      req.headers.authorization = 'Bearer impersonation-token';
+      JWT.verify.mockReturnValue({ _id: 'user123', impersonator: 'admin1' });
+      userModel.exists
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: 'admin1' });
+
+      await requireSignIn(req, res, next);
+
+      expect(userModel.exists).toHaveBeenLastCalledWith({ _id: 'admin1', disabled: true });
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
     /**
      * Test handling when no authorization header is provided
      * Should handle gracefully when Authorization header is missing
@@ -165,183 +248,364 @@ describe('Authentication Middleware', () => {
     });
   });
 
-  describe('isAdmin Middleware', () => {
+  describe('requirePermission Middleware', () => {
+    const originalSetting = process.env.ADMIN_2FA_REQUIRED;
+
+    beforeEach(() => {
+      req.user = { _id: 'staff123' };
+      roleModel.find.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      if (originalSetting === undefined) {
+        delete process.env.ADMIN_2FA_REQUIRED;
+      } else {
+        process.env.ADMIN_2FA_REQUIRED = originalSetting;
+      }
+    });
+
     /**
-     * Test successful admin authorization
-     * When user exists and has admin role (role = 1),
-     * should call next() to continue to protected admin route
+     * Test a role that grants the permission
+     * The resolved permissions are attached for later handlers
      */
-    it('allows access for users with admin role', async () => {
-      // Mock authenticated user in request (set by requireSignIn middleware)
-      req.user = { _id: 'admin123' };
+    it('calls next() when a role grants the permission', async () => {
+      userModel.findById.mockResolvedValue({ _id: 'staff123', roles: ['fulfillment'] });
 
-      // Mock userModel.findById to return admin user
-      const mockAdminUser = {
-        _id: 'admin123',
-        name: 'Admin User',
-        email: 'admin@example.com',
-        role: 1 // Admin role
-      };
-      userModel.findById.mockResolvedValue(mockAdminUser);
+      await requirePermission('orders:update')(req, res, next);
 
-      // Execute the middleware
-      await isAdmin(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(req.permissions).toContain('orders:update');
+      expect(res.status).not.toHaveBeenCalled();
+    });
 
-      // Verify database query for user
-      expect(userModel.findById).toHaveBeenCalledWith('admin123');
+    /**
+     * Test a role that lacks the permission
+     * Fulfillment staff can't touch the catalog
+     */
+    it('returns 403 when no role grants the permission', async () => {
+      userModel.findById.mockResolvedValue({ _id: 'staff123', roles: ['fulfillment'] });
+
+      await requirePermission('products:create')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Forbidden: missing permission products:create',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('grants everything to legacy role 1 admins', async () => {
+      userModel.findById.mockResolvedValue({ _id: 'staff123', role: 1 });
+
+      await requirePermission('users:update')(req, res, next);
 
-      // Verify next() is called (allows access to admin route)
       expect(next).toHaveBeenCalled();
+    });
 
-      // Verify no error response is sent
-      expect(res.status).not.toHaveBeenCalled();
-      expect(res.send).not.toHaveBeenCalled();
+    it('returns 403 for customers', async () => {
+      userModel.findById.mockResolvedValue({ _id: 'staff123', role: 0 });
+
+      await requirePermission('orders:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('enforces the two-factor policy for staff', async () => {
+      process.env.ADMIN_2FA_REQUIRED = 'true';
+      userModel.findById.mockResolvedValue({ _id: 'staff123', roles: ['catalog-manager'] });
+
+      await requirePermission('products:create')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ twoFactorSetupRequired: true })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('handles database errors gracefully', async () => {
+      userModel.findById.mockRejectedValue(new Error('Database error'));
+
+      await requirePermission('orders:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Error in permission middleware' })
+      );
     });
 
     /**
-     * Test access denial for non-admin users
-     * When user exists but doesn't have admin role (role != 1),
-     * should send 401 Unauthorized response
+     * Test requests made with an API key
+     * Scopes decide, the user lookup and two-factor policy are skipped
      */
-    it('denies access for users without admin role', async () => {
-      // Mock authenticated regular user in request
-      req.user = { _id: 'user123' };
+    it('checks API keys against their scopes only', async () => {
+      process.env.ADMIN_2FA_REQUIRED = 'true';
+      req.user = undefined;
+      req.apiKey = { _id: 'key1', scopes: ['orders:read', 'products:write'] };
 
-      // Mock userModel.findById to return regular user (role = 0)
-      const mockRegularUser = {
-        _id: 'user123',
-        name: 'Regular User',
-        email: 'user@example.com',
-        role: 0 // Regular user role
-      };
-      userModel.findById.mockResolvedValue(mockRegularUser);
+      await requirePermission('products:delete')(req, res, next);
 
-      // Execute the middleware
-      await isAdmin(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(userModel.findById).not.toHaveBeenCalled();
+      expect(req.permissions).toEqual(
+        expect.arrayContaining(['orders:read', 'products:create', 'products:update', 'products:delete'])
+      );
+    });
 
-      // Verify database query
-      expect(userModel.findById).toHaveBeenCalledWith('user123');
+    it('returns 403 for an API key without the scope', async () => {
+      req.apiKey = { _id: 'key1', scopes: ['orders:read'] };
 
-      // Verify 401 Unauthorized response is sent
-      expect(res.status).toHaveBeenCalledWith(401);
+      await requirePermission('orders:update')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        message: 'UnAuthorized Access'
+        message: 'Forbidden: API key is missing scope orders:update',
       });
-
-      // Verify next() is NOT called (access denied)
       expect(next).not.toHaveBeenCalled();
     });
+  });
 
-    /**
-     * Test handling when user is not found in database
-     * When req.user._id doesn't correspond to any user in database,
-     * should handle gracefully and send appropriate error response
-     */
-    it('handles case when user is not found in database', async () => {
-      // Mock authenticated user with ID that doesn't exist in database
-      req.user = { _id: 'nonexistent123' };
+  describe('requireSignInOrApiKey Middleware', () => {
+    const key = 'vv_abcdefghijklmnopqrstuvwxyz012345';
+    const storedKey = { _id: 'key1', name: 'Warehouse', scopes: ['orders:read'] };
 
-      // Mock userModel.findById to return null (user not found)
-      userModel.findById.mockResolvedValue(null);
+    it('accepts a live key from the X-API-Key header and stamps its use', async () => {
+      req.headers['x-api-key'] = key;
+      req.ip = '10.0.0.5';
+      apiKeyModel.findOneAndUpdate.mockResolvedValueOnce(storedKey);
 
-      // Execute the middleware
-      await isAdmin(req, res, next);
+      await requireSignInOrApiKey(req, res, next);
 
-      // Verify database query was made
-      expect(userModel.findById).toHaveBeenCalledWith('nonexistent123');
+      // looked up by digest, never by the key itself
+      expect(apiKeyModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { keyHash: hashToken(key), revokedAt: null },
+        { lastUsedAt: expect.any(Date), lastUsedIp: '10.0.0.5' },
+        { new: true }
+      );
+      expect(req.apiKey).toBe(storedKey);
+      expect(next).toHaveBeenCalled();
+      expect(JWT.verify).not.toHaveBeenCalled();
+    });
+
+    it('accepts an "ApiKey" authorization header', async () => {
+      req.headers.authorization = `ApiKey ${key}`;
+      apiKeyModel.findOneAndUpdate.mockResolvedValueOnce(storedKey);
+
+      await requireSignInOrApiKey(req, res, next);
+
+      expect(req.apiKey).toBe(storedKey);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('returns 401 for unknown or revoked keys', async () => {
+      req.headers['x-api-key'] = key;
+      apiKeyModel.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await requireSignInOrApiKey(req, res, next);
 
-      // When user is null, user.role will throw an error, which should be caught
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        error: expect.any(Error),
-        message: 'Error in admin middleware'
+        message: 'Unauthorized: Invalid API key',
       });
-
-      // Verify next() is not called due to error
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('rejects values that are not API keys without a lookup', async () => {
+      req.headers['x-api-key'] = 'not-a-key';
+
+      await requireSignInOrApiKey(req, res, next);
+
+      expect(apiKeyModel.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('falls back to the user token', async () => {
+      req.headers.authorization = 'Bearer user-token';
+      JWT.verify.mockReturnValue({ _id: 'user123' });
+      userModel.exists.mockResolvedValueOnce(null);
+
+      await requireSignInOrApiKey(req, res, next);
+
+      expect(req.user).toEqual({ _id: 'user123' });
+      expect(req.apiKey).toBeUndefined();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('requireSuperAdmin Middleware', () => {
+    const originalSetting = process.env.ADMIN_2FA_REQUIRED;
+
+    beforeEach(() => {
+      req.user = { _id: 'admin123' };
+    });
+
+    afterEach(() => {
+      if (originalSetting === undefined) {
+        delete process.env.ADMIN_2FA_REQUIRED;
+      } else {
+        process.env.ADMIN_2FA_REQUIRED = originalSetting;
+      }
+    });
+
+    it('calls next() for super-admins, including legacy role 1 admins', async () => {
+      userModel.findById.mockResolvedValueOnce({ _id: 'admin123', roles: ['super-admin'] });
+      await requireSuperAdmin(req, res, next);
+
+      userModel.findById.mockResolvedValueOnce({ _id: 'admin123', role: 1 });
+      await requireSuperAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
     /**
-     * Test handling of database errors
-     * When userModel.findById throws an error (database connection issues, etc.),
-     * should handle gracefully and send error response
+     * Test other staff
+     * A custom role is never enough, even one holding every permission
      */
+    it('returns 403 for other staff', async () => {
+      userModel.findById.mockResolvedValue({ _id: 'admin123', roles: ['catalog-manager'] });
+
+      await requireSuperAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Forbidden: super-admins only',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 from inside an impersonation session', async () => {
+      req.user = { _id: 'user123', impersonator: 'admin123' };
+
+      await requireSuperAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ impersonating: true })
+      );
+      expect(userModel.findById).not.toHaveBeenCalled();
+    });
+
+    it('enforces the two-factor policy', async () => {
+      process.env.ADMIN_2FA_REQUIRED = 'true';
+      userModel.findById.mockResolvedValue({ _id: 'admin123', roles: ['super-admin'] });
+
+      await requireSuperAdmin(req, res, next);
+
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ twoFactorSetupRequired: true })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('handles database errors gracefully', async () => {
-      // Mock authenticated user
+      userModel.findById.mockRejectedValue(new Error('Database error'));
+
+      await requireSuperAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('blockImpersonation Middleware', () => {
+    it('calls next() for the customer themselves', () => {
       req.user = { _id: 'user123' };
 
-      // Mock database error
-      const dbError = new Error('Database connection failed');
-      userModel.findById.mockRejectedValue(dbError);
+      blockImpersonation(req, res, next);
 
-      // Execute the middleware
-      await isAdmin(req, res, next);
+      expect(next).toHaveBeenCalled();
+    });
 
-      // Verify database query was attempted
-      expect(userModel.findById).toHaveBeenCalledWith('user123');
+    it('returns 403 for an admin viewing the store as the customer', () => {
+      req.user = { _id: 'user123', impersonator: 'admin1' };
 
-      // Verify error response is sent
-      expect(res.status).toHaveBeenCalledWith(401);
+      blockImpersonation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
       expect(res.send).toHaveBeenCalledWith({
         success: false,
-        error: dbError,
-        message: 'Error in admin middleware'
+        message: 'This action is not available while impersonating a customer',
+        impersonating: true,
       });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireVerifiedEmail Middleware', () => {
+    beforeEach(() => {
+      req.user = { _id: 'user123' };
+    });
+
+    /**
+     * Test blocking unverified accounts
+     * Newly registered users are saved with emailVerified: false
+     */
+    it('returns 403 for users that have not verified their email', async () => {
+      userModel.findById.mockResolvedValue({ _id: 'user123', emailVerified: false });
 
-      // Verify error is logged
-      expect(console.log).toHaveBeenCalledWith(dbError);
+      await requireVerifiedEmail(req, res, next);
 
-      // Verify next() is not called due to error
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Please verify your email address before checking out',
+        emailVerificationRequired: true,
+      });
       expect(next).not.toHaveBeenCalled();
     });
 
     /**
-     * Test edge cases for role values
-     * Verify that only exactly role = 1 is considered admin
+     * Test verified and legacy accounts
+     * Accounts created before verification existed have no flag at all
      */
-    it('only accepts role value of exactly 1 as admin', async () => {
-      const testCases = [
-        { role: 0, shouldAllow: false, description: 'regular user (role 0)' },
-        { role: 2, shouldAllow: false, description: 'role 2' },
-        { role: '1', shouldAllow: false, description: 'string "1"' },
-        { role: true, shouldAllow: false, description: 'boolean true' },
-        { role: null, shouldAllow: false, description: 'null role' },
-        { role: undefined, shouldAllow: false, description: 'undefined role' }
-      ];
-
-      for (const testCase of testCases) {
-        // Reset mocks for each test case
-        jest.clearAllMocks();
-        req.user = { _id: 'testuser' };
-
-        // Mock user with specific role value
-        userModel.findById.mockResolvedValue({
-          _id: 'testuser',
-          role: testCase.role
-        });
-
-        // Execute middleware
-        await isAdmin(req, res, next);
-
-        if (testCase.shouldAllow) {
-          expect(next).toHaveBeenCalled();
-          expect(res.status).not.toHaveBeenCalled();
-        } else {
-          expect(res.status).toHaveBeenCalledWith(401);
-          expect(next).not.toHaveBeenCalled();
-        }
-      }
+    it('calls next() for verified users and accounts without the flag', async () => {
+      userModel.findById.mockResolvedValueOnce({ _id: 'user123', emailVerified: true });
+      await requireVerifiedEmail(req, res, next);
+
+      userModel.findById.mockResolvedValueOnce({ _id: 'user123' });
+      await requireVerifiedEmail(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('returns 401 when the user no longer exists', async () => {
+      userModel.findById.mockResolvedValue(null);
+
+      await requireVerifiedEmail(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('handles database errors gracefully', async () => {
+      userModel.findById.mockRejectedValue(new Error('Database error'));
+
+      await requireVerifiedEmail(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          message: 'Error in email verification middleware',
+        })
+      );
+      expect(next).not.toHaveBeenCalled();
     });
   });
 
   describe('Middleware Integration', () => {
     /**
-     * Test the typical flow: requireSignIn followed by isAdmin
+     * Test the typical flow: requireSignIn followed by requirePermission
      * This simulates how these middleware functions work together in admin routes
      */
-    it('works correctly when requireSignIn and isAdmin are used together', async () => {
+    it('works correctly when requireSignIn and requirePermission are used together', async () => {
       // Simulate the typical admin route middleware chain
 
       // Step 1: requireSignIn middleware
@@ -355,13 +619,13 @@ describe('Authentication Middleware', () => {
       expect(req.user).toEqual(mockDecodedAdmin);
       expect(next).toHaveBeenCalledTimes(1);
 
-      // Step 2: isAdmin middleware (req.user is now set)
+      // Step 2: requirePermission middleware (req.user is now set)
       const mockAdminUser = { _id: 'admin123', role: 1 };
       userModel.findById.mockResolvedValue(mockAdminUser);
 
-      await isAdmin(req, res, next);
+      await requirePermission('products:update')(req, res, next);
 
-      // Verify isAdmin worked correctly
+      // Verify requirePermission worked correctly
       expect(userModel.findById).toHaveBeenCalledWith('admin123');
       expect(next).toHaveBeenCalledTimes(2); // Called twice: once by each middleware
 
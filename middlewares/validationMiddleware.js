@@ -0,0 +1,214 @@
+// Declarative request validation. Each route declares the fields it reads,
+// grouped by where they come from, and gets one error body listing every
+// failing field:
+//
+//   validate({
+//     params: { pid: { type: "objectId", label: "Product" } },
+//     body: { name: { required: true, maxLength: 100, label: "Name" } },
+//   })
+//
+// Missing fields and values of the wrong type answer 400, well-formed values
+// that break a rule (length, range, allowed values, custom checks) answer 422.
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEANS = [true, false, "true", "false", "1", "0"];
+
+const isNumeric = (value) =>
+  (typeof value === "number" || typeof value === "string") &&
+  String(value).trim() !== "" &&
+  Number.isFinite(Number(value));
+
+// how each type is recognised, and what to say when it isn't
+const TYPES = new Map([
+  ["string", { test: (v) => typeof v === "string", message: "must be text" }],
+  ["number", { test: isNumeric, message: "must be a number" }],
+  [
+    "integer",
+    {
+      test: (v) => isNumeric(v) && Number.isInteger(Number(v)),
+      message: "must be a whole number",
+    },
+  ],
+  [
+    "boolean",
+    { test: (v) => BOOLEANS.includes(v), message: "must be true or false" },
+  ],
+  ["array", { test: Array.isArray, message: "must be a list" }],
+  [
+    "objectId",
+    {
+      test: (v) => typeof v === "string" && OBJECT_ID.test(v),
+      message: "must be a valid id",
+    },
+  ],
+  [
+    "email",
+    {
+      test: (v) => typeof v === "string" && EMAIL.test(v.trim()),
+      message: "must be a valid email address",
+    },
+  ],
+  [
+    "date",
+    {
+      test: (v) => typeof v === "string" && !Number.isNaN(Date.parse(v)),
+      message: "must be a date",
+    },
+  ],
+  [
+    "file",
+    {
+      test: (v) => typeof v === "object" && typeof v.size === "number",
+      message: "must be a file",
+    },
+  ],
+]);
+
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const lengthOf = (value) =>
+  Array.isArray(value) ? value.length : String(value).length;
+
+const lengthUnit = (value, count) =>
+  `${Array.isArray(value) ? "item" : "character"}${count === 1 ? "" : "s"}`;
+
+// rules that apply once the value has the right type
+const checkRules = (value, rules, label) => {
+  const errors = [];
+  const number = Number(value);
+  if (rules.min !== undefined && number < rules.min) {
+    errors.push({
+      rule: "min",
+      message: `${label} must be at least ${rules.min}`,
+    });
+  }
+  if (rules.max !== undefined && number > rules.max) {
+    errors.push({
+      rule: "max",
+      message: `${label} must be at most ${rules.max}`,
+    });
+  }
+  if (rules.minLength !== undefined && lengthOf(value) < rules.minLength) {
+    errors.push({
+      rule: "minLength",
+      message: `${label} must have at least ${rules.minLength} ${lengthUnit(value, rules.minLength)}`,
+    });
+  }
+  if (rules.maxLength !== undefined && lengthOf(value) > rules.maxLength) {
+    errors.push({
+      rule: "maxLength",
+      message: `${label} must have at most ${rules.maxLength} ${lengthUnit(value, rules.maxLength)}`,
+    });
+  }
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    errors.push({
+      rule: "oneOf",
+      message: `${label} must be one of: ${rules.oneOf.join(", ")}`,
+    });
+  }
+  if (rules.maxSize !== undefined && value.size > rules.maxSize) {
+    errors.push({
+      rule: "maxSize",
+      message: `${label} must be smaller than ${rules.maxSize / 1000000}MB`,
+    });
+  }
+  // field specific rules, e.g. the password policy
+  if (rules.check) {
+    errors.push(...rules.check(value));
+  }
+  return errors;
+};
+
+// every failure for one field, as [{ field, rule, message }]
+const checkField = (field, value, rules) => {
+  const label = rules.label || field;
+  if (isMissing(value)) {
+    return rules.required
+      ? [{ field, rule: "required", message: `${label} is required` }]
+      : [];
+  }
+  const type = TYPES.get(rules.type || "string");
+  if (!type.test(value)) {
+    return [{ field, rule: "type", message: `${label} ${type.message}` }];
+  }
+  const errors = checkRules(value, rules, label).map((error) => ({
+    field,
+    ...error,
+  }));
+  if (rules.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(
+        ...checkField(`${field}[${index}]`, item, { label, ...rules.items })
+      );
+    });
+  }
+  return errors;
+};
+
+// every failure in the request, in schema order
+export const validateRequest = (schema, req) => {
+  const parts = new Map([
+    ["params", req.params],
+    ["query", req.query],
+    ["body", req.body],
+    ["fields", req.fields],
+    ["files", req.files],
+  ]);
+  return Object.entries(schema).flatMap(([source, fields]) => {
+    const values = new Map(Object.entries(parts.get(source) || {}));
+    return Object.entries(fields).flatMap(([field, rules]) =>
+      checkField(field, values.get(field), rules)
+    );
+  });
+};
+
+// the errors of one entry of a list, e.g. variants[2].sku
+export const validateEntry = (rules, entry, prefix) =>
+  validateRequest({ body: rules }, { body: entry }).map((error) => ({
+    ...error,
+    field: `${prefix}.${error.field}`,
+  }));
+
+// a list sent as JSON text in a multipart form, [] when left blank; a value
+// that isn't a JSON list adds a type error
+export const parseJsonList = (value, field, label, errors) => {
+  if (value === undefined || Array.isArray(value)) {
+    return value || [];
+  }
+  if (typeof value === "string" && value.trim() === "") {
+    return [];
+  }
+  try {
+    const list = JSON.parse(value);
+    if (Array.isArray(list)) {
+      return list;
+    }
+  } catch {
+    //reported below
+  }
+  errors.push({ field, rule: "type", message: `${label} must be a list` });
+  return [];
+};
+
+// response body for a request that fails its schema
+export const validationError = (errors) => ({
+  success: false,
+  message: errors[0]?.message || "Invalid request",
+  errors,
+});
+
+// 400 when something is missing or mistyped, 422 when only rules are broken
+export const validationStatus = (errors) =>
+  errors.some(({ rule }) => rule === "required" || rule === "type") ? 400 : 422;
+
+export const validate = (schema) => (req, res, next) => {
+  const errors = validateRequest(schema, req);
+  if (!errors.length) {
+    return next();
+  }
+  return res.status(validationStatus(errors)).send(validationError(errors));
+};
@@ -0,0 +1,348 @@
+import {
+  parseJsonList,
+  validate,
+  validateEntry,
+  validateRequest,
+  validationError,
+} from "./validationMiddleware.js";
+
+/**
+ * Unit tests for the declarative request validation middleware
+ *
+ * 1. validateRequest: types, rules and custom checks per field, across
+ *    params, query, body and multipart fields/files
+ * 2. validateEntry / parseJsonList: JSON lists sent in multipart forms
+ * 3. validationError: the uniform response body
+ * 4. validate: 400 for missing/mistyped fields, 422 for broken rules,
+ *    next() when the request is valid
+ */
+describe("Validation Middleware", () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.send = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  describe("validateRequest", () => {
+    it("reports every missing required field, treating blank text as missing", () => {
+      const schema = {
+        body: {
+          name: { required: true, label: "Name" },
+          email: { required: true, label: "Email" },
+          phone: { label: "Phone" },
+        },
+      };
+
+      expect(validateRequest(schema, { body: { name: "  " } })).toEqual([
+        { field: "name", rule: "required", message: "Name is required" },
+        { field: "email", rule: "required", message: "Email is required" },
+      ]);
+    });
+
+    it("uses the field name when there is no label", () => {
+      expect(
+        validateRequest({ body: { sku: { required: true } } }, { body: {} })
+      ).toEqual([
+        { field: "sku", rule: "required", message: "sku is required" },
+      ]);
+    });
+
+    it.each([
+      ["string", 5, "must be text"],
+      ["number", "abc", "must be a number"],
+      ["integer", "2.5", "must be a whole number"],
+      ["boolean", "yes", "must be true or false"],
+      ["array", "a,b", "must be a list"],
+      ["objectId", "pid123", "must be a valid id"],
+      ["email", "not-an-email", "must be a valid email address"],
+      ["date", "someday", "must be a date"],
+      ["file", "photo.jpg", "must be a file"],
+    ])("type %s rejects %j", (type, value, message) => {
+      expect(
+        validateRequest(
+          { body: { field: { type, label: "Field" } } },
+          {
+            body: { field: value },
+          }
+        )
+      ).toEqual([
+        { field: "field", rule: "type", message: `Field ${message}` },
+      ]);
+    });
+
+    it.each([
+      ["number", "12.5"],
+      ["integer", 3],
+      ["boolean", "1"],
+      ["boolean", false],
+      ["objectId", "64b7f0c2a1b2c3d4e5f60718"],
+      ["email", "a@b.com"],
+      ["date", "2024-01-31"],
+      ["file", { size: 10 }],
+    ])(
+      "type %s accepts %j, as sent by forms and query strings",
+      (type, value) => {
+        expect(
+          validateRequest(
+            { query: { field: { type } } },
+            { query: { field: value } }
+          )
+        ).toEqual([]);
+      }
+    );
+
+    it("checks ranges, lengths and allowed values", () => {
+      const schema = {
+        body: {
+          price: { type: "number", min: 0, label: "Price" },
+          quantity: { type: "integer", max: 10, label: "Quantity" },
+          name: { minLength: 3, label: "Name" },
+          code: { maxLength: 1, label: "Code" },
+          tags: { type: "array", minLength: 1, label: "Tags" },
+          status: { oneOf: ["open", "closed"], label: "Status" },
+        },
+      };
+      const body = {
+        price: -1,
+        quantity: "11",
+        name: "ab",
+        code: "xyz",
+        tags: [],
+        status: "lost",
+      };
+
+      expect(validateRequest(schema, { body })).toEqual([
+        { field: "price", rule: "min", message: "Price must be at least 0" },
+        {
+          field: "quantity",
+          rule: "max",
+          message: "Quantity must be at most 10",
+        },
+        {
+          field: "name",
+          rule: "minLength",
+          message: "Name must have at least 3 characters",
+        },
+        {
+          field: "code",
+          rule: "maxLength",
+          message: "Code must have at most 1 character",
+        },
+        {
+          field: "tags",
+          rule: "minLength",
+          message: "Tags must have at least 1 item",
+        },
+        {
+          field: "status",
+          rule: "oneOf",
+          message: "Status must be one of: open, closed",
+        },
+      ]);
+    });
+
+    it("limits file sizes", () => {
+      const schema = {
+        files: { photo: { type: "file", maxSize: 1000000, label: "Photo" } },
+      };
+
+      expect(
+        validateRequest(schema, { files: { photo: { size: 2000000 } } })
+      ).toEqual([
+        {
+          field: "photo",
+          rule: "maxSize",
+          message: "Photo must be smaller than 1MB",
+        },
+      ]);
+    });
+
+    it("checks each list item and names its position", () => {
+      const schema = {
+        body: {
+          ids: {
+            type: "array",
+            items: { type: "objectId" },
+            label: "Category",
+          },
+        },
+      };
+
+      expect(
+        validateRequest(schema, {
+          body: { ids: ["64b7f0c2a1b2c3d4e5f60718", "nope"] },
+        })
+      ).toEqual([
+        {
+          field: "ids[1]",
+          rule: "type",
+          message: "Category must be a valid id",
+        },
+      ]);
+    });
+
+    it("adds the errors of a custom check to the field", () => {
+      const check = jest.fn(() => [{ rule: "common", message: "Too common" }]);
+
+      expect(
+        validateRequest(
+          { body: { password: { check, label: "Password" } } },
+          { body: { password: "password" } }
+        )
+      ).toEqual([{ field: "password", rule: "common", message: "Too common" }]);
+      expect(check).toHaveBeenCalledWith("password");
+    });
+
+    it("skips the other rules once a value has the wrong type", () => {
+      const check = jest.fn(() => []);
+
+      expect(
+        validateRequest(
+          { body: { price: { type: "number", min: 0, check } } },
+          { body: { price: "free" } }
+        ).map(({ rule }) => rule)
+      ).toEqual(["type"]);
+      expect(check).not.toHaveBeenCalled();
+    });
+
+    it("reads multipart fields and params, and ignores undeclared input", () => {
+      const schema = {
+        params: { pid: { type: "objectId", label: "Product" } },
+        fields: { name: { required: true, label: "Name" } },
+      };
+
+      expect(
+        validateRequest(schema, {
+          params: { pid: "bad" },
+          fields: { extra: "ignored" },
+        })
+      ).toEqual([
+        { field: "pid", rule: "type", message: "Product must be a valid id" },
+        { field: "name", rule: "required", message: "Name is required" },
+      ]);
+    });
+  });
+
+  describe("validateEntry", () => {
+    it("names the entry's fields after its position", () => {
+      expect(
+        validateEntry(
+          { sku: { required: true, label: "Variant 1 SKU" } },
+          { sku: " " },
+          "variants[0]"
+        )
+      ).toEqual([
+        {
+          field: "variants[0].sku",
+          rule: "required",
+          message: "Variant 1 SKU is required",
+        },
+      ]);
+    });
+  });
+
+  describe("parseJsonList", () => {
+    it("reads JSON lists and treats blank values as empty", () => {
+      const errors = [];
+
+      expect(parseJsonList('[{"a":1}]', "items", "Items", errors)).toEqual([
+        { a: 1 },
+      ]);
+      expect(parseJsonList([1], "items", "Items", errors)).toEqual([1]);
+      expect(parseJsonList(" ", "items", "Items", errors)).toEqual([]);
+      expect(parseJsonList(undefined, "items", "Items", errors)).toEqual([]);
+      expect(errors).toEqual([]);
+    });
+
+    it("adds a type error for anything else", () => {
+      const errors = [];
+
+      expect(parseJsonList('{"a":1}', "items", "Items", errors)).toEqual([]);
+      expect(parseJsonList("[oops", "items", "Items", errors)).toEqual([]);
+      expect(errors).toEqual([
+        { field: "items", rule: "type", message: "Items must be a list" },
+        { field: "items", rule: "type", message: "Items must be a list" },
+      ]);
+    });
+  });
+
+  describe("validationError", () => {
+    it("leads with the first failing field", () => {
+      const errors = [
+        { field: "name", rule: "required", message: "Name is required" },
+        { field: "email", rule: "required", message: "Email is required" },
+      ];
+
+      expect(validationError(errors)).toEqual({
+        success: false,
+        message: "Name is required",
+        errors,
+      });
+    });
+  });
+
+  describe("validate", () => {
+    const schema = {
+      body: {
+        name: { required: true, label: "Name" },
+        quantity: { type: "integer", min: 0, label: "Quantity" },
+      },
+    };
+
+    it("passes a valid request on untouched", () => {
+      const req = { body: { name: "Lamp", quantity: "3" } };
+      const res = createRes();
+      const next = jest.fn();
+
+      validate(schema)(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(req.body).toEqual({ name: "Lamp", quantity: "3" });
+    });
+
+    it("answers 400 when a field is missing or has the wrong type", () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      validate(schema)({ body: { quantity: -1 } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Name is required",
+        errors: [
+          { field: "name", rule: "required", message: "Name is required" },
+          {
+            field: "quantity",
+            rule: "min",
+            message: "Quantity must be at least 0",
+          },
+        ],
+      });
+    });
+
+    it("answers 422 when well-formed values break a rule", () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      validate(schema)({ body: { name: "Lamp", quantity: -1 } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Quantity must be at least 0",
+        errors: [
+          {
+            field: "quantity",
+            rule: "min",
+            message: "Quantity must be at least 0",
+          },
+        ],
+      });
+    });
+  });
+});
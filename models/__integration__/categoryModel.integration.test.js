@@ -18,6 +18,21 @@ describe("Category Model Integration (schema behavior without DB)", () => {
     const obj = doc.toObject();
     expect(obj).toMatchObject({ name: "Phones", slug: "phones" });
   });
-});
 
+  test("top level by default, with the path above stored on children", async () => {
+    const root = new categoryModel({ name: "Home", slug: "home" });
+    const child = new categoryModel({
+      name: "Lamps",
+      slug: "lamps",
+      parentCategory: root._id,
+      ancestors: [{ _id: root._id, name: "Home", slug: "home" }],
+    });
+    await expect(child.validate()).resolves.toBeUndefined();
 
+    expect(root.parentCategory).toBeNull();
+    expect(root.ancestors).toHaveLength(0);
+    expect(child.toObject().ancestors).toEqual([
+      { _id: root._id, name: "Home", slug: "home" },
+    ]);
+  });
+});
@@ -39,7 +39,6 @@ describe("Order Model Integration Tests", () => {
       password: "password123",
       phone: "1234567890",
       address: { street: "123 Test St", city: "Test City" },
-      answer: "test answer",
     });
 
     testProducts = [
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// an address book entry, also copied onto orders as their shipping address
+const addressSchema = new mongoose.Schema({
+  recipient: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  line2: {
+    type: String,
+    trim: true,
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  postalCode: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+export default addressSchema;
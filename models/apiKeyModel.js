@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// A key for scripts that call the API without a human login. Only a sha256
+// digest of the key is stored; the prefix is kept so admins can tell keys
+// apart.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("apiKeys", apiKeySchema);
@@ -0,0 +1,3 @@
+// the kinds of value a category attribute holds, kept out of the model so
+// the attribute checks can share them, see helpers/attributeHelper.js
+export const ATTRIBUTE_TYPES = ["enum", "number", "boolean", "text"];
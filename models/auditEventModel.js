@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+// One security relevant event: who did what to which record, from where,
+// and which fields changed. Events are only ever inserted.
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    actor: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      default: null,
+      index: true,
+    },
+    //kept for failed logins and accounts that are later deleted
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    //the admin who was viewing the store as the actor
+    impersonator: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+    //set instead of an actor when a script called with an API key
+    apiKey: {
+      id: {
+        type: String,
+      },
+      name: {
+        type: String,
+      },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    target: {
+      type: {
+        type: String,
+      },
+      id: {
+        type: String,
+      },
+      label: {
+        type: String,
+      },
+    },
+    changes: {
+      before: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+
+const appendOnly = (next) =>
+  next(new Error("Audit events are append-only"));
+
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    appendOnly(next);
+  }
+);
+
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+export default mongoose.model("auditEvents", auditEventSchema);
@@ -0,0 +1,40 @@
+import auditEventModel from "./auditEventModel.js";
+
+/**
+ * Unit tests for the audit event model
+ *
+ * Audit events are append-only: the schema refuses updates, deletes and
+ * re-saves before a query ever reaches the database.
+ */
+describe("Audit Event Model", () => {
+  it("requires an action", () => {
+    const error = new auditEventModel({}).validateSync();
+
+    expect(error.errors.action).toBeDefined();
+  });
+
+  it("defaults to an anonymous actor", () => {
+    const event = new auditEventModel({ action: "auth.login_failed" });
+
+    expect(event.actor).toBeNull();
+    expect(event.validateSync()).toBeUndefined();
+  });
+
+  it.each([
+    ["updateOne", () => auditEventModel.updateOne({}, { action: "x" })],
+    ["updateMany", () => auditEventModel.updateMany({}, { action: "x" })],
+    ["findOneAndUpdate", () => auditEventModel.findOneAndUpdate({}, { action: "x" })],
+    ["deleteOne", () => auditEventModel.deleteOne({})],
+    ["deleteMany", () => auditEventModel.deleteMany({})],
+    ["findOneAndDelete", () => auditEventModel.findOneAndDelete({})],
+  ])("refuses %s", async (_name, run) => {
+    await expect(run()).rejects.toThrow("Audit events are append-only");
+  });
+
+  it("refuses to save an existing event again", async () => {
+    const event = auditEventModel.hydrate({ _id: "65a000000000000000000001", action: "auth.login" });
+    event.action = "auth.logout";
+
+    await expect(event.save()).rejects.toThrow("Audit events are append-only");
+  });
+});
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { ATTRIBUTE_TYPES } from "./attributeTypes.js";
+import { searchKeysPlugin } from "./searchKeys.js";
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -10,6 +12,48 @@ const categorySchema = new mongoose.Schema({
     lowercase: true,
     unique: true,
   },
+  //slugs the category had before a rename, see helpers/slugHelper.js
+  slugHistory: {
+    type: [String],
+    index: true,
+  },
+  //null for a top level category
+  parentCategory: {
+    type: mongoose.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  //every category above this one, root first, copied here so breadcrumbs and
+  //subtree queries need no walk up the tree (see helpers/categoryHelper.js)
+  ancestors: [
+    {
+      _id: {
+        type: mongoose.ObjectId,
+        ref: "Category",
+        index: true,
+      },
+      name: String,
+      slug: String,
+    },
+  ],
+  //what products of this category describe in their specs, see
+  //helpers/attributeHelper.js
+  attributes: [
+    {
+      _id: false,
+      key: { type: String, required: true },
+      label: { type: String, required: true },
+      type: { type: String, enum: ATTRIBUTE_TYPES, required: true },
+      //the allowed values of an enum
+      options: { type: [String], default: undefined },
+      //shown after a number, e.g. GB
+      unit: { type: String },
+      required: { type: Boolean, default: false },
+    },
+  ],
 });
 
-export default mongoose.model("Category", categorySchema);
\ No newline at end of file
+// the search box matches names by word prefix, see models/searchKeys.js
+categorySchema.plugin(searchKeysPlugin);
+
+export default mongoose.model("Category", categorySchema);
@@ -17,7 +17,8 @@ jest.mock('mongoose', () => {
     },
     add: jest.fn(),
     method: jest.fn(),
-    static: jest.fn()
+    static: jest.fn(),
+    plugin: jest.fn()
   }));
 
   const mockModel = jest.fn().mockReturnValue({
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one throttling key, either "email:<address>"
+// or "ip:<address>". Counters are forgotten an hour after the last failure.
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60,
+  },
+});
+
+export default mongoose.model("loginAttempts", loginAttemptSchema);
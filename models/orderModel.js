@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import addressSchema from "./addressSchema.js";
+import { ORDER_STATUSES } from "./orderStatuses.js";
+
+// copy of the address book entry at checkout time, _id included, so later
+// edits to the book don't rewrite where a past order went
+const shippingAddressSchema = addressSchema.clone();
+shippingAddressSchema.remove("isDefault");
 
 const orderSchema = new mongoose.Schema(
   {
@@ -8,15 +15,38 @@ const orderSchema = new mongoose.Schema(
         ref: "Products",
       },
     ],
+    // one line per cart entry, recording the variant that was bought
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.ObjectId,
+          ref: "Products",
+        },
+        variant: {
+          type: mongoose.ObjectId,
+        },
+        sku: String,
+        options: { type: Map, of: String },
+        price: Number,
+      },
+    ],
     payment: {},
     buyer: {
       type: mongoose.ObjectId,
       ref: "users",
     },
+    shippingAddress: {
+      type: shippingAddressSchema,
+    },
+    // set when the buyer deleted their account and buyer was cleared
+    buyerDeletedAt: {
+      type: Date,
+    },
     status: {
       type: String,
       default: "Not Process",
-      enum: ["Not Process", "Processing", "Shipped", "deliverd", "cancel"],
+      enum: ORDER_STATUSES,
     },
   },
   { timestamps: true }
@@ -0,0 +1,9 @@
+// order workflow states, kept out of the model so the request schemas can
+// share them without loading mongoose
+export const ORDER_STATUSES = [
+  "Not Process",
+  "Processing",
+  "Shipped",
+  "deliverd",
+  "cancel",
+];
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { PRODUCT_STATUSES } from "./productStatuses.js";
+import { searchKeysPlugin } from "./searchKeys.js";
 
 const productSchema = new mongoose.Schema(
   {
@@ -9,6 +11,12 @@ const productSchema = new mongoose.Schema(
     slug: {
       type: String,
       required: true,
+      unique: true,
+    },
+    //slugs the product had before a rename, see helpers/slugHelper.js
+    slugHistory: {
+      type: [String],
+      index: true,
     },
     description: {
       type: String,
@@ -27,13 +35,62 @@ const productSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // legacy single photo, moved into the image store by
+    // `npm run migrate:photos`; only read until every product is migrated
     photo: {
       data: Buffer,
       contentType: String,
     },
+    // gallery in display order, the files live in helpers/imageStore.js
+    images: [
+      {
+        key: { type: String, required: true },
+        contentType: { type: String },
+        size: { type: Number },
+        alt: { type: String, default: "" },
+        isPrimary: { type: Boolean, default: false },
+      },
+    ],
     shipping: {
       type: Boolean,
     },
+    // values of the category's attributes by key, typed as the attribute
+    // says, see helpers/attributeHelper.js
+    specs: {
+      type: Map,
+      of: mongoose.Mixed,
+    },
+    // only published products are on the storefront, see
+    // helpers/productStatusHelper.js
+    status: {
+      type: String,
+      enum: PRODUCT_STATUSES,
+      default: "published",
+      index: true,
+    },
+    // when a scheduled product goes on sale
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    // option axes such as Size or Color, see helpers/variantHelper.js
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        values: [String],
+      },
+    ],
+    // the option combinations on sale, each with its own stock; price is
+    // only set when it differs from the product price
+    variants: [
+      {
+        sku: { type: String, required: true },
+        options: { type: Map, of: String },
+        price: { type: Number },
+        quantity: { type: Number, required: true, default: 0 },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -41,4 +98,22 @@ const productSchema = new mongoose.Schema(
 // Add a compound unique index to prevent duplicate product name within the same category
 productSchema.index({ name: 1, category: 1 }, { unique: true });
 
+// a SKU names one variant across the whole catalogue
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+
+// product search ranks matches in the name above those in the description
+productSchema.index(
+  { name: "text", description: "text" },
+  { name: "product_search", weights: { name: 10, description: 1 } }
+);
+
+// the search box matches names by word prefix, see models/searchKeys.js
+productSchema.plugin(searchKeysPlugin);
+
 export default mongoose.model("Products", productSchema);
\ No newline at end of file
@@ -1,5 +1,11 @@
 jest.mock("mongoose", () => {
-  const captured = { def: null, opts: null, modelName: null, modelArg: null };
+  const captured = {
+    def: null,
+    opts: null,
+    modelName: null,
+    modelArg: null,
+    plugins: [],
+  };
 
   class Schema {
     constructor(definition, options) {
@@ -9,6 +15,9 @@ jest.mock("mongoose", () => {
     index() {
       // no-op, but capture call if needed later
     }
+    plugin(fn) {
+      captured.plugins.push(fn);
+    }
   }
 
   const mock = {
@@ -19,6 +28,7 @@ jest.mock("mongoose", () => {
       return { modelName: name, schema: schemaInstance };
     },
     ObjectId: Symbol.for("mongoose.ObjectId"),
+    Mixed: Symbol.for("mongoose.Mixed"),
     Types: { ObjectId: Symbol.for("mongoose.Types.ObjectId") },
     __captured: captured,
   };
@@ -28,6 +38,7 @@ jest.mock("mongoose", () => {
 
 import mongoose from "mongoose";
 import Product from "./productModel.js";
+import { searchKeysPlugin } from "./searchKeys.js";
 
 describe("Products Model (schema-capture)", () => {
   test("exports a mongoose model with correct name", () => {
@@ -89,4 +100,44 @@ describe("Products Model (schema-capture)", () => {
     const def = mongoose.__captured.def;
     expect(def.shipping.type).toBe(Boolean);
   });
+
+  test("field: options [{ name, values }]", () => {
+    const [option] = mongoose.__captured.def.options;
+    expect(option.name).toEqual({ type: String, required: true });
+    expect(option.values).toEqual([String]);
+  });
+
+  test("field: variants [{ sku (required), options, price, quantity }]", () => {
+    const [variant] = mongoose.__captured.def.variants;
+    expect(variant.sku).toEqual({ type: String, required: true });
+    expect(variant.options.of).toBe(String);
+    expect(variant.price.type).toBe(Number);
+    expect(variant.price.required).toBeUndefined();
+    expect(variant.quantity).toEqual({ type: Number, required: true, default: 0 });
+  });
+
+  test("field: images [{ key (required), contentType, size, alt, isPrimary }]", () => {
+    const [image] = mongoose.__captured.def.images;
+    expect(image.key).toEqual({ type: String, required: true });
+    expect(image.contentType.type).toBe(String);
+    expect(image.size.type).toBe(Number);
+    expect(image.alt).toEqual({ type: String, default: "" });
+    expect(image.isPrimary).toEqual({ type: Boolean, default: false });
+  });
+
+  test("field: status (draft, scheduled, published or archived) and publishAt", () => {
+    const def = mongoose.__captured.def;
+    expect(def.status.enum).toEqual(["draft", "scheduled", "published", "archived"]);
+    expect(def.status.default).toBe("published");
+    expect(def.publishAt).toEqual({ type: Date, default: null });
+  });
+
+  test("field: specs, typed values keyed by category attribute", () => {
+    const def = mongoose.__captured.def;
+    expect(def.specs).toEqual({ type: Map, of: mongoose.Mixed });
+  });
+
+  test("keeps search keys for the search box suggestions", () => {
+    expect(mongoose.__captured.plugins).toContain(searchKeysPlugin);
+  });
 });
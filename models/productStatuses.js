@@ -0,0 +1,3 @@
+// product lifecycle states, kept out of the model so the request schemas can
+// share them without loading mongoose
+export const PRODUCT_STATUSES = ["draft", "scheduled", "published", "archived"];
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// A named set of permissions such as "orders:update". Built-in roles work
+// without a document here; storing one with the same name overrides it.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("roles", roleSchema);
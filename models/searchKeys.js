@@ -0,0 +1,52 @@
+// Search box suggestions match a name by the start of any of its words. To do
+// that with an anchored regex on an index, a named document keeps its name
+// lowercased from the start of each word:
+//
+//   "Red Desk Lamp"  ->  ["red desk lamp", "desk lamp", "lamp"]
+//
+// so typing "desk la" is the indexed lookup { searchKeys: /^desk la/ }. The
+// keys follow the name on save and on query updates that set it; names saved
+// before they existed are filled in by `npm run migrate:search-keys`.
+
+// words past this many can't start a suggestion, to bound the index size
+export const MAX_SEARCH_KEYS = 20;
+
+export const searchKeys = (name) => {
+  const words = String(name ?? "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  return words
+    .slice(0, MAX_SEARCH_KEYS)
+    .map((word, index) => words.slice(index).join(" "));
+};
+
+// the name an update sets, directly or through $set
+const updatedName = (update) =>
+  [update?.name, update?.$set?.name].find((name) => typeof name === "string");
+
+// adds the indexed searchKeys field to a schema with a name and keeps it in
+// step with the name; queries leave it out unless they select it
+export const searchKeysPlugin = (schema) => {
+  schema.add({ searchKeys: { type: [String], index: true, select: false } });
+
+  schema.pre("validate", function (next) {
+    if (this.isModified("name")) {
+      this.searchKeys = searchKeys(this.name);
+    }
+    next();
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function (next) {
+    const update = this.getUpdate();
+    const name = updatedName(update);
+    if (name !== undefined) {
+      this.set("searchKeys", searchKeys(name));
+    }
+    if (typeof update?.$setOnInsert?.name === "string") {
+      update.$setOnInsert.searchKeys = searchKeys(update.$setOnInsert.name);
+    }
+    next();
+  });
+};
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import { MAX_SEARCH_KEYS, searchKeys, searchKeysPlugin } from "./searchKeys.js";
+
+/**
+ * Unit tests for the search keys of product and category names
+ *
+ * 1. searchKeys: the lowercase name from the start of each word
+ * 2. searchKeysPlugin: the keys follow the name on save and on updates
+ *
+ * Test Strategy: the plugin is applied to a real schema and its middleware
+ * run without a database, by validating documents and by calling the query
+ * hooks on unexecuted queries.
+ */
+describe("Search Keys", () => {
+  describe("searchKeys", () => {
+    it("keeps the name from each word on, lowercased", () => {
+      expect(searchKeys("  Red Desk   LAMP ")).toEqual([
+        "red desk lamp",
+        "desk lamp",
+        "lamp",
+      ]);
+    });
+
+    it("has no keys for a blank name", () => {
+      expect(searchKeys("  ")).toEqual([]);
+      expect(searchKeys(undefined)).toEqual([]);
+    });
+
+    it("stops at MAX_SEARCH_KEYS words", () => {
+      const name = Array.from({ length: 30 }, (_, i) => `w${i}`).join(" ");
+
+      expect(searchKeys(name)).toHaveLength(MAX_SEARCH_KEYS);
+    });
+  });
+
+  describe("searchKeysPlugin", () => {
+    const schema = new mongoose.Schema({ name: String });
+    schema.plugin(searchKeysPlugin);
+    const Thing = mongoose.model("SearchKeysThing", schema);
+
+    // runs the plugin's query hook on an unexecuted query
+    const runUpdateHook = async (query) => {
+      await new Promise((resolve, reject) =>
+        Thing.schema.s.hooks.execPre("findOneAndUpdate", query, [], (error) =>
+          error ? reject(error) : resolve()
+        )
+      );
+      return query.getUpdate();
+    };
+
+    it("adds an indexed field left out of queries by default", () => {
+      const path = schema.path("searchKeys");
+
+      expect(path.options.index).toBe(true);
+      expect(path.options.select).toBe(false);
+    });
+
+    it("sets the keys when a document is saved", async () => {
+      const thing = new Thing({ name: "Desk Lamp" });
+
+      await thing.validate();
+
+      expect([...thing.searchKeys]).toEqual(["desk lamp", "lamp"]);
+    });
+
+    it("follows a rename in an update", async () => {
+      const update = await runUpdateHook(
+        Thing.findOneAndUpdate({}, { name: "Floor Lamp" })
+      );
+
+      expect(update.$set.searchKeys).toEqual(["floor lamp", "lamp"]);
+    });
+
+    it("sets the keys of a document an upsert inserts", async () => {
+      const update = await runUpdateHook(
+        Thing.findOneAndUpdate(
+          {},
+          { $setOnInsert: { name: "Uncategorized" } },
+          { upsert: true }
+        )
+      );
+
+      expect(update.$setOnInsert.searchKeys).toEqual(["uncategorized"]);
+    });
+
+    it("leaves the keys alone when the name isn't updated", async () => {
+      const update = await runUpdateHook(
+        Thing.findOneAndUpdate({}, { $set: { price: 3 } })
+      );
+
+      expect(update.$set).not.toHaveProperty("searchKeys");
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// How often one storefront search was made on one day, for the popular
+// searches offered as search suggestions. Queries are kept lowercase with
+// single spaces, and days are forgotten after a month.
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+  },
+  day: {
+    type: Date,
+    required: true,
+    expires: 30 * 24 * 60 * 60,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+});
+
+searchQuerySchema.index({ query: 1, day: 1 }, { unique: true });
+
+export default mongoose.model("searchQueries", searchQuerySchema);
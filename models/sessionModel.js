@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One document per issued refresh token. Tokens rotated from the same login
+// share a family, so reuse of a spent token can revoke the whole chain.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    replacedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    //the admin behind an impersonation session, which has no usable
+    //refresh token and ends when its access token expires
+    impersonator: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// let mongo clean up expired refresh tokens
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("sessions", sessionSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import addressSchema from "./addressSchema.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,18 +21,47 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // free-text address from registration, kept for older clients
     address: {
       type: {},
       required: true,
     },
-    answer: {
-      type: String,
-      required: true,
+    // address book used at checkout, at most one is the default
+    addresses: {
+      type: [addressSchema],
+      default: [],
     },
+    // legacy admin flag, 1 = admin; permissions come from `roles` when set
     role: {
       type: Number,
       default: 0,
     },
+    // names of roles from the roles collection or the built-in roles
+    roles: {
+      type: [String],
+      default: undefined,
+    },
+    // set to false on registration until the mailed link is opened; accounts
+    // created before verification existed have no flag and count as verified
+    emailVerified: {
+      type: Boolean,
+    },
+    // disabled accounts can't sign in and their sessions are revoked
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    // TOTP second factor; recovery codes are stored as sha256 hashes
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String,
+      pendingSecret: String,
+      recoveryCodes: [String],
+      lastUsedCounter: Number,
+    },
   },
   { timestamps: true }
 );
@@ -13,7 +13,6 @@ describe("User Model Integration Tests", () => {
     password: "hashedPassword123",
     phone: "1234567890",
     address: { street: "123 Test St", city: "Test City" },
-    answer: "test answer",
     ...overrides,
   });
 
@@ -97,7 +96,6 @@ describe("User Model Integration Tests", () => {
             password: "password",
             phone: "123456789",
             address: {},
-            answer: "answer",
           })
         ).rejects.toThrow();
 
@@ -108,7 +106,6 @@ describe("User Model Integration Tests", () => {
             password: "password",
             phone: "123456789",
             address: {},
-            answer: "answer",
           })
         ).rejects.toThrow();
       });
@@ -309,36 +306,17 @@ describe("User Model Integration Tests", () => {
       expect(loginUser.password).toBe(userData.password);
     });
 
-    test("should find user for password recovery", async () => {
-      // Arrange
-      const userData = createTestUser();
-      const savedUser = await User.create(userData);
-
-      // Act
-      const recoveryUser = await User.findOne({
-        email: userData.email,
-        answer: userData.answer,
-      });
-
-      // Assert
-      expect(recoveryUser).toBeDefined();
-      expect(recoveryUser.email).toBe(userData.email);
-      expect(recoveryUser.answer).toBe(userData.answer);
-    });
-
-    test("should not find user with wrong security answer", async () => {
-      // Arrange
-      const userData = createTestUser();
-      await User.create(userData);
+    test("should not keep a security answer", async () => {
+      // Arrange - resets go through mailed tokens, answers are not stored
+      const savedUser = await User.create(
+        createTestUser({ answer: "test answer" })
+      );
 
       // Act
-      const wrongAnswerUser = await User.findOne({
-        email: userData.email,
-        answer: "wrong answer",
-      });
+      const storedUser = await User.findById(savedUser._id).lean();
 
       // Assert
-      expect(wrongAnswerUser).toBeNull();
+      expect(storedUser.answer).toBeUndefined();
     });
   });
 
@@ -155,7 +155,7 @@ test.describe('Admin permissions and profile', () => {
     // Ensure regular user exists
     try {
       await request.post(`${API_BASE}/api/v1/auth/register`, {
-        data: { name: 'E2E User', email: USER_EMAIL, password: USER_PASS, phone: '1234567890', address: 'E2E Street', answer: 'blue' },
+        data: { name: 'E2E User', email: USER_EMAIL, password: USER_PASS, phone: '1234567890', address: 'E2E Street' },
         timeout: 8000,
       });
     } catch {}
@@ -1,5 +1,22 @@
 import { test, expect } from '@playwright/test';
 import { testUsers, generateUniqueEmail } from '../fixtures/test-data.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Find the link in the newest mail the dev server wrote to the outbox for `to`
+ */
+const readLatestMailLink = (to) => {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+  if (!fs.existsSync(dir)) return null;
+  const mails = fs
+    .readdirSync(dir)
+    .sort()
+    .reverse()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  const mail = mails.find((m) => m.to === to);
+  return mail ? mail.text.match(/https?:\/\/\S+/)[0] : null;
+};
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -256,13 +273,20 @@ test.describe('E2E Suite 1: Authentication & User Journey', () => {
     // STEP 4: Verify forgot password page/modal loads
     await expect(page).toHaveURL(/.*forgot/);
     
-    // STEP 5: Fill reset form
+    // STEP 5: Request a reset link
     await page.fill('input[type="email"]', uniqueUser.email);
-    // Note: Component uses placeholder/id, not name attribute
-    await page.fill('input[placeholder*="Security Answer"]', uniqueUser.securityAnswer);
-    await page.fill('input[placeholder*="New Password"]', 'NewPassword123!');
-    
-    // STEP 6: Submit reset button
+    await page.click('button:has-text("SEND RESET LINK")');
+    await expect(page.locator('text=/check your inbox/i')).toBeVisible();
+    
+    // STEP 6: Open the mailed link (dev server writes mail to the local outbox)
+    let resetLink = null;
+    await expect
+      .poll(() => (resetLink = readLatestMailLink(uniqueUser.email)), { timeout: 10000 })
+      .toBeTruthy();
+    const { pathname, search } = new URL(resetLink);
+    await page.goto(pathname + search);
+    await page.fill('input[placeholder*="Enter Your New Password"]', 'NewPassword123!');
+    await page.fill('input[placeholder*="Confirm Your New Password"]', 'NewPassword123!');
     await page.click('button:has-text("RESET")');
     
     // STEP 7: Wait for success toast and redirect to login
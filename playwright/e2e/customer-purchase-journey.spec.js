@@ -16,7 +16,6 @@ async function ensureUserExists(request) {
         password: USER_PASS,
         phone: "1234567890",
         address: "123 E2E Street",
-        answer: "blue",
       },
       timeout: 8000,
     });
@@ -31,8 +31,7 @@ const paymentUser = {
   email: 'test@test.com', // Simple existing user
   password: 'test',     // Simple password
   phone: '1234567890',
-  address: '123 Test St',
-  answer: 'test'
+  address: '123 Test St'
 };
 
 test.describe('E2E Suite 2: Payment & Checkout Flow', () => {
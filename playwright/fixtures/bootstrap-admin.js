@@ -18,7 +18,6 @@ const ADMIN_PASS = process.env.E2E_ADMIN_PASS ?? '123456';
 const ADMIN_NAME = process.env.E2E_ADMIN_NAME ?? 'E2E Admin';
 const ADMIN_PHONE = process.env.E2E_ADMIN_PHONE ?? '0000000000';
 const ADMIN_ADDRESS = process.env.E2E_ADMIN_ADDRESS ?? 'Playwright HQ';
-const ADMIN_ANSWER = process.env.E2E_ADMIN_SECURITY_ANSWER ?? 'test';
 
 // Mongo promotion config (optional)
 const MONGO_URL = process.env.MONGO_URL || process.env.MONGODB_URI || process.env.DATABASE_URL || '';
@@ -91,7 +90,6 @@ export async function ensureAdminAndUserReady(request) {
     password: USER_PASS,
     phone: '1234567890',
     address: 'E2E Street',
-    answer: 'blue',
   }).catch(() => {});
 
   // Ensure admin exists
@@ -101,7 +99,6 @@ export async function ensureAdminAndUserReady(request) {
     password: ADMIN_PASS,
     phone: ADMIN_PHONE,
     address: ADMIN_ADDRESS,
-    answer: ADMIN_ANSWER,
   }).catch(() => {});
 
   // Ensure admin has role=1
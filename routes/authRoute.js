@@ -8,49 +8,359 @@ import {
   getOrdersController,
   getAllOrdersController,
   orderStatusController,
+  refreshTokenController,
+  logoutController,
+  logoutAllController,
+  resetPasswordController,
+  unlockAccountController,
+  loginTwoFactorController,
+  verifyEmailController,
+  resendVerificationController,
+  passwordPolicyController,
 } from "../controllers/authController.js";
-import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  twoFactorDisableController,
+  twoFactorEnableController,
+  twoFactorRecoveryCodesController,
+  twoFactorSetupController,
+  twoFactorStatusController,
+} from "../controllers/twoFactorController.js";
+import {
+  deleteAccountController,
+  exportAccountController,
+} from "../controllers/accountController.js";
+import {
+  getUserController,
+  listRolesController,
+  listUsersController,
+  updateUserRolesController,
+  updateUserStatusController,
+} from "../controllers/userController.js";
+import {
+  createAddressController,
+  deleteAddressController,
+  listAddressesController,
+  updateAddressController,
+} from "../controllers/addressController.js";
+import {
+  endImpersonationController,
+  startImpersonationController,
+} from "../controllers/impersonationController.js";
+import { listAuditEventsController } from "../controllers/auditController.js";
+import {
+  createApiKeyController,
+  listApiKeysController,
+  revokeApiKeyController,
+} from "../controllers/apiKeyController.js";
+import {
+  blockImpersonation,
+  requirePermission,
+  requireSignIn,
+  requireSignInOrApiKey,
+  requireSuperAdmin,
+} from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  addressIdSchema,
+  apiKeyIdSchema,
+  createAddressSchema,
+  createApiKeySchema,
+  deleteAccountSchema,
+  exportAccountSchema,
+  forgotPasswordSchema,
+  impersonateSchema,
+  listAuditEventsSchema,
+  listUsersSchema,
+  loginSchema,
+  loginTwoFactorSchema,
+  orderStatusSchema,
+  refreshTokenSchema,
+  registerSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  updateAddressSchema,
+  updateProfileSchema,
+  updateUserRolesSchema,
+  updateUserStatusSchema,
+  userIdSchema,
+  verifyEmailSchema,
+} from "../helpers/requestSchemas.js";
 
 //router object
 const router = express.Router();
 
 //routing
 //REGISTER || METHOD POST
-router.post("/register", registerController);
+router.post("/register", validate(registerSchema), registerController);
 
 //LOGIN || POST
-router.post("/login", loginController);
+router.post("/login", validate(loginSchema), loginController);
+
+//LOGIN SECOND FACTOR || POST
+router.post(
+  "/login/2fa",
+  validate(loginTwoFactorSchema),
+  loginTwoFactorController
+);
+
+//REFRESH TOKEN || POST
+router.post(
+  "/refresh",
+  validate(refreshTokenSchema),
+  refreshTokenController
+);
+
+//LOGOUT || POST
+router.post("/logout", validate(refreshTokenSchema), logoutController);
+
+//LOGOUT ALL DEVICES || POST
+router.post(
+  "/logout-all",
+  requireSignIn,
+  blockImpersonation,
+  logoutAllController
+);
+
+//Verify Email || POST
+router.post(
+  "/verify-email",
+  validate(verifyEmailSchema),
+  verifyEmailController
+);
+
+//Resend Verification Email || POST
+router.post(
+  "/verify-email/resend",
+  requireSignIn,
+  resendVerificationController
+);
+
+//Password Policy || GET
+router.get("/password-policy", passwordPolicyController);
 
 //Forgot Password || POST
-router.post("/forgot-password", forgotPasswordController);
+router.post(
+  "/forgot-password",
+  validate(forgotPasswordSchema),
+  forgotPasswordController
+);
+
+//Reset Password || POST
+router.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  resetPasswordController
+);
 
 //test routes
-router.get("/test", requireSignIn, isAdmin, testController);
+router.get(
+  "/test",
+  requireSignIn,
+  requirePermission("dashboard:access"),
+  testController
+);
 
 //protected User route auth
 router.get("/user-auth", requireSignIn, (req, res) => {
   res.status(200).send({ ok: true });
 });
 //protected Admin route auth
-router.get("/admin-auth", requireSignIn, isAdmin, (req, res) => {
-  res.status(200).send({ ok: true });
-});
+router.get(
+  "/admin-auth",
+  requireSignIn,
+  requirePermission("dashboard:access"),
+  (req, res) => {
+    res.status(200).send({ ok: true, permissions: req.permissions });
+  }
+);
+
+//two-factor authentication
+router.get("/2fa", requireSignIn, twoFactorStatusController);
+router.post(
+  "/2fa/setup",
+  requireSignIn,
+  blockImpersonation,
+  twoFactorSetupController
+);
+router.post(
+  "/2fa/enable",
+  requireSignIn,
+  blockImpersonation,
+  validate(twoFactorCodeSchema),
+  twoFactorEnableController
+);
+router.post(
+  "/2fa/recovery-codes",
+  requireSignIn,
+  blockImpersonation,
+  validate(twoFactorCodeSchema),
+  twoFactorRecoveryCodesController
+);
+router.post(
+  "/2fa/disable",
+  requireSignIn,
+  blockImpersonation,
+  validate(twoFactorDisableSchema),
+  twoFactorDisableController
+);
 
 //update profile
-router.put("/profile", requireSignIn, updateProfileController);
+router.put(
+  "/profile",
+  requireSignIn,
+  blockImpersonation,
+  validate(updateProfileSchema),
+  updateProfileController
+);
+
+//address book
+router.get("/addresses", requireSignIn, listAddressesController);
+router.post(
+  "/addresses",
+  requireSignIn,
+  blockImpersonation,
+  validate(createAddressSchema),
+  createAddressController
+);
+router.put(
+  "/addresses/:addressId",
+  requireSignIn,
+  blockImpersonation,
+  validate(updateAddressSchema),
+  updateAddressController
+);
+router.delete(
+  "/addresses/:addressId",
+  requireSignIn,
+  blockImpersonation,
+  validate(addressIdSchema),
+  deleteAddressController
+);
+
+//personal data export || GET ?format=json|zip
+router.get(
+  "/me/export",
+  requireSignIn,
+  validate(exportAccountSchema),
+  exportAccountController
+);
+
+//delete own account || DELETE
+router.delete(
+  "/me",
+  requireSignIn,
+  blockImpersonation,
+  validate(deleteAccountSchema),
+  deleteAccountController
+);
 
 //orders
 router.get("/orders", requireSignIn, getOrdersController);
 
 //all orders
-router.get("/all-orders", requireSignIn, isAdmin, getAllOrdersController);
+router.get(
+  "/all-orders",
+  requireSignInOrApiKey,
+  requirePermission("orders:read"),
+  getAllOrdersController
+);
 
 // order status update
 router.put(
   "/order-status/:orderId",
-  requireSignIn,
-  isAdmin,
+  requireSignInOrApiKey,
+  requirePermission("orders:update"),
+  validate(orderStatusSchema),
   orderStatusController
 );
 
-export default router;
\ No newline at end of file
+//user management
+router.get(
+  "/users",
+  requireSignIn,
+  requirePermission("users:read"),
+  validate(listUsersSchema),
+  listUsersController
+);
+router.get(
+  "/roles",
+  requireSignIn,
+  requirePermission("users:read"),
+  listRolesController
+);
+router.get(
+  "/users/:userId",
+  requireSignIn,
+  requirePermission("users:read"),
+  validate(userIdSchema),
+  getUserController
+);
+router.put(
+  "/users/:userId/roles",
+  requireSignIn,
+  requirePermission("users:update"),
+  validate(updateUserRolesSchema),
+  updateUserRolesController
+);
+router.put(
+  "/users/:userId/status",
+  requireSignIn,
+  requirePermission("users:update"),
+  validate(updateUserStatusSchema),
+  updateUserStatusController
+);
+
+// unlock account after failed logins
+router.put(
+  "/users/:userId/unlock",
+  requireSignIn,
+  requirePermission("users:update"),
+  validate(userIdSchema),
+  unlockAccountController
+);
+
+//view the store as a customer || POST { reason }
+router.post(
+  "/users/:userId/impersonate",
+  requireSignIn,
+  requireSuperAdmin,
+  validate(impersonateSchema),
+  startImpersonationController
+);
+
+//stop impersonating || POST
+router.post("/impersonation/end", requireSignIn, endImpersonationController);
+
+//security audit log || GET ?actor=&action=&from=&to=&page=
+router.get(
+  "/audit-events",
+  requireSignIn,
+  requirePermission("audit:read"),
+  validate(listAuditEventsSchema),
+  listAuditEventsController
+);
+
+//API keys for scripts
+router.get(
+  "/api-keys",
+  requireSignIn,
+  requirePermission("api-keys:manage"),
+  listApiKeysController
+);
+router.post(
+  "/api-keys",
+  requireSignIn,
+  requirePermission("api-keys:manage"),
+  validate(createApiKeySchema),
+  createApiKeyController
+);
+router.delete(
+  "/api-keys/:keyId",
+  requireSignIn,
+  requirePermission("api-keys:manage"),
+  validate(apiKeyIdSchema),
+  revokeApiKeyController
+);
+
+export default router;
@@ -1,12 +1,25 @@
 import express from "express";
-import { isAdmin, requireSignIn } from "./../middlewares/authMiddleware.js";
+import {
+  requirePermission,
+  requireSignIn,
+} from "./../middlewares/authMiddleware.js";
 import {
   categoryController,
+  categoryTreeController,
   createCategoryController,
   deleteCategoryController,
+  moveCategoryController,
   singleCategoryController,
   updateCategoryController,
 } from "./../controllers/categoryController.js";
+import { validate } from "./../middlewares/validationMiddleware.js";
+import {
+  categorySlugSchema,
+  createCategorySchema,
+  deleteCategorySchema,
+  moveCategorySchema,
+  updateCategorySchema,
+} from "./../helpers/requestSchemas.js";
 
 const router = express.Router();
 
@@ -15,7 +28,8 @@ const router = express.Router();
 router.post(
   "/create-category",
   requireSignIn,
-  isAdmin,
+  requirePermission("categories:create"),
+  validate(createCategorySchema),
   createCategoryController
 );
 
@@ -23,21 +37,39 @@ router.post(
 router.put(
   "/update-category/:id",
   requireSignIn,
-  isAdmin,
+  requirePermission("categories:update"),
+  validate(updateCategorySchema),
   updateCategoryController
 );
 
+//move category under another parent
+router.put(
+  "/move-category/:id",
+  requireSignIn,
+  requirePermission("categories:update"),
+  validate(moveCategorySchema),
+  moveCategoryController
+);
+
 //getALl category
 router.get("/get-category", categoryController);
 
+//categories nested under their parents
+router.get("/category-tree", categoryTreeController);
+
 //single category
-router.get("/single-category/:slug", singleCategoryController);
+router.get(
+  "/single-category/:slug",
+  validate(categorySlugSchema),
+  singleCategoryController
+);
 
 //delete category
 router.delete(
   "/delete-category/:id",
   requireSignIn,
-  isAdmin,
+  requirePermission("categories:delete"),
+  validate(deleteCategorySchema),
   deleteCategoryController
 );
 
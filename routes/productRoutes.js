@@ -1,22 +1,58 @@
 import express from "express";
 import {
+  adminProductImageController,
+  adminProductPhotoController,
+  adminProductsController,
+  adminSingleProductController,
   brainTreePaymentController,
   braintreeTokenController,
   createProductController,
   deleteProductController,
+  exportProductsController,
   getProductController,
   getSingleProductController,
   getProductByIdController,
+  importProductsController,
   productCategoryController,
   productCountController,
   productFiltersController,
+  productImageController,
   productListController,
   productPhotoController,
+  productStatusController,
   realtedProductController,
   searchProductController,
+  suggestProductController,
   updateProductController,
 } from "../controllers/productController.js";
-import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  blockImpersonation,
+  requirePermission,
+  requireSignIn,
+  requireSignInOrApiKey,
+  requireVerifiedEmail,
+} from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  adminProductsSchema,
+  createProductSchema,
+  exportProductsSchema,
+  importProductsSchema,
+  paymentSchema,
+  productByIdSchema,
+  productCategorySchema,
+  productFiltersSchema,
+  productIdSchema,
+  productImageSchema,
+  productPhotoSchema,
+  productListSchema,
+  productSlugSchema,
+  productStatusSchema,
+  relatedProductSchema,
+  searchProductSchema,
+  suggestProductSchema,
+  updateProductSchema,
+} from "../helpers/requestSchemas.js";
 import formidable from "express-formidable";
 
 const router = express.Router();
@@ -24,57 +60,178 @@ const router = express.Router();
 //routes
 router.post(
   "/create-product",
-  requireSignIn,
-  isAdmin,
+  requireSignInOrApiKey,
+  requirePermission("products:create"),
   formidable(),
+  validate(createProductSchema),
   createProductController
 );
 //routes
 router.put(
   "/update-product/:pid",
-  requireSignIn,
-  isAdmin,
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
   formidable(),
+  validate(updateProductSchema),
   updateProductController
 );
 
 //get products
 router.get("/get-product", getProductController);
 
+//every product whatever its status, for admins
+router.get(
+  "/admin-products",
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
+  validate(adminProductsSchema),
+  adminProductsController
+);
+router.get(
+  "/admin-product/:slug",
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
+  validate(productSlugSchema),
+  adminSingleProductController
+);
+
+//change the status of several products
+router.put(
+  "/product-status",
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
+  validate(productStatusSchema),
+  productStatusController
+);
+
+//bulk import from CSV or JSON, a dry run only checks the file
+router.post(
+  "/import-products",
+  requireSignInOrApiKey,
+  requirePermission("products:create"),
+  requirePermission("products:update"),
+  formidable(),
+  validate(importProductsSchema),
+  importProductsController
+);
+//the whole catalogue in the import format
+router.get(
+  "/export-products",
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
+  validate(exportProductsSchema),
+  exportProductsController
+);
+
 // single product by slug
-router.get("/get-product/:slug", getSingleProductController);
+router.get(
+  "/get-product/:slug",
+  validate(productSlugSchema),
+  getSingleProductController
+);
 // single product by id
-router.get("/get-product-by-id/:id", getProductByIdController);
+router.get(
+  "/get-product-by-id/:id",
+  validate(productByIdSchema),
+  getProductByIdController
+);
 
 //get photo
-router.get("/product-photo/:pid", productPhotoController);
+router.get(
+  "/product-photo/:pid",
+  validate(productPhotoSchema),
+  productPhotoController
+);
+
+//get one gallery image
+router.get(
+  "/product-image/:pid/:imageId",
+  validate(productImageSchema),
+  productImageController
+);
+
+//photo and gallery images of any product, for the admin forms
+router.get(
+  "/admin-product-photo/:pid",
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
+  validate(productPhotoSchema),
+  adminProductPhotoController
+);
+router.get(
+  "/admin-product-image/:pid/:imageId",
+  requireSignInOrApiKey,
+  requirePermission("products:update"),
+  validate(productImageSchema),
+  adminProductImageController
+);
 
 //delete rproduct
-router.delete("/delete-product/:pid", deleteProductController);
+router.delete(
+  "/delete-product/:pid",
+  requireSignInOrApiKey,
+  requirePermission("products:delete"),
+  validate(productIdSchema),
+  deleteProductController
+);
 
 //filter product
-router.post("/product-filters", productFiltersController);
+router.post(
+  "/product-filters",
+  validate(productFiltersSchema),
+  productFiltersController
+);
 
 //product count
 router.get("/product-count", productCountController);
 
 //product per page
-router.get("/product-list/:page", productListController);
+router.get(
+  "/product-list/:page",
+  validate(productListSchema),
+  productListController
+);
 
 //search product
-router.get("/search/:keyword", searchProductController);
+router.get(
+  "/search/:keyword",
+  validate(searchProductSchema),
+  searchProductController
+);
+
+//search suggestions
+router.get(
+  "/suggest",
+  validate(suggestProductSchema),
+  suggestProductController
+);
 
 //similar product
-router.get("/related-product/:pid/:cid", realtedProductController);
+router.get(
+  "/related-product/:pid/:cid",
+  validate(relatedProductSchema),
+  realtedProductController
+);
 
 //category wise product
-router.get("/product-category/:slug", productCategoryController);
+router.get(
+  "/product-category/:slug",
+  validate(productCategorySchema),
+  productCategoryController
+);
 
 //payments routes
 //token
 router.get("/braintree/token", braintreeTokenController);
 
 //payments
-router.post("/braintree/payment", requireSignIn, brainTreePaymentController);
+router.post(
+  "/braintree/payment",
+  requireSignIn,
+  blockImpersonation,
+  requireVerifiedEmail,
+  validate(paymentSchema),
+  brainTreePaymentController
+);
 
 export default router;
\ No newline at end of file
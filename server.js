@@ -6,6 +6,7 @@ import connectDB from "./config/db.js";
 import authRoutes from "./routes/authRoute.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import productRoutes from "./routes/productRoutes.js";
+import { startPublishScheduler } from "./helpers/productStatusHelper.js";
 import cors from "cors";
 import path from "path";
 
@@ -15,6 +16,9 @@ dotenv.config();
 //database config
 connectDB();
 
+//publishes scheduled products when their time arrives
+startPublishScheduler();
+
 const app = express();
 const __dirname = path.resolve();
 app.use("/images", express.static(path.join(__dirname, "client", "public", "images")));
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../../config/db.js";
+import productModel from "../../models/productModel.js";
+import categoryModel from "../../models/categoryModel.js";
+import { dedupeSlugs } from "../../helpers/slugHelper.js";
+
+// npm run migrate:slugs
+// suffixes duplicate product and category slugs, then builds the unique
+// slug index that the duplicates kept from being created
+
+async function main() {
+  dotenv.config();
+  await connectDB();
+  for (const model of [productModel, categoryModel]) {
+    const renamed = await dedupeSlugs(model);
+    await model.syncIndexes();
+    console.log(`Renamed ${renamed} duplicate ${model.modelName} slugs`);
+  }
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../../config/db.js";
+import userModel from "../../models/userModel.js";
+
+// npm run migrate:answers
+// removes the plaintext security answers saved before password resets moved
+// to mailed tokens; `answer` is no longer in the user schema, so this goes
+// through the driver
+
+async function main() {
+  dotenv.config();
+  await connectDB();
+  const { modifiedCount } = await userModel.collection.updateMany(
+    { answer: { $exists: true } },
+    { $unset: { answer: "" } }
+  );
+  console.log(`Removed the security answers of ${modifiedCount} users`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
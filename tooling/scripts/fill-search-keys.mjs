@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../../config/db.js";
+import productModel from "../../models/productModel.js";
+import categoryModel from "../../models/categoryModel.js";
+import { searchKeys } from "../../models/searchKeys.js";
+
+// npm run migrate:search-keys
+// fills in the search keys of products and categories named before the
+// search box matched on them, then builds their index
+
+async function main() {
+  dotenv.config();
+  await connectDB();
+  for (const model of [productModel, categoryModel]) {
+    let filled = 0;
+    const named = model.find({}).select("name").lean().cursor();
+    for await (const { _id, name } of named) {
+      await model.collection.updateOne(
+        { _id },
+        { $set: { searchKeys: searchKeys(name) } }
+      );
+      filled += 1;
+    }
+    await model.syncIndexes();
+    console.log(`Filled the search keys of ${filled} ${model.modelName}`);
+  }
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
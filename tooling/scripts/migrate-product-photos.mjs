@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../../config/db.js";
+import { migrateProductPhotos } from "../../helpers/photoMigration.js";
+
+// npm run migrate:photos
+// moves legacy product photos into the store named by IMAGE_STORE
+
+async function main() {
+  dotenv.config();
+  await connectDB();
+  const { migrated, failed } = await migrateProductPhotos();
+  console.log(`Migrated ${migrated} product photos, ${failed} failed`);
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});